@@ -0,0 +1,62 @@
+const express = require('express');
+const cors = require('cors');
+const { createContext } = require('./context');
+const { stripeWebhook } = require('./stripe/webhooks');
+const { stripeRoutes } = require('./stripe/routes');
+const { matchingRoutes } = require('./routes/matching');
+const { marketIntelligenceRoutes } = require('./routes/marketIntelligence');
+const { cpaRoutes } = require('./routes/cpa');
+const { scrapeRoutes } = require('./routes/scrape');
+const { adminRoutes } = require('./routes/admin');
+const { dataRoutes } = require('./routes/data');
+const { systemRoutes } = require('./routes/system');
+const { authRoutes } = require('./routes/auth');
+
+// =====================================================
+// 🌐 APP FACTORY
+// =====================================================
+// createApp() only wires routes onto the context — it opens no connections,
+// registers no crons and never listens, so it can be mounted in-process
+// (supertest, fixture tooling) against test doubles. The shared context is
+// exposed as app.locals.ctx so the entry point can hand it to the worker.
+
+/**
+ * deps: { db, batchDb, redis, clock, httpClient } (plus optional stripe), see context.js.
+ */
+function createApp(deps) {
+    const ctx = createContext(deps);
+    const app = express();
+    app.locals.ctx = ctx;
+
+    // 503 on everything but /health until the database has every migration this release ships
+    app.use(ctx.schemaGate.middleware());
+
+    // --- Stripe webhook route MUST be before express.json() ---
+    app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), stripeWebhook(ctx));
+
+    // Middleware
+    app.use(cors({
+        origin: [ctx.frontendUrl, 'http://localhost:3000', 'http://localhost:5500', 'http://127.0.0.1:5500'],
+        credentials: true,
+        methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+    }));
+    app.use(express.json());
+    // req.principal from the API key / session token; routes opt in with ctx.auth.require(role)
+    app.use(ctx.auth.middleware());
+
+    app.use(authRoutes(ctx));
+
+    app.use(stripeRoutes(ctx));
+    app.use(matchingRoutes(ctx));
+    app.use(marketIntelligenceRoutes(ctx));
+    app.use(cpaRoutes(ctx));
+    app.use(scrapeRoutes(ctx));
+    app.use(adminRoutes(ctx));
+    app.use(dataRoutes(ctx));
+    app.use(systemRoutes(ctx));
+
+    return app;
+}
+
+module.exports = { createApp };
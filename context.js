@@ -0,0 +1,140 @@
+const Redis = require('redis');
+const { JobQueue } = require('./services/jobQueue');
+const { Scheduler } = require('./services/scheduler');
+const { FieldObservationStore } = require('./services/fieldObservations');
+const { EmailVerificationService } = require('./services/emailVerification');
+const { HttpClient } = require('./services/httpClient');
+const { Migrator } = require('./db/migrator');
+const { SchemaGate } = require('./db/schemaGate');
+const { AuthService } = require('./services/auth');
+const { CpaAccountService } = require('./services/cpaAccounts');
+const { CpaClaimService } = require('./services/cpaClaims');
+const { LicenceVerificationService } = require('./services/licenceVerification');
+const { MatchLifecycleService } = require('./services/matchLifecycle');
+const { MatchingWeightService } = require('./services/matchingWeights');
+const { createDbPool } = require('./db/pool');
+const { createStripeClient } = require('./stripe/plans');
+const { registerJobs } = require('./scheduler/jobs');
+const { DataCollectionOrchestrator } = require('./scrapers/marketData');
+const { CPAScraperOrchestrator } = require('./scrapers/cpaDirectories');
+const {
+  CorporationsCanadaBulkLoader, StatCanODBusLoader, FederalGrantsLoader, OrgBookBCScraper,
+  CRACharitiesLoader, CanadianImportersLoader, CIPOTrademarkLoader, LobbyistRegistryLoader,
+} = require('./scrapers/smeRegistries');
+const {
+  VancouverBizLicScraper, CalgaryBizLicScraper, TorontoBizLicScraper, EdmontonBizLicScraper, OttawaBizLicScraper,
+} = require('./scrapers/municipal');
+const { BusinessPriorityScorer } = require('./enrichers/priorityScoring');
+const { SMEEntityResolver } = require('./enrichers/smeEntityResolver');
+const { CPAPersonResolver } = require('./enrichers/cpaPersonResolver');
+const { FirmWebsiteEnricher } = require('./enrichers/firmWebsite');
+const { SMEEmailEnricher } = require('./enrichers/smeEmail');
+const {
+  YellowPagesWebsiteEnricher, Directory411Enricher, BBBProfileEnricher, ChamberDirectoryEnricher,
+} = require('./enrichers/directories');
+
+// =====================================================
+// 🧩 APPLICATION CONTEXT
+// =====================================================
+// Everything the API and the worker share, built from four injectable pieces:
+// db (pg pools), redis, clock ({ now() }) and httpClient. Services, loaders and
+// job types are derived from those, so a test or tool can swap any of them
+// for a double and get the whole graph wired against it.
+//
+// ctx.db is the web pool (API routes, statement timeout); ctx.batchDb is the
+// batch pool that loaders, enrichers, the job queue and the scheduler use.
+
+const systemClock = { now: () => new Date() };
+
+// Redis Configuration for Caching
+function createRedisClient() {
+  const redisClient = Redis.createClient({
+    url: process.env.REDIS_PRIVATE_URL || process.env.REDIS_URL || 'redis://localhost:6379'
+  });
+  redisClient.on('error', (err) => {
+    console.error('⚠️ Redis client error:', err.message);
+  });
+  return redisClient;
+}
+
+// Shared outbound HTTP: per-host politeness, robots.txt, retries, record/replay (HTTP_MODE)
+function createHttpClient() {
+  return new HttpClient({
+    hosts: { 'api.apollo.io': { concurrency: 4, minIntervalMs: 200 } }
+  });
+}
+
+/**
+ * Build the shared context. Only db is required (batchDb defaults to it, which
+ * is what the worker and tools pass); redis may be null (worker, tools) and
+ * Stripe defaults to the STRIPE_SECRET_KEY client (or null).
+ */
+function createContext({ db, batchDb = db, redis = null, clock = systemClock, httpClient = createHttpClient(), stripe = createStripeClient() }) {
+  const ctx = {
+    db,
+    batchDb,
+    redis,
+    clock,
+    httpClient,
+    stripe,
+    frontendUrl: process.env.FRONTEND_URL || 'https://canadaaccountants.app',
+  };
+
+  // Migration ledger check: API and worker stay closed while the schema is behind this release
+  ctx.migrator = new Migrator(db);
+  ctx.schemaGate = new SchemaGate(ctx.migrator);
+  // API keys, session tokens and the audit log (web pool: every check is on a request path)
+  ctx.auth = new AuthService(db, { clock });
+  // Passwordless CPA sign-in and the self-service profile behind /api/cpa/me
+  ctx.cpaAccounts = new CpaAccountService(db, { auth: ctx.auth, clock, frontendUrl: ctx.frontendUrl });
+  // Scraped directory listings claimed by the CPA they describe
+  ctx.cpaClaims = new CpaClaimService(db, { cpaAccounts: ctx.cpaAccounts, clock, frontendUrl: ctx.frontendUrl });
+  // Introductions, engagements and ratings on cpa_matches
+  ctx.matchLifecycle = new MatchLifecycleService(db, { auth: ctx.auth, clock, frontendUrl: ctx.frontendUrl });
+  // Versioned matching weight profiles and the A/B experiments between them
+  ctx.matchingWeights = new MatchingWeightService(db, { clock });
+  // Persistent job queue (job types are registered once the loaders exist)
+  ctx.jobQueue = new JobQueue(batchDb);
+  // Field-level provenance for enriched website / email / phone values
+  ctx.fieldObservations = new FieldObservationStore(batchDb);
+  // Shared deliverability checks (SMTP / MX / ZeroBounce / HTTP) for every enricher
+  ctx.emailVerifier = new EmailVerificationService(batchDb, { http: httpClient });
+  ctx.scheduler = new Scheduler(batchDb, ctx.jobQueue);
+  ctx.dataOrchestrator = new DataCollectionOrchestrator({ db: batchDb, httpClient });
+  ctx.loaders = createLoaders(ctx);
+  // Licence checks against the provincial directories (batch pool: mostly run by the scheduled job)
+  ctx.licenceVerifier = new LicenceVerificationService(batchDb, { directories: ctx.loaders.cpaScraperOrchestrator, clock });
+
+  registerJobs(ctx);
+  return ctx;
+}
+
+function createLoaders(deps) {
+  return {
+    cpaScraperOrchestrator: new CPAScraperOrchestrator(deps),
+    corporationsCanadaAPI: new CorporationsCanadaBulkLoader(deps),
+    statCanODBusLoader: new StatCanODBusLoader(deps),
+    vancouverBizLicScraper: new VancouverBizLicScraper(deps),
+    calgaryBizLicScraper: new CalgaryBizLicScraper(deps),
+    torontoBizLicScraper: new TorontoBizLicScraper(deps),
+    edmontonBizLicScraper: new EdmontonBizLicScraper(deps),
+    businessPriorityScorer: new BusinessPriorityScorer(deps),
+    firmWebsiteEnricher: new FirmWebsiteEnricher(deps),
+    smeEmailEnricher: new SMEEmailEnricher(deps),
+    yellowPagesEnricher: new YellowPagesWebsiteEnricher(deps),
+    directory411Enricher: new Directory411Enricher(deps),
+    bbbProfileEnricher: new BBBProfileEnricher(deps),
+    chamberDirectoryEnricher: new ChamberDirectoryEnricher(deps),
+    federalGrantsLoader: new FederalGrantsLoader(deps),
+    orgBookBCScraper: new OrgBookBCScraper(deps),
+    craCharitiesLoader: new CRACharitiesLoader(deps),
+    canadianImportersLoader: new CanadianImportersLoader(deps),
+    ottawaBizLicScraper: new OttawaBizLicScraper(deps),
+    cipoTrademarkLoader: new CIPOTrademarkLoader(deps),
+    lobbyistRegistryLoader: new LobbyistRegistryLoader(deps),
+    smeEntityResolver: new SMEEntityResolver(deps),
+    cpaPersonResolver: new CPAPersonResolver(deps),
+  };
+}
+
+module.exports = { createContext, createDbPool, createRedisClient, createHttpClient, systemClock };
@@ -0,0 +1,75 @@
+// Market data, SME intake and the legacy CPA performance table.
+// 001–010 are the former boot-time createTables() DDL, kept IF NOT EXISTS so
+// they adopt a database that DDL already built.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS market_data (
+                id SERIAL PRIMARY KEY,
+                source VARCHAR(100) NOT NULL,
+                metric_name VARCHAR(200) NOT NULL,
+                metric_value DECIMAL(10,2),
+                province VARCHAR(50),
+                industry VARCHAR(100),
+                collection_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                is_current BOOLEAN DEFAULT true
+            );
+
+            CREATE TABLE IF NOT EXISTS sme_submissions (
+                id SERIAL PRIMARY KEY,
+                business_name VARCHAR(200),
+                industry VARCHAR(100),
+                province VARCHAR(50),
+                revenue_range VARCHAR(50),
+                employees_range VARCHAR(50),
+                primary_challenge TEXT,
+                seasonal_peak VARCHAR(20),
+                tech_stack VARCHAR(100),
+                growth_stage VARCHAR(50),
+                submission_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS sme_friction_requests (
+                id SERIAL PRIMARY KEY,
+                request_id VARCHAR(255),
+                session_id VARCHAR(255),
+                pain_point VARCHAR(255),
+                business_type VARCHAR(255),
+                business_size VARCHAR(255),
+                urgency_level VARCHAR(255),
+                services_needed TEXT,
+                time_being_lost VARCHAR(255),
+                budget_range VARCHAR(255),
+                additional_context TEXT,
+                contact_info TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS cpa_performance (
+                id SERIAL PRIMARY KEY,
+                cpa_name VARCHAR(200),
+                province VARCHAR(50),
+                specialization VARCHAR(100),
+                response_time_hours DECIMAL(4,2),
+                satisfaction_rating DECIMAL(3,2),
+                matches_completed INTEGER DEFAULT 0,
+                last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_market_data_current ON market_data(is_current);
+            CREATE INDEX IF NOT EXISTS idx_submissions_date ON sme_submissions(submission_date);
+            CREATE INDEX IF NOT EXISTS idx_cpa_province ON cpa_performance(province);
+            CREATE INDEX IF NOT EXISTS idx_sme_friction_session ON sme_friction_requests(session_id);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS cpa_performance;
+            DROP TABLE IF EXISTS sme_friction_requests;
+            DROP TABLE IF EXISTS sme_submissions;
+            DROP TABLE IF EXISTS market_data;
+        `);
+    },
+};
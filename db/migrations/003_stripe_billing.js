@@ -0,0 +1,53 @@
+// Stripe subscriptions, payments and processed webhook events.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS cpa_subscriptions (
+                id SERIAL PRIMARY KEY,
+                email VARCHAR(255) NOT NULL,
+                cpa_profile_id VARCHAR(255),
+                stripe_customer_id VARCHAR(255),
+                stripe_subscription_id VARCHAR(255) UNIQUE,
+                tier VARCHAR(50) NOT NULL,
+                billing_interval VARCHAR(20) NOT NULL DEFAULT 'monthly',
+                status VARCHAR(50) NOT NULL DEFAULT 'incomplete',
+                current_period_start TIMESTAMP,
+                current_period_end TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS stripe_transactions (
+                id SERIAL PRIMARY KEY,
+                stripe_payment_intent_id VARCHAR(255),
+                stripe_invoice_id VARCHAR(255),
+                stripe_subscription_id VARCHAR(255),
+                email VARCHAR(255),
+                amount_cents INTEGER NOT NULL,
+                currency VARCHAR(10) NOT NULL DEFAULT 'cad',
+                status VARCHAR(50) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS webhook_events (
+                id SERIAL PRIMARY KEY,
+                stripe_event_id VARCHAR(255) UNIQUE NOT NULL,
+                event_type VARCHAR(100) NOT NULL,
+                processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_cpa_subscriptions_email ON cpa_subscriptions(email);
+            CREATE INDEX IF NOT EXISTS idx_cpa_subscriptions_stripe_customer ON cpa_subscriptions(stripe_customer_id);
+            CREATE INDEX IF NOT EXISTS idx_stripe_transactions_subscription ON stripe_transactions(stripe_subscription_id);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS webhook_events;
+            DROP TABLE IF EXISTS stripe_transactions;
+            DROP TABLE IF EXISTS cpa_subscriptions;
+        `);
+    },
+};
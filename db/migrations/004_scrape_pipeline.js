@@ -0,0 +1,134 @@
+// Scrape job ledger and the raw scraped_cpas / scraped_smes tables, including
+// the prospect scoring and enrichment columns added to scraped_smes later.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS scrape_jobs (
+                id SERIAL PRIMARY KEY,
+                source VARCHAR(100) NOT NULL,
+                status VARCHAR(50) NOT NULL DEFAULT 'running',
+                records_found INTEGER DEFAULT 0,
+                records_inserted INTEGER DEFAULT 0,
+                records_skipped INTEGER DEFAULT 0,
+                error_message TEXT,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_scrape_jobs_source ON scrape_jobs(source);
+            CREATE INDEX IF NOT EXISTS idx_scrape_jobs_status ON scrape_jobs(status);
+            ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS records_merged INTEGER DEFAULT 0;
+            ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS records_errored INTEGER DEFAULT 0;
+            ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS records_updated INTEGER DEFAULT 0;
+            ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS checkpoint JSONB;
+            ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS checkpoint_at TIMESTAMP;
+            ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS resumed_from_job_id INTEGER;
+            ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS progress JSONB;
+
+            CREATE TABLE IF NOT EXISTS scraped_cpas (
+                id SERIAL PRIMARY KEY,
+                source VARCHAR(100) NOT NULL,
+                first_name VARCHAR(255),
+                last_name VARCHAR(255),
+                full_name VARCHAR(500),
+                designation VARCHAR(100),
+                province VARCHAR(50),
+                city VARCHAR(255),
+                firm_name VARCHAR(500),
+                firm_website VARCHAR(500),
+                phone VARCHAR(50),
+                email VARCHAR(255),
+                enriched_email VARCHAR(255),
+                enrichment_source VARCHAR(255),
+                enrichment_date TIMESTAMP,
+                name_hash VARCHAR(64),
+                status VARCHAR(50) DEFAULT 'raw',
+                scrape_job_id INTEGER,
+                scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_scraped_cpas_source ON scraped_cpas(source);
+            CREATE INDEX IF NOT EXISTS idx_scraped_cpas_province ON scraped_cpas(province);
+            CREATE INDEX IF NOT EXISTS idx_scraped_cpas_status ON scraped_cpas(status);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_scraped_cpas_name_hash ON scraped_cpas(name_hash) WHERE name_hash IS NOT NULL;
+
+            CREATE TABLE IF NOT EXISTS scraped_smes (
+                id SERIAL PRIMARY KEY,
+                source VARCHAR(100) NOT NULL,
+                business_name VARCHAR(500),
+                corporate_number VARCHAR(100),
+                naics_code VARCHAR(20),
+                industry VARCHAR(255),
+                province VARCHAR(50),
+                city VARCHAR(255),
+                business_status VARCHAR(100),
+                contact_email VARCHAR(255),
+                website VARCHAR(500),
+                enrichment_source VARCHAR(255),
+                enrichment_date TIMESTAMP,
+                status VARCHAR(50) DEFAULT 'raw',
+                scrape_job_id INTEGER,
+                scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_scraped_smes_source ON scraped_smes(source);
+            CREATE INDEX IF NOT EXISTS idx_scraped_smes_province ON scraped_smes(province);
+            CREATE INDEX IF NOT EXISTS idx_scraped_smes_status ON scraped_smes(status);
+            CREATE INDEX IF NOT EXISTS idx_scraped_smes_corporate_number ON scraped_smes(corporate_number);
+        `);
+
+        // Prospect scoring & enrichment columns
+        await db.query(`
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS phone VARCHAR(30);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS full_address TEXT;
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS postal_code VARCHAR(10);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS latitude DECIMAL(10,7);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS longitude DECIMAL(10,7);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS employee_count VARCHAR(50);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS incorporation_date DATE;
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS directors JSONB;
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS business_type VARCHAR(100);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS years_in_business INTEGER;
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS data_sources JSONB DEFAULT '[]';
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS score_accountants INTEGER;
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS score_lawyers INTEGER;
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS score_investing INTEGER;
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS queue_status_accountants VARCHAR(30) DEFAULT 'unscored';
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS queue_status_lawyers VARCHAR(30) DEFAULT 'unscored';
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS queue_status_investing VARCHAR(30) DEFAULT 'unscored';
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS name_province_hash VARCHAR(64);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS contact_phone VARCHAR(30);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS contact_name VARCHAR(200);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS enrichment_attempts INTEGER DEFAULT 0;
+
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS website_source VARCHAR(100);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT FALSE;
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS email_verification_method VARCHAR(50);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS enrichment_phase VARCHAR(50) DEFAULT 'pending';
+
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS grant_amount DECIMAL(14,2);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS grant_program VARCHAR(200);
+
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_smes_name_province_hash
+                ON scraped_smes(name_province_hash) WHERE name_province_hash IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_smes_score_acct ON scraped_smes(score_accountants DESC NULLS LAST);
+            CREATE INDEX IF NOT EXISTS idx_smes_score_law ON scraped_smes(score_lawyers DESC NULLS LAST);
+            CREATE INDEX IF NOT EXISTS idx_smes_score_inv ON scraped_smes(score_investing DESC NULLS LAST);
+            CREATE INDEX IF NOT EXISTS idx_smes_naics ON scraped_smes(naics_code);
+            CREATE INDEX IF NOT EXISTS idx_smes_no_website ON scraped_smes(id)
+                WHERE website IS NULL AND business_name IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_smes_has_website_no_email ON scraped_smes(id)
+                WHERE contact_email IS NULL AND website IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_smes_enrichment_phase ON scraped_smes(enrichment_phase);
+            CREATE INDEX IF NOT EXISTS idx_scraped_smes_industry ON scraped_smes(industry);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS scraped_smes;
+            DROP TABLE IF EXISTS scraped_cpas;
+            DROP TABLE IF EXISTS scrape_jobs;
+        `);
+    },
+};
@@ -0,0 +1,55 @@
+// Persistent job queue and the DB-backed cron schedule registry.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS job_queue (
+                id SERIAL PRIMARY KEY,
+                job_type VARCHAR(100) NOT NULL,
+                payload JSONB DEFAULT '{}',
+                status VARCHAR(20) DEFAULT 'queued',
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 3,
+                run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                locked_by VARCHAR(255),
+                lease_expires_at TIMESTAMP,
+                heartbeat_at TIMESTAMP,
+                cancel_requested BOOLEAN DEFAULT false,
+                result JSONB,
+                last_error TEXT,
+                requested_by VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                started_at TIMESTAMP,
+                completed_at TIMESTAMP
+            );
+            ALTER TABLE job_queue ADD COLUMN IF NOT EXISTS concurrency_group VARCHAR(100);
+            ALTER TABLE job_queue ADD COLUMN IF NOT EXISTS max_runtime_seconds INTEGER;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_job_queue_active_type ON job_queue(job_type) WHERE status IN ('queued', 'running');
+            CREATE INDEX IF NOT EXISTS idx_job_queue_claim ON job_queue(status, run_after);
+            CREATE INDEX IF NOT EXISTS idx_job_queue_group ON job_queue(concurrency_group) WHERE status = 'running';
+
+            CREATE TABLE IF NOT EXISTS scheduled_jobs (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) UNIQUE NOT NULL,
+                source VARCHAR(100) NOT NULL,
+                cron_expression VARCHAR(100) NOT NULL,
+                timezone VARCHAR(64) DEFAULT 'UTC',
+                enabled BOOLEAN DEFAULT true,
+                max_runtime_minutes INTEGER,
+                concurrency_group VARCHAR(100),
+                description TEXT,
+                last_enqueued_at TIMESTAMP,
+                last_job_id INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS scheduled_jobs;
+            DROP TABLE IF EXISTS job_queue;
+        `);
+    },
+};
@@ -0,0 +1,42 @@
+// Corporations Canada change tracking: per-corporation fingerprints and the change log.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS corporation_fingerprints (
+                corporate_number VARCHAR(50) PRIMARY KEY,
+                content_hash VARCHAR(64) NOT NULL,
+                fields JSONB,
+                status VARCHAR(100),
+                first_seen_job_id INTEGER,
+                last_seen_job_id INTEGER,
+                first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                removed_at TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_corp_fingerprints_last_seen ON corporation_fingerprints(last_seen_job_id);
+
+            CREATE TABLE IF NOT EXISTS corporation_changes (
+                id SERIAL PRIMARY KEY,
+                corporate_number VARCHAR(50) NOT NULL,
+                change_type VARCHAR(20) NOT NULL,
+                business_name VARCHAR(500),
+                previous_status VARCHAR(100),
+                new_status VARCHAR(100),
+                changed_fields JSONB,
+                scrape_job_id INTEGER,
+                detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_corp_changes_type_date ON corporation_changes(change_type, detected_at);
+            CREATE INDEX IF NOT EXISTS idx_corp_changes_number ON corporation_changes(corporate_number);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS corporation_changes;
+            DROP TABLE IF EXISTS corporation_fingerprints;
+        `);
+    },
+};
@@ -0,0 +1,66 @@
+// Entity resolution: scraped_smes rows clustered into canonical businesses.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS sme_entities (
+                id SERIAL PRIMARY KEY,
+                canonical_name VARCHAR(500),
+                normalized_name VARCHAR(500),
+                province VARCHAR(50),
+                city VARCHAR(255),
+                corporate_number VARCHAR(100),
+                website VARCHAR(500),
+                phone VARCHAR(30),
+                postal_code VARCHAR(10),
+                data_sources JSONB DEFAULT '[]',
+                member_count INTEGER DEFAULT 0,
+                confidence DECIMAL(4,3),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_sme_entities_members ON sme_entities(member_count DESC, confidence);
+
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS entity_id INTEGER;
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS entity_confidence DECIMAL(4,3);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS entity_method VARCHAR(20);
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS entity_evidence JSONB;
+            ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS entity_resolved_at TIMESTAMP;
+            CREATE INDEX IF NOT EXISTS idx_smes_entity ON scraped_smes(entity_id);
+            CREATE INDEX IF NOT EXISTS idx_smes_unresolved ON scraped_smes(id) WHERE entity_id IS NULL;
+
+            CREATE TABLE IF NOT EXISTS sme_match_keys (
+                sme_id INTEGER NOT NULL,
+                key_type VARCHAR(20) NOT NULL,
+                key_value VARCHAR(600) NOT NULL,
+                PRIMARY KEY (sme_id, key_type, key_value)
+            );
+            CREATE INDEX IF NOT EXISTS idx_sme_match_keys_lookup ON sme_match_keys(key_type, key_value);
+
+            CREATE TABLE IF NOT EXISTS sme_entity_events (
+                id SERIAL PRIMARY KEY,
+                action VARCHAR(20) NOT NULL,
+                entity_id INTEGER,
+                source_entity_ids INTEGER[],
+                sme_ids INTEGER[],
+                actor VARCHAR(255),
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_sme_entity_events_entity ON sme_entity_events(entity_id);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS sme_entity_events;
+            DROP TABLE IF EXISTS sme_match_keys;
+            ALTER TABLE scraped_smes DROP COLUMN IF EXISTS entity_id;
+            ALTER TABLE scraped_smes DROP COLUMN IF EXISTS entity_confidence;
+            ALTER TABLE scraped_smes DROP COLUMN IF EXISTS entity_method;
+            ALTER TABLE scraped_smes DROP COLUMN IF EXISTS entity_evidence;
+            ALTER TABLE scraped_smes DROP COLUMN IF EXISTS entity_resolved_at;
+            DROP TABLE IF EXISTS sme_entities;
+        `);
+    },
+};
@@ -0,0 +1,56 @@
+// CPA person registry: scraped_cpas rows from every directory + Apollo linked to one canonical person.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS cpa_persons (
+                id SERIAL PRIMARY KEY,
+                full_name VARCHAR(500),
+                first_name VARCHAR(255),
+                last_name VARCHAR(255),
+                designation VARCHAR(100),
+                province VARCHAR(50),
+                city VARCHAR(255),
+                firm_name VARCHAR(500),
+                firm_website VARCHAR(500),
+                email VARCHAR(255),
+                phone VARCHAR(50),
+                provinces JSONB DEFAULT '[]',
+                sources JSONB DEFAULT '[]',
+                field_sources JSONB DEFAULT '{}',
+                member_count INTEGER DEFAULT 0,
+                confidence DECIMAL(4,3),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_cpa_persons_province ON cpa_persons(province);
+            CREATE INDEX IF NOT EXISTS idx_cpa_persons_last_name ON cpa_persons(LOWER(last_name));
+
+            ALTER TABLE scraped_cpas ADD COLUMN IF NOT EXISTS person_id INTEGER;
+            ALTER TABLE scraped_cpas ADD COLUMN IF NOT EXISTS person_confidence DECIMAL(4,3);
+            ALTER TABLE scraped_cpas ADD COLUMN IF NOT EXISTS person_evidence JSONB;
+            ALTER TABLE scraped_cpas ADD COLUMN IF NOT EXISTS person_resolved_at TIMESTAMP;
+            CREATE INDEX IF NOT EXISTS idx_scraped_cpas_person ON scraped_cpas(person_id);
+            CREATE INDEX IF NOT EXISTS idx_scraped_cpas_unresolved ON scraped_cpas(id) WHERE person_id IS NULL;
+
+            CREATE TABLE IF NOT EXISTS cpa_person_keys (
+                scraped_cpa_id INTEGER NOT NULL,
+                key_type VARCHAR(20) NOT NULL,
+                key_value VARCHAR(300) NOT NULL,
+                PRIMARY KEY (scraped_cpa_id, key_type, key_value)
+            );
+            CREATE INDEX IF NOT EXISTS idx_cpa_person_keys_lookup ON cpa_person_keys(key_type, key_value);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS cpa_person_keys;
+            ALTER TABLE scraped_cpas DROP COLUMN IF EXISTS person_id;
+            ALTER TABLE scraped_cpas DROP COLUMN IF EXISTS person_confidence;
+            ALTER TABLE scraped_cpas DROP COLUMN IF EXISTS person_evidence;
+            ALTER TABLE scraped_cpas DROP COLUMN IF EXISTS person_resolved_at;
+            DROP TABLE IF EXISTS cpa_persons;
+        `);
+    },
+};
@@ -0,0 +1,32 @@
+// Field-level provenance: every value each source proposed for an enriched field.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS field_observations (
+                id SERIAL PRIMARY KEY,
+                entity_type VARCHAR(20) NOT NULL,
+                entity_id INTEGER NOT NULL,
+                field VARCHAR(50) NOT NULL,
+                value TEXT NOT NULL,
+                source VARCHAR(255) NOT NULL,
+                confidence DECIMAL(4,3),
+                scrape_job_id INTEGER,
+                is_current BOOLEAN DEFAULT FALSE,
+                observed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                retracted_at TIMESTAMP,
+                retract_reason TEXT
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_field_obs_unique
+                ON field_observations(entity_type, entity_id, field, source, value);
+            CREATE INDEX IF NOT EXISTS idx_field_obs_entity ON field_observations(entity_type, entity_id, field);
+            CREATE INDEX IF NOT EXISTS idx_field_obs_source ON field_observations(source, observed_at);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS field_observations;
+        `);
+    },
+};
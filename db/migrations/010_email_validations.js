@@ -0,0 +1,27 @@
+// Email verification cache (one row per address, latest verdict wins).
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS email_validations (
+                email VARCHAR(255) PRIMARY KEY,
+                status VARCHAR(20) NOT NULL,
+                sub_status VARCHAR(100),
+                provider VARCHAR(50),
+                domain VARCHAR(255),
+                mx_host VARCHAR(255),
+                validated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            ALTER TABLE email_validations ADD COLUMN IF NOT EXISTS provider VARCHAR(50);
+            ALTER TABLE email_validations ADD COLUMN IF NOT EXISTS domain VARCHAR(255);
+            ALTER TABLE email_validations ADD COLUMN IF NOT EXISTS mx_host VARCHAR(255);
+            CREATE INDEX IF NOT EXISTS idx_email_validations_domain ON email_validations(domain);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS email_validations;
+        `);
+    },
+};
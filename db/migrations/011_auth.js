@@ -0,0 +1,60 @@
+// API keys, session tokens and the audit log of authenticated actions.
+// Only SHA-256 hashes of tokens are stored; the plaintext is shown once at creation.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE api_keys (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                key_prefix VARCHAR(20) NOT NULL,
+                key_hash VARCHAR(64) UNIQUE NOT NULL,
+                role VARCHAR(30) NOT NULL,
+                subject VARCHAR(255),
+                created_by VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP,
+                last_used_at TIMESTAMP,
+                revoked_at TIMESTAMP
+            );
+
+            CREATE TABLE auth_sessions (
+                id SERIAL PRIMARY KEY,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                role VARCHAR(30) NOT NULL,
+                subject VARCHAR(255),
+                label VARCHAR(255),
+                api_key_id INTEGER REFERENCES api_keys(id) ON DELETE CASCADE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL,
+                last_seen_at TIMESTAMP,
+                revoked_at TIMESTAMP
+            );
+            CREATE INDEX idx_auth_sessions_expiry ON auth_sessions(expires_at) WHERE revoked_at IS NULL;
+
+            CREATE TABLE audit_log (
+                id SERIAL PRIMARY KEY,
+                actor VARCHAR(255) NOT NULL,
+                role VARCHAR(30),
+                action VARCHAR(100) NOT NULL,
+                method VARCHAR(10),
+                path VARCHAR(500),
+                details JSONB,
+                status_code INTEGER,
+                ip VARCHAR(64),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX idx_audit_log_created ON audit_log(created_at DESC);
+            CREATE INDEX idx_audit_log_actor ON audit_log(actor, created_at DESC);
+            CREATE INDEX idx_audit_log_action ON audit_log(action, created_at DESC);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TABLE IF EXISTS audit_log;
+            DROP TABLE IF EXISTS auth_sessions;
+            DROP TABLE IF EXISTS api_keys;
+        `);
+    },
+};
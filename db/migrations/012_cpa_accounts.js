@@ -0,0 +1,54 @@
+// Passwordless CPA accounts: single-use sign-in links, account state on
+// cpa_profiles, and the profile ↔ subscription ↔ Stripe customer link.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE cpa_login_tokens (
+                id SERIAL PRIMARY KEY,
+                cpa_id VARCHAR(255) NOT NULL,
+                email VARCHAR(255) NOT NULL,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                requested_ip VARCHAR(64),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL,
+                used_at TIMESTAMP
+            );
+            CREATE INDEX idx_cpa_login_tokens_email ON cpa_login_tokens(LOWER(email), created_at);
+
+            ALTER TABLE cpa_profiles ADD COLUMN stripe_customer_id VARCHAR(255);
+            ALTER TABLE cpa_profiles ADD COLUMN email_verified_at TIMESTAMP;
+            ALTER TABLE cpa_profiles ADD COLUMN last_login_at TIMESTAMP;
+            ALTER TABLE cpa_profiles ADD COLUMN deactivated_at TIMESTAMP;
+            CREATE INDEX idx_cpa_profiles_email_lower ON cpa_profiles(LOWER(email));
+            CREATE INDEX idx_cpa_profiles_stripe_customer ON cpa_profiles(stripe_customer_id);
+            CREATE INDEX idx_cpa_subscriptions_profile ON cpa_subscriptions(cpa_profile_id);
+
+            -- Subscriptions bought before accounts existed: link them to the profile with the same email
+            UPDATE cpa_subscriptions s SET cpa_profile_id = p.cpa_id
+            FROM cpa_profiles p
+            WHERE NULLIF(s.cpa_profile_id, '') IS NULL AND LOWER(s.email) = LOWER(p.email);
+
+            UPDATE cpa_profiles p SET stripe_customer_id = latest.stripe_customer_id
+            FROM (
+                SELECT DISTINCT ON (cpa_profile_id) cpa_profile_id, stripe_customer_id
+                FROM cpa_subscriptions
+                WHERE stripe_customer_id IS NOT NULL AND NULLIF(cpa_profile_id, '') IS NOT NULL
+                ORDER BY cpa_profile_id, updated_at DESC
+            ) latest
+            WHERE latest.cpa_profile_id = p.cpa_id AND p.stripe_customer_id IS NULL;
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP INDEX IF EXISTS idx_cpa_subscriptions_profile;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS deactivated_at;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS last_login_at;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS email_verified_at;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS stripe_customer_id;
+            DROP INDEX IF EXISTS idx_cpa_profiles_email_lower;
+            DROP TABLE IF EXISTS cpa_login_tokens;
+        `);
+    },
+};
@@ -0,0 +1,44 @@
+// Claim-your-profile: a scraped directory CPA proves control of an email on
+// record (or at their firm's domain) and the scraped row is converted into,
+// or linked to, a cpa_profiles account.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE cpa_profile_claims (
+                id SERIAL PRIMARY KEY,
+                scraped_cpa_id INTEGER NOT NULL REFERENCES scraped_cpas(id) ON DELETE CASCADE,
+                email VARCHAR(255) NOT NULL,
+                email_source VARCHAR(50) NOT NULL,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                requested_ip VARCHAR(64),
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                cpa_id VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL,
+                confirmed_at TIMESTAMP
+            );
+            CREATE INDEX idx_cpa_profile_claims_scraped ON cpa_profile_claims(scraped_cpa_id, created_at);
+
+            ALTER TABLE scraped_cpas ADD COLUMN cpa_profile_id VARCHAR(255);
+            ALTER TABLE scraped_cpas ADD COLUMN converted_at TIMESTAMP;
+            CREATE INDEX idx_scraped_cpas_cpa_profile ON scraped_cpas(cpa_profile_id) WHERE cpa_profile_id IS NOT NULL;
+            CREATE INDEX idx_scraped_cpas_last_name ON scraped_cpas(LOWER(last_name));
+
+            ALTER TABLE cpa_profiles ADD COLUMN designation VARCHAR(100);
+            ALTER TABLE cpa_profiles ADD COLUMN claimed_scraped_cpa_id INTEGER;
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS claimed_scraped_cpa_id;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS designation;
+            DROP INDEX IF EXISTS idx_scraped_cpas_last_name;
+            DROP INDEX IF EXISTS idx_scraped_cpas_cpa_profile;
+            ALTER TABLE scraped_cpas DROP COLUMN IF EXISTS converted_at;
+            ALTER TABLE scraped_cpas DROP COLUMN IF EXISTS cpa_profile_id;
+            DROP TABLE IF EXISTS cpa_profile_claims;
+        `);
+    },
+};
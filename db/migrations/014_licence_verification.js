@@ -0,0 +1,53 @@
+// Licence verification: every automated check of a cpa_profiles registrant
+// against their provincial CPA directory, with the evidence and a manual
+// review queue for checks that could not decide.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE licence_verifications (
+                id SERIAL PRIMARY KEY,
+                cpa_id VARCHAR(255) NOT NULL,
+                province VARCHAR(50),
+                source VARCHAR(100),
+                trigger VARCHAR(30) NOT NULL,
+                outcome VARCHAR(30) NOT NULL,
+                reason TEXT,
+                confidence DECIMAL(4,3),
+                query JSONB,
+                candidates JSONB,
+                matched JSONB,
+                requested_by VARCHAR(255),
+                checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                review_status VARCHAR(20),
+                review_decision VARCHAR(30),
+                review_notes TEXT,
+                reviewed_by VARCHAR(255),
+                reviewed_at TIMESTAMP
+            );
+            CREATE INDEX idx_licence_verifications_cpa ON licence_verifications(cpa_id, checked_at DESC);
+            CREATE INDEX idx_licence_verifications_review ON licence_verifications(checked_at) WHERE review_status = 'pending';
+
+            ALTER TABLE cpa_profiles ADD COLUMN licence_source VARCHAR(100);
+            ALTER TABLE cpa_profiles ADD COLUMN licence_status VARCHAR(100);
+            ALTER TABLE cpa_profiles ADD COLUMN licence_verified_at TIMESTAMP;
+            ALTER TABLE cpa_profiles ADD COLUMN licence_checked_at TIMESTAMP;
+            -- Defaults to now: new registrations and every existing profile (including ones
+            -- flipped to verified by hand) get checked on the next verification run
+            ALTER TABLE cpa_profiles ADD COLUMN licence_next_check_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+            CREATE INDEX idx_cpa_profiles_licence_due ON cpa_profiles(licence_next_check_at) WHERE licence_next_check_at IS NOT NULL;
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP INDEX IF EXISTS idx_cpa_profiles_licence_due;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS licence_next_check_at;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS licence_checked_at;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS licence_verified_at;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS licence_status;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS licence_source;
+            DROP TABLE IF EXISTS licence_verifications;
+        `);
+    },
+};
@@ -0,0 +1,57 @@
+// Match lifecycle: cpa_matches move suggested → intro_requested → accepted →
+// engaged → completed (or dismissed / declined / cancelled / expired), with
+// every transition logged in cpa_match_events.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE cpa_matches ADD COLUMN status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+            ALTER TABLE cpa_matches ADD COLUMN expires_at TIMESTAMP;
+            ALTER TABLE cpa_matches ADD COLUMN intro_requested_at TIMESTAMP;
+            ALTER TABLE cpa_matches ADD COLUMN intro_message TEXT;
+            ALTER TABLE cpa_matches ADD COLUMN cpa_responded_at TIMESTAMP;
+            ALTER TABLE cpa_matches ADD COLUMN decline_reason TEXT;
+            ALTER TABLE cpa_matches ADD COLUMN engagement_started_at TIMESTAMP;
+            ALTER TABLE cpa_matches ADD COLUMN engagement_completed_at TIMESTAMP;
+            UPDATE cpa_matches SET status_changed_at = match_date;
+            UPDATE cpa_matches SET expires_at = match_date + INTERVAL '14 days' WHERE status = 'suggested';
+            CREATE INDEX idx_cpa_matches_client ON cpa_matches(client_id, match_date DESC);
+            CREATE INDEX idx_cpa_matches_cpa ON cpa_matches(cpa_id, match_date DESC);
+            CREATE INDEX idx_cpa_matches_expiry ON cpa_matches(expires_at) WHERE status IN ('suggested', 'intro_requested');
+
+            CREATE TABLE cpa_match_events (
+                id SERIAL PRIMARY KEY,
+                match_id INTEGER NOT NULL REFERENCES cpa_matches(id) ON DELETE CASCADE,
+                from_status VARCHAR(50),
+                to_status VARCHAR(50) NOT NULL,
+                actor_type VARCHAR(20) NOT NULL,
+                actor VARCHAR(255),
+                note TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX idx_cpa_match_events_match ON cpa_match_events(match_id, created_at);
+
+            ALTER TABLE client_preferences ADD COLUMN contact_name VARCHAR(255);
+            ALTER TABLE client_preferences ADD COLUMN contact_email VARCHAR(255);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            ALTER TABLE client_preferences DROP COLUMN IF EXISTS contact_email;
+            ALTER TABLE client_preferences DROP COLUMN IF EXISTS contact_name;
+            DROP TABLE IF EXISTS cpa_match_events;
+            DROP INDEX IF EXISTS idx_cpa_matches_expiry;
+            DROP INDEX IF EXISTS idx_cpa_matches_cpa;
+            DROP INDEX IF EXISTS idx_cpa_matches_client;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS engagement_completed_at;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS engagement_started_at;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS decline_reason;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS cpa_responded_at;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS intro_message;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS intro_requested_at;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS expires_at;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS status_changed_at;
+        `);
+    },
+};
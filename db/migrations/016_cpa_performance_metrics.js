@@ -0,0 +1,36 @@
+// cpa_performance becomes one row per cpa_profiles CPA, derived from
+// cpa_matches outcomes by the cpa_performance job and read by the matching
+// engine's reputation factor.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE cpa_performance ADD COLUMN cpa_id VARCHAR(255);
+            ALTER TABLE cpa_performance ADD COLUMN intro_requests INTEGER DEFAULT 0;
+            ALTER TABLE cpa_performance ADD COLUMN intros_responded INTEGER DEFAULT 0;
+            ALTER TABLE cpa_performance ADD COLUMN intros_accepted INTEGER DEFAULT 0;
+            ALTER TABLE cpa_performance ADD COLUMN engagements_started INTEGER DEFAULT 0;
+            ALTER TABLE cpa_performance ADD COLUMN ratings_count INTEGER DEFAULT 0;
+            ALTER TABLE cpa_performance ADD COLUMN rating_sum INTEGER DEFAULT 0;
+            ALTER TABLE cpa_performance ADD COLUMN reputation_score DECIMAL(4,3);
+            -- Introductions may wait up to MATCH_INTRO_RESPONSE_DAYS; 99.99 hours was too small
+            ALTER TABLE cpa_performance ALTER COLUMN response_time_hours TYPE DECIMAL(7,2);
+            CREATE UNIQUE INDEX idx_cpa_performance_cpa_id ON cpa_performance(cpa_id);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP INDEX IF EXISTS idx_cpa_performance_cpa_id;
+            ALTER TABLE cpa_performance ALTER COLUMN response_time_hours TYPE DECIMAL(4,2) USING LEAST(response_time_hours, 99.99);
+            ALTER TABLE cpa_performance DROP COLUMN IF EXISTS reputation_score;
+            ALTER TABLE cpa_performance DROP COLUMN IF EXISTS rating_sum;
+            ALTER TABLE cpa_performance DROP COLUMN IF EXISTS ratings_count;
+            ALTER TABLE cpa_performance DROP COLUMN IF EXISTS engagements_started;
+            ALTER TABLE cpa_performance DROP COLUMN IF EXISTS intros_accepted;
+            ALTER TABLE cpa_performance DROP COLUMN IF EXISTS intros_responded;
+            ALTER TABLE cpa_performance DROP COLUMN IF EXISTS intro_requests;
+            ALTER TABLE cpa_performance DROP COLUMN IF EXISTS cpa_id;
+        `);
+    },
+};
@@ -0,0 +1,77 @@
+// Matching weights move out of CPAMatchingEngine into versioned profiles, with
+// A/B experiments that split clients across profiles. Every cpa_matches row
+// records the profile (and experiment arm) that scored it.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE matching_weight_profiles (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                version INTEGER NOT NULL,
+                weights JSONB NOT NULL,
+                description TEXT,
+                is_default BOOLEAN NOT NULL DEFAULT false,
+                created_by VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (name, version)
+            );
+            CREATE UNIQUE INDEX idx_matching_weight_profiles_default ON matching_weight_profiles(is_default) WHERE is_default;
+
+            CREATE TABLE matching_experiments (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) UNIQUE NOT NULL,
+                description TEXT,
+                status VARCHAR(20) NOT NULL DEFAULT 'running',
+                created_by VARCHAR(255),
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                stopped_at TIMESTAMP
+            );
+            -- One experiment at a time, so a client is never in two arms
+            CREATE UNIQUE INDEX idx_matching_experiments_running ON matching_experiments(status) WHERE status = 'running';
+
+            CREATE TABLE matching_experiment_arms (
+                id SERIAL PRIMARY KEY,
+                experiment_id INTEGER NOT NULL REFERENCES matching_experiments(id) ON DELETE CASCADE,
+                arm VARCHAR(50) NOT NULL,
+                profile_id INTEGER NOT NULL REFERENCES matching_weight_profiles(id),
+                allocation INTEGER NOT NULL,
+                UNIQUE (experiment_id, arm)
+            );
+
+            CREATE TABLE matching_experiment_assignments (
+                experiment_id INTEGER NOT NULL REFERENCES matching_experiments(id) ON DELETE CASCADE,
+                client_id VARCHAR(255) NOT NULL,
+                arm_id INTEGER NOT NULL REFERENCES matching_experiment_arms(id) ON DELETE CASCADE,
+                assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (experiment_id, client_id)
+            );
+
+            ALTER TABLE cpa_matches ADD COLUMN weight_profile_id INTEGER REFERENCES matching_weight_profiles(id);
+            ALTER TABLE cpa_matches ADD COLUMN experiment_id INTEGER REFERENCES matching_experiments(id);
+            ALTER TABLE cpa_matches ADD COLUMN experiment_arm_id INTEGER REFERENCES matching_experiment_arms(id);
+            CREATE INDEX idx_cpa_matches_experiment ON cpa_matches(experiment_id, experiment_arm_id) WHERE experiment_id IS NOT NULL;
+
+            -- The weights the engine used until now
+            INSERT INTO matching_weight_profiles (name, version, weights, description, is_default, created_by)
+            VALUES ('baseline', 1, '{
+                "specialization_match": 0.30, "location_preference": 0.18, "budget_alignment": 0.14,
+                "communication_style": 0.10, "firm_size_preference": 0.10, "availability_urgency": 0.08,
+                "reputation": 0.10
+            }', 'Weights hard-coded in CPAMatchingEngine before profiles existed', true, 'migration');
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP INDEX IF EXISTS idx_cpa_matches_experiment;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS experiment_arm_id;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS experiment_id;
+            ALTER TABLE cpa_matches DROP COLUMN IF EXISTS weight_profile_id;
+            DROP TABLE IF EXISTS matching_experiment_assignments;
+            DROP TABLE IF EXISTS matching_experiment_arms;
+            DROP TABLE IF EXISTS matching_experiments;
+            DROP TABLE IF EXISTS matching_weight_profiles;
+        `);
+    },
+};
@@ -0,0 +1,33 @@
+// Postal codes for CPA profiles and clients, and stored coordinates for
+// scraped_cpas (filled by the scraped_cpa_geocoding job from matching/geo.js)
+// so /api/scraped-cpas/match can prefilter `near` searches by bounding box.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE cpa_profiles ADD COLUMN postal_code VARCHAR(7);
+            ALTER TABLE client_preferences ADD COLUMN postal_code VARCHAR(7);
+
+            ALTER TABLE scraped_cpas ADD COLUMN latitude DOUBLE PRECISION;
+            ALTER TABLE scraped_cpas ADD COLUMN longitude DOUBLE PRECISION;
+            ALTER TABLE scraped_cpas ADD COLUMN geo_precision VARCHAR(10);
+            -- Set once geocoding was attempted, found or not; the job skips these rows
+            ALTER TABLE scraped_cpas ADD COLUMN geocoded_at TIMESTAMP;
+            CREATE INDEX idx_scraped_cpas_location ON scraped_cpas(latitude, longitude) WHERE latitude IS NOT NULL;
+            CREATE INDEX idx_scraped_cpas_geocode_pending ON scraped_cpas(id) WHERE geocoded_at IS NULL;
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP INDEX IF EXISTS idx_scraped_cpas_geocode_pending;
+            DROP INDEX IF EXISTS idx_scraped_cpas_location;
+            ALTER TABLE scraped_cpas DROP COLUMN IF EXISTS geocoded_at;
+            ALTER TABLE scraped_cpas DROP COLUMN IF EXISTS geo_precision;
+            ALTER TABLE scraped_cpas DROP COLUMN IF EXISTS longitude;
+            ALTER TABLE scraped_cpas DROP COLUMN IF EXISTS latitude;
+            ALTER TABLE client_preferences DROP COLUMN IF EXISTS postal_code;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS postal_code;
+        `);
+    },
+};
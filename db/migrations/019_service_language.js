@@ -0,0 +1,48 @@
+// Service language: clients and friction requests record a preferred language
+// and how strictly it applies, and the 'baseline' v2 weight profile adds the
+// engine's language_match factor. v2 becomes the default only where the
+// untouched baseline v1 still is.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE client_preferences ADD COLUMN preferred_language VARCHAR(2);
+            ALTER TABLE client_preferences ADD COLUMN language_requirement VARCHAR(10) DEFAULT 'preferred';
+            ALTER TABLE sme_friction_requests ADD COLUMN preferred_language VARCHAR(2);
+            ALTER TABLE sme_friction_requests ADD COLUMN language_requirement VARCHAR(10) DEFAULT 'preferred';
+
+            INSERT INTO matching_weight_profiles (name, version, weights, description, is_default, created_by)
+            VALUES ('baseline', 2, '{
+                "specialization_match": 0.28, "location_preference": 0.16, "budget_alignment": 0.13,
+                "communication_style": 0.09, "firm_size_preference": 0.09, "availability_urgency": 0.07,
+                "reputation": 0.10, "language_match": 0.08
+            }', 'Baseline v1 rescaled to make room for the language_match factor', false, 'migration');
+        `);
+        const current = await db.query('SELECT name, version FROM matching_weight_profiles WHERE is_default');
+        const untouched = current.rows.length === 0 || (current.rows[0].name === 'baseline' && current.rows[0].version === 1);
+        if (untouched) {
+            await db.query(`
+                UPDATE matching_weight_profiles SET is_default = false WHERE is_default;
+                UPDATE matching_weight_profiles SET is_default = true WHERE name = 'baseline' AND version = 2;
+            `);
+        }
+    },
+
+    async down(db) {
+        await db.query(`
+            UPDATE matching_weight_profiles SET is_default = false WHERE is_default AND name = 'baseline' AND version = 2;
+            UPDATE matching_weight_profiles SET is_default = true
+            WHERE name = 'baseline' AND version = 1 AND NOT EXISTS (SELECT 1 FROM matching_weight_profiles WHERE is_default);
+            -- Kept when matches or experiment arms already point at it
+            DELETE FROM matching_weight_profiles p
+            WHERE p.name = 'baseline' AND p.version = 2
+              AND NOT EXISTS (SELECT 1 FROM cpa_matches m WHERE m.weight_profile_id = p.id)
+              AND NOT EXISTS (SELECT 1 FROM matching_experiment_arms a WHERE a.profile_id = p.id);
+
+            ALTER TABLE sme_friction_requests DROP COLUMN IF EXISTS language_requirement;
+            ALTER TABLE sme_friction_requests DROP COLUMN IF EXISTS preferred_language;
+            ALTER TABLE client_preferences DROP COLUMN IF EXISTS language_requirement;
+            ALTER TABLE client_preferences DROP COLUMN IF EXISTS preferred_language;
+        `);
+    },
+};
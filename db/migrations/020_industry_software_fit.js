@@ -0,0 +1,48 @@
+// Industry and software fit: clients and friction requests record their
+// accounting software (tech_stack) and NAICS code, and the 'baseline' v3 weight
+// profile adds the engine's industry_experience and software_overlap factors.
+// v3 becomes the default only where the untouched baseline v2 still is.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE client_preferences ADD COLUMN tech_stack JSONB;
+            ALTER TABLE client_preferences ADD COLUMN naics_code VARCHAR(6);
+            ALTER TABLE sme_friction_requests ADD COLUMN tech_stack VARCHAR(255);
+            ALTER TABLE sme_friction_requests ADD COLUMN naics_code VARCHAR(6);
+
+            INSERT INTO matching_weight_profiles (name, version, weights, description, is_default, created_by)
+            VALUES ('baseline', 3, '{
+                "specialization_match": 0.25, "location_preference": 0.14, "budget_alignment": 0.12,
+                "communication_style": 0.07, "firm_size_preference": 0.08, "availability_urgency": 0.06,
+                "reputation": 0.09, "language_match": 0.07, "industry_experience": 0.07, "software_overlap": 0.05
+            }', 'Baseline v2 rescaled to make room for the industry_experience and software_overlap factors', false, 'migration');
+        `);
+        const current = await db.query('SELECT name, version FROM matching_weight_profiles WHERE is_default');
+        const untouched = current.rows.length === 0 || (current.rows[0].name === 'baseline' && current.rows[0].version === 2);
+        if (untouched) {
+            await db.query(`
+                UPDATE matching_weight_profiles SET is_default = false WHERE is_default;
+                UPDATE matching_weight_profiles SET is_default = true WHERE name = 'baseline' AND version = 3;
+            `);
+        }
+    },
+
+    async down(db) {
+        await db.query(`
+            UPDATE matching_weight_profiles SET is_default = false WHERE is_default AND name = 'baseline' AND version = 3;
+            UPDATE matching_weight_profiles SET is_default = true
+            WHERE name = 'baseline' AND version = 2 AND NOT EXISTS (SELECT 1 FROM matching_weight_profiles WHERE is_default);
+            -- Kept when matches or experiment arms already point at it
+            DELETE FROM matching_weight_profiles p
+            WHERE p.name = 'baseline' AND p.version = 3
+              AND NOT EXISTS (SELECT 1 FROM cpa_matches m WHERE m.weight_profile_id = p.id)
+              AND NOT EXISTS (SELECT 1 FROM matching_experiment_arms a WHERE a.profile_id = p.id);
+
+            ALTER TABLE sme_friction_requests DROP COLUMN IF EXISTS naics_code;
+            ALTER TABLE sme_friction_requests DROP COLUMN IF EXISTS tech_stack;
+            ALTER TABLE client_preferences DROP COLUMN IF EXISTS naics_code;
+            ALTER TABLE client_preferences DROP COLUMN IF EXISTS tech_stack;
+        `);
+    },
+};
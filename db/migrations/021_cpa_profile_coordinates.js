@@ -0,0 +1,29 @@
+// Stored coordinates for cpa_profiles, as scraped_cpas has since 018, so the
+// `near` filter on /api/cpa/search prefilters by bounding box in SQL instead of
+// geocoding every candidate. Registration and profile edits write them; the
+// scraped_cpa_geocoding job backfills existing and claimed profiles.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE cpa_profiles ADD COLUMN latitude DOUBLE PRECISION;
+            ALTER TABLE cpa_profiles ADD COLUMN longitude DOUBLE PRECISION;
+            ALTER TABLE cpa_profiles ADD COLUMN geo_precision VARCHAR(10);
+            -- Set once geocoding was attempted, found or not; the job skips these rows
+            ALTER TABLE cpa_profiles ADD COLUMN geocoded_at TIMESTAMP;
+            CREATE INDEX idx_cpa_profiles_location ON cpa_profiles(latitude, longitude) WHERE latitude IS NOT NULL;
+            CREATE INDEX idx_cpa_profiles_geocode_pending ON cpa_profiles(id) WHERE geocoded_at IS NULL;
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP INDEX IF EXISTS idx_cpa_profiles_geocode_pending;
+            DROP INDEX IF EXISTS idx_cpa_profiles_location;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS geocoded_at;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS geo_precision;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS longitude;
+            ALTER TABLE cpa_profiles DROP COLUMN IF EXISTS latitude;
+        `);
+    },
+};
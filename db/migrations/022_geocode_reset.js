@@ -0,0 +1,42 @@
+// Coordinates go stale when a row's location changes: whichever writer moves a
+// scraped_cpas row (city, province) or a cpa_profiles row (also postal_code),
+// the trigger clears its coordinates and geocoded_at so the scraped_cpa_geocoding
+// job locates it again. Profile edits through /api/cpa/me re-geocode at once.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE OR REPLACE FUNCTION reset_geocode() RETURNS trigger AS $$
+            BEGIN
+                NEW.latitude := NULL;
+                NEW.longitude := NULL;
+                NEW.geo_precision := NULL;
+                NEW.geocoded_at := NULL;
+                RETURN NEW;
+            END;
+            $$ LANGUAGE plpgsql;
+
+            CREATE TRIGGER scraped_cpas_reset_geocode
+                BEFORE UPDATE OF city, province ON scraped_cpas
+                FOR EACH ROW
+                WHEN (OLD.city IS DISTINCT FROM NEW.city OR OLD.province IS DISTINCT FROM NEW.province)
+                EXECUTE FUNCTION reset_geocode();
+
+            CREATE TRIGGER cpa_profiles_reset_geocode
+                BEFORE UPDATE OF postal_code, city, province ON cpa_profiles
+                FOR EACH ROW
+                WHEN (OLD.postal_code IS DISTINCT FROM NEW.postal_code
+                      OR OLD.city IS DISTINCT FROM NEW.city
+                      OR OLD.province IS DISTINCT FROM NEW.province)
+                EXECUTE FUNCTION reset_geocode();
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            DROP TRIGGER IF EXISTS cpa_profiles_reset_geocode ON cpa_profiles;
+            DROP TRIGGER IF EXISTS scraped_cpas_reset_geocode ON scraped_cpas;
+            DROP FUNCTION IF EXISTS reset_geocode();
+        `);
+    },
+};
@@ -0,0 +1,32 @@
+// One open match per client and CPA: a repeated find-matches refreshes the
+// existing suggestion instead of stacking another 'suggested' row. Duplicates
+// already stored are closed first, keeping the most advanced (an introduction
+// request over a suggestion), then the newest.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            WITH ranked AS (
+                SELECT id, status, ROW_NUMBER() OVER (
+                    PARTITION BY client_id, cpa_id
+                    ORDER BY (status = 'intro_requested') DESC, match_date DESC, id DESC
+                ) AS rank
+                FROM cpa_matches
+                WHERE status IN ('suggested', 'intro_requested')
+            ), closed AS (
+                UPDATE cpa_matches m SET status = 'expired', status_changed_at = NOW(), expires_at = NULL
+                FROM ranked WHERE m.id = ranked.id AND ranked.rank > 1
+                RETURNING m.id, ranked.status AS from_status
+            )
+            INSERT INTO cpa_match_events (match_id, from_status, to_status, actor_type, note)
+            SELECT id, from_status, 'expired', 'system', 'duplicate of an open match' FROM closed;
+
+            CREATE UNIQUE INDEX idx_cpa_matches_open_pair ON cpa_matches(client_id, cpa_id)
+                WHERE status IN ('suggested', 'intro_requested');
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_cpa_matches_open_pair');
+    },
+};
@@ -0,0 +1,17 @@
+// Questionnaire clients: each SME friction request now creates the
+// client_preferences row (and client session) that find-matches and the match
+// lifecycle act on; client_id links the request to it.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            ALTER TABLE sme_friction_requests ADD COLUMN client_id VARCHAR(255);
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            ALTER TABLE sme_friction_requests DROP COLUMN IF EXISTS client_id;
+        `);
+    },
+};
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// =====================================================
+// 🗄️ SCHEMA MIGRATIONS
+// =====================================================
+// Numbered files in db/migrations (NNN_snake_name.js) export async up(db) and
+// down(db). Each one runs in its own transaction together with its
+// schema_migrations ledger row, so a failed migration leaves nothing behind.
+// A migration that cannot run in a transaction (CREATE INDEX CONCURRENTLY)
+// sets `transaction: false`. Runs hold a Postgres advisory lock on one pooled
+// connection, so a MIGRATE_ON_BOOT web dyno and worker starting together apply
+// each file once.
+//
+// Applied files must not be edited: the ledger keeps a checksum of each file
+// and status() reports drift. Ship a new migration instead.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+// pg_advisory_lock key shared by every process migrating this database
+const MIGRATION_LOCK_KEY = 727001;
+
+// "004_scrape_pipeline" for { version: 4, name: 'scrape_pipeline' }
+function migrationLabel({ version, name }) {
+    return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+class Migrator {
+    // db: a pg Pool (migrate / rollback check out a connection of their own)
+    constructor(db, { dir = MIGRATIONS_DIR } = {}) {
+        this.db = db;
+        this.dir = dir;
+        this._migrations = null;
+    }
+
+    /**
+     * Migration files sorted by version: [{ version, name, file, checksum, up, down, transaction }].
+     */
+    migrations() {
+        if (this._migrations) return this._migrations;
+        const seen = new Map();
+        const list = [];
+        for (const file of fs.readdirSync(this.dir).sort()) {
+            const m = MIGRATION_FILE.exec(file);
+            if (!m) continue;
+            const version = parseInt(m[1], 10);
+            if (seen.has(version)) {
+                throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+            }
+            seen.set(version, file);
+
+            const fullPath = path.join(this.dir, file);
+            const mod = require(fullPath);
+            if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+                throw new Error(`Migration ${file} must export up(db) and down(db)`);
+            }
+            list.push({
+                version,
+                name: m[2],
+                file,
+                checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+                up: mod.up,
+                down: mod.down,
+                transaction: mod.transaction !== false,
+            });
+        }
+        this._migrations = list.sort((a, b) => a.version - b.version);
+        return this._migrations;
+    }
+
+    async ensureLedger(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                checksum VARCHAR(64),
+                execution_ms INTEGER,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    // Read-only: a database that never ran a migration has no ledger yet
+    async appliedRows(client = this.db) {
+        const exists = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS present`);
+        if (!exists.rows[0].present) return [];
+        const result = await client.query(
+            'SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version'
+        );
+        return result.rows;
+    }
+
+    /**
+     * { current, latest, behind, applied, pending, changed, unknown }
+     *   pending — files not yet applied (any pending version means the schema is behind)
+     *   changed — applied files whose contents differ from what ran
+     *   unknown — ledger versions with no file here (a newer release migrated this database)
+     */
+    async status() {
+        const migrations = this.migrations();
+        const rows = await this.appliedRows();
+        const applied = new Map(rows.map(r => [r.version, r]));
+        const files = new Set(migrations.map(m => m.version));
+
+        const pending = migrations.filter(m => !applied.has(m.version));
+        const changed = migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum
+            && applied.get(m.version).checksum !== m.checksum);
+        const unknown = rows.filter(r => !files.has(r.version));
+
+        return {
+            current: rows.length > 0 ? rows[rows.length - 1].version : 0,
+            latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+            behind: pending.length > 0,
+            applied: rows.map(r => ({ version: r.version, name: r.name, applied_at: r.applied_at, execution_ms: r.execution_ms })),
+            pending: pending.map(m => ({ version: m.version, name: m.name })),
+            changed: changed.map(m => ({ version: m.version, name: m.name })),
+            unknown: unknown.map(r => ({ version: r.version, name: r.name })),
+        };
+    }
+
+    /**
+     * Apply pending migrations in order, up to and including `to` when given.
+     * Returns the migrations applied.
+     */
+    async migrate({ to = null } = {}) {
+        return this._withLock(async (client) => {
+            await this.ensureLedger(client);
+            const applied = new Set((await this.appliedRows(client)).map(r => r.version));
+            const todo = this.migrations().filter(m => !applied.has(m.version) && (to == null || m.version <= to));
+
+            const done = [];
+            for (const migration of todo) {
+                const started = Date.now();
+                console.log(`[Migrate] ⬆️  ${migration.file}`);
+                await this._run(client, migration, async () => {
+                    await migration.up(client);
+                    await client.query(
+                        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+                        [migration.version, migration.name, migration.checksum, Date.now() - started]
+                    );
+                });
+                done.push({ version: migration.version, name: migration.name });
+            }
+            return done;
+        });
+    }
+
+    /**
+     * Revert the last `steps` applied migrations, or every one above `to`.
+     * Returns the migrations reverted.
+     */
+    async rollback({ steps = 1, to = null } = {}) {
+        return this._withLock(async (client) => {
+            await this.ensureLedger(client);
+            const byVersion = new Map(this.migrations().map(m => [m.version, m]));
+            const rows = (await this.appliedRows(client)).reverse();
+            const targets = to == null ? rows.slice(0, steps) : rows.filter(r => r.version > to);
+
+            const done = [];
+            for (const row of targets) {
+                const migration = byVersion.get(row.version);
+                if (!migration) {
+                    throw new Error(`Cannot roll back ${migrationLabel(row)}: no migration file in this release`);
+                }
+                console.log(`[Migrate] ⬇️  ${migration.file}`);
+                await this._run(client, migration, async () => {
+                    await migration.down(client);
+                    await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+                });
+                done.push({ version: migration.version, name: migration.name });
+            }
+            return done;
+        });
+    }
+
+    async _run(client, migration, fn) {
+        try {
+            if (!migration.transaction) {
+                await fn();
+                return;
+            }
+            await client.query('BEGIN');
+            try {
+                await fn();
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw err;
+            }
+        } catch (err) {
+            err.message = `${migration.file}: ${err.message}`;
+            throw err;
+        }
+    }
+
+    // Session-level lock, so everything under it runs on the one checked-out connection
+    async _withLock(fn) {
+        const client = await this.db.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+            try {
+                return await fn(client);
+            } finally {
+                await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+            }
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = { Migrator, MIGRATIONS_DIR, migrationLabel };
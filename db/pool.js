@@ -0,0 +1,69 @@
+const { Pool } = require('pg');
+
+// =====================================================
+// 🔌 CONNECTION POOLS
+// =====================================================
+// Two pools per process so bulk work cannot starve the API:
+//   web   — API requests. Every statement is capped by API_STATEMENT_TIMEOUT_MS.
+//   batch — loaders, enrichers, the job queue and the scheduler. No statement
+//           timeout (a 500K-row registry load legitimately runs for minutes).
+// Both set idle_in_transaction_session_timeout so a leaked transaction cannot
+// hold row locks indefinitely.
+//
+// Pool.query() runs each call on whichever connection is free, so a sequence
+// that must see its own writes or commit atomically goes through
+// withTransaction() instead of issuing BEGIN on the pool.
+
+const POOL_SETTINGS = {
+    web: {
+        max: parseInt(process.env.DB_WEB_POOL_MAX || '10', 10),
+        statement_timeout: parseInt(process.env.API_STATEMENT_TIMEOUT_MS || '15000', 10),
+    },
+    batch: {
+        max: parseInt(process.env.DB_BATCH_POOL_MAX || '4', 10),
+    },
+};
+const IDLE_IN_TRANSACTION_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * kind: 'web' | 'batch'. Overrides (max, connectionString, ...) go straight to pg.Pool.
+ */
+function createDbPool(kind = 'web', overrides = {}) {
+    const settings = POOL_SETTINGS[kind];
+    if (!settings) throw new Error(`Unknown pool kind: ${kind}`);
+
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        // DATABASE_SSL=false for local / throwaway databases (fixture harness)
+        ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
+        idle_in_transaction_session_timeout: IDLE_IN_TRANSACTION_TIMEOUT_MS,
+        application_name: `sme-intelligence-${kind}`,
+        ...settings,
+        ...overrides,
+    });
+    // An idle client losing its connection must not take the process down with it
+    pool.on('error', (err) => {
+        console.error(`⚠️ PostgreSQL ${kind} pool client error:`, err.message);
+    });
+    return pool;
+}
+
+/**
+ * Run fn(client) inside BEGIN / COMMIT on one pooled connection; ROLLBACK and rethrow on error.
+ */
+async function withTransaction(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { createDbPool, withTransaction };
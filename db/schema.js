@@ -0,0 +1,33 @@
+const { Migrator, migrationLabel } = require('./migrator');
+
+// =====================================================
+// 🗄️ DATABASE BOOTSTRAP
+// =====================================================
+// Checks the pool can reach Postgres. The schema itself lives in db/migrations and is
+// applied by `npm run migrate` (the release step) — boot only migrates when
+// MIGRATE_ON_BOOT=true. Otherwise the SchemaGate keeps a process that is ahead
+// of its database from serving traffic or running jobs.
+
+const MIGRATE_ON_BOOT = process.env.MIGRATE_ON_BOOT === 'true';
+
+// Connect (non-fatal: the server still starts and /health reports the failure). Returns whether it connected.
+async function initializeDatabase(pool, { migrate = MIGRATE_ON_BOOT } = {}) {
+    try {
+        await pool.query('SELECT 1');
+        console.log('✅ PostgreSQL connected successfully');
+    } catch (error) {
+        console.error('❌ Database connection failed:', error);
+        return false;
+    }
+
+    // A failed migration is fatal: better no process than one running against a half-applied schema
+    if (migrate) {
+        const applied = await new Migrator(pool).migrate();
+        console.log(applied.length > 0
+            ? `✅ Applied ${applied.length} migration(s): ${applied.map(migrationLabel).join(', ')}`
+            : '✅ Database schema already current');
+    }
+    return true;
+}
+
+module.exports = { initializeDatabase };
@@ -0,0 +1,97 @@
+const { migrationLabel } = require('./migrator');
+
+// =====================================================
+// 🚧 SCHEMA GATE
+// =====================================================
+// The web and worker processes never change the schema themselves (unless
+// MIGRATE_ON_BOOT=true); they check the migration ledger instead. While the
+// database is behind this release, every route except /health answers 503 and
+// the worker holds off, so new code never runs against old tables. Once
+// `npm run migrate` catches the database up, the next recheck opens the gate
+// without a restart.
+
+const RECHECK_INTERVAL_MS = 15 * 1000;
+
+class SchemaGate {
+    constructor(migrator, { recheckIntervalMs = RECHECK_INTERVAL_MS } = {}) {
+        this.migrator = migrator;
+        this.recheckIntervalMs = recheckIntervalMs;
+        this.open = false;
+        this.lastStatus = null;
+        this.lastError = null;
+        this.checkedAt = 0;
+        this._checking = null;
+    }
+
+    /**
+     * Re-read the ledger. Returns the migrator status, or null when the database is unreachable.
+     */
+    async check() {
+        if (!this._checking) {
+            this._checking = (async () => {
+                try {
+                    this.lastStatus = await this.migrator.status();
+                    this.lastError = null;
+                    this.open = !this.lastStatus.behind;
+                } catch (err) {
+                    this.lastStatus = null;
+                    this.lastError = err.message;
+                    this.open = false;
+                } finally {
+                    this.checkedAt = Date.now();
+                    this._checking = null;
+                }
+                return this.lastStatus;
+            })();
+        }
+        return this._checking;
+    }
+
+    // A newer release migrating ahead of this one never closes an open gate
+    async ensureOpen() {
+        if (this.open) return true;
+        if (Date.now() - this.checkedAt >= this.recheckIntervalMs) await this.check();
+        return this.open;
+    }
+
+    /**
+     * Resolves once the schema is current, rechecking every recheckIntervalMs.
+     */
+    async whenOpen() {
+        while (!(await this.ensureOpen())) {
+            await new Promise(resolve => setTimeout(resolve, this.recheckIntervalMs));
+        }
+    }
+
+    // Summary for /health and 503 bodies
+    describe() {
+        if (!this.lastStatus) {
+            return { ok: false, error: this.lastError || 'not checked yet' };
+        }
+        const { current, latest, pending, changed, unknown } = this.lastStatus;
+        return {
+            ok: this.open,
+            current,
+            latest,
+            pending: pending.map(migrationLabel),
+            ...(changed.length > 0 && { changed: changed.map(migrationLabel) }),
+            ...(unknown.length > 0 && { unknown: unknown.map(migrationLabel) }),
+        };
+    }
+
+    middleware() {
+        return async (req, res, next) => {
+            if (req.path === '/health' || await this.ensureOpen()) return next();
+            const schema = this.describe();
+            res.status(503).json({
+                status: 'error',
+                message: schema.pending
+                    ? `Database schema is behind this release (${schema.pending.length} pending migration(s)); run npm run migrate`
+                    : `Database schema check failed: ${schema.error}`,
+                schema,
+            });
+        };
+    }
+}
+
+module.exports = { SchemaGate };
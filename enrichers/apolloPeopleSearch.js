@@ -0,0 +1,100 @@
+// 🔍 DAILY APOLLO CPA PEOPLE SEARCH — 7 AM ET Mon-Fri
+// Discovers new CPAs via Apollo's LinkedIn-derived database.
+// Runs before the 9 AM send window so fresh contacts are queued and ready.
+// Updated 2026-04-14: increased from 4 to 8 pages (200 reveals/day),
+// added seniority targeting + rotation through title cohorts.
+// LAW People Search paused (stale emails) — Apollo budget redirected here.
+
+// Rotate through title cohorts daily to avoid Apollo returning the same results.
+// Each day picks a different set of titles from the pool.
+const CPA_TITLE_COHORTS = [
+    // Mon: core CPA titles
+    ['CPA', 'Chartered Professional Accountant', 'CPA, CA', 'CPA, CGA', 'CPA, CMA'],
+    // Tue: firm leadership
+    ['Tax Partner', 'Audit Partner', 'Managing Partner CPA', 'Accounting Partner'],
+    // Wed: specialized roles
+    ['Tax Manager', 'Audit Manager', 'Controller', 'CFO'],
+    // Thu: advisory
+    ['Financial Advisor CPA', 'Business Advisory', 'Tax Director', 'Assurance Partner'],
+    // Fri: broader net
+    ['Accountant', 'Tax Specialist', 'Public Accountant', 'CPA Auditor'],
+];
+
+async function runDailyApolloPeopleSearch(dbClient, { httpClient, clock }) {
+    const dayOfWeek = clock.now().getDay(); // 1=Mon ... 5=Fri
+    const cohortIdx = Math.max(0, dayOfWeek - 1); // 0-4
+    const titles = CPA_TITLE_COHORTS[cohortIdx] || CPA_TITLE_COHORTS[0];
+    console.log(`[Apollo Search Cron] Starting daily CPA People Search (8 pages × 25, cohort=${cohortIdx}: ${titles.join(', ')})...`);
+    try {
+        const apiKey = process.env.APOLLO_API_KEY;
+        if (!apiKey) { console.log('[Apollo Search Cron] No API key, skipping'); return { skipped: 'no_api_key' }; }
+        let totalInserted = 0;
+        for (let page = 1; page <= 8; page++) {
+            try {
+                const searchRes = await httpClient.post('https://api.apollo.io/api/v1/mixed_people/api_search', {
+                    person_titles: titles,
+                    person_locations: ['Canada'],
+                    person_seniorities: ['owner', 'partner', 'c_suite', 'vp', 'director', 'manager'],
+                    per_page: 25,
+                    page,
+                }, { headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' }, timeout: 30000, robots: false });
+                const rawPeople = searchRes.data?.people || [];
+                for (const raw of rawPeople) {
+                    if (!raw.id) continue;
+                    try {
+                        const revealRes = await httpClient.post('https://api.apollo.io/api/v1/people/match', {
+                            id: raw.id, reveal_personal_emails: true,
+                        }, { headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' }, timeout: 10000, robots: false });
+                        const p = revealRes.data?.person || {};
+                        if (!p.email) continue;
+                        const exists = await dbClient.query(
+                            `SELECT id FROM scraped_cpas WHERE LOWER(COALESCE(enriched_email, email)) = LOWER($1)`, [p.email]
+                        );
+                        if (exists.rows.length > 0) continue;
+                        const province = mapStateToProvince(p.state || '');
+                        const designation = extractDesignation(p.title || '');
+                        await dbClient.query(
+                            `INSERT INTO scraped_cpas (first_name, last_name, full_name, firm_name, city, province, designation, enriched_email, enrichment_source, source, status, scraped_at)
+                             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'apollo_search', 'apollo_people_search', 'raw', NOW())`,
+                            [p.first_name || '', p.last_name || '', `${p.last_name || ''}, ${p.first_name || ''}`.trim().replace(/^,\s*/, ''),
+                             p.organization?.name || '', p.city || '', province, designation, p.email]
+                        );
+                        totalInserted++;
+                        await new Promise(r => setTimeout(r, 200));
+                    } catch (e) { /* skip individual reveal errors */ }
+                }
+            } catch (e) { console.error(`[Apollo Search Cron] Page ${page} error:`, e.message); }
+        }
+        console.log(`[Apollo Search Cron] Complete: ${totalInserted} new CPAs inserted (cohort=${cohortIdx})`);
+        return { inserted: totalInserted, cohort: cohortIdx };
+    } catch (e) {
+        console.error('[Apollo Search Cron] Fatal:', e.message);
+        throw e;
+    }
+}
+
+// Helper: map Canadian state/province names to 2-letter codes
+function mapStateToProvince(state) {
+  const map = {
+    'ontario': 'ON', 'on': 'ON', 'quebec': 'QC', 'qc': 'QC', 'british columbia': 'BC', 'bc': 'BC',
+    'alberta': 'AB', 'ab': 'AB', 'manitoba': 'MB', 'mb': 'MB', 'saskatchewan': 'SK', 'sk': 'SK',
+    'nova scotia': 'NS', 'ns': 'NS', 'new brunswick': 'NB', 'nb': 'NB',
+    'newfoundland and labrador': 'NL', 'newfoundland': 'NL', 'nl': 'NL',
+    'prince edward island': 'PE', 'pei': 'PE', 'pe': 'PE',
+    'northwest territories': 'NT', 'nt': 'NT', 'nunavut': 'NU', 'nu': 'NU', 'yukon': 'YT', 'yt': 'YT',
+  };
+  return map[(state || '').toLowerCase()] || state || '';
+}
+
+// Helper: extract CPA designation from title string
+function extractDesignation(title) {
+  if (/CPA,?\s*CA\b/i.test(title)) return 'CPA, CA';
+  if (/CPA,?\s*CMA\b/i.test(title)) return 'CPA, CMA';
+  if (/CPA,?\s*CGA\b/i.test(title)) return 'CPA, CGA';
+  if (/CPA,?\s*CF\b/i.test(title)) return 'CPA, CF';
+  if (/\bCPA\b/i.test(title)) return 'CPA';
+  if (/\bCA\b/i.test(title)) return 'CA';
+  return '';
+}
+
+module.exports = { runDailyApolloPeopleSearch, mapStateToProvince, extractDesignation };
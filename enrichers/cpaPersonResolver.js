@@ -0,0 +1,215 @@
+const { BaseLoader } = require('../scrapers/baseLoader');
+const { parsePersonName, personProfile, personBlockingKeys, scorePersonPair } = require('../services/personResolution');
+
+// =====================================================
+// 👤 CPA PERSON REGISTRY
+// =====================================================
+// The same CPA is scraped from a provincial directory, found again by Apollo
+// People Search and enriched from their firm website — each a separate
+// scraped_cpas row. This job links those rows to one cpa_persons record
+// (services/personResolution.js) and rebuilds its canonical fields, recording
+// in field_sources which row and source every value came from.
+
+const PERSON_COLUMNS = `id, source, first_name, last_name, full_name, designation, province, city, firm_name,
+  firm_website, phone, email, enriched_email, enrichment_source, enrichment_date, scraped_at, person_id, person_confidence`;
+
+const CPA_DIRECTORY_SOURCES = ['cpabc', 'cpaalberta', 'cpask', 'cpamb', 'cpaontario', 'cpaquebec', 'cpanb', 'cpans', 'cpapei', 'cpanl'];
+
+// Trust of a value by where it came from: regulator directory > firm website > Apollo / guessed patterns
+function personSourceTrust(source) {
+  const s = String(source || '');
+  if (CPA_DIRECTORY_SOURCES.includes(s)) return 3;
+  if (s.startsWith('firm_website') || s.startsWith('firm_directory')) return 2;
+  return 1;
+}
+
+class CPAPersonResolver extends BaseLoader {
+  constructor(deps) {
+    super('cpa_person_resolution', deps);
+    this.batchSize = 500;
+    this.maxPerRun = 50000;
+    this.maxCandidates = 25;
+    this.autoLinkThreshold = parseFloat(process.env.PERSON_AUTO_LINK_THRESHOLD) || 0.9;
+  }
+
+  async resolve(dbClient) {
+    console.log('👤 Starting CPA person resolution...');
+    const jobId = await this._startJob(dbClient);
+    let processed = 0, linked = 0, created = 0, errored = 0;
+    let lastId = (this.resumeCheckpoint() || {}).lastId || 0;
+
+    try {
+      while (processed < this.maxPerRun) {
+        const { rows } = await dbClient.query(
+          `SELECT ${PERSON_COLUMNS} FROM scraped_cpas WHERE person_id IS NULL AND id > $1 ORDER BY id LIMIT $2`,
+          [lastId, this.batchSize]
+        );
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          lastId = row.id;
+          processed++;
+          try {
+            const r = await this._resolveOne(dbClient, row);
+            if (r.created) created++; else linked++;
+          } catch (err) {
+            errored++;
+            console.error(`[PersonResolution] scraped_cpas #${row.id} failed:`, err.message);
+          }
+        }
+
+        await this._saveCheckpoint(dbClient, jobId, { lastId }, { found: processed, inserted: created, merged: linked, errored });
+        console.log(`[PersonResolution] Progress: ${processed} resolved, ${linked} linked to existing people, ${created} new people`);
+      }
+
+      await this._completeJob(dbClient, jobId, { found: processed, inserted: created, merged: linked, errored });
+      console.log(`✅ CPA person resolution: ${processed} records, ${linked} linked, ${created} new people, ${errored} errors`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message, { found: processed, inserted: created, merged: linked, errored });
+      console.error('❌ CPA person resolution failed:', error.message);
+    }
+    return { processed, linked, created, errored };
+  }
+
+  async _resolveOne(dbClient, row) {
+    const p = personProfile(row);
+    const keys = personBlockingKeys(p);
+    if (keys.length > 0) {
+      await dbClient.query(
+        `INSERT INTO cpa_person_keys (scraped_cpa_id, key_type, key_value)
+         SELECT $1, t, v FROM unnest($2::text[], $3::text[]) AS k(t, v)
+         ON CONFLICT DO NOTHING`,
+        [row.id, keys.map(k => k[0]), keys.map(k => k[1].substring(0, 300))]
+      );
+    }
+
+    const best = await this._bestCandidate(dbClient, p, keys);
+    const isMatch = !!best && best.confidence >= this.autoLinkThreshold;
+    let personId;
+    if (isMatch) {
+      personId = best.personId;
+      await this._assign(dbClient, row.id, personId, best.confidence, { matched_scraped_cpa_id: best.rowId, evidence: best.evidence });
+    } else {
+      const person = await dbClient.query(`INSERT INTO cpa_persons (full_name) VALUES ($1) RETURNING id`, [row.full_name]);
+      personId = person.rows[0].id;
+      const nearest = best ? { nearest_person_id: best.personId, nearest_confidence: best.confidence, evidence: best.evidence } : null;
+      await this._assign(dbClient, row.id, personId, 1, nearest);
+    }
+    await this.refreshPerson(dbClient, personId);
+    return { personId, created: !isMatch };
+  }
+
+  async _bestCandidate(dbClient, p, keys) {
+    if (keys.length === 0) return null;
+    const { rows } = await dbClient.query(
+      `SELECT ${PERSON_COLUMNS} FROM scraped_cpas
+       WHERE person_id IN (
+         SELECT DISTINCT c.person_id FROM cpa_person_keys k JOIN scraped_cpas c ON c.id = k.scraped_cpa_id
+         WHERE c.person_id IS NOT NULL AND c.id != $4
+           AND (k.key_type, k.key_value) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+         LIMIT $3
+       )`,
+      [keys.map(k => k[0]), keys.map(k => k[1].substring(0, 300)), this.maxCandidates, p.id]
+    );
+
+    let best = null;
+    for (const member of rows) {
+      const { confidence, evidence } = scorePersonPair(p, personProfile(member));
+      if (!best || confidence > best.confidence) {
+        best = { personId: member.person_id, rowId: member.id, confidence, evidence };
+      }
+    }
+    return best;
+  }
+
+  async _assign(dbClient, rowId, personId, confidence, evidence) {
+    await dbClient.query(
+      `UPDATE scraped_cpas SET person_id = $2, person_confidence = $3, person_evidence = $4, person_resolved_at = NOW() WHERE id = $1`,
+      [rowId, personId, confidence, evidence ? JSON.stringify(evidence) : null]
+    );
+  }
+
+  // Every value each linked row proposes for each canonical field
+  _observations(row) {
+    const observed = row.scraped_at;
+    const obs = [];
+    const add = (field, value, source, at = observed) => {
+      if (value && String(value).trim()) obs.push({ field, value: String(value).trim(), source, scraped_cpa_id: row.id, observed_at: at });
+    };
+    const name = parsePersonName(row);
+    const hasSplitName = row.first_name && row.last_name;
+    add('first_name', hasSplitName ? row.first_name : null, row.source);
+    add('last_name', hasSplitName ? row.last_name : null, row.source);
+    add('designation', row.designation, row.source);
+    add('province', row.province, row.source);
+    add('city', row.city, row.source);
+    add('firm_name', row.firm_name, row.source);
+    add('phone', row.phone, row.source);
+    add('email', row.email, row.source);
+    add('email', row.enriched_email, row.enrichment_source || row.source, row.enrichment_date || observed);
+    add('firm_website', row.firm_website, row.enrichment_source || row.source, row.enrichment_date || observed);
+    if (!hasSplitName && name.last) add('full_name', row.full_name, row.source);
+    return obs;
+  }
+
+  /**
+   * Rebuild a person's canonical record: for each field the value from the most
+   * trusted source wins, ties broken by the most recent observation (so a move
+   * from CPABC to CPA Ontario updates the province).
+   */
+  async refreshPerson(dbClient, personId) {
+    const { rows } = await dbClient.query(`SELECT ${PERSON_COLUMNS} FROM scraped_cpas WHERE person_id = $1`, [personId]);
+    if (rows.length === 0) {
+      await dbClient.query('DELETE FROM cpa_persons WHERE id = $1', [personId]);
+      return null;
+    }
+
+    const winners = {};
+    for (const o of rows.flatMap(r => this._observations(r))) {
+      const cur = winners[o.field];
+      const trust = personSourceTrust(o.source);
+      const curTrust = cur ? personSourceTrust(cur.source) : -1;
+      if (!cur || trust > curTrust || (trust === curTrust && new Date(o.observed_at) > new Date(cur.observed_at))) {
+        winners[o.field] = o;
+      }
+    }
+    const value = (field) => (winners[field] ? winners[field].value : null);
+
+    // Rows with only a combined full_name still contribute a display name
+    const fullName = value('first_name') && value('last_name')
+      ? `${value('last_name')}, ${value('first_name')}`
+      : value('full_name');
+
+    const provinces = [...new Set(rows
+      .filter(r => r.province)
+      .sort((a, b) => new Date(a.scraped_at) - new Date(b.scraped_at))
+      .map(r => r.province.toUpperCase()))];
+    const sources = [...new Set(rows.flatMap(r => [r.source, r.enrichment_source].filter(Boolean)))];
+    const confidence = rows.length > 1
+      ? Math.min(...rows.map(r => (r.person_confidence === null ? 1 : parseFloat(r.person_confidence))))
+      : 1;
+
+    const r = await dbClient.query(
+      `UPDATE cpa_persons SET full_name = $2, first_name = $3, last_name = $4, designation = $5, province = $6,
+         city = $7, firm_name = $8, firm_website = $9, email = $10, phone = $11, provinces = $12, sources = $13,
+         field_sources = $14, member_count = $15, confidence = $16, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [personId, fullName, value('first_name'), value('last_name'), value('designation'), value('province'),
+       value('city'), value('firm_name'), value('firm_website'), value('email'), value('phone'),
+       JSON.stringify(provinces), JSON.stringify(sources), JSON.stringify(winners), rows.length, confidence]
+    );
+    return r.rows[0] || null;
+  }
+
+  async getPerson(dbClient, personId) {
+    const person = await dbClient.query('SELECT * FROM cpa_persons WHERE id = $1', [personId]);
+    if (person.rows.length === 0) return null;
+    const records = await dbClient.query(
+      `SELECT ${PERSON_COLUMNS}, person_evidence, person_resolved_at FROM scraped_cpas WHERE person_id = $1 ORDER BY scraped_at`,
+      [personId]
+    );
+    return { ...person.rows[0], records: records.rows };
+  }
+}
+
+module.exports = { CPAPersonResolver };
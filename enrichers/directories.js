@@ -0,0 +1,663 @@
+const cheerio = require('cheerio');
+const { BaseLoader, delay } = require('../scrapers/baseLoader');
+
+// =====================================================
+// 🌐 YELLOWPAGES.CA WEBSITE DISCOVERY
+// =====================================================
+
+class YellowPagesWebsiteEnricher extends BaseLoader {
+  constructor(deps) {
+    super('yellowpages_website', deps);
+    this.batchLimit = 500;
+    this.delayMs = 5000;
+    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    this.running = false;
+  }
+
+  async enrich(dbClient) {
+    if (this.running) {
+      console.log('[YellowPages] Already running, skipping');
+      return { processed: 0, found: 0 };
+    }
+    this.running = true;
+
+    console.log('🌐 Starting YellowPages website discovery...');
+    const jobId = await this._startJob(dbClient);
+    let totalProcessed = 0, totalFound = 0;
+
+    try {
+      // Get SMEs without a website, prioritized by score
+      const smes = await dbClient.query(
+        `SELECT id, business_name, province, city
+         FROM scraped_smes
+         WHERE website IS NULL
+           AND business_name IS NOT NULL AND business_name != ''
+           AND (enrichment_phase IS NULL OR enrichment_phase = 'pending' OR enrichment_phase = 'no_domain')
+         ORDER BY
+           GREATEST(COALESCE(score_accountants,0), COALESCE(score_lawyers,0), COALESCE(score_investing,0)) DESC NULLS LAST,
+           id ASC
+         LIMIT $1`,
+        [this.batchLimit]
+      );
+
+      console.log(`[YellowPages] Found ${smes.rows.length} SMEs to look up`);
+
+      for (const sme of smes.rows) {
+        totalProcessed++;
+        try {
+          const result = await this._lookupBusiness(sme);
+          if (result && result.website) {
+            await this.fieldObservations.observe('sme', sme.id, { website: result.website, phone: result.phone }, { source: 'yellowpages', jobId });
+            await dbClient.query(
+              `UPDATE scraped_smes SET enrichment_phase = 'website_found', updated_at = NOW() WHERE id = $1`,
+              [sme.id]
+            );
+            totalFound++;
+          } else {
+            await dbClient.query(
+              `UPDATE scraped_smes SET enrichment_phase = 'yp_no_match', updated_at = NOW() WHERE id = $1`,
+              [sme.id]
+            );
+          }
+        } catch (err) {
+          console.error(`[YellowPages] Error for ${sme.business_name}:`, err.message);
+        }
+
+        if (totalProcessed % 50 === 0) {
+          console.log(`[YellowPages] Progress: ${totalProcessed}/${smes.rows.length}, found ${totalFound} websites`);
+        }
+        await delay(this.delayMs);
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalProcessed, inserted: totalFound });
+      console.log(`✅ YellowPages discovery: ${totalProcessed} processed, ${totalFound} websites found`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ YellowPages discovery failed:', error.message);
+    }
+
+    this.running = false;
+    return { processed: totalProcessed, found: totalFound };
+  }
+
+  async _lookupBusiness(sme) {
+    const name = encodeURIComponent(sme.business_name);
+    const location = encodeURIComponent(`${sme.city || ''} ${sme.province || ''}`.trim());
+    if (!location || location === '%20') return null;
+
+    const url = `https://www.yellowpages.ca/search/si/1/${name}/${location}`;
+
+    try {
+      const response = await this.http.get(url, {
+        timeout: 15000,
+        headers: { 'User-Agent': this.userAgent },
+        maxRedirects: 3,
+        validateStatus: (s) => s < 400,
+      });
+
+      const $ = cheerio.load(response.data);
+      const normalizedSearch = this._normalize(sme.business_name);
+
+      // Look through listing results
+      let bestMatch = null;
+      let bestScore = 0;
+
+      $('div.listing, div.listing__content, article.listing').each((_, el) => {
+        const nameEl = $(el).find('a.listing__name--link, h3.listing__name a, .listing__name a').first();
+        const listingName = nameEl.text().trim();
+        if (!listingName) return;
+
+        const score = this._fuzzyMatch(normalizedSearch, this._normalize(listingName));
+        if (score > bestScore && score >= 0.6) {
+          bestScore = score;
+          const websiteEl = $(el).find('li.mlr__item--website a, a[href*="/gourl/"]').first();
+          const phoneEl = $(el).find('a.listing__link--icon.phone, span.mlr__sub-text, .listing__phone a').first();
+
+          let website = null;
+          const href = websiteEl.attr('href') || '';
+          if (href && !href.includes('yellowpages.ca')) {
+            // Extract actual URL from redirect links
+            const urlMatch = href.match(/[?&]redirect=([^&]+)/);
+            website = urlMatch ? decodeURIComponent(urlMatch[1]) : (href.startsWith('http') ? href : null);
+          }
+
+          const phone = phoneEl.text().trim().replace(/[^0-9()-\s+]/g, '') || null;
+
+          if (website) {
+            bestMatch = { website, phone };
+          }
+        }
+      });
+
+      return bestMatch;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  _normalize(name) {
+    return (name || '').toLowerCase()
+      .replace(/\b(inc|ltd|llc|llp|corp|corporation|limited|co|company)\b/gi, '')
+      .replace(/[^a-z0-9\s]/g, '')
+      .trim();
+  }
+
+  _fuzzyMatch(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    const wordsA = a.split(/\s+/);
+    const wordsB = b.split(/\s+/);
+    let matches = 0;
+    for (const w of wordsA) {
+      if (w.length >= 2 && wordsB.some(wb => wb.includes(w) || w.includes(wb))) matches++;
+    }
+    return matches / Math.max(wordsA.length, 1);
+  }
+}
+
+// =====================================================
+// 🌐 411.CA BUSINESS DIRECTORY ENRICHER
+// =====================================================
+
+class Directory411Enricher extends BaseLoader {
+  constructor(deps) {
+    super('411ca_website', deps);
+    this.batchLimit = 500;
+    this.delayMs = 5000;
+    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    this.running = false;
+  }
+
+  async enrich(dbClient) {
+    if (this.running) {
+      console.log('[411.ca] Already running, skipping');
+      return { processed: 0, found: 0 };
+    }
+    this.running = true;
+
+    console.log('🌐 Starting 411.ca website discovery...');
+    const jobId = await this._startJob(dbClient);
+    let totalProcessed = 0, totalFound = 0;
+
+    try {
+      // Get SMEs without a website, skip those already checked by YP
+      const smes = await dbClient.query(
+        `SELECT id, business_name, province, city
+         FROM scraped_smes
+         WHERE website IS NULL
+           AND business_name IS NOT NULL AND business_name != ''
+           AND (enrichment_phase IS NULL OR enrichment_phase IN ('pending', 'no_domain', 'yp_no_match'))
+         ORDER BY
+           GREATEST(COALESCE(score_accountants,0), COALESCE(score_lawyers,0), COALESCE(score_investing,0)) DESC NULLS LAST,
+           id ASC
+         LIMIT $1`,
+        [this.batchLimit]
+      );
+
+      console.log(`[411.ca] Found ${smes.rows.length} SMEs to look up`);
+
+      for (const sme of smes.rows) {
+        totalProcessed++;
+        try {
+          const result = await this._lookupBusiness(sme);
+          if (result && result.website) {
+            await this.fieldObservations.observe('sme', sme.id, { website: result.website, phone: result.phone }, { source: '411ca', jobId });
+            await dbClient.query(
+              `UPDATE scraped_smes SET enrichment_phase = 'website_found', updated_at = NOW() WHERE id = $1`,
+              [sme.id]
+            );
+            totalFound++;
+          } else {
+            await dbClient.query(
+              `UPDATE scraped_smes SET enrichment_phase = '411_no_match', updated_at = NOW()
+               WHERE id = $1 AND enrichment_phase != 'yp_no_match'`,
+              [sme.id]
+            );
+          }
+        } catch (err) {
+          console.error(`[411.ca] Error for ${sme.business_name}:`, err.message);
+        }
+
+        if (totalProcessed % 50 === 0) {
+          console.log(`[411.ca] Progress: ${totalProcessed}/${smes.rows.length}, found ${totalFound} websites`);
+        }
+        await delay(this.delayMs);
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalProcessed, inserted: totalFound });
+      console.log(`✅ 411.ca discovery: ${totalProcessed} processed, ${totalFound} websites found`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ 411.ca discovery failed:', error.message);
+    }
+
+    this.running = false;
+    return { processed: totalProcessed, found: totalFound };
+  }
+
+  async _lookupBusiness(sme) {
+    const name = encodeURIComponent(sme.business_name);
+    const location = encodeURIComponent(`${sme.city || ''} ${sme.province || ''}`.trim());
+    if (!location || location === '%20') return null;
+
+    const url = `https://411.ca/business/search/?q=${name}&l=${location}`;
+
+    try {
+      const response = await this.http.get(url, {
+        timeout: 15000,
+        headers: { 'User-Agent': this.userAgent },
+        maxRedirects: 3,
+        validateStatus: (s) => s < 400,
+      });
+
+      const $ = cheerio.load(response.data);
+      const normalizedSearch = this._normalize(sme.business_name);
+
+      let bestMatch = null;
+      let bestScore = 0;
+
+      $('div.listing, div.result, .c411ListedName, .listing-card').each((_, el) => {
+        const nameEl = $(el).find('a.listing-name, h2 a, .c411ListedName a, .listing-card__name a').first();
+        const listingName = nameEl.text().trim();
+        if (!listingName) return;
+
+        const score = this._fuzzyMatch(normalizedSearch, this._normalize(listingName));
+        if (score > bestScore && score >= 0.6) {
+          bestScore = score;
+          const websiteEl = $(el).find('a[data-type="website"], a.listing-website, a[rel="nofollow"][href*="http"]').first();
+          const phoneEl = $(el).find('.c411Phone, .listing-phone, a[href^="tel:"]').first();
+
+          let website = websiteEl.attr('href') || null;
+          if (website && website.includes('411.ca')) website = null;
+
+          const phone = phoneEl.text().trim().replace(/[^0-9()-\s+]/g, '') || null;
+
+          if (website) {
+            bestMatch = { website, phone };
+          }
+        }
+      });
+
+      return bestMatch;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  _normalize(name) {
+    return (name || '').toLowerCase()
+      .replace(/\b(inc|ltd|llc|llp|corp|corporation|limited|co|company)\b/gi, '')
+      .replace(/[^a-z0-9\s]/g, '')
+      .trim();
+  }
+
+  _fuzzyMatch(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    const wordsA = a.split(/\s+/);
+    const wordsB = b.split(/\s+/);
+    let matches = 0;
+    for (const w of wordsA) {
+      if (w.length >= 2 && wordsB.some(wb => wb.includes(w) || w.includes(wb))) matches++;
+    }
+    return matches / Math.max(wordsA.length, 1);
+  }
+}
+
+// =====================================================
+// 🏢 BBB.ORG PROFILE ENRICHER
+// =====================================================
+
+class BBBProfileEnricher extends BaseLoader {
+  constructor(deps) {
+    super('bbb_enrichment', deps);
+    this.batchLimit = 200;
+    this.delayMs = 5000;
+    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    this.running = false;
+  }
+
+  async enrich(dbClient) {
+    if (this.running) {
+      console.log('[BBB] Already running, skipping');
+      return { processed: 0, found: 0 };
+    }
+    this.running = true;
+
+    console.log('🏢 Starting BBB profile enrichment...');
+    const jobId = await this._startJob(dbClient);
+    let totalProcessed = 0, totalFound = 0;
+
+    try {
+      const smes = await dbClient.query(
+        `SELECT id, business_name, province, city
+         FROM scraped_smes
+         WHERE website IS NULL AND contact_email IS NULL
+           AND business_name IS NOT NULL AND business_name != ''
+           AND (enrichment_phase IS NULL OR enrichment_phase IN ('pending', 'no_domain', 'yp_no_match', '411_no_match'))
+         ORDER BY
+           GREATEST(COALESCE(score_accountants,0), COALESCE(score_lawyers,0), COALESCE(score_investing,0)) DESC NULLS LAST
+         LIMIT $1`,
+        [this.batchLimit]
+      );
+
+      console.log(`[BBB] Found ${smes.rows.length} SMEs to look up`);
+
+      for (const sme of smes.rows) {
+        totalProcessed++;
+        try {
+          const result = await this._lookupBusiness(sme);
+          if (result) {
+            await this.fieldObservations.observe('sme', sme.id, {
+              website: result.website, contact_email: result.email, phone: result.phone,
+            }, { source: 'bbb', jobId });
+
+            const updates = ["enrichment_phase = 'bbb_found'", 'updated_at = NOW()'];
+            if (result.email) updates.push('enrichment_date = NOW()', "status = 'enriched'");
+
+            await dbClient.query(
+              `UPDATE scraped_smes SET ${updates.join(', ')} WHERE id = $1`,
+              [sme.id]
+            );
+            totalFound++;
+          } else {
+            await dbClient.query(
+              `UPDATE scraped_smes SET enrichment_phase = 'bbb_no_match', updated_at = NOW() WHERE id = $1`,
+              [sme.id]
+            );
+          }
+        } catch (err) {
+          console.error(`[BBB] Error for ${sme.business_name}:`, err.message);
+        }
+
+        if (totalProcessed % 50 === 0) {
+          console.log(`[BBB] Progress: ${totalProcessed}/${smes.rows.length}, found ${totalFound}`);
+        }
+        await delay(this.delayMs);
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalProcessed, inserted: totalFound });
+      console.log(`✅ BBB enrichment: ${totalProcessed} processed, ${totalFound} found`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ BBB enrichment failed:', error.message);
+    }
+
+    this.running = false;
+    return { processed: totalProcessed, found: totalFound };
+  }
+
+  async _lookupBusiness(sme) {
+    // Map province to BBB region codes
+    const regionMap = {
+      'ON': 'ontario', 'BC': 'british-columbia', 'AB': 'alberta', 'QC': 'quebec',
+      'MB': 'manitoba', 'SK': 'saskatchewan', 'NS': 'nova-scotia', 'NB': 'new-brunswick',
+      'PE': 'prince-edward-island', 'NL': 'newfoundland-labrador',
+    };
+    const region = regionMap[sme.province] || 'canada';
+    const name = encodeURIComponent(sme.business_name);
+    const url = `https://www.bbb.org/search?find_text=${name}&find_loc=${encodeURIComponent(sme.city || sme.province || '')}&find_country=CAN&find_type=Category`;
+
+    try {
+      const response = await this.http.get(url, {
+        timeout: 15000,
+        headers: { 'User-Agent': this.userAgent },
+        maxRedirects: 3,
+        validateStatus: (s) => s < 400,
+      });
+
+      const $ = cheerio.load(response.data);
+      const normalizedSearch = this._normalize(sme.business_name);
+
+      let bestMatch = null;
+      let bestScore = 0;
+
+      // BBB search results
+      $('.result-business-name a, a.text-blue-medium[href*="/profile/"]').each((_, el) => {
+        const listingName = $(el).text().trim();
+        if (!listingName) return;
+
+        const score = this._fuzzyMatch(normalizedSearch, this._normalize(listingName));
+        if (score > bestScore && score >= 0.65) {
+          bestScore = score;
+          const profileUrl = $(el).attr('href');
+          if (profileUrl) {
+            bestMatch = { profileUrl: profileUrl.startsWith('http') ? profileUrl : `https://www.bbb.org${profileUrl}` };
+          }
+        }
+      });
+
+      if (!bestMatch) return null;
+
+      // Fetch profile page for website/email/phone
+      await delay(2000);
+      const profileResp = await this.http.get(bestMatch.profileUrl, {
+        timeout: 15000,
+        headers: { 'User-Agent': this.userAgent },
+        maxRedirects: 3,
+        validateStatus: (s) => s < 400,
+      });
+
+      const $p = cheerio.load(profileResp.data);
+      let website = null;
+      let email = null;
+      let phone = null;
+
+      // Website link
+      $p('a[href^="http"][target="_blank"]').each((_, el) => {
+        const href = $p(el).attr('href');
+        const text = $p(el).text().trim();
+        if (text.includes('Visit Website') && href && !href.includes('bbb.org')) {
+          website = href;
+        }
+      });
+      if (!website) {
+        const pageHtml = $p.html();
+        const primaryMatch = pageHtml.match(/"primary":"(https?:\/\/[^"]+)"/);
+        if (primaryMatch) website = primaryMatch[1];
+      }
+
+      // Phone
+      $p('a[href^="tel:"], .business-phone, .dtm-phone').each((_, el) => {
+        const ph = $p(el).text().trim().replace(/[^0-9()-\s+]/g, '');
+        if (ph.length >= 10) phone = ph;
+      });
+
+      // Email from page content
+      const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+      const pageText = $p('body').text();
+      const emails = pageText.match(emailRegex) || [];
+      for (const e of emails) {
+        if (!e.match(/@(bbb\.org|example\.|test\.|sentry\.)/i) && !e.match(/^(noreply|no-reply)@/i)) {
+          email = e.toLowerCase();
+          break;
+        }
+      }
+
+      if (website || email || phone) {
+        return { website, email, phone };
+      }
+      return null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  _normalize(name) {
+    return (name || '').toLowerCase()
+      .replace(/\b(inc|ltd|llc|llp|corp|corporation|limited|co|company)\b/gi, '')
+      .replace(/[^a-z0-9\s]/g, '')
+      .trim();
+  }
+
+  _fuzzyMatch(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    const wordsA = a.split(/\s+/);
+    const wordsB = b.split(/\s+/);
+    let matches = 0;
+    for (const w of wordsA) {
+      if (w.length >= 2 && wordsB.some(wb => wb.includes(w) || w.includes(wb))) matches++;
+    }
+    return matches / Math.max(wordsA.length, 1);
+  }
+}
+
+// =====================================================
+// 🏛️ CHAMBER OF COMMERCE DIRECTORY ENRICHER
+// =====================================================
+
+class ChamberDirectoryEnricher extends BaseLoader {
+  constructor(deps) {
+    super('chamber_enrichment', deps);
+    this.batchLimit = 200;
+    this.delayMs = 5000;
+    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    this.running = false;
+    // Major Canadian chambers with member directory URLs
+    this.chambers = [
+      { name: 'Toronto Board of Trade', baseUrl: 'https://www.bot.com', searchPath: '/member-directory/?q=', city: 'Toronto', province: 'ON' },
+      { name: 'Calgary Chamber', baseUrl: 'https://www.calgarychamber.com', searchPath: '/member-directory/?q=', city: 'Calgary', province: 'AB' },
+      { name: 'Ottawa Chamber', baseUrl: 'https://www.ottawachamber.ca', searchPath: '/member-directory/?q=', city: 'Ottawa', province: 'ON' },
+      { name: 'Vancouver Board of Trade', baseUrl: 'https://www.boardoftrade.com', searchPath: '/member-directory/?q=', city: 'Vancouver', province: 'BC' },
+    ];
+  }
+
+  async enrich(dbClient) {
+    if (this.running) {
+      console.log('[Chamber] Already running, skipping');
+      return { processed: 0, found: 0 };
+    }
+    this.running = true;
+
+    console.log('🏛️ Starting Chamber of Commerce enrichment...');
+    const jobId = await this._startJob(dbClient);
+    let totalProcessed = 0, totalFound = 0;
+
+    try {
+      for (const chamber of this.chambers) {
+        console.log(`[Chamber] Searching ${chamber.name}...`);
+
+        // Get SMEs in this city without website
+        const smes = await dbClient.query(
+          `SELECT id, business_name, province, city
+           FROM scraped_smes
+           WHERE website IS NULL AND contact_email IS NULL
+             AND business_name IS NOT NULL AND business_name != ''
+             AND LOWER(city) = LOWER($1) AND province = $2
+           ORDER BY GREATEST(COALESCE(score_accountants,0), COALESCE(score_lawyers,0), COALESCE(score_investing,0)) DESC
+           LIMIT $3`,
+          [chamber.city, chamber.province, Math.floor(this.batchLimit / this.chambers.length)]
+        );
+
+        for (const sme of smes.rows) {
+          totalProcessed++;
+          try {
+            const result = await this._searchChamber(chamber, sme);
+            if (result) {
+              await this.fieldObservations.observe('sme', sme.id, {
+                website: result.website, contact_email: result.email, phone: result.phone,
+              }, { source: 'chamber', jobId });
+
+              const updates = ['updated_at = NOW()'];
+              if (result.website) updates.push("enrichment_phase = 'chamber_found'");
+              if (result.email) updates.push('enrichment_date = NOW()', "status = 'enriched'");
+
+              await dbClient.query(`UPDATE scraped_smes SET ${updates.join(', ')} WHERE id = $1`, [sme.id]);
+              totalFound++;
+            }
+          } catch (err) {
+            console.error(`[Chamber] Error for ${sme.business_name}:`, err.message);
+          }
+          await delay(this.delayMs);
+        }
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalProcessed, inserted: totalFound });
+      console.log(`✅ Chamber enrichment: ${totalProcessed} processed, ${totalFound} found`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ Chamber enrichment failed:', error.message);
+    }
+
+    this.running = false;
+    return { processed: totalProcessed, found: totalFound };
+  }
+
+  async _searchChamber(chamber, sme) {
+    const url = `${chamber.baseUrl}${chamber.searchPath}${encodeURIComponent(sme.business_name)}`;
+
+    try {
+      const response = await this.http.get(url, {
+        timeout: 15000,
+        headers: { 'User-Agent': this.userAgent },
+        maxRedirects: 3,
+        validateStatus: (s) => s < 400,
+      });
+
+      const $ = cheerio.load(response.data);
+      const normalizedSearch = this._normalize(sme.business_name);
+
+      let website = null;
+      let email = null;
+      let phone = null;
+
+      // Generic selectors for chamber member directories
+      $('div.member, div.listing, article, .member-card, .directory-listing').each((_, el) => {
+        const nameEl = $(el).find('h2 a, h3 a, .member-name a, .listing-name a').first();
+        const listingName = nameEl.text().trim();
+        if (!listingName) return;
+
+        const score = this._fuzzyMatch(normalizedSearch, this._normalize(listingName));
+        if (score >= 0.65) {
+          // Look for website link
+          $(el).find('a[href*="http"]').each((_, linkEl) => {
+            const href = $(linkEl).attr('href') || '';
+            if (!href.includes(chamber.baseUrl) && !href.includes('facebook') && !href.includes('linkedin') && !href.includes('twitter')) {
+              if (!website) website = href;
+            }
+          });
+
+          // Look for phone
+          $(el).find('a[href^="tel:"], .phone, .member-phone').each((_, phoneEl) => {
+            const ph = $(phoneEl).text().trim().replace(/[^0-9()-\s+]/g, '');
+            if (ph.length >= 10 && !phone) phone = ph;
+          });
+
+          // Look for email
+          const text = $(el).text();
+          const emailMatch = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
+          if (emailMatch && !emailMatch[0].match(/@(example|test|sentry)\./i)) {
+            email = emailMatch[0].toLowerCase();
+          }
+        }
+      });
+
+      if (website || email) return { website, email, phone };
+      return null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  _normalize(name) {
+    return (name || '').toLowerCase()
+      .replace(/\b(inc|ltd|llc|llp|corp|corporation|limited|co|company)\b/gi, '')
+      .replace(/[^a-z0-9\s]/g, '')
+      .trim();
+  }
+
+  _fuzzyMatch(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    const wordsA = a.split(/\s+/);
+    const wordsB = b.split(/\s+/);
+    let matches = 0;
+    for (const w of wordsA) {
+      if (w.length >= 2 && wordsB.some(wb => wb.includes(w) || w.includes(wb))) matches++;
+    }
+    return matches / Math.max(wordsA.length, 1);
+  }
+}
+
+module.exports = { YellowPagesWebsiteEnricher, Directory411Enricher, BBBProfileEnricher, ChamberDirectoryEnricher };
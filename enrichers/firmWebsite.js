@@ -0,0 +1,616 @@
+const dns = require('dns').promises;
+const { BaseLoader, delay } = require('../scrapers/baseLoader');
+
+// =====================================================
+// 📧 EMAIL ENRICHMENT PIPELINE
+// =====================================================
+
+// Expanded generic email prefixes
+const CPA_GENERIC_LOCALS = /^(info|contact|contact_us|contactus|client\.?relations|investor\.?relations|admin|support|noreply|no-reply|hello|office|sales|marketing|hr|careers|jobs|webmaster|privacy|billing|unsubscribe|abuse|spam|reception|general|enquiries|inquiries|accessibility|fraud|clientcare|mediarelations|wmcmediarelations|communications|media|press|compliance|legal|remittance|service|donations?|donate|team|itsecurity|solutions|feedback|mail|signs|accounting|corporatemarketing|webenquiry|centrecontact|crm|community|newsletter|events?|customerservice|frontdesk|connect|kontakt|foi\.?privacy|order|leisure|lending|investors|corp|recruitment|reservations|shipping|warehouse|dispatch|returns|booking|shop|news|relais|ventas|pomoc|talent|web|people|appsupport|salesfire|newbusiness|notification|partnerships|secretariat|secretary|staplestax|taxman|socam|rotterdam)@/i;
+
+const CPA_INDUSTRY_SUFFIXES = ['cpa', 'accounting', 'tax'];
+const DNS_TIMEOUT = 3000;
+
+class FirmWebsiteEnricher extends BaseLoader {
+  constructor(deps) {
+    super('email_enrichment', deps);
+    this.dailyLimit = 500;
+    this.delayMs = 3000;
+    this.batchSize = 5;
+    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    this.running = false;
+    this.dnsCache = new Map();
+    this.crawlCache = new Map();
+  }
+
+  async enrich(dbClient) {
+    if (this.running) {
+      console.log('[Enrichment] Already running, skipping duplicate trigger');
+      return { processed: 0, enriched: 0 };
+    }
+    this.running = true;
+    this.dnsCache.clear();
+    this.crawlCache.clear();
+    this.emailVerifier.resetCaches();
+
+    const smtpAvailable = await this.emailVerifier.smtpAvailable();
+    console.log(`[CPA Enrichment] SMTP port 25 ${smtpAvailable ? 'available' : 'blocked'} — verification ${smtpAvailable ? 'enabled' : 'disabled'}`);
+
+    // Clean up stale "running" jobs from previous server instances (older than 2 hours)
+    try {
+      const cleaned = await dbClient.query(
+        `UPDATE scrape_jobs SET status = 'failed', error_message = 'Server restarted — job orphaned', completed_at = NOW()
+         WHERE source = 'email_enrichment' AND status = 'running' AND started_at < NOW() - INTERVAL '2 hours'`
+      );
+      if (cleaned.rowCount > 0) console.log(`[Enrichment] Cleaned up ${cleaned.rowCount} stale jobs`);
+    } catch (e) { /* ignore */ }
+
+    console.log('📧 Starting email enrichment pipeline...');
+    const jobId = await this._startJob(dbClient);
+    let totalProcessed = 0, totalEnriched = 0;
+
+    try {
+      // Province rotation: cycle through province groups so every province gets enriched
+      const PROVINCE_GROUPS = [
+        { name: 'Ontario', filter: "LOWER(province) IN ('on','ontario')" },
+        { name: 'BC', filter: "LOWER(province) IN ('bc','british columbia')" },
+        { name: 'Alberta', filter: "LOWER(province) IN ('ab','alberta')" },
+        { name: 'Quebec', filter: "LOWER(province) IN ('qc','quebec')" },
+        { name: 'Prairies', filter: "LOWER(province) IN ('mb','manitoba','sk','saskatchewan')" },
+        { name: 'Atlantic', filter: "LOWER(province) IN ('ns','nova scotia','nb','new brunswick','nl','newfoundland','newfoundland and labrador','pe','pei','prince edward island')" },
+      ];
+      const perGroupLimit = Math.ceil(this.dailyLimit / PROVINCE_GROUPS.length);
+
+      // Priority 1: CPAs with firm_name — rotate through province groups
+      for (const group of PROVINCE_GROUPS) {
+        const groupLimit = Math.min(perGroupLimit, this.dailyLimit - totalProcessed);
+        if (groupLimit <= 0) break;
+
+        const cpasWithFirm = await dbClient.query(
+          `SELECT id, first_name, last_name, full_name, firm_name, city, province
+           FROM (
+             SELECT *, ROW_NUMBER() OVER (PARTITION BY LOWER(TRIM(firm_name)) ORDER BY scraped_at ASC) as rn
+             FROM scraped_cpas
+             WHERE firm_name IS NOT NULL AND firm_name != ''
+               AND email IS NULL AND enriched_email IS NULL
+               AND status = 'raw'
+               AND ${group.filter}
+           ) sub
+           WHERE rn <= 2
+           ORDER BY scraped_at ASC
+           LIMIT ${groupLimit}`
+        );
+
+        console.log(`[Enrichment] ${group.name}: Found ${cpasWithFirm.rows.length} CPAs with firm names`);
+
+        for (let i = 0; i < cpasWithFirm.rows.length; i += this.batchSize) {
+          const batch = cpasWithFirm.rows.slice(i, i + this.batchSize);
+          const results = await Promise.allSettled(
+            batch.map(cpa => this._processSingleCPA(cpa, dbClient, jobId))
+          );
+
+          for (let j = 0; j < results.length; j++) {
+            totalProcessed++;
+            if (results[j].status === 'fulfilled' && results[j].value) {
+              totalEnriched++;
+            }
+          }
+
+          if (totalProcessed % 20 === 0) {
+            console.log(`[Enrichment] Progress: ${totalProcessed} processed, ${totalEnriched} enriched`);
+          }
+          await delay(this.delayMs);
+        }
+      }
+
+      // Priority 2: CPAs without firm_name — rotate through province groups
+      for (const group of PROVINCE_GROUPS) {
+        const remaining = this.dailyLimit - totalProcessed;
+        const groupLimit = Math.min(perGroupLimit, remaining);
+        if (groupLimit <= 0) break;
+
+        const cpasNoFirm = await dbClient.query(
+          `SELECT id, first_name, last_name, full_name, city, province
+           FROM scraped_cpas
+           WHERE (firm_name IS NULL OR firm_name = '')
+             AND email IS NULL AND enriched_email IS NULL
+             AND status = 'raw'
+             AND ${group.filter}
+           ORDER BY scraped_at ASC
+           LIMIT ${groupLimit}`
+        );
+
+        console.log(`[Enrichment] ${group.name}: Found ${cpasNoFirm.rows.length} CPAs without firm names`);
+
+        for (let i = 0; i < cpasNoFirm.rows.length; i += this.batchSize) {
+          const batch = cpasNoFirm.rows.slice(i, i + this.batchSize);
+          const results = await Promise.allSettled(
+            batch.map(cpa => this._processSingleCPANoFirm(cpa, dbClient, jobId))
+          );
+
+          for (let j = 0; j < results.length; j++) {
+            totalProcessed++;
+            if (results[j].status === 'fulfilled' && results[j].value) {
+              totalEnriched++;
+            }
+          }
+
+          if (totalProcessed % 20 === 0) {
+            console.log(`[Enrichment] Progress: ${totalProcessed} processed, ${totalEnriched} enriched`);
+          }
+          await delay(this.delayMs);
+        }
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalProcessed, inserted: totalEnriched });
+      console.log(`✅ Enrichment complete: ${totalProcessed} processed, ${totalEnriched} enriched`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ Enrichment failed:', error.message);
+    }
+
+    this.running = false;
+    return { processed: totalProcessed, enriched: totalEnriched };
+  }
+
+  async _apolloLookup(professional, dbClient) {
+    if (!process.env.APOLLO_API_KEY) return null;
+    try {
+      const dailyLimit = parseInt(process.env.APOLLO_DAILY_LIMIT) || 50;
+      const today = new Date().toISOString().slice(0, 10);
+      const used = await dbClient.query(
+        `SELECT COALESCE(SUM(records_updated), 0) as credits FROM scrape_jobs WHERE source = 'apollo_enrichment' AND started_at::date = $1::date`,
+        [today]
+      );
+      if (parseInt(used.rows[0].credits) >= dailyLimit) return null;
+
+      const payload = { first_name: professional.first_name, last_name: professional.last_name };
+      if (professional.firm_name) payload.organization_name = professional.firm_name;
+
+      const res = await this.http.post('https://api.apollo.io/api/v1/people/match', payload, {
+        headers: { 'x-api-key': process.env.APOLLO_API_KEY, 'Content-Type': 'application/json' },
+        timeout: 10000,
+        robots: false,
+      });
+
+      await dbClient.query(
+        `INSERT INTO scrape_jobs (source, status, records_updated, started_at, completed_at) VALUES ('apollo_enrichment', 'completed', 1, NOW(), NOW())`
+      );
+
+      if (res.data?.person?.email) {
+        return { email: res.data.person.email, source: `apollo:${res.data.person.email_confidence || 'high'}` };
+      }
+      return null;
+    } catch (err) {
+      console.error(`[Apollo] Lookup failed for ${professional.first_name} ${professional.last_name}:`, err.message);
+      return null;
+    }
+  }
+
+  // Process a single CPA with firm name (used by parallel mini-batch)
+  async _processSingleCPA(cpa, dbClient, jobId) {
+    try {
+      const result = await this._findEmailForCPA(cpa, dbClient);
+      if (result) {
+        // Dedup: skip if this email is already assigned to 2+ other professionals
+        const dupeCheck = await dbClient.query(
+          `SELECT COUNT(*) as c FROM scraped_cpas WHERE enriched_email = $1`, [result.email]
+        );
+        if (parseInt(dupeCheck.rows[0].c) >= 2) {
+          console.log(`[Enrichment] Skipping duplicate email ${result.email} (already assigned to ${dupeCheck.rows[0].c} records)`);
+          await dbClient.query(
+            `UPDATE scraped_cpas SET status = 'enrichment_attempted', updated_at = NOW() WHERE id = $1`, [cpa.id]
+          );
+          return false;
+        } else {
+          await this.fieldObservations.observe('cpa', cpa.id, { enriched_email: result.email }, { source: result.source, jobId });
+          await dbClient.query(
+            `UPDATE scraped_cpas SET enrichment_date = NOW(), status = 'enriched', updated_at = NOW() WHERE id = $1`,
+            [cpa.id]
+          );
+          return true;
+        }
+      } else {
+        await dbClient.query(
+          `UPDATE scraped_cpas SET status = 'enrichment_attempted', updated_at = NOW() WHERE id = $1`,
+          [cpa.id]
+        );
+        return false;
+      }
+    } catch (err) {
+      console.error(`[Enrichment] Error for CPA ${cpa.id}:`, err.message);
+      return false;
+    }
+  }
+
+  // Process a single CPA without firm name (used by parallel mini-batch)
+  async _processSingleCPANoFirm(cpa, dbClient, jobId) {
+    try {
+      let result = await this._apolloLookup(cpa, dbClient);
+      if (!result) result = await this._findEmailNoFirm(cpa);
+      if (result) {
+        const dupeCheck = await dbClient.query(
+          `SELECT COUNT(*) as c FROM scraped_cpas WHERE enriched_email = $1`, [result.email]
+        );
+        if (parseInt(dupeCheck.rows[0].c) >= 2) {
+          console.log(`[Enrichment] Skipping duplicate email ${result.email} (already assigned to ${dupeCheck.rows[0].c} records)`);
+          await dbClient.query(
+            `UPDATE scraped_cpas SET status = 'enrichment_attempted', updated_at = NOW() WHERE id = $1`, [cpa.id]
+          );
+          return false;
+        } else {
+          await this.fieldObservations.observe('cpa', cpa.id, { enriched_email: result.email }, { source: result.source, jobId });
+          await dbClient.query(
+            `UPDATE scraped_cpas SET firm_name = COALESCE(NULLIF(firm_name, ''), $2), enrichment_date = NOW(), status = 'enriched', updated_at = NOW() WHERE id = $1`,
+            [cpa.id, result.firmName || '']
+          );
+          return true;
+        }
+      } else {
+        await dbClient.query(
+          `UPDATE scraped_cpas SET status = 'enrichment_attempted', updated_at = NOW() WHERE id = $1`,
+          [cpa.id]
+        );
+        return false;
+      }
+    } catch (err) {
+      console.error(`[Enrichment] Error for CPA ${cpa.id} (no-firm):`, err.message);
+      return false;
+    }
+  }
+
+  // Cached DNS resolution to avoid repeated lookups for the same domain
+  async _cachedDnsResolve(domain) {
+    if (this.dnsCache.has(domain)) return this.dnsCache.get(domain);
+    try {
+      const result = await Promise.race([
+        dns.resolve4(domain),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('DNS timeout')), DNS_TIMEOUT))
+      ]);
+      this.dnsCache.set(domain, result);
+      return result;
+    } catch (err) {
+      this.dnsCache.set(domain, null);
+      return null;
+    }
+  }
+
+  // Strategy 1: CPA has a firm name — try to find firm website and extract emails
+  async _findEmailForCPA(cpa, dbClient) {
+    // Priority 0: Apollo.io lookup
+    const apolloResult = await this._apolloLookup(cpa, dbClient);
+    if (apolloResult) return apolloResult;
+
+    const firmName = cpa.firm_name;
+    if (!firmName) return null;
+
+    const possibleDomains = this._generateDomainSlugs(firmName);
+    if (possibleDomains.length === 0) return null;
+
+    let confirmedDomain = null;
+
+    for (const domain of possibleDomains) {
+      try {
+        const { email, domainLive } = await this._scrapeWebsiteForEmail(domain, cpa);
+        if (domainLive && !confirmedDomain) confirmedDomain = domain;
+        if (email) {
+          // Validate before accepting
+          const check = await this.emailVerifier.verify(email);
+          if (!check.deliverable) {
+            console.log(`[CPA Enrichment] ${check.provider} rejected ${email} (status: ${check.status}) — skipping domain ${domain}`);
+            continue;
+          }
+          await this.fieldObservations.observe('cpa', cpa.id, { firm_website: domain }, { source: `firm_website:${domain}`, confidence: 0.9 });
+          return { email, source: `firm_website:${domain}` };
+        }
+      } catch (err) {
+        continue;
+      }
+    }
+
+    return null;
+  }
+
+  _generateDomainSlugs(firmName) {
+    if (!firmName) return [];
+    const clean = firmName.toLowerCase()
+      .replace(/[^a-z0-9\s]/g, '')
+      .replace(/\b(llp|inc|ltd|corp|corporation|limited|professional|group|associates)\b/g, '')
+      .trim();
+    if (!clean || clean.length < 2) return [];
+
+    const words = clean.split(/\s+/).filter(w => w.length > 0);
+    if (words.length === 0) return [];
+
+    const slugs = new Set();
+    const compact = words.join('');
+    slugs.add(`${compact}.ca`);
+    slugs.add(`${compact}.com`);
+    slugs.add(`${compact}.net`);
+    slugs.add(`${compact}.org`);
+
+    if (words.length > 1) {
+      const hyphenated = words.join('-');
+      slugs.add(`${hyphenated}.ca`);
+      slugs.add(`${hyphenated}.com`);
+    }
+
+    if (words.length > 2) {
+      const first2 = words.slice(0, 2).join('');
+      slugs.add(`${first2}.ca`);
+      slugs.add(`${first2}.com`);
+    }
+
+    // First word only (e.g., "Deloitte Canada LLP" → deloitte.ca)
+    if (words.length > 1 && words[0].length >= 4) {
+      slugs.add(`${words[0]}.ca`);
+      slugs.add(`${words[0]}.com`);
+    }
+
+    // Abbreviation (initials)
+    if (words.length >= 2 && words.length <= 5) {
+      const abbr = words.map(w => w[0]).join('');
+      if (abbr.length >= 2) {
+        slugs.add(`${abbr}.ca`);
+        slugs.add(`${abbr}.com`);
+      }
+    }
+
+    // Industry keyword slugs
+    const base = words[0];
+    if (base.length >= 3) {
+      for (const suffix of CPA_INDUSTRY_SUFFIXES) {
+        slugs.add(`${base}${suffix}.ca`);
+        slugs.add(`${base}${suffix}.com`);
+      }
+    }
+
+    return [...slugs];
+  }
+
+  // Strategy 2: No firm name — crawl large CPA firm team/people pages and match names
+  async _findEmailNoFirm(cpa) {
+    const firstName = (cpa.first_name || '').trim().toLowerCase();
+    const lastName = (cpa.last_name || '').trim().toLowerCase();
+    // Clean up parenthetical preferred names like "(Darcy) W."
+    const lastNameClean = lastName.replace(/\(.*?\)/g, '').replace(/\b[a-z]\.\s*/g, '').trim();
+    if (!lastNameClean || lastNameClean.length < 2) return null;
+    if (!firstName || firstName.length < 2) return null;
+
+    // Large CPA firms with public team directories
+    const largeFirms = [
+      { domain: 'bdo.ca', name: 'BDO Canada', teamPages: ['/en-ca/our-people/search-results?name='] },
+      { domain: 'mnp.ca', name: 'MNP LLP', teamPages: ['/en/find-a-team-member?search='] },
+      { domain: 'grantthornton.ca', name: 'Grant Thornton', teamPages: ['/en/people?search='] },
+      { domain: 'bakertilly.ca', name: 'Baker Tilly', teamPages: ['/en/people?q='] },
+      { domain: 'welchllp.com', name: 'Welch LLP', teamPages: ['/our-team/', '/about/our-team/'] },
+      { domain: 'manningelliott.com', name: 'Manning Elliott', teamPages: ['/team/', '/our-team/'] },
+      { domain: 'smythegroup.com', name: 'Smythe LLP', teamPages: ['/team/', '/our-team/'] },
+      { domain: 'dmcl.ca', name: 'DMCL', teamPages: ['/team/', '/our-team/'] },
+      { domain: 'clearlinecpa.ca', name: 'Clearline CPA', teamPages: ['/team/', '/our-team/'] },
+      { domain: 'rcmycpa.ca', name: 'RCM CPA', teamPages: ['/team/', '/our-team/'] },
+      { domain: 'deloitte.com', name: 'Deloitte', teamPages: ['/ca/en/profiles/'] },
+      { domain: 'pwc.com', name: 'PwC', teamPages: ['/ca/en/contacts.html?'] },
+      { domain: 'ey.com', name: 'EY', teamPages: ['/en_ca/people/'] },
+      { domain: 'kpmg.com', name: 'KPMG', teamPages: ['/ca/en/home/contacts.html?'] },
+      { domain: 'rsm.ca', name: 'RSM Canada', teamPages: ['/our-people?search='] },
+      { domain: 'crowesoberman.com', name: 'Crowe Soberman', teamPages: ['/team/', '/our-people/'] },
+      { domain: 'richter.ca', name: 'Richter', teamPages: ['/en/team/', '/en/our-people/'] },
+      { domain: 'fullerlandau.com', name: 'Fuller Landau', teamPages: ['/team/', '/our-team/'] },
+      { domain: 'zeifmans.ca', name: 'Zeifmans', teamPages: ['/team/', '/our-people/'] },
+      { domain: 'rlb.ca', name: 'RLB LLP', teamPages: ['/team/', '/our-people/'] },
+      { domain: 'fbc.ca', name: 'FBC', teamPages: ['/about-us/our-team/'] },
+      { domain: 'doanegrantthornton.ca', name: 'Doane Grant Thornton', teamPages: ['/en/people?search='] },
+      { domain: 'marcillavallee.ca', name: 'Marcil Lavallee', teamPages: ['/team/', '/our-team/'] },
+      { domain: 'sbpartners.ca', name: 'SB Partners', teamPages: ['/team/', '/our-people/'] },
+      { domain: 'taylorlieberman.com', name: 'Taylor Lieberman', teamPages: ['/team/', '/our-team/'] },
+      { domain: 'mdd.com', name: 'MDD Forensic Accountants', teamPages: ['/our-people/', '/team/'] },
+      { domain: 'sfpartnership.ca', name: 'SF Partnership', teamPages: ['/team/', '/our-team/'] },
+      { domain: 'lfrgroup.ca', name: 'LFR Group', teamPages: ['/team/', '/our-team/'] },
+      { domain: 'dfrg.ca', name: 'DNTW', teamPages: ['/team/', '/our-people/'] },
+      { domain: 'pfrgroup.ca', name: 'PFR Group', teamPages: ['/team/', '/our-team/'] },
+    ];
+
+    for (const firm of largeFirms) {
+      for (const teamPath of firm.teamPages) {
+        try {
+          // Build URL: for search-based pages, append the last name
+          let url;
+          if (teamPath.includes('?') || teamPath.includes('=')) {
+            url = `https://${firm.domain}${teamPath}${encodeURIComponent(lastNameClean)}`;
+          } else {
+            url = `https://${firm.domain}${teamPath}`;
+          }
+
+          const response = await this.http.get(url, {
+            timeout: 8000,
+            headers: { 'User-Agent': this.userAgent },
+            maxRedirects: 3,
+            validateStatus: (s) => s < 400,
+          });
+
+          const html = response.data;
+          // Check if the page mentions the CPA's name
+          const htmlLower = html.toLowerCase();
+          if (htmlLower.includes(lastNameClean) && htmlLower.includes(firstName)) {
+            // Found a name match — look for emails on this page
+            const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+            const foundEmails = html.match(emailRegex) || [];
+
+            for (const email of foundEmails) {
+              if (email.match(/\.(png|jpg|jpeg|gif|svg|css|js|webp|ico|woff|woff2|ttf|eot|map)$/i)) continue;
+              if (email.match(/\d+x\d*\./)) continue; // image dimensions like flags@2x.webp
+              if (email.match(/^(example|test|user|email|someone|yourname|your|youremail|your\.?address|your\.?email|your\.?name|name|username|sampleemail)@/i)) continue;
+              if (CPA_GENERIC_LOCALS.test(email)) continue;
+              if (email.match(/@(mysite|yoursite|yourdomain|domain|website|site|example|sentry|wixpress|mailchimp|placeholder|test|domainmarket|email)\./i)) continue;
+              if (email.match(/impallari|fontawesome|bootstrap|wordpress|@sentry-next/i)) continue;
+              if (email.split('@')[0].length < 3) continue;
+              if (email.match(/^(shop|news|relais|ventas|pomoc|talent|web|people|appsupport|salesfire|newbusiness|notification|partnerships|right\.info|secretariat|secretary|staplestax|taxman|x{2,}|order|leisure|lending|investors|corp|contactus|contact_us|recruitment|reservations|shipping|warehouse|dispatch|returns|booking|socam|rotterdam)@/i)) continue;
+              if (email.match(/^u003e/i)) continue;
+              { const lp = email.split('@')[0]; if (lp.length > 8 && (lp.match(/[aeiou]/gi) || []).length / lp.length < 0.15) continue; }
+
+              const emailLower = email.toLowerCase();
+              const localPart = emailLower.split('@')[0];
+              // Check if email contains the CPA's name parts
+              if (localPart.includes(lastNameClean) || localPart.includes(firstName)) {
+                console.log(`[Enrichment] Found name-matched email for ${cpa.full_name}: ${email} on ${firm.name}`);
+                return { email, source: `firm_directory:${firm.name}`, firmName: firm.name };
+              }
+            }
+
+            // If we found the name but no name-matched email, try pattern-based emails
+            // Common patterns: first.last@domain, flast@domain
+            const candidateEmails = [
+              `${firstName}.${lastNameClean}@${firm.domain}`,
+              `${firstName[0]}${lastNameClean}@${firm.domain}`,
+              `${firstName}${lastNameClean}@${firm.domain}`,
+            ];
+
+            // Check if any of these patterns appear in the found emails
+            for (const candidate of candidateEmails) {
+              if (foundEmails.map(e => e.toLowerCase()).includes(candidate)) {
+                console.log(`[Enrichment] Found pattern-matched email for ${cpa.full_name}: ${candidate} on ${firm.name}`);
+                return { email: candidate, source: `firm_directory:${firm.name}`, firmName: firm.name };
+              }
+            }
+          }
+        } catch (err) {
+          // Page doesn't exist or error — skip this firm/path
+          continue;
+        }
+        await delay(2000); // Delay between firm page fetches
+      }
+    }
+
+    return null;
+  }
+
+  // Scrape a website for email addresses, prioritizing name matches
+  async _scrapeWebsiteForEmail(domain, cpa) {
+    // DNS pre-check — skip domains that don't resolve (cached)
+    const dnsResult = await this._cachedDnsResolve(domain);
+    if (!dnsResult) {
+      return { email: null, domainLive: false };
+    }
+
+    // Check crawl cache — if we already crawled this domain, search cached emails for name match
+    if (this.crawlCache.has(domain)) {
+      const cached = this.crawlCache.get(domain);
+      const firstName = (cpa.first_name || '').toLowerCase();
+      const lastName = (cpa.last_name || '').toLowerCase();
+
+      // Search cached emails for this CPA's name
+      const nameMatched = cached.emails.filter(e => {
+        const localPart = e.toLowerCase().split('@')[0];
+        return (firstName.length >= 2 && localPart.includes(firstName)) ||
+               (lastName.length >= 2 && localPart.includes(lastName));
+      });
+      if (nameMatched.length > 0) return { email: nameMatched[0], domainLive: cached.domainLive };
+
+      // Solo practitioner fallback on cached emails
+      if (this._isSoloPractice(cpa.firm_name, cpa.last_name)) {
+        const anyValid = cached.emails.filter(e =>
+          !e.match(/@(mysite|yoursite|yourdomain|domain|website|site|example|sentry|wixpress|mailchimp|placeholder|test)\./i) &&
+          !e.match(/impallari|fontawesome|bootstrap|wordpress|@sentry-next/i)
+        );
+        if (anyValid.length === 1) return { email: anyValid[0], domainLive: cached.domainLive };
+      }
+
+      return { email: null, domainLive: cached.domainLive };
+    }
+
+    const pages = [`https://${domain}`, `https://${domain}/contact`, `https://${domain}/team`, `https://${domain}/about`, `https://${domain}/our-team`, `https://${domain}/people`,
+                    `https://${domain}/professionals`, `https://${domain}/about-us`, `https://${domain}/meet-the-team`, `https://${domain}/staff`, `https://${domain}/partners`, `https://${domain}/services`,
+                    `https://${domain}/directory`, `https://${domain}/leadership`, `https://${domain}/who-we-are`, `https://${domain}/our-people`, `https://${domain}/our-firm`, `https://${domain}/members`, `https://${domain}/our-practice`, `https://${domain}/associates`];
+    const allEmails = new Set();
+    const nameMatchEmails = [];
+    const firstName = (cpa.first_name || '').toLowerCase();
+    const lastName = (cpa.last_name || '').toLowerCase();
+    let anyPageLoaded = false;
+
+    for (const url of pages) {
+      try {
+        const response = await this.http.get(url, {
+          timeout: 8000,
+          headers: { 'User-Agent': this.userAgent },
+          maxRedirects: 3,
+          validateStatus: (s) => s < 400,
+        });
+        anyPageLoaded = true;
+
+        const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+        const found = (typeof response.data === 'string' ? response.data : '').match(emailRegex) || [];
+
+        for (const email of found) {
+          if (email.match(/\.(png|jpg|jpeg|gif|svg|css|js|webp|ico|woff|woff2|ttf|eot|map)$/i)) continue;
+          if (email.match(/\d+x\d*\./)) continue;
+          if (email.match(/^(example|test|user|email|someone|yourname|your|youremail|your\.?address|your\.?email|your\.?name|name|username|sampleemail)@/i)) continue;
+          if (CPA_GENERIC_LOCALS.test(email)) continue;
+          if (email.match(/@(mysite|yoursite|yourdomain|domain|website|site|example|sentry|wixpress|mailchimp|placeholder|test|domainmarket|email)\./i)) continue;
+          if (email.match(/impallari|fontawesome|bootstrap|wordpress|@sentry-next/i)) continue;
+          if (email.split('@')[0].length < 3) continue;
+          if (email.match(/^(shop|news|relais|ventas|pomoc|talent|web|people|appsupport|salesfire|newbusiness|notification|partnerships|right\.info|secretariat|secretary|staplestax|taxman|x{2,})@/i)) continue;
+          if (email.match(/^u003e/i)) continue;
+          { const lp = email.split('@')[0]; if (lp.length > 8 && (lp.match(/[aeiou]/gi) || []).length / lp.length < 0.15) continue; }
+
+          allEmails.add(email);
+          const emailLower = email.toLowerCase();
+
+          if (firstName.length >= 2 && emailLower.includes(firstName)) {
+            nameMatchEmails.push(email);
+          } else if (lastName.length >= 2 && emailLower.includes(lastName)) {
+            nameMatchEmails.push(email);
+          }
+        }
+      } catch (err) {
+        continue;
+      }
+      await delay(1000);
+    }
+
+    // Cache crawled emails for this domain so other CPAs at the same firm skip re-crawling
+    this.crawlCache.set(domain, { emails: [...allEmails], domainLive: anyPageLoaded });
+
+    // Priority: name-matched email > name-matched non-generic email > solo practitioner fallback
+    if (nameMatchEmails.length > 0) return { email: nameMatchEmails[0], domainLive: anyPageLoaded };
+
+    const nonGeneric = [...allEmails].filter(e => !CPA_GENERIC_LOCALS.test(e));
+    const nameMatched = nonGeneric.filter(e => {
+      const local = e.split('@')[0].toLowerCase();
+      return (firstName.length >= 2 && local.includes(firstName)) ||
+             (lastName.length >= 2 && local.includes(lastName));
+    });
+    if (nameMatched.length > 0) return { email: nameMatched[0], domainLive: anyPageLoaded };
+
+    // Solo practitioner fallback
+    if (this._isSoloPractice(cpa.firm_name, cpa.last_name)) {
+      const anyValid = [...allEmails].filter(e =>
+        !e.match(/@(mysite|yoursite|yourdomain|domain|website|site|example|sentry|wixpress|mailchimp|placeholder|test)\./i) &&
+        !e.match(/impallari|fontawesome|bootstrap|wordpress|@sentry-next/i)
+      );
+      if (anyValid.length === 1) return { email: anyValid[0], domainLive: anyPageLoaded };
+    }
+
+    return { email: null, domainLive: anyPageLoaded };
+  }
+
+  _generatePatternEmails(firstName, lastName, domain) {
+    if (!firstName || !lastName || firstName.length < 2 || lastName.length < 2) return [];
+    const f = firstName.toLowerCase().replace(/[^a-z]/g, '');
+    const l = lastName.toLowerCase().replace(/[^a-z]/g, '');
+    if (!f || !l) return [];
+    return [
+      `${f}.${l}@${domain}`,
+      `${f}${l}@${domain}`,
+      `${f[0]}${l}@${domain}`,
+      `${f}@${domain}`,
+    ];
+  }
+
+  _isSoloPractice(firmName, lastName) {
+    if (!firmName || !lastName) return false;
+    return firmName.toLowerCase().includes(lastName.toLowerCase());
+  }
+}
+
+module.exports = { FirmWebsiteEnricher };
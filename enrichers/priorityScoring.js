@@ -0,0 +1,175 @@
+const { BaseLoader } = require('../scrapers/baseLoader');
+
+// =====================================================
+// 📊 BUSINESS PRIORITY SCORING ENGINE
+// =====================================================
+
+class BusinessPriorityScorer extends BaseLoader {
+  constructor(deps) {
+    super('priority_scoring', deps);
+    this.batchSize = 2000;
+  }
+
+  async score(dbClient) {
+    console.log('📊 Starting business priority scoring...');
+    const jobId = await this._startJob(dbClient);
+    let scored = 0;
+
+    try {
+      const { rows } = await dbClient.query(
+        `SELECT id, business_name, naics_code, industry, province, city, employee_count,
+          incorporation_date, years_in_business, directors, contact_email, website,
+          business_status, data_sources
+         FROM scraped_smes
+         WHERE queue_status_accountants = 'unscored' OR queue_status_lawyers = 'unscored' OR queue_status_investing = 'unscored'
+         LIMIT $1`,
+        [this.batchSize]
+      );
+
+      console.log(`[Scorer] Processing ${rows.length} unscored records...`);
+
+      for (const biz of rows) {
+        const acctScore = this._scoreAccountants(biz);
+        const lawScore = this._scoreLawyers(biz);
+        const invScore = this._scoreInvesting(biz);
+
+        const hasContact = !!(biz.contact_email || biz.website);
+        const hasDirectors = Array.isArray(biz.directors) && biz.directors.length > 0;
+
+        // Determine queue status based on thresholds
+        let qAcct = acctScore >= 35 && hasContact ? 'ready' : (acctScore > 0 ? 'scored' : 'not_relevant');
+        let qLaw = lawScore >= 40 && hasContact ? 'ready' : (lawScore > 0 ? 'scored' : 'not_relevant');
+        let qInv = invScore >= 45 && (hasDirectors || hasContact) ? 'ready' : (invScore > 0 ? 'scored' : 'not_relevant');
+
+        await dbClient.query(
+          `UPDATE scraped_smes SET
+            score_accountants = $2, score_lawyers = $3, score_investing = $4,
+            queue_status_accountants = $5, queue_status_lawyers = $6, queue_status_investing = $7,
+            updated_at = NOW()
+          WHERE id = $1`,
+          [biz.id, acctScore, lawScore, invScore, qAcct, qLaw, qInv]
+        );
+        scored++;
+      }
+
+      await this._completeJob(dbClient, jobId, { found: scored, inserted: scored });
+      console.log(`✅ Priority scoring complete: ${scored} records scored`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ Priority scoring failed:', error.message);
+    }
+    return { scored };
+  }
+
+  _empBucket(empStr) {
+    if (!empStr) return 0;
+    const n = parseInt(empStr);
+    if (isNaN(n)) return 0;
+    if (n >= 50) return 4;
+    if (n >= 20) return 3;
+    if (n >= 10) return 2;
+    if (n >= 5) return 1;
+    return 0;
+  }
+
+  _naicsPrefix(code) {
+    return code ? String(code).substring(0, 2) : '';
+  }
+
+  _scoreAccountants(biz) {
+    let score = 0;
+    const emp = this._empBucket(biz.employee_count);
+    score += [5, 10, 15, 20, 25][emp]; // Employee count (25 max)
+
+    // Industry complexity (25 max)
+    const naics = this._naicsPrefix(biz.naics_code);
+    const complexIndustries = ['23','53','62','31','32','33','52']; // Construction, Real Estate, Healthcare, Manufacturing, Finance
+    const mediumIndustries = ['44','45','72']; // Retail, Food
+    if (complexIndustries.includes(naics)) score += 25;
+    else if (mediumIndustries.includes(naics)) score += 15;
+    else score += 10;
+
+    // Multi-province (15 max) — check data_sources for breadth
+    const sources = Array.isArray(biz.data_sources) ? biz.data_sources : [];
+    if (sources.length >= 3) score += 15;
+    else if (sources.length >= 2) score += 10;
+
+    // Contact path (10 max)
+    if (biz.contact_email || biz.website) score += 10;
+
+    // Years in business (15 max)
+    const years = biz.years_in_business || 0;
+    if (years > 10) score += 15;
+    else if (years >= 5) score += 12;
+    else if (years >= 2) score += 8;
+    else if (years > 0) score += 3;
+
+    // Active status (10 max)
+    if (!biz.business_status || biz.business_status.toLowerCase().includes('active') || biz.business_status.toLowerCase().includes('issued')) {
+      score += 10;
+    }
+
+    return Math.min(100, score);
+  }
+
+  _scoreLawyers(biz) {
+    let score = 0;
+    const naics = this._naicsPrefix(biz.naics_code);
+
+    // Industry risk profile (30 max)
+    const riskMap = { '53': 30, '23': 28, '52': 25, '62': 25, '21': 25, '31': 20, '32': 20, '33': 20, '51': 18 };
+    score += riskMap[naics] || 12;
+
+    // Employee count / employment law (20 max)
+    const emp = this._empBucket(biz.employee_count);
+    score += [4, 8, 12, 15, 20][emp];
+
+    // Regulatory complexity (20 max)
+    const regMap = { '52': 20, '62': 18, '21': 18, '22': 15, '51': 12 };
+    score += regMap[naics] || 8;
+
+    // Years in business (15 max)
+    const years = biz.years_in_business || 0;
+    if (years > 10) score += 15;
+    else if (years >= 5) score += 10;
+    else score += 5;
+
+    // Contact path (15 max)
+    if (biz.contact_email) score += 15;
+    else if (biz.website) score += 8;
+
+    return Math.min(100, score);
+  }
+
+  _scoreInvesting(biz) {
+    let score = 0;
+    const naics = this._naicsPrefix(biz.naics_code);
+
+    // Revenue estimate via employee proxy (30 max)
+    const emp = this._empBucket(biz.employee_count);
+    score += [5, 12, 20, 25, 30][emp];
+
+    // Industry wealth signals (25 max)
+    const wealthMap = { '52': 25, '53': 24, '54': 23, '55': 22, '21': 20 };
+    score += wealthMap[naics] || 10;
+
+    // Director available (15 max)
+    const hasDirectors = Array.isArray(biz.directors) && biz.directors.length > 0;
+    if (hasDirectors) score += 15;
+
+    // Years in business (20 max)
+    const years = biz.years_in_business || 0;
+    if (years > 15) score += 20;
+    else if (years >= 10) score += 15;
+    else if (years >= 5) score += 10;
+    else if (years > 0) score += 3;
+
+    // Province wealth concentration (10 max)
+    const provMap = { 'ON': 10, 'BC': 9, 'AB': 8, 'QC': 7 };
+    score += provMap[(biz.province || '').toUpperCase()] || 5;
+
+    return Math.min(100, score);
+  }
+}
+
+module.exports = { BusinessPriorityScorer };
@@ -0,0 +1,424 @@
+const dns = require('dns').promises;
+const { BaseLoader, delay } = require('../scrapers/baseLoader');
+
+const DNS_TIMEOUT = 3000;
+
+// =====================================================
+// 📧 SME EMAIL ENRICHMENT PIPELINE (Enhanced 3-Stage)
+// =====================================================
+
+class SMEEmailEnricher extends BaseLoader {
+  constructor(deps) {
+    super('sme_email_enrichment', deps);
+    this.batchLimit = 2000;
+    this.delayMs = 1500;
+    this.batchSize = 5; // parallel mini-batch size
+    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    this.running = false;
+  }
+
+  async enrich(dbClient) {
+    if (this.running) {
+      console.log('[SME Enrichment] Already running, skipping duplicate trigger');
+      return { processed: 0, enriched: 0, websitesFound: 0 };
+    }
+    this.running = true;
+
+    // Clean up stale "running" jobs from previous server instances
+    try {
+      const cleaned = await dbClient.query(
+        `UPDATE scrape_jobs SET status = 'failed', error_message = 'Server restarted — job orphaned', completed_at = NOW()
+         WHERE source = 'sme_email_enrichment' AND status = 'running' AND started_at < NOW() - INTERVAL '2 hours'`
+      );
+      if (cleaned.rowCount > 0) console.log(`[SME Enrichment] Cleaned up ${cleaned.rowCount} stale jobs`);
+    } catch (e) { /* ignore */ }
+
+    console.log('📧 Starting enhanced SME email enrichment pipeline...');
+    const jobId = await this._startJob(dbClient);
+    let totalProcessed = 0, totalEnriched = 0, totalWebsites = 0;
+
+    try {
+      // Prioritize: 1) records WITH website but no email, 2) records with no website
+      const smes = await dbClient.query(
+        `SELECT id, business_name, province, city, naics_code, industry, website, enrichment_attempts
+         FROM scraped_smes
+         WHERE contact_email IS NULL
+           AND (status IS NULL OR status = 'raw' OR status = 'active')
+           AND business_name IS NOT NULL AND business_name != ''
+         ORDER BY
+           website IS NOT NULL DESC,
+           GREATEST(COALESCE(score_accountants,0), COALESCE(score_lawyers,0), COALESCE(score_investing,0)) DESC NULLS LAST,
+           scraped_at ASC
+         LIMIT $1`,
+        [this.batchLimit]
+      );
+
+      console.log(`[SME Enrichment] Found ${smes.rows.length} SMEs to enrich`);
+
+      this.emailVerifier.resetCaches();
+      console.log(`[SME Enrichment] SMTP port 25 ${await this.emailVerifier.smtpAvailable() ? 'available' : 'blocked'}`);
+
+      // Process in mini-batches of 5
+      for (let i = 0; i < smes.rows.length; i += this.batchSize) {
+        const batch = smes.rows.slice(i, i + this.batchSize);
+        const results = await Promise.allSettled(
+          batch.map(sme => this._processSME(sme, dbClient, jobId))
+        );
+
+        for (let j = 0; j < results.length; j++) {
+          totalProcessed++;
+          const result = results[j];
+          if (result.status === 'fulfilled' && result.value) {
+            if (result.value.email) totalEnriched++;
+            if (result.value.websiteFound) totalWebsites++;
+          }
+        }
+
+        if (totalProcessed % 50 === 0) {
+          console.log(`[SME Enrichment] Progress: ${totalProcessed}/${smes.rows.length} processed, ${totalEnriched} emails, ${totalWebsites} websites`);
+        }
+        await delay(this.delayMs);
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalProcessed, inserted: totalEnriched });
+      console.log(`✅ SME Enrichment complete: ${totalProcessed} processed, ${totalEnriched} emails found, ${totalWebsites} websites found`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ SME Enrichment failed:', error.message);
+    }
+
+    this.running = false;
+    return { processed: totalProcessed, enriched: totalEnriched, websitesFound: totalWebsites };
+  }
+
+  async _processSME(sme, dbClient, jobId) {
+    try {
+      const result = await this._findEmailForSME(sme, dbClient);
+      if (result && result.email) {
+        await this.fieldObservations.observe('sme', sme.id, { contact_email: result.email }, {
+          source: result.source, confidence: result.verified ? 0.9 : 0.6, jobId,
+        });
+        if (result.website && result.websiteSource !== 'existing') {
+          await this.fieldObservations.observe('sme', sme.id, { website: result.website }, { source: result.websiteSource || 'domain_guess', jobId });
+        }
+
+        const updateFields = [
+          'enrichment_date = NOW()',
+          "status = 'enriched'",
+          'updated_at = NOW()',
+          'enrichment_attempts = COALESCE(enrichment_attempts, 0) + 1',
+        ];
+        const params = [sme.id];
+        let paramIdx = 2;
+
+        if (result.verified !== undefined) {
+          updateFields.push(`email_verified = $${paramIdx++}`);
+          params.push(result.verified);
+        }
+        if (result.verificationMethod) {
+          updateFields.push(`email_verification_method = $${paramIdx++}`);
+          params.push(result.verificationMethod);
+        }
+        updateFields.push(`enrichment_phase = $${paramIdx++}`);
+        params.push(result.phase || 'email_found');
+
+        await dbClient.query(
+          `UPDATE scraped_smes SET ${updateFields.join(', ')} WHERE id = $1`,
+          params
+        );
+        return { email: true, websiteFound: !!result.website };
+      } else if (result && result.website) {
+        // Website found but no email — still valuable, save it
+        if (result.websiteSource !== 'existing') {
+          await this.fieldObservations.observe('sme', sme.id, { website: result.website }, { source: result.websiteSource || 'domain_guess', jobId });
+        }
+        await dbClient.query(
+          `UPDATE scraped_smes SET enrichment_phase = 'website_only',
+           enrichment_attempts = COALESCE(enrichment_attempts, 0) + 1, updated_at = NOW(),
+           status = CASE WHEN status IN ('raw', 'active') THEN 'enrichment_attempted' ELSE status END
+           WHERE id = $1`,
+          [sme.id]
+        );
+        return { email: false, websiteFound: true };
+      } else {
+        await dbClient.query(
+          `UPDATE scraped_smes SET status = 'enrichment_attempted',
+           enrichment_attempts = COALESCE(enrichment_attempts, 0) + 1,
+           enrichment_phase = 'no_domain', updated_at = NOW() WHERE id = $1`,
+          [sme.id]
+        );
+        return { email: false, websiteFound: false };
+      }
+    } catch (err) {
+      console.error(`[SME Enrichment] Error for SME ${sme.id} (${sme.business_name}):`, err.message);
+      await dbClient.query(
+        `UPDATE scraped_smes SET status = 'enrichment_attempted',
+         enrichment_attempts = COALESCE(enrichment_attempts, 0) + 1, updated_at = NOW() WHERE id = $1`,
+        [sme.id]
+      );
+      return null;
+    }
+  }
+
+  async _apolloLookup(sme, dbClient) {
+    if (!process.env.APOLLO_API_KEY) return null;
+    // SME enrichment: try to match business contact person
+    const contactName = sme.contact_name || '';
+    const nameParts = contactName.split(/\s+/);
+    if (nameParts.length < 2) return null; // Need at least first + last name
+
+    try {
+      const dailyLimit = parseInt(process.env.APOLLO_DAILY_LIMIT) || 50;
+      const today = new Date().toISOString().slice(0, 10);
+      const used = await dbClient.query(
+        `SELECT COALESCE(SUM(records_updated), 0) as credits FROM scrape_jobs WHERE source = 'apollo_enrichment' AND started_at::date = $1::date`,
+        [today]
+      );
+      if (parseInt(used.rows[0].credits) >= dailyLimit) return null;
+
+      const payload = {
+        first_name: nameParts[0],
+        last_name: nameParts.slice(1).join(' '),
+        organization_name: sme.business_name,
+      };
+
+      const res = await this.http.post('https://api.apollo.io/api/v1/people/match', payload, {
+        headers: { 'x-api-key': process.env.APOLLO_API_KEY, 'Content-Type': 'application/json' },
+        timeout: 10000,
+        robots: false,
+      });
+
+      await dbClient.query(
+        `INSERT INTO scrape_jobs (source, status, records_updated, started_at, completed_at) VALUES ('apollo_enrichment', 'completed', 1, NOW(), NOW())`
+      );
+
+      if (res.data?.person?.email) {
+        return { email: res.data.person.email, source: `apollo:${res.data.person.email_confidence || 'high'}`, phase: 'apollo' };
+      }
+      return null;
+    } catch (err) {
+      console.error(`[Apollo] SME lookup failed for ${sme.business_name}:`, err.message);
+      return null;
+    }
+  }
+
+  async _findEmailForSME(sme, dbClient) {
+    // Priority 0: Apollo.io lookup
+    const apolloResult = await this._apolloLookup(sme, dbClient);
+    if (apolloResult) return apolloResult;
+
+    const businessName = sme.business_name;
+    if (!businessName) return null;
+
+    // Stage 1: If SME already has a website (from directory enrichment), scrape it directly
+    if (sme.website) {
+      try {
+        const domain = new URL(sme.website).hostname.replace(/^www\./, '');
+        const email = await this._scrapeWebsiteForEmail(domain, sme);
+        if (email) {
+          const verified = await this._verifyEmail(email);
+          return { email, website: sme.website, source: `website:${domain}`, websiteSource: 'existing', phase: 'scraped_existing', ...verified };
+        }
+        // Website exists but no email scraped — try MX pattern generation
+        const patternResult = await this._tryPatternEmails(domain);
+        if (patternResult) {
+          return { email: patternResult.email, website: sme.website, source: `pattern:${domain}`, websiteSource: 'existing', phase: 'pattern_gen', ...patternResult };
+        }
+        return { website: sme.website, websiteSource: 'existing' };
+      } catch (err) {
+        // Invalid URL, fall through to domain guessing
+      }
+    }
+
+    // Stage 2: Generate domain variations from business name + DNS pre-check
+    const possibleDomains = this._generateDomainVariations(businessName);
+    if (possibleDomains.size === 0) return null;
+
+    // Batch DNS check — filter to only live domains
+    const liveDomains = await this._filterLiveDomains(possibleDomains);
+
+    if (liveDomains.length === 0) return null;
+
+    // Save the first live domain as website even if we don't find email
+    const firstLiveDomain = liveDomains[0];
+    let foundWebsite = `https://${firstLiveDomain}`;
+
+    // Scrape each live domain for emails
+    for (const domain of liveDomains) {
+      try {
+        const email = await this._scrapeWebsiteForEmail(domain, sme);
+        if (email) {
+          const verified = await this._verifyEmail(email);
+          return { email, website: `https://${domain}`, source: `website:${domain}`, websiteSource: 'domain_guess', phase: 'scraped_guessed', ...verified };
+        }
+      } catch (err) {
+        continue;
+      }
+    }
+
+    // Stage 3: No email scraped from any live domain — try MX pattern generation on first live domain
+    const patternResult = await this._tryPatternEmails(firstLiveDomain);
+    if (patternResult) {
+      return { email: patternResult.email, website: foundWebsite, source: `pattern:${firstLiveDomain}`, websiteSource: 'domain_guess', phase: 'pattern_gen', ...patternResult };
+    }
+
+    // Return website discovery even without email
+    return { website: foundWebsite, websiteSource: 'domain_guess' };
+  }
+
+  _generateDomainVariations(businessName) {
+    const cleaned = businessName.toLowerCase()
+      .replace(/\b(inc|ltd|llc|llp|corp|corporation|limited|co|company|enterprises|holdings|group|partners|solutions|services|consulting|technologies|international|canada|canadian|ontario|toronto|vancouver|calgary|ottawa|montreal)\b/gi, '')
+      .replace(/[^a-z0-9\s]/g, '')
+      .trim();
+
+    if (cleaned.length < 3) return new Set();
+
+    const words = cleaned.split(/\s+/).filter(w => w.length >= 2);
+    if (words.length === 0) return new Set();
+
+    const slug = words.join('');
+    const slugHyphen = words.join('-');
+    const acronym = words.map(w => w[0]).join('');
+    const shortSlug = words.slice(0, 2).join('');
+    const shortSlugHyphen = words.slice(0, 2).join('-');
+
+    const possibleDomains = new Set();
+    if (slug.length >= 3 && slug.length <= 40) {
+      possibleDomains.add(`${slug}.ca`);
+      possibleDomains.add(`${slug}.com`);
+    }
+    if (slugHyphen.length >= 3 && slugHyphen !== slug) {
+      possibleDomains.add(`${slugHyphen}.ca`);
+      possibleDomains.add(`${slugHyphen}.com`);
+    }
+    if (shortSlug.length >= 3 && shortSlug !== slug) {
+      possibleDomains.add(`${shortSlug}.ca`);
+      possibleDomains.add(`${shortSlug}.com`);
+    }
+    if (shortSlugHyphen.length >= 3 && shortSlugHyphen !== slugHyphen && shortSlugHyphen !== shortSlug) {
+      possibleDomains.add(`${shortSlugHyphen}.ca`);
+      possibleDomains.add(`${shortSlugHyphen}.com`);
+    }
+    if (acronym.length >= 3) {
+      possibleDomains.add(`${acronym}.ca`);
+      possibleDomains.add(`${acronym}.com`);
+    }
+    return possibleDomains;
+  }
+
+  // Batch-filter domains via parallel DNS lookups
+  async _filterLiveDomains(domains) {
+    const results = await Promise.allSettled(
+      [...domains].map(d => Promise.race([
+        dns.resolve4(d).then(() => d),
+        new Promise((_, rej) => setTimeout(() => rej(new Error('DNS timeout')), DNS_TIMEOUT))
+      ]))
+    );
+    return results.filter(r => r.status === 'fulfilled').map(r => r.value);
+  }
+
+  async _scrapeWebsiteForEmail(domain, sme) {
+    const pages = [
+      `https://${domain}`, `https://${domain}/contact`, `https://${domain}/contact-us`,
+      `https://${domain}/about`, `https://${domain}/about-us`, `https://${domain}/team`,
+      `https://${domain}/our-team`, `https://${domain}/staff`, `https://${domain}/people`,
+      `https://${domain}/services`, `https://${domain}/location`, `https://${domain}/locations`,
+      `https://${domain}/partners`, `https://${domain}/cpas`, `https://${domain}/our-cpas`,
+      `https://${domain}/accountants`, `https://${domain}/tax-professionals`,
+    ];
+    const allEmails = new Set();
+
+    for (const url of pages) {
+      try {
+        const response = await this.http.get(url, {
+          timeout: 8000,
+          headers: { 'User-Agent': this.userAgent },
+          maxRedirects: 3,
+          validateStatus: (s) => s < 400,
+        });
+
+        const html = typeof response.data === 'string' ? response.data : '';
+        const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+        const found = html.match(emailRegex) || [];
+
+        for (const email of found) {
+          if (email.match(/\.(png|jpg|jpeg|gif|svg|css|js|webp|ico|woff|woff2|ttf|eot|map)$/i)) continue;
+          if (email.match(/\d+x\d*\./)) continue;
+          if (email.match(/^(example|test|user|email|someone|yourname|name|username|sampleemail)@/i)) continue;
+          if (email.match(/@(example\.|sentry\.|wixpress\.|mailchimp\.|placeholder\.|test\.|googleapis\.|w3\.org|mysite\.|yoursite\.|yourdomain\.|domain\.|website\.|site\.)/i)) continue;
+          if (email.match(/impallari|fontawesome|bootstrap|wordpress|@sentry-next/i)) continue;
+          if (email.split('@')[0].length < 3) continue;
+          if (email.match(/^(noreply|no-reply|donotreply|mailer-daemon|postmaster|webmaster)@/i)) continue;
+
+          allEmails.add(email.toLowerCase());
+        }
+      } catch (err) {
+        continue;
+      }
+      await delay(500);
+    }
+
+    if (allEmails.size === 0) return null;
+
+    // Priority 1: info@, contact@, office@, hello@ (best for business outreach)
+    const businessEmails = [...allEmails].filter(e =>
+      e.match(/^(info|contact|office|hello|enquiries|inquiries|reception|general)@/i)
+    );
+    if (businessEmails.length > 0) return businessEmails[0];
+
+    // Priority 2: Any email at the domain (not support/hr/careers)
+    const domainEmails = [...allEmails].filter(e => {
+      const emailDomain = e.split('@')[1];
+      return emailDomain === domain && !e.match(/^(support|hr|careers|jobs|noreply|no-reply|privacy|abuse|spam|billing|unsubscribe|marketing|sales)@/i);
+    });
+    if (domainEmails.length > 0) return domainEmails[0];
+
+    // Priority 3: Any non-excluded email at the same domain
+    const sameDomain = [...allEmails].filter(e => e.split('@')[1] === domain);
+    if (sameDomain.length > 0) return sameDomain[0];
+
+    return null;
+  }
+
+  // Try standard email patterns when we have a live domain with MX but no scraped email
+  async _tryPatternEmails(domain) {
+    if (!(await this.emailVerifier.domainAcceptsMail(domain))) return null;
+
+    const patterns = [
+      `info@${domain}`, `contact@${domain}`, `hello@${domain}`,
+      `office@${domain}`, `admin@${domain}`,
+    ];
+
+    if (await this.emailVerifier.smtpAvailable()) {
+      if (await this.emailVerifier.isCatchAll(domain)) {
+        // Catch-all domain — accept info@ with lower confidence, no SMTP verify needed
+        return { email: `info@${domain}`, verified: false, verificationMethod: 'mx_catchall' };
+      }
+
+      // Not catch-all — verify each pattern via SMTP
+      for (const email of patterns) {
+        const result = await this.emailVerifier.verify(email, { providers: ['smtp'] });
+        if (result.confirmed) {
+          return { email, verified: true, verificationMethod: 'smtp_rcpt' };
+        }
+      }
+      return null;
+    }
+
+    // SMTP blocked — fall back to MX-only verification, accept info@ with low confidence
+    return { email: `info@${domain}`, verified: false, verificationMethod: 'mx_only' };
+  }
+
+  // Verify a scraped email via SMTP when port 25 is open
+  async _verifyEmail(email) {
+    if (!(await this.emailVerifier.smtpAvailable())) return { verified: false, verificationMethod: 'none' };
+    const result = await this.emailVerifier.verify(email, { providers: ['smtp'] });
+    return {
+      verified: result.confirmed,
+      verificationMethod: result.confirmed ? 'smtp_rcpt' : (result.status === 'invalid' ? 'smtp_invalid' : 'smtp_unknown'),
+    };
+  }
+}
+
+module.exports = { SMEEmailEnricher };
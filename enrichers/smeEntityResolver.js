@@ -0,0 +1,241 @@
+const { BaseLoader } = require('../scrapers/baseLoader');
+const { profile: entityProfile, blockingKeys: entityBlockingKeys, scorePair: scoreEntityPair, normalizeBusinessName } = require('../services/entityResolution');
+
+// =====================================================
+// 🧬 SME ENTITY RESOLUTION
+// =====================================================
+// Loaders only dedupe on the exact name+province hash, so "ACME Holdings Inc."
+// (Corporations Canada) and "Acme Holdings" (Toronto licences) stay two rows.
+// This job clusters scraped_smes into sme_entities using the scoring model in
+// services/entityResolution.js: each row gets entity_id plus the confidence and
+// evidence of its link. Admin merges/unmerges set entity_method = 'manual' and
+// are never revisited by the automatic pass (it only looks at unresolved rows).
+
+const ENTITY_COLUMNS = `id, source, business_name, province, city, corporate_number, postal_code, full_address,
+  phone, contact_phone, website, directors, data_sources, entity_id, entity_confidence, entity_method`;
+
+// Source trust when picking each canonical field — registries first, then everything else
+const ENTITY_SOURCE_PRIORITY = ['corporations_canada', 'orgbook_bc', 'cra_charities', 'statcan_odbus', 'federal_grants', 'cipo_trademarks'];
+
+class SMEEntityResolver extends BaseLoader {
+  constructor(deps) {
+    super('entity_resolution', deps);
+    this.batchSize = 500;
+    this.maxPerRun = 50000;
+    this.maxCandidates = 25;
+    this.autoLinkThreshold = parseFloat(process.env.ENTITY_AUTO_LINK_THRESHOLD) || 0.85;
+  }
+
+  async resolve(dbClient) {
+    console.log('🧬 Starting SME entity resolution...');
+    const jobId = await this._startJob(dbClient);
+    let processed = 0, linked = 0, created = 0, errored = 0;
+    let lastId = (this.resumeCheckpoint() || {}).lastId || 0;
+
+    try {
+      while (processed < this.maxPerRun) {
+        const { rows } = await dbClient.query(
+          `SELECT ${ENTITY_COLUMNS} FROM scraped_smes WHERE entity_id IS NULL AND id > $1 ORDER BY id LIMIT $2`,
+          [lastId, this.batchSize]
+        );
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          lastId = row.id;
+          processed++;
+          try {
+            const r = await this._resolveOne(dbClient, row);
+            if (r.created) created++; else linked++;
+          } catch (err) {
+            errored++;
+            console.error(`[EntityResolution] SME #${row.id} failed:`, err.message);
+          }
+        }
+
+        await this._saveCheckpoint(dbClient, jobId, { lastId }, { found: processed, inserted: created, merged: linked, errored });
+        console.log(`[EntityResolution] Progress: ${processed} resolved, ${linked} linked to existing entities, ${created} new entities`);
+      }
+
+      await this._completeJob(dbClient, jobId, { found: processed, inserted: created, merged: linked, errored });
+      console.log(`✅ Entity resolution: ${processed} records, ${linked} linked, ${created} new entities, ${errored} errors`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message, { found: processed, inserted: created, merged: linked, errored });
+      console.error('❌ Entity resolution failed:', error.message);
+    }
+    return { processed, linked, created, errored };
+  }
+
+  async _resolveOne(dbClient, row) {
+    const p = entityProfile(row);
+    const keys = entityBlockingKeys(p);
+    if (keys.length > 0) {
+      await dbClient.query(
+        `INSERT INTO sme_match_keys (sme_id, key_type, key_value)
+         SELECT $1, t, v FROM unnest($2::text[], $3::text[]) AS k(t, v)
+         ON CONFLICT DO NOTHING`,
+        [row.id, keys.map(k => k[0]), keys.map(k => k[1].substring(0, 600))]
+      );
+    }
+
+    const best = await this._bestCandidate(dbClient, p, keys);
+    if (best && best.confidence >= this.autoLinkThreshold) {
+      await this._assign(dbClient, [row.id], best.entityId, 'auto', best.confidence, { matched_sme_id: best.smeId, evidence: best.evidence });
+      await this.refreshEntity(dbClient, best.entityId);
+      return { entityId: best.entityId, created: false };
+    }
+
+    const entity = await dbClient.query(
+      `INSERT INTO sme_entities (canonical_name, normalized_name, province) VALUES ($1, $2, $3) RETURNING id`,
+      [row.business_name, p.name.key, row.province]
+    );
+    const entityId = entity.rows[0].id;
+    // Keep the near-miss so reviewers can see what almost matched
+    const nearest = best ? { nearest_entity_id: best.entityId, nearest_sme_id: best.smeId, nearest_confidence: best.confidence, evidence: best.evidence } : null;
+    await this._assign(dbClient, [row.id], entityId, 'auto', 1, nearest);
+    await this.refreshEntity(dbClient, entityId);
+    return { entityId, created: true };
+  }
+
+  // Highest-scoring existing entity among records sharing a blocking key
+  async _bestCandidate(dbClient, p, keys) {
+    if (keys.length === 0) return null;
+    const { rows } = await dbClient.query(
+      `SELECT ${ENTITY_COLUMNS} FROM scraped_smes
+       WHERE entity_id IN (
+         SELECT DISTINCT s.entity_id FROM sme_match_keys k JOIN scraped_smes s ON s.id = k.sme_id
+         WHERE s.entity_id IS NOT NULL AND s.id != $4
+           AND (k.key_type, k.key_value) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+         LIMIT $3
+       )`,
+      [keys.map(k => k[0]), keys.map(k => k[1].substring(0, 600)), this.maxCandidates, p.id]
+    );
+
+    let best = null;
+    for (const member of rows) {
+      const { confidence, evidence } = scoreEntityPair(p, entityProfile(member));
+      if (!best || confidence > best.confidence) {
+        best = { entityId: member.entity_id, smeId: member.id, confidence, evidence };
+      }
+    }
+    return best;
+  }
+
+  async _assign(dbClient, smeIds, entityId, method, confidence, evidence) {
+    await dbClient.query(
+      `UPDATE scraped_smes SET entity_id = $2, entity_method = $3, entity_confidence = $4,
+         entity_evidence = $5, entity_resolved_at = NOW()
+       WHERE id = ANY($1)`,
+      [smeIds, entityId, method, confidence, evidence ? JSON.stringify(evidence) : null]
+    );
+  }
+
+  /**
+   * Recompute an entity's canonical fields, provenance and confidence from its members.
+   */
+  async refreshEntity(dbClient, entityId) {
+    const { rows } = await dbClient.query(`SELECT ${ENTITY_COLUMNS} FROM scraped_smes WHERE entity_id = $1`, [entityId]);
+    if (rows.length === 0) {
+      await dbClient.query('DELETE FROM sme_entities WHERE id = $1', [entityId]);
+      return null;
+    }
+
+    const rank = (src) => { const i = ENTITY_SOURCE_PRIORITY.indexOf(src); return i < 0 ? ENTITY_SOURCE_PRIORITY.length : i; };
+    const members = [...rows].sort((a, b) => rank(a.source) - rank(b.source) || a.id - b.id);
+    const pick = (...fields) => {
+      for (const m of members) for (const f of fields) if (m[f]) return m[f];
+      return null;
+    };
+
+    const sources = new Set();
+    for (const m of members) {
+      sources.add(m.source);
+      for (const src of (Array.isArray(m.data_sources) ? m.data_sources : [])) sources.add(src);
+    }
+    // A cluster is only as certain as its weakest automatic link
+    const confidence = members.length > 1
+      ? Math.min(...members.map(m => (m.entity_confidence === null ? 1 : parseFloat(m.entity_confidence))))
+      : 1;
+    const canonicalName = pick('business_name');
+
+    const r = await dbClient.query(
+      `UPDATE sme_entities SET canonical_name = $2, normalized_name = $3, province = $4, city = $5,
+         corporate_number = $6, website = $7, phone = $8, postal_code = $9, data_sources = $10,
+         member_count = $11, confidence = $12, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [entityId, canonicalName, normalizeBusinessName(canonicalName).key, pick('province'), pick('city'),
+       pick('corporate_number'), pick('website'), pick('contact_phone', 'phone'), pick('postal_code'),
+       JSON.stringify([...sources]), members.length, confidence]
+    );
+    return r.rows[0] || null;
+  }
+
+  /**
+   * Merge entities into the lowest id; every member becomes a manual link.
+   */
+  async merge(dbClient, entityIds, { actor, reason } = {}) {
+    const ids = [...new Set(entityIds.map(id => parseInt(id)).filter(Boolean))].sort((a, b) => a - b);
+    if (ids.length < 2) throw new Error('At least two entity_ids are required');
+    const existing = await dbClient.query('SELECT id FROM sme_entities WHERE id = ANY($1)', [ids]);
+    if (existing.rows.length !== ids.length) {
+      const found = existing.rows.map(r => r.id);
+      throw new Error(`Unknown entity id(s): ${ids.filter(id => !found.includes(id)).join(', ')}`);
+    }
+
+    const [target, ...others] = ids;
+    const members = await dbClient.query('SELECT id FROM scraped_smes WHERE entity_id = ANY($1)', [ids]);
+    const smeIds = members.rows.map(r => r.id);
+    await this._assign(dbClient, smeIds, target, 'manual', 1, { merged_by: actor || 'admin', reason: reason || null });
+    await dbClient.query('DELETE FROM sme_entities WHERE id = ANY($1)', [others]);
+    const entity = await this.refreshEntity(dbClient, target);
+    await this._logEvent(dbClient, 'merge', target, others, smeIds, actor, reason);
+    console.log(`🧬 [EntityResolution] Merged entities ${others.join(', ')} into #${target} (${smeIds.length} records)`);
+    return entity;
+  }
+
+  /**
+   * Split the given records out of an entity into a new entity of their own.
+   */
+  async unmerge(dbClient, entityId, smeIds, { actor, reason } = {}) {
+    const ids = [...new Set((smeIds || []).map(id => parseInt(id)).filter(Boolean))];
+    if (ids.length === 0) throw new Error('sme_ids is required');
+    const members = await dbClient.query('SELECT id FROM scraped_smes WHERE entity_id = $1', [entityId]);
+    if (members.rows.length === 0) throw new Error(`Unknown entity: ${entityId}`);
+    const memberIds = members.rows.map(r => r.id);
+    const foreign = ids.filter(id => !memberIds.includes(id));
+    if (foreign.length > 0) throw new Error(`Record(s) ${foreign.join(', ')} are not members of entity ${entityId}`);
+    if (ids.length === memberIds.length) throw new Error('Cannot split every record out of an entity');
+
+    const created = await dbClient.query(`INSERT INTO sme_entities (canonical_name) VALUES (NULL) RETURNING id`);
+    const newEntityId = created.rows[0].id;
+    await this._assign(dbClient, ids, newEntityId, 'manual', 1, { split_from: entityId, split_by: actor || 'admin', reason: reason || null });
+    const original = await this.refreshEntity(dbClient, entityId);
+    const split = await this.refreshEntity(dbClient, newEntityId);
+    await this._logEvent(dbClient, 'unmerge', newEntityId, [entityId], ids, actor, reason);
+    console.log(`🧬 [EntityResolution] Split ${ids.length} record(s) out of entity #${entityId} into #${newEntityId}`);
+    return { original, split };
+  }
+
+  async getEntity(dbClient, entityId) {
+    const entity = await dbClient.query('SELECT * FROM sme_entities WHERE id = $1', [entityId]);
+    if (entity.rows.length === 0) return null;
+    const members = await dbClient.query(
+      `SELECT ${ENTITY_COLUMNS}, entity_evidence, entity_resolved_at FROM scraped_smes WHERE entity_id = $1 ORDER BY id`,
+      [entityId]
+    );
+    const events = await dbClient.query(
+      `SELECT * FROM sme_entity_events WHERE entity_id = $1 OR $1 = ANY(source_entity_ids) ORDER BY created_at DESC LIMIT 50`,
+      [entityId]
+    );
+    return { ...entity.rows[0], members: members.rows, events: events.rows };
+  }
+
+  async _logEvent(dbClient, action, entityId, sourceEntityIds, smeIds, actor, reason) {
+    await dbClient.query(
+      `INSERT INTO sme_entity_events (action, entity_id, source_entity_ids, sme_ids, actor, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [action, entityId, sourceEntityIds, smeIds, actor || 'admin', reason || null]
+    );
+  }
+}
+
+module.exports = { SMEEntityResolver };
@@ -0,0 +1,530 @@
+const { classifyService, normalizeServiceText, serviceSimilarity } = require('./serviceTaxonomy');
+const { DEFAULT_RADIUS_KM, geocode, pointOf, haversineKm, distanceDecay } = require('./geo');
+const {
+    normalizeLanguage, normalizeLanguageRequirement, spokenLanguages, requiredLanguages, meetsLanguageRequirement
+} = require('./language');
+const { classifyIndustry, normalizeNaics, sectorForNaics, sectorSimilarity, sectorLabel } = require('./industryTaxonomy');
+const { classifySoftware, softwareLabel } = require('./softwareTaxonomy');
+
+// Default weight per factor; the 'baseline' v3 weight profile (migration 020)
+const DEFAULT_WEIGHTS = {
+    specialization_match: 0.25,      // 25% - Most important factor
+    location_preference: 0.14,       // 14% - Geographic compatibility  
+    budget_alignment: 0.12,          // 12% - Rate compatibility
+    communication_style: 0.07,       // 7% - Soft skills match
+    firm_size_preference: 0.08,      // 8% - Firm size alignment
+    availability_urgency: 0.06,      // 6% - Timeline compatibility
+    reputation: 0.09,                // 9% - Track record on past matches
+    language_match: 0.07,            // 7% - Service in the client's language
+    industry_experience: 0.07,       // 7% - Clients served in the client's sector
+    software_overlap: 0.05           // 5% - Works in the client's accounting software
+};
+
+const FACTOR_LABELS = {
+    specialization_match: { en: 'Specialization Match', fr: 'Correspondance des spécialités' },
+    location_preference: { en: 'Location Preference', fr: 'Préférence géographique' },
+    budget_alignment: { en: 'Budget Alignment', fr: 'Adéquation au budget' },
+    communication_style: { en: 'Communication Style', fr: 'Style de communication' },
+    firm_size_preference: { en: 'Firm Size Preference', fr: 'Taille du cabinet' },
+    availability_urgency: { en: 'Availability & Urgency', fr: 'Disponibilité et urgence' },
+    reputation: { en: 'Reputation', fr: 'Réputation' },
+    language_match: { en: 'Service Language', fr: 'Langue de service' },
+    industry_experience: { en: 'Industry Experience', fr: 'Expérience sectorielle' },
+    software_overlap: { en: 'Accounting Software', fr: 'Logiciel comptable' }
+};
+
+// match_factors.explanations wording for the industry and software factors
+const EXPLANATIONS = {
+    en: {
+        industryUnknown: 'Client industry not specified',
+        industryNotListed: 'CPA lists no industries served',
+        industryServed: sector => `Serves ${sector} clients`,
+        industryRelated: (sector, related) => `No ${sector} clients listed; related experience in ${related}`,
+        industryGeneralist: sector => `Works across industries; ${sector} not listed specifically`,
+        industryNone: sector => `No ${sector} experience listed`,
+        softwareUnknown: 'Client accounting software not specified',
+        softwareNotListed: 'CPA lists no accounting software',
+        softwareMatched: (matched, missing) => `Works in ${matched.join(', ')}` + (missing.length ? `; not ${missing.join(', ')}` : ''),
+        softwareNone: used => `Doesn't list ${used.join(', ')}`
+    },
+    fr: {
+        industryUnknown: 'Secteur du client non précisé',
+        industryNotListed: 'Le CPA n’indique aucun secteur desservi',
+        industryServed: sector => `Dessert des clients du secteur ${sector}`,
+        industryRelated: (sector, related) => `Aucun client du secteur ${sector}; expérience connexe : ${related}`,
+        industryGeneralist: sector => `Travaille dans tous les secteurs; ${sector} non mentionné précisément`,
+        industryNone: sector => `Aucune expérience indiquée dans le secteur ${sector}`,
+        softwareUnknown: 'Logiciel comptable du client non précisé',
+        softwareNotListed: 'Le CPA n’indique aucun logiciel comptable',
+        softwareMatched: (matched, missing) => `Maîtrise ${matched.join(', ')}` + (missing.length ? `; pas ${missing.join(', ')}` : ''),
+        softwareNone: used => `N’indique pas ${used.join(', ')}`
+    }
+};
+
+// Lowest score for each recommendation level, best first
+const RECOMMENDATION_LEVELS = [
+    { min: 90, en: 'Excellent Match', fr: 'Excellente correspondance' },
+    { min: 80, en: 'Very Good Match', fr: 'Très bonne correspondance' },
+    { min: 70, en: 'Good Match', fr: 'Bonne correspondance' },
+    { min: 60, en: 'Fair Match', fr: 'Correspondance acceptable' },
+    { min: 0, en: 'Poor Match', fr: 'Faible correspondance' }
+];
+
+// 🧠 AI-POWERED CPA MATCHING ENGINE
+class CPAMatchingEngine {
+    constructor(weights = null, { radiusKm = DEFAULT_RADIUS_KM } = {}) {
+        // Weights come from a matching_weight_profiles row (services/matchingWeights.js);
+        // factors a profile doesn't mention weigh nothing
+        const source = weights || DEFAULT_WEIGHTS;
+        this.matchingWeights = {};
+        for (const factor of Object.keys(DEFAULT_WEIGHTS)) {
+            this.matchingWeights[factor] = parseFloat(source[factor]) || 0;
+        }
+
+        // Distance at which the location score halves (MATCH_RADIUS_KM, or the client's radius_km)
+        this.radiusKm = radiusKm;
+
+        // Bayesian priors for the reputation factor: a CPA with no history scores
+        // as if they had `weight` observations at the prior, so a handful of early
+        // outcomes moves them gradually and new CPAs aren't buried under veterans
+        this.reputationPriors = {
+            rating: { mean: 4.0, weight: 5 },              // client satisfaction, 1-5
+            responseRate: { mean: 0.8, weight: 5 },        // share of intro requests answered
+            responseSpeed: { mean: 0.8, weight: 3 }        // speed score of those answers
+        };
+    }
+
+    // Calculate comprehensive match score between client and CPA
+    async calculateMatchScore(clientProfile, cpaProfile) {
+        console.log(`🎯 Calculating match score for client industry: ${clientProfile.industry} with CPA: ${cpaProfile.cpa_id}`);
+        
+        try {
+            let totalScore = 0;
+            let matchFactors = {};
+            const language = normalizeLanguage(clientProfile.preferred_language) || 'en';
+
+            // 1. Specialization Match (25% weight)
+            const specializationScore = this.calculateSpecializationMatch(
+                clientProfile.required_services, 
+                cpaProfile.specializations
+            );
+            matchFactors.specialization_score = specializationScore;
+            totalScore += specializationScore * this.matchingWeights.specialization_match;
+
+            // 2. Location Preference (14% weight)
+            const distanceKm = this.calculateDistanceKm(clientProfile, cpaProfile);
+            const locationScore = this.calculateLocationMatch(
+                clientProfile.location_preference,
+                cpaProfile.province,
+                cpaProfile.remote_services,
+                clientProfile.remote_acceptable,
+                distanceKm
+            );
+            matchFactors.location_score = locationScore;
+            if (distanceKm !== null) matchFactors.distance_km = Math.round(distanceKm);
+            totalScore += locationScore * this.matchingWeights.location_preference;
+
+            // 3. Budget Alignment (12% weight)
+            const budgetScore = this.calculateBudgetAlignment(
+                clientProfile.budget_range_min,
+                clientProfile.budget_range_max,
+                cpaProfile.hourly_rate_min,
+                cpaProfile.hourly_rate_max
+            );
+            matchFactors.budget_score = budgetScore;
+            totalScore += budgetScore * this.matchingWeights.budget_alignment;
+
+            // 4. Communication Style (7% weight)
+            const communicationScore = this.calculateCommunicationMatch(
+                clientProfile.preferred_communication,
+                cpaProfile.communication_style
+            );
+            matchFactors.communication_score = communicationScore;
+            totalScore += communicationScore * this.matchingWeights.communication_style;
+
+            // 5. Firm Size Preference (8% weight)
+            const firmSizeScore = this.calculateFirmSizeMatch(
+                clientProfile.business_size,
+                cpaProfile.firm_size
+            );
+            matchFactors.firm_size_score = firmSizeScore;
+            totalScore += firmSizeScore * this.matchingWeights.firm_size_preference;
+
+            // 6. Availability & Urgency (6% weight)
+            const urgencyScore = this.calculateUrgencyMatch(
+                clientProfile.urgency_level,
+                cpaProfile.years_experience
+            );
+            matchFactors.urgency_score = urgencyScore;
+            totalScore += urgencyScore * this.matchingWeights.availability_urgency;
+
+            // 7. Reputation (9% weight) - from cpa_performance, attached as cpaProfile.performance
+            const reputationScore = this.calculateReputationScore(cpaProfile.performance);
+            matchFactors.reputation_score = reputationScore;
+            totalScore += reputationScore * this.matchingWeights.reputation;
+
+            // 8. Service Language (7% weight)
+            const languageScore = this.calculateLanguageMatch(
+                clientProfile.preferred_language,
+                clientProfile.language_requirement,
+                cpaProfile.languages
+            );
+            matchFactors.language_score = languageScore;
+            totalScore += languageScore * this.matchingWeights.language_match;
+
+            // 9. Industry Experience (7% weight) - NAICS code when given, else the industry text
+            const industry = this.calculateIndustryMatch(
+                clientProfile.industry,
+                clientProfile.naics_code,
+                cpaProfile.industries_served,
+                language
+            );
+            matchFactors.industry_score = industry.score;
+            totalScore += industry.score * this.matchingWeights.industry_experience;
+
+            // 10. Accounting Software (5% weight)
+            const software = this.calculateSoftwareMatch(
+                clientProfile.tech_stack,
+                cpaProfile.software_proficiency,
+                language
+            );
+            matchFactors.software_score = software.score;
+            totalScore += software.score * this.matchingWeights.software_overlap;
+
+            matchFactors.explanations = {
+                industry_experience: industry.explanation,
+                software_overlap: software.explanation
+            };
+
+            // Final match score (0-100)
+            const finalScore = Math.round(totalScore * 100);
+            
+            console.log(`✅ Match calculated: ${finalScore}% compatibility`);
+            
+            return {
+                match_score: finalScore,
+                match_factors: matchFactors,
+                recommendation_level: this.getRecommendationLevel(finalScore, language)
+            };
+
+        } catch (error) {
+            console.error('❌ Match calculation error:', error);
+            return { match_score: 0, match_factors: {}, recommendation_level: 'Error' };
+        }
+    }
+
+    // Calculate specialization compatibility on the service taxonomy: each required
+    // service earns full credit for the same canonical service, RELATED credit for a
+    // neighbouring one; entries the taxonomy doesn't know only match identical text
+    calculateSpecializationMatch(requiredServices, cpaSpecializations) {
+        if (!requiredServices || !cpaSpecializations) return 0;
+        
+        const required = (Array.isArray(requiredServices) ? requiredServices : [requiredServices]).filter(Boolean);
+        const available = (Array.isArray(cpaSpecializations) ? cpaSpecializations : [cpaSpecializations]).filter(Boolean);
+        
+        const offered = new Set(available.flatMap(specialization => classifyService(specialization)));
+        const offeredText = new Set(available.map(normalizeServiceText));
+        
+        let credit = 0;
+        for (const service of required) {
+            const ids = classifyService(service);
+            if (ids.length === 0) {
+                if (offeredText.has(normalizeServiceText(service))) credit += 1;
+                continue;
+            }
+            // "Payroll & HST" needs both: average the best credit for each
+            const best = ids.map(id => Math.max(0, ...[...offered].map(o => serviceSimilarity(id, o))));
+            credit += best.reduce((sum, c) => sum + c, 0) / best.length;
+        }
+        
+        return required.length > 0 ? credit / required.length : 0;
+    }
+
+    // Kilometres between the client (postal_code, else location_preference text) and the
+    // CPA's office; null when either side can't be geocoded
+    calculateDistanceKm(clientProfile, cpaProfile) {
+        const clientPoint = geocode({ postalCode: clientProfile.postal_code, text: clientProfile.location_preference });
+        const cpaPoint = pointOf(cpaProfile);
+        return clientPoint && cpaPoint ? haversineKm(clientPoint, cpaPoint) : null;
+    }
+
+    // Calculate location compatibility
+    calculateLocationMatch(clientLocation, cpaProvince, cpaRemote, clientRemoteOk, distanceKm = null) {
+        // Distance decay when both locations are known; remote work puts a floor under it
+        if (distanceKm !== null) {
+            const proximity = distanceDecay(distanceKm, this.radiusKm);
+            const floor = cpaRemote && clientRemoteOk ? 0.9 : cpaRemote || clientRemoteOk ? 0.6 : 0;
+            return Math.round(Math.max(proximity, floor) * 1000) / 1000;
+        }
+
+        // Perfect match if both accept remote
+        if (cpaRemote && clientRemoteOk) return 1.0;
+        
+        // Good match if same province
+        if (clientLocation && cpaProvince && 
+            clientLocation.toLowerCase().includes(cpaProvince.toLowerCase())) {
+            return 0.9;
+        }
+        
+        // Partial match if remote is an option for one party
+        if (cpaRemote || clientRemoteOk) return 0.7;
+        
+        // Low compatibility if location mismatch and no remote
+        return 0.3;
+    }
+
+    // Calculate budget alignment
+    calculateBudgetAlignment(clientMinBudget, clientMaxBudget, cpaMinRate, cpaMaxRate) {
+        if (!clientMinBudget || !clientMaxBudget || !cpaMinRate || !cpaMaxRate) return 0.5;
+        
+        // Check for overlap in budget ranges
+        const overlapStart = Math.max(clientMinBudget, cpaMinRate);
+        const overlapEnd = Math.min(clientMaxBudget, cpaMaxRate);
+        
+        if (overlapStart <= overlapEnd) {
+            // Calculate percentage of overlap
+            const overlapSize = overlapEnd - overlapStart;
+            const clientRange = clientMaxBudget - clientMinBudget;
+            const cpaRange = cpaMaxRate - cpaMinRate;
+            const avgRange = (clientRange + cpaRange) / 2;
+            
+            return Math.min(1.0, overlapSize / avgRange);
+        }
+        
+        // No overlap - calculate distance penalty
+        const distance = Math.min(
+            Math.abs(clientMaxBudget - cpaMinRate),
+            Math.abs(cpaMaxRate - clientMinBudget)
+        );
+        
+        return Math.max(0, 1 - (distance / clientMaxBudget));
+    }
+
+    // Calculate communication style compatibility
+    calculateCommunicationMatch(clientPreference, cpaStyle) {
+        if (!clientPreference || !cpaStyle) return 0.7; // Neutral if unknown
+        
+        const preference = clientPreference.toLowerCase();
+        const style = cpaStyle.toLowerCase();
+        
+        if (preference === style) return 1.0;
+        
+        // Compatible combinations
+        const compatiblePairs = [
+            ['formal', 'professional'],
+            ['casual', 'friendly'],
+            ['direct', 'efficient'],
+            ['collaborative', 'consultative']
+        ];
+        
+        for (const [style1, style2] of compatiblePairs) {
+            if ((preference.includes(style1) && style.includes(style2)) ||
+                (preference.includes(style2) && style.includes(style1))) {
+                return 0.8;
+            }
+        }
+        
+        return 0.5; // Neutral compatibility
+    }
+
+    // Calculate firm size compatibility
+    calculateFirmSizeMatch(businessSize, firmSize) {
+        if (!businessSize || !firmSize) return 0.7;
+        
+        const sizeMap = {
+            'startup': ['solo', 'small'],
+            'small': ['solo', 'small', 'medium'],
+            'medium': ['small', 'medium', 'large'],
+            'large': ['medium', 'large', 'big4'],
+            'enterprise': ['large', 'big4']
+        };
+        
+        const business = businessSize.toLowerCase();
+        const firm = firmSize.toLowerCase();
+        
+        if (sizeMap[business] && sizeMap[business].some(size => firm.includes(size))) {
+            return 1.0;
+        }
+        
+        return 0.4; // Lower compatibility for size mismatch
+    }
+
+    // Calculate urgency compatibility
+    calculateUrgencyMatch(clientUrgency, cpaExperience) {
+        if (!clientUrgency) return 0.8;
+        
+        const urgency = clientUrgency.toLowerCase();
+        const experience = cpaExperience || 5;
+        
+        if (urgency.includes('immediate') || urgency.includes('urgent')) {
+            // Urgent needs favor experienced CPAs
+            return experience >= 10 ? 1.0 : experience >= 5 ? 0.8 : 0.6;
+        }
+        
+        if (urgency.includes('flexible') || urgency.includes('planning')) {
+            // Flexible timeline works for all experience levels
+            return 0.9;
+        }
+        
+        return 0.8; // Standard compatibility
+    }
+
+    // Calculate service-language compatibility: full credit when the CPA works in every
+    // language the client needs, neutral when either side left languages blank
+    calculateLanguageMatch(preferredLanguage, languageRequirement, cpaLanguages) {
+        const needed = requiredLanguages(preferredLanguage, normalizeLanguageRequirement(languageRequirement));
+        if (needed.length === 0) return 0.7;
+
+        const spoken = spokenLanguages(cpaLanguages);
+        if (spoken.size === 0) return 0.5;
+
+        const share = needed.filter(language => spoken.has(language)).length / needed.length;
+        return Math.round((0.1 + 0.9 * share) * 1000) / 1000;
+    }
+
+    // Calculate industry fit on the NAICS sector taxonomy: full credit when the CPA serves
+    // the client's sector, RELATED credit for a neighbouring one, 0.6 for generalists.
+    // Returns { score, explanation } so match_factors can say why.
+    calculateIndustryMatch(clientIndustry, naicsCode, cpaIndustries, language = 'en') {
+        const t = EXPLANATIONS[language] || EXPLANATIONS.en;
+        const naicsSector = sectorForNaics(naicsCode);
+        const sectors = naicsSector ? [naicsSector] : classifyIndustry(clientIndustry).filter(id => id !== 'generalist');
+        if (sectors.length === 0 && !clientIndustry) return { score: 0.7, explanation: t.industryUnknown };
+
+        const served = (Array.isArray(cpaIndustries) ? cpaIndustries : [cpaIndustries]).filter(Boolean);
+        if (served.length === 0) return { score: 0.5, explanation: t.industryNotListed };
+
+        // Industries the taxonomy doesn't know only match identical text
+        if (sectors.length === 0) {
+            const same = served.some(entry => normalizeServiceText(entry) === normalizeServiceText(clientIndustry));
+            return same
+                ? { score: 1.0, explanation: t.industryServed(clientIndustry) }
+                : { score: 0.5, explanation: t.industryNone(clientIndustry) };
+        }
+
+        const servedSectors = new Set(served.flatMap(entry => classifyIndustry(entry)));
+        const generalist = servedSectors.delete('generalist');
+        const naics = naicsSector ? ` (NAICS ${normalizeNaics(naicsCode)})` : '';
+        const clientLabel = sectors.map(id => sectorLabel(id, language)).join(', ') + naics;
+
+        // Best credit per client sector, averaged; remember the neighbour that earned it
+        let credit = 0;
+        let related = null;
+        for (const id of sectors) {
+            let best = 0;
+            for (const other of servedSectors) {
+                const similarity = sectorSimilarity(id, other);
+                if (similarity > best) {
+                    best = similarity;
+                    if (similarity < 1) related = other;
+                }
+            }
+            credit += best / sectors.length;
+        }
+
+        if (credit >= 1) return { score: 1.0, explanation: t.industryServed(clientLabel) };
+        if (generalist && credit < 0.6) return { score: 0.6, explanation: t.industryGeneralist(clientLabel) };
+        if (credit > 0 && related) {
+            return { score: Math.round(credit * 1000) / 1000, explanation: t.industryRelated(clientLabel, sectorLabel(related, language)) };
+        }
+        return { score: 0.2, explanation: t.industryNone(clientLabel) };
+    }
+
+    // Calculate accounting software overlap: the share of the client's packages the CPA
+    // works in, with a 0.2 floor since bookkeeping skills carry across packages.
+    // Returns { score, explanation } so match_factors can say why.
+    calculateSoftwareMatch(clientSoftware, cpaSoftware, language = 'en') {
+        const t = EXPLANATIONS[language] || EXPLANATIONS.en;
+        const used = classifySoftware(clientSoftware);
+        if (used.length === 0) return { score: 0.7, explanation: t.softwareUnknown };
+
+        const known = new Set(classifySoftware(cpaSoftware));
+        if (known.size === 0) return { score: 0.5, explanation: t.softwareNotListed };
+
+        const matched = used.filter(id => known.has(id));
+        const missing = used.filter(id => !known.has(id));
+        const score = Math.round((0.2 + 0.8 * matched.length / used.length) * 1000) / 1000;
+        return {
+            score,
+            explanation: matched.length > 0
+                ? t.softwareMatched(matched.map(softwareLabel), missing.map(softwareLabel))
+                : t.softwareNone(used.map(softwareLabel))
+        };
+    }
+
+    // Calculate reputation from match outcomes (cpa_performance row), smoothed toward the priors
+    calculateReputationScore(performance) {
+        const perf = performance || {};
+        const priors = this.reputationPriors;
+        const smooth = (prior, observedSum, observedCount) =>
+            (prior.mean * prior.weight + observedSum) / (prior.weight + observedCount);
+
+        // Average client rating on a 0-1 scale
+        const ratingsCount = parseInt(perf.ratings_count) || 0;
+        const rating = smooth(priors.rating, parseFloat(perf.rating_sum) || 0, ratingsCount);
+        const ratingScore = (rating - 1) / 4;
+
+        // Answered vs. expired introduction requests
+        const requests = parseInt(perf.intro_requests) || 0;
+        const responded = Math.min(parseInt(perf.intros_responded) || 0, requests);
+        const responseRate = smooth(priors.responseRate, responded, requests);
+
+        // Answers within a day score 1, falling to 0.3 at five days
+        const hours = parseFloat(perf.response_time_hours);
+        const speed = Number.isFinite(hours) ? Math.max(0.3, Math.min(1, 1 - (hours - 24) / 96 * 0.7)) : priors.responseSpeed.mean;
+        const responseSpeed = smooth(priors.responseSpeed, speed * responded, responded);
+
+        const score = ratingScore * 0.5 + responseRate * 0.3 + responseSpeed * 0.2;
+        return Math.round(score * 1000) / 1000;
+    }
+
+    // Human-readable weights, e.g. 'Specialization Match (28%)', for API responses
+    describeWeights(language = 'en') {
+        return Object.entries(this.matchingWeights)
+            .filter(([, weight]) => weight > 0)
+            .map(([factor, weight]) => `${FACTOR_LABELS[factor][language] || FACTOR_LABELS[factor].en} (${Math.round(weight * 1000) / 10}%)`);
+    }
+
+    // Get recommendation level based on score, in English or French
+    getRecommendationLevel(score, language = 'en') {
+        const level = RECOMMENDATION_LEVELS.find(l => score >= l.min);
+        return level[language] || level.en;
+    }
+
+    // Find top matches for a client
+    async findTopMatches(clientProfile, availableCPAs, limit = 10) {
+        console.log(`🔍 Finding top ${limit} CPA matches for client in ${clientProfile.industry} industry`);
+        
+        const matches = [];
+        let languageExcluded = 0;
+        
+        for (const cpa of availableCPAs) {
+            // A 'required' or 'bilingual' language constraint is a filter, not a weight
+            if (!meetsLanguageRequirement(clientProfile, cpa.languages)) {
+                languageExcluded++;
+                continue;
+            }
+            if (cpa.verification_status === 'verified' && cpa.is_active) {
+                const matchResult = await this.calculateMatchScore(clientProfile, cpa);
+                
+                matches.push({
+                    cpa_id: cpa.cpa_id,
+                    cpa_profile: cpa,
+                    ...matchResult
+                });
+            }
+        }
+        
+        // Sort by match score and return top results
+        const topMatches = matches
+            .sort((a, b) => b.match_score - a.match_score)
+            .slice(0, limit);
+        
+        if (languageExcluded > 0) console.log(`🗣️ ${languageExcluded} CPAs excluded by the client's language requirement`);
+        console.log(`✅ Found ${topMatches.length} qualified matches, top score: ${topMatches[0]?.match_score || 0}%`);
+        
+        return topMatches;
+    }
+}
+
+module.exports = { CPAMatchingEngine, DEFAULT_WEIGHTS, FACTOR_LABELS };
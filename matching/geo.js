@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+
+// 📍 OFFLINE GEOCODING
+// Canadian postal codes and city names to coordinates from the datasets bundled
+// in matching/data, with no network calls. A postal code resolves on its longest
+// known prefix (FSA, then postal district, then postal region); a city on the
+// place list, preferring the given province. Used by the location factor in
+// CPAMatchingEngine and the `near` filters on the CPA search endpoints.
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+// Distance at which the location score halves; also the default `near` radius
+const DEFAULT_RADIUS_KM = parseFloat(process.env.MATCH_RADIUS_KM || '50');
+const EARTH_RADIUS_KM = 6371;
+
+const PROVINCES = {
+    NL: ['newfoundland and labrador', 'newfoundland', 'labrador', 'terre neuve et labrador', 'terre neuve'],
+    NS: ['nova scotia', 'nouvelle ecosse'],
+    PE: ['prince edward island', 'pei', 'ile du prince edouard', 'i p e'],
+    NB: ['new brunswick', 'nouveau brunswick'],
+    QC: ['quebec', 'que', 'pq'],
+    ON: ['ontario', 'ont'],
+    MB: ['manitoba', 'man'],
+    SK: ['saskatchewan', 'sask'],
+    AB: ['alberta', 'alta'],
+    BC: ['british columbia', 'colombie britannique', 'c b'],
+    YT: ['yukon', 'yukon territory'],
+    NT: ['northwest territories', 'territoires du nord ouest', 'nwt'],
+    NU: ['nunavut']
+};
+
+// Postal codes never use D, F, I, O, Q or U; W and Z never lead
+const POSTAL_CODE = /\b([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])(?:[ -]?(\d[ABCEGHJ-NPRSTV-Z]\d))?\b/i;
+
+// "Saint-Jérôme" → "saint jerome", "Sault Ste. Marie" → "sault sainte marie"
+function normalizePlace(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .replace(/\bst\b/g, 'saint')
+        .replace(/\bste\b/g, 'sainte');
+}
+
+const PROVINCE_BY_NAME = new Map();
+for (const [code, names] of Object.entries(PROVINCES)) {
+    PROVINCE_BY_NAME.set(code.toLowerCase(), code);
+    for (const name of names) PROVINCE_BY_NAME.set(normalizePlace(name), code);
+}
+
+// Two-letter code for "ON", "Ontario" or "Québec"; null when unrecognised
+function provinceCode(province) {
+    return PROVINCE_BY_NAME.get(normalizePlace(province)) || null;
+}
+
+// CSV with a header row; lines starting with '#' are comments
+function readDataset(file) {
+    const lines = fs.readFileSync(path.join(DATA_DIR, file), 'utf8')
+        .split(/\r?\n/)
+        .filter(line => line.trim() && !line.startsWith('#'));
+    const header = lines.shift().split(',');
+    return lines.map(line => {
+        const cells = line.split(',');
+        const row = {};
+        header.forEach((column, i) => { row[column] = cells[i]; });
+        return row;
+    });
+}
+
+const PREFIXES = new Map(readDataset('fsa-centroids.csv').map(row => [row.prefix.toUpperCase(), {
+    latitude: parseFloat(row.latitude),
+    longitude: parseFloat(row.longitude),
+    province: row.province,
+    place: row.place
+}]));
+
+// normalized place name → [{ province, latitude, longitude, place }]
+const PLACES = new Map();
+for (const row of readDataset('ca-places.csv')) {
+    const key = normalizePlace(row.place);
+    if (!PLACES.has(key)) PLACES.set(key, []);
+    PLACES.get(key).push({
+        latitude: parseFloat(row.latitude),
+        longitude: parseFloat(row.longitude),
+        province: row.province,
+        place: row.place
+    });
+}
+
+const PRECISION_BY_PREFIX_LENGTH = { 3: 'fsa', 2: 'district', 1: 'region' };
+
+// "k1p5j2" → "K1P 5J2", "k1p" → "K1P"; null when the text holds no postal code
+function extractPostalCode(text) {
+    const match = POSTAL_CODE.exec(String(text || ''));
+    if (!match) return null;
+    return match[2] ? `${match[1]} ${match[2]}`.toUpperCase() : match[1].toUpperCase();
+}
+
+function geocodePostalCode(postalCode) {
+    const code = extractPostalCode(postalCode);
+    if (!code) return null;
+    for (let length = 3; length >= 1; length--) {
+        const hit = PREFIXES.get(code.slice(0, length));
+        if (hit) return { ...hit, postal_code: code, precision: PRECISION_BY_PREFIX_LENGTH[length] };
+    }
+    return null;
+}
+
+// A city name in the given province; without a province only an unambiguous name resolves
+function geocodePlace(city, province) {
+    const candidates = PLACES.get(normalizePlace(city));
+    if (!candidates) return null;
+    const code = provinceCode(province);
+    const hit = code
+        ? candidates.find(c => c.province === code)
+        : candidates.length === 1 ? candidates[0] : null;
+    return hit ? { ...hit, precision: 'city' } : null;
+}
+
+// "Toronto, ON", "Montréal (Québec)", "Ottawa Ontario" → a place hit
+function geocodeText(text) {
+    const cleaned = String(text || '').replace(POSTAL_CODE, ' ').replace(/[()]/g, ',');
+    const parts = cleaned.split(',').map(p => p.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+    if (parts.length > 1) return geocodePlace(parts[0], parts[1]) || geocodePlace(parts[0]);
+
+    // No comma: try a trailing province ("Halifax NS", "Saint John New Brunswick")
+    const words = parts[0].split(/\s+/);
+    for (let cut = 1; cut < words.length && cut <= 3; cut++) {
+        if (provinceCode(words.slice(-cut).join(' '))) {
+            const hit = geocodePlace(words.slice(0, -cut).join(' '), words.slice(-cut).join(' '));
+            if (hit) return hit;
+        }
+    }
+    return geocodePlace(parts[0]);
+}
+
+/**
+ * Coordinates for a location, most precise source first: a postal code
+ * (explicit or found in `text`), then `city` + `province`, then free `text`.
+ * Returns { latitude, longitude, province, place, precision, postal_code? } or
+ * null. A bare province is never geocoded — it's too coarse to measure from.
+ */
+function geocode({ postalCode = null, city = null, province = null, text = null } = {}) {
+    return geocodePostalCode(postalCode)
+        || geocodePostalCode(text)
+        || (city ? geocodePlace(city, province) : null)
+        || (text ? geocodeText(text) : null);
+}
+
+// Stored coordinates when a row has them (latitude/longitude columns), else geocoded from its fields
+function pointOf(row) {
+    if (!row) return null;
+    const latitude = parseFloat(row.latitude);
+    const longitude = parseFloat(row.longitude);
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) return { latitude, longitude };
+    return geocode({ postalCode: row.postal_code, city: row.city, province: row.province });
+}
+
+// Great-circle distance in km
+function haversineKm(a, b) {
+    const rad = deg => deg * Math.PI / 180;
+    const dLat = rad(b.latitude - a.latitude);
+    const dLng = rad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// 1 at zero distance, 0.5 at the radius, 0.1 at three radii
+function distanceDecay(distanceKm, radiusKm = DEFAULT_RADIUS_KM) {
+    return 1 / (1 + (distanceKm / radiusKm) ** 2);
+}
+
+// Lat/lng box around a point, for an indexed SQL prefilter before haversineKm
+function boundingBox(point, radiusKm) {
+    const dLat = radiusKm / 111.32;
+    const dLng = radiusKm / (111.32 * Math.max(0.01, Math.cos(point.latitude * Math.PI / 180)));
+    return {
+        minLat: point.latitude - dLat, maxLat: point.latitude + dLat,
+        minLng: point.longitude - dLng, maxLng: point.longitude + dLng
+    };
+}
+
+module.exports = {
+    DEFAULT_RADIUS_KM,
+    provinceCode,
+    extractPostalCode,
+    geocode,
+    pointOf,
+    haversineKm,
+    distanceDecay,
+    boundingBox
+};
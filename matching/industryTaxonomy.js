@@ -0,0 +1,174 @@
+const { createClassifier, createSimilarity } = require('./serviceTaxonomy');
+
+// 🏭 INDUSTRY TAXONOMY
+// Industry sectors keyed to NAICS (Canada) code prefixes, with English and
+// French synonyms. A client's industry resolves from its NAICS code when given
+// (longest prefix wins, so 5415 is technology rather than professional
+// services) and from free text otherwise; CPA industries_served is free text.
+// Neighbouring sectors earn partial credit (RELATED).
+
+const SECTORS = [
+    {
+        id: 'agriculture',
+        label: { en: 'Agriculture', fr: 'Agriculture' },
+        naics: ['11'],
+        synonyms: ['farm', 'farms', 'farming', 'farmers', 'agribusiness', 'ranch', 'ranching', 'fishing', 'forestry', 'agricole', 'ferme', 'fermes', 'peche', 'foresterie']
+    },
+    {
+        id: 'energy',
+        label: { en: 'Mining, oil & gas and utilities', fr: 'Mines, pétrole, gaz et services publics' },
+        naics: ['21', '22'],
+        synonyms: ['mining', 'mines', 'oil and gas', 'oil gas', 'oilfield', 'oilfield services', 'utilities', 'renewable energy', 'petrole', 'energie', 'mines et energie']
+    },
+    {
+        id: 'construction',
+        label: { en: 'Construction', fr: 'Construction' },
+        naics: ['23'],
+        synonyms: ['contractor', 'contractors', 'general contractor', 'builder', 'builders', 'home builders', 'renovation', 'renovations', 'trades', 'skilled trades', 'entrepreneur general', 'entrepreneurs']
+    },
+    {
+        id: 'manufacturing',
+        label: { en: 'Manufacturing', fr: 'Fabrication' },
+        naics: ['31', '32', '33'],
+        synonyms: ['manufacturer', 'manufacturers', 'factory', 'fabrication', 'industrial', 'food processing', 'manufacturier', 'manufacturiers', 'secteur manufacturier']
+    },
+    {
+        id: 'wholesale',
+        label: { en: 'Wholesale and distribution', fr: 'Commerce de gros et distribution' },
+        naics: ['41', '42'],
+        synonyms: ['distribution', 'distributor', 'distributors', 'import export', 'importers', 'commerce de gros', 'grossiste', 'grossistes']
+    },
+    {
+        id: 'retail',
+        label: { en: 'Retail and e-commerce', fr: 'Commerce de détail et commerce en ligne' },
+        naics: ['44', '45'],
+        synonyms: ['retailer', 'retailers', 'store', 'stores', 'shop', 'shops', 'e commerce', 'ecommerce', 'online store', 'online retail', 'shopify', 'amazon sellers', 'commerce de detail', 'detaillant', 'detaillants', 'commerce en ligne', 'boutique']
+    },
+    {
+        id: 'transportation',
+        label: { en: 'Transportation and logistics', fr: 'Transport et logistique' },
+        naics: ['48', '49'],
+        synonyms: ['trucking', 'logistics', 'transport', 'courier', 'couriers', 'warehousing', 'freight', 'camionnage', 'logistique', 'entreposage']
+    },
+    {
+        id: 'technology',
+        label: { en: 'Technology', fr: 'Technologie' },
+        naics: ['51', '5415'],
+        synonyms: ['tech', 'technology companies', 'software', 'saas', 'it services', 'information technology', 'startup', 'startups', 'tech startups', 'digital', 'technologie', 'technologies', 'logiciel', 'logiciels', 'jeunes pousses', 'technologies de l information']
+    },
+    {
+        id: 'finance',
+        label: { en: 'Finance and insurance', fr: 'Finance et assurances' },
+        naics: ['52'],
+        synonyms: ['financial services', 'insurance', 'insurance brokers', 'banking', 'investment', 'investments', 'fintech', 'wealth management', 'services financiers', 'assurances', 'courtiers d assurance']
+    },
+    {
+        id: 'real_estate',
+        label: { en: 'Real estate', fr: 'Immobilier' },
+        naics: ['53'],
+        synonyms: ['property management', 'rental properties', 'rental property', 'landlord', 'landlords', 'realtor', 'realtors', 'real estate investors', 'immobilier', 'gestion immobiliere', 'immeubles locatifs']
+    },
+    {
+        id: 'professional_services',
+        label: { en: 'Professional services', fr: 'Services professionnels' },
+        naics: ['54', '55', '56'],
+        synonyms: ['consulting', 'consultants', 'legal', 'lawyers', 'law firm', 'law firms', 'engineering', 'engineers', 'architecture', 'architects', 'marketing', 'agency', 'agencies', 'services professionnels', 'services conseils', 'avocats', 'ingenieurs']
+    },
+    {
+        id: 'education',
+        label: { en: 'Education and training', fr: 'Éducation et formation' },
+        naics: ['61'],
+        synonyms: ['school', 'schools', 'training', 'tutoring', 'daycare', 'child care', 'enseignement', 'formation', 'garderie']
+    },
+    {
+        id: 'healthcare',
+        label: { en: 'Healthcare', fr: 'Santé' },
+        naics: ['62'],
+        synonyms: ['health care', 'health', 'medical', 'medical professionals', 'doctors', 'physicians', 'dentists', 'dental', 'clinic', 'clinics', 'pharmacy', 'pharmacies', 'pharmacists', 'physiotherapy', 'sante', 'medecins', 'dentistes', 'clinique', 'cliniques', 'pharmacie', 'professionnels de la sante']
+    },
+    {
+        id: 'arts_entertainment',
+        label: { en: 'Arts and entertainment', fr: 'Arts et divertissement' },
+        naics: ['71'],
+        synonyms: ['arts', 'entertainment', 'film', 'music', 'artists', 'creative', 'creatives', 'sports', 'recreation', 'divertissement', 'artistes', 'culture']
+    },
+    {
+        id: 'hospitality',
+        label: { en: 'Hospitality and food services', fr: 'Hébergement et restauration' },
+        naics: ['72'],
+        synonyms: ['restaurant', 'restaurants', 'food service', 'food services', 'food and beverage', 'hotel', 'hotels', 'bar', 'bars', 'cafe', 'cafes', 'catering', 'tourism', 'restauration', 'hotellerie', 'hebergement', 'tourisme']
+    },
+    {
+        id: 'personal_services',
+        label: { en: 'Personal and repair services', fr: 'Services personnels et de réparation' },
+        naics: ['81'],
+        synonyms: ['personal services', 'salon', 'salons', 'spa', 'fitness', 'gym', 'gyms', 'auto repair', 'automotive repair', 'cleaning', 'services personnels', 'reparation automobile']
+    },
+    {
+        id: 'nonprofit',
+        label: { en: 'Non-profits and charities', fr: 'Organismes sans but lucratif' },
+        naics: ['813'],
+        synonyms: ['non profit', 'non profits', 'nonprofit', 'nonprofits', 'not for profit', 'not for profits', 'npo', 'charity', 'charities', 'ngo', 'organisme sans but lucratif', 'organismes sans but lucratif', 'osbl', 'obnl', 'organisme de bienfaisance', 'organismes de bienfaisance']
+    }
+];
+
+// CPA industries_served entries that mean "any industry" rather than a sector
+const GENERALIST = [
+    'all industries', 'various industries', 'multiple industries', 'most industries', 'general', 'small business', 'small businesses',
+    'sme', 'smes', 'owner managed businesses', 'owner managed', 'toutes industries', 'tous secteurs', 'tous les secteurs', 'pme'
+].map(phrase => ({ id: 'generalist', synonyms: [phrase] }));
+
+// Partial credit between distinct sectors (symmetric)
+const RELATED = [
+    ['construction', 'real_estate', 0.5],
+    ['manufacturing', 'wholesale', 0.5],
+    ['retail', 'wholesale', 0.5],
+    ['retail', 'hospitality', 0.4],
+    ['transportation', 'wholesale', 0.4],
+    ['technology', 'professional_services', 0.4],
+    ['healthcare', 'professional_services', 0.4],
+    ['finance', 'real_estate', 0.3],
+    ['finance', 'professional_services', 0.3],
+    ['education', 'nonprofit', 0.4],
+    ['arts_entertainment', 'hospitality', 0.3],
+    ['personal_services', 'retail', 0.3],
+    ['agriculture', 'manufacturing', 0.3],
+    ['energy', 'construction', 0.3]
+];
+
+const SECTOR_BY_ID = new Map(SECTORS.map(s => [s.id, s]));
+
+// NAICS prefix → sector, longest prefixes first
+const NAICS_PREFIXES = SECTORS
+    .flatMap(s => s.naics.map(prefix => ({ prefix, id: s.id })))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+/**
+ * Sector ids named in a free-text industry ("Restaurants & catering" →
+ * ['hospitality']). May include 'generalist' for "all industries"-style entries.
+ */
+const classifyIndustry = createClassifier([...SECTORS, ...GENERALIST]);
+
+// Digits of a NAICS code ("236110", "NAICS 5415") or null
+function normalizeNaics(code) {
+    const digits = String(code || '').replace(/\D/g, '');
+    return digits.length >= 2 && digits.length <= 6 ? digits : null;
+}
+
+// Sector for a NAICS code on its longest known prefix; null when unrecognised
+function sectorForNaics(code) {
+    const digits = normalizeNaics(code);
+    if (!digits) return null;
+    const hit = NAICS_PREFIXES.find(p => digits.startsWith(p.prefix));
+    return hit ? hit.id : null;
+}
+
+// 1 for the same sector, RELATED credit for neighbours, else 0
+const sectorSimilarity = createSimilarity(RELATED);
+
+function sectorLabel(id, language = 'en') {
+    const sector = SECTOR_BY_ID.get(id);
+    return sector ? sector.label[language] || sector.label.en : id;
+}
+
+module.exports = { SECTORS, classifyIndustry, normalizeNaics, sectorForNaics, sectorSimilarity, sectorLabel };
@@ -0,0 +1,81 @@
+// 🗣️ SERVICE LANGUAGES
+// English / French handling for matching and correspondence. CPAs list the
+// languages they work in (cpa_profiles.languages, free text such as "French",
+// "Français" or "fr"); clients give a preferred_language and how strictly it
+// applies (language_requirement).
+
+const LANGUAGE_NAMES = {
+    en: ['en', 'eng', 'english', 'anglais'],
+    fr: ['fr', 'fra', 'fre', 'french', 'francais']
+};
+
+// preferred: soft factor only; required: CPA must speak preferred_language;
+// bilingual: CPA must work in both English and French (common for NB clients)
+const LANGUAGE_REQUIREMENTS = ['none', 'preferred', 'required', 'bilingual'];
+
+const LANGUAGE_BY_NAME = new Map();
+for (const [code, names] of Object.entries(LANGUAGE_NAMES)) {
+    for (const name of names) LANGUAGE_BY_NAME.set(name, code);
+}
+
+// 'en' / 'fr' for "French", "Français", "fr-CA"...; null for anything else
+function normalizeLanguage(value) {
+    const text = String(value || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+    return LANGUAGE_BY_NAME.get(text) || LANGUAGE_BY_NAME.get(text.split(/[-_\s]/)[0]) || null;
+}
+
+function normalizeLanguageRequirement(value) {
+    const requirement = String(value || '').toLowerCase().trim();
+    return LANGUAGE_REQUIREMENTS.includes(requirement) ? requirement : 'preferred';
+}
+
+// Codes a CPA works in, from a JSON array, a JSON string or "English, French"
+function spokenLanguages(languages) {
+    let list = languages;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (e) {
+            list = list.split(/[,;/]/);
+        }
+    }
+    if (!Array.isArray(list)) list = list ? [list] : [];
+    return new Set(list.map(normalizeLanguage).filter(Boolean));
+}
+
+// Languages a client needs from their CPA; empty when language doesn't matter
+function requiredLanguages(preferredLanguage, requirement) {
+    if (requirement === 'none') return [];
+    if (requirement === 'bilingual') return ['en', 'fr'];
+    const language = normalizeLanguage(preferredLanguage);
+    return language ? [language] : [];
+}
+
+// Whether a CPA passes a client's hard language constraint ('required' / 'bilingual')
+function meetsLanguageRequirement(clientProfile, cpaLanguages) {
+    const requirement = normalizeLanguageRequirement(clientProfile.language_requirement);
+    if (requirement !== 'required' && requirement !== 'bilingual') return true;
+    const spoken = spokenLanguages(cpaLanguages);
+    return requiredLanguages(clientProfile.preferred_language, requirement).every(l => spoken.has(l));
+}
+
+// Language to write to someone in: their preference when they speak it, French for French-only speakers, else English
+function correspondenceLanguage(spoken, preferred = null) {
+    const language = normalizeLanguage(preferred);
+    if (language && (spoken.size === 0 || spoken.has(language))) return language;
+    if (spoken.has('fr') && !spoken.has('en')) return 'fr';
+    return 'en';
+}
+
+module.exports = {
+    LANGUAGE_REQUIREMENTS,
+    normalizeLanguage,
+    normalizeLanguageRequirement,
+    spokenLanguages,
+    requiredLanguages,
+    meetsLanguageRequirement,
+    correspondenceLanguage
+};
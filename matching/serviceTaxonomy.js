@@ -0,0 +1,206 @@
+// 🗂️ SERVICE TAXONOMY
+// Canonical accounting services with English and French synonyms. Free-text
+// CPA specializations and client required_services are mapped onto these ids
+// so "SR&ED" meets "scientific research credits" and "audit-ready
+// bookkeeping" is bookkeeping, not an audit. Related services earn partial
+// credit (RELATED), e.g. a review engagement for a client asking for an audit.
+
+const SERVICES = [
+    {
+        id: 'bookkeeping',
+        label: { en: 'Bookkeeping', fr: 'Tenue de livres' },
+        synonyms: [
+            'bookkeeping', 'book keeping', 'bookkeeper', 'books', 'audit ready bookkeeping', 'audit ready books',
+            'accounts payable', 'accounts receivable', 'bank reconciliation', 'reconciliations', 'monthly accounting',
+            'cloud accounting', 'small business accounting', 'general ledger',
+            'tenue de livres', 'tenue comptable', 'comptabilite mensuelle', 'conciliation bancaire', 'comptes fournisseurs', 'comptes clients'
+        ]
+    },
+    {
+        id: 'corporate_tax',
+        label: { en: 'Corporate tax (T2)', fr: 'Impôt des sociétés (T2)' },
+        synonyms: [
+            't2', 't2 return', 't2 returns', 'corporate tax', 'corporate taxes', 'corporate income tax', 'corporation tax',
+            'business tax', 'business taxes', 'business tax return', 'co 17',
+            'impot des societes', 'impot sur le revenu des societes', 'declaration t2', 'fiscalite des entreprises', 'fiscalite corporative'
+        ]
+    },
+    {
+        id: 'personal_tax',
+        label: { en: 'Personal tax (T1)', fr: 'Impôt des particuliers (T1)' },
+        synonyms: [
+            't1', 't1 return', 't1 returns', 'personal tax', 'personal taxes', 'personal income tax', 'individual tax',
+            'income tax return', 'income tax returns', 'tp1',
+            'impot des particuliers', 'impot personnel', 'declaration de revenus', 'declarations de revenus'
+        ]
+    },
+    {
+        id: 'tax_planning',
+        label: { en: 'Tax planning', fr: 'Planification fiscale' },
+        synonyms: [
+            'tax planning', 'tax strategy', 'tax advisory', 'tax minimization', 'tax', 'taxes', 'taxation',
+            'planification fiscale', 'conseil fiscal', 'fiscalite', 'impot', 'impots'
+        ]
+    },
+    {
+        id: 'sales_tax',
+        label: { en: 'HST/GST and sales tax', fr: 'TPS/TVH et taxes de vente' },
+        synonyms: [
+            'hst', 'gst', 'pst', 'qst', 'gst hst', 'hst gst', 'gst hst returns', 'sales tax', 'sales taxes', 'commodity tax',
+            'tps', 'tvq', 'tvh', 'tps tvq', 'tps tvh', 'taxe de vente', 'taxes de vente', 'taxes a la consommation'
+        ]
+    },
+    {
+        id: 'payroll',
+        label: { en: 'Payroll', fr: 'Paie' },
+        synonyms: [
+            'payroll', 'payroll services', 'source deductions', 'payroll remittances', 't4', 't4s', 't4 slips', 'roe',
+            'paie', 'service de paie', 'retenues a la source', 'releve 1', 'remises de paie'
+        ]
+    },
+    {
+        id: 'sred',
+        label: { en: 'SR&ED tax credits', fr: 'Crédits RS&DE' },
+        synonyms: [
+            'sr ed', 'sred', 'scientific research', 'scientific research credits', 'scientific research and experimental development',
+            'r d tax credits', 'r d tax credit', 'research and development tax credit', 'research and development tax credits',
+            'rs de', 'rsde', 'recherche scientifique', 'recherche scientifique et developpement experimental',
+            'credits d impot r d', 'credit d impot pour la recherche'
+        ]
+    },
+    {
+        id: 'audit',
+        label: { en: 'Audit engagements', fr: 'Missions d’audit' },
+        synonyms: [
+            'audit', 'audits', 'audit engagement', 'audit engagements', 'financial statement audit', 'assurance', 'external audit',
+            'audit des etats financiers', 'mission d audit', 'missions d audit', 'verification'
+        ]
+    },
+    {
+        id: 'review_engagement',
+        label: { en: 'Review engagements', fr: 'Missions d’examen' },
+        synonyms: [
+            'review engagement', 'review engagements', 'review', 'financial statement review', 'csre 2400',
+            'mission d examen', 'missions d examen', 'examen'
+        ]
+    },
+    {
+        id: 'compilation',
+        label: { en: 'Compilation engagements', fr: 'Missions de compilation' },
+        synonyms: [
+            'compilation', 'compilations', 'compilation engagement', 'compilation engagements', 'notice to reader', 'ntr',
+            'csrs 4200', 'financial statements', 'financial statement preparation', 'year end financial statements',
+            'mission de compilation', 'missions de compilation', 'avis au lecteur', 'etats financiers'
+        ]
+    },
+    {
+        id: 'estate_planning',
+        label: { en: 'Estate planning', fr: 'Planification successorale' },
+        synonyms: [
+            'estate planning', 'estates', 'estate', 'succession planning', 'wills and estates', 'trusts', 'trust returns', 't3',
+            'planification successorale', 'succession', 'successions', 'fiducie', 'fiducies'
+        ]
+    },
+    {
+        id: 'cross_border',
+        label: { en: 'Cross-border and US tax', fr: 'Fiscalité transfrontalière' },
+        synonyms: [
+            'cross border', 'cross border tax', 'us tax', 'u s tax', 'us tax returns', 'international tax', 'non resident', 'non residents',
+            'expat', 'expatriate', '1040', 'fatca', 'fbar',
+            'transfrontalier', 'transfrontaliere', 'fiscalite transfrontaliere', 'fiscalite internationale'
+        ]
+    }
+];
+
+// Phrases that contain a synonym but name no service ("real estate" is an industry, not estate planning)
+const IGNORED_PHRASES = ['real estate'];
+
+// Partial credit between distinct services (symmetric)
+const RELATED = [
+    ['corporate_tax', 'tax_planning', 0.6],
+    ['personal_tax', 'tax_planning', 0.6],
+    ['corporate_tax', 'personal_tax', 0.5],
+    ['audit', 'review_engagement', 0.6],
+    ['review_engagement', 'compilation', 0.6],
+    ['audit', 'compilation', 0.4],
+    ['bookkeeping', 'payroll', 0.5],
+    ['bookkeeping', 'sales_tax', 0.5],
+    ['bookkeeping', 'compilation', 0.3],
+    ['payroll', 'sales_tax', 0.3],
+    ['estate_planning', 'tax_planning', 0.5],
+    ['estate_planning', 'personal_tax', 0.4],
+    ['cross_border', 'personal_tax', 0.4],
+    ['cross_border', 'corporate_tax', 0.4],
+    ['cross_border', 'tax_planning', 0.4],
+    ['sred', 'corporate_tax', 0.4]
+];
+
+// Lowercase, accents and punctuation stripped, single spaces: "SR&ED" → "sr ed", "d'impôt" → "d impot"
+function normalizeServiceText(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+const SERVICE_BY_ID = new Map(SERVICES.map(s => [s.id, s]));
+
+/**
+ * Free text → ids of the entries ({ id, synonyms }) it names. Synonyms are tried
+ * longest first and consumed once matched, so "audit ready bookkeeping" is
+ * bookkeeping before "audit" can match; ignored phrases are consumed and name nothing.
+ * Shared by the service, industry and software taxonomies.
+ */
+function createClassifier(entries, ignoredPhrases = []) {
+    const synonyms = entries
+        .flatMap(e => [e.id.replace(/_/g, ' '), ...e.synonyms].map(syn => ({ phrase: ` ${normalizeServiceText(syn)} `, id: e.id })))
+        .concat(ignoredPhrases.map(phrase => ({ phrase: ` ${normalizeServiceText(phrase)} `, id: null })))
+        .sort((a, b) => b.phrase.length - a.phrase.length);
+
+    return (text) => {
+        let remaining = ` ${normalizeServiceText(text)} `;
+        const found = new Set();
+        for (const { phrase, id } of synonyms) {
+            if (remaining.includes(phrase)) {
+                if (id) found.add(id);
+                remaining = remaining.split(phrase).join(' | ');
+            }
+        }
+        return [...found];
+    };
+}
+
+// Symmetric partial-credit lookup from [a, b, credit] triples
+function createSimilarity(related) {
+    const credits = new Map();
+    for (const [a, b, credit] of related) {
+        credits.set(`${a}|${b}`, credit);
+        credits.set(`${b}|${a}`, credit);
+    }
+    return (a, b) => (a === b ? 1 : credits.get(`${a}|${b}`) || 0);
+}
+
+/**
+ * Canonical service ids named in a free-text entry ("Tax planning & bookkeeping"
+ * → ['tax_planning', 'bookkeeping']). Empty when nothing is recognised.
+ */
+const classifyService = createClassifier(SERVICES, IGNORED_PHRASES);
+
+// 1 for the same service, RELATED credit for neighbours, else 0
+const serviceSimilarity = createSimilarity(RELATED);
+
+function serviceLabel(id, language = 'en') {
+    const service = SERVICE_BY_ID.get(id);
+    return service ? service.label[language] || service.label.en : id;
+}
+
+module.exports = {
+    SERVICES,
+    normalizeServiceText,
+    createClassifier,
+    createSimilarity,
+    classifyService,
+    serviceSimilarity,
+    serviceLabel
+};
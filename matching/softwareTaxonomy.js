@@ -0,0 +1,89 @@
+const { createClassifier } = require('./serviceTaxonomy');
+
+// 💻 ACCOUNTING SOFTWARE
+// Bookkeeping packages a client runs on and a CPA works in. Client tech_stack
+// and CPA software_proficiency are free text ("QBO", "Sage 50 (Simply
+// Accounting)", "Xero + Dext"); editions of a package map to one id, so
+// QuickBooks Desktop experience counts for a QuickBooks Online client.
+
+const PACKAGES = [
+    {
+        id: 'quickbooks',
+        label: 'QuickBooks',
+        synonyms: ['quickbooks', 'quick books', 'quickbooks online', 'quickbooks desktop', 'qbo', 'qb', 'qbd', 'intuit']
+    },
+    {
+        id: 'xero',
+        label: 'Xero',
+        synonyms: ['xero']
+    },
+    {
+        id: 'sage',
+        label: 'Sage',
+        synonyms: ['sage', 'sage 50', 'sage 50cloud', 'sage 300', 'sage accounting', 'sage business cloud', 'sage intacct', 'simply accounting']
+    },
+    {
+        id: 'wave',
+        label: 'Wave',
+        synonyms: ['wave', 'wave accounting', 'waveapps', 'wave apps']
+    },
+    {
+        id: 'freshbooks',
+        label: 'FreshBooks',
+        synonyms: ['freshbooks', 'fresh books']
+    },
+    {
+        id: 'acomba',
+        label: 'Acomba',
+        synonyms: ['acomba']
+    },
+    {
+        id: 'netsuite',
+        label: 'NetSuite',
+        synonyms: ['netsuite', 'net suite', 'oracle netsuite']
+    },
+    {
+        id: 'zoho_books',
+        label: 'Zoho Books',
+        synonyms: ['zoho books', 'zoho']
+    },
+    {
+        id: 'dynamics',
+        label: 'Microsoft Dynamics',
+        synonyms: ['microsoft dynamics', 'dynamics 365', 'dynamics gp', 'business central']
+    }
+];
+
+const PACKAGE_BY_ID = new Map(PACKAGES.map(p => [p.id, p]));
+
+const classify = createClassifier(PACKAGES);
+
+// Entries of a JSON array, a JSON string or "QuickBooks, Excel"
+function softwareList(value) {
+    let list = value;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (e) {
+            list = list.split(/[,;/+]/);
+        }
+    }
+    if (!Array.isArray(list)) list = list ? [list] : [];
+    return list.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Package ids named in a software list or free text (["QBO", "Excel"] or
+ * "Sage 50 and Wave" → ['quickbooks'] / ['sage', 'wave']). Tools that aren't
+ * bookkeeping packages (Excel, Dext, Hubdoc) are ignored.
+ */
+function classifySoftware(value) {
+    return [...new Set(softwareList(value).flatMap(entry => classify(entry)))];
+}
+
+function softwareLabel(id) {
+    const pkg = PACKAGE_BY_ID.get(id);
+    return pkg ? pkg.label : id;
+}
+
+module.exports = { PACKAGES, softwareList, classifySoftware, softwareLabel };
@@ -0,0 +1,292 @@
+const express = require('express');
+const { withTransaction } = require('../db/pool');
+
+// =====================================================
+// 🛠️ ADMIN APIs
+// =====================================================
+// Scheduler registry, outbound HTTP stats, SME entity merges and field
+// observation audit / rollback. Operator role unless noted; changes are audited.
+
+function adminRoutes({ db, jobQueue, scheduler, httpClient, fieldObservations, licenceVerifier, matchingWeights, loaders, auth }) {
+    const router = express.Router();
+    const { smeEntityResolver } = loaders;
+
+    // =====================================================
+    // 🕐 SCHEDULER ADMIN API
+    // =====================================================
+
+    // GET /api/admin/schedules — list every scheduled job
+    router.get('/api/admin/schedules', auth.require('operator'), async (req, res) => {
+        try {
+            const schedules = await scheduler.list();
+            res.json({ status: 'success', schedules });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/admin/schedules/:name/pause | resume
+    router.post('/api/admin/schedules/:name/:action(pause|resume)', auth.require('operator', { audit: 'schedule.pause_resume' }), async (req, res) => {
+        try {
+            const { name, action } = req.params;
+            const schedule = action === 'pause' ? await scheduler.pause(name) : await scheduler.resume(name);
+            if (!schedule) return res.status(404).json({ status: 'error', message: `Unknown schedule: ${name}` });
+            res.json({ status: 'success', schedule });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/admin/schedules/:name/reschedule — body: { cron_expression, timezone, max_runtime_minutes, concurrency_group }
+    router.post('/api/admin/schedules/:name/reschedule', auth.require('operator', { audit: 'schedule.reschedule' }), async (req, res) => {
+        try {
+            const schedule = await scheduler.reschedule(req.params.name, req.body || {});
+            if (!schedule) return res.status(404).json({ status: 'error', message: `Unknown schedule: ${req.params.name}` });
+            res.json({ status: 'success', schedule });
+        } catch (error) {
+            res.status(400).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/admin/schedules/:name/run-now — enqueue immediately (still honours the concurrency group)
+    router.post('/api/admin/schedules/:name/run-now', auth.require('operator', { audit: 'schedule.run_now' }), async (req, res) => {
+        try {
+            const { job, existing } = await scheduler.runNow(req.params.name, req.principal.actor);
+            res.status(existing ? 200 : 202).json({
+                status: existing ? `already_${job.status}` : 'queued',
+                job_id: job.id,
+                poll: `/api/jobs/${job.id}`
+            });
+        } catch (error) {
+            const code = error.message.startsWith('Unknown schedule') ? 404 : 500;
+            res.status(code).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // =====================================================
+    // 🌐 OUTBOUND HTTP ADMIN API
+    // =====================================================
+
+    // GET /api/admin/http/hosts — per-host request counts, error rates, retries and robots.txt blocks
+    router.get('/api/admin/http/hosts', auth.require('operator'), (req, res) => {
+        res.json({ status: 'success', mode: httpClient.mode, hosts: httpClient.hostStats() });
+    });
+
+    // =====================================================
+    // 🧬 SME ENTITY ADMIN API
+    // =====================================================
+
+    // GET /api/admin/entities — clusters for review (?min_members=2&max_confidence=0.95&limit=50)
+    router.get('/api/admin/entities', auth.require('operator'), async (req, res) => {
+        try {
+            const minMembers = parseInt(req.query.min_members) || 2;
+            const maxConfidence = req.query.max_confidence !== undefined ? parseFloat(req.query.max_confidence) : 1;
+            const limit = Math.min(200, parseInt(req.query.limit) || 50);
+            const result = await db.query(
+                `SELECT * FROM sme_entities WHERE member_count >= $1 AND confidence <= $2
+                 ORDER BY confidence ASC, member_count DESC LIMIT $3`,
+                [minMembers, maxConfidence, limit]
+            );
+            res.json({ status: 'success', entities: result.rows });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/admin/entities/:id — entity with member records, link evidence and merge history
+    router.get('/api/admin/entities/:id', auth.require('operator'), async (req, res) => {
+        try {
+            const entity = await smeEntityResolver.getEntity(db, parseInt(req.params.id));
+            if (!entity) return res.status(404).json({ status: 'error', message: 'Entity not found' });
+            res.json({ status: 'success', entity });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/admin/entities/merge — body: { entity_ids: [..], reason } (the caller is recorded as actor)
+    router.post('/api/admin/entities/merge', auth.require('operator', { audit: 'entity.merge' }), async (req, res) => {
+        try {
+            const { entity_ids, reason } = req.body || {};
+            const actor = req.principal.actor;
+            if (!Array.isArray(entity_ids)) return res.status(400).json({ status: 'error', message: 'entity_ids array is required' });
+            const entity = await withTransaction(db, client => smeEntityResolver.merge(client, entity_ids, { reason, actor }));
+            res.json({ status: 'success', entity });
+        } catch (error) {
+            res.status(400).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/admin/entities/:id/unmerge — body: { sme_ids: [..], reason }
+    router.post('/api/admin/entities/:id/unmerge', auth.require('operator', { audit: 'entity.unmerge' }), async (req, res) => {
+        try {
+            const { sme_ids, reason } = req.body || {};
+            const actor = req.principal.actor;
+            const result = await withTransaction(db, client => smeEntityResolver.unmerge(client, parseInt(req.params.id), sme_ids, { reason, actor }));
+            res.json({ status: 'success', ...result });
+        } catch (error) {
+            res.status(400).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/admin/entities/resolve — queue an entity resolution pass now
+    router.post('/api/admin/entities/resolve', auth.require('operator', { audit: 'entity.resolve' }), async (req, res) => {
+        try {
+            const { job, existing } = await jobQueue.enqueue('entity_resolution', {}, {
+                requestedBy: req.principal.actor,
+                concurrencyGroup: scheduler.concurrencyGroupFor('entity_resolution')
+            });
+            res.status(existing ? 200 : 202).json({
+                status: existing ? `already_${job.status}` : 'queued',
+                job_id: job.id,
+                poll: `/api/jobs/${job.id}`
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // =====================================================
+    // 🪪 LICENCE REVIEW QUEUE
+    // =====================================================
+
+    // GET /api/admin/licence-reviews — licence checks the automated verifier could not decide, oldest first
+    router.get('/api/admin/licence-reviews', auth.require('operator'), async (req, res) => {
+        try {
+            const reviews = await licenceVerifier.listReviewQueue({ limit: req.query.limit });
+            res.json({ status: 'success', count: reviews.length, reviews });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/admin/licence-reviews/:id — body: { decision: verified|lapsed|rejected, notes }
+    router.post('/api/admin/licence-reviews/:id', auth.require('operator', { audit: 'licence.review' }), async (req, res) => {
+        try {
+            const { decision, notes } = req.body || {};
+            const verification = await licenceVerifier.review(parseInt(req.params.id), {
+                decision, notes, reviewer: req.principal.actor
+            });
+            res.json({ status: 'success', verification });
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ status: 'error', message: error.message });
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // =====================================================
+    // ⚖️ MATCHING WEIGHT PROFILES & EXPERIMENTS
+    // =====================================================
+
+    const sendServiceError = (res, error) => {
+        if (error.status) return res.status(error.status).json({ status: 'error', message: error.message });
+        res.status(500).json({ status: 'error', message: error.message });
+    };
+
+    // GET /api/admin/matching/weight-profiles — every version of every profile
+    router.get('/api/admin/matching/weight-profiles', auth.require('operator'), async (req, res) => {
+        try {
+            res.json({ status: 'success', profiles: await matchingWeights.listProfiles() });
+        } catch (error) {
+            sendServiceError(res, error);
+        }
+    });
+
+    // POST /api/admin/matching/weight-profiles — body: { name, weights: { factor: weight }, description }
+    // An existing name gets its next version; weights are normalised to sum to 1
+    router.post('/api/admin/matching/weight-profiles', auth.require('operator', { audit: 'matching.profile_create' }), async (req, res) => {
+        try {
+            const { name, weights, description } = req.body || {};
+            const profile = await matchingWeights.createProfile({ name, weights, description, createdBy: req.principal.actor });
+            res.status(201).json({ status: 'success', profile });
+        } catch (error) {
+            sendServiceError(res, error);
+        }
+    });
+
+    // POST /api/admin/matching/weight-profiles/:id/default — score clients outside experiments with this profile
+    router.post('/api/admin/matching/weight-profiles/:id/default', auth.require('admin', { audit: 'matching.profile_default' }), async (req, res) => {
+        try {
+            const profile = await matchingWeights.setDefault(parseInt(req.params.id));
+            res.json({ status: 'success', profile });
+        } catch (error) {
+            sendServiceError(res, error);
+        }
+    });
+
+    // GET /api/admin/matching/experiments
+    router.get('/api/admin/matching/experiments', auth.require('operator'), async (req, res) => {
+        try {
+            res.json({ status: 'success', experiments: await matchingWeights.listExperiments() });
+        } catch (error) {
+            sendServiceError(res, error);
+        }
+    });
+
+    // POST /api/admin/matching/experiments — body: { name, description, arms: [{ arm, profile_id, allocation }] }
+    // The first arm is the control
+    router.post('/api/admin/matching/experiments', auth.require('admin', { audit: 'matching.experiment_start' }), async (req, res) => {
+        try {
+            const { name, description, arms } = req.body || {};
+            const experiment = await matchingWeights.startExperiment({ name, description, arms, createdBy: req.principal.actor });
+            res.status(201).json({ status: 'success', experiment });
+        } catch (error) {
+            sendServiceError(res, error);
+        }
+    });
+
+    // POST /api/admin/matching/experiments/:id/stop — assignments are kept for the report
+    router.post('/api/admin/matching/experiments/:id/stop', auth.require('admin', { audit: 'matching.experiment_stop' }), async (req, res) => {
+        try {
+            const experiment = await matchingWeights.stopExperiment(parseInt(req.params.id));
+            res.json({ status: 'success', experiment });
+        } catch (error) {
+            sendServiceError(res, error);
+        }
+    });
+
+    // GET /api/admin/matching/experiments/:id/report — intro / acceptance / engagement rates per arm vs. control
+    router.get('/api/admin/matching/experiments/:id/report', auth.require('operator'), async (req, res) => {
+        try {
+            const report = await matchingWeights.report(parseInt(req.params.id));
+            if (!report) return res.status(404).json({ status: 'error', message: 'Experiment not found' });
+            res.json({ status: 'success', ...report });
+        } catch (error) {
+            sendServiceError(res, error);
+        }
+    });
+
+    // =====================================================
+    // 🔎 FIELD OBSERVATION AUDIT API
+    // =====================================================
+
+    // GET /api/field-observations/:entityType/:id — every value proposed per field, with the winner (entityType: sme|cpa)
+    router.get('/api/field-observations/:entityType/:id', auth.require('operator'), async (req, res) => {
+        try {
+            const fields = await fieldObservations.explain(req.params.entityType, parseInt(req.params.id));
+            res.json({ status: 'success', entity_type: req.params.entityType, entity_id: parseInt(req.params.id), fields });
+        } catch (error) {
+            res.status(400).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/admin/field-observations/rollback — body: { source, field?, since?, reason?, exact?, dry_run? }
+    // Retracts a bad source's values and falls every affected field back to the next-best observation
+    router.post('/api/admin/field-observations/rollback', auth.require('admin', { audit: 'field_observations.rollback' }), async (req, res) => {
+        try {
+            const { source, field, since, reason, exact, dry_run } = req.body || {};
+            if (!source) return res.status(400).json({ status: 'error', message: 'source is required' });
+            const result = await fieldObservations.retractSource(source, {
+                field, since, reason, exact: !!exact, dryRun: !!dry_run
+            });
+            console.log(`[FieldObs] ${dry_run ? 'Dry-run ' : ''}rollback of ${source}: ${result.observations} observations, ${result.currentValuesReplaced} current values replaced`);
+            res.json({ status: 'success', source, ...result });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { adminRoutes };
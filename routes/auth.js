@@ -0,0 +1,95 @@
+const express = require('express');
+const { ROLES } = require('../services/auth');
+
+// =====================================================
+// 🔐 AUTH APIs
+// =====================================================
+// Session tokens for API-key holders, API key management and the audit log.
+
+function authRoutes({ auth }) {
+    const router = express.Router();
+
+    // GET /api/auth/me — who the presented token belongs to
+    router.get('/api/auth/me', auth.require(ROLES), (req, res) => {
+        const { type, role, subject, name } = req.principal;
+        res.json({ status: 'success', principal: { type, role, subject, name } });
+    });
+
+    // POST /api/auth/sessions — exchange an API key for a short-lived session token (browser dashboards)
+    router.post('/api/auth/sessions', auth.require(ROLES), async (req, res) => {
+        const principal = req.principal;
+        if (principal.type !== 'api_key') {
+            return res.status(400).json({ status: 'error', message: 'Sessions are issued for API keys only' });
+        }
+        try {
+            const { token, session } = await auth.createSession({
+                role: principal.role, subject: principal.subject, label: principal.name, apiKeyId: principal.id,
+            });
+            res.status(201).json({ status: 'success', token, expires_at: session.expires_at, role: session.role });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // DELETE /api/auth/sessions/current — sign out the session token used for this request
+    router.delete('/api/auth/sessions/current', auth.require(ROLES), async (req, res) => {
+        if (req.principal.type !== 'session') {
+            return res.status(400).json({ status: 'error', message: 'Not a session token' });
+        }
+        try {
+            await auth.revokeSession(req.principal.id);
+            res.json({ status: 'success' });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/admin/api-keys — every key (hashes never leave the database)
+    router.get('/api/admin/api-keys', auth.require('admin'), async (req, res) => {
+        try {
+            res.json({ status: 'success', api_keys: await auth.listApiKeys() });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/admin/api-keys — body: { name, role, subject?, expires_at? }; the key is returned once
+    router.post('/api/admin/api-keys', auth.require('admin', { audit: 'api_key.create' }), async (req, res) => {
+        const { name, role, subject, expires_at } = req.body || {};
+        if (!name || !ROLES.includes(role)) {
+            return res.status(400).json({ status: 'error', message: `name and role are required. Roles: ${ROLES.join(', ')}` });
+        }
+        try {
+            const { key, apiKey } = await auth.createApiKey({
+                name, role, subject: subject || null, createdBy: req.principal.actor, expiresAt: expires_at || null,
+            });
+            res.status(201).json({ status: 'success', key, api_key: apiKey, message: 'Store this key now — it cannot be shown again' });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // DELETE /api/admin/api-keys/:id — revoke a key and every session issued for it
+    router.delete('/api/admin/api-keys/:id', auth.require('admin', { audit: 'api_key.revoke' }), async (req, res) => {
+        try {
+            const apiKey = await auth.revokeApiKey(parseInt(req.params.id));
+            if (!apiKey) return res.status(404).json({ status: 'error', message: 'API key not found' });
+            res.json({ status: 'success', api_key: apiKey });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/admin/audit-log — ?actor=&action=&since=&limit=
+    router.get('/api/admin/audit-log', auth.require('admin'), async (req, res) => {
+        try {
+            res.json({ status: 'success', entries: await auth.listAudit(req.query) });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { authRoutes };
@@ -0,0 +1,345 @@
+const express = require('express');
+const { publicProfile, newCpaId } = require('../services/cpaAccounts');
+const { DEFAULT_RADIUS_KM, extractPostalCode, geocode, haversineKm, boundingBox } = require('../matching/geo');
+
+// =====================================================
+// 🏛️ CPA PROFILE MANAGEMENT APIs
+// =====================================================
+// Registration and search are public. A CPA signs in with an emailed link
+// (POST /api/cpa/auth/sign-in-link, then /api/cpa/auth/verify) and manages
+// their own profile through /api/cpa/me with the session token it returns.
+// CPAs already listed in a scraped directory can claim that listing instead
+// of registering (/api/cpa/claim*).
+
+function cpaRoutes({ db, auth, cpaAccounts, cpaClaims }) {
+    const router = express.Router();
+
+    // Register new CPA profile
+    router.post('/api/cpa/register', async (req, res) => {
+        try {
+            const {
+                first_name, last_name, email, phone, firm_name, firm_size,
+                specializations, industries_served, certifications, years_experience,
+                hourly_rate_min, hourly_rate_max, communication_style, 
+                software_proficiency, languages, province, city, postal_code, remote_services
+            } = req.body;
+
+            const cpa_id = newCpaId();
+            // Stored coordinates let `near` searches prefilter in SQL
+            const postalCode = extractPostalCode(postal_code);
+            const point = geocode({ postalCode, city, province });
+
+            const result = await db.query(
+                `INSERT INTO cpa_profiles (
+                    cpa_id, first_name, last_name, email, phone, firm_name, firm_size,
+                    specializations, industries_served, certifications, years_experience,
+                    hourly_rate_min, hourly_rate_max, communication_style, 
+                    software_proficiency, languages, province, city, postal_code, remote_services,
+                    profile_status, verification_status, latitude, longitude, geo_precision, geocoded_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, NOW())
+                RETURNING *`,
+                [cpa_id, first_name, last_name, email, phone, firm_name, firm_size,
+                 JSON.stringify(specializations), JSON.stringify(industries_served), 
+                 JSON.stringify(certifications), years_experience, hourly_rate_min, 
+                 hourly_rate_max, communication_style, JSON.stringify(software_proficiency), 
+                 JSON.stringify(languages), province, city, postalCode, remote_services,
+                 'pending', 'unverified', point ? point.latitude : null, point ? point.longitude : null,
+                 point ? point.precision : null]
+            );
+
+            // First sign-in link doubles as email verification; the response doesn't wait on the mail provider
+            cpaAccounts.requestSignInLink(email, { ip: req.ip }).catch(err => {
+                console.error('CPA sign-in link error (non-fatal):', err.message);
+            });
+
+            res.json({
+                status: 'success',
+                message: 'CPA profile registered successfully',
+                cpa_id: cpa_id,
+                profile: publicProfile(result.rows[0]),
+                next_steps: [
+                    'Check your email for a sign-in link',
+                    'Profile review and verification',
+                    'Complete specialization details',
+                    'Upload certifications',
+                    'Activate profile for matching'
+                ]
+            });
+        } catch (error) {
+            console.error('CPA registration error:', error);
+            res.status(500).json({ 
+                status: 'error', 
+                message: 'Registration failed',
+                error: error.message 
+            });
+        }
+    });
+
+    // Get CPA profile by ID
+    router.get('/api/cpa/profile/:cpa_id', async (req, res) => {
+        try {
+            const { cpa_id } = req.params;
+
+            const result = await db.query(
+                'SELECT * FROM cpa_profiles WHERE cpa_id = $1 AND is_active = true',
+                [cpa_id]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'CPA profile not found'
+                });
+            }
+
+            res.json({
+                status: 'success',
+                profile: publicProfile(result.rows[0])
+            });
+        } catch (error) {
+            console.error('CPA profile fetch error:', error);
+            res.status(500).json({ status: 'error', message: 'Failed to fetch profile' });
+        }
+    });
+
+    // Search CPAs with filters
+    router.get('/api/cpa/search', async (req, res) => {
+        try {
+            const { 
+                province, specialization, firm_size, min_rate, max_rate, 
+                remote_services, industry, near, radius_km, limit = 20 
+            } = req.query;
+
+            // near=<postal code or "City, PROV">: only CPAs within radius_km, nearest first
+            const origin = near ? geocode({ text: near }) : null;
+            if (near && !origin) {
+                return res.status(400).json({ status: 'error', message: `Could not locate "${near}"; use a postal code or "City, Province"` });
+            }
+            const radiusKm = parseFloat(radius_km) > 0 ? parseFloat(radius_km) : DEFAULT_RADIUS_KM;
+
+            let query = 'SELECT * FROM cpa_profiles WHERE is_active = true AND verification_status = $1';
+            let params = ['verified'];
+            let paramCount = 1;
+
+            if (province) {
+                paramCount++;
+                query += ` AND province = $${paramCount}`;
+                params.push(province);
+            }
+
+            if (specialization) {
+                paramCount++;
+                query += ` AND specializations::text ILIKE $${paramCount}`;
+                params.push(`%${specialization}%`);
+            }
+
+            if (firm_size) {
+                paramCount++;
+                query += ` AND firm_size = $${paramCount}`;
+                params.push(firm_size);
+            }
+
+            if (min_rate) {
+                paramCount++;
+                query += ` AND hourly_rate_min >= $${paramCount}`;
+                params.push(min_rate);
+            }
+
+            if (max_rate) {
+                paramCount++;
+                query += ` AND hourly_rate_max <= $${paramCount}`;
+                params.push(max_rate);
+            }
+
+            if (remote_services === 'true') {
+                query += ' AND remote_services = true';
+            }
+
+            if (industry) {
+                paramCount++;
+                query += ` AND industries_served::text ILIKE $${paramCount}`;
+                params.push(`%${industry}%`);
+            }
+
+            // Bounding box on the stored coordinates, ordered by approximate distance; exact distance below
+            if (origin) {
+                const box = boundingBox(origin, radiusKm);
+                query += ` AND latitude BETWEEN $${paramCount + 1} AND $${paramCount + 2}`;
+                query += ` AND longitude BETWEEN $${paramCount + 3} AND $${paramCount + 4}`;
+                query += ` ORDER BY (latitude - $${paramCount + 5}) ^ 2 + ((longitude - $${paramCount + 6}) * $${paramCount + 7}) ^ 2`;
+                params.push(box.minLat, box.maxLat, box.minLng, box.maxLng,
+                    origin.latitude, origin.longitude, Math.cos(origin.latitude * Math.PI / 180));
+                paramCount += 7;
+            } else {
+                query += ' ORDER BY created_date DESC';
+            }
+            paramCount++;
+            query += ` LIMIT $${paramCount}`;
+            params.push(Math.min(100, parseInt(limit) || 20));
+
+            const result = await db.query(query, params);
+
+            let cpas = result.rows.map(({ latitude, longitude, geo_precision, geocoded_at, ...cpa }) => (origin
+                ? { ...publicProfile(cpa), distance_km: Math.round(haversineKm(origin, { latitude, longitude }) * 10) / 10 }
+                : publicProfile(cpa)));
+            // The box's corners reach past the radius
+            if (origin) cpas = cpas.filter(cpa => cpa.distance_km <= radiusKm);
+
+            res.json({
+                status: 'success',
+                count: cpas.length,
+                cpas,
+                filters_applied: {
+                    province, specialization, firm_size, min_rate, max_rate, 
+                    remote_services, industry,
+                    ...(origin ? { near: { query: near, place: origin.place, precision: origin.precision, radius_km: radiusKm } } : {})
+                }
+            });
+        } catch (error) {
+            console.error('CPA search error:', error);
+            res.status(500).json({ status: 'error', message: 'Search failed' });
+        }
+    });
+
+    // ---------- Account (passwordless sign-in) ----------
+
+    // POST /api/cpa/auth/sign-in-link — body: { email }. Always 202 so the endpoint doesn't reveal who has an account
+    router.post('/api/cpa/auth/sign-in-link', async (req, res) => {
+        const { email } = req.body || {};
+        if (!email) return res.status(400).json({ status: 'error', message: 'email is required' });
+        try {
+            await cpaAccounts.requestSignInLink(email, { ip: req.ip });
+        } catch (error) {
+            console.error('CPA sign-in link error:', error.message);
+        }
+        res.status(202).json({ status: 'success', message: 'If that email belongs to a CPA account, a sign-in link is on its way' });
+    });
+
+    // POST /api/cpa/auth/verify — body: { token } from the emailed link; returns a session token for /api/cpa/me
+    router.post('/api/cpa/auth/verify', async (req, res) => {
+        const { token } = req.body || {};
+        if (!token) return res.status(400).json({ status: 'error', message: 'token is required' });
+        try {
+            const signIn = await cpaAccounts.redeemSignInLink(token);
+            if (!signIn) {
+                return res.status(401).json({ status: 'error', message: 'This sign-in link is invalid, expired or already used' });
+            }
+            res.json({ status: 'success', token: signIn.token, expires_at: signIn.expires_at, profile: signIn.profile });
+        } catch (error) {
+            console.error('CPA sign-in verify error:', error.message);
+            res.status(500).json({ status: 'error', message: 'Sign-in failed' });
+        }
+    });
+
+    // ---------- Claiming a directory listing ----------
+
+    // GET /api/cpa/claim/search — ?name=&province= (emails come back masked)
+    router.get('/api/cpa/claim/search', async (req, res) => {
+        try {
+            const listings = await cpaClaims.search(req.query);
+            res.json({ status: 'success', count: listings.length, listings });
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ status: 'error', message: error.message });
+            console.error('CPA claim search error:', error.message);
+            res.status(500).json({ status: 'error', message: 'Search failed' });
+        }
+    });
+
+    // POST /api/cpa/claim — body: { scraped_cpa_id, email? }; mails a confirmation link
+    router.post('/api/cpa/claim', async (req, res) => {
+        const { scraped_cpa_id, email } = req.body || {};
+        if (!scraped_cpa_id) return res.status(400).json({ status: 'error', message: 'scraped_cpa_id is required' });
+        try {
+            const sent = await cpaClaims.request(parseInt(scraped_cpa_id), { email, ip: req.ip });
+            res.status(202).json({ status: 'success', message: `Confirmation link sent to ${sent.sent_to}`, ...sent });
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ status: 'error', message: error.message });
+            console.error('CPA claim request error:', error.message);
+            res.status(500).json({ status: 'error', message: 'Claim request failed' });
+        }
+    });
+
+    // POST /api/cpa/claim/verify — body: { token }; creates or links the profile and signs the CPA in
+    router.post('/api/cpa/claim/verify', async (req, res) => {
+        const { token } = req.body || {};
+        if (!token) return res.status(400).json({ status: 'error', message: 'token is required' });
+        try {
+            const claimed = await cpaClaims.confirm(token);
+            if (!claimed) {
+                return res.status(401).json({ status: 'error', message: 'This claim link is invalid, expired or already used' });
+            }
+            res.json({ status: 'success', ...claimed });
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ status: 'error', message: error.message });
+            console.error('CPA claim verify error:', error.message);
+            res.status(500).json({ status: 'error', message: 'Claim failed' });
+        }
+    });
+
+    // GET /api/cpa/me — the signed-in CPA's profile and subscription
+    router.get('/api/cpa/me', auth.require('cpa'), async (req, res) => {
+        try {
+            const account = await cpaAccounts.getAccount(req.principal.subject);
+            if (!account) return res.status(404).json({ status: 'error', message: 'CPA profile not found' });
+            res.json({ status: 'success', ...account });
+        } catch (error) {
+            console.error('CPA account fetch error:', error.message);
+            res.status(500).json({ status: 'error', message: 'Failed to fetch profile' });
+        }
+    });
+
+    // PATCH /api/cpa/me — partial profile update (email is not editable here)
+    router.patch('/api/cpa/me', auth.require('cpa'), async (req, res) => {
+        try {
+            const profile = await cpaAccounts.updateProfile(req.principal.subject, req.body);
+            if (!profile) return res.status(404).json({ status: 'error', message: 'CPA profile not found' });
+            res.json({ status: 'success', profile });
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ status: 'error', message: error.message });
+            console.error('CPA profile update error:', error.message);
+            res.status(500).json({ status: 'error', message: 'Failed to update profile' });
+        }
+    });
+
+    // POST /api/cpa/me/certifications — body: { name, issuer?, number?, year?, document_url? }
+    router.post('/api/cpa/me/certifications', auth.require('cpa'), async (req, res) => {
+        try {
+            const profile = await cpaAccounts.addCertification(req.principal.subject, req.body);
+            if (!profile) return res.status(404).json({ status: 'error', message: 'CPA profile not found' });
+            res.status(201).json({ status: 'success', certifications: profile.certifications });
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ status: 'error', message: error.message });
+            console.error('CPA certification error:', error.message);
+            res.status(500).json({ status: 'error', message: 'Failed to add certification' });
+        }
+    });
+
+    // POST /api/cpa/me/deactivate — hide the profile from search and matching and sign out everywhere
+    router.post('/api/cpa/me/deactivate', auth.require('cpa'), async (req, res) => {
+        try {
+            const profile = await cpaAccounts.setActive(req.principal.subject, false);
+            if (!profile) return res.status(404).json({ status: 'error', message: 'CPA profile not found' });
+            await auth.revokeSubjectSessions('cpa', req.principal.subject);
+            res.json({ status: 'success', profile });
+        } catch (error) {
+            console.error('CPA deactivate error:', error.message);
+            res.status(500).json({ status: 'error', message: 'Failed to deactivate profile' });
+        }
+    });
+
+    // POST /api/cpa/me/reactivate
+    router.post('/api/cpa/me/reactivate', auth.require('cpa'), async (req, res) => {
+        try {
+            const profile = await cpaAccounts.setActive(req.principal.subject, true);
+            if (!profile) return res.status(404).json({ status: 'error', message: 'CPA profile not found' });
+            res.json({ status: 'success', profile });
+        } catch (error) {
+            console.error('CPA reactivate error:', error.message);
+            res.status(500).json({ status: 'error', message: 'Failed to reactivate profile' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { cpaRoutes };
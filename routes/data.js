@@ -0,0 +1,372 @@
+const express = require('express');
+const { withTransaction } = require('../db/pool');
+const { DEFAULT_RADIUS_KM, geocode, haversineKm, boundingBox } = require('../matching/geo');
+
+// =====================================================
+// 📂 SCRAPED DATA APIs
+// =====================================================
+// Browse / search scraped CPAs and SMEs, the CPA person registry, federal
+// corporation changes and the internal prospects feed for partner backends.
+
+function dataRoutes({ db, loaders, auth }) {
+    const router = express.Router();
+    const { cpaPersonResolver } = loaders;
+
+    // GET /api/scraped-cpas — browse scraped CPAs
+    router.get('/api/scraped-cpas', auth.require('operator'), async (req, res) => {
+        try {
+            const { province, city, source, status, page = 1, limit = 50 } = req.query;
+            const offset = (Math.max(1, parseInt(page)) - 1) * Math.min(100, parseInt(limit) || 50);
+            const params = [];
+            const conditions = [];
+            let paramIdx = 1;
+
+            if (province) { conditions.push(`province = $${paramIdx++}`); params.push(province); }
+            if (city) { conditions.push(`city ILIKE $${paramIdx++}`); params.push(`%${city}%`); }
+            if (source) { conditions.push(`source = $${paramIdx++}`); params.push(source); }
+            if (status) { conditions.push(`status = $${paramIdx++}`); params.push(status); }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const lim = Math.min(100, parseInt(limit) || 50);
+            params.push(lim, offset);
+
+            const result = await db.query(
+                `SELECT * FROM scraped_cpas ${where} ORDER BY scraped_at DESC LIMIT $${paramIdx++} OFFSET $${paramIdx}`,
+                params
+            );
+
+            const countResult = await db.query(
+                `SELECT COUNT(*) FROM scraped_cpas ${where}`,
+                params.slice(0, -2)
+            );
+
+            res.json({
+                status: 'success',
+                cpas: result.rows,
+                total: parseInt(countResult.rows[0].count),
+                page: parseInt(page),
+                limit: lim,
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/scraped-cpas/stats — aggregated stats
+    router.get('/api/scraped-cpas/stats', auth.require('operator'), async (req, res) => {
+        try {
+            const result = await db.query(`
+                SELECT
+                    COUNT(*) AS total,
+                    COUNT(CASE WHEN email IS NOT NULL OR enriched_email IS NOT NULL THEN 1 END) AS with_email,
+                    COUNT(CASE WHEN status = 'enriched' THEN 1 END) AS enriched,
+                    COUNT(CASE WHEN status = 'contacted' THEN 1 END) AS contacted,
+                    COUNT(CASE WHEN status = 'converted' THEN 1 END) AS converted
+                FROM scraped_cpas
+            `);
+            const byProvince = await db.query(`
+                SELECT province, COUNT(*) AS count FROM scraped_cpas GROUP BY province ORDER BY count DESC
+            `);
+            const bySource = await db.query(`
+                SELECT source, COUNT(*) AS count FROM scraped_cpas GROUP BY source ORDER BY count DESC
+            `);
+
+            res.json({ status: 'success', totals: result.rows[0], byProvince: byProvince.rows, bySource: bySource.rows });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/cpa-persons — canonical CPA registry (?q=name&province=ON&min_sources=2&page=1&limit=50)
+    router.get('/api/cpa-persons', auth.require('operator'), async (req, res) => {
+        try {
+            const { q, province, min_sources, page = 1 } = req.query;
+            const lim = Math.min(100, parseInt(req.query.limit) || 50);
+            const offset = (Math.max(1, parseInt(page)) - 1) * lim;
+            const params = [];
+            const conditions = [];
+            let paramIdx = 1;
+
+            if (q) { conditions.push(`full_name ILIKE $${paramIdx++}`); params.push(`%${q}%`); }
+            if (province) { conditions.push(`province = $${paramIdx++}`); params.push(province.toUpperCase()); }
+            if (min_sources) { conditions.push(`jsonb_array_length(sources) >= $${paramIdx++}`); params.push(parseInt(min_sources)); }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            params.push(lim, offset);
+            const result = await db.query(
+                `SELECT * FROM cpa_persons ${where} ORDER BY last_name, first_name LIMIT $${paramIdx++} OFFSET $${paramIdx}`,
+                params
+            );
+            res.json({ status: 'success', persons: result.rows, page: parseInt(page), limit: lim });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/cpa-persons/:id — canonical record, per-field provenance and every linked scraped_cpas row
+    router.get('/api/cpa-persons/:id', auth.require('operator'), async (req, res) => {
+        try {
+            const person = await cpaPersonResolver.getPerson(db, parseInt(req.params.id));
+            if (!person) return res.status(404).json({ status: 'error', message: 'Person not found' });
+            res.json({ status: 'success', person });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/scraped-cpas/match — return quality CPAs for client matching
+    // near=<postal code or "City, PROV"> (+ radius_km) keeps listings geocoded within the radius, nearest first
+    router.get('/api/scraped-cpas/match', auth.require(['operator', 'partner_backend']), async (req, res) => {
+        try {
+            const { province, city, specialization, near, radius_km, limit = 50 } = req.query;
+            const params = [];
+            const conditions = [
+                "full_name IS NOT NULL",
+                "full_name != ''"
+            ];
+            let paramIdx = 1;
+
+            const origin = near ? geocode({ text: near }) : null;
+            if (near && !origin) {
+                return res.status(400).json({ status: 'error', message: `Could not locate "${near}"; use a postal code or "City, Province"` });
+            }
+            const radiusKm = parseFloat(radius_km) > 0 ? parseFloat(radius_km) : DEFAULT_RADIUS_KM;
+
+            if (province) { conditions.push(`province ILIKE $${paramIdx++}`); params.push(`%${province}%`); }
+            if (city) { conditions.push(`city ILIKE $${paramIdx++}`); params.push(`%${city}%`); }
+            if (specialization) { conditions.push(`designation ILIKE $${paramIdx++}`); params.push(`%${specialization}%`); }
+
+            // Bounding box on the stored coordinates, ordered by approximate distance; exact distance below
+            let nearest = '';
+            if (origin) {
+                const box = boundingBox(origin, radiusKm);
+                conditions.push(`latitude BETWEEN $${paramIdx++} AND $${paramIdx++}`);
+                conditions.push(`longitude BETWEEN $${paramIdx++} AND $${paramIdx++}`);
+                params.push(box.minLat, box.maxLat, box.minLng, box.maxLng);
+                nearest = `(latitude - $${paramIdx++}) ^ 2 + ((longitude - $${paramIdx++}) * $${paramIdx++}) ^ 2,`;
+                params.push(origin.latitude, origin.longitude, Math.cos(origin.latitude * Math.PI / 180));
+            }
+
+            const where = `WHERE ${conditions.join(' AND ')}`;
+            const lim = Math.min(100, parseInt(limit) || 50);
+            params.push(lim);
+
+            const result = await db.query(
+                `SELECT id, first_name, last_name, full_name, designation, province, city,
+                        firm_name, COALESCE(enriched_email, email) as email, source, latitude, longitude
+                 FROM scraped_cpas ${where}
+                 ORDER BY ${nearest}
+                   CASE WHEN firm_name IS NOT NULL AND firm_name != '' THEN 0 ELSE 1 END,
+                   CASE WHEN COALESCE(enriched_email, email) IS NOT NULL THEN 0 ELSE 1 END,
+                   RANDOM()
+                 LIMIT $${paramIdx}`,
+                params
+            );
+
+            let cpas = result.rows.map(({ latitude, longitude, ...cpa }) => (origin
+                ? { ...cpa, distance_km: Math.round(haversineKm(origin, { latitude, longitude }) * 10) / 10 }
+                : cpa));
+            // The box's corners reach past the radius
+            if (origin) cpas = cpas.filter(cpa => cpa.distance_km <= radiusKm);
+
+            res.json({
+                status: 'success',
+                cpas,
+                total: cpas.length,
+                ...(origin ? { near: { query: near, place: origin.place, precision: origin.precision, radius_km: radiusKm } } : {})
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/scraped-smes — browse scraped SMEs
+    router.get('/api/scraped-smes', auth.require('operator'), async (req, res) => {
+        try {
+            const { province, naics, industry, page = 1, limit = 50 } = req.query;
+            const offset = (Math.max(1, parseInt(page)) - 1) * Math.min(100, parseInt(limit) || 50);
+            const params = [];
+            const conditions = [];
+            let paramIdx = 1;
+
+            if (province) { conditions.push(`province = $${paramIdx++}`); params.push(province); }
+            if (naics) { conditions.push(`naics_code = $${paramIdx++}`); params.push(naics); }
+            if (industry) { conditions.push(`industry ILIKE $${paramIdx++}`); params.push(`%${industry}%`); }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const lim = Math.min(100, parseInt(limit) || 50);
+            params.push(lim, offset);
+
+            const result = await db.query(
+                `SELECT * FROM scraped_smes ${where} ORDER BY scraped_at DESC LIMIT $${paramIdx++} OFFSET $${paramIdx}`,
+                params
+            );
+
+            const countResult = await db.query(
+                `SELECT COUNT(*) FROM scraped_smes ${where}`,
+                params.slice(0, -2)
+            );
+
+            res.json({
+                status: 'success',
+                smes: result.rows,
+                total: parseInt(countResult.rows[0].count),
+                page: parseInt(page),
+                limit: lim,
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/scraped-smes/stats — aggregated stats
+    router.get('/api/scraped-smes/stats', auth.require('operator'), async (req, res) => {
+        try {
+            const result = await db.query(`
+                SELECT
+                    COUNT(*) AS total,
+                    COUNT(CASE WHEN contact_email IS NOT NULL THEN 1 END) AS with_email,
+                    COUNT(CASE WHEN website IS NOT NULL THEN 1 END) AS with_website,
+                    COUNT(CASE WHEN email_verified = true THEN 1 END) AS verified_emails,
+                    COUNT(CASE WHEN status = 'contacted' THEN 1 END) AS contacted,
+                    COUNT(CASE WHEN status = 'converted' THEN 1 END) AS converted,
+                    COUNT(CASE WHEN status = 'enrichment_attempted' THEN 1 END) AS enrichment_attempted,
+                    COUNT(CASE WHEN status = 'enriched' THEN 1 END) AS enriched
+                FROM scraped_smes
+            `);
+            const byProvince = await db.query(`
+                SELECT province, COUNT(*) AS count FROM scraped_smes GROUP BY province ORDER BY count DESC
+            `);
+            const byIndustry = await db.query(`
+                SELECT industry, COUNT(*) AS count FROM scraped_smes WHERE industry IS NOT NULL GROUP BY industry ORDER BY count DESC LIMIT 20
+            `);
+            const byEnrichmentPhase = await db.query(`
+                SELECT enrichment_phase, COUNT(*) AS count FROM scraped_smes GROUP BY enrichment_phase ORDER BY count DESC
+            `);
+            const byWebsiteSource = await db.query(`
+                SELECT website_source, COUNT(*) AS count FROM scraped_smes WHERE website_source IS NOT NULL GROUP BY website_source ORDER BY count DESC
+            `);
+            const byVerificationMethod = await db.query(`
+                SELECT email_verification_method, COUNT(*) AS count FROM scraped_smes WHERE email_verification_method IS NOT NULL GROUP BY email_verification_method ORDER BY count DESC
+            `);
+
+            res.json({
+                status: 'success',
+                totals: result.rows[0],
+                byProvince: byProvince.rows,
+                byIndustry: byIndustry.rows,
+                enrichmentPipeline: {
+                    byPhase: byEnrichmentPhase.rows,
+                    byWebsiteSource: byWebsiteSource.rows,
+                    byVerificationMethod: byVerificationMethod.rows,
+                }
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/corporations/changes — Corporations Canada delta history (?type=new|changed|dissolved|amalgamated|removed&since=YYYY-MM-DD)
+    router.get('/api/corporations/changes', auth.require(['operator', 'partner_backend']), async (req, res) => {
+        try {
+            const { type, since, corporate_number, limit = 100 } = req.query;
+            const params = [];
+            const conditions = [];
+            let paramIdx = 1;
+
+            if (type) { conditions.push(`change_type = ANY($${paramIdx++})`); params.push(type.split(',').map(t => t.trim())); }
+            if (since) { conditions.push(`detected_at >= $${paramIdx++}`); params.push(since); }
+            if (corporate_number) { conditions.push(`corporate_number = $${paramIdx++}`); params.push(corporate_number); }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const lim = Math.min(1000, parseInt(limit) || 100);
+
+            const result = await db.query(
+                `SELECT * FROM corporation_changes ${where} ORDER BY detected_at DESC, id DESC LIMIT $${paramIdx}`,
+                [...params, lim]
+            );
+            const summary = await db.query(
+                `SELECT change_type, COUNT(*) AS count FROM corporation_changes ${where} GROUP BY change_type ORDER BY count DESC`,
+                params
+            );
+
+            res.json({ status: 'success', changes: result.rows, summary: summary.rows });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // =====================================================
+    // 🔗 INTERNAL PROSPECTS API (for lawyer + investing backends)
+    // =====================================================
+    router.get('/api/internal/prospects', auth.require('partner_backend', { audit: 'prospects.pull' }), async (req, res) => {
+        try {
+            const { platform, min_score = 40, province, status = 'ready', limit = 500, offset = 0 } = req.query;
+
+            if (!platform || !['accountants', 'lawyers', 'investing'].includes(platform)) {
+                return res.status(400).json({ error: 'Invalid platform. Must be: accountants, lawyers, or investing' });
+            }
+
+            const scoreCol = `score_${platform}`;
+            const queueCol = `queue_status_${platform}`;
+            const conditions = [`${queueCol} = $1`, `${scoreCol} >= $2`];
+            const params = [status, parseInt(min_score)];
+            let paramIdx = 3;
+
+            if (province) {
+                const provinces = province.split(',').map(p => p.trim().toUpperCase());
+                conditions.push(`province = ANY($${paramIdx++})`);
+                params.push(provinces);
+            }
+
+            const lim = Math.min(500, parseInt(limit) || 500);
+            const off = parseInt(offset) || 0;
+
+            const where = conditions.join(' AND ');
+            // Select and mark queued atomically; SKIP LOCKED keeps two concurrent pulls from handing out the same rows
+            const { result, countResult } = await withTransaction(db, async (client) => {
+                const result = await client.query(
+                    `SELECT id, source, business_name, corporate_number, naics_code, industry, province, city,
+                      business_status, employee_count, incorporation_date, years_in_business, business_type,
+                      full_address, postal_code, contact_email, website, contact_phone, contact_name,
+                      directors, data_sources, ${scoreCol} as score,
+                      score_accountants, score_lawyers, score_investing
+                    FROM scraped_smes WHERE ${where}
+                    ORDER BY ${scoreCol} DESC NULLS LAST
+                    LIMIT $${paramIdx++} OFFSET $${paramIdx}
+                    FOR UPDATE SKIP LOCKED`,
+                    [...params, lim, off]
+                );
+
+                const countResult = await client.query(
+                    `SELECT COUNT(*) FROM scraped_smes WHERE ${where}`,
+                    params
+                );
+
+                // Mark pulled records as queued
+                if (result.rows.length > 0) {
+                    const ids = result.rows.map(r => r.id);
+                    await client.query(
+                        `UPDATE scraped_smes SET ${queueCol} = 'queued', updated_at = NOW() WHERE id = ANY($1)`,
+                        [ids]
+                    );
+                }
+                return { result, countResult };
+            });
+
+            res.json({
+                success: true,
+                prospects: result.rows,
+                total: parseInt(countResult.rows[0].count),
+                hasMore: off + result.rows.length < parseInt(countResult.rows[0].count),
+            });
+        } catch (error) {
+            console.error('Internal prospects API error:', error.message);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { dataRoutes };
@@ -0,0 +1,98 @@
+const express = require('express');
+
+// =====================================================
+// 📈 MARKET INTELLIGENCE APIs
+// =====================================================
+
+function marketIntelligenceRoutes({ db, redis, clock }) {
+    const router = express.Router();
+
+    // Get latest market intelligence
+    router.get('/api/market-intelligence', async (req, res) => {
+        try {
+            // Try cache first
+            const cachedData = await redis.get('latest_market_data');
+
+            if (cachedData) {
+                return res.json({
+                    status: 'success',
+                    data: JSON.parse(cachedData),
+                    cached: true,
+                    timestamp: clock.now()
+                });
+            }
+
+            // Fallback to database
+            const result = await db.query(
+                'SELECT * FROM market_data WHERE is_current = true ORDER BY collection_date DESC'
+            );
+
+            res.json({
+                status: 'success',
+                data: result.rows,
+                cached: false,
+                timestamp: clock.now()
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // Submit SME data from your forms
+    router.post('/api/sme-submission', async (req, res) => {
+        try {
+            const {
+                business_name, industry, province, revenue_range, 
+                employees_range, primary_challenge, seasonal_peak, 
+                tech_stack, growth_stage
+            } = req.body;
+
+            await db.query(
+                `INSERT INTO sme_submissions 
+                 (business_name, industry, province, revenue_range, employees_range, 
+                  primary_challenge, seasonal_peak, tech_stack, growth_stage) 
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                [business_name, industry, province, revenue_range, employees_range,
+                 primary_challenge, seasonal_peak, tech_stack, growth_stage]
+            );
+
+            res.json({ status: 'success', message: 'SME data recorded successfully' });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // Get real-time analytics
+    router.get('/api/analytics', async (req, res) => {
+        try {
+            const [
+                totalSubmissions,
+                weeklySubmissions,
+                provinceDistribution,
+                industryTrends
+            ] = await Promise.all([
+                db.query('SELECT COUNT(*) as total FROM sme_submissions'),
+                db.query('SELECT COUNT(*) as weekly FROM sme_submissions WHERE submission_date > NOW() - INTERVAL \'7 days\''),
+                db.query('SELECT province, COUNT(*) as count FROM sme_submissions GROUP BY province ORDER BY count DESC'),
+                db.query('SELECT industry, COUNT(*) as count FROM sme_submissions GROUP BY industry ORDER BY count DESC')
+            ]);
+
+            res.json({
+                status: 'success',
+                analytics: {
+                    total_submissions: totalSubmissions.rows[0].total,
+                    weekly_submissions: weeklySubmissions.rows[0].weekly,
+                    province_distribution: provinceDistribution.rows,
+                    industry_trends: industryTrends.rows
+                },
+                timestamp: clock.now()
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { marketIntelligenceRoutes };
@@ -0,0 +1,604 @@
+const express = require('express');
+const { CPAMatchingEngine } = require('../matching/cpaMatchingEngine');
+const { SERVICES, classifyService } = require('../matching/serviceTaxonomy');
+const { extractPostalCode } = require('../matching/geo');
+const { normalizeLanguage, normalizeLanguageRequirement } = require('../matching/language');
+const { normalizeNaics } = require('../matching/industryTaxonomy');
+const { softwareList } = require('../matching/softwareTaxonomy');
+const { withTransaction } = require('../db/pool');
+
+// =====================================================
+// 🧠 AI-POWERED CPA MATCHING APIs
+// =====================================================
+
+// What a client sees of a suggested CPA. Email and phone wait for acceptance (the
+// lifecycle's _view), and stripe_customer_id never leaves the server
+const SUGGESTED_CPA_COLUMNS = [
+    'cpa_id', 'first_name', 'last_name', 'designation', 'firm_name', 'firm_size', 'specializations',
+    'industries_served', 'certifications', 'years_experience', 'hourly_rate_min', 'hourly_rate_max',
+    'communication_style', 'software_proficiency', 'languages', 'province', 'city', 'remote_services',
+    'verification_status', 'licence_status', 'is_active'
+];
+// Read for the location factor only, not returned
+const SCORING_ONLY_COLUMNS = ['postal_code', 'latitude', 'longitude'];
+
+function suggestedCpa(row) {
+    return Object.fromEntries(SUGGESTED_CPA_COLUMNS.map(column => [column, row[column]]));
+}
+
+// Fill industry / NAICS / tech_stack the request left out from what the client
+// already told us: their client_preferences row, then the latest
+// /api/sme-submission form filed under that row's business name. sme_submissions
+// has no client id, so the name is the only link, and only the stored name is
+// trusted: one from the request body could read another business's submission
+const isBlank = value => !value || (Array.isArray(value) && value.length === 0);
+
+async function withStoredBusinessProfile(db, preferences) {
+    const filled = { ...preferences };
+    const STORED = ['business_name', 'industry', 'naics_code', 'tech_stack'];
+    if (!STORED.some(field => isBlank(filled[field]))) return filled;
+
+    const stored = await db.query(
+        'SELECT business_name, industry, naics_code, tech_stack FROM client_preferences WHERE client_id = $1',
+        [filled.client_id]
+    );
+    const row = stored.rows[0] || {};
+    for (const field of STORED) {
+        if (isBlank(filled[field]) && !isBlank(row[field])) filled[field] = row[field];
+    }
+
+    if ((isBlank(filled.industry) || isBlank(filled.tech_stack)) && row.business_name) {
+        const submission = await db.query(
+            `SELECT industry, tech_stack FROM sme_submissions
+             WHERE LOWER(business_name) = LOWER($1)
+             ORDER BY submission_date DESC LIMIT 1`,
+            [row.business_name]
+        );
+        const latest = submission.rows[0];
+        if (latest) {
+            if (isBlank(filled.industry)) filled.industry = latest.industry;
+            if (isBlank(filled.tech_stack)) filled.tech_stack = latest.tech_stack;
+        }
+    }
+    return filled;
+}
+
+function newClientId() {
+    return `CLIENT_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Questionnaire contact_info arrives as an object or a JSON string
+function parseContactInfo(raw) {
+    if (raw && typeof raw === 'object') return raw;
+    try {
+        return JSON.parse(raw || '{}');
+    } catch (e) {
+        console.log('Could not parse contact_info, using raw data');
+        return { raw };
+    }
+}
+
+function matchingRoutes({ db, clock, auth, licenceVerifier, matchLifecycle, matchingWeights }) {
+    const router = express.Router();
+
+    // Client preference registration and matching
+    router.post('/api/client/register-preferences', async (req, res) => {
+        try {
+            const {
+                business_name, industry, business_size, annual_revenue_range,
+                required_services, preferred_specializations, budget_range_min, budget_range_max,
+                preferred_communication, location_preference, remote_acceptable, urgency_level,
+                contact_name, contact_email, postal_code, preferred_language, language_requirement,
+                tech_stack, naics_code
+            } = req.body;
+
+            const client_id = newClientId();
+
+            const result = await db.query(
+                `INSERT INTO client_preferences (
+                    client_id, business_name, industry, business_size, annual_revenue_range,
+                    required_services, preferred_specializations, budget_range_min, budget_range_max,
+                    preferred_communication, location_preference, remote_acceptable, urgency_level,
+                    contact_name, contact_email, postal_code, preferred_language, language_requirement,
+                    tech_stack, naics_code
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+                RETURNING *`,
+                [client_id, business_name, industry, business_size, annual_revenue_range,
+                 JSON.stringify(required_services), JSON.stringify(preferred_specializations),
+                 budget_range_min, budget_range_max, preferred_communication, 
+                 location_preference, remote_acceptable, urgency_level, contact_name, contact_email,
+                 extractPostalCode(postal_code), normalizeLanguage(preferred_language),
+                 normalizeLanguageRequirement(language_requirement),
+                 JSON.stringify(softwareList(tech_stack)), normalizeNaics(naics_code)]
+            );
+
+            // The only credential for acting on this client's matches (/api/matches)
+            const session = await matchLifecycle.startClientSession(result.rows[0]);
+
+            res.json({
+                status: 'success',
+                message: 'Client preferences registered successfully',
+                client_id: client_id,
+                client_token: session.token,
+                client_token_expires_at: session.expires_at,
+                preferences: result.rows[0],
+                next_steps: [
+                    'AI matching will begin immediately',
+                    'Top CPA recommendations will be generated',
+                    'You will receive match notifications',
+                    'Review and connect with recommended CPAs'
+                ]
+            });
+        } catch (error) {
+            console.error('Client registration error:', error);
+            res.status(500).json({ 
+                status: 'error', 
+                message: 'Registration failed',
+                error: error.message 
+            });
+        }
+    });
+    // SME Friction Request Endpoint - Business Questionnaire
+    // Registers the SME as a client from its answers and returns the client_token that
+    // find-matches and /api/matches require, the same way register-preferences does
+    router.post('/api/sme-friction-request', async (req, res) => {
+        try {
+            const {
+                request_id, pain_point, business_type, business_size,
+                urgency_level, services_needed, time_being_lost,
+                budget_range, additional_context, contact_info, preferred_language, language_requirement,
+                tech_stack, naics_code
+            } = req.body;
+
+            // Generate session ID for results retrieval
+            const session_id = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+            console.log('New SME Friction Request:', {
+                request_id,
+                session_id,
+                business_type,
+                pain_point,
+                urgency_level
+            });
+
+            const contactInfo = parseContactInfo(contact_info);
+            const services = Array.isArray(services_needed) ? services_needed : String(services_needed || '').split(',');
+
+            const { client, request } = await withTransaction(db, async (tx) => {
+                const clientResult = await tx.query(
+                    `INSERT INTO client_preferences (
+                        client_id, business_name, industry, business_size, required_services, urgency_level,
+                        location_preference, preferred_communication, remote_acceptable, contact_name, contact_email,
+                        postal_code, preferred_language, language_requirement, tech_stack, naics_code
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'professional', true, $8, $9, $10, $11, $12, $13, $14)
+                    RETURNING *`,
+                    [newClientId(), contactInfo.business_name || null, business_type, business_size,
+                     JSON.stringify(services.map(s => String(s).trim()).filter(Boolean)), urgency_level,
+                     contactInfo.location || 'remote-ok', contactInfo.name || null, contactInfo.email || null,
+                     extractPostalCode(contactInfo.postal_code), normalizeLanguage(preferred_language),
+                     normalizeLanguageRequirement(language_requirement),
+                     JSON.stringify(softwareList(tech_stack)), normalizeNaics(naics_code)]
+                );
+                const requestResult = await tx.query(
+                    `INSERT INTO sme_friction_requests 
+                     (request_id, session_id, pain_point, business_type, business_size, urgency_level, 
+                      services_needed, time_being_lost, budget_range, additional_context, contact_info,
+                      preferred_language, language_requirement, tech_stack, naics_code, client_id, created_at) 
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW()) 
+                     RETURNING *`,
+                    [request_id, session_id, pain_point, business_type, business_size, urgency_level,
+                     services_needed, time_being_lost, budget_range, additional_context, contact_info,
+                     normalizeLanguage(preferred_language), normalizeLanguageRequirement(language_requirement),
+                     softwareList(tech_stack).join(', ').slice(0, 255) || null, normalizeNaics(naics_code),
+                     clientResult.rows[0].client_id]
+                );
+                return { client: clientResult.rows[0], request: requestResult.rows[0] };
+            });
+
+            // Returned once, like register-preferences: the results page needs it for find-matches
+            const session = await matchLifecycle.startClientSession(client);
+
+            res.status(201).json({
+                success: true,
+                message: 'SME friction request submitted successfully',
+                session_id: session_id,
+                client_id: client.client_id,
+                client_token: session.token,
+                client_token_expires_at: session.expires_at,
+                results_url: `cpa-matches.html?session=${session_id}`,
+                data: request,
+                next_steps: [
+                    'AI analysis of your business needs complete',
+                    'Perfect CPA matching in progress', 
+                    'Click below to view your matches',
+                    'Direct contact with top 3 CPA recommendations'
+                ]
+            });
+
+        } catch (error) {
+            console.error('Error creating SME friction request:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to submit friction request',
+                error: error.message
+            });
+        }
+    });
+
+    // Retrieve questionnaire data by session ID
+    router.get('/api/questionnaire/retrieve/:sessionId', async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+
+            console.log('Retrieving questionnaire data for session:', sessionId);
+
+            const result = await db.query(
+                'SELECT * FROM sme_friction_requests WHERE session_id = $1 ORDER BY created_at DESC LIMIT 1',
+                [sessionId]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found or expired'
+                });
+            }
+
+            const questionnaireData = result.rows[0];
+
+            const contactInfo = parseContactInfo(questionnaireData.contact_info);
+
+            res.json({
+                success: true,
+                session_id: sessionId,
+                data: questionnaireData,
+                formatted_for_matching: {
+                    // Requests from before client registration have no client_id
+                    client_id: questionnaireData.client_id || sessionId,
+                    business_name: contactInfo.business_name || '',
+                    business_type: questionnaireData.business_type,
+                    industry: questionnaireData.business_type,
+                    business_size: questionnaireData.business_size,
+                    required_services: questionnaireData.services_needed ? 
+                        questionnaireData.services_needed.split(',') : [],
+                    urgency_level: questionnaireData.urgency_level,
+                    pain_point: questionnaireData.pain_point,
+                    budget_range: questionnaireData.budget_range,
+                    time_being_lost: questionnaireData.time_being_lost,
+                    location_preference: contactInfo.location || 'remote-ok',
+                    preferred_communication: 'professional',
+                    remote_acceptable: true,
+                    preferred_language: questionnaireData.preferred_language,
+                    language_requirement: questionnaireData.language_requirement,
+                    tech_stack: questionnaireData.tech_stack,
+                    naics_code: questionnaireData.naics_code,
+                    contact_info: contactInfo
+                }
+            });
+
+        } catch (error) {
+            console.error('Error retrieving questionnaire data:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve questionnaire data',
+                error: error.message
+            });
+        }
+    });
+
+    // Canonical services for registration / preference forms; ?classify=<text> shows how free text maps onto them
+    router.get('/api/service-taxonomy', (req, res) => {
+        const language = req.query.lang === 'fr' ? 'fr' : 'en';
+        const services = SERVICES.map(service => ({ id: service.id, label: service.label[language], labels: service.label }));
+        res.json({
+            status: 'success',
+            services,
+            ...(req.query.classify ? { classified: classifyService(req.query.classify) } : {})
+        });
+    });
+
+    // AI-powered CPA matching endpoint
+    // Signed-in clients only, and always for themselves: the client_id (which picks the
+    // experiment arm and owns the stored matches) is the session's, never the body's
+    router.post('/api/cpa/find-matches', auth.require('client', { audit: 'match.find' }), async (req, res) => {
+        try {
+            const { limit = 10 } = req.body;
+            const client_preferences = await withStoredBusinessProfile(db,
+                { ...(req.body.client_preferences || {}), client_id: req.principal.subject });
+
+            console.log('🧠 AI Matching Request:', { 
+                industry: client_preferences.industry,
+                services: client_preferences.required_services,
+                location: client_preferences.location_preference 
+            });
+
+            // Get all verified CPAs from database (public columns plus what scoring needs)
+            // Each CPA carries its cpa_performance row for the reputation factor (null until the first refresh)
+            const cpaResult = await db.query(
+                `SELECT ${[...SUGGESTED_CPA_COLUMNS, ...SCORING_ONLY_COLUMNS].map(c => `p.${c}`).join(', ')},
+                        row_to_json(perf) AS performance
+                 FROM cpa_profiles p
+                 LEFT JOIN cpa_performance perf ON perf.cpa_id = p.cpa_id
+                 WHERE p.verification_status = $1 AND p.is_active = $2`,
+                ['verified', true]
+            );
+
+            // French clients get French labels and messages; factor keys and scores stay the same
+            const language = normalizeLanguage(client_preferences.preferred_language) || 'en';
+
+            if (cpaResult.rows.length === 0) {
+                return res.json({
+                    status: 'success',
+                    message: language === 'fr' ? 'Aucun CPA vérifié n’est disponible pour le jumelage' : 'No verified CPAs available for matching',
+                    matches: [],
+                    count: 0
+                });
+            }
+
+            // Weight profile: the client's experiment arm while an experiment runs, else the default
+            const { profile, experimentId, armId, arm } = await matchingWeights.resolveForClient(client_preferences.client_id);
+
+            // Initialize AI matching engine; radius_km lets a client widen or narrow the location factor
+            const radiusKm = parseFloat(client_preferences.radius_km) > 0 ? parseFloat(client_preferences.radius_km) : undefined;
+            const matchingEngine = new CPAMatchingEngine(profile.weights, { radiusKm });
+
+            // Find top matches using AI algorithm
+            const topMatches = await matchingEngine.findTopMatches(
+                client_preferences, 
+                cpaResult.rows, 
+                limit
+            );
+
+            // Store match results in database (all or none, so a failure never leaves a partial shortlist).
+            // A CPA already suggested to this client is rescored and its expiry renewed rather than
+            // stored twice; one with an open introduction request keeps its row and response deadline
+            const expiresAt = matchLifecycle.suggestionExpiresAt();
+            await withTransaction(db, async (client) => {
+                for (const match of topMatches) {
+                    await client.query(
+                        `INSERT INTO cpa_matches (
+                            client_id, cpa_id, match_score, match_factors, status, expires_at,
+                            weight_profile_id, experiment_id, experiment_arm_id
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                        ON CONFLICT (client_id, cpa_id) WHERE status IN ('suggested', 'intro_requested')
+                        DO UPDATE SET match_score = EXCLUDED.match_score, match_factors = EXCLUDED.match_factors,
+                            expires_at = EXCLUDED.expires_at, weight_profile_id = EXCLUDED.weight_profile_id,
+                            experiment_id = EXCLUDED.experiment_id, experiment_arm_id = EXCLUDED.experiment_arm_id
+                        WHERE cpa_matches.status = 'suggested'`,
+                        [client_preferences.client_id, match.cpa_id, 
+                         match.match_score, JSON.stringify(match.match_factors), 'suggested', expiresAt,
+                         profile.id, experimentId, armId]
+                    );
+                }
+            });
+
+            res.json({
+                status: 'success',
+                message: language === 'fr' ? 'Jumelage IA terminé avec succès' : 'AI matching completed successfully',
+                language,
+                matches: topMatches.map(match => ({ ...match, cpa_profile: suggestedCpa(match.cpa_profile) })),
+                count: topMatches.length,
+                matching_algorithm: 'CPAMatchingEngine v1.0',
+                weight_profile: { id: profile.id, name: profile.name, version: profile.version, experiment_arm: arm },
+                factors_considered: matchingEngine.describeWeights(language),
+                timestamp: clock.now().toISOString()
+            });
+
+        } catch (error) {
+            console.error('AI matching error:', error);
+            res.status(500).json({ 
+                status: 'error', 
+                message: 'Matching failed',
+                error: error.message 
+            });
+        }
+    });
+
+    // Get match history and analytics
+    router.get('/api/matches/analytics/:client_id', async (req, res) => {
+        try {
+            const { client_id } = req.params;
+
+            const matchHistory = await db.query(
+                `SELECT cm.*, cp.first_name, cp.last_name, cp.firm_name, cp.specializations
+                 FROM cpa_matches cm
+                 JOIN cpa_profiles cp ON cm.cpa_id = cp.cpa_id
+                 WHERE cm.client_id = $1
+                 ORDER BY cm.match_date DESC`,
+                [client_id]
+            );
+
+            const analytics = {
+                total_matches: matchHistory.rows.length,
+                average_match_score: matchHistory.rows.length > 0 
+                    ? Math.round(matchHistory.rows.reduce((sum, m) => sum + parseFloat(m.match_score), 0) / matchHistory.rows.length)
+                    : 0,
+                engagement_rate: matchHistory.rows.filter(m => m.client_response === 'interested').length,
+                successful_connections: matchHistory.rows.filter(m => m.engagement_started).length,
+                top_match_score: Math.max(...matchHistory.rows.map(m => parseFloat(m.match_score)), 0)
+            };
+
+            res.json({
+                status: 'success',
+                client_id: client_id,
+                match_history: matchHistory.rows,
+                analytics: analytics,
+                recommendations: analytics.average_match_score < 70 
+                    ? ['Consider expanding location preferences', 'Review budget range', 'Add more specialization options']
+                    : ['Great matching profile!', 'High compatibility scores', 'Strong CPA options available']
+            });
+
+        } catch (error) {
+            console.error('Match analytics error:', error);
+            res.status(500).json({ status: 'error', message: 'Analytics retrieval failed' });
+        }
+    });
+
+    // =====================================================
+    // 🤝 MATCH LIFECYCLE — introductions, engagements, ratings
+    // =====================================================
+    // Clients use the client_token from /api/client/register-preferences or
+    // /api/sme-friction-request, CPAs their /api/cpa/me session; each only sees
+    // and acts on their own matches.
+
+    const partyOf = (req) => ({
+        type: ['client', 'cpa'].includes(req.principal.role) ? req.principal.role : 'operator',
+        id: req.principal.subject
+    });
+
+    // GET /api/matches?status= — the caller's matches
+    router.get('/api/matches', auth.require(['client', 'cpa']), async (req, res) => {
+        try {
+            const matches = await matchLifecycle.list(partyOf(req), { status: req.query.status, limit: req.query.limit });
+            res.json({ status: 'success', count: matches.length, matches });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/matches/:id — one match with its transition history
+    router.get('/api/matches/:id(\\d+)', auth.require(['client', 'cpa', 'operator']), async (req, res) => {
+        try {
+            const match = await matchLifecycle.get(parseInt(req.params.id), partyOf(req));
+            if (!match) return res.status(404).json({ status: 'error', message: 'Match not found' });
+            res.json({ status: 'success', match });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/matches/:id/<action> — body: { message } (request-intro), { reason } (decline / cancel),
+    // optional { contact_email, contact_name } on request-intro
+    router.post('/api/matches/:id(\\d+)/:action(request-intro|dismiss|accept|decline|start-engagement|complete-engagement|cancel)',
+        auth.require(['client', 'cpa'], { audit: 'match.transition' }), async (req, res) => {
+        try {
+            const match = await matchLifecycle.transition(
+                parseInt(req.params.id), req.params.action.replace(/-/g, '_'), partyOf(req), req.body || {}
+            );
+            res.json({ status: 'success', match });
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ status: 'error', message: error.message });
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/matches/:id/rating — body: { score: 1-5, comment }
+    router.post('/api/matches/:id(\\d+)/rating', auth.require(['client', 'cpa'], { audit: 'match.rate' }), async (req, res) => {
+        try {
+            const { score, comment } = req.body || {};
+            const match = await matchLifecycle.rate(parseInt(req.params.id), partyOf(req), { score, comment });
+            res.json({ status: 'success', match });
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ status: 'error', message: error.message });
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // 🔐 CPA LICENCE VERIFICATION — live check against the provincial directory
+    // Ambiguous results land in the review queue (/api/admin/licence-reviews)
+    router.post('/api/cpa/verify/:cpa_id', auth.require('operator', { audit: 'cpa.verify' }), async (req, res) => {
+        try {
+            const { cpa_id } = req.params;
+
+            console.log(`🔐 Verifying CPA licence: ${cpa_id}`);
+
+            const result = await licenceVerifier.verify(cpa_id, { trigger: 'operator', requestedBy: req.principal.actor });
+            if (!result) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'CPA profile not found'
+                });
+            }
+
+            const { verification } = result;
+            res.json({
+                status: 'success',
+                cpa_id: cpa_id,
+                outcome: verification.outcome,
+                reason: verification.reason,
+                verification_status: result.verification_status,
+                queued_for_review: verification.review_status === 'pending',
+                verification
+            });
+        } catch (error) {
+            console.error('❌ CPA verification error:', error);
+            res.status(500).json({ 
+                status: 'error', 
+                message: 'Verification failed',
+                error: error.message 
+            });
+        }
+    });
+
+    // GET /api/cpa/verify/:cpa_id — licence check history with the directory evidence
+    router.get('/api/cpa/verify/:cpa_id', auth.require('operator'), async (req, res) => {
+        try {
+            const verifications = await licenceVerifier.history(req.params.cpa_id, { limit: req.query.limit });
+            res.json({ status: 'success', cpa_id: req.params.cpa_id, verifications });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // 🧪 TEMPORARY TEST ENDPOINT - AI MATCHING WITH MOCK DATA
+    router.post('/api/cpa/test-matching', async (req, res) => {
+        try {
+            const { client_preferences, limit = 5 } = req.body;
+
+            console.log('🧠 AI Matching Test with Mock Data');
+
+            // Mock CPA for testing
+            const mockCPAs = [{
+                cpa_id: 'CPA_TEST_001',
+                first_name: 'Sarah',
+                last_name: 'Williams',
+                firm_name: 'Williams Professional Services',
+                specializations: ['Tax Planning', 'Small Business Accounting'],
+                industries_served: ['Technology', 'Healthcare'],
+                software_proficiency: ['QuickBooks Online', 'Xero'],
+                province: 'Ontario',
+                city: 'Toronto',
+                hourly_rate_min: 180,
+                hourly_rate_max: 220,
+                communication_style: 'professional',
+                firm_size: 'small',
+                remote_services: true,
+                verification_status: 'verified',
+                is_active: true
+            }];
+
+            // Initialize AI matching engine
+            const matchingEngine = new CPAMatchingEngine();
+
+            // Find top matches using AI algorithm
+            const topMatches = await matchingEngine.findTopMatches(
+                client_preferences, 
+                mockCPAs, 
+                limit
+            );
+
+            res.json({
+                status: 'success',
+                message: 'AI matching test completed successfully',
+                matches: topMatches,
+                count: topMatches.length,
+                matching_algorithm: 'CPAMatchingEngine v1.0 - TEST MODE',
+                factors_considered: matchingEngine.describeWeights(),
+                timestamp: clock.now().toISOString(),
+                note: 'Using mock data for testing - database persistence issue being resolved'
+            });
+
+        } catch (error) {
+            console.error('AI matching test error:', error);
+            res.status(500).json({ 
+                status: 'error', 
+                message: 'Matching test failed',
+                error: error.message 
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { matchingRoutes };
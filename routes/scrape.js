@@ -0,0 +1,301 @@
+const express = require('express');
+const { mapStateToProvince, extractDesignation } = require('../enrichers/apolloPeopleSearch');
+
+// =====================================================
+// 🕷️ SCRAPER API ENDPOINTS
+// =====================================================
+// Scrape status / stats, manual triggers and rescrapes, Apollo People Search
+// and the job queue endpoints.
+
+function scrapeRoutes({ db, jobQueue, scheduler, httpClient, auth }) {
+    const router = express.Router();
+
+    // GET /api/scrape/status — recent scrape jobs
+    router.get('/api/scrape/status', auth.require('operator'), async (req, res) => {
+        try {
+            const { source } = req.query;
+            let result;
+            if (source) {
+                result = await db.query(
+                    `SELECT * FROM scrape_jobs WHERE source = $1 ORDER BY started_at DESC LIMIT 50`,
+                    [source]
+                );
+                return res.json({ status: 'success', jobs: result.rows });
+            }
+            // Show latest job per source (so enrichment isn't buried by per-record apollo jobs)
+            const latestBySource = await db.query(
+                `SELECT DISTINCT ON (source) * FROM scrape_jobs ORDER BY source, started_at DESC`
+            );
+            const history = await db.query(
+                `SELECT * FROM scrape_jobs WHERE source != 'apollo_enrichment' ORDER BY started_at DESC LIMIT 50`
+            );
+            res.json({ status: 'success', latestBySource: latestBySource.rows, recentJobs: history.rows });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/scrape/stats — aggregated scrape statistics
+    router.get('/api/scrape/stats', auth.require('operator'), async (req, res) => {
+        try {
+            const cpaTotals = await db.query(`
+                SELECT source, COUNT(*) as total,
+                    COUNT(CASE WHEN email IS NOT NULL OR enriched_email IS NOT NULL THEN 1 END) as with_email,
+                    COUNT(CASE WHEN enriched_email IS NOT NULL THEN 1 END) as with_enriched_email,
+                    COUNT(CASE WHEN COALESCE(enriched_email, email) IS NOT NULL THEN 1 END) as contactable,
+                    COUNT(CASE WHEN firm_name IS NOT NULL AND firm_name != '' THEN 1 END) as with_firm,
+                    MIN(scraped_at) as first_scraped, MAX(scraped_at) as last_scraped
+                FROM scraped_cpas GROUP BY source ORDER BY total DESC
+            `);
+            const total = await db.query('SELECT COUNT(*) FROM scraped_cpas');
+            const smeTotals = await db.query('SELECT COUNT(*) as total, COUNT(CASE WHEN contact_email IS NOT NULL THEN 1 END) as with_email FROM scraped_smes');
+            const recentJobs = await db.query('SELECT * FROM scrape_jobs ORDER BY started_at DESC LIMIT 10');
+            res.json({
+                status: 'success',
+                totalScrapedCPAs: parseInt(total.rows[0].count),
+                totalScrapedSMEs: parseInt(smeTotals.rows[0].total),
+                smesWithEmail: parseInt(smeTotals.rows[0].with_email),
+                bySource: cpaTotals.rows,
+                recentJobs: recentJobs.rows,
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/scrape/rescrape/:source — clear existing data and re-scrape (admin)
+    router.post('/api/scrape/rescrape/:source', auth.require('admin', { audit: 'scrape.rescrape' }), async (req, res) => {
+        const { source } = req.params;
+        const cpaSources = ['cpabc', 'cpamb', 'cpask', 'cpans', 'cpanb', 'cpapei', 'cpanl', 'cpaalberta'];
+        if (!cpaSources.includes(source) && source !== 'all_cpas') {
+            return res.status(400).json({ error: `Invalid source for rescrape. Valid: ${cpaSources.join(', ')}, all_cpas` });
+        }
+
+        try {
+            // Clear existing data for this source
+            const sources = source === 'all_cpas' ? cpaSources : [source];
+            let totalDeleted = 0;
+            for (const s of sources) {
+                const del = await db.query('DELETE FROM scraped_cpas WHERE source = $1', [s]);
+                totalDeleted += del.rowCount;
+                console.log(`[Rescrape] Deleted ${del.rowCount} records for source ${s}`);
+            }
+
+            const { job } = await jobQueue.enqueue(source, {}, {
+                requestedBy: `rescrape:${req.principal.actor}`,
+                concurrencyGroup: scheduler.concurrencyGroupFor(source)
+            });
+            res.json({ status: 'queued', source, deleted: totalDeleted, job_id: job.id, poll: `/api/jobs/${job.id}`, message: `Cleared ${totalDeleted} records, re-scrape queued as job #${job.id}` });
+        } catch (error) {
+            console.error(`Rescrape error for ${source}:`, error.message);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Apollo People Search — discover NEW CPAs not in the scraped pool by searching
+    // Apollo's LinkedIn-derived database. Different from People Match (enriches one
+    // known person) — this FINDS new people matching criteria like title/location.
+    // Built 2026-04-13 to refill ACC C1's empty queue after directory scrapes
+    // hit diminishing returns (~246 new CPAs/week vs 150/day send rate).
+    router.post('/api/admin/apollo-people-search', auth.require('operator', { audit: 'apollo.people_search' }), async (req, res) => {
+      try {
+        const apiKey = process.env.APOLLO_API_KEY;
+        if (!apiKey) return res.status(500).json({ error: 'APOLLO_API_KEY not configured' });
+
+        const {
+          person_titles = ['CPA', 'Chartered Professional Accountant'],
+          person_locations = ['Canada'],
+          per_page = 25,
+          page = 1,
+          organization_locations = [],
+          person_seniorities = [],
+          dry_run = false,
+        } = req.body || {};
+
+        console.log(`[Apollo Search] Searching: titles=${JSON.stringify(person_titles)}, locations=${JSON.stringify(person_locations)}, page=${page}, per_page=${per_page}`);
+
+        // Call Apollo People Search API
+        const searchPayload = {
+          person_titles,
+          person_locations,
+          per_page: Math.min(per_page, 100),
+          page,
+        };
+        if (organization_locations.length > 0) searchPayload.organization_locations = organization_locations;
+        if (person_seniorities.length > 0) searchPayload.person_seniorities = person_seniorities;
+
+        const searchRes = await httpClient.post('https://api.apollo.io/api/v1/mixed_people/api_search', searchPayload, {
+          headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' },
+          timeout: 30000,
+          robots: false,
+        });
+
+        const rawPeople = searchRes.data?.people || [];
+        const totalAvailable = searchRes.data?.pagination?.total_entries || 0;
+
+        console.log(`[Apollo Search] Found ${rawPeople.length} results (${totalAvailable} total available)`);
+
+        // Step 2: Reveal each person to get full name + email (1 Apollo credit per reveal)
+        const people = [];
+        for (const raw of rawPeople) {
+          if (!raw.id) continue;
+          try {
+            const revealRes = await httpClient.post('https://api.apollo.io/api/v1/people/match', {
+              id: raw.id,
+              reveal_personal_emails: true,
+            }, {
+              headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' },
+              timeout: 10000,
+              robots: false,
+            });
+            const person = revealRes.data?.person || {};
+            people.push({
+              ...person,
+              organization: person.organization || raw.organization,
+            });
+            // Rate limit: 200ms between reveals
+            await new Promise(r => setTimeout(r, 200));
+          } catch (err) {
+            console.error(`[Apollo Search] Reveal failed for ${raw.id}:`, err.message);
+          }
+        }
+        console.log(`[Apollo Search] Revealed ${people.length} of ${rawPeople.length} results`);
+
+        if (dry_run) {
+          return res.json({
+            success: true,
+            dry_run: true,
+            results_returned: people.length,
+            total_available: totalAvailable,
+            sample: people.slice(0, 5).map(p => ({
+              name: `${p.first_name || ''} ${p.last_name || ''}`.trim(),
+              email: p.email || null,
+              title: p.title,
+              organization: p.organization?.name || p.organization_name,
+              city: p.city,
+              state: p.state,
+              country: p.country,
+            })),
+            raw_first_result: people.length > 0 ? Object.keys(people[0]).reduce((obj, k) => {
+              const v = people[0][k];
+              obj[k] = typeof v === 'object' ? JSON.stringify(v)?.substring(0, 100) : v;
+              return obj;
+            }, {}) : null,
+          });
+        }
+
+        // Deduplicate against existing scraped_cpas
+        let inserted = 0, skipped = 0, noEmail = 0;
+        for (const p of people) {
+          if (!p.email) { noEmail++; continue; }
+
+          // Check if email already exists
+          const exists = await db.query(
+            `SELECT id FROM scraped_cpas WHERE LOWER(COALESCE(enriched_email, email)) = LOWER($1)`,
+            [p.email]
+          );
+          if (exists.rows.length > 0) { skipped++; continue; }
+
+          // Parse name
+          const firstName = p.first_name || '';
+          const lastName = p.last_name || '';
+          const fullName = `${lastName}, ${firstName}`.trim().replace(/^,\s*/, '');
+          const firmName = p.organization?.name || '';
+          const city = p.city || '';
+          const province = mapStateToProvince(p.state || '');
+          const designation = extractDesignation(p.title || '');
+
+          await db.query(
+            `INSERT INTO scraped_cpas
+             (first_name, last_name, full_name, firm_name, city, province, designation, enriched_email, enrichment_source, source, status, scraped_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'apollo_search', 'apollo_people_search', 'raw', NOW())`,
+            [firstName, lastName, fullName, firmName, city, province, designation, p.email]
+          );
+          inserted++;
+        }
+
+        console.log(`[Apollo Search] Inserted ${inserted}, skipped ${skipped} (already exist), ${noEmail} no email`);
+
+        res.json({
+          success: true,
+          dry_run: false,
+          results_returned: people.length,
+          total_available: totalAvailable,
+          inserted,
+          skipped_existing: skipped,
+          no_email: noEmail,
+          page,
+          per_page: Math.min(per_page, 100),
+        });
+      } catch (err) {
+        console.error('[Apollo Search] Error:', err.response?.data || err.message);
+        res.status(500).json({ error: err.message, details: err.response?.data });
+      }
+    });
+
+
+
+    // POST /api/scrape/trigger/:source — manually trigger a scrape (operator)
+    router.post('/api/scrape/trigger/:source', auth.require('operator', { audit: 'scrape.trigger' }), async (req, res) => {
+        const { source } = req.params;
+
+        if (!jobQueue.hasType(source)) {
+            return res.status(400).json({ error: `Invalid source. Valid: ${jobQueue.types().join(', ')}` });
+        }
+
+        try {
+            const { job, existing } = await jobQueue.enqueue(source, req.body || {}, {
+                requestedBy: req.principal.actor,
+                concurrencyGroup: scheduler.concurrencyGroupFor(source)
+            });
+            res.status(existing ? 200 : 202).json({
+                status: existing ? `already_${job.status}` : 'queued',
+                source,
+                job_id: job.id,
+                poll: `/api/jobs/${job.id}`,
+                message: existing
+                    ? `A ${source} job is already ${job.status} (job #${job.id})`
+                    : `Scrape for ${source} queued as job #${job.id}`
+            });
+        } catch (error) {
+            console.error(`Scrape trigger error for ${source}:`, error.message);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/jobs — recent queue jobs (?status=&type=&limit=)
+    router.get('/api/jobs', auth.require('operator'), async (req, res) => {
+        try {
+            const jobs = await jobQueue.listJobs(req.query);
+            res.json({ status: 'success', jobs });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // GET /api/jobs/:id — poll a single queue job
+    router.get('/api/jobs/:id', auth.require('operator'), async (req, res) => {
+        try {
+            const job = await jobQueue.getJob(parseInt(req.params.id));
+            if (!job) return res.status(404).json({ status: 'error', message: 'Job not found' });
+            res.json({ status: 'success', job });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    // POST /api/jobs/:id/cancel — cancel a queued job or request cancellation of a running one
+    router.post('/api/jobs/:id/cancel', auth.require('operator', { audit: 'job.cancel' }), async (req, res) => {
+        try {
+            const job = await jobQueue.cancel(parseInt(req.params.id));
+            if (!job) return res.status(404).json({ status: 'error', message: 'Job not found' });
+            res.json({ status: 'success', job });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { scrapeRoutes };
@@ -0,0 +1,90 @@
+const express = require('express');
+
+// =====================================================
+// 🩺 HEALTH & SYSTEM ENDPOINTS
+// =====================================================
+
+function systemRoutes({ db, redis, clock, schemaGate, auth }) {
+    const router = express.Router();
+
+    // Health check endpoint
+    router.get('/health', async (req, res) => {
+        const start = Date.now();
+        let dbStatus = 'disconnected';
+        let redisStatus = 'disconnected';
+        try {
+            await db.query('SELECT 1');
+            dbStatus = 'connected';
+        } catch (e) {
+            dbStatus = 'error: ' + e.message;
+        }
+        try {
+            if (redis.isOpen) {
+                await redis.ping();
+                redisStatus = 'connected';
+            }
+        } catch (e) {
+            redisStatus = 'error: ' + e.message;
+        }
+        await schemaGate.ensureOpen();
+        const schema = schemaGate.describe();
+        const ok = dbStatus === 'connected' && schema.ok;
+        res.status(ok ? 200 : 503).json({
+            status: ok ? 'OK' : 'DEGRADED',
+            message: 'SME Intelligence Backend',
+            timestamp: clock.now().toISOString(),
+            uptime_seconds: Math.floor(process.uptime()),
+            response_ms: Date.now() - start,
+            services: { database: dbStatus, redis: redisStatus },
+            schema
+        });
+    });
+
+    // Root endpoint - Welcome message
+    router.get('/', (req, res) => {
+        res.json({
+            message: "🇨🇦 Canadian SME Intelligence API",
+            status: "operational",
+            version: "1.0.0",
+            endpoints: [
+                "GET /health",
+                "GET /api/market-intelligence",
+                "POST /api/sme-submission",
+                "GET /api/analytics",
+                "POST /api/stripe/create-checkout-session",
+                "GET /api/stripe/subscription-status",
+                "POST /api/stripe/create-portal-session",
+                "POST /api/stripe/webhook"
+            ],
+            timestamp: clock.now().toISOString()
+        });
+    });
+
+    // Debug endpoint to check database data
+    router.get('/api/debug/check-data', auth.require('operator'), async (req, res) => {
+        try {
+            const marketCount = await db.query('SELECT COUNT(*) FROM market_data');
+            const smeCount = await db.query('SELECT COUNT(*) FROM sme_submissions');
+            const cpaCount = await db.query('SELECT COUNT(*) FROM cpa_performance');
+
+            const sampleMarket = await db.query('SELECT * FROM market_data LIMIT 3');
+
+            res.json({
+                status: 'success',
+                counts: {
+                    market_data: marketCount.rows[0].count,
+                    sme_submissions: smeCount.rows[0].count,
+                    cpa_performance: cpaCount.rows[0].count
+                },
+                sample_data: sampleMarket.rows,
+                timestamp: clock.now().toISOString()
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { systemRoutes };
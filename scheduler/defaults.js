@@ -0,0 +1,46 @@
+// =====================================================
+// 🕐 SCHEDULER REGISTRY — default entries
+// =====================================================
+// Seeded into scheduled_jobs on first boot only; after that the table (and the
+// /api/admin/schedules endpoints) is the source of truth. Concurrency groups:
+//   outbound_enrichment — enrichers sharing outbound bandwidth / SMTP reputation
+//   bulk_downloads      — large open-data files (memory heavy), plus entity resolution over their output
+//   municipal_open_data — city licence portals + OrgBook
+//   cpa_directories     — provincial CPA directory scrapers
+const DEFAULT_SCHEDULES = [
+    { name: 'market_data_collection', cron: '0 6 * * *', maxRuntimeMinutes: 60, description: 'Daily market data collection' },
+    { name: 'all_cpas', cron: '0 2 * * 0', maxRuntimeMinutes: 480, concurrencyGroup: 'cpa_directories', description: 'Weekly CPA directory scrape (all provinces)' },
+    { name: 'corporations_canada', cron: '0 3 1 * *', maxRuntimeMinutes: 360, concurrencyGroup: 'bulk_downloads', description: 'Monthly Corporations Canada bulk load' },
+    { name: 'statcan_odbus', cron: '0 4 1 1,4,7,10 *', maxRuntimeMinutes: 240, concurrencyGroup: 'bulk_downloads', description: 'Quarterly StatCan ODBus load' },
+    { name: 'vancouver_biz_lic', cron: '0 6 * * 0', maxRuntimeMinutes: 120, concurrencyGroup: 'municipal_open_data', description: 'Weekly Vancouver business licences' },
+    { name: 'toronto_biz_lic', cron: '0 7 * * 0', maxRuntimeMinutes: 120, concurrencyGroup: 'municipal_open_data', description: 'Weekly Toronto business licences' },
+    { name: 'calgary_biz_lic', cron: '0 8 * * 0', maxRuntimeMinutes: 120, concurrencyGroup: 'municipal_open_data', description: 'Weekly Calgary business licences' },
+    { name: 'edmonton_biz_lic', cron: '0 9 * * 0', maxRuntimeMinutes: 120, concurrencyGroup: 'municipal_open_data', description: 'Weekly Edmonton business licences' },
+    { name: 'ottawa_biz_lic', cron: '0 10 * * 0', maxRuntimeMinutes: 60, concurrencyGroup: 'municipal_open_data', description: 'Weekly Ottawa business licences' },
+    { name: 'priority_scoring', cron: '0 3 * * *', maxRuntimeMinutes: 120, description: 'Daily business priority scoring' },
+    { name: 'email_enrichment', cron: '0 4,12 * * *', maxRuntimeMinutes: 240, concurrencyGroup: 'outbound_enrichment', description: 'CPA email enrichment (4 AM + 12 PM)' },
+    { name: 'yellowpages_website', cron: '0 1,21 * * *', maxRuntimeMinutes: 180, concurrencyGroup: 'outbound_enrichment', description: 'YellowPages website discovery (1 AM + 9 PM)' },
+    { name: 'sme_email_enrichment', cron: '0 2,8,14,20 * * *', maxRuntimeMinutes: 240, concurrencyGroup: 'outbound_enrichment', description: 'SME email enrichment (4 runs/day)' },
+    { name: '411ca_website', cron: '30 3 * * *', maxRuntimeMinutes: 180, concurrencyGroup: 'outbound_enrichment', description: '411.ca website discovery (run 1)' },
+    { name: '411ca_website_late', source: '411ca_website', cron: '0 23 * * *', maxRuntimeMinutes: 180, concurrencyGroup: 'outbound_enrichment', description: '411.ca website discovery (run 2)' },
+    { name: 'bbb_enrichment', cron: '0 5 * * *', maxRuntimeMinutes: 180, concurrencyGroup: 'outbound_enrichment', description: 'Daily BBB profile enrichment' },
+    { name: 'chamber_enrichment', cron: '0 18 * * 3', maxRuntimeMinutes: 180, concurrencyGroup: 'outbound_enrichment', description: 'Weekly Chamber of Commerce enrichment' },
+    { name: 'cpa_enrichment_retry_reset', cron: '0 6 * * *', maxRuntimeMinutes: 10, description: 'Reset CPA enrichment attempts older than 7 days' },
+    { name: 'sme_enrichment_retry_reset', cron: '0 10 * * 0', maxRuntimeMinutes: 10, description: 'Reset SME enrichment attempts older than 14 days' },
+    { name: 'federal_grants', cron: '0 5 1 * *', maxRuntimeMinutes: 180, concurrencyGroup: 'bulk_downloads', description: 'Monthly Federal Grants load' },
+    { name: 'orgbook_bc', cron: '0 3 2 * *', maxRuntimeMinutes: 240, concurrencyGroup: 'municipal_open_data', description: 'Monthly OrgBook BC scrape' },
+    { name: 'cra_charities', cron: '0 4 15 1,4,7,10 *', maxRuntimeMinutes: 180, concurrencyGroup: 'bulk_downloads', description: 'Quarterly CRA Charities load' },
+    { name: 'importers_canada', cron: '0 6 1 * *', maxRuntimeMinutes: 120, concurrencyGroup: 'bulk_downloads', description: 'Monthly Canadian Importers load' },
+    { name: 'cipo_trademarks', cron: '0 5 1 2,5,8,11 *', maxRuntimeMinutes: 240, concurrencyGroup: 'bulk_downloads', description: 'Quarterly CIPO Trademarks load' },
+    { name: 'lobbyist_registry', cron: '0 5 1 3,6,9,12 *', maxRuntimeMinutes: 120, concurrencyGroup: 'bulk_downloads', description: 'Quarterly Lobbyist Registry load' },
+    { name: 'entity_resolution', cron: '0 1 * * *', maxRuntimeMinutes: 180, concurrencyGroup: 'bulk_downloads', description: 'Nightly SME entity resolution (clusters new records)' },
+    { name: 'cpa_person_resolution', cron: '30 1 * * *', maxRuntimeMinutes: 120, concurrencyGroup: 'cpa_directories', description: 'Nightly CPA person registry resolution (directories + Apollo)' },
+    { name: 'licence_verification', cron: '15 */2 * * *', maxRuntimeMinutes: 60, concurrencyGroup: 'cpa_directories', description: 'CPA licence checks: new profiles and 90-day re-verification (every 2 hours)' },
+    { name: 'cpa_performance', cron: '30 2 * * *', maxRuntimeMinutes: 30, description: 'Nightly CPA performance and reputation from match outcomes' },
+    { name: 'scraped_cpa_geocoding', cron: '45 * * * *', maxRuntimeMinutes: 15, description: 'Coordinates for newly scraped CPAs and CPA profiles from the offline geocoder (hourly)' },
+    { name: 'match_timeouts', cron: '5 * * * *', maxRuntimeMinutes: 10, description: 'Expire stale match suggestions and unanswered introduction requests (hourly)' },
+    { name: 'enrichment_digest', cron: '0 0,6,12,18 * * *', maxRuntimeMinutes: 10, description: 'Enrichment pipeline digest email (every 6 hours)' },
+    { name: 'apollo_people_search', cron: '0 7 * * 1-5', timezone: 'America/Toronto', maxRuntimeMinutes: 60, description: 'Daily Apollo CPA People Search (7 AM ET Mon-Fri, 5 title cohorts)' },
+];
+
+module.exports = { DEFAULT_SCHEDULES };
@@ -0,0 +1,67 @@
+const { resetCpaEnrichmentAttempts, resetSmeEnrichmentAttempts, refreshCpaPerformance, geocodeScrapedCpas, sendEnrichmentDigest } = require('./tasks');
+const { runDailyApolloPeopleSearch } = require('../enrichers/apolloPeopleSearch');
+
+// =====================================================
+// 🧵 JOB TYPES — every loader/enricher runs through the persistent queue
+// =====================================================
+// Registered on every process that builds a context: the web process needs
+// the types to validate /api/scrape/trigger and enqueue, the worker runs them.
+
+function registerJobs(ctx) {
+  // Jobs run on the batch pool, never on the API's statement-timeout pool
+  const { batchDb: db, jobQueue, dataOrchestrator, licenceVerifier, matchLifecycle } = ctx;
+  const {
+    cpaScraperOrchestrator, corporationsCanadaAPI, statCanODBusLoader, vancouverBizLicScraper, calgaryBizLicScraper,
+    torontoBizLicScraper, edmontonBizLicScraper, businessPriorityScorer, firmWebsiteEnricher, smeEmailEnricher,
+    yellowPagesEnricher, directory411Enricher, bbbProfileEnricher, chamberDirectoryEnricher, federalGrantsLoader,
+    orgBookBCScraper, craCharitiesLoader, canadianImportersLoader, ottawaBizLicScraper, cipoTrademarkLoader,
+    lobbyistRegistryLoader, smeEntityResolver, cpaPersonResolver,
+  } = ctx.loaders;
+
+  for (const source of Object.keys(cpaScraperOrchestrator.scrapers)) {
+    jobQueue.register(source, () => cpaScraperOrchestrator.runSingle(source, db), { concurrencyGroup: 'cpa_directories' });
+  }
+  jobQueue.register('all_cpas', () => cpaScraperOrchestrator.runAll(db),
+    { sources: Object.keys(cpaScraperOrchestrator.scrapers), maxAttempts: 1, concurrencyGroup: 'cpa_directories' });
+  jobQueue.register('corporations_canada', () => corporationsCanadaAPI.scrape(db));
+  jobQueue.register('statcan_odbus', () => statCanODBusLoader.load(db));
+  jobQueue.register('vancouver_biz_lic', () => vancouverBizLicScraper.scrape(db));
+  jobQueue.register('calgary_biz_lic', () => calgaryBizLicScraper.scrape(db));
+  jobQueue.register('toronto_biz_lic', () => torontoBizLicScraper.scrape(db));
+  jobQueue.register('edmonton_biz_lic', () => edmontonBizLicScraper.scrape(db));
+  jobQueue.register('all_municipal', async () => ({
+    vancouver: await vancouverBizLicScraper.scrape(db),
+    toronto: await torontoBizLicScraper.scrape(db),
+    calgary: await calgaryBizLicScraper.scrape(db),
+    edmonton: await edmontonBizLicScraper.scrape(db),
+  }), { sources: ['vancouver_biz_lic', 'toronto_biz_lic', 'calgary_biz_lic', 'edmonton_biz_lic'] });
+  jobQueue.register('priority_scoring', () => businessPriorityScorer.score(db));
+  jobQueue.register('email_enrichment', () => firmWebsiteEnricher.enrich(db), { sources: ['email_enrichment', 'apollo_enrichment'] });
+  jobQueue.register('sme_email_enrichment', () => smeEmailEnricher.enrich(db), { sources: ['sme_email_enrichment', 'apollo_enrichment'] });
+  jobQueue.register('yellowpages_website', () => yellowPagesEnricher.enrich(db));
+  jobQueue.register('411ca_website', () => directory411Enricher.enrich(db));
+  jobQueue.register('bbb_enrichment', () => bbbProfileEnricher.enrich(db));
+  jobQueue.register('chamber_enrichment', () => chamberDirectoryEnricher.enrich(db));
+  jobQueue.register('federal_grants', () => federalGrantsLoader.scrape(db));
+  jobQueue.register('orgbook_bc', () => orgBookBCScraper.scrape(db));
+  jobQueue.register('cra_charities', () => craCharitiesLoader.scrape(db));
+  jobQueue.register('importers_canada', () => canadianImportersLoader.scrape(db));
+  jobQueue.register('ottawa_biz_lic', () => ottawaBizLicScraper.scrape(db));
+  jobQueue.register('cipo_trademarks', () => cipoTrademarkLoader.scrape(db));
+  jobQueue.register('lobbyist_registry', () => lobbyistRegistryLoader.scrape(db));
+  jobQueue.register('entity_resolution', () => smeEntityResolver.resolve(db));
+  jobQueue.register('licence_verification', (job) => licenceVerifier.verifyDue({ signal: job.signal }),
+    { sources: [], concurrencyGroup: 'cpa_directories' });
+  jobQueue.register('cpa_person_resolution', () => cpaPersonResolver.resolve(db), { concurrencyGroup: 'cpa_directories' });
+  jobQueue.register('enrichment_digest', () => sendEnrichmentDigest(db), { sources: [], maxAttempts: 1 });
+
+  jobQueue.register('cpa_performance', () => refreshCpaPerformance(db), { sources: [] });
+  jobQueue.register('match_timeouts', () => matchLifecycle.expireStale(db), { sources: [] });
+  jobQueue.register('scraped_cpa_geocoding', () => geocodeScrapedCpas(db), { sources: [] });
+  jobQueue.register('market_data_collection', () => dataOrchestrator.collectAllData(), { sources: [] });
+  jobQueue.register('cpa_enrichment_retry_reset', () => resetCpaEnrichmentAttempts(db), { sources: [] });
+  jobQueue.register('sme_enrichment_retry_reset', () => resetSmeEnrichmentAttempts(db), { sources: [] });
+  jobQueue.register('apollo_people_search', () => runDailyApolloPeopleSearch(db, ctx), { sources: [], maxAttempts: 1 });
+}
+
+module.exports = { registerJobs };
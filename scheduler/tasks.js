@@ -0,0 +1,346 @@
+const { sendEmail } = require('../services/email');
+const { CPAMatchingEngine } = require('../matching/cpaMatchingEngine');
+const { geocode } = require('../matching/geo');
+
+// =====================================================
+// 🔄 ENRICHMENT RETRY RESETS
+// =====================================================
+
+// Reset CPA enrichment_attempted records older than 7 days for re-processing
+async function resetCpaEnrichmentAttempts(dbClient) {
+    console.log('[Enrichment] Resetting CPA enrichment_attempted records for retry...');
+    const result = await dbClient.query(
+        `UPDATE scraped_cpas SET status = 'raw', updated_at = NOW()
+         WHERE id IN (
+           SELECT id FROM scraped_cpas
+           WHERE status = 'enrichment_attempted' AND updated_at < NOW() - INTERVAL '7 days'
+           LIMIT 500
+         )`
+    );
+    console.log(`[Enrichment] Reset ${result.rowCount} CPA attempted records for retry`);
+    return { reset: result.rowCount };
+}
+
+// Reset SME enrichment_attempted records older than 14 days (max 3 attempts) for re-processing
+async function resetSmeEnrichmentAttempts(dbClient) {
+    console.log('[Enrichment] Resetting SME enrichment_attempted records for retry...');
+    const result = await dbClient.query(
+        `UPDATE scraped_smes SET status = 'raw', enrichment_phase = 'pending', updated_at = NOW()
+         WHERE id IN (
+           SELECT id FROM scraped_smes
+           WHERE status = 'enrichment_attempted'
+             AND updated_at < NOW() - INTERVAL '14 days'
+             AND (enrichment_attempts IS NULL OR enrichment_attempts < 3)
+           LIMIT 5000
+         )`
+    );
+    console.log(`[Enrichment] Reset ${result.rowCount} SME attempted records for retry`);
+    return { reset: result.rowCount };
+}
+
+// =====================================================
+// 📈 CPA PERFORMANCE FROM MATCH OUTCOMES
+// =====================================================
+
+// Rebuild one cpa_performance row per CPA with matches: responsiveness to
+// introduction requests, client ratings and completed engagements, plus the
+// smoothed reputation score the matching engine uses
+async function refreshCpaPerformance(dbClient) {
+    console.log('[Performance] Deriving CPA performance from match outcomes...');
+    const engine = new CPAMatchingEngine();
+    const result = await dbClient.query(`
+        SELECT
+            p.cpa_id,
+            TRIM(CONCAT_WS(' ', p.first_name, p.last_name)) AS cpa_name,
+            p.province,
+            p.specializations->>0 AS specialization,
+            -- An introduction counts once it is answered or has timed out unanswered
+            COUNT(*) FILTER (WHERE m.intro_requested_at IS NOT NULL
+                AND (m.cpa_responded_at IS NOT NULL OR m.status = 'expired')) AS intro_requests,
+            COUNT(*) FILTER (WHERE m.cpa_responded_at IS NOT NULL) AS intros_responded,
+            COUNT(*) FILTER (WHERE m.cpa_response = 'accepted') AS intros_accepted,
+            AVG(EXTRACT(EPOCH FROM (m.cpa_responded_at - m.intro_requested_at)) / 3600)
+                FILTER (WHERE m.cpa_responded_at IS NOT NULL AND m.intro_requested_at IS NOT NULL) AS response_time_hours,
+            COUNT(*) FILTER (WHERE m.engagement_started) AS engagements_started,
+            COUNT(*) FILTER (WHERE m.status = 'completed') AS matches_completed,
+            COUNT(m.client_satisfaction) AS ratings_count,
+            COALESCE(SUM(m.client_satisfaction), 0) AS rating_sum,
+            AVG(m.client_satisfaction) AS satisfaction_rating
+        FROM cpa_matches m
+        JOIN cpa_profiles p ON p.cpa_id = m.cpa_id
+        GROUP BY p.cpa_id, p.first_name, p.last_name, p.province, p.specializations
+    `);
+
+    for (const row of result.rows) {
+        await dbClient.query(
+            `INSERT INTO cpa_performance (
+                cpa_id, cpa_name, province, specialization, response_time_hours, satisfaction_rating,
+                matches_completed, intro_requests, intros_responded, intros_accepted, engagements_started,
+                ratings_count, rating_sum, reputation_score, last_updated
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+             ON CONFLICT (cpa_id) DO UPDATE SET
+                cpa_name = EXCLUDED.cpa_name, province = EXCLUDED.province, specialization = EXCLUDED.specialization,
+                response_time_hours = EXCLUDED.response_time_hours, satisfaction_rating = EXCLUDED.satisfaction_rating,
+                matches_completed = EXCLUDED.matches_completed, intro_requests = EXCLUDED.intro_requests,
+                intros_responded = EXCLUDED.intros_responded, intros_accepted = EXCLUDED.intros_accepted,
+                engagements_started = EXCLUDED.engagements_started, ratings_count = EXCLUDED.ratings_count,
+                rating_sum = EXCLUDED.rating_sum, reputation_score = EXCLUDED.reputation_score, last_updated = NOW()`,
+            [row.cpa_id, row.cpa_name || null, row.province, row.specialization,
+             row.response_time_hours, row.satisfaction_rating, row.matches_completed, row.intro_requests,
+             row.intros_responded, row.intros_accepted, row.engagements_started, row.ratings_count, row.rating_sum,
+             engine.calculateReputationScore(row)]
+        );
+    }
+    console.log(`[Performance] Refreshed ${result.rows.length} CPA performance rows`);
+    return { cpas: result.rows.length };
+}
+
+// =====================================================
+// 📊 ENRICHMENT DIGEST EMAIL
+// =====================================================
+
+let lastDigestStats = null;
+
+async function sendEnrichmentDigest(dbClient) {
+    console.log('[Digest] Compiling enrichment pipeline report...');
+    const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'arthur@negotiateandwin.com';
+
+    // 1. Overall totals
+    const totals = await dbClient.query(`
+        SELECT
+            COUNT(*) AS total,
+            COUNT(CASE WHEN contact_email IS NOT NULL THEN 1 END) AS with_email,
+            COUNT(CASE WHEN website IS NOT NULL THEN 1 END) AS with_website,
+            COUNT(CASE WHEN email_verified = true THEN 1 END) AS verified_emails
+        FROM scraped_smes
+    `);
+    const t = totals.rows[0];
+
+    // 2. Phase breakdown
+    const phases = await dbClient.query(`
+        SELECT enrichment_phase, COUNT(*) AS cnt
+        FROM scraped_smes
+        GROUP BY enrichment_phase
+        ORDER BY cnt DESC
+    `);
+
+    // 3. Recent enrichment jobs (last 6 hours) — exclude per-record apollo noise
+    const recentJobs = await dbClient.query(`
+        SELECT source, status, records_found, records_inserted, records_skipped,
+               started_at, completed_at, error_message
+        FROM scrape_jobs
+        WHERE started_at >= NOW() - INTERVAL '6 hours'
+          AND source != 'apollo_enrichment'
+          AND (source ILIKE '%enrichment%' OR source ILIKE '%email%' OR source ILIKE '%website%'
+               OR source ILIKE '%yellowpages%' OR source ILIKE '%411%' OR source ILIKE '%bbb%'
+               OR source ILIKE '%chamber%')
+        ORDER BY started_at DESC
+        LIMIT 20
+    `);
+
+    // 3b. Apollo summary (daily credit usage as a single row)
+    const apolloSummary = await dbClient.query(`
+        SELECT COUNT(*) AS lookups, COALESCE(SUM(records_updated), 0) AS credits_used
+        FROM scrape_jobs
+        WHERE source = 'apollo_enrichment' AND started_at::date = CURRENT_DATE
+    `);
+    const apollo = apolloSummary.rows[0];
+    if (parseInt(apollo.lookups) > 0) {
+        recentJobs.rows.unshift({
+            source: 'apollo_enrichment (daily)',
+            status: 'completed',
+            records_found: parseInt(apollo.lookups),
+            records_inserted: parseInt(apollo.credits_used),
+            started_at: new Date()
+        });
+    }
+
+    // 4. Compute deltas
+    const currentStats = {
+        total: parseInt(t.total),
+        with_email: parseInt(t.with_email),
+        with_website: parseInt(t.with_website),
+        verified: parseInt(t.verified_emails)
+    };
+
+    let deltas = null;
+    if (lastDigestStats) {
+        deltas = {
+            total: currentStats.total - lastDigestStats.total,
+            with_email: currentStats.with_email - lastDigestStats.with_email,
+            with_website: currentStats.with_website - lastDigestStats.with_website,
+            verified: currentStats.verified - lastDigestStats.verified
+        };
+    }
+    lastDigestStats = { ...currentStats };
+
+    const coverage = currentStats.total > 0
+        ? ((currentStats.with_email / currentStats.total) * 100).toFixed(1)
+        : '0.0';
+
+    // 5. Build HTML
+    const deltaStr = (val) => {
+        if (val === null || val === undefined) return '';
+        if (val > 0) return `<span style="color:#059669;font-size:12px;"> +${val.toLocaleString()}</span>`;
+        if (val < 0) return `<span style="color:#ef4444;font-size:12px;"> ${val.toLocaleString()}</span>`;
+        return '<span style="color:#888;font-size:12px;"> +0</span>';
+    };
+
+    const now = new Date().toLocaleString('en-CA', { timeZone: 'America/Toronto' });
+
+    const phaseRows = phases.rows.map(r => `
+        <tr>
+            <td style="padding:8px 12px;border-bottom:1px solid #eee;font-family:monospace;">${r.enrichment_phase || 'null'}</td>
+            <td style="padding:8px 12px;border-bottom:1px solid #eee;text-align:right;">${parseInt(r.cnt).toLocaleString()}</td>
+        </tr>
+    `).join('');
+
+    const jobRows = recentJobs.rows.length > 0
+        ? recentJobs.rows.map(j => {
+            const statusColor = j.status === 'completed' ? '#059669' : j.status === 'failed' ? '#ef4444' : '#f59e0b';
+            const started = new Date(j.started_at).toLocaleString('en-CA', { timeZone: 'America/Toronto', hour: '2-digit', minute: '2-digit' });
+            return `
+                <tr>
+                    <td style="padding:8px 12px;border-bottom:1px solid #eee;">${j.source}</td>
+                    <td style="padding:8px 12px;border-bottom:1px solid #eee;color:${statusColor};font-weight:600;">${j.status}</td>
+                    <td style="padding:8px 12px;border-bottom:1px solid #eee;text-align:right;">${(j.records_found || 0).toLocaleString()}</td>
+                    <td style="padding:8px 12px;border-bottom:1px solid #eee;text-align:right;">${(j.records_inserted || 0).toLocaleString()}</td>
+                    <td style="padding:8px 12px;border-bottom:1px solid #eee;text-align:right;">${started}</td>
+                </tr>
+            `;
+        }).join('')
+        : '<tr><td colspan="5" style="padding:12px;text-align:center;color:#888;">No enrichment jobs in the last 6 hours</td></tr>';
+
+    const html = `
+    <div style="max-width:640px;margin:0 auto;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#1a1a1a;">
+        <div style="background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);padding:24px 32px;border-radius:8px 8px 0 0;">
+            <h1 style="margin:0;color:#fff;font-size:20px;">Enrichment Pipeline Report</h1>
+            <p style="margin:4px 0 0;color:rgba(255,255,255,0.8);font-size:13px;">${now} ET</p>
+        </div>
+
+        <div style="background:#fff;padding:24px 32px;border:1px solid #e5e7eb;">
+            <table style="width:100%;border-collapse:collapse;">
+                <tr>
+                    <td style="padding:12px;text-align:center;width:25%;">
+                        <div style="font-size:24px;font-weight:700;color:#667eea;">${currentStats.with_email.toLocaleString()}</div>
+                        <div style="font-size:12px;color:#666;margin-top:2px;">Emails Found</div>
+                        <div>${deltaStr(deltas?.with_email)}</div>
+                    </td>
+                    <td style="padding:12px;text-align:center;width:25%;">
+                        <div style="font-size:24px;font-weight:700;color:#764ba2;">${currentStats.with_website.toLocaleString()}</div>
+                        <div style="font-size:12px;color:#666;margin-top:2px;">Websites Found</div>
+                        <div>${deltaStr(deltas?.with_website)}</div>
+                    </td>
+                    <td style="padding:12px;text-align:center;width:25%;">
+                        <div style="font-size:24px;font-weight:700;color:#059669;">${currentStats.verified.toLocaleString()}</div>
+                        <div style="font-size:12px;color:#666;margin-top:2px;">Verified</div>
+                        <div>${deltaStr(deltas?.verified)}</div>
+                    </td>
+                    <td style="padding:12px;text-align:center;width:25%;">
+                        <div style="font-size:24px;font-weight:700;color:#f59e0b;">${coverage}%</div>
+                        <div style="font-size:12px;color:#666;margin-top:2px;">Coverage</div>
+                    </td>
+                </tr>
+            </table>
+            <div style="text-align:center;font-size:12px;color:#888;margin-top:4px;">Total SMEs: ${currentStats.total.toLocaleString()}${deltaStr(deltas?.total)}</div>
+        </div>
+
+        <div style="background:#fff;padding:24px 32px;border:1px solid #e5e7eb;border-top:none;">
+            <h3 style="margin:0 0 12px;font-size:14px;color:#333;">Recent Jobs (Last 6h)</h3>
+            <table style="width:100%;border-collapse:collapse;font-size:13px;">
+                <thead>
+                    <tr style="background:#f9fafb;">
+                        <th style="padding:8px 12px;text-align:left;font-weight:600;border-bottom:2px solid #e5e7eb;">Source</th>
+                        <th style="padding:8px 12px;text-align:left;font-weight:600;border-bottom:2px solid #e5e7eb;">Status</th>
+                        <th style="padding:8px 12px;text-align:right;font-weight:600;border-bottom:2px solid #e5e7eb;">Found</th>
+                        <th style="padding:8px 12px;text-align:right;font-weight:600;border-bottom:2px solid #e5e7eb;">Inserted</th>
+                        <th style="padding:8px 12px;text-align:right;font-weight:600;border-bottom:2px solid #e5e7eb;">Time</th>
+                    </tr>
+                </thead>
+                <tbody>${jobRows}</tbody>
+            </table>
+        </div>
+
+        <div style="background:#fff;padding:24px 32px;border:1px solid #e5e7eb;border-top:none;border-radius:0 0 8px 8px;">
+            <h3 style="margin:0 0 12px;font-size:14px;color:#333;">Pipeline Phase Breakdown</h3>
+            <table style="width:100%;border-collapse:collapse;font-size:13px;">
+                <thead>
+                    <tr style="background:#f9fafb;">
+                        <th style="padding:8px 12px;text-align:left;font-weight:600;border-bottom:2px solid #e5e7eb;">Phase</th>
+                        <th style="padding:8px 12px;text-align:right;font-weight:600;border-bottom:2px solid #e5e7eb;">Count</th>
+                    </tr>
+                </thead>
+                <tbody>${phaseRows}</tbody>
+            </table>
+        </div>
+
+        <p style="text-align:center;font-size:11px;color:#999;margin-top:16px;">
+            Automated report from sme-intelligence-backend &middot; Next report in 6 hours
+        </p>
+    </div>
+    `;
+
+    const result = await sendEmail({
+        to: ADMIN_EMAIL,
+        subject: `Enrichment Report — ${currentStats.with_email.toLocaleString()} emails (${coverage}% coverage) — ${now}`,
+        html
+    });
+
+    console.log(`[Digest] Report sent to ${ADMIN_EMAIL}: success=${result.success}`);
+    return result;
+}
+
+// =====================================================
+// 📍 CPA GEOCODING
+// =====================================================
+
+// Stamp coordinates on `table` rows not yet geocoded, a batch at a time. Rows
+// that can't be located are marked attempted and left without coordinates.
+async function geocodePending(dbClient, table, columns, { batchSize }) {
+    let attempted = 0;
+    let located = 0;
+    for (;;) {
+        const batch = await dbClient.query(
+            `SELECT id, ${columns.join(', ')} FROM ${table} WHERE geocoded_at IS NULL ORDER BY id LIMIT $1`,
+            [batchSize]
+        );
+        if (batch.rows.length === 0) break;
+
+        const ids = [], latitudes = [], longitudes = [], precisions = [];
+        for (const row of batch.rows) {
+            const point = row.postal_code || row.city
+                ? geocode({ postalCode: row.postal_code, city: row.city, province: row.province })
+                : null;
+            ids.push(row.id);
+            latitudes.push(point ? point.latitude : null);
+            longitudes.push(point ? point.longitude : null);
+            precisions.push(point ? point.precision : null);
+            if (point) located++;
+        }
+        await dbClient.query(
+            `UPDATE ${table} t
+             SET latitude = v.lat, longitude = v.lng, geo_precision = v.precision, geocoded_at = NOW()
+             FROM unnest($1::int[], $2::float8[], $3::float8[], $4::text[]) AS v(id, lat, lng, precision)
+             WHERE t.id = v.id`,
+            [ids, latitudes, longitudes, precisions]
+        );
+        attempted += batch.rows.length;
+    }
+    return { attempted, located };
+}
+
+// Coordinates for scraped_cpas rows (city + province, offline) so
+// /api/scraped-cpas/match can answer `near` searches, and for cpa_profiles
+// rows registration didn't stamp (claimed listings, rows predating 021) so
+// /api/cpa/search can. A row whose location changes is picked up again: the
+// reset_geocode trigger (migration 022) clears its geocoded_at.
+async function geocodeScrapedCpas(dbClient, { batchSize = 2000 } = {}) {
+    console.log('[Geocoding] Geocoding scraped CPAs and CPA profiles...');
+    const scraped = await geocodePending(dbClient, 'scraped_cpas', ['city', 'province'], { batchSize });
+    console.log(`[Geocoding] Located ${scraped.located} of ${scraped.attempted} scraped CPAs`);
+    const profiles = await geocodePending(dbClient, 'cpa_profiles', ['postal_code', 'city', 'province'], { batchSize });
+    console.log(`[Geocoding] Located ${profiles.located} of ${profiles.attempted} CPA profiles`);
+    return { ...scraped, profiles };
+}
+
+module.exports = { resetCpaEnrichmentAttempts, resetSmeEnrichmentAttempts, refreshCpaPerformance, geocodeScrapedCpas, sendEnrichmentDigest };
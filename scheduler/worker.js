@@ -0,0 +1,71 @@
+const { DEFAULT_SCHEDULES } = require('./defaults');
+
+// =====================================================
+// 🛠️ BACKGROUND WORKER — job queue + scheduler
+// =====================================================
+// Runs inside the web process (INLINE_WORKER, the default) or on its own via
+// worker.js. Several workers may run at once: jobs are claimed with
+// SKIP LOCKED and a cron tick for a job that is already queued or running
+// is a no-op, so a second scheduler only costs a duplicate enqueue attempt.
+
+const MARKET_DATA_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start the queue worker and the cron scheduler. Returns { stop() }.
+ */
+async function startWorker({ jobQueue, scheduler, dataOrchestrator }) {
+    // Expire leases held by a previous container (orphaned by restart/deploy), then start the queue worker
+    try {
+        const reaped = await jobQueue.reapExpiredLeases();
+        const orphaned = await jobQueue.failOrphanedScrapeJobs();
+        if (reaped + orphaned > 0) {
+            console.log(`🧹 Expired ${reaped} job lease(s) and ${orphaned} orphaned scrape job(s) from previous container`);
+        }
+    } catch (err) {
+        console.error('⚠️ Stale job cleanup failed (non-fatal):', err.message);
+    }
+    jobQueue.start();
+
+    // Load the scheduler registry (seeds defaults on first boot) and install its cron tasks
+    try {
+        await scheduler.load(DEFAULT_SCHEDULES);
+        scheduler.start();
+    } catch (err) {
+        console.error('⚠️ Scheduler registry load failed:', err.message);
+    }
+
+    // Run initial data collection in background (non-blocking, non-fatal)
+    const initialRun = setTimeout(async () => {
+        try {
+            console.log('🔄 Running initial data collection...');
+            await dataOrchestrator.collectAllData();
+            console.log('✅ Initial data collection completed');
+        } catch (error) {
+            console.error('⚠️ Initial data collection failed (non-fatal):', error.message);
+        }
+    }, 5000);
+
+    // Schedule data collection every 24 hours
+    const dailyRun = setInterval(async () => {
+        console.log('🔄 Running scheduled 24-hour data collection...');
+        try {
+            await dataOrchestrator.collectAllData();
+            console.log('✅ Scheduled data collection completed successfully');
+        } catch (error) {
+            console.error('❌ Scheduled data collection failed:', error.message);
+        }
+    }, MARKET_DATA_INTERVAL_MS);
+
+    console.log('✅ 24-hour data collection scheduler activated');
+
+    return {
+        async stop() {
+            clearTimeout(initialRun);
+            clearInterval(dailyRun);
+            scheduler.stop();
+            await jobQueue.stop();
+        },
+    };
+}
+
+module.exports = { startWorker };
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { downloadToTempFile, cleanupTempFile, openZip, streamLines, streamXmlElements, assertMemoryCeiling } = require('../services/bulkStream');
+
+// Helper: Generate name hash for deduplication
+function generateNameHash(name, province) {
+  const normalized = `${(name || '').toLowerCase().replace(/[^a-z]/g, '')}:${(province || '').toLowerCase()}`;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Helper: Delay between requests
+// SCRAPE_DELAY_SCALE=0 lets fixture replays skip politeness sleeps (the HTTP client still paces live traffic)
+const DELAY_SCALE = process.env.SCRAPE_DELAY_SCALE !== undefined ? parseFloat(process.env.SCRAPE_DELAY_SCALE) : 1;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms * DELAY_SCALE));
+}
+
+// =====================================================
+// 🧱 BASE LOADER — shared scrape_jobs lifecycle for every scraper/loader/enricher
+// =====================================================
+// Subclasses call super(source, deps) and use _startJob / _completeJob / _failJob.
+// deps is the shared context (context.js); loaders use its httpClient (as
+// this.http), fieldObservations and emailVerifier.
+// Per-run counters are structured ({ found, inserted, merged, skipped, errored }).
+// Long loaders call _saveCheckpoint() with their position (page, offset, row,
+// file entry); if a run dies, the next run of the same source picks it up from
+// resumeCheckpoint() instead of restarting from zero.
+const RESUME_WINDOW_DAYS = 7;
+
+class BaseLoader {
+  constructor(source, deps = {}) {
+    this.source = source;
+    this.http = deps.httpClient;
+    this.fieldObservations = deps.fieldObservations;
+    this.emailVerifier = deps.emailVerifier;
+    this.resumeFrom = null;
+  }
+
+  // Lifecycle hooks — no-ops by default, override where a loader needs them
+  async onJobStart(dbClient, jobId) {}
+  async onJobComplete(dbClient, jobId, counts) {}
+  async onJobFail(dbClient, jobId, errorMsg) {}
+
+  async _startJob(dbClient) {
+    this.resumeFrom = await this._findResumableRun(dbClient);
+    const r = await dbClient.query(
+      `INSERT INTO scrape_jobs (source, status, checkpoint, resumed_from_job_id) VALUES ($1, 'running', $2, $3) RETURNING id`,
+      [this.source, this.resumeFrom ? JSON.stringify(this.resumeFrom.checkpoint) : null, this.resumeFrom ? this.resumeFrom.jobId : null]
+    );
+    const jobId = r.rows[0].id;
+    if (this.resumeFrom) {
+      console.log(`[${this.source}] Resuming job #${this.resumeFrom.jobId} from checkpoint ${JSON.stringify(this.resumeFrom.checkpoint)}`);
+    }
+    await this.onJobStart(dbClient, jobId);
+    return jobId;
+  }
+
+  async _completeJob(dbClient, jobId, counts = {}) {
+    const c = normalizeCounts(counts);
+    await dbClient.query(
+      `UPDATE scrape_jobs SET status = 'completed', records_found = $2, records_inserted = $3, records_merged = $4,
+         records_skipped = $5, records_errored = $6, checkpoint = NULL, completed_at = NOW() WHERE id = $1`,
+      [jobId, c.found, c.inserted, c.merged, c.skipped, c.errored]
+    );
+    this.resumeFrom = null;
+    await this.onJobComplete(dbClient, jobId, c);
+  }
+
+  // Checkpoint is left in place so the next run can resume from it
+  async _failJob(dbClient, jobId, errorMsg, counts) {
+    const c = counts ? normalizeCounts(counts) : null;
+    await dbClient.query(
+      `UPDATE scrape_jobs SET status = 'failed', error_message = $2, completed_at = NOW(),
+         records_found = COALESCE($3, records_found), records_inserted = COALESCE($4, records_inserted),
+         records_merged = COALESCE($5, records_merged), records_skipped = COALESCE($6, records_skipped),
+         records_errored = COALESCE($7, records_errored)
+       WHERE id = $1`,
+      [jobId, errorMsg, c && c.found, c && c.inserted, c && c.merged, c && c.skipped, c && c.errored]
+    );
+    await this.onJobFail(dbClient, jobId, errorMsg);
+  }
+
+  // progress (optional) is free-form JSON for dashboards, e.g. { bytes_processed, bytes_total, percent }
+  async _saveCheckpoint(dbClient, jobId, checkpoint, counts, progress) {
+    const c = normalizeCounts(counts || {});
+    await dbClient.query(
+      `UPDATE scrape_jobs SET checkpoint = $2, checkpoint_at = NOW(), records_found = $3, records_inserted = $4,
+         records_merged = $5, records_skipped = $6, records_errored = $7, progress = COALESCE($8, progress) WHERE id = $1`,
+      [jobId, JSON.stringify(checkpoint), c.found, c.inserted, c.merged, c.skipped, c.errored, progress ? JSON.stringify(progress) : null]
+    );
+  }
+
+  // Shared bounded-memory pipeline for bulk ZIP loaders (see services/bulkStream.js):
+  // download to a temp file → stream each selected entry → CSV lines / XML elements →
+  // batches of batchSize. The next batch isn't read until insertBatch() resolves, and
+  // after every batch the memory ceiling is checked and { entry, row } is checkpointed
+  // together with byte progress, so a resumed run skips whatever was already written.
+  //   selectEntries(entries) → entries to load, each tagged with format 'csv' | 'xml'
+  //   parseHeader(line, entry) → per-entry context (CSV only; first line of each entry)
+  //   toRecord(lineOrXml, ctx, entry) → record, or null to skip
+  //   insertBatch(records) → { inserted, merged, skipped, errored }
+  //   checkpointExtra — loader state to carry across a resume alongside { entry, row }
+  async _streamZip(dbClient, jobId, opts) {
+    const label = opts.label || this.source;
+    const batchSize = opts.batchSize || 500;
+    const counts = { found: 0, inserted: 0, merged: 0, skipped: 0, errored: 0 };
+    const resume = this.resumeCheckpoint();
+
+    console.log(`[${label}] Downloading ${opts.url}...`);
+    const { file, size } = await downloadToTempFile(opts.url, {
+      headers: opts.headers, timeout: opts.timeout, httpsAgent: opts.httpsAgent, prefix: this.source, http: this.http,
+    });
+    let zip = null;
+    try {
+      console.log(`[${label}] Downloaded ${(size / 1048576).toFixed(1)}MB`);
+      zip = await openZip(file);
+      console.log(`[${label}] ZIP entries: ${zip.entries.map(e => `${e.name} (${(e.size / 1024).toFixed(0)}KB)`).join(', ')}`);
+
+      const selected = opts.selectEntries(zip.entries);
+      if (selected.length === 0) {
+        throw new Error('No data files in ZIP. Entries: ' + zip.entries.map(e => e.name).join(', '));
+      }
+
+      const bytesTotal = selected.reduce((sum, e) => sum + e.size, 0);
+      const resumeIdx = resume && resume.entry ? selected.findIndex(e => e.name === resume.entry) : -1;
+      let bytesDone = 0;
+      let batches = 0;
+
+      for (let idx = 0; idx < selected.length; idx++) {
+        const entry = selected[idx];
+        if (idx < resumeIdx) { bytesDone += entry.size; continue; }
+        const skipRows = idx === resumeIdx ? (resume.row || 0) : 0;
+        if (skipRows > 0) console.log(`[${label}] Resuming ${entry.name} after row ${skipRows}`);
+        console.log(`[${label}] Processing: ${entry.name} (${(entry.size / 1048576).toFixed(1)}MB)`);
+
+        let entryBytes = 0;
+        const stream = await zip.openStream(entry, (n) => { entryBytes += n; });
+        const items = entry.format === 'xml' ? streamXmlElements(stream, opts.xmlTag) : streamLines(stream);
+        const batch = [];
+        let ctx = entry.format === 'xml' ? {} : null;
+        let row = 0;
+
+        const flush = async () => {
+          if (batch.length > 0) {
+            const r = await opts.insertBatch(batch);
+            counts.inserted += r.inserted || 0; counts.merged += r.merged || 0;
+            counts.skipped += r.skipped || 0; counts.errored += r.errored || 0;
+            batch.length = 0;
+          }
+          assertMemoryCeiling();
+          const bytesProcessed = bytesDone + entryBytes;
+          await this._saveCheckpoint(dbClient, jobId, { ...opts.checkpointExtra, entry: entry.name, row }, counts, {
+            entry: entry.name, entries_done: idx, entries_total: selected.length,
+            bytes_processed: bytesProcessed, bytes_total: bytesTotal,
+            percent: bytesTotal ? Math.min(100, Math.round((bytesProcessed / bytesTotal) * 1000) / 10) : null,
+          });
+          if (++batches % 100 === 0) {
+            console.log(`[${label}] Progress: ${counts.found} processed, ${counts.inserted} new, ${counts.merged} merged (${(bytesProcessed / 1048576).toFixed(0)}/${(bytesTotal / 1048576).toFixed(0)}MB)`);
+          }
+        };
+
+        for await (const item of items) {
+          if (ctx === null) { ctx = opts.parseHeader(item, entry) || {}; continue; }
+          if (entry.format !== 'xml' && !item.trim()) continue;
+          row++;
+          if (row <= skipRows) continue;
+          counts.found++;
+
+          const rec = opts.toRecord(item, ctx, entry);
+          if (rec) batch.push(rec);
+          if (batch.length >= batchSize) await flush();
+        }
+        await flush();
+        bytesDone += entry.size;
+      }
+      return counts;
+    } finally {
+      if (zip) zip.close();
+      await cleanupTempFile(file);
+    }
+  }
+
+  // Checkpoint carried over from a run that died, or null to start from zero
+  resumeCheckpoint() {
+    return this.resumeFrom ? this.resumeFrom.checkpoint : null;
+  }
+
+  // The latest finished run is resumable when it failed with a checkpoint inside the resume window
+  async _findResumableRun(dbClient) {
+    const r = await dbClient.query(
+      `SELECT id, status, checkpoint FROM scrape_jobs
+       WHERE source = $1 AND status IN ('completed', 'failed') AND started_at > NOW() - ($2 || ' days')::interval
+       ORDER BY started_at DESC LIMIT 1`,
+      [this.source, String(RESUME_WINDOW_DAYS)]
+    );
+    const last = r.rows[0];
+    if (!last || last.status !== 'failed' || !last.checkpoint) return null;
+    return { jobId: last.id, checkpoint: last.checkpoint };
+  }
+}
+
+function normalizeCounts(counts) {
+  return {
+    found: counts.found || 0,
+    inserted: counts.inserted || 0,
+    merged: counts.merged || 0,
+    skipped: counts.skipped || 0,
+    errored: counts.errored || 0,
+  };
+}
+
+// Helper: generate dedup hash from business name + province
+function nameProvinceHash(businessName, province) {
+  if (!businessName) return null;
+  const normalized = (businessName.toLowerCase().trim() + '|' + (province || '').toLowerCase().trim());
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = { BaseLoader, normalizeCounts, generateNameHash, nameProvinceHash, delay };
@@ -0,0 +1,374 @@
+const { BaseLoader, nameProvinceHash, delay } = require('./baseLoader');
+
+// =====================================================
+// 🏙️ MUNICIPAL BUSINESS LICENCE SCRAPERS
+// =====================================================
+
+// 3C. Vancouver Business Licences — OpenDataSoft API
+class VancouverBizLicScraper extends BaseLoader {
+  constructor(deps) {
+    super('vancouver_biz_lic', deps);
+    this.baseUrl = 'https://opendata.vancouver.ca/api/records/1.0/search/';
+  }
+
+  async scrape(dbClient) {
+    console.log('🔍 Starting Vancouver business licence scrape...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0, totalMerged = 0;
+
+    try {
+      const resume = this.resumeCheckpoint();
+      let start = resume ? resume.start : 0;
+      const rows = 100;
+      let hasMore = true;
+
+      while (hasMore) {
+        const response = await this.http.get(this.baseUrl, {
+          params: {
+            dataset: 'business-licences',
+            rows,
+            start,
+            'refine.status': 'Issued',
+          },
+          timeout: 30000,
+          robots: false,
+        });
+
+        const records = response.data.records || [];
+        totalFound += records.length;
+
+        if (records.length === 0) { hasMore = false; break; }
+
+        for (const record of records) {
+          const f = record.fields || {};
+          const businessName = f.businessname || f.tradename || '';
+          if (!businessName || businessName.length < 2) continue;
+
+          const hash = nameProvinceHash(businessName, 'BC');
+          try {
+            if (hash) {
+              const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
+              if (existing.rows.length > 0) {
+                const row = existing.rows[0];
+                const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
+                if (!sources.includes(this.source)) {
+                  sources.push(this.source);
+                  await dbClient.query(
+                    `UPDATE scraped_smes SET full_address = COALESCE(full_address, $2),
+                      postal_code = COALESCE(postal_code, $3), business_type = COALESCE(business_type, $4),
+                      data_sources = $5, business_status = 'Active', updated_at = NOW() WHERE id = $1`,
+                    [row.id, f.house + ' ' + f.street || null, f.postalcode || null,
+                     f.businesstype || f.businesssubtype || null, JSON.stringify(sources)]
+                  );
+                }
+                totalMerged++; continue;
+              }
+            }
+
+            await dbClient.query(
+              `INSERT INTO scraped_smes (source, business_name, province, city, business_status,
+                full_address, postal_code, business_type, name_province_hash, data_sources, scrape_job_id)
+               VALUES ($1,$2,'BC','Vancouver','Active',$3,$4,$5,$6,$7,$8)`,
+              [this.source, businessName,
+               f.house && f.street ? (f.house + ' ' + f.street) : null,
+               f.postalcode || null, f.businesstype || f.businesssubtype || null,
+               hash, JSON.stringify([this.source]), jobId]
+            );
+            totalInserted++;
+          } catch (err) { totalSkipped++; }
+        }
+
+        start += rows;
+        await this._saveCheckpoint(dbClient, jobId, { start }, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+        if (start % 5000 === 0) console.log(`[Vancouver] Progress: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
+        await delay(500);
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+      console.log(`✅ Vancouver biz lic: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+      console.error('❌ Vancouver biz lic failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped };
+  }
+}
+
+// 3D. Calgary Business Licences — Socrata SODA API
+class CalgaryBizLicScraper extends BaseLoader {
+  constructor(deps) {
+    super('calgary_biz_lic', deps);
+    this.baseUrl = 'https://data.calgary.ca/resource/vdjc-pybd.json';
+  }
+
+  async scrape(dbClient) {
+    console.log('🔍 Starting Calgary business licence scrape...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0, totalMerged = 0;
+
+    try {
+      const resume = this.resumeCheckpoint();
+      let offset = resume ? resume.offset : 0;
+      const limit = 1000;
+      let hasMore = true;
+
+      while (hasMore) {
+        const response = await this.http.get(this.baseUrl, {
+          params: { '$limit': limit, '$offset': offset, '$where': "jobstatusdesc='Renewal Licensed'" },
+          timeout: 30000,
+          robots: false,
+        });
+
+        const records = response.data || [];
+        totalFound += records.length;
+        if (records.length === 0) { hasMore = false; break; }
+
+        for (const f of records) {
+          const businessName = f.tradename || f.licencetypes || '';
+          if (!businessName || businessName.length < 2) continue;
+
+          const hash = nameProvinceHash(businessName, 'AB');
+          try {
+            if (hash) {
+              const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
+              if (existing.rows.length > 0) {
+                const row = existing.rows[0];
+                const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
+                if (!sources.includes(this.source)) {
+                  sources.push(this.source);
+                  await dbClient.query(
+                    `UPDATE scraped_smes SET full_address = COALESCE(full_address, $2),
+                      business_type = COALESCE(business_type, $3),
+                      data_sources = $4, business_status = 'Active', updated_at = NOW() WHERE id = $1`,
+                    [row.id, f.address || null, f.licencetypes || null, JSON.stringify(sources)]
+                  );
+                }
+                totalMerged++; continue;
+              }
+            }
+
+            await dbClient.query(
+              `INSERT INTO scraped_smes (source, business_name, province, city, business_status,
+                full_address, business_type, name_province_hash, data_sources, scrape_job_id)
+               VALUES ($1,$2,'AB','Calgary','Active',$3,$4,$5,$6,$7)`,
+              [this.source, businessName, f.address || null, f.licencetypes || null,
+               hash, JSON.stringify([this.source]), jobId]
+            );
+            totalInserted++;
+          } catch (err) { totalSkipped++; }
+        }
+
+        offset += limit;
+        await this._saveCheckpoint(dbClient, jobId, { offset }, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+        if (offset % 5000 === 0) console.log(`[Calgary] Progress: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
+        await delay(500);
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+      console.log(`✅ Calgary biz lic: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+      console.error('❌ Calgary biz lic failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped };
+  }
+}
+
+// 3E. Toronto Business Licences — CKAN Open Data API
+class TorontoBizLicScraper extends BaseLoader {
+  constructor(deps) {
+    super('toronto_biz_lic', deps);
+    this.ckanUrl = 'https://ckan0.cf.opendata.inter.prod-toronto.ca/api/3/action/package_show';
+    this.datasetId = 'municipal-licensing-and-standards-business-licences-and-permits';
+  }
+
+  async scrape(dbClient) {
+    console.log('🔍 Starting Toronto business licence scrape...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0, totalMerged = 0;
+
+    try {
+      // Get dataset metadata to find CSV resource URL
+      const metaRes = await this.http.get(this.ckanUrl, { params: { id: this.datasetId }, timeout: 30000, robots: false });
+      const resources = metaRes.data?.result?.resources || [];
+      const csvResource = resources.find(r => r.format && r.format.toLowerCase() === 'csv' && r.datastore_active);
+
+      if (!csvResource) {
+        // Fall back to datastore API
+        const datastoreUrl = 'https://ckan0.cf.opendata.inter.prod-toronto.ca/api/3/action/datastore_search';
+        const limit = 500;
+        let hasMore = true;
+
+        // Find the first active resource
+        const activeResource = resources.find(r => r.datastore_active) || resources[0];
+        if (!activeResource) throw new Error('No resources found for Toronto business licences dataset');
+
+        // Only resume when the dataset still points at the same resource
+        const resume = this.resumeCheckpoint();
+        let offset = resume && resume.resourceId === activeResource.id ? resume.offset : 0;
+
+        while (hasMore) {
+          const response = await this.http.get(datastoreUrl, {
+            params: { resource_id: activeResource.id, limit, offset },
+            timeout: 30000,
+            robots: false,
+          });
+
+          const records = response.data?.result?.records || [];
+          totalFound += records.length;
+          if (records.length === 0) { hasMore = false; break; }
+
+          for (const f of records) {
+            const businessName = f['Operating Name'] || f['Client Name'] || f['OPERATING_NAME'] || f['CLIENT_NAME'] || '';
+            if (!businessName || businessName.length < 2) continue;
+
+            const hash = nameProvinceHash(businessName, 'ON');
+            const bizType = f['Category'] || f['CATEGORY'] || f['Licence Type'] || '';
+            const address = f['Address'] || f['ADDRESS'] || '';
+
+            try {
+              if (hash) {
+                const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
+                if (existing.rows.length > 0) {
+                  const row = existing.rows[0];
+                  const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
+                  if (!sources.includes(this.source)) {
+                    sources.push(this.source);
+                    await dbClient.query(
+                      `UPDATE scraped_smes SET full_address = COALESCE(full_address, $2),
+                        business_type = COALESCE(business_type, $3),
+                        data_sources = $4, business_status = 'Active', updated_at = NOW() WHERE id = $1`,
+                      [row.id, address || null, bizType || null, JSON.stringify(sources)]
+                    );
+                  }
+                  totalMerged++; continue;
+                }
+              }
+
+              await dbClient.query(
+                `INSERT INTO scraped_smes (source, business_name, province, city, business_status,
+                  full_address, business_type, name_province_hash, data_sources, scrape_job_id)
+                 VALUES ($1,$2,'ON','Toronto','Active',$3,$4,$5,$6,$7)`,
+                [this.source, businessName, address || null, bizType || null,
+                 hash, JSON.stringify([this.source]), jobId]
+              );
+              totalInserted++;
+            } catch (err) { totalSkipped++; }
+          }
+
+          offset += limit;
+          await this._saveCheckpoint(dbClient, jobId, { resourceId: activeResource.id, offset }, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+          if (offset % 5000 === 0) console.log(`[Toronto] Progress: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
+          await delay(500);
+        }
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+      console.log(`✅ Toronto biz lic: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+      console.error('❌ Toronto biz lic failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped };
+  }
+}
+
+// 3F. Edmonton Business Licences — Socrata SODA API
+class EdmontonBizLicScraper extends BaseLoader {
+  constructor(deps) {
+    super('edmonton_biz_lic', deps);
+    this.baseUrl = 'https://data.edmonton.ca/resource/qhi4-bdpu.json';
+  }
+
+  async scrape(dbClient) {
+    console.log('🔍 Starting Edmonton business licence scrape...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0, totalMerged = 0;
+
+    try {
+      const resume = this.resumeCheckpoint();
+      let offset = resume ? resume.offset : 0;
+      const limit = 1000;
+      let hasMore = true;
+
+      while (hasMore) {
+        const response = await this.http.get(this.baseUrl, {
+          params: { '$limit': limit, '$offset': offset },
+          timeout: 30000,
+          robots: false,
+        });
+
+        const records = response.data || [];
+        totalFound += records.length;
+        if (records.length === 0) { hasMore = false; break; }
+
+        for (const f of records) {
+          const businessName = f.trade_name || f.legal_name || '';
+          if (!businessName || businessName.length < 2) continue;
+
+          const hash = nameProvinceHash(businessName, 'AB');
+          try {
+            if (hash) {
+              const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
+              if (existing.rows.length > 0) {
+                const row = existing.rows[0];
+                const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
+                if (!sources.includes(this.source)) {
+                  sources.push(this.source);
+                  await dbClient.query(
+                    `UPDATE scraped_smes SET full_address = COALESCE(full_address, $2),
+                      business_type = COALESCE(business_type, $3),
+                      data_sources = $4, business_status = 'Active', updated_at = NOW() WHERE id = $1`,
+                    [row.id, f.address || null, f.category || f.licence_type || null, JSON.stringify(sources)]
+                  );
+                }
+                totalMerged++; continue;
+              }
+            }
+
+            await dbClient.query(
+              `INSERT INTO scraped_smes (source, business_name, province, city, business_status,
+                full_address, business_type, name_province_hash, data_sources, scrape_job_id)
+               VALUES ($1,$2,'AB','Edmonton','Active',$3,$4,$5,$6,$7)`,
+              [this.source, businessName, f.address || null,
+               f.category || f.licence_type || null,
+               hash, JSON.stringify([this.source]), jobId]
+            );
+            totalInserted++;
+          } catch (err) { totalSkipped++; }
+        }
+
+        offset += limit;
+        await this._saveCheckpoint(dbClient, jobId, { offset }, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+        if (offset % 5000 === 0) console.log(`[Edmonton] Progress: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
+        await delay(500);
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+      console.log(`✅ Edmonton biz lic: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+      console.error('❌ Edmonton biz lic failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped };
+  }
+}
+
+// =====================================================
+// 🏙️ OTTAWA BUSINESS LICENCES (ArcGIS)
+// =====================================================
+
+class OttawaBizLicScraper extends BaseLoader {
+  constructor(deps) {
+    super('ottawa_biz_lic', deps);
+    this.baseUrl = 'https://maps.ottawa.ca/arcgis/rest/services/Economy/Business_Licences/MapServer/0/query';
+    this.delayMs = 500;
+  }
+
+  async scrape(dbClient) {
+    console.log('🏙️ Ottawa Business Licences: DISABLED - ArcGIS service no longer available');
+    return { found: 0, inserted: 0, skipped: 0 };
+  }
+}
+
+module.exports = { VancouverBizLicScraper, CalgaryBizLicScraper, TorontoBizLicScraper, EdmontonBizLicScraper, OttawaBizLicScraper };
@@ -0,0 +1,1177 @@
+const crypto = require('crypto');
+const { createInterface } = require('readline');
+const { parseCSVLine } = require('../services/bulkStream');
+const { BaseLoader, nameProvinceHash, delay } = require('./baseLoader');
+
+// =====================================================
+// 🏢 SME DATA COLLECTION
+// =====================================================
+
+// 3A. Corporations Canada — Bulk Open Data Download
+// Downloads ALL ~500K active federal corporations (replaces old 20-per-keyword scraper).
+// Delta loading: every record is fingerprinted (corporate_number + content hash) in
+// corporation_fingerprints; only new/changed records are written to scraped_smes and
+// each change (new, changed, dissolved, amalgamated, removed) lands in corporation_changes.
+// The ZIP is streamed entry by entry through BaseLoader._streamZip, never held in memory.
+class CorporationsCanadaBulkLoader extends BaseLoader {
+  constructor(deps) {
+    super('corporations_canada', deps);
+    this.bulkUrl = 'https://ised-isde.canada.ca/cc/lgcy/download/OPEN_DATA_SPLIT.zip';
+    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
+  }
+
+  async load(dbClient) {
+    console.log('🔍 Starting Corporations Canada bulk download...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0, totalMerged = 0;
+    this.unchanged = 0;
+
+    try {
+      // First load with no fingerprints is a baseline: record fingerprints, but don't log 500K "new" changes
+      const known = await dbClient.query('SELECT COUNT(*) AS cnt FROM corporation_fingerprints WHERE removed_at IS NULL');
+      this.knownCount = parseInt(known.rows[0].cnt);
+      // A resumed baseline load stays a baseline even though it already wrote some fingerprints
+      const resume = this.resumeCheckpoint();
+      this.baseline = resume && resume.baseline !== undefined ? resume.baseline : this.knownCount === 0;
+      if (this.baseline) console.log('[CorpsCan] No fingerprints yet — this load is the delta baseline');
+
+      const counts = await this._streamZip(dbClient, jobId, {
+        label: 'CorpsCan',
+        url: this.bulkUrl,
+        timeout: 600000,
+        headers: { 'User-Agent': this.userAgent },
+        selectEntries: (entries) => entries
+          .filter(e => /\.(csv|xml)$/i.test(e.name) && !e.name.startsWith('__MACOSX'))
+          .map(e => ({ ...e, format: /\.xml$/i.test(e.name) ? 'xml' : 'csv' })),
+        xmlTag: 'corporation',
+        parseHeader: (line) => this._csvColumns(line),
+        toRecord: (item, ctx, entry) => (entry.format === 'xml' ? this._xmlRecord(item) : this._csvRecord(item, ctx)),
+        insertBatch: (records) => this._insertBatch(dbClient, records, jobId),
+        checkpointExtra: { baseline: this.baseline },
+      });
+      totalFound = counts.found; totalInserted = counts.inserted;
+      totalSkipped = counts.skipped; totalMerged = counts.merged;
+
+      await this._markRemoved(dbClient, jobId);
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped });
+      console.log(`✅ CorpsCan bulk load: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged, ${this.unchanged} unchanged, ${totalSkipped} skipped`);
+      await this._logChangeSummary(dbClient, jobId);
+
+      // Post-processing: flag newly incorporated businesses as high-priority
+      try {
+        const flagged = await dbClient.query(`
+          UPDATE scraped_smes SET
+            score_accountants = GREATEST(COALESCE(score_accountants, 0), 90),
+            score_lawyers = GREATEST(COALESCE(score_lawyers, 0), 85),
+            score_investing = GREATEST(COALESCE(score_investing, 0), 70),
+            queue_status_accountants = CASE WHEN queue_status_accountants != 'queued' THEN 'ready' ELSE queue_status_accountants END,
+            queue_status_lawyers = CASE WHEN queue_status_lawyers != 'queued' THEN 'ready' ELSE queue_status_lawyers END,
+            queue_status_investing = CASE WHEN queue_status_investing != 'queued' THEN 'ready' ELSE queue_status_investing END
+          WHERE source = 'corporations_canada'
+            AND incorporation_date > NOW() - INTERVAL '30 days'
+            AND queue_status_accountants != 'queued'
+        `);
+        console.log(`🏢 New corp flagging: ${flagged.rowCount} recently incorporated businesses flagged as high-priority`);
+      } catch (flagErr) {
+        console.error('[CorpsCan] New corp flagging failed (non-fatal):', flagErr.message);
+      }
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ CorpsCan bulk load failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped };
+  }
+
+  // Keep backward compat: old crons call .scrape()
+  async scrape(dbClient) { return this.load(dbClient); }
+
+  // Column positions from the CSV header (column names vary between releases)
+  _csvColumns(headerLine) {
+    const rawHeaders = headerLine.split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
+    const colIdx = {};
+    rawHeaders.forEach((h, i) => { colIdx[h] = i; });
+
+    return {
+      nameCol: colIdx['corporation_name'] ?? colIdx['corp_name'] ?? colIdx['name'] ?? colIdx['business_name'] ?? 0,
+      numCol: colIdx['corporation_number'] ?? colIdx['corp_number'] ?? colIdx['number'] ?? colIdx['corporate_number'] ?? 1,
+      statusCol: colIdx['status'] ?? colIdx['corp_status'] ?? colIdx['corporation_status'],
+      dateCol: colIdx['incorporation_date'] ?? colIdx['date_of_incorporation'] ?? colIdx['date_incorporation'],
+      provCol: colIdx['province'] ?? colIdx['jurisdiction'] ?? colIdx['prov'],
+      cityCol: colIdx['city'],
+      addressCol: colIdx['registered_office_address'] ?? colIdx['address'] ?? colIdx['full_address'],
+      postalCol: colIdx['postal_code'],
+      typeCol: colIdx['corporation_type'] ?? colIdx['corp_type'] ?? colIdx['type'] ?? colIdx['business_type'],
+    };
+  }
+
+  _csvRecord(line, c) {
+    const cols = parseCSVLine(line.trim());
+    const col = (idx, fallback = '') => (idx !== undefined ? (cols[idx] || fallback).trim() : fallback);
+    const corpName = col(c.nameCol);
+    if (!corpName || corpName.length < 2) return null;
+
+    return {
+      corpName,
+      corpNumber: col(c.numCol),
+      province: col(c.provCol),
+      city: col(c.cityCol),
+      status: col(c.statusCol, 'Active'),
+      incDate: col(c.dateCol),
+      address: col(c.addressCol),
+      postal: col(c.postalCol),
+      bizType: col(c.typeCol),
+    };
+  }
+
+  _xmlRecord(block) {
+    const extract = (tag) => {
+      const m = block.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`, 'i'));
+      return m ? m[1].trim() : '';
+    };
+
+    const corpName = extract('corporationName') || extract('name') || extract('corp_name');
+    if (!corpName || corpName.length < 2) return null;
+
+    return {
+      corpName,
+      corpNumber: extract('corporationNumber') || extract('businessNumber') || '',
+      province: extract('province') || extract('jurisdiction') || '',
+      city: extract('city') || '',
+      status: extract('status') || 'Active',
+      incDate: extract('incorporationDate') || extract('dateOfIncorporation') || '',
+      address: extract('registeredOfficeAddress') || extract('address') || '',
+      postal: extract('postalCode') || '',
+      bizType: extract('corporationType') || extract('type') || '',
+    };
+  }
+
+  async _insertBatch(dbClient, records, jobId) {
+    let inserted = 0, skipped = 0, merged = 0;
+    const delta = await this._detectChanges(dbClient, records, jobId);
+    skipped += delta.unchanged;
+    this.unchanged += delta.unchanged;
+
+    for (const rec of delta.toWrite) {
+      try {
+        // Changed corporations: overwrite the fields the feed changed (the merge below only fills blanks)
+        if (rec.changeType && rec.changeType !== 'new') {
+          const updated = await dbClient.query(
+            `UPDATE scraped_smes SET business_status = COALESCE($2, business_status),
+              full_address = COALESCE($3, full_address), postal_code = COALESCE($4, postal_code),
+              business_type = COALESCE($5, business_type), updated_at = NOW()
+             WHERE corporate_number = $1`,
+            [rec.corpNumber, rec.status || null, rec.address || null, rec.postal || null, rec.bizType || null]
+          );
+          if (updated.rowCount > 0) { merged++; continue; }
+        }
+
+        const hash = nameProvinceHash(rec.corpName, rec.province);
+        const incDate = rec.incDate ? this._parseDate(rec.incDate) : null;
+        const yearsInBiz = incDate ? Math.floor((Date.now() - incDate.getTime()) / (365.25 * 24 * 60 * 60 * 1000)) : null;
+
+        // Merge with existing record (from ODBus or previous load)
+        if (hash) {
+          const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
+          if (existing.rows.length > 0) {
+            const row = existing.rows[0];
+            const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
+            if (!sources.includes(this.source)) sources.push(this.source);
+            await dbClient.query(
+              `UPDATE scraped_smes SET
+                corporate_number = COALESCE(corporate_number, $2),
+                incorporation_date = COALESCE(incorporation_date, $3),
+                years_in_business = COALESCE(years_in_business, $4),
+                business_type = COALESCE(business_type, $5),
+                full_address = COALESCE(full_address, $6),
+                postal_code = COALESCE(postal_code, $7),
+                business_status = COALESCE(NULLIF(business_status, ''), $8),
+                data_sources = $9, updated_at = NOW()
+              WHERE id = $1`,
+              [row.id, rec.corpNumber || null, incDate, yearsInBiz, rec.bizType || null,
+               rec.address || null, rec.postal || null, rec.status || null, JSON.stringify(sources)]
+            );
+            merged++;
+            continue;
+          }
+        }
+
+        // Check duplicate by corporate_number
+        if (rec.corpNumber) {
+          const dup = await dbClient.query('SELECT id FROM scraped_smes WHERE corporate_number = $1', [rec.corpNumber]);
+          if (dup.rows.length > 0) { skipped++; continue; }
+        }
+
+        await dbClient.query(
+          `INSERT INTO scraped_smes (source, business_name, corporate_number, province, city, business_status,
+            incorporation_date, years_in_business, business_type, full_address, postal_code,
+            name_province_hash, data_sources, scrape_job_id)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)`,
+          [this.source, rec.corpName, rec.corpNumber || null, rec.province, rec.city,
+           rec.status || 'Active', incDate, yearsInBiz, rec.bizType || null,
+           rec.address || null, rec.postal || null, hash,
+           JSON.stringify([this.source]), jobId]
+        );
+        inserted++;
+      } catch (err) {
+        skipped++;
+      }
+    }
+    return { inserted, skipped, merged };
+  }
+
+  // Compare each record against its fingerprint; returns only the records that need writing
+  async _detectChanges(dbClient, records, jobId) {
+    const byNumber = new Map();
+    const toWrite = [];
+    for (const rec of records) {
+      if (rec.corpNumber) byNumber.set(rec.corpNumber, rec);
+      else toWrite.push(rec);
+    }
+    if (byNumber.size === 0) return { toWrite, unchanged: 0 };
+
+    const prevRows = await dbClient.query(
+      'SELECT corporate_number, content_hash, fields, status, removed_at FROM corporation_fingerprints WHERE corporate_number = ANY($1)',
+      [[...byNumber.keys()]]
+    );
+    const previous = new Map(prevRows.rows.map(r => [r.corporate_number, r]));
+
+    const unchangedNumbers = [];
+    const fingerprints = [];
+    const changes = [];
+    for (const [number, rec] of byNumber) {
+      const fields = this._fingerprintFields(rec);
+      const contentHash = crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+      const prev = previous.get(number);
+
+      if (prev && prev.content_hash === contentHash && !prev.removed_at) {
+        unchangedNumbers.push(number);
+        continue;
+      }
+
+      const change = prev ? this._classifyChange(prev.fields || {}, fields) : { type: 'new', changedFields: null };
+      rec.changeType = change.type;
+      toWrite.push(rec);
+      fingerprints.push({ number, contentHash, fields });
+      if (!prev && this.baseline) continue;
+      changes.push({
+        number, type: change.type, name: rec.corpName,
+        previousStatus: prev ? prev.status : null, newStatus: fields.status || null,
+        changedFields: change.changedFields,
+      });
+    }
+
+    if (unchangedNumbers.length > 0) {
+      await dbClient.query(
+        `UPDATE corporation_fingerprints SET last_seen_job_id = $2, last_seen_at = NOW() WHERE corporate_number = ANY($1)`,
+        [unchangedNumbers, jobId]
+      );
+    }
+    if (fingerprints.length > 0) {
+      await dbClient.query(
+        `INSERT INTO corporation_fingerprints (corporate_number, content_hash, fields, status, first_seen_job_id, last_seen_job_id)
+         SELECT n, h, f::jsonb, f::jsonb->>'status', $4, $4 FROM unnest($1::text[], $2::text[], $3::text[]) AS t(n, h, f)
+         ON CONFLICT (corporate_number) DO UPDATE SET
+           content_hash = EXCLUDED.content_hash, fields = EXCLUDED.fields, status = EXCLUDED.status,
+           last_seen_job_id = EXCLUDED.last_seen_job_id, last_seen_at = NOW(), last_changed_at = NOW(), removed_at = NULL`,
+        [fingerprints.map(f => f.number), fingerprints.map(f => f.contentHash),
+         fingerprints.map(f => JSON.stringify(f.fields)), jobId]
+      );
+    }
+    if (changes.length > 0) {
+      await dbClient.query(
+        `INSERT INTO corporation_changes (corporate_number, change_type, business_name, previous_status, new_status, changed_fields, scrape_job_id)
+         SELECT n, t, nm, ps, ns, cf::jsonb, $7 FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[], $6::text[])
+           AS x(n, t, nm, ps, ns, cf)`,
+        [changes.map(c => c.number), changes.map(c => c.type), changes.map(c => c.name),
+         changes.map(c => c.previousStatus), changes.map(c => c.newStatus),
+         changes.map(c => c.changedFields ? JSON.stringify(c.changedFields) : null), jobId]
+      );
+    }
+    return { toWrite, unchanged: unchangedNumbers.length };
+  }
+
+  // Fields that make up the content hash — normalized so whitespace/case noise isn't a "change"
+  _fingerprintFields(rec) {
+    const norm = (v) => (v || '').toString().trim().replace(/\s+/g, ' ');
+    return {
+      name: norm(rec.corpName),
+      status: norm(rec.status),
+      incDate: norm(rec.incDate),
+      province: norm(rec.province).toUpperCase(),
+      city: norm(rec.city),
+      address: norm(rec.address),
+      postal: norm(rec.postal).toUpperCase().replace(/\s/g, ''),
+      bizType: norm(rec.bizType),
+    };
+  }
+
+  _classifyChange(prevFields, fields) {
+    const changedFields = {};
+    for (const key of Object.keys(fields)) {
+      if ((prevFields[key] || '') !== fields[key]) changedFields[key] = { from: prevFields[key] || null, to: fields[key] || null };
+    }
+    const wasStatus = (prevFields.status || '').toLowerCase();
+    const status = (fields.status || '').toLowerCase();
+    let type = 'changed';
+    if (status !== wasStatus && /dissol|struck|cancel|revoked|inactive/.test(status)) type = 'dissolved';
+    else if (status !== wasStatus && /amalgam/.test(status)) type = 'amalgamated';
+    return { type, changedFields };
+  }
+
+  // Corporations that were in the last load but missing from this one
+  async _markRemoved(dbClient, jobId) {
+    if (this.baseline) return;
+    // A resumed load was seen across this job and every job it resumed from
+    const chain = await dbClient.query(
+      `WITH RECURSIVE chain AS (
+         SELECT id, resumed_from_job_id FROM scrape_jobs WHERE id = $1
+         UNION ALL
+         SELECT s.id, s.resumed_from_job_id FROM scrape_jobs s JOIN chain c ON s.id = c.resumed_from_job_id
+       )
+       SELECT array_agg(id) AS ids FROM chain`,
+      [jobId]
+    );
+    const runIds = chain.rows[0].ids || [jobId];
+    const seen = await dbClient.query('SELECT COUNT(*) AS cnt FROM corporation_fingerprints WHERE last_seen_job_id = ANY($1)', [runIds]);
+    const seenCount = parseInt(seen.rows[0].cnt);
+    // A truncated download would otherwise flag most of the register as removed
+    if (seenCount < this.knownCount * 0.5) {
+      console.error(`[CorpsCan] Only ${seenCount}/${this.knownCount} known corporations seen — skipping removal detection`);
+      return;
+    }
+    const removed = await dbClient.query(
+      `WITH gone AS (
+         UPDATE corporation_fingerprints SET removed_at = NOW()
+         WHERE removed_at IS NULL AND (last_seen_job_id IS NULL OR NOT (last_seen_job_id = ANY($2)))
+         RETURNING corporate_number, fields, status
+       )
+       INSERT INTO corporation_changes (corporate_number, change_type, business_name, previous_status, scrape_job_id)
+       SELECT corporate_number, 'removed', fields->>'name', status, $1 FROM gone`,
+      [jobId, runIds]
+    );
+    if (removed.rowCount > 0) console.log(`[CorpsCan] ${removed.rowCount} corporations no longer in the feed`);
+  }
+
+  async _logChangeSummary(dbClient, jobId) {
+    const r = await dbClient.query(
+      `SELECT change_type, COUNT(*) AS cnt FROM corporation_changes WHERE scrape_job_id = $1 GROUP BY change_type`,
+      [jobId]
+    );
+    if (r.rows.length > 0) {
+      console.log(`[CorpsCan] Changes this load: ${r.rows.map(c => `${c.change_type}=${c.cnt}`).join(', ')}`);
+    }
+  }
+
+  _parseDate(dateStr) {
+    if (!dateStr) return null;
+    try { const d = new Date(dateStr); return isNaN(d.getTime()) ? null : d; } catch { return null; }
+  }
+}
+
+// 3B. Statistics Canada ODBus Business Register Loader
+// Streams the StatCan ZIP's main CSV through BaseLoader._streamZip, loads 446K+ businesses
+class StatCanODBusLoader extends BaseLoader {
+  constructor(deps) {
+    super('statcan_odbus', deps);
+    this.zipUrl = 'https://www150.statcan.gc.ca/n1/pub/21-26-0003/2023001/ODBus_2023.zip';
+  }
+
+  // NAICS code to industry name mapping (top-level)
+  static NAICS_MAP = {
+    '11': 'Agriculture, Forestry, Fishing and Hunting',
+    '21': 'Mining, Quarrying, and Oil and Gas Extraction',
+    '22': 'Utilities',
+    '23': 'Construction',
+    '31': 'Manufacturing', '32': 'Manufacturing', '33': 'Manufacturing',
+    '41': 'Wholesale Trade',
+    '44': 'Retail Trade', '45': 'Retail Trade',
+    '48': 'Transportation and Warehousing', '49': 'Transportation and Warehousing',
+    '51': 'Information and Cultural Industries',
+    '52': 'Finance and Insurance',
+    '53': 'Real Estate and Rental and Leasing',
+    '54': 'Professional, Scientific and Technical Services',
+    '55': 'Management of Companies and Enterprises',
+    '56': 'Administrative and Support Services',
+    '61': 'Educational Services',
+    '62': 'Health Care and Social Assistance',
+    '71': 'Arts, Entertainment and Recreation',
+    '72': 'Accommodation and Food Services',
+    '81': 'Other Services',
+    '91': 'Public Administration',
+  };
+
+  static naicsToIndustry(code) {
+    if (!code) return 'Unknown';
+    const prefix2 = String(code).substring(0, 2);
+    return StatCanODBusLoader.NAICS_MAP[prefix2] || 'Other';
+  }
+
+  async load(dbClient) {
+    console.log('🔍 Starting StatCan ODBus ZIP download...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
+
+    try {
+      // Only the largest CSV is the main data file (~112MB uncompressed); the rest are metadata
+      const counts = await this._streamZip(dbClient, jobId, {
+        label: 'ODBus',
+        url: this.zipUrl,
+        timeout: 300000,
+        headers: { 'User-Agent': 'CanadaAccountants-DataCollection/1.0' },
+        selectEntries: (entries) => entries
+          .filter(e => e.name.endsWith('.csv'))
+          .sort((x, y) => y.size - x.size)
+          .slice(0, 1)
+          .map(e => ({ ...e, format: 'csv' })),
+        parseHeader: (line) => this._csvColumns(line),
+        toRecord: (line, colIdx) => this._csvRecord(line, colIdx),
+        insertBatch: (records) => this._insertBatch(dbClient, records, jobId),
+      });
+      totalFound = counts.found;
+      totalInserted = counts.inserted;
+      totalSkipped = counts.skipped;
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, skipped: totalSkipped });
+      console.log(`✅ StatCan ODBus load complete: ${totalFound} found, ${totalInserted} inserted, ${totalSkipped} skipped`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ StatCan ODBus load failed:', error.message);
+    }
+
+    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
+  }
+
+  // Header columns: idx, business_name, alt_business_name, business_sector,
+  // business_subsector, business_description, business_id_no, licence_number, licence_type,
+  // derived_NAICS, source_NAICS_primary, source_NAICS_secondary, NAICS_descr, NAICS_descr2,
+  // latitude, longitude, full_address, postal_code, unit, street_no, street_name,
+  // street_direction, street_type, city, prov_terr, total_no_employees, status,
+  // provider, geo_source, CSDUID, CSDNAME, PRUID
+  _csvColumns(headerLine) {
+    const rawHeaders = headerLine.split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
+    console.log(`[ODBus] Columns: ${rawHeaders.slice(0, 10).join(', ')}...`);
+    const colIdx = {};
+    rawHeaders.forEach((h, i) => { colIdx[h] = i; });
+    return colIdx;
+  }
+
+  _csvRecord(line, colIdx) {
+    const cols = parseCSVLine(line.trim());
+
+    // Helper: treat '..' as empty (StatCan missing value notation)
+    const val = (idx) => { const v = (cols[idx] || '').trim(); return v === '..' ? '' : v; };
+
+    const businessName = val(colIdx['business_name']);
+    if (!businessName || businessName.length < 2) return null;
+
+    return {
+      businessName,
+      naicsCode: val(colIdx['derived_naics']) || val(colIdx['source_naics_primary']),
+      naicsDescr: val(colIdx['naics_descr']),
+      province: val(colIdx['prov_terr']),
+      city: val(colIdx['city']),
+      status: val(colIdx['status']) || 'Active',
+      employees: val(colIdx['total_no_employees']),
+      lat: val(colIdx['latitude']),
+      lon: val(colIdx['longitude']),
+      fullAddress: val(colIdx['full_address']),
+      postalCode: val(colIdx['postal_code']),
+    };
+  }
+
+  async _insertBatch(dbClient, records, jobId) {
+    let inserted = 0, skipped = 0, merged = 0;
+    for (const rec of records) {
+      try {
+        const industry = rec.naicsDescr || StatCanODBusLoader.naicsToIndustry(rec.naicsCode);
+        const hash = nameProvinceHash(rec.businessName, rec.province);
+        const lat = rec.lat && rec.lat !== '' ? parseFloat(rec.lat) : null;
+        const lon = rec.lon && rec.lon !== '' ? parseFloat(rec.lon) : null;
+
+        // Try merge with existing record
+        if (hash) {
+          const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
+          if (existing.rows.length > 0) {
+            const row = existing.rows[0];
+            const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
+            if (!sources.includes(this.source)) sources.push(this.source);
+            await dbClient.query(
+              `UPDATE scraped_smes SET
+                naics_code = COALESCE(naics_code, $2), industry = COALESCE(industry, $3),
+                employee_count = COALESCE(employee_count, $4),
+                latitude = COALESCE(latitude, $5), longitude = COALESCE(longitude, $6),
+                full_address = COALESCE(full_address, $7), postal_code = COALESCE(postal_code, $8),
+                data_sources = $9, updated_at = NOW()
+              WHERE id = $1`,
+              [row.id, rec.naicsCode || null, industry, rec.employees || null,
+               lat, lon, rec.fullAddress || null, rec.postalCode || null, JSON.stringify(sources)]
+            );
+            merged++;
+            continue;
+          }
+        }
+
+        await dbClient.query(
+          `INSERT INTO scraped_smes (source, business_name, naics_code, industry, province, city,
+            business_status, employee_count, latitude, longitude, full_address, postal_code,
+            name_province_hash, data_sources, scrape_job_id)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)`,
+          [this.source, rec.businessName, rec.naicsCode, industry, rec.province, rec.city,
+           rec.status, rec.employees || null, lat, lon,
+           rec.fullAddress || null, rec.postalCode || null, hash,
+           JSON.stringify([this.source]), jobId]
+        );
+        inserted++;
+      } catch (err) {
+        skipped++;
+      }
+    }
+    return { inserted, skipped, merged };
+  }
+}
+
+// =====================================================
+// 🏛️ FEDERAL GRANTS & CONTRIBUTIONS LOADER
+// =====================================================
+
+class FederalGrantsLoader extends BaseLoader {
+  constructor(deps) {
+    super('federal_grants', deps);
+    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
+    this.highValuePrograms = ['IRAP', 'SR&ED', 'SRED', 'BDC', 'CanExport', 'NRC', 'NSERC', 'CFI', 'MITACS', 'WAGE', 'FedDev', 'WD', 'ACOA', 'CED'];
+  }
+
+  async scrape(dbClient) {
+    console.log('🏛️ Starting Federal Grants & Contributions load...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
+
+    try {
+      // Download the CSV from Open Canada (streaming - file is 2.2GB)
+      const metaResp = await this.http.get('https://open.canada.ca/data/api/3/action/package_show?id=432527ab-7aac-45b5-81d6-7597107a7013', {
+        timeout: 30000,
+        headers: { 'User-Agent': this.userAgent },
+        robots: false,
+      });
+      const resources = metaResp.data?.result?.resources || [];
+      const csvResource = resources.find(r => r.format === 'CSV' || r.url?.endsWith('.csv'));
+      if (!csvResource) throw new Error('No CSV resource found in federal grants dataset');
+
+      console.log(`[FederalGrants] Downloading CSV (streaming) from: ${csvResource.url}`);
+      const csvResp = await this.http.get(csvResource.url, {
+        timeout: 1200000, // 20 min for large file
+        headers: { 'User-Agent': this.userAgent },
+        responseType: 'stream',
+        robots: false,
+      });
+
+      const rl = createInterface({ input: csvResp.data, crlfDelay: Infinity });
+      let headers = null;
+      let colIdx = {};
+      let nameCol, provCol, cityCol, valueCol, programCol;
+
+      // Resume: data rows up to the checkpoint were already written by the run that died
+      const resume = this.resumeCheckpoint();
+      const resumeRow = resume ? resume.row : 0;
+      let row = 0;
+
+      const batch = [];
+      for await (const rawLine of rl) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (headers && ++row <= resumeRow) continue;
+        if (!headers) {
+          headers = line.split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
+          headers.forEach((h, i) => { colIdx[h] = i; });
+          nameCol = colIdx['recipient_name'] ?? colIdx['recipient_legal_name'] ?? colIdx['owner_org'] ?? 0;
+          provCol = colIdx['recipient_province'] ?? colIdx['recipient_prov'] ?? colIdx['province'];
+          cityCol = colIdx['recipient_city'] ?? colIdx['city'];
+          valueCol = colIdx['agreement_value'] ?? colIdx['total_funding'] ?? colIdx['amount'];
+          programCol = colIdx['program_name'] ?? colIdx['program'] ?? colIdx['agreement_type'];
+          continue;
+        }
+        totalFound++;
+
+        const cols = this._parseCSVLine(line);
+        const name = (cols[nameCol] || '').trim();
+        if (!name || name.length < 3) continue;
+
+        const program = programCol !== undefined ? (cols[programCol] || '').trim() : '';
+        // Filter for high-value programs
+        const isHighValue = this.highValuePrograms.some(p => program.toUpperCase().includes(p));
+        if (!isHighValue && program) continue;
+
+        const province = provCol !== undefined ? (cols[provCol] || '').trim().toUpperCase().substring(0, 2) : '';
+        const amount = valueCol !== undefined ? parseFloat((cols[valueCol] || '0').replace(/[^0-9.-]/g, '')) || null : null;
+
+        batch.push({ name, province, city: cityCol !== undefined ? (cols[cityCol] || '').trim() : '', amount, program });
+
+        if (batch.length >= 500) {
+          const r = await this._insertBatch(dbClient, batch, jobId);
+          totalInserted += r.inserted;
+          totalSkipped += r.skipped;
+          batch.length = 0;
+          await this._saveCheckpoint(dbClient, jobId, { row }, { found: totalFound, inserted: totalInserted, skipped: totalSkipped });
+          if (totalFound % 100000 === 0) console.log(`[FederalGrants] Progress: ${totalFound} processed, ${totalInserted} new`);
+        }
+      }
+      if (batch.length > 0) {
+        const r = await this._insertBatch(dbClient, batch, jobId);
+        totalInserted += r.inserted;
+        totalSkipped += r.skipped;
+      }
+
+      // Boost scores for grant recipients
+      try {
+        const boosted = await dbClient.query(`
+          UPDATE scraped_smes SET
+            score_accountants = GREATEST(COALESCE(score_accountants, 0), COALESCE(score_accountants, 0) + 15),
+            score_lawyers = GREATEST(COALESCE(score_lawyers, 0), COALESCE(score_lawyers, 0) + 15),
+            score_investing = GREATEST(COALESCE(score_investing, 0), COALESCE(score_investing, 0) + 15)
+          WHERE source = 'federal_grants' AND grant_amount IS NOT NULL AND grant_amount > 0
+        `);
+        console.log(`[FederalGrants] Score boost applied to ${boosted.rowCount} grant recipients`);
+      } catch (e) { console.error('[FederalGrants] Score boost failed:', e.message); }
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, skipped: totalSkipped });
+      console.log(`✅ Federal Grants: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message, { found: totalFound, inserted: totalInserted, skipped: totalSkipped });
+      console.error('❌ Federal Grants load failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
+  }
+
+  async _insertBatch(dbClient, batch, jobId) {
+    let inserted = 0, skipped = 0;
+    for (const rec of batch) {
+      try {
+        const hash = nameProvinceHash(rec.name, rec.province);
+        await dbClient.query(
+          `INSERT INTO scraped_smes (source, business_name, province, city, grant_amount, grant_program, name_province_hash, scrape_job_id, business_type)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'Grant Recipient')
+           ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL
+           DO UPDATE SET grant_amount = GREATEST(COALESCE(scraped_smes.grant_amount, 0), COALESCE(EXCLUDED.grant_amount, 0)),
+             grant_program = COALESCE(EXCLUDED.grant_program, scraped_smes.grant_program),
+             updated_at = NOW()`,
+          [this.source, rec.name, rec.province, rec.city, rec.amount, rec.program, hash, jobId]
+        );
+        inserted++;
+      } catch (err) { skipped++; }
+    }
+    return { inserted, skipped };
+  }
+
+  // Auto-detect delimiter (pipe-delimited is common for CIPO) and find columns by
+  // partial match (bilingual headers like "party name - nom de la partie")
+  _csvColumns(headerLine) {
+    let delimiter = ',';
+    if (headerLine.includes('|') && headerLine.split('|').length > headerLine.split(',').length) delimiter = '|';
+    const headers = headerLine.split(delimiter).map(h => h.trim().replace(/"/g, '').toLowerCase());
+    let nameCol = headers.findIndex(h => h.includes('party name') || h.includes('nom de la partie'));
+    let provCol = headers.findIndex(h => h.includes('party province') || h.includes('province de la partie'));
+    let countryCol = headers.findIndex(h => h.includes('party country') || h.includes('pays de la partie'));
+    if (nameCol < 0) nameCol = headers.findIndex(h => h.includes('owner legal name') || h.includes('nom légal'));
+    if (nameCol < 0) nameCol = 3; // fallback to typical position
+    if (provCol < 0) provCol = undefined;
+    if (countryCol < 0) countryCol = undefined;
+    console.log(`[CIPOTrademarks] Delimiter: '${delimiter}', ${headers.length} cols. nameCol=${nameCol}, provCol=${provCol}, countryCol=${countryCol}`);
+    console.log(`[CIPOTrademarks] Sample headers: ${headers.slice(0, 5).join(' | ')}`);
+    return { delimiter, nameCol, provCol, countryCol };
+  }
+}
+
+// =====================================================
+// 🏢 ORGBOOK BC API SCRAPER
+// =====================================================
+
+class OrgBookBCScraper extends BaseLoader {
+  constructor(deps) {
+    super('orgbook_bc', deps);
+    this.baseUrl = 'https://orgbook.gov.bc.ca/api/v4/search/topic';
+    this.batchSize = 100;
+    this.delayMs = 500;
+  }
+
+  async scrape(dbClient) {
+    console.log('🏢 Starting OrgBook BC scrape...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
+
+    try {
+      let start = 0;
+      let hasMore = true;
+
+      const https = require('https');
+      const orgbookAgent = new https.Agent({ rejectUnauthorized: false });
+
+      while (hasMore) {
+        let response;
+        for (let attempt = 1; attempt <= 3; attempt++) {
+          try {
+            response = await this.http.get(this.baseUrl, {
+              params: { q: '*', inactive: false, latest: true, rows: this.batchSize, start },
+              timeout: 60000,
+              httpsAgent: orgbookAgent,
+              robots: false,
+              retries: 0, // retried by the loop below
+            });
+            break;
+          } catch (retryErr) {
+            if (attempt === 3) throw retryErr;
+            console.log(`[OrgBookBC] Request failed at start=${start}, retrying (${attempt}/3)...`);
+            await new Promise(r => setTimeout(r, 5000 * attempt));
+          }
+        }
+
+        const results = response.data?.results || [];
+        if (results.length === 0) { hasMore = false; break; }
+
+        for (const entity of results) {
+          totalFound++;
+          const name = entity.names?.[0]?.text || entity.topic?.source_id || '';
+          if (!name || name.length < 2) continue;
+
+          const sourceId = entity.source_id || '';
+          const hash = nameProvinceHash(name, 'BC');
+
+          try {
+            await dbClient.query(
+              `INSERT INTO scraped_smes (source, business_name, province, corporate_number, name_province_hash, scrape_job_id)
+               VALUES ($1, $2, 'BC', $3, $4, $5)
+               ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL DO NOTHING`,
+              [this.source, name, sourceId, hash, jobId]
+            );
+            totalInserted++;
+          } catch (err) { totalSkipped++; }
+        }
+
+        start += results.length;
+        if (start % 5000 === 0) {
+          console.log(`[OrgBookBC] Progress: ${start} fetched, ${totalInserted} new, ${totalSkipped} skipped`);
+        }
+
+        // Stop at a reasonable limit to avoid overwhelming the DB
+        if (start >= 500000) {
+          console.log('[OrgBookBC] Reached 500K cap, stopping');
+          hasMore = false;
+        }
+
+        await delay(this.delayMs);
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, skipped: totalSkipped });
+      console.log(`✅ OrgBook BC: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ OrgBook BC failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
+  }
+}
+
+// =====================================================
+// 🏛️ CRA CHARITIES T3010 LOADER
+// =====================================================
+
+class CRACharitiesLoader extends BaseLoader {
+  constructor(deps) {
+    super('cra_charities', deps);
+    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
+  }
+
+  async scrape(dbClient) {
+    console.log('🏛️ Starting CRA Charities T3010 load...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
+
+    try {
+      const metaResp = await this.http.get('https://open.canada.ca/data/api/3/action/package_show?id=05b3abd0-e70f-4b3b-a9c5-acc436bd15b6', {
+        timeout: 30000, headers: { 'User-Agent': this.userAgent }, robots: false,
+      });
+      const resources = metaResp.data?.result?.resources || [];
+      // Prefer the identification file (main charity list) over directors/financial files
+      const csvResource = resources.find(r => r.url?.includes('ident_')) || resources.find(r => r.format === 'CSV' || r.url?.endsWith('.csv'));
+      if (!csvResource) throw new Error('No CSV resource found in CRA Charities dataset');
+
+      console.log(`[CRACharities] Downloading CSV from: ${csvResource.url}`);
+      const csvResp = await this.http.get(csvResource.url, {
+        timeout: 600000, headers: { 'User-Agent': this.userAgent }, maxContentLength: 500 * 1024 * 1024, robots: false,
+      });
+
+      const lines = csvResp.data.split('\n');
+      if (lines.length < 2) throw new Error('Empty CSV');
+
+      const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
+      const colIdx = {};
+      headers.forEach((h, i) => { colIdx[h] = i; });
+
+      const nameCol = colIdx['charity_legal_name'] ?? colIdx['legal_name'] ?? colIdx['name'] ?? 0;
+      const bnCol = colIdx['bn'] ?? colIdx['business_number'] ?? colIdx['registration_number'];
+      const provCol = colIdx['province'] ?? colIdx['prov'];
+      const cityCol = colIdx['city'];
+
+      const batch = [];
+      for (let i = 1; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+        totalFound++;
+
+        const cols = this._parseCSVLine(line);
+        const name = (cols[nameCol] || '').trim();
+        if (!name || name.length < 3) continue;
+
+        const province = provCol !== undefined ? (cols[provCol] || '').trim().toUpperCase().substring(0, 2) : '';
+        const bn = bnCol !== undefined ? (cols[bnCol] || '').trim() : '';
+
+        batch.push({ name, province, city: cityCol !== undefined ? (cols[cityCol] || '').trim() : '', bn });
+
+        if (batch.length >= 500) {
+          const r = await this._insertBatch(dbClient, batch, jobId);
+          totalInserted += r.inserted; totalSkipped += r.skipped;
+          batch.length = 0;
+          if (totalFound % 20000 === 0) console.log(`[CRACharities] Progress: ${totalFound} processed, ${totalInserted} new`);
+        }
+      }
+      if (batch.length > 0) {
+        const r = await this._insertBatch(dbClient, batch, jobId);
+        totalInserted += r.inserted; totalSkipped += r.skipped;
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, skipped: totalSkipped });
+      console.log(`✅ CRA Charities: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ CRA Charities load failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
+  }
+
+  async _insertBatch(dbClient, batch, jobId) {
+    let inserted = 0, skipped = 0;
+    for (const rec of batch) {
+      try {
+        const hash = nameProvinceHash(rec.name, rec.province);
+        await dbClient.query(
+          `INSERT INTO scraped_smes (source, business_name, province, city, corporate_number, name_province_hash, scrape_job_id, business_type)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, 'Charity')
+           ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL DO NOTHING`,
+          [this.source, rec.name, rec.province, rec.city, rec.bn, hash, jobId]
+        );
+        inserted++;
+      } catch (err) { skipped++; }
+    }
+    return { inserted, skipped };
+  }
+
+  _parseCSVLine(line) {
+    const result = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') { inQuotes = !inQuotes; }
+      else if (ch === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
+      else { current += ch; }
+    }
+    result.push(current.trim());
+    return result;
+  }
+}
+
+// =====================================================
+// 📦 CANADIAN IMPORTERS DATABASE LOADER
+// =====================================================
+
+class CanadianImportersLoader extends BaseLoader {
+  constructor(deps) {
+    super('importers_canada', deps);
+    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
+  }
+
+  async scrape(dbClient) {
+    console.log('📦 Starting Canadian Importers load...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
+
+    try {
+      // Direct XLSX download (no CSV available on CKAN)
+      const xlsxUrl = 'https://ised-isde.canada.ca/site/canadian-importers-database/sites/default/files/documents/MajorImportersbycity2023.xlsx';
+      console.log(`[Importers] Downloading XLSX from: ${xlsxUrl}`);
+      const xlsxResp = await this.http.get(xlsxUrl, {
+        timeout: 300000,
+        headers: { 'User-Agent': this.userAgent },
+        responseType: 'arraybuffer',
+        robots: false,
+      });
+
+      const XLSX = require('xlsx');
+      const workbook = XLSX.read(xlsxResp.data, { type: 'buffer' });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      const rows = XLSX.utils.sheet_to_json(sheet);
+
+      console.log(`[Importers] Parsed ${rows.length} rows from XLSX`);
+
+      const batch = [];
+      for (const row of rows) {
+        totalFound++;
+
+        // XLSX columns: COMPANY-ENTREPRISE, PROVINCE_ENG, CITY-VILLE, POSTAL_CODE-CODE_POSTAL
+        const name = (row['COMPANY-ENTREPRISE'] || row['Importer Name'] || row['importer_name'] || row['Name'] || row['Business Name'] || '').toString().trim();
+        if (!name || name.length < 3) continue;
+
+        const provFull = (row['PROVINCE_ENG'] || row['Province'] || row['province'] || '').toString().trim();
+        const provMap = { 'Alberta': 'AB', 'British Columbia': 'BC', 'Manitoba': 'MB', 'New Brunswick': 'NB', 'Newfoundland and Labrador': 'NL', 'Nova Scotia': 'NS', 'Ontario': 'ON', 'Prince Edward Island': 'PE', 'Quebec': 'QC', 'Saskatchewan': 'SK', 'Northwest Territories': 'NT', 'Nunavut': 'NU', 'Yukon': 'YT' };
+        const province = provMap[provFull] || provFull.toUpperCase().substring(0, 2);
+        const city = (row['CITY-VILLE'] || row['City'] || row['city'] || '').toString().trim();
+
+        batch.push({ name, province, city });
+
+        if (batch.length >= 500) {
+          const r = await this._insertBatch(dbClient, batch, jobId);
+          totalInserted += r.inserted; totalSkipped += r.skipped;
+          batch.length = 0;
+          if (totalFound % 10000 === 0) console.log(`[Importers] Progress: ${totalFound} processed, ${totalInserted} new`);
+        }
+      }
+      if (batch.length > 0) {
+        const r = await this._insertBatch(dbClient, batch, jobId);
+        totalInserted += r.inserted; totalSkipped += r.skipped;
+      }
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, skipped: totalSkipped });
+      console.log(`✅ Importers: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ Importers load failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
+  }
+
+  async _insertBatch(dbClient, batch, jobId) {
+    let inserted = 0, skipped = 0;
+    for (const rec of batch) {
+      try {
+        const hash = nameProvinceHash(rec.name, rec.province);
+        await dbClient.query(
+          `INSERT INTO scraped_smes (source, business_name, province, city, name_province_hash, scrape_job_id, business_type)
+           VALUES ($1, $2, $3, $4, $5, $6, 'Importer')
+           ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL DO NOTHING`,
+          [this.source, rec.name, rec.province, rec.city, hash, jobId]
+        );
+        inserted++;
+      } catch (err) { skipped++; }
+    }
+    return { inserted, skipped };
+  }
+
+  _parseCSVLine(line) {
+    const result = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') { inQuotes = !inQuotes; }
+      else if (ch === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
+      else { current += ch; }
+    }
+    result.push(current.trim());
+    return result;
+  }
+}
+
+// =====================================================
+// ™️ CIPO TRADEMARK FILINGS LOADER
+// =====================================================
+
+class CIPOTrademarkLoader extends BaseLoader {
+  constructor(deps) {
+    super('cipo_trademarks', deps);
+    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
+  }
+
+  async scrape(dbClient) {
+    console.log('™️ Starting CIPO Trademark Filings load...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
+
+    try {
+      // Scrape the CIPO page to find the current interested_party URL
+      const pageResp = await this.http.get('https://ised-isde.canada.ca/site/canadian-intellectual-property-office/en/canadian-intellectual-property-statistics/trademarks-researcher-datasets-applications-and-registrations-csv-and-txt', {
+        timeout: 120000, headers: { 'User-Agent': this.userAgent },
+      });
+      const urlMatch = pageResp.data.match(/href="(https:\/\/opic-cipo\.ca\/cipo\/client_downloads\/[^"]*TM_interested_party[^"]*\.zip)"/);
+      if (!urlMatch) throw new Error('Could not find TM_interested_party ZIP URL on CIPO page');
+
+      const zipUrl = urlMatch[1];
+      console.log(`[CIPOTrademarks] Downloading ZIP from: ${zipUrl}`);
+
+      const https = require('https');
+      const agent = new https.Agent({ rejectUnauthorized: false });
+      const seen = new Set();
+
+      // CSV is >500MB uncompressed — streamed straight out of the ZIP
+      const counts = await this._streamZip(dbClient, jobId, {
+        label: 'CIPOTrademarks',
+        url: zipUrl,
+        timeout: 600000,
+        headers: { 'User-Agent': this.userAgent },
+        httpsAgent: agent,
+        selectEntries: (entries) => entries
+          .filter(e => e.name.toLowerCase().includes('interested_party') && (e.name.endsWith('.csv') || e.name.endsWith('.txt')))
+          .slice(0, 1)
+          .map(e => ({ ...e, format: 'csv' })),
+        parseHeader: (line) => this._csvColumns(line),
+        toRecord: (line, ctx) => {
+          const trimmed = line.trim();
+          const cols = ctx.delimiter === '|' ? trimmed.split('|').map(c => c.trim()) : parseCSVLine(trimmed);
+          const name = (cols[ctx.nameCol] || '').trim();
+          if (!name || name.length < 3) return null;
+
+          // Filter for Canadian entries if country column exists
+          if (ctx.countryCol !== undefined) {
+            const country = (cols[ctx.countryCol] || '').trim().toUpperCase();
+            if (country && country !== 'CA' && country !== 'CANADA') return null;
+          }
+
+          // Deduplicate within load
+          const key = name.toLowerCase();
+          if (seen.has(key)) return null;
+          seen.add(key);
+
+          const province = ctx.provCol !== undefined ? (cols[ctx.provCol] || '').trim().toUpperCase().substring(0, 2) : '';
+          return { name, province };
+        },
+        insertBatch: (records) => this._insertBatch(dbClient, records, jobId),
+      });
+      totalFound = counts.found;
+      totalInserted = counts.inserted;
+      totalSkipped = counts.skipped;
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, skipped: totalSkipped });
+      console.log(`✅ CIPO Trademarks: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ CIPO Trademarks load failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
+  }
+
+  async _insertBatch(dbClient, batch, jobId) {
+    let inserted = 0, skipped = 0;
+    for (const rec of batch) {
+      try {
+        const hash = nameProvinceHash(rec.name, rec.province);
+        await dbClient.query(
+          `INSERT INTO scraped_smes (source, business_name, province, name_province_hash, scrape_job_id, business_type)
+           VALUES ($1, $2, $3, $4, $5, 'Trademark Filer')
+           ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL DO NOTHING`,
+          [this.source, rec.name, rec.province, hash, jobId]
+        );
+        inserted++;
+      } catch (err) { skipped++; }
+    }
+    return { inserted, skipped };
+  }
+
+  _parseCSVLine(line) {
+    const result = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') { inQuotes = !inQuotes; }
+      else if (ch === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
+      else { current += ch; }
+    }
+    result.push(current.trim());
+    return result;
+  }
+}
+
+// =====================================================
+// 🏛️ LOBBYIST REGISTRY LOADER
+// =====================================================
+
+class LobbyistRegistryLoader extends BaseLoader {
+  constructor(deps) {
+    super('lobbyist_registry', deps);
+    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
+  }
+
+  async scrape(dbClient) {
+    console.log('🏛️ Starting Lobbyist Registry load...');
+    const jobId = await this._startJob(dbClient);
+    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
+
+    try {
+      const zipUrl = 'https://lobbycanada.gc.ca/media/zwcjycef/registrations_enregistrements_ocl_cal.zip';
+      console.log(`[LobbyistRegistry] Downloading ZIP from: ${zipUrl}`);
+
+      const seen = new Set();
+      const counts = await this._streamZip(dbClient, jobId, {
+        label: 'LobbyistRegistry',
+        url: zipUrl,
+        timeout: 600000,
+        headers: { 'User-Agent': this.userAgent },
+        selectEntries: (entries) => entries
+          .filter(e => e.name.endsWith('.csv'))
+          .slice(0, 1)
+          .map(e => ({ ...e, format: 'csv' })),
+        parseHeader: (line) => {
+          const headers = line.split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
+          const colIdx = {};
+          headers.forEach((h, i) => { colIdx[h] = i; });
+          return {
+            nameCol: colIdx['organization_name'] ?? colIdx['client'] ?? colIdx['employer'] ?? colIdx['corporation'] ?? 0,
+            provCol: colIdx['province'] ?? colIdx['prov'],
+          };
+        },
+        toRecord: (line, ctx) => {
+          const cols = parseCSVLine(line.trim());
+          const name = (cols[ctx.nameCol] || '').trim();
+          if (!name || name.length < 3) return null;
+
+          // Deduplicate within this load
+          const key = name.toLowerCase();
+          if (seen.has(key)) return null;
+          seen.add(key);
+
+          const province = ctx.provCol !== undefined ? (cols[ctx.provCol] || '').trim().toUpperCase().substring(0, 2) : '';
+          return { name, province };
+        },
+        insertBatch: (records) => this._insertBatch(dbClient, records, jobId),
+      });
+      totalFound = counts.found;
+      totalInserted = counts.inserted;
+      totalSkipped = counts.skipped;
+
+      await this._completeJob(dbClient, jobId, { found: totalFound, inserted: totalInserted, skipped: totalSkipped });
+      console.log(`✅ Lobbyist Registry: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
+    } catch (error) {
+      await this._failJob(dbClient, jobId, error.message);
+      console.error('❌ Lobbyist Registry load failed:', error.message);
+    }
+    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
+  }
+
+  async _insertBatch(dbClient, batch, jobId) {
+    let inserted = 0, skipped = 0;
+    for (const rec of batch) {
+      try {
+        const hash = nameProvinceHash(rec.name, rec.province);
+        await dbClient.query(
+          `INSERT INTO scraped_smes (source, business_name, province, name_province_hash, scrape_job_id, business_type)
+           VALUES ($1, $2, $3, $4, $5, 'Lobbying Organization')
+           ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL DO NOTHING`,
+          [this.source, rec.name, rec.province, hash, jobId]
+        );
+        inserted++;
+      } catch (err) { skipped++; }
+    }
+    return { inserted, skipped };
+  }
+}
+
+module.exports = { CorporationsCanadaBulkLoader, StatCanODBusLoader, FederalGrantsLoader, OrgBookBCScraper, CRACharitiesLoader, CanadianImportersLoader, CIPOTrademarkLoader, LobbyistRegistryLoader };
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+const { createDbPool, systemClock } = require('../context');
+const { AuthService, ROLES } = require('../services/auth');
+
+// =====================================================
+// 🔐 API KEY CLI
+// =====================================================
+//   node scripts/auth.js create-key --role admin --name "ops dashboard" [--subject <id>]
+//   node scripts/auth.js list-keys
+//   node scripts/auth.js revoke-key <id>
+//
+// Bootstraps the first admin key (every later key can be issued through
+// POST /api/admin/api-keys). Uses DATABASE_URL / DATABASE_SSL like the server.
+
+function usage() {
+  console.log(`Usage: node scripts/auth.js <create-key --role <${ROLES.join('|')}> --name <name> [--subject <id>] | list-keys | revoke-key <id>>`);
+  process.exit(2);
+}
+
+function option(args, name) {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1] || null;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!['create-key', 'list-keys', 'revoke-key'].includes(command)) usage();
+
+  const db = createDbPool('batch', { max: 1 });
+  const auth = new AuthService(db, { clock: systemClock });
+  try {
+    if (command === 'create-key') {
+      const role = option(args, '--role');
+      const name = option(args, '--name');
+      if (!role || !name) usage();
+      const { key, apiKey } = await auth.createApiKey({
+        name, role, subject: option(args, '--subject'), createdBy: `cli:${process.env.USER || 'unknown'}`,
+      });
+      console.log(`✅ Created ${apiKey.role} key #${apiKey.id} (${apiKey.name})`);
+      console.log(`   ${key}`);
+      console.log('   Store it now — only its hash is kept.');
+    } else if (command === 'list-keys') {
+      for (const k of await auth.listApiKeys()) {
+        const state = k.revoked_at ? 'revoked' : (k.expires_at && new Date(k.expires_at) < new Date() ? 'expired' : 'active');
+        console.log(`  #${String(k.id).padEnd(4)} ${k.key_prefix}…  ${k.role.padEnd(16)} ${state.padEnd(8)} ${k.name}${k.subject ? ` (${k.subject})` : ''}`);
+      }
+    } else {
+      const id = parseInt(args[0], 10);
+      if (!Number.isInteger(id)) usage();
+      const revoked = await auth.revokeApiKey(id);
+      console.log(revoked ? `✅ Revoked key #${id} (${revoked.name})` : `❌ No key #${id}`);
+      if (!revoked) process.exitCode = 1;
+    }
+  } finally {
+    await db.end().catch(() => {});
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Auth CLI failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { provinceCode } = require('../matching/geo');
+
+// =====================================================
+// 📍 FSA CENTROID BUILDER
+// =====================================================
+//   node scripts/build-fsa-centroids.js <path/to/CA.txt>
+//
+// Rebuilds matching/data/fsa-centroids.csv with one row per forward sortation
+// area from the GeoNames Canadian postal code dump
+// (https://download.geonames.org/export/zip/CA.zip, CC BY 4.0). District and
+// region rows already in the file are kept as fallbacks for FSAs the dump lacks.
+
+const TARGET = path.join(__dirname, '..', 'matching', 'data', 'fsa-centroids.csv');
+
+function usage() {
+  console.log('Usage: node scripts/build-fsa-centroids.js <path/to/CA.txt>');
+  process.exit(2);
+}
+
+// GeoNames columns: country, postal code, place, admin name1, admin code1, ..., latitude (9), longitude (10)
+function readGeoNames(file) {
+  const rows = new Map();
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const cells = line.split('\t');
+    if (cells.length < 11 || cells[0] !== 'CA') continue;
+    const fsa = cells[1].trim().slice(0, 3).toUpperCase();
+    const province = provinceCode(cells[4]) || provinceCode(cells[3]);
+    const latitude = parseFloat(cells[9]);
+    const longitude = parseFloat(cells[10]);
+    if (fsa.length !== 3 || !province || !Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+    // "Toronto (Downtown / Financial District)" → "Toronto"; the CSV has no quoting
+    const place = cells[2].replace(/\s*\(.*\)\s*$/, '').replace(/,/g, ' ').trim();
+    rows.set(fsa, [fsa, province, place, latitude.toFixed(4), longitude.toFixed(4)].join(','));
+  }
+  return rows;
+}
+
+function main() {
+  const [source] = process.argv.slice(2);
+  if (!source) usage();
+
+  const fsas = readGeoNames(source);
+  if (fsas.size === 0) {
+    console.error(`❌ No Canadian postal codes read from ${source}`);
+    process.exit(1);
+  }
+
+  const lines = fs.readFileSync(TARGET, 'utf8').split(/\r?\n/);
+  const comments = lines.filter(line => line.startsWith('#'));
+  const [header, ...rows] = lines.filter(line => line.trim() && !line.startsWith('#'));
+  const kept = rows.filter(row => !fsas.has(row.split(',')[0]));
+
+  const merged = [...kept, ...fsas.values()].sort();
+  fs.writeFileSync(TARGET, [...comments, header, ...merged].join('\n') + '\n');
+  console.log(`✅ ${fsas.size} FSAs from ${path.basename(source)}, ${kept.length} existing prefixes kept → ${TARGET}`);
+}
+
+main();
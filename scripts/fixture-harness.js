@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+const { Client } = require('pg');
+const targets = require('./fixtures/targets');
+const { limitRequests } = require('./fixtures/requestBudget');
+
+// =====================================================
+// 🎞️ RECORD / REPLAY FIXTURE HARNESS
+// =====================================================
+// Records real HTTP (HTML, JSON, ZIP) and DNS answers for a scraper or enricher
+// once, then replays them offline through a local stand-in server against a
+// throwaway Postgres database and compares the rows it writes with the rows
+// written during the recording.
+//
+//   node scripts/fixture-harness.js list
+//   node scripts/fixture-harness.js record cpabc cpaontario
+//   node scripts/fixture-harness.js replay all
+//
+// Environment:
+//   FIXTURE_DATABASE_URL   Postgres URL with CREATE DATABASE rights. Every target runs in
+//                          its own freshly created database, dropped afterwards.
+//   FIXTURE_DATABASE_SSL   "true" to connect with SSL (off by default for local servers)
+//   FIXTURE_KEEP_DB=1      keep the throwaway database for inspection
+//   FIXTURES_DIR           defaults to <repo>/fixtures
+//
+// Fixtures land in FIXTURES_DIR/http/<target>/<host>/<sha1>.json (large bodies as .body),
+// FIXTURES_DIR/dns/<target>.json and FIXTURES_DIR/snapshots/<target>.json.
+// Apollo / ZeroBounce keys are cleared and email checks are MX-only in both modes,
+// so a recording never spends credits and a replay never needs port 25.
+// The committed recordings are also replayed by `npm test`
+// (test/scripts/fixtureReplay.test.js), on an in-memory database instead of Postgres.
+
+const ROOT = path.resolve(__dirname, '..');
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(ROOT, 'fixtures');
+const SNAPSHOT_DIFF_LIMIT = 10;
+
+function usage() {
+  console.log('Usage: node scripts/fixture-harness.js <list | record | replay> [target ... | all]');
+  process.exit(2);
+}
+
+function databaseUrl(adminUrl, database) {
+  const url = new URL(adminUrl);
+  url.pathname = `/${database}`;
+  return url.toString();
+}
+
+function pgSsl() {
+  return process.env.FIXTURE_DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false;
+}
+
+// =====================================================
+// Parent: one child process per target (fresh env, database and module state each)
+// =====================================================
+
+async function main() {
+  const [command, ...names] = process.argv.slice(2);
+  if (command === 'list') {
+    for (const [name, t] of Object.entries(targets)) {
+      const recorded = fs.existsSync(path.join(FIXTURES_DIR, 'snapshots', `${name}.json`));
+      console.log(`${recorded ? '●' : '○'} ${name.padEnd(26)} ${t.description}`);
+    }
+    return;
+  }
+  if (!['record', 'replay'].includes(command) || names.length === 0) usage();
+  if (!process.env.FIXTURE_DATABASE_URL) {
+    console.error('FIXTURE_DATABASE_URL is required (a Postgres server the harness may create databases on)');
+    process.exit(2);
+  }
+
+  const selected = names.includes('all') ? Object.keys(targets) : names;
+  const unknown = selected.filter(n => !targets[n]);
+  if (unknown.length > 0) {
+    console.error(`Unknown target(s): ${unknown.join(', ')} — see "list"`);
+    process.exit(2);
+  }
+
+  const results = [];
+  for (const name of selected) {
+    console.log(`\n🎞️  ${command} ${name}`);
+    const code = await new Promise((resolve) => {
+      const child = fork(__filename, ['--child', command, name], { stdio: 'inherit' });
+      child.on('exit', resolve);
+    });
+    results.push({ name, ok: code === 0 });
+  }
+
+  console.log(`\n🎞️  ${command} summary`);
+  for (const r of results) console.log(`  ${r.ok ? '✅' : '❌'} ${r.name}`);
+  process.exit(results.every(r => r.ok) ? 0 : 1);
+}
+
+// =====================================================
+// Child: throwaway database → build the app context → seed → run → snapshot
+// =====================================================
+
+async function runTarget(mode, name) {
+  const target = targets[name];
+  const database = `sme_fixture_${name}_${process.pid}`.toLowerCase();
+  const httpDir = path.join(FIXTURES_DIR, 'http', name);
+  const snapshotFile = path.join(FIXTURES_DIR, 'snapshots', `${name}.json`);
+  // Checked before anything is created, so a bad replay leaves no database behind
+  if (mode === 'replay' && !fs.existsSync(snapshotFile)) {
+    throw new Error(`No recording for ${name} — run "record ${name}" first`);
+  }
+
+  const admin = new Client({ connectionString: process.env.FIXTURE_DATABASE_URL, ssl: pgSsl() });
+  await admin.connect();
+  try {
+    await admin.query(`CREATE DATABASE "${database}"`);
+  } catch (err) {
+    await admin.end().catch(() => {});
+    throw err;
+  }
+
+  if (mode === 'record') fs.rmSync(httpDir, { recursive: true, force: true });
+
+  // The HTTP client, email verifier and loaders read their configuration when built
+  Object.assign(process.env, {
+    DATABASE_URL: databaseUrl(process.env.FIXTURE_DATABASE_URL, database),
+    DATABASE_SSL: process.env.FIXTURE_DATABASE_SSL === 'true' ? 'true' : 'false',
+    HTTP_MODE: mode === 'record' ? 'record' : 'live',
+    HTTP_FIXTURES_DIR: httpDir,
+    EMAIL_VERIFY_PROVIDERS: 'mx',
+  });
+  delete process.env.APOLLO_API_KEY;
+  delete process.env.ZEROBOUNCE_API_KEY;
+  if (mode === 'replay') {
+    process.env.SCRAPE_DELAY_SCALE = '0';
+    process.env.HTTP_HOST_INTERVAL_MS = '0';
+  }
+
+  const { installDnsFixtures } = require('./fixtures/dnsFixtures');
+  const dnsFixtures = installDnsFixtures(path.join(FIXTURES_DIR, 'dns', `${name}.json`), mode);
+
+  let standIn = null;
+  let db = null;
+  try {
+    const { createContext, createDbPool } = require('../context');
+    const { initializeDatabase } = require('../db/schema');
+    db = createDbPool('batch');
+    const ctx = createContext({ db });
+    const { httpClient } = ctx;
+
+    if (mode === 'replay') {
+      const { startStandInServer } = require('./fixtures/standInServer');
+      standIn = await startStandInServer(httpDir);
+      httpClient.transport = standIn.transport;
+      console.log(`[Harness] Stand-in server on ${standIn.url}`);
+    }
+
+    if (target.maxRequests) limitRequests(httpClient, target.maxRequests);
+
+    await initializeDatabase(db, { migrate: true });
+    await db.query('SELECT 1'); // initializeDatabase logs and swallows connection errors
+    if (target.seed) await target.seed(db);
+
+    const started = Date.now();
+    const result = await target.run(ctx.loaders, db);
+    console.log(`[Harness] ${name} finished in ${((Date.now() - started) / 1000).toFixed(1)}s:`, JSON.stringify(result));
+
+    const snapshot = {};
+    for (const [table, query] of Object.entries(target.snapshot)) {
+      snapshot[table] = (await db.query(query)).rows;
+    }
+
+    if (mode === 'record') {
+      dnsFixtures.save();
+      fs.mkdirSync(path.dirname(snapshotFile), { recursive: true });
+      fs.writeFileSync(snapshotFile, JSON.stringify(snapshot, null, 2));
+      const counts = Object.entries(snapshot).map(([t, rows]) => `${t}=${rows.length}`).join(', ');
+      console.log(`[Harness] Recorded ${name}: ${counts}`);
+      return true;
+    }
+
+    console.log(`[Harness] Stand-in served ${standIn.stats.served} responses, DNS answered ${dnsFixtures.stats.answered}`);
+    const missing = [...standIn.stats.missing, ...dnsFixtures.stats.missing];
+    if (missing.length > 0) {
+      console.log(`[Harness] ${missing.length} request(s) had no fixture (expected only past the recording budget):`);
+      missing.slice(0, SNAPSHOT_DIFF_LIMIT).forEach(m => console.log(`    ${m}`));
+    }
+    return compareSnapshots(JSON.parse(fs.readFileSync(snapshotFile, 'utf8')), JSON.parse(JSON.stringify(snapshot)));
+  } finally {
+    if (standIn) await standIn.close();
+    if (db) await db.end().catch(() => {});
+    if (process.env.FIXTURE_KEEP_DB === '1') {
+      console.log(`[Harness] Kept database ${database}`);
+    } else {
+      await admin.query(`DROP DATABASE IF EXISTS "${database}"`).catch(err => console.error(`[Harness] Could not drop ${database}:`, err.message));
+    }
+    await admin.end();
+  }
+}
+
+/**
+ * Multiset comparison per table; prints up to SNAPSHOT_DIFF_LIMIT missing / unexpected rows.
+ */
+function compareSnapshots(expected, actual) {
+  let ok = true;
+  for (const table of Object.keys(expected)) {
+    const counts = new Map();
+    for (const row of expected[table]) counts.set(JSON.stringify(row), (counts.get(JSON.stringify(row)) || 0) + 1);
+    const unexpected = [];
+    for (const row of actual[table] || []) {
+      const key = JSON.stringify(row);
+      if (counts.get(key)) counts.set(key, counts.get(key) - 1);
+      else unexpected.push(key);
+    }
+    const missing = [...counts.entries()].flatMap(([key, n]) => Array(n).fill(key));
+
+    if (missing.length === 0 && unexpected.length === 0) {
+      console.log(`  ✅ ${table}: ${expected[table].length} rows match`);
+      continue;
+    }
+    ok = false;
+    console.log(`  ❌ ${table}: ${missing.length} missing, ${unexpected.length} unexpected`);
+    missing.slice(0, SNAPSHOT_DIFF_LIMIT).forEach(r => console.log(`     - ${r}`));
+    unexpected.slice(0, SNAPSHOT_DIFF_LIMIT).forEach(r => console.log(`     + ${r}`));
+  }
+  return ok;
+}
+
+if (process.argv[2] === '--child') {
+  const [, , , mode, name] = process.argv;
+  runTarget(mode, name)
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch((err) => {
+      console.error(`❌ ${name}:`, err.message);
+      process.exit(1);
+    });
+} else {
+  main().catch((err) => {
+    console.error('❌ Fixture harness failed:', err.message);
+    process.exit(1);
+  });
+}
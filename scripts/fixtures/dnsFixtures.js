@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns').promises;
+
+// =====================================================
+// 🎞️ DNS FIXTURES — record / replay resolver answers
+// =====================================================
+// Enrichers decide which guessed domains are live (resolve4) and whether they
+// take mail (resolveMx) before any HTTP happens, so a replay needs the same
+// answers offline. The promise resolver methods are wrapped in place: the enrichers
+// and the email verification service call them through the shared dns.promises
+// object, so they pick the wrapper up without any change.
+
+const METHODS = ['resolve4', 'resolve6', 'resolveMx', 'resolveTxt'];
+
+/**
+ * mode: 'record' | 'replay'. Returns { save(), stats: { answered, missing: [] } }.
+ */
+function installDnsFixtures(file, mode) {
+  const store = fs.existsSync(file) && mode === 'replay' ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const stats = { answered: 0, missing: [] };
+
+  for (const method of METHODS) {
+    const original = dns[method];
+    dns[method] = async (hostname, ...rest) => {
+      const key = `${method}:${hostname}`;
+      if (mode === 'replay') {
+        const entry = store[key];
+        if (!entry) stats.missing.push(key);
+        if (!entry || entry.error) {
+          const err = new Error(`${method} ${(entry && entry.error) || 'ENOTFOUND'} ${hostname}`);
+          err.code = (entry && entry.error) || 'ENOTFOUND';
+          throw err;
+        }
+        stats.answered++;
+        return entry.result;
+      }
+
+      try {
+        const result = await original.call(dns, hostname, ...rest);
+        store[key] = { result };
+        return result;
+      } catch (err) {
+        store[key] = { error: err.code || 'ESERVFAIL' };
+        throw err;
+      }
+    };
+  }
+
+  return {
+    stats,
+    save() {
+      if (mode !== 'record') return;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const sorted = Object.fromEntries(Object.keys(store).sort().map(k => [k, store[k]]));
+      fs.writeFileSync(file, JSON.stringify(sorted, null, 2));
+    },
+  };
+}
+
+module.exports = { installDnsFixtures };
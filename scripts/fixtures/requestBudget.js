@@ -0,0 +1,25 @@
+// =====================================================
+// 🎞️ REQUEST BUDGET — caps the requests a fixture target may make
+// =====================================================
+// Directory scrapers walk hundreds of search prefixes; a recording only needs
+// the first few. Past the target's maxRequests every request fails fast with
+// ERR_REQUEST_BUDGET, which the scrapers treat like any other request error,
+// so a replay (harness or `npm test`) stops at exactly the same point as the
+// recording did. robots.txt fetches go through the client internally and are
+// not counted.
+
+function limitRequests(httpClient, maxRequests) {
+  let count = 0;
+  const request = httpClient.request.bind(httpClient);
+  httpClient.request = (config) => {
+    if (++count > maxRequests) {
+      const err = new Error(`Fixture request budget (${maxRequests}) exhausted: ${config.url}`);
+      err.code = 'ERR_REQUEST_BUDGET';
+      return Promise.reject(err);
+    }
+    return request(config);
+  };
+  return httpClient;
+}
+
+module.exports = { limitRequests };
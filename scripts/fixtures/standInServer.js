@@ -0,0 +1,88 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { fixtureKey, fixtureHost } = require('../../services/httpClient');
+
+// =====================================================
+// 🎞️ STAND-IN SERVER — serves recorded HTTP fixtures over real HTTP
+// =====================================================
+// Replays go through a local server rather than straight from disk so the
+// whole client stack runs as it does live: axios parses JSON, cheerio gets
+// the same HTML string, ZIP/CSV downloads arrive as streams, Set-Cookie
+// headers drive the ASP.NET session logic. The transport returned here is
+// plugged into the shared HttpClient; it maps each outgoing request to its
+// fixture (same key the recorder used) and fetches it from the stand-in.
+
+// Headers that describe the original wire encoding, not the body we re-serve
+const HOP_HEADERS = new Set(['content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive']);
+
+function serveFixture(fixturesDir, req, res) {
+  const [, host, key] = req.url.split('/');
+  const file = path.join(fixturesDir, host || '', `${key || ''}.json`);
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    res.writeHead(404, { 'x-fixture-missing': '1' });
+    res.end();
+    return;
+  }
+
+  const r = fixture.response;
+  for (const [name, value] of Object.entries(r.headers || {})) {
+    if (!HOP_HEADERS.has(name.toLowerCase())) res.setHeader(name, value);
+  }
+  res.statusCode = r.status;
+
+  if (r.body) {
+    fs.createReadStream(path.join(path.dirname(file), r.body)).pipe(res);
+  } else if (r.encoding === 'base64') {
+    res.end(Buffer.from(r.data, 'base64'));
+  } else if (typeof r.data === 'string') {
+    res.end(r.data);
+  } else {
+    res.end(r.data === undefined ? '' : JSON.stringify(r.data));
+  }
+}
+
+/**
+ * Start the stand-in on a random local port.
+ * Returns { url, transport(config), stats: { served, missing: [] }, close() }.
+ */
+function startStandInServer(fixturesDir) {
+  const stats = { served: 0, missing: [] };
+  const server = http.createServer((req, res) => serveFixture(fixturesDir, req, res));
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+
+      const transport = async (config) => {
+        const res = await axios.request({
+          ...config,
+          method: 'get',
+          url: `${url}/${fixtureHost(config.url)}/${fixtureKey(config)}`,
+          params: undefined,
+          data: undefined,
+          httpsAgent: undefined,
+          maxRedirects: 0,
+          validateStatus: () => true,
+        });
+        if (res.headers['x-fixture-missing']) {
+          stats.missing.push(`${config.method.toUpperCase()} ${config.url}`);
+          const err = new Error(`No recorded fixture for ${config.method.toUpperCase()} ${config.url}`);
+          err.code = 'ERR_NO_FIXTURE';
+          throw err;
+        }
+        stats.served++;
+        return { ...res, config };
+      };
+
+      resolve({ url, transport, stats, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+module.exports = { startStandInServer };
@@ -0,0 +1,122 @@
+// =====================================================
+// 🎞️ FIXTURE HARNESS TARGETS
+// =====================================================
+// One entry per scraper / loader / enricher the harness can record and replay.
+//   run(loaders, db)  drives the loader (context.js loaders) the same way its job-queue handler does
+//   seed(db)          rows an enricher works on (scrapers start from an empty database)
+//   snapshot          { name: query } — rows compared between the recording and every replay
+//   maxRequests       caps a live recording; directories paginate for hours. Requests past
+//                     the cap fail in both modes, so a replay follows the recorded path exactly.
+
+const CPA_SNAPSHOT = `
+  SELECT source, first_name, last_name, full_name, designation, province, city, firm_name
+  FROM scraped_cpas ORDER BY 1, 2, 3, 4, 5, 6, 7, 8`;
+
+const SME_SNAPSHOT = `
+  SELECT source, business_name, province, city, postal_code, full_address, business_status, naics_code
+  FROM scraped_smes ORDER BY 1, 2, 3, 4, 5, 6, 7, 8`;
+
+const ENRICHED_SME_SNAPSHOT = `
+  SELECT business_name, city, website, website_source, contact_email, enrichment_source, phone, enrichment_phase, status
+  FROM scraped_smes ORDER BY business_name, city`;
+
+const ENRICHED_CPA_SNAPSHOT = `
+  SELECT full_name, firm_name, firm_website, enriched_email, enrichment_source, status
+  FROM scraped_cpas ORDER BY full_name`;
+
+const OBSERVATION_SNAPSHOT = `
+  SELECT entity_type, field, value, source, is_current
+  FROM field_observations ORDER BY 1, 2, 3, 4`;
+
+// Small, varied seed sets: a mix of cities the chamber enricher covers and names that exercise
+// domain guessing (multi-word, numbered, French)
+const SEED_SMES = [
+  { business_name: 'Maple Leaf Plumbing Ltd', province: 'ON', city: 'Toronto' },
+  { business_name: 'Northern Lights Bakery', province: 'AB', city: 'Calgary' },
+  { business_name: 'Rideau Dental Group', province: 'ON', city: 'Ottawa' },
+  { business_name: 'Pacific Coast Landscaping Inc', province: 'BC', city: 'Vancouver' },
+  { business_name: 'Boulangerie Saint-Laurent', province: 'QC', city: 'Montreal' },
+  { business_name: '1234567 Ontario Inc', province: 'ON', city: 'Mississauga' },
+];
+
+const SEED_CPAS = [
+  { first_name: 'Jane', last_name: 'Thompson', firm_name: 'Thompson & Associates CPA', province: 'ON', city: 'Toronto' },
+  { first_name: 'Marc', last_name: 'Tremblay', firm_name: 'Tremblay Comptables', province: 'QC', city: 'Montreal' },
+  { first_name: 'Priya', last_name: 'Sharma', firm_name: 'Sharma Professional Corporation', province: 'BC', city: 'Vancouver' },
+  { first_name: 'David', last_name: 'Chen', firm_name: null, province: 'AB', city: 'Calgary' },
+];
+
+async function seedSMEs(db) {
+  for (const s of SEED_SMES) {
+    await db.query(
+      `INSERT INTO scraped_smes (source, business_name, province, city, status, data_sources)
+       VALUES ('fixture_seed', $1, $2, $3, 'raw', '["fixture_seed"]')`,
+      [s.business_name, s.province, s.city]
+    );
+  }
+}
+
+async function seedCPAs(db) {
+  for (const c of SEED_CPAS) {
+    await db.query(
+      `INSERT INTO scraped_cpas (source, first_name, last_name, full_name, designation, province, city, firm_name, status)
+       VALUES ('fixture_seed', $1, $2, $3, 'CPA', $4, $5, $6, 'raw')`,
+      [c.first_name, c.last_name, `${c.first_name} ${c.last_name}`, c.province, c.city, c.firm_name]
+    );
+  }
+}
+
+const cpaDirectory = (key, maxRequests = 30) => ({
+  description: `CPA directory scraper (${key})`,
+  maxRequests,
+  run: (loaders, db) => loaders.cpaScraperOrchestrator.scrapers[key].scrape(db),
+  snapshot: { scraped_cpas: CPA_SNAPSHOT },
+});
+
+const smeLoader = (key, method, description, maxRequests) => ({
+  description,
+  maxRequests,
+  run: (loaders, db) => loaders[key][method](db),
+  snapshot: { scraped_smes: SME_SNAPSHOT },
+});
+
+const smeEnricher = (key, description) => ({
+  description,
+  maxRequests: 300,
+  seed: seedSMEs,
+  run: (loaders, db) => loaders[key].enrich(db),
+  snapshot: { scraped_smes: ENRICHED_SME_SNAPSHOT, field_observations: OBSERVATION_SNAPSHOT },
+});
+
+module.exports = {
+  cpabc: cpaDirectory('cpabc'),
+  cpaalberta: cpaDirectory('cpaalberta'),
+  cpaquebec: cpaDirectory('cpaquebec'),
+  cpaontario: { ...cpaDirectory('cpaontario'), description: 'CPA Ontario (Salesforce Aura API)' },
+  cpamb: cpaDirectory('cpamb'),
+  cpask: cpaDirectory('cpask'),
+  cpans: cpaDirectory('cpans'),
+  cpanb: cpaDirectory('cpanb'),
+  cpapei: cpaDirectory('cpapei'),
+  cpanl: cpaDirectory('cpanl'),
+
+  vancouver_biz_lic: smeLoader('vancouverBizLicScraper', 'scrape', 'Vancouver business licences (OpenDataSoft)', 5),
+  calgary_biz_lic: smeLoader('calgaryBizLicScraper', 'scrape', 'Calgary business licences (Socrata)', 5),
+  toronto_biz_lic: smeLoader('torontoBizLicScraper', 'scrape', 'Toronto business licences (CKAN datastore)', 6),
+  edmonton_biz_lic: smeLoader('edmontonBizLicScraper', 'scrape', 'Edmonton business licences (Socrata)', 5),
+  statcan_odbus: smeLoader('statCanODBusLoader', 'load', 'StatCan ODBus bulk ZIP', 2),
+  lobbyist_registry: smeLoader('lobbyistRegistryLoader', 'scrape', 'Lobbyist registry bulk ZIP', 2),
+
+  email_enrichment: {
+    description: 'CPA firm-website email enricher',
+    maxRequests: 300,
+    seed: seedCPAs,
+    run: (loaders, db) => loaders.firmWebsiteEnricher.enrich(db),
+    snapshot: { scraped_cpas: ENRICHED_CPA_SNAPSHOT, field_observations: OBSERVATION_SNAPSHOT },
+  },
+  sme_email_enrichment: smeEnricher('smeEmailEnricher', 'SME website / email enricher'),
+  yellowpages_enrichment: smeEnricher('yellowPagesEnricher', 'YellowPages.ca website discovery'),
+  directory_411_enrichment: smeEnricher('directory411Enricher', '411.ca directory enricher'),
+  bbb_enrichment: smeEnricher('bbbProfileEnricher', 'BBB profile enricher'),
+  chamber_enrichment: smeEnricher('chamberDirectoryEnricher', 'Chamber of commerce directory enricher'),
+};
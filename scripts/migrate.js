@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { createDbPool } = require('../context');
+const { Migrator, MIGRATIONS_DIR, migrationLabel } = require('../db/migrator');
+
+// =====================================================
+// 🗄️ MIGRATION CLI
+// =====================================================
+//   node scripts/migrate.js status
+//   node scripts/migrate.js migrate [--to <version>]
+//   node scripts/migrate.js rollback [--steps <n> | --to <version>]
+//   node scripts/migrate.js create <snake_name> [description ...]
+//
+// Uses DATABASE_URL / DATABASE_SSL like the server. `npm run migrate` is the
+// release step; the web and worker processes refuse to run until it has.
+
+const HEADER_WIDTH = 80;
+
+// Header comment for a new migration: the description when given, else the name
+// as a sentence ("add_client_notes" → "Add client notes.")
+function header(name, description) {
+  const text = description || `${name.charAt(0).toUpperCase()}${name.slice(1).replace(/_/g, ' ')}.`;
+  const lines = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const last = lines.length - 1;
+    if (last >= 0 && lines[last].length + word.length + 4 <= HEADER_WIDTH) lines[last] += ` ${word}`;
+    else lines.push(word);
+  }
+  return lines.map(line => `// ${line}`).join('\n');
+}
+
+const template = (name, description) => `${header(name, description)}
+
+module.exports = {
+    async up(db) {
+        await db.query(\`
+        \`);
+    },
+
+    async down(db) {
+        await db.query(\`
+        \`);
+    },
+};
+`;
+
+function usage() {
+  console.log('Usage: node scripts/migrate.js <status | migrate [--to N] | rollback [--steps N | --to N] | create <name> [description]>');
+  process.exit(2);
+}
+
+function option(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  const value = parseInt(args[i + 1], 10);
+  if (!Number.isInteger(value) || value < 0) usage();
+  return value;
+}
+
+function create(name, description) {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) usage();
+  const migrator = new Migrator(null);
+  const latest = migrator.migrations().reduce((max, m) => Math.max(max, m.version), 0);
+  const file = path.join(MIGRATIONS_DIR, `${migrationLabel({ version: latest + 1, name })}.js`);
+  fs.writeFileSync(file, template(name, description));
+  console.log(`Created ${path.relative(process.cwd(), file)}`);
+}
+
+function printStatus(status) {
+  for (const m of status.applied) {
+    const at = m.applied_at ? new Date(m.applied_at).toISOString() : '';
+    console.log(`  ● ${migrationLabel(m).padEnd(40)} ${at}`);
+  }
+  for (const m of status.pending) {
+    console.log(`  ○ ${migrationLabel(m).padEnd(40)} pending`);
+  }
+  status.changed.forEach(m => console.log(`  ⚠️ ${migrationLabel(m)} was edited after it was applied`));
+  status.unknown.forEach(m => console.log(`  ⚠️ ${migrationLabel(m)} is applied but has no file in this release`));
+  console.log(`Schema at ${status.current}, latest ${status.latest}: ${status.behind ? `${status.pending.length} pending` : 'up to date'}`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === 'create') return create(args[0], args.slice(1).join(' '));
+  if (!['status', 'migrate', 'rollback'].includes(command)) usage();
+
+  // One connection: the migrator holds it for the advisory lock
+  const db = createDbPool('batch', { max: 1 });
+  try {
+    const migrator = new Migrator(db);
+    if (command === 'migrate') {
+      const applied = await migrator.migrate({ to: option(args, '--to') });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to migrate');
+    } else if (command === 'rollback') {
+      const to = option(args, '--to');
+      const reverted = await migrator.rollback({ steps: option(args, '--steps') || 1, to });
+      console.log(`✅ Rolled back ${reverted.length} migration(s)`);
+    }
+    printStatus(await migrator.status());
+  } finally {
+    await db.end().catch(() => {});
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
@@ -1,8555 +1,24 @@
 // server.js - Real-Time SME Intelligence Backend
-// Complete Node.js server for Canadian SME intelligence data collection
-const express = require('express');
-const cors = require('cors');
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { Client } = require('pg');
-const Redis = require('redis');
-const cron = require('node-cron');
-const dns = require('dns').promises;
-const net = require('net');
-const crypto = require('crypto');
-const { createInterface } = require('readline');
-const Stripe = require('stripe');
-const { sendEmail, sendSubscriptionConfirmation, sendPaymentReceipt, sendPaymentFailedAlert } = require('./services/email');
+// Web entry point: connects Postgres and Redis, serves the API from app.js and,
+// unless INLINE_WORKER=false, also runs the job queue worker and scheduler in
+// this process (worker.js runs them on their own dyno). Neither starts until
+// the database has every migration in db/migrations (see db/schemaGate.js).
+const { createApp } = require('./app');
+const { createDbPool, createRedisClient } = require('./context');
+const { initializeDatabase } = require('./db/schema');
+const { startWorker } = require('./scheduler/worker');
 
-const app = express();
 const PORT = process.env.PORT || 3001;
-
-// Initialize Stripe (will be null if STRIPE_SECRET_KEY not set)
-const stripe = process.env.STRIPE_SECRET_KEY ? new Stripe(process.env.STRIPE_SECRET_KEY) : null;
-
-// Stripe price IDs from environment variables
-const STRIPE_PRICES = {
-    associate_monthly: process.env.STRIPE_PRICE_ASSOCIATE_MONTHLY,
-    associate_yearly: process.env.STRIPE_PRICE_ASSOCIATE_YEARLY,
-    professional_monthly: process.env.STRIPE_PRICE_PROFESSIONAL_MONTHLY,
-    professional_yearly: process.env.STRIPE_PRICE_PROFESSIONAL_YEARLY,
-    enterprise_monthly: process.env.STRIPE_PRICE_ENTERPRISE_MONTHLY,
-    enterprise_yearly: process.env.STRIPE_PRICE_ENTERPRISE_YEARLY,
-};
-
-const FRONTEND_URL = process.env.FRONTEND_URL || 'https://canadaaccountants.app';
-
-// --- Stripe webhook route MUST be before express.json() ---
-app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
-
-// Middleware
-app.use(cors({
-    origin: [FRONTEND_URL, 'http://localhost:3000', 'http://localhost:5500', 'http://127.0.0.1:5500'],
-    credentials: true,
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization']
-}));
-app.use(express.json());
-
-// Database Configuration
-const dbClient = new Client({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }
-});
-
-// Redis Configuration for Caching
-const redisClient = Redis.createClient({
-    url: process.env.REDIS_PRIVATE_URL || process.env.REDIS_URL || 'redis://localhost:6379'
-});
-
-redisClient.on('error', (err) => {
-    console.error('⚠️ Redis client error:', err.message);
-});
-
-// Initialize Database Connection
-async function initializeDatabase() {
-    try {
-        await dbClient.connect();
-        console.log('✅ PostgreSQL connected successfully');
-        
-        // Create tables if they don't exist
-        await createTables();
-        console.log('✅ Database tables initialized');
-    } catch (error) {
-        console.error('❌ Database connection failed:', error);
-    }
-}
-
-// Create Database Tables
-async function createTables() {
-    const createTablesQuery = `
-        CREATE TABLE IF NOT EXISTS market_data (
-            id SERIAL PRIMARY KEY,
-            source VARCHAR(100) NOT NULL,
-            metric_name VARCHAR(200) NOT NULL,
-            metric_value DECIMAL(10,2),
-            province VARCHAR(50),
-            industry VARCHAR(100),
-            collection_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            is_current BOOLEAN DEFAULT true
-        );
-
-        CREATE TABLE IF NOT EXISTS sme_submissions (
-            id SERIAL PRIMARY KEY,
-            business_name VARCHAR(200),
-            industry VARCHAR(100),
-            province VARCHAR(50),
-            revenue_range VARCHAR(50),
-            employees_range VARCHAR(50),
-            primary_challenge TEXT,
-            seasonal_peak VARCHAR(20),
-            tech_stack VARCHAR(100),
-            growth_stage VARCHAR(50),
-            submission_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS sme_friction_requests (
-            id SERIAL PRIMARY KEY,
-            request_id VARCHAR(255),
-            session_id VARCHAR(255),
-            pain_point VARCHAR(255),
-            business_type VARCHAR(255),
-            business_size VARCHAR(255),
-            urgency_level VARCHAR(255),
-            services_needed TEXT,
-            time_being_lost VARCHAR(255),
-            budget_range VARCHAR(255),
-            additional_context TEXT,
-            contact_info TEXT,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS cpa_performance (
-            id SERIAL PRIMARY KEY,
-            cpa_name VARCHAR(200),
-            province VARCHAR(50),
-            specialization VARCHAR(100),
-            response_time_hours DECIMAL(4,2),
-            satisfaction_rating DECIMAL(3,2),
-            matches_completed INTEGER DEFAULT 0,
-            last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_market_data_current ON market_data(is_current);
-        CREATE INDEX IF NOT EXISTS idx_submissions_date ON sme_submissions(submission_date);
-        CREATE INDEX IF NOT EXISTS idx_cpa_province ON cpa_performance(province);
-        CREATE INDEX IF NOT EXISTS idx_sme_friction_session ON sme_friction_requests(session_id);
-        CREATE TABLE IF NOT EXISTS cpa_profiles (
-            id SERIAL PRIMARY KEY,
-            cpa_id VARCHAR(255) UNIQUE NOT NULL,
-            first_name VARCHAR(255),
-            last_name VARCHAR(255),
-            email VARCHAR(255) UNIQUE,
-            phone VARCHAR(50),
-            firm_name VARCHAR(255),
-            firm_size VARCHAR(50),
-            specializations JSONB,
-            industries_served JSONB,
-            certifications JSONB,
-            years_experience INTEGER,
-            hourly_rate_min DECIMAL(10,2),
-            hourly_rate_max DECIMAL(10,2),
-            communication_style VARCHAR(100),
-            software_proficiency JSONB,
-            languages JSONB,
-            province VARCHAR(100),
-            city VARCHAR(255),
-            remote_services BOOLEAN DEFAULT false,
-            profile_status VARCHAR(50) DEFAULT 'pending',
-            verification_status VARCHAR(50) DEFAULT 'unverified',
-            created_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            is_active BOOLEAN DEFAULT true
-        );
-
-        CREATE TABLE IF NOT EXISTS client_preferences (
-            id SERIAL PRIMARY KEY,
-            client_id VARCHAR(255) UNIQUE NOT NULL,
-            business_name VARCHAR(255),
-            industry VARCHAR(255),
-            business_size VARCHAR(100),
-            annual_revenue_range VARCHAR(100),
-            required_services JSONB,
-            preferred_specializations JSONB,
-            budget_range_min DECIMAL(10,2),
-            budget_range_max DECIMAL(10,2),
-            preferred_communication VARCHAR(100),
-            location_preference VARCHAR(255),
-            remote_acceptable BOOLEAN DEFAULT true,
-            urgency_level VARCHAR(50),
-            created_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS cpa_matches (
-            id SERIAL PRIMARY KEY,
-            client_id VARCHAR(255),
-            cpa_id VARCHAR(255),
-            match_score DECIMAL(5,2),
-            match_factors JSONB,
-            status VARCHAR(50) DEFAULT 'suggested',
-            client_response VARCHAR(50),
-            cpa_response VARCHAR(50),
-            match_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            engagement_started BOOLEAN DEFAULT false,
-            engagement_completed BOOLEAN DEFAULT false,
-            client_satisfaction INTEGER,
-            cpa_satisfaction INTEGER,
-            feedback JSONB
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_cpa_profiles_province ON cpa_profiles(province);
-        CREATE INDEX IF NOT EXISTS idx_cpa_profiles_specializations ON cpa_profiles USING GIN(specializations);
-        CREATE INDEX IF NOT EXISTS idx_client_preferences_industry ON client_preferences(industry);
-        CREATE INDEX IF NOT EXISTS idx_cpa_matches_status ON cpa_matches(status);
-
-        -- Stripe subscription tables
-        CREATE TABLE IF NOT EXISTS cpa_subscriptions (
-            id SERIAL PRIMARY KEY,
-            email VARCHAR(255) NOT NULL,
-            cpa_profile_id VARCHAR(255),
-            stripe_customer_id VARCHAR(255),
-            stripe_subscription_id VARCHAR(255) UNIQUE,
-            tier VARCHAR(50) NOT NULL,
-            billing_interval VARCHAR(20) NOT NULL DEFAULT 'monthly',
-            status VARCHAR(50) NOT NULL DEFAULT 'incomplete',
-            current_period_start TIMESTAMP,
-            current_period_end TIMESTAMP,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS stripe_transactions (
-            id SERIAL PRIMARY KEY,
-            stripe_payment_intent_id VARCHAR(255),
-            stripe_invoice_id VARCHAR(255),
-            stripe_subscription_id VARCHAR(255),
-            email VARCHAR(255),
-            amount_cents INTEGER NOT NULL,
-            currency VARCHAR(10) NOT NULL DEFAULT 'cad',
-            status VARCHAR(50) NOT NULL,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS webhook_events (
-            id SERIAL PRIMARY KEY,
-            stripe_event_id VARCHAR(255) UNIQUE NOT NULL,
-            event_type VARCHAR(100) NOT NULL,
-            processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_cpa_subscriptions_email ON cpa_subscriptions(email);
-        CREATE INDEX IF NOT EXISTS idx_cpa_subscriptions_stripe_customer ON cpa_subscriptions(stripe_customer_id);
-        CREATE INDEX IF NOT EXISTS idx_stripe_transactions_subscription ON stripe_transactions(stripe_subscription_id);
-    `;
-
-    await dbClient.query(createTablesQuery);
-
-    // Ensure scraped_smes, scraped_cpas, scrape_jobs tables exist
-    await dbClient.query(`
-        CREATE TABLE IF NOT EXISTS scrape_jobs (
-            id SERIAL PRIMARY KEY,
-            source VARCHAR(100) NOT NULL,
-            status VARCHAR(50) NOT NULL DEFAULT 'running',
-            records_found INTEGER DEFAULT 0,
-            records_inserted INTEGER DEFAULT 0,
-            records_skipped INTEGER DEFAULT 0,
-            error_message TEXT,
-            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            completed_at TIMESTAMP
-        );
-        CREATE INDEX IF NOT EXISTS idx_scrape_jobs_source ON scrape_jobs(source);
-        CREATE INDEX IF NOT EXISTS idx_scrape_jobs_status ON scrape_jobs(status);
-
-        CREATE TABLE IF NOT EXISTS scraped_cpas (
-            id SERIAL PRIMARY KEY,
-            source VARCHAR(100) NOT NULL,
-            first_name VARCHAR(255),
-            last_name VARCHAR(255),
-            full_name VARCHAR(500),
-            designation VARCHAR(100),
-            province VARCHAR(50),
-            city VARCHAR(255),
-            firm_name VARCHAR(500),
-            firm_website VARCHAR(500),
-            phone VARCHAR(50),
-            email VARCHAR(255),
-            enriched_email VARCHAR(255),
-            enrichment_source VARCHAR(255),
-            enrichment_date TIMESTAMP,
-            name_hash VARCHAR(64),
-            status VARCHAR(50) DEFAULT 'raw',
-            scrape_job_id INTEGER,
-            scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-        CREATE INDEX IF NOT EXISTS idx_scraped_cpas_source ON scraped_cpas(source);
-        CREATE INDEX IF NOT EXISTS idx_scraped_cpas_province ON scraped_cpas(province);
-        CREATE INDEX IF NOT EXISTS idx_scraped_cpas_status ON scraped_cpas(status);
-        CREATE UNIQUE INDEX IF NOT EXISTS idx_scraped_cpas_name_hash ON scraped_cpas(name_hash) WHERE name_hash IS NOT NULL;
-
-        CREATE TABLE IF NOT EXISTS scraped_smes (
-            id SERIAL PRIMARY KEY,
-            source VARCHAR(100) NOT NULL,
-            business_name VARCHAR(500),
-            corporate_number VARCHAR(100),
-            naics_code VARCHAR(20),
-            industry VARCHAR(255),
-            province VARCHAR(50),
-            city VARCHAR(255),
-            business_status VARCHAR(100),
-            contact_email VARCHAR(255),
-            website VARCHAR(500),
-            enrichment_source VARCHAR(255),
-            enrichment_date TIMESTAMP,
-            status VARCHAR(50) DEFAULT 'raw',
-            scrape_job_id INTEGER,
-            scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-        CREATE INDEX IF NOT EXISTS idx_scraped_smes_source ON scraped_smes(source);
-        CREATE INDEX IF NOT EXISTS idx_scraped_smes_province ON scraped_smes(province);
-        CREATE INDEX IF NOT EXISTS idx_scraped_smes_status ON scraped_smes(status);
-        CREATE INDEX IF NOT EXISTS idx_scraped_smes_corporate_number ON scraped_smes(corporate_number);
-    `);
-
-    // Phase 1a: Extend scraped_smes with prospect scoring & enrichment columns
-    await dbClient.query(`
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS phone VARCHAR(30);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS full_address TEXT;
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS postal_code VARCHAR(10);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS latitude DECIMAL(10,7);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS longitude DECIMAL(10,7);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS employee_count VARCHAR(50);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS incorporation_date DATE;
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS directors JSONB;
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS business_type VARCHAR(100);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS years_in_business INTEGER;
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS data_sources JSONB DEFAULT '[]';
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS score_accountants INTEGER;
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS score_lawyers INTEGER;
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS score_investing INTEGER;
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS queue_status_accountants VARCHAR(30) DEFAULT 'unscored';
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS queue_status_lawyers VARCHAR(30) DEFAULT 'unscored';
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS queue_status_investing VARCHAR(30) DEFAULT 'unscored';
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS name_province_hash VARCHAR(64);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS contact_phone VARCHAR(30);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS contact_name VARCHAR(200);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS enrichment_attempts INTEGER DEFAULT 0;
-
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS website_source VARCHAR(100);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT FALSE;
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS email_verification_method VARCHAR(50);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS enrichment_phase VARCHAR(50) DEFAULT 'pending';
-
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS grant_amount DECIMAL(14,2);
-        ALTER TABLE scraped_smes ADD COLUMN IF NOT EXISTS grant_program VARCHAR(200);
-
-        CREATE UNIQUE INDEX IF NOT EXISTS idx_smes_name_province_hash
-            ON scraped_smes(name_province_hash) WHERE name_province_hash IS NOT NULL;
-        CREATE INDEX IF NOT EXISTS idx_smes_score_acct ON scraped_smes(score_accountants DESC NULLS LAST);
-        CREATE INDEX IF NOT EXISTS idx_smes_score_law ON scraped_smes(score_lawyers DESC NULLS LAST);
-        CREATE INDEX IF NOT EXISTS idx_smes_score_inv ON scraped_smes(score_investing DESC NULLS LAST);
-        CREATE INDEX IF NOT EXISTS idx_smes_naics ON scraped_smes(naics_code);
-        CREATE INDEX IF NOT EXISTS idx_smes_no_website ON scraped_smes(id)
-            WHERE website IS NULL AND business_name IS NOT NULL;
-        CREATE INDEX IF NOT EXISTS idx_smes_has_website_no_email ON scraped_smes(id)
-            WHERE contact_email IS NULL AND website IS NOT NULL;
-        CREATE INDEX IF NOT EXISTS idx_smes_enrichment_phase ON scraped_smes(enrichment_phase);
-        CREATE INDEX IF NOT EXISTS idx_scraped_smes_industry ON scraped_smes(industry);
-    `);
-    console.log('✅ scraped_smes prospect columns & indexes ensured');
-}
-
-// 🇨🇦 STATISTICS CANADA API INTEGRATION
-class StatisticsCanadaAPI {
-    constructor() {
-        this.baseUrl = 'https://www150.statcan.gc.ca/t1/wds/rest';
-    }
-
-    async getAccountingServicesPriceIndex() {
-        try {
-            // StatCan vectors: CPI All-items (41690973), CPI Services (41691339)
-            const response = await axios.post(
-                `${this.baseUrl}/getDataFromVectorsAndLatestNPeriods`,
-                [
-                    { vectorId: 41690973, latestN: 6 },
-                    { vectorId: 41691339, latestN: 6 }
-                ],
-                { headers: { 'Content-Type': 'application/json' } }
-            );
-
-            const parsedData = [];
-            const labels = { 41690973: 'CPI All-items', 41691339: 'CPI Services' };
-
-            for (const series of response.data) {
-                if (series.status === 'SUCCESS') {
-                    const vid = series.object.vectorId;
-                    for (const point of series.object.vectorDataPoint) {
-                        if (point.value !== null) {
-                            parsedData.push({
-                                source: 'Statistics Canada',
-                                metric_name: labels[vid] || `Vector ${vid}`,
-                                metric_value: point.value,
-                                province: 'Canada',
-                                industry: 'Accounting Services'
-                            });
-                        }
-                    }
-                }
-            }
-
-            console.log(`📊 Statistics Canada - ${parsedData.length} CPI data points retrieved`);
-            return parsedData;
-        } catch (error) {
-            console.error('❌ Statistics Canada API error:', error.message);
-            return [];
-        }
-    }
-
-    async getAdvancedTechnologySurvey() {
-        try {
-            // StatCan vector 111666224: CAD/USD exchange rate (business indicator)
-            const response = await axios.post(
-                `${this.baseUrl}/getDataFromVectorsAndLatestNPeriods`,
-                [{ vectorId: 111666224, latestN: 10 }],
-                { headers: { 'Content-Type': 'application/json' } }
-            );
-
-            const parsedData = [];
-            for (const series of response.data) {
-                if (series.status === 'SUCCESS') {
-                    for (const point of series.object.vectorDataPoint) {
-                        if (point.value !== null) {
-                            parsedData.push({
-                                source: 'Statistics Canada',
-                                metric_name: 'CAD/USD Exchange Rate',
-                                metric_value: point.value,
-                                province: 'Canada',
-                                industry: 'Business Indicators'
-                            });
-                        }
-                    }
-                }
-            }
-
-            console.log(`🔬 Statistics Canada - ${parsedData.length} exchange rate data points retrieved`);
-            return parsedData;
-        } catch (error) {
-            console.error('❌ Statistics Canada business indicators error:', error.message);
-            return [];
-        }
-    }
-}
-
-// 🏢 ISED CANADA INTEGRATION
-class ISEDCanadaAPI {
-    constructor() {
-        this.baseUrl = 'https://www.ic.gc.ca/eic/site/061.nsf';
-    }
-
-    async getSMEInnovationData() {
-        try {
-            // ISED SME Profile data scraping (they don't have public API)
-            const response = await axios.get('https://www.ic.gc.ca/eic/site/061.nsf/eng/h_03018.html');
-            const $ = cheerio.load(response.data);
-            
-            const smeData = [];
-            
-            // Extract SME statistics from ISED pages
-            $('.data-table tr').each((index, element) => {
-                const row = $(element);
-                const metric = row.find('td:first-child').text().trim();
-                const value = row.find('td:nth-child(2)').text().trim();
-                
-                if (metric && value) {
-                    smeData.push({
-                        source: 'ISED Canada',
-                        metric_name: metric,
-                        metric_value: this.parseValue(value),
-                        collection_date: new Date()
-                    });
-                }
-            });
-
-            console.log('🏢 ISED Canada - SME Innovation data retrieved');
-            return smeData;
-        } catch (error) {
-            console.error('❌ ISED Canada scraping error:', error.message);
-            return [];
-        }
-    }
-
-    parseValue(valueString) {
-        // Extract numeric values from text
-        const numericValue = valueString.match(/[\d,]+\.?\d*/);
-        return numericValue ? parseFloat(numericValue[0].replace(/,/g, '')) : null;
-    }
-}
-
-// 📊 INDUSTRY REPORT SCRAPERS
-class IndustryReportScraper {
-    async getBDCResearch() {
-        try {
-            const response = await axios.get('https://www.bdc.ca/en/about/analysis-research', {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (compatible; SME-Intelligence-Bot/1.0)'
-                },
-                timeout: 15000
-            });
-
-            const $ = cheerio.load(response.data);
-            const insights = [];
-
-            // Extract research findings from BDC analysis page
-            $('h3, .card-title, .research-title, .article-title').each((index, element) => {
-                const finding = $(element).text().trim();
-                if (finding && (finding.includes('business') || finding.includes('SME') ||
-                    finding.includes('entrepreneur') || finding.includes('growth') ||
-                    finding.includes('economy') || finding.includes('small'))) {
-                    insights.push({
-                        source: 'BDC Research',
-                        metric_name: finding.substring(0, 200),
-                        metric_value: null,
-                        province: 'Canada',
-                        industry: 'SME Research',
-                        collection_date: new Date()
-                    });
-                }
-            });
-
-            console.log(`🏦 BDC - ${insights.length} SME research insights retrieved`);
-            return insights;
-        } catch (error) {
-            console.error('❌ BDC scraping error:', error.message);
-            return [];
-        }
-    }
-
-    async getRobertHalfSalaryData() {
-        try {
-            const response = await axios.get('https://www.roberthalf.ca/en/salary-guide', {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (compatible; SME-Intelligence-Bot/1.0)'
-                }
-            });
-            
-            const $ = cheerio.load(response.data);
-            const salaryData = [];
-            
-            // Extract CPA salary and demand data
-            $('.salary-data').each((index, element) => {
-                const role = $(element).find('.role-title').text();
-                const salary = $(element).find('.salary-range').text();
-                
-                if (role.includes('CPA') || role.includes('Accountant')) {
-                    salaryData.push({
-                        source: 'Robert Half',
-                        role: role.trim(),
-                        salary_range: salary.trim(),
-                        collection_date: new Date()
-                    });
-                }
-            });
-
-            console.log('💼 Robert Half - CPA Salary data retrieved');
-            return salaryData;
-        } catch (error) {
-            console.error('❌ Robert Half scraping error:', error.message);
-            return [];
-        }
-    }
-}
-
-// =====================================================
-// 🏛️ CPA DIRECTORY SCRAPERS
-// =====================================================
-
-// Common Canadian last names for scrapers that require exact/partial name input
-const COMMON_CANADIAN_LAST_NAMES = [
-  'Smith', 'Brown', 'Wilson', 'Johnson', 'Williams', 'Jones', 'Taylor', 'Lee',
-  'Martin', 'Anderson', 'Thomas', 'White', 'Thompson', 'Campbell', 'Stewart',
-  'MacDonald', 'Scott', 'Reid', 'Murray', 'Ross', 'Young', 'Mitchell', 'Walker',
-  'Robinson', 'Clark', 'Wright', 'King', 'Green', 'Baker', 'Hill', 'Hall',
-  'Wood', 'Watson', 'Gray', 'Robertson', 'Fraser', 'Hamilton', 'Graham',
-  'Henderson', 'Morrison', 'Marshall', 'Ferguson', 'Davidson', 'Kennedy',
-  'Gordon', 'Cameron', 'Burns', 'McDonald', 'Bell', 'Miller', 'Davis',
-  'Moore', 'Jackson', 'Harris', 'Lewis', 'Allen', 'Adams', 'Nelson',
-  'Carter', 'Patel', 'Singh', 'Chen', 'Wang', 'Li', 'Zhang', 'Liu',
-  'Yang', 'Huang', 'Nguyen', 'Tran', 'Kim', 'Park', 'Cho', 'Chan',
-  'Wong', 'Lam', 'Ho', 'Leung', 'Wu', 'Guo', 'Lin', 'Xu',
-  'Tremblay', 'Gagnon', 'Roy', 'Bouchard', 'Gauthier', 'Morin',
-  'Lavoie', 'Fortin', 'Gagné', 'Ouellet', 'Pelletier', 'Bélanger',
-  'Lévesque', 'Bergeron', 'Leblanc', 'Côté', 'Girard', 'Poirier'
-];
-
-// Helper: Generate name hash for deduplication
-function generateNameHash(name, province) {
-  const normalized = `${(name || '').toLowerCase().replace(/[^a-z]/g, '')}:${(province || '').toLowerCase()}`;
-  return crypto.createHash('sha256').update(normalized).digest('hex');
-}
-
-// Helper: Delay between requests
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// 2A. CPA BC Scraper — iMIS REST API
-class CPABCScraper {
-  constructor() {
-    this.agreementUrl = 'https://services.bccpa.ca/Directory/Public_Services/Directory_of_Members/Directory/User_Agreement.aspx';
-    this.searchUrl = 'https://services.bccpa.ca/Directory/Directory/CPABC_Directory_Search.aspx';
-    this.source = 'cpabc';
-    this.province = 'BC';
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    // ASP.NET control names for the search form
-    this.LAST_NAME_FIELD = 'ctl01$TemplateBody$WebPartManager1$gwpciNewQueryMenuCommon$ciNewQueryMenuCommon$ResultsGrid$Sheet0$Input2$TextBox1';
-    this.FIRST_NAME_FIELD = 'ctl01$TemplateBody$WebPartManager1$gwpciNewQueryMenuCommon$ciNewQueryMenuCommon$ResultsGrid$Sheet0$Input0$TextBox1';
-    this.CITY_FIELD = 'ctl01$TemplateBody$WebPartManager1$gwpciNewQueryMenuCommon$ciNewQueryMenuCommon$ResultsGrid$Sheet0$Input3$TextBox1';
-    this.SUBMIT_BUTTON = 'ctl01$TemplateBody$WebPartManager1$gwpciNewQueryMenuCommon$ciNewQueryMenuCommon$ResultsGrid$Sheet0$SubmitButton';
-  }
-
-  // Extract Set-Cookie headers into a cookie string
-  _extractCookies(headers) {
-    const setCookies = headers['set-cookie'];
-    if (!setCookies) return '';
-    return (Array.isArray(setCookies) ? setCookies : [setCookies])
-      .map(c => c.split(';')[0])
-      .join('; ');
-  }
-
-  // Merge new cookies into existing cookie string
-  _mergeCookies(existing, headers) {
-    const newCookies = this._extractCookies(headers);
-    if (!newCookies) return existing;
-    const cookieMap = {};
-    // Parse existing
-    if (existing) {
-      existing.split('; ').forEach(c => {
-        const [k, ...v] = c.split('=');
-        if (k) cookieMap[k.trim()] = v.join('=');
-      });
-    }
-    // Parse new (overwrite)
-    newCookies.split('; ').forEach(c => {
-      const [k, ...v] = c.split('=');
-      if (k) cookieMap[k.trim()] = v.join('=');
-    });
-    return Object.entries(cookieMap).map(([k, v]) => `${k}=${v}`).join('; ');
-  }
-
-  // Extract all hidden form fields from ASP.NET page
-  _extractHiddenFields(html) {
-    const $ = cheerio.load(html);
-    const fields = {};
-    $('input[type="hidden"]').each((_, el) => {
-      const name = $(el).attr('name');
-      const value = $(el).attr('value') || '';
-      if (name) fields[name] = value;
-    });
-    return fields;
-  }
-
-  // Parse CPA records from the Telerik RadGrid results table
-  // BC columns: Name+Desig(0), MemberStatus(1), PublicNotice(2), City(3), LicenceCategory(4), LicenceStatus(5), Firm(6), Hidden(7)
-  _parseResults(html) {
-    const $ = cheerio.load(html);
-    const records = [];
-
-    $('table.rgMasterTable tbody tr, table[id*="ResultsGrid"] tbody tr').each((_, row) => {
-      const $row = $(row);
-      if ($row.hasClass('rgHeader') || $row.hasClass('rgPager') || $row.hasClass('rgNoRecords')) return;
-      if ($row.find('th').length > 0) return;
-
-      const cells = $row.find('td');
-      if (cells.length < 4) return;
-
-      const cellTexts = [];
-      cells.each((_, cell) => cellTexts.push($(cell).text().trim()));
-
-      if (!cellTexts[0] || cellTexts[0].length < 2) return;
-
-      // Column 0: "LastName (Preferred) FirstName, CPA, CA" — name with designation embedded
-      const nameRaw = cellTexts[0];
-      let firstName = '', lastName = '', fullName = nameRaw, designation = 'CPA';
-
-      // Strip designation suffixes (CPA, CA, CMA, CGA, etc.)
-      const designationMatch = nameRaw.match(/,\s*(CPA[\s,A-Z]*?)$/i);
-      let nameClean = nameRaw;
-      if (designationMatch) {
-        designation = designationMatch[1].trim();
-        nameClean = nameRaw.slice(0, designationMatch.index).trim();
-      }
-
-      // Parse "Krohman, Darcy W." or "Krohman (Darcy) W." or "Darcy W. Krohman"
-      if (nameClean.includes(',')) {
-        const parts = nameClean.split(',').map(s => s.trim());
-        lastName = parts[0].replace(/\s*\(.*?\)\s*/g, '').trim();
-        firstName = parts[1] ? parts[1].replace(/\s*\(.*?\)\s*/g, '').trim().split(/\s+/)[0] : '';
-      } else {
-        // Extract preferred name from parentheses if present: "Darcy (Darcy) W. Krohman"
-        const preferredMatch = nameClean.match(/\(([^)]+)\)/);
-        const cleaned = nameClean.replace(/\s*\(.*?\)\s*/g, ' ').trim();
-        const parts = cleaned.split(/\s+/);
-        if (parts.length >= 2) {
-          // Last word is the last name, first word is first name
-          lastName = parts[parts.length - 1];
-          firstName = preferredMatch ? preferredMatch[1] : parts[0];
-        } else {
-          firstName = parts[0] || '';
-          lastName = '';
-        }
-      }
-      // Remove middle initials like "W." from firstName
-      firstName = firstName.replace(/\s+[A-Z]\.\s*/g, '').trim();
-      fullName = `${firstName} ${lastName}`.trim() || nameClean;
-
-      // Column 3: City of Employment (e.g., "Vancouver (BC)")
-      let city = cellTexts[3] || '';
-      city = city.replace(/\s*\([A-Z]{2}\)\s*$/, '').trim(); // Strip province suffix
-
-      // Column 6: Registered Firm
-      const firmName = (cells.length > 6 ? cellTexts[6] : '') || '';
-
-      records.push({ firstName, lastName, fullName, city, designation, firmName });
-    });
-
-    return records;
-  }
-
-  async scrape(dbClient) {
-    console.log('🔍 Starting CPA BC scrape (ASP.NET Web Forms mode)...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0;
-    let totalInserted = 0;
-    let totalSkipped = 0;
-    let consecutiveErrors = 0;
-
-    try {
-      // Step 1: Visit User Agreement page to establish session
-      console.log('[CPABC] Step 1: Visiting User Agreement page...');
-      const agreementRes = await axios.get(this.agreementUrl, {
-        headers: { 'User-Agent': this.userAgent },
-        timeout: 15000,
-        maxRedirects: 5,
-      });
-      let cookies = this._extractCookies(agreementRes.headers);
-      console.log(`[CPABC] Session cookies established: ${cookies ? 'yes' : 'no'}`);
-
-      // Step 2: GET search page with Referer from agreement page
-      console.log('[CPABC] Step 2: Loading search page...');
-      await delay(2000);
-      const searchPageRes = await axios.get(this.searchUrl, {
-        headers: {
-          'User-Agent': this.userAgent,
-          'Referer': this.agreementUrl,
-          'Cookie': cookies,
-        },
-        timeout: 15000,
-        maxRedirects: 5,
-      });
-      cookies = this._mergeCookies(cookies, searchPageRes.headers);
-
-      // Extract initial hidden fields
-      let hiddenFields = this._extractHiddenFields(searchPageRes.data);
-      const fieldCount = Object.keys(hiddenFields).length;
-      console.log(`[CPABC] Extracted ${fieldCount} hidden fields from search page`);
-
-      if (fieldCount === 0) {
-        throw new Error('No hidden fields found - search page may have changed structure');
-      }
-
-      // Step 3: Iterate 2-letter last name prefixes (aa-zz)
-      const letters = 'abcdefghijklmnopqrstuvwxyz';
-      let searchCount = 0;
-
-      for (let i = 0; i < letters.length; i++) {
-        for (let j = 0; j < letters.length; j++) {
-          const prefix = letters[i] + letters[j];
-          searchCount++;
-
-          // Log progress every 26 prefixes (each starting letter)
-          if (j === 0) {
-            console.log(`[CPABC] Searching "${letters[i]}*" prefixes (${searchCount}/676)... Found: ${totalFound}, Inserted: ${totalInserted}`);
-          }
-
-          try {
-            // Build form POST data
-            const formData = new URLSearchParams();
-
-            // Add all hidden fields
-            for (const [key, value] of Object.entries(hiddenFields)) {
-              formData.append(key, value);
-            }
-
-            // Clear any previous search values and set new search
-            formData.set(this.FIRST_NAME_FIELD, '');
-            formData.set(this.CITY_FIELD, '');
-            formData.set(this.LAST_NAME_FIELD, prefix);
-            formData.set(this.SUBMIT_BUTTON, 'Search');
-            // Ensure we get a full page response (not AJAX partial)
-            formData.delete('ctl01$ScriptManager1');
-            formData.set('__EVENTTARGET', '');
-            formData.set('__EVENTARGUMENT', '');
-
-            const searchRes = await axios.post(this.searchUrl, formData.toString(), {
-              headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'User-Agent': this.userAgent,
-                'Referer': this.searchUrl,
-                'Cookie': cookies,
-              },
-              timeout: 30000,
-              maxRedirects: 5,
-            });
-
-            // Update cookies from response
-            cookies = this._mergeCookies(cookies, searchRes.headers);
-
-            // Update hidden fields from the response for next search
-            const newHiddenFields = this._extractHiddenFields(searchRes.data);
-            if (Object.keys(newHiddenFields).length > 0) {
-              hiddenFields = newHiddenFields;
-            }
-
-            // Parse results from the HTML response
-            const records = this._parseResults(searchRes.data);
-            totalFound += records.length;
-            consecutiveErrors = 0;
-
-            // Insert records into database
-            for (const record of records) {
-              const fullName = record.fullName || `${record.firstName} ${record.lastName}`.trim();
-              const nameHash = generateNameHash(fullName, this.province);
-
-              // Dedup check
-              const existing = await dbClient.query('SELECT id FROM scraped_cpas WHERE name_hash = $1', [nameHash]);
-              if (existing.rows.length > 0) { totalSkipped++; continue; }
-
-              await dbClient.query(
-                `INSERT INTO scraped_cpas (source, first_name, last_name, full_name, designation, province, city, firm_name, name_hash, scrape_job_id)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-                [this.source, record.firstName, record.lastName, fullName,
-                 record.designation || 'CPA', this.province, record.city || '',
-                 record.firmName || '', nameHash, jobId]
-              );
-              totalInserted++;
-            }
-
-          } catch (err) {
-            consecutiveErrors++;
-            console.error(`[CPABC] Error for prefix "${prefix}":`, err.message);
-
-            // If too many consecutive errors, the session may have expired - re-establish
-            if (consecutiveErrors >= 5) {
-              console.log('[CPABC] Too many consecutive errors, re-establishing session...');
-              try {
-                const reAgree = await axios.get(this.agreementUrl, {
-                  headers: { 'User-Agent': this.userAgent },
-                  timeout: 15000,
-                });
-                cookies = this._extractCookies(reAgree.headers);
-                await delay(2000);
-                const reSearch = await axios.get(this.searchUrl, {
-                  headers: {
-                    'User-Agent': this.userAgent,
-                    'Referer': this.agreementUrl,
-                    'Cookie': cookies,
-                  },
-                  timeout: 15000,
-                });
-                cookies = this._mergeCookies(cookies, reSearch.headers);
-                hiddenFields = this._extractHiddenFields(reSearch.data);
-                consecutiveErrors = 0;
-                console.log('[CPABC] Session re-established successfully');
-              } catch (reErr) {
-                console.error('[CPABC] Failed to re-establish session:', reErr.message);
-              }
-            }
-          }
-
-          await delay(3000); // 3-second delay between requests
-        }
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ CPA BC scrape complete: ${totalFound} found, ${totalInserted} inserted, ${totalSkipped} skipped`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ CPA BC scrape failed:', error.message);
-    }
-
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _startJob(dbClient) {
-    const result = await dbClient.query(
-      `INSERT INTO scrape_jobs (source, status) VALUES ($1, 'running') RETURNING id`,
-      [this.source]
-    );
-    return result.rows[0].id;
-  }
-
-  async _completeJob(dbClient, jobId, found, inserted, skipped) {
-    await dbClient.query(
-      `UPDATE scrape_jobs SET status = 'completed', records_found = $2, records_inserted = $3, records_skipped = $4, completed_at = NOW() WHERE id = $1`,
-      [jobId, found, inserted, skipped]
-    );
-  }
-
-  async _failJob(dbClient, jobId, errorMsg) {
-    await dbClient.query(
-      `UPDATE scrape_jobs SET status = 'failed', error_message = $2, completed_at = NOW() WHERE id = $1`,
-      [jobId, errorMsg]
-    );
-  }
-}
-
-// =====================================================
-// 2B. Generic iMIS Directory Scraper (MB, SK, NS, NB, PEI, NL)
-// =====================================================
-// All these provinces use ASP.NET iMIS with Telerik RadGrid
-class IMISDirectoryScraper {
-  constructor({ source, province, searchUrl, lastNameFieldIndex, userAgent, exactMatchOnly, columnMap }) {
-    this.source = source;
-    this.province = province;
-    this.searchUrl = searchUrl;
-    this.lastNameFieldIndex = lastNameFieldIndex || 0; // which Input# is the last name
-    this.exactMatchOnly = exactMatchOnly || false; // if true, use common names instead of 2-letter prefixes
-    this.userAgent = userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    // Per-province column mapping for result table
-    // Keys: fullName, firstName, lastName, city, designation
-    // Values: column index in the result table
-    // If fullName is set, that single column has the full name
-    // If firstName+lastName are set, name is split across two columns
-    // Special: designationEmbeddedInLastName=true means designation is appended to last name col (NS)
-    this.columnMap = columnMap || { fullName: 0, city: 1, designation: 2 };
-  }
-
-  _extractCookies(headers) {
-    const setCookies = headers['set-cookie'];
-    if (!setCookies) return '';
-    return (Array.isArray(setCookies) ? setCookies : [setCookies])
-      .map(c => c.split(';')[0]).join('; ');
-  }
-
-  _mergeCookies(existing, headers) {
-    const newCookies = this._extractCookies(headers);
-    if (!newCookies) return existing;
-    const map = {};
-    if (existing) existing.split('; ').forEach(c => { const [k, ...v] = c.split('='); if (k) map[k.trim()] = v.join('='); });
-    newCookies.split('; ').forEach(c => { const [k, ...v] = c.split('='); if (k) map[k.trim()] = v.join('='); });
-    return Object.entries(map).map(([k, v]) => `${k}=${v}`).join('; ');
-  }
-
-  _extractHiddenFields(html) {
-    const $ = cheerio.load(html);
-    const fields = {};
-    $('input[type="hidden"]').each((_, el) => {
-      const name = $(el).attr('name');
-      const value = $(el).attr('value') || '';
-      if (name) fields[name] = value;
-    });
-    return fields;
-  }
-
-  // Auto-discover search form field names from the page HTML
-  _discoverFormFields(html) {
-    const $ = cheerio.load(html);
-    const textInputs = [];
-    const submitButtons = [];
-    $('input[type="text"]').each((_, el) => {
-      const name = $(el).attr('name') || '';
-      if (name.includes('TextBox') || name.includes('ResultsGrid')) textInputs.push(name);
-    });
-    $('input[type="submit"]').each((_, el) => {
-      const name = $(el).attr('name') || '';
-      const value = $(el).attr('value') || 'Search';
-      if (name.includes('SubmitButton')) submitButtons.push({ name, value });
-    });
-    const btn = submitButtons[0] || { name: '', value: 'Search' };
-    return { textInputs, submitButton: btn.name, submitButtonValue: btn.value };
-  }
-
-  _parseResults(html) {
-    const $ = cheerio.load(html);
-    const records = [];
-    const cm = this.columnMap;
-
-    // iMIS Telerik RadGrid: rows with rgRow/rgAltRow classes
-    $('table.rgMasterTable tbody tr, table[id*="ResultsGrid"] tbody tr, table[id*="Grid1"] tbody tr').each((_, row) => {
-      const $row = $(row);
-      if ($row.hasClass('rgHeader') || $row.hasClass('rgPager') || $row.hasClass('rgNoRecords')) return;
-      if ($row.find('th').length > 0) return;
-      const cells = $row.find('td');
-      if (cells.length < 2) return;
-      const cellTexts = [];
-      cells.each((_, cell) => cellTexts.push($(cell).text().trim()));
-
-      let firstName = '', lastName = '', fullName = '', city = '', designation = 'CPA';
-
-      if (cm.fullName !== undefined) {
-        // Single column has the full name (NB, NL style)
-        fullName = cellTexts[cm.fullName] || '';
-        if (!fullName || fullName.length < 2) return;
-        if (fullName.includes(',')) {
-          const parts = fullName.split(',').map(s => s.trim());
-          lastName = parts[0] || '';
-          firstName = parts[1] || '';
-        } else {
-          const parts = fullName.split(/\s+/);
-          firstName = parts[0] || '';
-          lastName = parts.slice(1).join(' ') || '';
-        }
-      } else {
-        // Separate first name and last name columns
-        firstName = (cm.firstName !== undefined ? cellTexts[cm.firstName] : '') || '';
-        lastName = (cm.lastName !== undefined ? cellTexts[cm.lastName] : '') || '';
-
-        // NS special case: designation embedded in last name column (e.g., "Smith, CPA, CA")
-        if (cm.designationEmbeddedInLastName && lastName.includes(',')) {
-          const parts = lastName.split(',').map(s => s.trim());
-          lastName = parts[0];
-          designation = parts.slice(1).join(', ') || 'CPA';
-        }
-
-        if (!firstName && !lastName) return;
-        fullName = `${firstName} ${lastName}`.trim();
-      }
-
-      city = (cm.city !== undefined ? cellTexts[cm.city] : '') || '';
-      if (cm.designation !== undefined && cellTexts[cm.designation]) {
-        designation = cellTexts[cm.designation];
-      }
-
-      records.push({ firstName, lastName, fullName, city, designation });
-    });
-
-    // Fallback: try any data table with same column map logic
-    if (records.length === 0) {
-      $('table tr').each((_, row) => {
-        const cells = $(row).find('td');
-        if (cells.length < 2) return;
-        const cellTexts = [];
-        cells.each((_, cell) => cellTexts.push($(cell).text().trim()));
-        if (!cellTexts[0] || cellTexts[0].length > 100 || cellTexts[0].length < 2) return;
-        if (/name/i.test(cellTexts[0]) && /city|town/i.test(cellTexts[1])) return;
-
-        let firstName = '', lastName = '', fullName = '', city = '', designation = 'CPA';
-
-        if (cm.fullName !== undefined) {
-          fullName = cellTexts[cm.fullName] || '';
-          if (!fullName || fullName.length < 2) return;
-          if (fullName.includes(',')) {
-            const parts = fullName.split(',').map(s => s.trim());
-            lastName = parts[0]; firstName = parts[1] || '';
-          } else {
-            const parts = fullName.split(/\s+/);
-            firstName = parts[0]; lastName = parts.slice(1).join(' ');
-          }
-        } else {
-          firstName = (cm.firstName !== undefined ? cellTexts[cm.firstName] : '') || '';
-          lastName = (cm.lastName !== undefined ? cellTexts[cm.lastName] : '') || '';
-          if (cm.designationEmbeddedInLastName && lastName.includes(',')) {
-            const parts = lastName.split(',').map(s => s.trim());
-            lastName = parts[0];
-            designation = parts.slice(1).join(', ') || 'CPA';
-          }
-          if (!firstName && !lastName) return;
-          fullName = `${firstName} ${lastName}`.trim();
-        }
-
-        city = (cm.city !== undefined ? cellTexts[cm.city] : '') || '';
-        if (cm.designation !== undefined && cellTexts[cm.designation]) designation = cellTexts[cm.designation];
-        if (/^[a-zA-ZÀ-ÿ\s,.''-]+$/.test(fullName)) {
-          records.push({ firstName, lastName, fullName, city, designation });
-        }
-      });
-    }
-    return records;
-  }
-
-  async scrape(dbClient) {
-    console.log(`🔍 Starting ${this.source} scrape (iMIS mode)...`);
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-    let consecutiveErrors = 0;
-
-    try {
-      // Step 1: GET search page
-      console.log(`[${this.source}] Loading search page: ${this.searchUrl}`);
-      const pageRes = await axios.get(this.searchUrl, {
-        headers: { 'User-Agent': this.userAgent },
-        timeout: 15000, maxRedirects: 5,
-      });
-      let cookies = this._extractCookies(pageRes.headers);
-      let hiddenFields = this._extractHiddenFields(pageRes.data);
-      const { textInputs, submitButton, submitButtonValue } = this._discoverFormFields(pageRes.data);
-
-      console.log(`[${this.source}] Hidden fields: ${Object.keys(hiddenFields).length}, Text inputs: ${textInputs.length}, Submit: ${submitButton ? `found (value="${submitButtonValue}")` : 'NOT FOUND'}`);
-
-      if (!submitButton || textInputs.length === 0) {
-        throw new Error('Could not discover search form fields - page structure may have changed');
-      }
-
-      const lastNameField = textInputs[this.lastNameFieldIndex] || textInputs[0];
-      console.log(`[${this.source}] Using last name field: ${lastNameField}`);
-      console.log(`[${this.source}] Search mode: ${this.exactMatchOnly ? 'exact match (common names)' : '2-letter prefixes'}`);
-
-      // Step 2: Build search terms list
-      let searchTerms;
-      if (this.exactMatchOnly) {
-        // For directories that require exact last name match, use common Canadian last names
-        searchTerms = COMMON_CANADIAN_LAST_NAMES;
-      } else {
-        // Use 2-letter prefixes for partial match directories
-        const letters = 'abcdefghijklmnopqrstuvwxyz';
-        searchTerms = [];
-        for (let i = 0; i < letters.length; i++) {
-          for (let j = 0; j < letters.length; j++) {
-            searchTerms.push(letters[i] + letters[j]);
-          }
-        }
-      }
-
-      for (let searchIdx = 0; searchIdx < searchTerms.length; searchIdx++) {
-          const searchTerm = searchTerms[searchIdx];
-
-          if (this.exactMatchOnly) {
-            if (searchIdx % 10 === 0) {
-              console.log(`[${this.source}] Progress: ${searchIdx}/${searchTerms.length} names... Found: ${totalFound}, Inserted: ${totalInserted}`);
-            }
-          } else if (searchIdx % 26 === 0) {
-            console.log(`[${this.source}] Searching "${searchTerm[0]}*" prefixes (${searchIdx + 1}/${searchTerms.length})... Found: ${totalFound}, Inserted: ${totalInserted}`);
-          }
-
-          try {
-            const formData = new URLSearchParams();
-            for (const [key, value] of Object.entries(hiddenFields)) {
-              formData.append(key, value);
-            }
-            // Set all text inputs to empty, then set the last name field
-            for (const input of textInputs) {
-              formData.set(input, '');
-            }
-            formData.set(lastNameField, searchTerm);
-            formData.set(submitButton, submitButtonValue);
-            formData.delete('ctl01$ScriptManager1');
-            formData.delete('ctl00$ScriptManager1');
-            // iMIS __doPostBack sets __EVENTTARGET to the submit button name
-            formData.set('__EVENTTARGET', submitButton);
-            formData.set('__EVENTARGUMENT', '');
-
-            const searchRes = await axios.post(this.searchUrl, formData.toString(), {
-              headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'User-Agent': this.userAgent,
-                'Referer': this.searchUrl,
-                'Cookie': cookies,
-              },
-              timeout: 30000, maxRedirects: 5,
-            });
-
-            cookies = this._mergeCookies(cookies, searchRes.headers);
-            const newHidden = this._extractHiddenFields(searchRes.data);
-            if (Object.keys(newHidden).length > 0) hiddenFields = newHidden;
-
-            const records = this._parseResults(searchRes.data);
-            totalFound += records.length;
-            consecutiveErrors = 0;
-
-            for (const record of records) {
-              const fullName = record.fullName || `${record.firstName} ${record.lastName}`.trim();
-              const nameHash = generateNameHash(fullName, this.province);
-              const existing = await dbClient.query('SELECT id FROM scraped_cpas WHERE name_hash = $1', [nameHash]);
-              if (existing.rows.length > 0) { totalSkipped++; continue; }
-              await dbClient.query(
-                `INSERT INTO scraped_cpas (source, first_name, last_name, full_name, designation, province, city, name_hash, scrape_job_id)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-                [this.source, record.firstName, record.lastName, fullName, record.designation, this.province, record.city, nameHash, jobId]
-              );
-              totalInserted++;
-            }
-          } catch (err) {
-            consecutiveErrors++;
-            if (consecutiveErrors <= 3) console.error(`[${this.source}] Error for "${searchTerm}":`, err.message);
-            if (consecutiveErrors >= 5) {
-              console.log(`[${this.source}] Re-establishing session...`);
-              try {
-                const reRes = await axios.get(this.searchUrl, { headers: { 'User-Agent': this.userAgent }, timeout: 15000 });
-                cookies = this._extractCookies(reRes.headers);
-                hiddenFields = this._extractHiddenFields(reRes.data);
-                consecutiveErrors = 0;
-              } catch (reErr) {
-                console.error(`[${this.source}] Session re-establish failed:`, reErr.message);
-              }
-            }
-          }
-          await delay(3000);
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ ${this.source} scrape complete: ${totalFound} found, ${totalInserted} inserted, ${totalSkipped} skipped`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error(`❌ ${this.source} scrape failed:`, error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _startJob(dbClient) {
-    const r = await dbClient.query(`INSERT INTO scrape_jobs (source, status) VALUES ($1, 'running') RETURNING id`, [this.source]);
-    return r.rows[0].id;
-  }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='completed', records_found=$2, records_inserted=$3, records_skipped=$4, completed_at=NOW() WHERE id=$1`, [jobId, found, inserted, skipped]);
-  }
-  async _failJob(dbClient, jobId, msg) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='failed', error_message=$2, completed_at=NOW() WHERE id=$1`, [jobId, msg]);
-  }
-}
-
-// Province instances using the generic iMIS scraper
-// Column maps match actual HTML table structure per province
-
-// MB: 8 cols — FirstName(0), Informal(1), MiddleName(2), LastName(3), Designation(4), City(5), Status(6), MemberType(7)
-const cpaMBScraper = new IMISDirectoryScraper({
-  source: 'cpamb', province: 'MB',
-  searchUrl: 'https://cpamb.ca/main/main/find-a-cpa/find-a-member.aspx',
-  lastNameFieldIndex: 2, // Input0=FirstName, Input1=Informal, Input2=LastName, Input3=City
-  columnMap: { firstName: 0, lastName: 3, designation: 4, city: 5 },
-});
-
-// SK: 11 cols — FirstName(0), Informal(1), LastName(2), Designation(3), Status(4), Category(5), City(6), ...
-const cpaSKScraper = new IMISDirectoryScraper({
-  source: 'cpask', province: 'SK',
-  searchUrl: 'https://member.cpask.ca/CPASK/Member-Firm-Search-Pages/Find_a_CPA_Member.aspx',
-  lastNameFieldIndex: 0, // Input0=LastName
-  exactMatchOnly: true,
-  columnMap: { firstName: 0, lastName: 2, designation: 3, city: 6 },
-});
-
-// NS: 6 cols — LastName+Desig(0), FirstName(1), PreferredName(2), City(3), PALicence(4), Hidden(5)
-const cpaNSScraper = new IMISDirectoryScraper({
-  source: 'cpans', province: 'NS',
-  searchUrl: 'https://member.cpans.ca/member-portal/Main/Find-a-CPA/membership-directory.aspx',
-  lastNameFieldIndex: 0,
-  columnMap: { firstName: 1, lastName: 0, city: 3, designationEmbeddedInLastName: true },
-});
-
-// NB: 4 cols — Name(0), Designation(1), City(2), Status(3)
-const cpaNBScraper = new IMISDirectoryScraper({
-  source: 'cpanb', province: 'NB',
-  searchUrl: 'https://cpanewbrunswick.ca/Main/Main/Find-a-CPA/membership-directory.aspx',
-  lastNameFieldIndex: 0,
-  columnMap: { fullName: 0, designation: 1, city: 2 },
-});
-
-// PEI: 5 cols — Informal(0), LastName(1), Designation(2), City(3), Status(4)
-const cpaPEIScraper = new IMISDirectoryScraper({
-  source: 'cpapei', province: 'PE',
-  searchUrl: 'https://www.cpapei.ca/Main/Main/Find-a-CPA/membership-directory.aspx',
-  lastNameFieldIndex: 0,
-  columnMap: { firstName: 0, lastName: 1, designation: 2, city: 3 },
-});
-
-// NL: 4 cols — Name(0), Designation(1), City(2), Status(3)
-const cpaNLScraper = new IMISDirectoryScraper({
-  source: 'cpanl', province: 'NL',
-  searchUrl: 'https://cpanl.ca/CPANL/CPANL/Find-a-CPA/membership-directory.aspx',
-  lastNameFieldIndex: 0,
-  columnMap: { fullName: 0, designation: 1, city: 2 },
-});
-
-// =====================================================
-// 2C. CPA Alberta Scraper — ASP.NET MVC form POST
-// =====================================================
-// Form action: /VerifyEntity/Members/ShowMembers (NOT /Members/)
-// Fields: lastname, firstname, city, Verify=Verify (all lowercase)
-// Response types: "Refine your Search" (too many), "No Results Found", multi-result table, single detail
-class CPAAlbertaScraper {
-  constructor() {
-    this.searchUrl = 'https://services.cpaalberta.ca/VerifyEntity/Members/ShowMembers';
-    this.refererUrl = 'https://services.cpaalberta.ca/VerifyEntity/Members/';
-    this.detailUrl = 'https://services.cpaalberta.ca/VerifyEntity/Members/ShowMemberDetails';
-    this.source = 'cpaalberta';
-    this.province = 'AB';
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-  }
-
-  async scrape(dbClient) {
-    console.log('🔍 Starting CPA Alberta scrape...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-
-    // Build a broader search list: common last names + 2-letter alphabet prefixes
-    // Alberta returns "too many results" for just a last name, so we combine lastname + firstname initial
-    const firstNameInitials = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
-
-    try {
-      for (let idx = 0; idx < COMMON_CANADIAN_LAST_NAMES.length; idx++) {
-        const lastName = COMMON_CANADIAN_LAST_NAMES[idx];
-        if (idx % 10 === 0) {
-          console.log(`[CPAAlberta] Progress: ${idx}/${COMMON_CANADIAN_LAST_NAMES.length} names... Found: ${totalFound}, Inserted: ${totalInserted}`);
-        }
-
-        // First try with just the last name
-        try {
-          const result = await this._searchAndParse(dbClient, lastName, '', jobId);
-          if (result.tooMany) {
-            // Too many results — narrow with first name initials
-            for (const initial of firstNameInitials) {
-              try {
-                const narrowResult = await this._searchAndParse(dbClient, lastName, initial, jobId);
-                totalFound += narrowResult.found;
-                totalInserted += narrowResult.inserted;
-                totalSkipped += narrowResult.skipped;
-              } catch (err) {
-                console.error(`[CPAAlberta] Error for "${lastName}/${initial}":`, err.message);
-              }
-              await delay(2000);
-            }
-          } else {
-            totalFound += result.found;
-            totalInserted += result.inserted;
-            totalSkipped += result.skipped;
-          }
-        } catch (err) {
-          if (err.response?.status !== 404) console.error(`[CPAAlberta] Error for "${lastName}":`, err.message);
-        }
-        await delay(2000);
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ CPA Alberta scrape complete: ${totalFound} found, ${totalInserted} inserted, ${totalSkipped} skipped`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ CPA Alberta scrape failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _searchAndParse(dbClient, lastName, firstName, jobId) {
-    const formData = new URLSearchParams();
-    formData.append('lastname', lastName);
-    formData.append('firstname', firstName);
-    formData.append('city', '');
-    formData.append('Verify', 'Verify');
-
-    const response = await axios.post(this.searchUrl, formData.toString(), {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': this.userAgent,
-        'Referer': this.refererUrl,
-      },
-      timeout: 20000, maxRedirects: 5,
-    });
-
-    const $ = cheerio.load(response.data);
-    let found = 0, inserted = 0, skipped = 0;
-
-    // Check for "too many results"
-    if ($('h3').filter((_, el) => $(el).text().includes('Refine your Search')).length > 0) {
-      return { found: 0, inserted: 0, skipped: 0, tooMany: true };
-    }
-
-    // Check for "no results"
-    if ($('h3').filter((_, el) => $(el).text().includes('No Results Found')).length > 0) {
-      return { found: 0, inserted: 0, skipped: 0, tooMany: false };
-    }
-
-    // Multi-result table: form#ShowMemberDetails with table.TFtable
-    const multiForm = $('form#ShowMemberDetails');
-    if (multiForm.length > 0) {
-      const table = multiForm.find('table.TFtable');
-      const rows = table.find('tr');
-      for (let i = 1; i < rows.length; i++) { // skip header row
-        const cells = $(rows[i]).find('td');
-        if (cells.length < 2) continue;
-        const nameText = $(cells[0]).text().trim();
-        const city = $(cells[1]).text().trim();
-        if (!nameText || nameText.length < 3) continue;
-
-        found++;
-        const record = this._parseName(nameText, city);
-        const didInsert = await this._insertRecord(dbClient, { ...record, jobId });
-        if (didInsert) inserted++; else skipped++;
-      }
-    }
-
-    // Single result detail table: table.TFtable with tabcelRight cells (no ShowMemberDetails form)
-    if (multiForm.length === 0) {
-      const detailTable = $('table.TFtable');
-      if (detailTable.length > 0) {
-        let memberName = '', businessCity = '';
-        detailTable.find('tr').each((_, row) => {
-          const cells = $(row).find('td');
-          if (cells.length >= 2) {
-            const label = $(cells[0]).text().trim();
-            const value = $(cells[1]).text().trim();
-            if (/member name/i.test(label)) memberName = value;
-            if (/business city/i.test(label)) businessCity = value;
-          }
-        });
-        if (memberName) {
-          found++;
-          const record = this._parseName(memberName, businessCity);
-          const didInsert = await this._insertRecord(dbClient, { ...record, jobId });
-          if (didInsert) inserted++; else skipped++;
-        }
-      }
-    }
-
-    return { found, inserted, skipped, tooMany: false };
-  }
-
-  _parseName(nameText, city) {
-    // Names like "John D SMITH, CPA, CMA" or "SMITH, John D CPA"
-    let firstName = '', lastName = '', fullName = nameText;
-    // Strip designation suffixes
-    const cleanName = nameText.replace(/,?\s*(CPA|CMA|CA|CGA|FCPA|FCMA|FCA|FCGA|MBA|PhD|LPA)\b/gi, '').trim();
-    if (cleanName.includes(',')) {
-      const parts = cleanName.split(',').map(s => s.trim());
-      lastName = parts[0]; firstName = parts[1] || '';
-    } else {
-      const parts = cleanName.split(/\s+/);
-      firstName = parts[0] || ''; lastName = parts.slice(1).join(' ') || '';
-    }
-    const nameHash = generateNameHash(fullName, this.province);
-    return { firstName, lastName, fullName, city, nameHash };
-  }
-
-  async _insertRecord(dbClient, { firstName, lastName, fullName, city, nameHash, jobId }) {
-    const existing = await dbClient.query('SELECT id FROM scraped_cpas WHERE name_hash = $1', [nameHash]);
-    if (existing.rows.length > 0) return false;
-    await dbClient.query(
-      `INSERT INTO scraped_cpas (source, first_name, last_name, full_name, designation, province, city, name_hash, scrape_job_id)
-       VALUES ($1, $2, $3, $4, 'CPA', $5, $6, $7, $8)`,
-      [this.source, firstName, lastName, fullName, this.province, city, nameHash, jobId]
-    );
-    return true;
-  }
-
-  async _startJob(dbClient) {
-    const r = await dbClient.query(`INSERT INTO scrape_jobs (source, status) VALUES ($1, 'running') RETURNING id`, [this.source]);
-    return r.rows[0].id;
-  }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='completed', records_found=$2, records_inserted=$3, records_skipped=$4, completed_at=NOW() WHERE id=$1`, [jobId, found, inserted, skipped]);
-  }
-  async _failJob(dbClient, jobId, msg) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='failed', error_message=$2, completed_at=NOW() WHERE id=$1`, [jobId, msg]);
-  }
-}
-
-// =====================================================
-// 2D. CPA Quebec Scraper — Sitecore API
-// =====================================================
-class CPAQuebecScraper {
-  constructor() {
-    this.apiUrl = 'https://cpaquebec.ca/api/sitecore/FindACPA/FindACPABottinFormSubmit';
-    this.source = 'cpaquebec';
-    this.province = 'QC';
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-  }
-
-  async scrape(dbClient) {
-    console.log('🔍 Starting CPA Quebec scrape (Sitecore API)...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-
-    try {
-      // First GET the directory page to establish session and check for reCAPTCHA
-      const pageRes = await axios.get('https://cpaquebec.ca/en/find-a-cpa/cpa-directory/', {
-        headers: { 'User-Agent': this.userAgent },
-        timeout: 15000,
-      });
-      let cookies = '';
-      const setCookies = pageRes.headers['set-cookie'];
-      if (setCookies) {
-        cookies = (Array.isArray(setCookies) ? setCookies : [setCookies])
-          .map(c => c.split(';')[0]).join('; ');
-      }
-
-      // Check for reCAPTCHA — if present, we cannot scrape without a CAPTCHA solver
-      if (pageRes.data.includes('g-recaptcha') || pageRes.data.includes('recaptcha')) {
-        console.log('[CPAQuebec] ⚠️ Directory is protected by Google reCAPTCHA v2');
-        console.log('[CPAQuebec] Cannot scrape without a CAPTCHA solving service or headless browser');
-        console.log('[CPAQuebec] Attempting search without reCAPTCHA token to verify...');
-      }
-
-      // Try a test search to see if reCAPTCHA is truly enforced
-      const testFormData = new URLSearchParams();
-      testFormData.append('Nom', 'Smith');
-      testFormData.append('Prenom', '');
-      testFormData.append('Ville', '');
-      testFormData.append('PageNumber', '0');
-      testFormData.append('Action', 'Rechercher');
-      testFormData.append('ActionParams', '');
-      testFormData.append('CriteresRechercheOrinal', '');
-      testFormData.append('AfficherResultatMap', 'False');
-
-      const testRes = await axios.post(this.apiUrl + '?Length=8', testFormData.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'User-Agent': this.userAgent,
-          'Referer': 'https://cpaquebec.ca/en/find-a-cpa/cpa-directory/',
-          'Cookie': cookies,
-          'X-Requested-With': 'XMLHttpRequest',
-        },
-        timeout: 20000,
-      });
-
-      const testData = typeof testRes.data === 'string' ? testRes.data : JSON.stringify(testRes.data);
-      // If response is a window.location redirect or very short, reCAPTCHA is blocking
-      if (testData.includes('window.location') || testData.length < 200) {
-        console.log(`[CPAQuebec] ❌ reCAPTCHA is enforced — got redirect response (${testData.length} bytes)`);
-        console.log('[CPAQuebec] Quebec scraping requires reCAPTCHA solving. Skipping for now.');
-        await this._failJob(dbClient, jobId, 'reCAPTCHA protection blocks automated scraping. Need CAPTCHA solving service.');
-        return { found: 0, inserted: 0, skipped: 0 };
-      }
-
-      // If we got past reCAPTCHA check, try the full scrape
-      console.log(`[CPAQuebec] Test search returned ${testData.length} bytes — attempting full scrape...`);
-
-      // Search by last name using the Sitecore API
-      for (let idx = 0; idx < COMMON_CANADIAN_LAST_NAMES.length; idx++) {
-        const lastName = COMMON_CANADIAN_LAST_NAMES[idx];
-        if (idx % 20 === 0) {
-          console.log(`[CPAQuebec] Progress: ${idx}/${COMMON_CANADIAN_LAST_NAMES.length} names... Found: ${totalFound}, Inserted: ${totalInserted}`);
-        }
-
-        try {
-          let page = 0;
-          let hasMore = true;
-
-          while (hasMore) {
-            const formData = new URLSearchParams();
-            formData.append('Nom', lastName);
-            formData.append('Prenom', '');
-            formData.append('Ville', '');
-            formData.append('PageNumber', page.toString());
-            formData.append('Action', 'Rechercher');
-            formData.append('ActionParams', '');
-            formData.append('CriteresRechercheOrinal', '');
-            formData.append('AfficherResultatMap', 'False');
-
-            const response = await axios.post(this.apiUrl + '?Length=8', formData.toString(), {
-              headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'User-Agent': this.userAgent,
-                'Referer': 'https://cpaquebec.ca/en/find-a-cpa/cpa-directory/',
-                'Cookie': cookies,
-                'X-Requested-With': 'XMLHttpRequest',
-              },
-              timeout: 20000,
-            });
-
-            // Update cookies from response
-            if (response.headers['set-cookie']) {
-              const newCookies = (Array.isArray(response.headers['set-cookie']) ? response.headers['set-cookie'] : [response.headers['set-cookie']])
-                .map(c => c.split(';')[0]).join('; ');
-              if (newCookies) cookies = newCookies;
-            }
-
-            // Parse response — could be HTML fragment with var result=[...] or JSON
-            let records = [];
-            const data = response.data;
-
-            if (typeof data === 'string') {
-              // Check for embedded JavaScript array: var result = [{...}, ...]
-              const resultMatch = data.match(/var\s+result\s*=\s*(\[[\s\S]*?\]);/);
-              if (resultMatch) {
-                try {
-                  const resultArr = JSON.parse(resultMatch[1]);
-                  for (const item of resultArr) {
-                    const name = `${item.PrenomMembre || ''} ${item.NomClient || ''}`.trim();
-                    if (name && name.length > 2) {
-                      records.push({
-                        name,
-                        city: '',
-                        phone: '',
-                        firm: item.NomEmployeur || '',
-                      });
-                    }
-                  }
-                } catch (parseErr) { /* skip parse error */ }
-              }
-
-              // Fallback: parse HTML for CPA entries
-              if (records.length === 0) {
-                const $ = cheerio.load(data);
-                $('.bottin-result, .cpa-result, .result-item, .membre-item, .card').each((_, el) => {
-                  const $el = $(el);
-                  const name = $el.find('.nom, .name, h3, h4, strong').first().text().trim();
-                  const city = $el.find('.ville, .city, .location').first().text().trim();
-                  if (name && name.length > 2 && name.length < 100) {
-                    records.push({ name, city, phone: '' });
-                  }
-                });
-              }
-            } else if (typeof data === 'object') {
-              const items = data.Results || data.results || data.Items || data.items || data.membres || [];
-              if (Array.isArray(items)) {
-                records = items.map(item => ({
-                  name: item.Nom || item.Name || item.nom || `${item.Prenom || ''} ${item.NomFamille || ''}`.trim(),
-                  city: item.Ville || item.City || item.ville || '',
-                  phone: item.Telephone || item.Phone || item.telephone || '',
-                }));
-              }
-            }
-
-            totalFound += records.length;
-
-            for (const record of records) {
-              if (!record.name) continue;
-              const nameHash = generateNameHash(record.name, this.province);
-              const existing = await dbClient.query('SELECT id FROM scraped_cpas WHERE name_hash = $1', [nameHash]);
-              if (existing.rows.length > 0) { totalSkipped++; continue; }
-
-              const parts = record.name.split(/\s+/);
-              await dbClient.query(
-                `INSERT INTO scraped_cpas (source, first_name, last_name, full_name, designation, province, city, phone, name_hash, scrape_job_id)
-                 VALUES ($1, $2, $3, $4, 'CPA', $5, $6, $7, $8, $9)`,
-                [this.source, parts[0] || '', parts.slice(1).join(' ') || '', record.name,
-                 this.province, record.city, record.phone, nameHash, jobId]
-              );
-              totalInserted++;
-            }
-
-            hasMore = records.length >= 10 && page < 50;
-            page++;
-            if (hasMore) await delay(2000);
-          }
-        } catch (err) {
-          if (err.response?.status !== 404) console.error(`[CPAQuebec] Error for "${lastName}":`, err.message);
-        }
-        await delay(3000);
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ CPA Quebec scrape complete: ${totalFound} found, ${totalInserted} inserted`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ CPA Quebec scrape failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _startJob(dbClient) {
-    const r = await dbClient.query(`INSERT INTO scrape_jobs (source, status) VALUES ($1, 'running') RETURNING id`, [this.source]);
-    return r.rows[0].id;
-  }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='completed', records_found=$2, records_inserted=$3, records_skipped=$4, completed_at=NOW() WHERE id=$1`, [jobId, found, inserted, skipped]);
-  }
-  async _failJob(dbClient, jobId, msg) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='failed', error_message=$2, completed_at=NOW() WHERE id=$1`, [jobId, msg]);
-  }
-}
-
-// =====================================================
-// 2E. CPA Ontario Scraper — Salesforce Lightning
-// =====================================================
-class CPAOntarioScraper {
-  constructor() {
-    this.auraUrl = 'https://myportal.cpaontario.ca/s/sfsites/aura?r=1&aura.ApexAction.execute=1';
-    this.pageUrl = 'https://myportal.cpaontario.ca/s/searchdirectory';
-    this.source = 'cpaontario';
-    this.province = 'ON';
-    this.userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    this.seenIds = new Set();
-  }
-
-  async scrape(dbClient) {
-    console.log('🔍 Starting CPA Ontario scrape (Salesforce Aura API)...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-
-    try {
-      // Step 1: Fetch the page to get the current fwuid
-      const fwuid = await this._getFwuid();
-      console.log(`[CPAOntario] Got fwuid: ${fwuid.substring(0, 20)}...`);
-
-      // Step 2: Build search terms — use last names plus supplementary terms
-      // The API does substring matching and caps at 2000 results per query
-      // We need specific enough terms to stay under 2000
-      const searchTerms = [
-        ...COMMON_CANADIAN_LAST_NAMES,
-        // Ontario city names for coverage
-        'Toronto', 'Ottawa', 'Mississauga', 'Brampton', 'Hamilton',
-        'London', 'Markham', 'Vaughan', 'Kitchener', 'Windsor',
-        'Richmond Hill', 'Oakville', 'Burlington', 'Oshawa', 'Barrie',
-        'St. Catharines', 'Guelph', 'Cambridge', 'Waterloo', 'Kingston',
-        'Thunder Bay', 'Sudbury', 'Peterborough', 'Newmarket', 'Ajax',
-        'Pickering', 'Whitby', 'Niagara', 'Scarborough', 'Etobicoke',
-        'North York', 'Kanata', 'Nepean', 'Stoney Creek', 'Brantford',
-        'Sarnia', 'Sault Ste', 'Belleville', 'Stratford', 'Woodstock',
-        'Timmins', 'North Bay', 'Cornwall', 'Chatham', 'Brockville',
-        // Common first names for extra coverage
-        'Michael', 'David', 'Robert', 'James', 'John', 'Richard', 'William',
-        'Jennifer', 'Sarah', 'Lisa', 'Susan', 'Karen', 'Jessica', 'Amanda',
-        'Christopher', 'Daniel', 'Matthew', 'Andrew', 'Steven', 'Kevin',
-        'Brian', 'Mark', 'Jason', 'Jeffrey', 'Timothy', 'Joseph', 'Anthony',
-        'Mohamed', 'Muhammad', 'Ahmed', 'Ali', 'Hassan', 'Priya', 'Raj',
-        'Deepak', 'Sanjay', 'Anand', 'Ravi', 'Amit', 'Arun', 'Vijay',
-        // Additional surnames for coverage
-        'Murphy', 'Sullivan', 'Collins', 'Kelly', 'Walsh', 'Lynch',
-        'Sharma', 'Gupta', 'Kumar', 'Das', 'Nair', 'Reddy', 'Rao',
-        'Cheng', 'Zhao', 'Zhou', 'Sun', 'Ma', 'Zhu', 'Hu',
-        'Khan', 'Sheikh', 'Hussain', 'Malik', 'Amir',
-        'Peters', 'Spencer', 'Long', 'Fox', 'Stone', 'Porter', 'Hunter',
-        'Mason', 'Cole', 'Webb', 'Palmer', 'Arnold', 'Harvey', 'Pearson',
-        'Dunn', 'Todd', 'Floyd', 'May', 'Lambert', 'Tucker', 'Burke',
-        'Barrett', 'Dixon', 'Payne', 'Henry', 'George', 'Wallace', 'Rhodes',
-        'Black', 'Hart', 'Hopkins', 'Saunders', 'Matthews', 'Barnes',
-        'Deloitte', 'KPMG', 'Ernst', 'PricewaterhouseCoopers', 'BDO',
-        'MNP', 'Grant Thornton', 'RSM', 'Baker Tilly', 'Crowe',
-        'Doane', 'Richter', 'Welch', 'Collins Barrow', 'Durward',
-        // Accounting/CPA-specific terms
-        'CGA', 'CMA', 'Chartered',
-      ];
-
-      // Remove duplicates (case-insensitive)
-      const uniqueTerms = [];
-      const seen = new Set();
-      for (const term of searchTerms) {
-        const lower = term.toLowerCase();
-        if (!seen.has(lower)) {
-          seen.add(lower);
-          uniqueTerms.push(term);
-        }
-      }
-
-      console.log(`[CPAOntario] Will search ${uniqueTerms.length} terms via Aura API`);
-
-      for (let idx = 0; idx < uniqueTerms.length; idx++) {
-        const term = uniqueTerms[idx];
-        if (idx % 25 === 0) {
-          console.log(`[CPAOntario] Progress: ${idx}/${uniqueTerms.length} terms | Found: ${totalFound} | Inserted: ${totalInserted} | Unique IDs: ${this.seenIds.size}`);
-        }
-
-        try {
-          // Get count first
-          const count = await this._auraCall(fwuid, 'getContactsCount', { searchString: term });
-          if (count === 0) continue;
-
-          const effectiveCount = Math.min(count, 2000);
-          if (count >= 2000) {
-            console.log(`[CPAOntario] Warning: "${term}" returned 2000 (capped), some records may be missed`);
-          }
-
-          // Paginate through results
-          const pageSize = 100;
-          const totalPages = Math.ceil(effectiveCount / pageSize);
-
-          for (let page = 1; page <= totalPages; page++) {
-            const records = await this._auraCall(fwuid, 'getContactsList', {
-              pagenumber: page,
-              numberOfRecords: effectiveCount,
-              pageSize,
-              searchString: term,
-            });
-
-            if (!records || !Array.isArray(records)) break;
-
-            for (const rec of records) {
-              const sfId = rec.Id;
-              if (!sfId || this.seenIds.has(sfId)) continue;
-              this.seenIds.add(sfId);
-
-              totalFound++;
-              const fullName = rec.CPAO_CPA_Full_Legal_Name__c || '';
-              const designation = rec.CPAO_Designation__c || 'CPA';
-              const city = rec.CPAO_CPA_Employer_City__c || '';
-              const firmName = rec.CPAO_Employer_dir__c || '';
-
-              if (!fullName || fullName.length < 3) continue;
-
-              // Parse "LastName, FirstName MiddleName" format
-              let firstName = '', lastName = '';
-              if (fullName.includes(',')) {
-                const parts = fullName.split(',').map(s => s.trim());
-                lastName = parts[0];
-                firstName = parts[1] ? parts[1].split(/\s+/)[0] : '';
-              } else {
-                const parts = fullName.split(/\s+/);
-                firstName = parts[0] || '';
-                lastName = parts.slice(1).join(' ') || '';
-              }
-
-              const nameHash = generateNameHash(fullName, this.province);
-              const ok = await this._insertRecord(dbClient, {
-                firstName, lastName, fullName, designation, city, firmName, nameHash, jobId
-              });
-              if (ok) totalInserted++;
-              else totalSkipped++;
-            }
-
-            if (records.length < pageSize) break;
-            await delay(2000);
-          }
-        } catch (err) {
-          console.error(`[CPAOntario] Error for "${term}":`, err.message);
-          // If fwuid expired, try refreshing it
-          if (err.message && err.message.includes('invalidSession')) {
-            console.log('[CPAOntario] Session expired, refreshing fwuid...');
-            try {
-              const newFwuid = await this._getFwuid();
-              Object.assign(this, { currentFwuid: newFwuid });
-              console.log('[CPAOntario] fwuid refreshed successfully');
-            } catch (refreshErr) {
-              console.error('[CPAOntario] Failed to refresh fwuid:', refreshErr.message);
-            }
-          }
-        }
-        await delay(3000);
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ CPA Ontario scrape complete: ${totalFound} found, ${totalInserted} inserted, ${totalSkipped} skipped (${this.seenIds.size} unique Salesforce IDs)`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ CPA Ontario scrape failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _getFwuid() {
-    const pageRes = await axios.get(this.pageUrl, {
-      headers: { 'User-Agent': this.userAgent },
-      timeout: 20000,
-    });
-    const match = pageRes.data.match(/"fwuid"\s*:\s*"([^"]+)"/);
-    if (!match) throw new Error('Could not extract fwuid from CPA Ontario page');
-    return match[1];
-  }
-
-  async _auraCall(fwuid, method, params) {
-    const message = JSON.stringify({
-      actions: [{
-        id: '1;a',
-        descriptor: 'aura://ApexActionController/ACTION$execute',
-        callingDescriptor: 'UNKNOWN',
-        params: {
-          namespace: 'c',
-          classname: 'MemberDirectoryController',
-          method,
-          params,
-          cacheable: true,
-          isContinuation: false,
-        },
-      }],
-    });
-
-    const context = JSON.stringify({
-      mode: 'PROD',
-      fwuid,
-      app: 'siteforce:communityApp',
-      loaded: { 'APPLICATION@markup://siteforce:communityApp': '1524_katkrDKC1KWstpeCt3iDPg' },
-    });
-
-    const body = new URLSearchParams();
-    body.append('message', message);
-    body.append('aura.context', context);
-    body.append('aura.token', 'undefined');
-
-    const response = await axios.post(this.auraUrl, body.toString(), {
-      headers: {
-        'User-Agent': this.userAgent,
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Referer': this.pageUrl,
-      },
-      timeout: 30000,
-    });
-
-    const data = response.data;
-    if (data.exceptionEvent) {
-      throw new Error(data.exceptionMessage || 'Aura exception');
-    }
-
-    const action = data.actions && data.actions[0];
-    if (!action || action.state !== 'SUCCESS') {
-      throw new Error(`Aura action failed: ${action?.state || 'no action'}`);
-    }
-
-    return action.returnValue.returnValue;
-  }
-
-  async _insertRecord(dbClient, { firstName, lastName, fullName, designation, city, firmName, nameHash, jobId }) {
-    const existing = await dbClient.query('SELECT id FROM scraped_cpas WHERE name_hash = $1', [nameHash]);
-    if (existing.rows.length > 0) return false;
-    await dbClient.query(
-      `INSERT INTO scraped_cpas (source, first_name, last_name, full_name, designation, province, city, firm_name, name_hash, scrape_job_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-      [this.source, firstName, lastName, fullName, designation, this.province, city, firmName, nameHash, jobId]
-    );
-    return true;
-  }
-
-  async _startJob(dbClient) {
-    const r = await dbClient.query(`INSERT INTO scrape_jobs (source, status) VALUES ($1, 'running') RETURNING id`, [this.source]);
-    return r.rows[0].id;
-  }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='completed', records_found=$2, records_inserted=$3, records_skipped=$4, completed_at=NOW() WHERE id=$1`, [jobId, found, inserted, skipped]);
-  }
-  async _failJob(dbClient, jobId, msg) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='failed', error_message=$2, completed_at=NOW() WHERE id=$1`, [jobId, msg]);
-  }
-}
-
-// 2F. CPA Scraper Orchestrator — All 10 provinces
-class CPAScraperOrchestrator {
-  constructor() {
-    this.scrapers = {
-      cpabc: new CPABCScraper(),
-      cpaalberta: new CPAAlbertaScraper(),
-      cpask: cpaSKScraper,
-      cpamb: cpaMBScraper,
-      cpaontario: new CPAOntarioScraper(),
-      cpaquebec: new CPAQuebecScraper(),
-      cpanb: cpaNBScraper,
-      cpans: cpaNSScraper,
-      cpapei: cpaPEIScraper,
-      cpanl: cpaNLScraper,
-    };
-  }
-
-  async runAll(dbClient) {
-    console.log('🚀 Starting full CPA directory scrape across all 10 provinces...');
-    const results = {};
-    for (const [source, scraper] of Object.entries(this.scrapers)) {
-      try {
-        results[source] = await scraper.scrape(dbClient);
-      } catch (error) {
-        console.error(`❌ ${source} scraper failed:`, error.message);
-        results[source] = { error: error.message };
-      }
-    }
-    console.log('✅ Full CPA directory scrape complete:', JSON.stringify(results));
-    return results;
-  }
-
-  async runSingle(source, dbClient) {
-    const scraper = this.scrapers[source];
-    if (!scraper) throw new Error(`Unknown scraper source: ${source}. Available: ${Object.keys(this.scrapers).join(', ')}`);
-    return scraper.scrape(dbClient);
-  }
-}
-
-// =====================================================
-// 🏢 SME DATA COLLECTION
-// =====================================================
-
-// Helper: generate dedup hash from business name + province
-function nameProvinceHash(businessName, province) {
-  if (!businessName) return null;
-  const normalized = (businessName.toLowerCase().trim() + '|' + (province || '').toLowerCase().trim());
-  return crypto.createHash('sha256').update(normalized).digest('hex');
-}
-
-// 3A. Corporations Canada — Bulk Open Data Download
-// Downloads ALL ~500K active federal corporations (replaces old 20-per-keyword scraper)
-class CorporationsCanadaBulkLoader {
-  constructor() {
-    this.bulkUrl = 'https://ised-isde.canada.ca/cc/lgcy/download/OPEN_DATA_SPLIT.zip';
-    this.source = 'corporations_canada';
-    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
-  }
-
-  async load(dbClient) {
-    console.log('🔍 Starting Corporations Canada bulk download...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0, totalMerged = 0;
-
-    try {
-      console.log('[CorpsCan] Downloading bulk ZIP...');
-      const response = await axios.get(this.bulkUrl, {
-        responseType: 'arraybuffer',
-        timeout: 600000,
-        headers: { 'User-Agent': this.userAgent },
-      });
-      console.log(`[CorpsCan] Downloaded ${(response.data.byteLength / 1048576).toFixed(1)}MB`);
-
-      const zip = new AdmZip(Buffer.from(response.data));
-      const entries = zip.getEntries();
-      console.log(`[CorpsCan] ZIP entries: ${entries.map(e => `${e.entryName} (${(e.header.size / 1024).toFixed(0)}KB)`).join(', ')}`);
-
-      const dataEntries = entries.filter(e =>
-        (e.entryName.endsWith('.csv') || e.entryName.endsWith('.xml')) && !e.entryName.startsWith('__MACOSX')
-      );
-
-      if (dataEntries.length === 0) {
-        throw new Error('No data files in ZIP. Entries: ' + entries.map(e => e.entryName).join(', '));
-      }
-
-      for (const entry of dataEntries) {
-        console.log(`[CorpsCan] Processing: ${entry.entryName} (${(entry.header.size / 1048576).toFixed(1)}MB)`);
-        const content = entry.getData().toString('utf8');
-
-        if (entry.entryName.endsWith('.csv')) {
-          const result = await this._processCSV(dbClient, content, jobId);
-          totalFound += result.found; totalInserted += result.inserted;
-          totalSkipped += result.skipped; totalMerged += result.merged;
-        } else if (entry.entryName.endsWith('.xml')) {
-          const result = await this._processXML(dbClient, content, jobId);
-          totalFound += result.found; totalInserted += result.inserted;
-          totalSkipped += result.skipped; totalMerged += result.merged;
-        }
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ CorpsCan bulk load: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged, ${totalSkipped} skipped`);
-
-      // Post-processing: flag newly incorporated businesses as high-priority
-      try {
-        const flagged = await dbClient.query(`
-          UPDATE scraped_smes SET
-            score_accountants = GREATEST(COALESCE(score_accountants, 0), 90),
-            score_lawyers = GREATEST(COALESCE(score_lawyers, 0), 85),
-            score_investing = GREATEST(COALESCE(score_investing, 0), 70),
-            queue_status_accountants = CASE WHEN queue_status_accountants != 'queued' THEN 'ready' ELSE queue_status_accountants END,
-            queue_status_lawyers = CASE WHEN queue_status_lawyers != 'queued' THEN 'ready' ELSE queue_status_lawyers END,
-            queue_status_investing = CASE WHEN queue_status_investing != 'queued' THEN 'ready' ELSE queue_status_investing END
-          WHERE source = 'corporations_canada'
-            AND incorporation_date > NOW() - INTERVAL '30 days'
-            AND queue_status_accountants != 'queued'
-        `);
-        console.log(`🏢 New corp flagging: ${flagged.rowCount} recently incorporated businesses flagged as high-priority`);
-      } catch (flagErr) {
-        console.error('[CorpsCan] New corp flagging failed (non-fatal):', flagErr.message);
-      }
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ CorpsCan bulk load failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped };
-  }
-
-  // Keep backward compat: old crons call .scrape()
-  async scrape(dbClient) { return this.load(dbClient); }
-
-  async _processCSV(dbClient, csvContent, jobId) {
-    let found = 0, inserted = 0, skipped = 0, merged = 0;
-    const lines = csvContent.split('\n');
-    if (lines.length < 2) return { found, inserted, skipped, merged };
-
-    const rawHeaders = lines[0].split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
-    const colIdx = {};
-    rawHeaders.forEach((h, i) => { colIdx[h] = i; });
-
-    const nameCol = colIdx['corporation_name'] ?? colIdx['corp_name'] ?? colIdx['name'] ?? colIdx['business_name'] ?? 0;
-    const numCol = colIdx['corporation_number'] ?? colIdx['corp_number'] ?? colIdx['number'] ?? colIdx['corporate_number'] ?? 1;
-    const statusCol = colIdx['status'] ?? colIdx['corp_status'] ?? colIdx['corporation_status'];
-    const dateCol = colIdx['incorporation_date'] ?? colIdx['date_of_incorporation'] ?? colIdx['date_incorporation'];
-    const provCol = colIdx['province'] ?? colIdx['jurisdiction'] ?? colIdx['prov'];
-    const cityCol = colIdx['city'];
-    const addressCol = colIdx['registered_office_address'] ?? colIdx['address'] ?? colIdx['full_address'];
-    const postalCol = colIdx['postal_code'];
-    const typeCol = colIdx['corporation_type'] ?? colIdx['corp_type'] ?? colIdx['type'] ?? colIdx['business_type'];
-
-    const batch = [];
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      found++;
-
-      const cols = this._parseCSVLine(line);
-      const corpName = (cols[nameCol] || '').trim();
-      const corpNumber = (cols[numCol] || '').trim();
-      if (!corpName || corpName.length < 2) continue;
-
-      batch.push({
-        corpName, corpNumber,
-        province: provCol !== undefined ? (cols[provCol] || '').trim() : '',
-        city: cityCol !== undefined ? (cols[cityCol] || '').trim() : '',
-        status: statusCol !== undefined ? (cols[statusCol] || 'Active').trim() : 'Active',
-        incDate: dateCol !== undefined ? (cols[dateCol] || '').trim() : '',
-        address: addressCol !== undefined ? (cols[addressCol] || '').trim() : '',
-        postal: postalCol !== undefined ? (cols[postalCol] || '').trim() : '',
-        bizType: typeCol !== undefined ? (cols[typeCol] || '').trim() : '',
-      });
-
-      if (batch.length >= 500) {
-        if (found % 50000 === 0) console.log(`[CorpsCan] CSV progress: ${found} processed, ${inserted} new, ${merged} merged`);
-        const r = await this._insertBatch(dbClient, batch, jobId);
-        inserted += r.inserted; skipped += r.skipped; merged += r.merged;
-        batch.length = 0;
-      }
-    }
-    if (batch.length > 0) {
-      const r = await this._insertBatch(dbClient, batch, jobId);
-      inserted += r.inserted; skipped += r.skipped; merged += r.merged;
-    }
-    return { found, inserted, skipped, merged };
-  }
-
-  async _processXML(dbClient, xmlContent, jobId) {
-    let found = 0, inserted = 0, skipped = 0, merged = 0;
-    const corpRegex = /<corporation\b[^>]*>([\s\S]*?)<\/corporation>/gi;
-    const batch = [];
-    let match;
-
-    while ((match = corpRegex.exec(xmlContent)) !== null) {
-      found++;
-      const block = match[1];
-      const extract = (tag) => {
-        const m = block.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`, 'i'));
-        return m ? m[1].trim() : '';
-      };
-
-      const corpName = extract('corporationName') || extract('name') || extract('corp_name');
-      if (!corpName || corpName.length < 2) continue;
-
-      batch.push({
-        corpName,
-        corpNumber: extract('corporationNumber') || extract('businessNumber') || '',
-        province: extract('province') || extract('jurisdiction') || '',
-        city: extract('city') || '',
-        status: extract('status') || 'Active',
-        incDate: extract('incorporationDate') || extract('dateOfIncorporation') || '',
-        address: extract('registeredOfficeAddress') || extract('address') || '',
-        postal: extract('postalCode') || '',
-        bizType: extract('corporationType') || extract('type') || '',
-      });
-
-      if (batch.length >= 500) {
-        if (found % 50000 === 0) console.log(`[CorpsCan] XML progress: ${found} processed, ${inserted} new, ${merged} merged`);
-        const r = await this._insertBatch(dbClient, batch, jobId);
-        inserted += r.inserted; skipped += r.skipped; merged += r.merged;
-        batch.length = 0;
-      }
-    }
-    if (batch.length > 0) {
-      const r = await this._insertBatch(dbClient, batch, jobId);
-      inserted += r.inserted; skipped += r.skipped; merged += r.merged;
-    }
-    return { found, inserted, skipped, merged };
-  }
-
-  async _insertBatch(dbClient, records, jobId) {
-    let inserted = 0, skipped = 0, merged = 0;
-    for (const rec of records) {
-      try {
-        const hash = nameProvinceHash(rec.corpName, rec.province);
-        const incDate = rec.incDate ? this._parseDate(rec.incDate) : null;
-        const yearsInBiz = incDate ? Math.floor((Date.now() - incDate.getTime()) / (365.25 * 24 * 60 * 60 * 1000)) : null;
-
-        // Merge with existing record (from ODBus or previous load)
-        if (hash) {
-          const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
-          if (existing.rows.length > 0) {
-            const row = existing.rows[0];
-            const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
-            if (!sources.includes(this.source)) sources.push(this.source);
-            await dbClient.query(
-              `UPDATE scraped_smes SET
-                corporate_number = COALESCE(corporate_number, $2),
-                incorporation_date = COALESCE(incorporation_date, $3),
-                years_in_business = COALESCE(years_in_business, $4),
-                business_type = COALESCE(business_type, $5),
-                full_address = COALESCE(full_address, $6),
-                postal_code = COALESCE(postal_code, $7),
-                business_status = COALESCE(NULLIF(business_status, ''), $8),
-                data_sources = $9, updated_at = NOW()
-              WHERE id = $1`,
-              [row.id, rec.corpNumber || null, incDate, yearsInBiz, rec.bizType || null,
-               rec.address || null, rec.postal || null, rec.status || null, JSON.stringify(sources)]
-            );
-            merged++;
-            continue;
-          }
-        }
-
-        // Check duplicate by corporate_number
-        if (rec.corpNumber) {
-          const dup = await dbClient.query('SELECT id FROM scraped_smes WHERE corporate_number = $1', [rec.corpNumber]);
-          if (dup.rows.length > 0) { skipped++; continue; }
-        }
-
-        await dbClient.query(
-          `INSERT INTO scraped_smes (source, business_name, corporate_number, province, city, business_status,
-            incorporation_date, years_in_business, business_type, full_address, postal_code,
-            name_province_hash, data_sources, scrape_job_id)
-           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)`,
-          [this.source, rec.corpName, rec.corpNumber || null, rec.province, rec.city,
-           rec.status || 'Active', incDate, yearsInBiz, rec.bizType || null,
-           rec.address || null, rec.postal || null, hash,
-           JSON.stringify([this.source]), jobId]
-        );
-        inserted++;
-      } catch (err) {
-        skipped++;
-      }
-    }
-    return { inserted, skipped, merged };
-  }
-
-  _parseDate(dateStr) {
-    if (!dateStr) return null;
-    try { const d = new Date(dateStr); return isNaN(d.getTime()) ? null : d; } catch { return null; }
-  }
-
-  _parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') { inQuotes = !inQuotes; }
-      else if (ch === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
-      else { current += ch; }
-    }
-    result.push(current.trim());
-    return result;
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// 3B. Statistics Canada ODBus Business Register Loader
-// Downloads ZIP from StatCan, extracts CSV, loads 446K+ businesses
-const AdmZip = require('adm-zip');
-
-class StatCanODBusLoader {
-  constructor() {
-    this.zipUrl = 'https://www150.statcan.gc.ca/n1/pub/21-26-0003/2023001/ODBus_2023.zip';
-    this.source = 'statcan_odbus';
-  }
-
-  // NAICS code to industry name mapping (top-level)
-  static NAICS_MAP = {
-    '11': 'Agriculture, Forestry, Fishing and Hunting',
-    '21': 'Mining, Quarrying, and Oil and Gas Extraction',
-    '22': 'Utilities',
-    '23': 'Construction',
-    '31': 'Manufacturing', '32': 'Manufacturing', '33': 'Manufacturing',
-    '41': 'Wholesale Trade',
-    '44': 'Retail Trade', '45': 'Retail Trade',
-    '48': 'Transportation and Warehousing', '49': 'Transportation and Warehousing',
-    '51': 'Information and Cultural Industries',
-    '52': 'Finance and Insurance',
-    '53': 'Real Estate and Rental and Leasing',
-    '54': 'Professional, Scientific and Technical Services',
-    '55': 'Management of Companies and Enterprises',
-    '56': 'Administrative and Support Services',
-    '61': 'Educational Services',
-    '62': 'Health Care and Social Assistance',
-    '71': 'Arts, Entertainment and Recreation',
-    '72': 'Accommodation and Food Services',
-    '81': 'Other Services',
-    '91': 'Public Administration',
-  };
-
-  static naicsToIndustry(code) {
-    if (!code) return 'Unknown';
-    const prefix2 = String(code).substring(0, 2);
-    return StatCanODBusLoader.NAICS_MAP[prefix2] || 'Other';
-  }
-
-  async load(dbClient) {
-    console.log('🔍 Starting StatCan ODBus ZIP download...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-
-    try {
-      // Download ZIP file (21MB)
-      console.log('[ODBus] Downloading ZIP file (~21MB)...');
-      const response = await axios.get(this.zipUrl, {
-        responseType: 'arraybuffer',
-        timeout: 300000, // 5 minute timeout for large file
-        headers: { 'User-Agent': 'CanadaAccountants-DataCollection/1.0' },
-      });
-      console.log(`[ODBus] Downloaded ${(response.data.byteLength / 1048576).toFixed(1)}MB`);
-
-      // Extract CSV from ZIP — find the largest CSV file (the main data file ~112MB)
-      const zip = new AdmZip(Buffer.from(response.data));
-      const entries = zip.getEntries();
-      console.log(`[ODBus] ZIP entries: ${entries.map(e => `${e.entryName} (${(e.header.size / 1024).toFixed(0)}KB)`).join(', ')}`);
-
-      // Sort CSV entries by size descending, pick the largest one
-      const csvEntries = entries
-        .filter(e => e.entryName.endsWith('.csv'))
-        .sort((a, b) => b.header.size - a.header.size);
-
-      if (csvEntries.length === 0) {
-        throw new Error('No CSV files found in ZIP archive. Entries: ' + entries.map(e => e.entryName).join(', '));
-      }
-
-      const mainCsv = csvEntries[0]; // Largest CSV = main data file
-      console.log(`[ODBus] Using CSV: ${mainCsv.entryName} (${(mainCsv.header.size / 1048576).toFixed(1)}MB)`);
-
-      const csvData = mainCsv.getData().toString('utf8');
-      const lines = csvData.split('\n');
-      console.log(`[ODBus] CSV has ${lines.length} lines`);
-
-      // Parse header — actual columns: idx, business_name, alt_business_name, business_sector,
-      // business_subsector, business_description, business_id_no, licence_number, licence_type,
-      // derived_NAICS, source_NAICS_primary, source_NAICS_secondary, NAICS_descr, NAICS_descr2,
-      // latitude, longitude, full_address, postal_code, unit, street_no, street_name,
-      // street_direction, street_type, city, prov_terr, total_no_employees, status,
-      // provider, geo_source, CSDUID, CSDNAME, PRUID
-      const rawHeaders = lines[0].split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
-      console.log(`[ODBus] Columns: ${rawHeaders.slice(0, 10).join(', ')}...`);
-
-      // Build column index map
-      const colIdx = {};
-      rawHeaders.forEach((h, i) => { colIdx[h] = i; });
-
-      // Process in batches
-      const batch = [];
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        totalFound++;
-
-        // Parse CSV line (handle quoted fields with commas)
-        const cols = this._parseCSVLine(line);
-
-        // Helper: treat '..' as empty (StatCan missing value notation)
-        const val = (idx) => { const v = (cols[idx] || '').trim(); return v === '..' ? '' : v; };
-
-        const businessName = val(colIdx['business_name']);
-        const naicsCode = val(colIdx['derived_naics']) || val(colIdx['source_naics_primary']);
-        const naicsDescr = val(colIdx['naics_descr']);
-        const province = val(colIdx['prov_terr']);
-        const city = val(colIdx['city']);
-        const status = val(colIdx['status']) || 'Active';
-        const employees = val(colIdx['total_no_employees']);
-        const lat = val(colIdx['latitude']);
-        const lon = val(colIdx['longitude']);
-        const fullAddress = val(colIdx['full_address']);
-        const postalCode = val(colIdx['postal_code']);
-
-        if (!businessName || businessName.length < 2) continue;
-
-        batch.push({ businessName, naicsCode, naicsDescr, province, city, status, employees, lat, lon, fullAddress, postalCode });
-
-        if (batch.length >= 500) {
-          if (totalFound % 50000 === 0) {
-            console.log(`[ODBus] Progress: ${totalFound} processed, ${totalInserted} inserted, ${totalSkipped} skipped`);
-          }
-          const result = await this._insertBatch(dbClient, batch, jobId);
-          totalInserted += result.inserted;
-          totalSkipped += result.skipped;
-          batch.length = 0;
-        }
-      }
-
-      // Insert remaining
-      if (batch.length > 0) {
-        const result = await this._insertBatch(dbClient, batch, jobId);
-        totalInserted += result.inserted;
-        totalSkipped += result.skipped;
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ StatCan ODBus load complete: ${totalFound} found, ${totalInserted} inserted, ${totalSkipped} skipped`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ StatCan ODBus load failed:', error.message);
-    }
-
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  // Simple CSV line parser that handles quoted fields
-  _parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') { inQuotes = !inQuotes; }
-      else if (ch === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
-      else { current += ch; }
-    }
-    result.push(current.trim());
-    return result;
-  }
-
-  async _insertBatch(dbClient, records, jobId) {
-    let inserted = 0, skipped = 0, merged = 0;
-    for (const rec of records) {
-      try {
-        const industry = rec.naicsDescr || StatCanODBusLoader.naicsToIndustry(rec.naicsCode);
-        const hash = nameProvinceHash(rec.businessName, rec.province);
-        const lat = rec.lat && rec.lat !== '' ? parseFloat(rec.lat) : null;
-        const lon = rec.lon && rec.lon !== '' ? parseFloat(rec.lon) : null;
-
-        // Try merge with existing record
-        if (hash) {
-          const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
-          if (existing.rows.length > 0) {
-            const row = existing.rows[0];
-            const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
-            if (!sources.includes(this.source)) sources.push(this.source);
-            await dbClient.query(
-              `UPDATE scraped_smes SET
-                naics_code = COALESCE(naics_code, $2), industry = COALESCE(industry, $3),
-                employee_count = COALESCE(employee_count, $4),
-                latitude = COALESCE(latitude, $5), longitude = COALESCE(longitude, $6),
-                full_address = COALESCE(full_address, $7), postal_code = COALESCE(postal_code, $8),
-                data_sources = $9, updated_at = NOW()
-              WHERE id = $1`,
-              [row.id, rec.naicsCode || null, industry, rec.employees || null,
-               lat, lon, rec.fullAddress || null, rec.postalCode || null, JSON.stringify(sources)]
-            );
-            merged++;
-            continue;
-          }
-        }
-
-        await dbClient.query(
-          `INSERT INTO scraped_smes (source, business_name, naics_code, industry, province, city,
-            business_status, employee_count, latitude, longitude, full_address, postal_code,
-            name_province_hash, data_sources, scrape_job_id)
-           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)`,
-          [this.source, rec.businessName, rec.naicsCode, industry, rec.province, rec.city,
-           rec.status, rec.employees || null, lat, lon,
-           rec.fullAddress || null, rec.postalCode || null, hash,
-           JSON.stringify([this.source]), jobId]
-        );
-        inserted++;
-      } catch (err) {
-        skipped++;
-      }
-    }
-    return { inserted, skipped, merged };
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// =====================================================
-// 🏙️ MUNICIPAL BUSINESS LICENCE SCRAPERS
-// =====================================================
-
-// 3C. Vancouver Business Licences — OpenDataSoft API
-class VancouverBizLicScraper {
-  constructor() {
-    this.source = 'vancouver_biz_lic';
-    this.baseUrl = 'https://opendata.vancouver.ca/api/records/1.0/search/';
-  }
-
-  async scrape(dbClient) {
-    console.log('🔍 Starting Vancouver business licence scrape...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0, totalMerged = 0;
-
-    try {
-      let start = 0;
-      const rows = 100;
-      let hasMore = true;
-
-      while (hasMore) {
-        const response = await axios.get(this.baseUrl, {
-          params: {
-            dataset: 'business-licences',
-            rows,
-            start,
-            'refine.status': 'Issued',
-          },
-          timeout: 30000,
-        });
-
-        const records = response.data.records || [];
-        totalFound += records.length;
-
-        if (records.length === 0) { hasMore = false; break; }
-
-        for (const record of records) {
-          const f = record.fields || {};
-          const businessName = f.businessname || f.tradename || '';
-          if (!businessName || businessName.length < 2) continue;
-
-          const hash = nameProvinceHash(businessName, 'BC');
-          try {
-            if (hash) {
-              const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
-              if (existing.rows.length > 0) {
-                const row = existing.rows[0];
-                const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
-                if (!sources.includes(this.source)) {
-                  sources.push(this.source);
-                  await dbClient.query(
-                    `UPDATE scraped_smes SET full_address = COALESCE(full_address, $2),
-                      postal_code = COALESCE(postal_code, $3), business_type = COALESCE(business_type, $4),
-                      data_sources = $5, business_status = 'Active', updated_at = NOW() WHERE id = $1`,
-                    [row.id, f.house + ' ' + f.street || null, f.postalcode || null,
-                     f.businesstype || f.businesssubtype || null, JSON.stringify(sources)]
-                  );
-                }
-                totalMerged++; continue;
-              }
-            }
-
-            await dbClient.query(
-              `INSERT INTO scraped_smes (source, business_name, province, city, business_status,
-                full_address, postal_code, business_type, name_province_hash, data_sources, scrape_job_id)
-               VALUES ($1,$2,'BC','Vancouver','Active',$3,$4,$5,$6,$7,$8)`,
-              [this.source, businessName,
-               f.house && f.street ? (f.house + ' ' + f.street) : null,
-               f.postalcode || null, f.businesstype || f.businesssubtype || null,
-               hash, JSON.stringify([this.source]), jobId]
-            );
-            totalInserted++;
-          } catch (err) { totalSkipped++; }
-        }
-
-        start += rows;
-        if (start % 5000 === 0) console.log(`[Vancouver] Progress: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
-        await delay(500);
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ Vancouver biz lic: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ Vancouver biz lic failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped };
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// 3D. Calgary Business Licences — Socrata SODA API
-class CalgaryBizLicScraper {
-  constructor() {
-    this.source = 'calgary_biz_lic';
-    this.baseUrl = 'https://data.calgary.ca/resource/vdjc-pybd.json';
-  }
-
-  async scrape(dbClient) {
-    console.log('🔍 Starting Calgary business licence scrape...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0, totalMerged = 0;
-
-    try {
-      let offset = 0;
-      const limit = 1000;
-      let hasMore = true;
-
-      while (hasMore) {
-        const response = await axios.get(this.baseUrl, {
-          params: { '$limit': limit, '$offset': offset, '$where': "jobstatusdesc='Renewal Licensed'" },
-          timeout: 30000,
-        });
-
-        const records = response.data || [];
-        totalFound += records.length;
-        if (records.length === 0) { hasMore = false; break; }
-
-        for (const f of records) {
-          const businessName = f.tradename || f.licencetypes || '';
-          if (!businessName || businessName.length < 2) continue;
-
-          const hash = nameProvinceHash(businessName, 'AB');
-          try {
-            if (hash) {
-              const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
-              if (existing.rows.length > 0) {
-                const row = existing.rows[0];
-                const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
-                if (!sources.includes(this.source)) {
-                  sources.push(this.source);
-                  await dbClient.query(
-                    `UPDATE scraped_smes SET full_address = COALESCE(full_address, $2),
-                      business_type = COALESCE(business_type, $3),
-                      data_sources = $4, business_status = 'Active', updated_at = NOW() WHERE id = $1`,
-                    [row.id, f.address || null, f.licencetypes || null, JSON.stringify(sources)]
-                  );
-                }
-                totalMerged++; continue;
-              }
-            }
-
-            await dbClient.query(
-              `INSERT INTO scraped_smes (source, business_name, province, city, business_status,
-                full_address, business_type, name_province_hash, data_sources, scrape_job_id)
-               VALUES ($1,$2,'AB','Calgary','Active',$3,$4,$5,$6,$7)`,
-              [this.source, businessName, f.address || null, f.licencetypes || null,
-               hash, JSON.stringify([this.source]), jobId]
-            );
-            totalInserted++;
-          } catch (err) { totalSkipped++; }
-        }
-
-        offset += limit;
-        if (offset % 5000 === 0) console.log(`[Calgary] Progress: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
-        await delay(500);
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ Calgary biz lic: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ Calgary biz lic failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped };
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// 3E. Toronto Business Licences — CKAN Open Data API
-class TorontoBizLicScraper {
-  constructor() {
-    this.source = 'toronto_biz_lic';
-    this.ckanUrl = 'https://ckan0.cf.opendata.inter.prod-toronto.ca/api/3/action/package_show';
-    this.datasetId = 'municipal-licensing-and-standards-business-licences-and-permits';
-  }
-
-  async scrape(dbClient) {
-    console.log('🔍 Starting Toronto business licence scrape...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0, totalMerged = 0;
-
-    try {
-      // Get dataset metadata to find CSV resource URL
-      const metaRes = await axios.get(this.ckanUrl, { params: { id: this.datasetId }, timeout: 30000 });
-      const resources = metaRes.data?.result?.resources || [];
-      const csvResource = resources.find(r => r.format && r.format.toLowerCase() === 'csv' && r.datastore_active);
-
-      if (!csvResource) {
-        // Fall back to datastore API
-        const datastoreUrl = 'https://ckan0.cf.opendata.inter.prod-toronto.ca/api/3/action/datastore_search';
-        let offset = 0;
-        const limit = 500;
-        let hasMore = true;
-
-        // Find the first active resource
-        const activeResource = resources.find(r => r.datastore_active) || resources[0];
-        if (!activeResource) throw new Error('No resources found for Toronto business licences dataset');
-
-        while (hasMore) {
-          const response = await axios.get(datastoreUrl, {
-            params: { resource_id: activeResource.id, limit, offset },
-            timeout: 30000,
-          });
-
-          const records = response.data?.result?.records || [];
-          totalFound += records.length;
-          if (records.length === 0) { hasMore = false; break; }
-
-          for (const f of records) {
-            const businessName = f['Operating Name'] || f['Client Name'] || f['OPERATING_NAME'] || f['CLIENT_NAME'] || '';
-            if (!businessName || businessName.length < 2) continue;
-
-            const hash = nameProvinceHash(businessName, 'ON');
-            const bizType = f['Category'] || f['CATEGORY'] || f['Licence Type'] || '';
-            const address = f['Address'] || f['ADDRESS'] || '';
-
-            try {
-              if (hash) {
-                const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
-                if (existing.rows.length > 0) {
-                  const row = existing.rows[0];
-                  const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
-                  if (!sources.includes(this.source)) {
-                    sources.push(this.source);
-                    await dbClient.query(
-                      `UPDATE scraped_smes SET full_address = COALESCE(full_address, $2),
-                        business_type = COALESCE(business_type, $3),
-                        data_sources = $4, business_status = 'Active', updated_at = NOW() WHERE id = $1`,
-                      [row.id, address || null, bizType || null, JSON.stringify(sources)]
-                    );
-                  }
-                  totalMerged++; continue;
-                }
-              }
-
-              await dbClient.query(
-                `INSERT INTO scraped_smes (source, business_name, province, city, business_status,
-                  full_address, business_type, name_province_hash, data_sources, scrape_job_id)
-                 VALUES ($1,$2,'ON','Toronto','Active',$3,$4,$5,$6,$7)`,
-                [this.source, businessName, address || null, bizType || null,
-                 hash, JSON.stringify([this.source]), jobId]
-              );
-              totalInserted++;
-            } catch (err) { totalSkipped++; }
-          }
-
-          offset += limit;
-          if (offset % 5000 === 0) console.log(`[Toronto] Progress: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
-          await delay(500);
-        }
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ Toronto biz lic: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ Toronto biz lic failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped };
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// 3F. Edmonton Business Licences — Socrata SODA API
-class EdmontonBizLicScraper {
-  constructor() {
-    this.source = 'edmonton_biz_lic';
-    this.baseUrl = 'https://data.edmonton.ca/resource/qhi4-bdpu.json';
-  }
-
-  async scrape(dbClient) {
-    console.log('🔍 Starting Edmonton business licence scrape...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0, totalMerged = 0;
-
-    try {
-      let offset = 0;
-      const limit = 1000;
-      let hasMore = true;
-
-      while (hasMore) {
-        const response = await axios.get(this.baseUrl, {
-          params: { '$limit': limit, '$offset': offset },
-          timeout: 30000,
-        });
-
-        const records = response.data || [];
-        totalFound += records.length;
-        if (records.length === 0) { hasMore = false; break; }
-
-        for (const f of records) {
-          const businessName = f.trade_name || f.legal_name || '';
-          if (!businessName || businessName.length < 2) continue;
-
-          const hash = nameProvinceHash(businessName, 'AB');
-          try {
-            if (hash) {
-              const existing = await dbClient.query('SELECT id, data_sources FROM scraped_smes WHERE name_province_hash = $1', [hash]);
-              if (existing.rows.length > 0) {
-                const row = existing.rows[0];
-                const sources = Array.isArray(row.data_sources) ? row.data_sources : [];
-                if (!sources.includes(this.source)) {
-                  sources.push(this.source);
-                  await dbClient.query(
-                    `UPDATE scraped_smes SET full_address = COALESCE(full_address, $2),
-                      business_type = COALESCE(business_type, $3),
-                      data_sources = $4, business_status = 'Active', updated_at = NOW() WHERE id = $1`,
-                    [row.id, f.address || null, f.category || f.licence_type || null, JSON.stringify(sources)]
-                  );
-                }
-                totalMerged++; continue;
-              }
-            }
-
-            await dbClient.query(
-              `INSERT INTO scraped_smes (source, business_name, province, city, business_status,
-                full_address, business_type, name_province_hash, data_sources, scrape_job_id)
-               VALUES ($1,$2,'AB','Edmonton','Active',$3,$4,$5,$6,$7)`,
-              [this.source, businessName, f.address || null,
-               f.category || f.licence_type || null,
-               hash, JSON.stringify([this.source]), jobId]
-            );
-            totalInserted++;
-          } catch (err) { totalSkipped++; }
-        }
-
-        offset += limit;
-        if (offset % 5000 === 0) console.log(`[Edmonton] Progress: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
-        await delay(500);
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ Edmonton biz lic: ${totalFound} found, ${totalInserted} new, ${totalMerged} merged`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ Edmonton biz lic failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, merged: totalMerged, skipped: totalSkipped };
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// =====================================================
-// 📊 BUSINESS PRIORITY SCORING ENGINE
-// =====================================================
-
-class BusinessPriorityScorer {
-  constructor() {
-    this.batchSize = 2000;
-  }
-
-  async score(dbClient) {
-    console.log('📊 Starting business priority scoring...');
-    const jobId = await this._startJob(dbClient);
-    let scored = 0;
-
-    try {
-      const { rows } = await dbClient.query(
-        `SELECT id, business_name, naics_code, industry, province, city, employee_count,
-          incorporation_date, years_in_business, directors, contact_email, website,
-          business_status, data_sources
-         FROM scraped_smes
-         WHERE queue_status_accountants = 'unscored' OR queue_status_lawyers = 'unscored' OR queue_status_investing = 'unscored'
-         LIMIT $1`,
-        [this.batchSize]
-      );
-
-      console.log(`[Scorer] Processing ${rows.length} unscored records...`);
-
-      for (const biz of rows) {
-        const acctScore = this._scoreAccountants(biz);
-        const lawScore = this._scoreLawyers(biz);
-        const invScore = this._scoreInvesting(biz);
-
-        const hasContact = !!(biz.contact_email || biz.website);
-        const hasDirectors = Array.isArray(biz.directors) && biz.directors.length > 0;
-
-        // Determine queue status based on thresholds
-        let qAcct = acctScore >= 35 && hasContact ? 'ready' : (acctScore > 0 ? 'scored' : 'not_relevant');
-        let qLaw = lawScore >= 40 && hasContact ? 'ready' : (lawScore > 0 ? 'scored' : 'not_relevant');
-        let qInv = invScore >= 45 && (hasDirectors || hasContact) ? 'ready' : (invScore > 0 ? 'scored' : 'not_relevant');
-
-        await dbClient.query(
-          `UPDATE scraped_smes SET
-            score_accountants = $2, score_lawyers = $3, score_investing = $4,
-            queue_status_accountants = $5, queue_status_lawyers = $6, queue_status_investing = $7,
-            updated_at = NOW()
-          WHERE id = $1`,
-          [biz.id, acctScore, lawScore, invScore, qAcct, qLaw, qInv]
-        );
-        scored++;
-      }
-
-      await this._completeJob(dbClient, jobId, scored, scored, 0);
-      console.log(`✅ Priority scoring complete: ${scored} records scored`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ Priority scoring failed:', error.message);
-    }
-    return { scored };
-  }
-
-  _empBucket(empStr) {
-    if (!empStr) return 0;
-    const n = parseInt(empStr);
-    if (isNaN(n)) return 0;
-    if (n >= 50) return 4;
-    if (n >= 20) return 3;
-    if (n >= 10) return 2;
-    if (n >= 5) return 1;
-    return 0;
-  }
-
-  _naicsPrefix(code) {
-    return code ? String(code).substring(0, 2) : '';
-  }
-
-  _scoreAccountants(biz) {
-    let score = 0;
-    const emp = this._empBucket(biz.employee_count);
-    score += [5, 10, 15, 20, 25][emp]; // Employee count (25 max)
-
-    // Industry complexity (25 max)
-    const naics = this._naicsPrefix(biz.naics_code);
-    const complexIndustries = ['23','53','62','31','32','33','52']; // Construction, Real Estate, Healthcare, Manufacturing, Finance
-    const mediumIndustries = ['44','45','72']; // Retail, Food
-    if (complexIndustries.includes(naics)) score += 25;
-    else if (mediumIndustries.includes(naics)) score += 15;
-    else score += 10;
-
-    // Multi-province (15 max) — check data_sources for breadth
-    const sources = Array.isArray(biz.data_sources) ? biz.data_sources : [];
-    if (sources.length >= 3) score += 15;
-    else if (sources.length >= 2) score += 10;
-
-    // Contact path (10 max)
-    if (biz.contact_email || biz.website) score += 10;
-
-    // Years in business (15 max)
-    const years = biz.years_in_business || 0;
-    if (years > 10) score += 15;
-    else if (years >= 5) score += 12;
-    else if (years >= 2) score += 8;
-    else if (years > 0) score += 3;
-
-    // Active status (10 max)
-    if (!biz.business_status || biz.business_status.toLowerCase().includes('active') || biz.business_status.toLowerCase().includes('issued')) {
-      score += 10;
-    }
-
-    return Math.min(100, score);
-  }
-
-  _scoreLawyers(biz) {
-    let score = 0;
-    const naics = this._naicsPrefix(biz.naics_code);
-
-    // Industry risk profile (30 max)
-    const riskMap = { '53': 30, '23': 28, '52': 25, '62': 25, '21': 25, '31': 20, '32': 20, '33': 20, '51': 18 };
-    score += riskMap[naics] || 12;
-
-    // Employee count / employment law (20 max)
-    const emp = this._empBucket(biz.employee_count);
-    score += [4, 8, 12, 15, 20][emp];
-
-    // Regulatory complexity (20 max)
-    const regMap = { '52': 20, '62': 18, '21': 18, '22': 15, '51': 12 };
-    score += regMap[naics] || 8;
-
-    // Years in business (15 max)
-    const years = biz.years_in_business || 0;
-    if (years > 10) score += 15;
-    else if (years >= 5) score += 10;
-    else score += 5;
-
-    // Contact path (15 max)
-    if (biz.contact_email) score += 15;
-    else if (biz.website) score += 8;
-
-    return Math.min(100, score);
-  }
-
-  _scoreInvesting(biz) {
-    let score = 0;
-    const naics = this._naicsPrefix(biz.naics_code);
-
-    // Revenue estimate via employee proxy (30 max)
-    const emp = this._empBucket(biz.employee_count);
-    score += [5, 12, 20, 25, 30][emp];
-
-    // Industry wealth signals (25 max)
-    const wealthMap = { '52': 25, '53': 24, '54': 23, '55': 22, '21': 20 };
-    score += wealthMap[naics] || 10;
-
-    // Director available (15 max)
-    const hasDirectors = Array.isArray(biz.directors) && biz.directors.length > 0;
-    if (hasDirectors) score += 15;
-
-    // Years in business (20 max)
-    const years = biz.years_in_business || 0;
-    if (years > 15) score += 20;
-    else if (years >= 10) score += 15;
-    else if (years >= 5) score += 10;
-    else if (years > 0) score += 3;
-
-    // Province wealth concentration (10 max)
-    const provMap = { 'ON': 10, 'BC': 9, 'AB': 8, 'QC': 7 };
-    score += provMap[(biz.province || '').toUpperCase()] || 5;
-
-    return Math.min(100, score);
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ('priority_scoring','running') RETURNING id`); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// =====================================================
-// 📧 EMAIL ENRICHMENT PIPELINE
-// =====================================================
-
-// Expanded generic email prefixes
-const CPA_GENERIC_LOCALS = /^(info|contact|contact_us|contactus|client\.?relations|investor\.?relations|admin|support|noreply|no-reply|hello|office|sales|marketing|hr|careers|jobs|webmaster|privacy|billing|unsubscribe|abuse|spam|reception|general|enquiries|inquiries|accessibility|fraud|clientcare|mediarelations|wmcmediarelations|communications|media|press|compliance|legal|remittance|service|donations?|donate|team|itsecurity|solutions|feedback|mail|signs|accounting|corporatemarketing|webenquiry|centrecontact|crm|community|newsletter|events?|customerservice|frontdesk|connect|kontakt|foi\.?privacy|order|leisure|lending|investors|corp|recruitment|reservations|shipping|warehouse|dispatch|returns|booking|shop|news|relais|ventas|pomoc|talent|web|people|appsupport|salesfire|newbusiness|notification|partnerships|secretariat|secretary|staplestax|taxman|socam|rotterdam)@/i;
-
-const CPA_INDUSTRY_SUFFIXES = ['cpa', 'accounting', 'tax'];
-const DNS_TIMEOUT = 3000;
-
-class FirmWebsiteEnricher {
-  constructor() {
-    this.dailyLimit = 500;
-    this.delayMs = 3000;
-    this.batchSize = 5;
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    this.running = false;
-    this.smtpAvailable = false;
-    this.dnsCache = new Map();
-    this.crawlCache = new Map();
-  }
-
-  async enrich(dbClient) {
-    if (this.running) {
-      console.log('[Enrichment] Already running, skipping duplicate trigger');
-      return { processed: 0, enriched: 0 };
-    }
-    this.running = true;
-    this.dnsCache.clear();
-    this.crawlCache.clear();
-
-    // Test SMTP port 25 availability
-    this.smtpAvailable = await this._testSmtpPort();
-    console.log(`[CPA Enrichment] SMTP port 25 ${this.smtpAvailable ? 'available' : 'blocked'} — verification ${this.smtpAvailable ? 'enabled' : 'disabled'}`);
-
-    // Clean up stale "running" jobs from previous server instances (older than 2 hours)
-    try {
-      const cleaned = await dbClient.query(
-        `UPDATE scrape_jobs SET status = 'failed', error_message = 'Server restarted — job orphaned', completed_at = NOW()
-         WHERE source = 'email_enrichment' AND status = 'running' AND started_at < NOW() - INTERVAL '2 hours'`
-      );
-      if (cleaned.rowCount > 0) console.log(`[Enrichment] Cleaned up ${cleaned.rowCount} stale jobs`);
-    } catch (e) { /* ignore */ }
-
-    console.log('📧 Starting email enrichment pipeline...');
-    const jobId = await this._startJob(dbClient);
-    let totalProcessed = 0, totalEnriched = 0;
-
-    try {
-      // Province rotation: cycle through province groups so every province gets enriched
-      const PROVINCE_GROUPS = [
-        { name: 'Ontario', filter: "LOWER(province) IN ('on','ontario')" },
-        { name: 'BC', filter: "LOWER(province) IN ('bc','british columbia')" },
-        { name: 'Alberta', filter: "LOWER(province) IN ('ab','alberta')" },
-        { name: 'Quebec', filter: "LOWER(province) IN ('qc','quebec')" },
-        { name: 'Prairies', filter: "LOWER(province) IN ('mb','manitoba','sk','saskatchewan')" },
-        { name: 'Atlantic', filter: "LOWER(province) IN ('ns','nova scotia','nb','new brunswick','nl','newfoundland','newfoundland and labrador','pe','pei','prince edward island')" },
-      ];
-      const perGroupLimit = Math.ceil(this.dailyLimit / PROVINCE_GROUPS.length);
-
-      // Priority 1: CPAs with firm_name — rotate through province groups
-      for (const group of PROVINCE_GROUPS) {
-        const groupLimit = Math.min(perGroupLimit, this.dailyLimit - totalProcessed);
-        if (groupLimit <= 0) break;
-
-        const cpasWithFirm = await dbClient.query(
-          `SELECT id, first_name, last_name, full_name, firm_name, city, province
-           FROM (
-             SELECT *, ROW_NUMBER() OVER (PARTITION BY LOWER(TRIM(firm_name)) ORDER BY scraped_at ASC) as rn
-             FROM scraped_cpas
-             WHERE firm_name IS NOT NULL AND firm_name != ''
-               AND email IS NULL AND enriched_email IS NULL
-               AND status = 'raw'
-               AND ${group.filter}
-           ) sub
-           WHERE rn <= 2
-           ORDER BY scraped_at ASC
-           LIMIT ${groupLimit}`
-        );
-
-        console.log(`[Enrichment] ${group.name}: Found ${cpasWithFirm.rows.length} CPAs with firm names`);
-
-        for (let i = 0; i < cpasWithFirm.rows.length; i += this.batchSize) {
-          const batch = cpasWithFirm.rows.slice(i, i + this.batchSize);
-          const results = await Promise.allSettled(
-            batch.map(cpa => this._processSingleCPA(cpa, dbClient))
-          );
-
-          for (let j = 0; j < results.length; j++) {
-            totalProcessed++;
-            if (results[j].status === 'fulfilled' && results[j].value) {
-              totalEnriched++;
-            }
-          }
-
-          if (totalProcessed % 20 === 0) {
-            console.log(`[Enrichment] Progress: ${totalProcessed} processed, ${totalEnriched} enriched`);
-          }
-          await delay(this.delayMs);
-        }
-      }
-
-      // Priority 2: CPAs without firm_name — rotate through province groups
-      for (const group of PROVINCE_GROUPS) {
-        const remaining = this.dailyLimit - totalProcessed;
-        const groupLimit = Math.min(perGroupLimit, remaining);
-        if (groupLimit <= 0) break;
-
-        const cpasNoFirm = await dbClient.query(
-          `SELECT id, first_name, last_name, full_name, city, province
-           FROM scraped_cpas
-           WHERE (firm_name IS NULL OR firm_name = '')
-             AND email IS NULL AND enriched_email IS NULL
-             AND status = 'raw'
-             AND ${group.filter}
-           ORDER BY scraped_at ASC
-           LIMIT ${groupLimit}`
-        );
-
-        console.log(`[Enrichment] ${group.name}: Found ${cpasNoFirm.rows.length} CPAs without firm names`);
-
-        for (let i = 0; i < cpasNoFirm.rows.length; i += this.batchSize) {
-          const batch = cpasNoFirm.rows.slice(i, i + this.batchSize);
-          const results = await Promise.allSettled(
-            batch.map(cpa => this._processSingleCPANoFirm(cpa, dbClient))
-          );
-
-          for (let j = 0; j < results.length; j++) {
-            totalProcessed++;
-            if (results[j].status === 'fulfilled' && results[j].value) {
-              totalEnriched++;
-            }
-          }
-
-          if (totalProcessed % 20 === 0) {
-            console.log(`[Enrichment] Progress: ${totalProcessed} processed, ${totalEnriched} enriched`);
-          }
-          await delay(this.delayMs);
-        }
-      }
-
-      await this._completeJob(dbClient, jobId, totalProcessed, totalEnriched);
-      console.log(`✅ Enrichment complete: ${totalProcessed} processed, ${totalEnriched} enriched`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ Enrichment failed:', error.message);
-    }
-
-    this.running = false;
-    return { processed: totalProcessed, enriched: totalEnriched };
-  }
-
-  async _apolloLookup(professional, dbClient) {
-    if (!process.env.APOLLO_API_KEY) return null;
-    try {
-      const dailyLimit = parseInt(process.env.APOLLO_DAILY_LIMIT) || 50;
-      const today = new Date().toISOString().slice(0, 10);
-      const used = await dbClient.query(
-        `SELECT COALESCE(SUM(records_updated), 0) as credits FROM scrape_jobs WHERE source = 'apollo_enrichment' AND started_at::date = $1::date`,
-        [today]
-      );
-      if (parseInt(used.rows[0].credits) >= dailyLimit) return null;
-
-      const payload = { first_name: professional.first_name, last_name: professional.last_name };
-      if (professional.firm_name) payload.organization_name = professional.firm_name;
-
-      const res = await axios.post('https://api.apollo.io/api/v1/people/match', payload, {
-        headers: { 'x-api-key': process.env.APOLLO_API_KEY, 'Content-Type': 'application/json' },
-        timeout: 10000
-      });
-
-      await dbClient.query(
-        `INSERT INTO scrape_jobs (source, status, records_updated, started_at, completed_at) VALUES ('apollo_enrichment', 'completed', 1, NOW(), NOW())`
-      );
-
-      if (res.data?.person?.email) {
-        return { email: res.data.person.email, source: `apollo:${res.data.person.email_confidence || 'high'}` };
-      }
-      return null;
-    } catch (err) {
-      console.error(`[Apollo] Lookup failed for ${professional.first_name} ${professional.last_name}:`, err.message);
-      return null;
-    }
-  }
-
-  // Process a single CPA with firm name (used by parallel mini-batch)
-  async _processSingleCPA(cpa, dbClient) {
-    try {
-      const result = await this._findEmailForCPA(cpa, dbClient);
-      if (result) {
-        // Dedup: skip if this email is already assigned to 2+ other professionals
-        const dupeCheck = await dbClient.query(
-          `SELECT COUNT(*) as c FROM scraped_cpas WHERE enriched_email = $1`, [result.email]
-        );
-        if (parseInt(dupeCheck.rows[0].c) >= 2) {
-          console.log(`[Enrichment] Skipping duplicate email ${result.email} (already assigned to ${dupeCheck.rows[0].c} records)`);
-          await dbClient.query(
-            `UPDATE scraped_cpas SET status = 'enrichment_attempted', updated_at = NOW() WHERE id = $1`, [cpa.id]
-          );
-          return false;
-        } else {
-          await dbClient.query(
-            `UPDATE scraped_cpas SET enriched_email = $2, enrichment_source = $3, enrichment_date = NOW(), status = 'enriched', updated_at = NOW() WHERE id = $1`,
-            [cpa.id, result.email, result.source]
-          );
-          return true;
-        }
-      } else {
-        await dbClient.query(
-          `UPDATE scraped_cpas SET status = 'enrichment_attempted', updated_at = NOW() WHERE id = $1`,
-          [cpa.id]
-        );
-        return false;
-      }
-    } catch (err) {
-      console.error(`[Enrichment] Error for CPA ${cpa.id}:`, err.message);
-      return false;
-    }
-  }
-
-  // Process a single CPA without firm name (used by parallel mini-batch)
-  async _processSingleCPANoFirm(cpa, dbClient) {
-    try {
-      let result = await this._apolloLookup(cpa, dbClient);
-      if (!result) result = await this._findEmailNoFirm(cpa);
-      if (result) {
-        const dupeCheck = await dbClient.query(
-          `SELECT COUNT(*) as c FROM scraped_cpas WHERE enriched_email = $1`, [result.email]
-        );
-        if (parseInt(dupeCheck.rows[0].c) >= 2) {
-          console.log(`[Enrichment] Skipping duplicate email ${result.email} (already assigned to ${dupeCheck.rows[0].c} records)`);
-          await dbClient.query(
-            `UPDATE scraped_cpas SET status = 'enrichment_attempted', updated_at = NOW() WHERE id = $1`, [cpa.id]
-          );
-          return false;
-        } else {
-          await dbClient.query(
-            `UPDATE scraped_cpas SET enriched_email = $2, enrichment_source = $3, firm_name = COALESCE(NULLIF(firm_name, ''), $4), enrichment_date = NOW(), status = 'enriched', updated_at = NOW() WHERE id = $1`,
-            [cpa.id, result.email, result.source, result.firmName || '']
-          );
-          return true;
-        }
-      } else {
-        await dbClient.query(
-          `UPDATE scraped_cpas SET status = 'enrichment_attempted', updated_at = NOW() WHERE id = $1`,
-          [cpa.id]
-        );
-        return false;
-      }
-    } catch (err) {
-      console.error(`[Enrichment] Error for CPA ${cpa.id} (no-firm):`, err.message);
-      return false;
-    }
-  }
-
-  // Cached DNS resolution to avoid repeated lookups for the same domain
-  async _cachedDnsResolve(domain) {
-    if (this.dnsCache.has(domain)) return this.dnsCache.get(domain);
-    try {
-      const result = await Promise.race([
-        dns.resolve4(domain),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('DNS timeout')), DNS_TIMEOUT))
-      ]);
-      this.dnsCache.set(domain, result);
-      return result;
-    } catch (err) {
-      this.dnsCache.set(domain, null);
-      return null;
-    }
-  }
-
-  // Cached MX resolution
-  async _cachedMxResolve(domain) {
-    const cacheKey = `mx:${domain}`;
-    if (this.dnsCache.has(cacheKey)) return this.dnsCache.get(cacheKey);
-    try {
-      const result = await Promise.race([
-        dns.resolveMx(domain),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('MX timeout')), DNS_TIMEOUT))
-      ]);
-      this.dnsCache.set(cacheKey, result);
-      return result;
-    } catch (err) {
-      this.dnsCache.set(cacheKey, null);
-      return null;
-    }
-  }
-
-  // Strategy 1: CPA has a firm name — try to find firm website and extract emails
-  async _findEmailForCPA(cpa, dbClient) {
-    // Priority 0: Apollo.io lookup
-    const apolloResult = await this._apolloLookup(cpa, dbClient);
-    if (apolloResult) return apolloResult;
-
-    const firmName = cpa.firm_name;
-    if (!firmName) return null;
-
-    const possibleDomains = this._generateDomainSlugs(firmName);
-    if (possibleDomains.length === 0) return null;
-
-    let confirmedDomain = null;
-
-    for (const domain of possibleDomains) {
-      try {
-        const { email, domainLive } = await this._scrapeWebsiteForEmail(domain, cpa);
-        if (domainLive && !confirmedDomain) confirmedDomain = domain;
-        if (email) {
-          // Validate with ZeroBounce before accepting
-          const zbResult = await this._zerobounceValidate(email, dbClient);
-          if (!zbResult.valid) {
-            console.log(`[CPA Enrichment] ZeroBounce rejected ${email} (status: ${zbResult.status}) — skipping domain ${domain}`);
-            continue;
-          }
-          await dbClient.query(
-            `UPDATE scraped_cpas SET firm_website = $2 WHERE id = $1`,
-            [cpa.id, domain]
-          );
-          return { email, source: `firm_website:${domain}` };
-        }
-      } catch (err) {
-        continue;
-      }
-    }
-
-    return null;
-  }
-
-  _generateDomainSlugs(firmName) {
-    if (!firmName) return [];
-    const clean = firmName.toLowerCase()
-      .replace(/[^a-z0-9\s]/g, '')
-      .replace(/\b(llp|inc|ltd|corp|corporation|limited|professional|group|associates)\b/g, '')
-      .trim();
-    if (!clean || clean.length < 2) return [];
-
-    const words = clean.split(/\s+/).filter(w => w.length > 0);
-    if (words.length === 0) return [];
-
-    const slugs = new Set();
-    const compact = words.join('');
-    slugs.add(`${compact}.ca`);
-    slugs.add(`${compact}.com`);
-    slugs.add(`${compact}.net`);
-    slugs.add(`${compact}.org`);
-
-    if (words.length > 1) {
-      const hyphenated = words.join('-');
-      slugs.add(`${hyphenated}.ca`);
-      slugs.add(`${hyphenated}.com`);
-    }
-
-    if (words.length > 2) {
-      const first2 = words.slice(0, 2).join('');
-      slugs.add(`${first2}.ca`);
-      slugs.add(`${first2}.com`);
-    }
-
-    // First word only (e.g., "Deloitte Canada LLP" → deloitte.ca)
-    if (words.length > 1 && words[0].length >= 4) {
-      slugs.add(`${words[0]}.ca`);
-      slugs.add(`${words[0]}.com`);
-    }
-
-    // Abbreviation (initials)
-    if (words.length >= 2 && words.length <= 5) {
-      const abbr = words.map(w => w[0]).join('');
-      if (abbr.length >= 2) {
-        slugs.add(`${abbr}.ca`);
-        slugs.add(`${abbr}.com`);
-      }
-    }
-
-    // Industry keyword slugs
-    const base = words[0];
-    if (base.length >= 3) {
-      for (const suffix of CPA_INDUSTRY_SUFFIXES) {
-        slugs.add(`${base}${suffix}.ca`);
-        slugs.add(`${base}${suffix}.com`);
-      }
-    }
-
-    return [...slugs];
-  }
-
-  // Strategy 2: No firm name — crawl large CPA firm team/people pages and match names
-  async _findEmailNoFirm(cpa) {
-    const firstName = (cpa.first_name || '').trim().toLowerCase();
-    const lastName = (cpa.last_name || '').trim().toLowerCase();
-    // Clean up parenthetical preferred names like "(Darcy) W."
-    const lastNameClean = lastName.replace(/\(.*?\)/g, '').replace(/\b[a-z]\.\s*/g, '').trim();
-    if (!lastNameClean || lastNameClean.length < 2) return null;
-    if (!firstName || firstName.length < 2) return null;
-
-    // Large CPA firms with public team directories
-    const largeFirms = [
-      { domain: 'bdo.ca', name: 'BDO Canada', teamPages: ['/en-ca/our-people/search-results?name='] },
-      { domain: 'mnp.ca', name: 'MNP LLP', teamPages: ['/en/find-a-team-member?search='] },
-      { domain: 'grantthornton.ca', name: 'Grant Thornton', teamPages: ['/en/people?search='] },
-      { domain: 'bakertilly.ca', name: 'Baker Tilly', teamPages: ['/en/people?q='] },
-      { domain: 'welchllp.com', name: 'Welch LLP', teamPages: ['/our-team/', '/about/our-team/'] },
-      { domain: 'manningelliott.com', name: 'Manning Elliott', teamPages: ['/team/', '/our-team/'] },
-      { domain: 'smythegroup.com', name: 'Smythe LLP', teamPages: ['/team/', '/our-team/'] },
-      { domain: 'dmcl.ca', name: 'DMCL', teamPages: ['/team/', '/our-team/'] },
-      { domain: 'clearlinecpa.ca', name: 'Clearline CPA', teamPages: ['/team/', '/our-team/'] },
-      { domain: 'rcmycpa.ca', name: 'RCM CPA', teamPages: ['/team/', '/our-team/'] },
-      { domain: 'deloitte.com', name: 'Deloitte', teamPages: ['/ca/en/profiles/'] },
-      { domain: 'pwc.com', name: 'PwC', teamPages: ['/ca/en/contacts.html?'] },
-      { domain: 'ey.com', name: 'EY', teamPages: ['/en_ca/people/'] },
-      { domain: 'kpmg.com', name: 'KPMG', teamPages: ['/ca/en/home/contacts.html?'] },
-      { domain: 'rsm.ca', name: 'RSM Canada', teamPages: ['/our-people?search='] },
-      { domain: 'crowesoberman.com', name: 'Crowe Soberman', teamPages: ['/team/', '/our-people/'] },
-      { domain: 'richter.ca', name: 'Richter', teamPages: ['/en/team/', '/en/our-people/'] },
-      { domain: 'fullerlandau.com', name: 'Fuller Landau', teamPages: ['/team/', '/our-team/'] },
-      { domain: 'zeifmans.ca', name: 'Zeifmans', teamPages: ['/team/', '/our-people/'] },
-      { domain: 'rlb.ca', name: 'RLB LLP', teamPages: ['/team/', '/our-people/'] },
-      { domain: 'fbc.ca', name: 'FBC', teamPages: ['/about-us/our-team/'] },
-      { domain: 'doanegrantthornton.ca', name: 'Doane Grant Thornton', teamPages: ['/en/people?search='] },
-      { domain: 'marcillavallee.ca', name: 'Marcil Lavallee', teamPages: ['/team/', '/our-team/'] },
-      { domain: 'sbpartners.ca', name: 'SB Partners', teamPages: ['/team/', '/our-people/'] },
-      { domain: 'taylorlieberman.com', name: 'Taylor Lieberman', teamPages: ['/team/', '/our-team/'] },
-      { domain: 'mdd.com', name: 'MDD Forensic Accountants', teamPages: ['/our-people/', '/team/'] },
-      { domain: 'sfpartnership.ca', name: 'SF Partnership', teamPages: ['/team/', '/our-team/'] },
-      { domain: 'lfrgroup.ca', name: 'LFR Group', teamPages: ['/team/', '/our-team/'] },
-      { domain: 'dfrg.ca', name: 'DNTW', teamPages: ['/team/', '/our-people/'] },
-      { domain: 'pfrgroup.ca', name: 'PFR Group', teamPages: ['/team/', '/our-team/'] },
-    ];
-
-    for (const firm of largeFirms) {
-      for (const teamPath of firm.teamPages) {
-        try {
-          // Build URL: for search-based pages, append the last name
-          let url;
-          if (teamPath.includes('?') || teamPath.includes('=')) {
-            url = `https://${firm.domain}${teamPath}${encodeURIComponent(lastNameClean)}`;
-          } else {
-            url = `https://${firm.domain}${teamPath}`;
-          }
-
-          const response = await axios.get(url, {
-            timeout: 8000,
-            headers: { 'User-Agent': this.userAgent },
-            maxRedirects: 3,
-            validateStatus: (s) => s < 400,
-          });
-
-          const html = response.data;
-          // Check if the page mentions the CPA's name
-          const htmlLower = html.toLowerCase();
-          if (htmlLower.includes(lastNameClean) && htmlLower.includes(firstName)) {
-            // Found a name match — look for emails on this page
-            const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-            const foundEmails = html.match(emailRegex) || [];
-
-            for (const email of foundEmails) {
-              if (email.match(/\.(png|jpg|jpeg|gif|svg|css|js|webp|ico|woff|woff2|ttf|eot|map)$/i)) continue;
-              if (email.match(/\d+x\d*\./)) continue; // image dimensions like flags@2x.webp
-              if (email.match(/^(example|test|user|email|someone|yourname|your|youremail|your\.?address|your\.?email|your\.?name|name|username|sampleemail)@/i)) continue;
-              if (CPA_GENERIC_LOCALS.test(email)) continue;
-              if (email.match(/@(mysite|yoursite|yourdomain|domain|website|site|example|sentry|wixpress|mailchimp|placeholder|test|domainmarket|email)\./i)) continue;
-              if (email.match(/impallari|fontawesome|bootstrap|wordpress|@sentry-next/i)) continue;
-              if (email.split('@')[0].length < 3) continue;
-              if (email.match(/^(shop|news|relais|ventas|pomoc|talent|web|people|appsupport|salesfire|newbusiness|notification|partnerships|right\.info|secretariat|secretary|staplestax|taxman|x{2,}|order|leisure|lending|investors|corp|contactus|contact_us|recruitment|reservations|shipping|warehouse|dispatch|returns|booking|socam|rotterdam)@/i)) continue;
-              if (email.match(/^u003e/i)) continue;
-              { const lp = email.split('@')[0]; if (lp.length > 8 && (lp.match(/[aeiou]/gi) || []).length / lp.length < 0.15) continue; }
-
-              const emailLower = email.toLowerCase();
-              const localPart = emailLower.split('@')[0];
-              // Check if email contains the CPA's name parts
-              if (localPart.includes(lastNameClean) || localPart.includes(firstName)) {
-                console.log(`[Enrichment] Found name-matched email for ${cpa.full_name}: ${email} on ${firm.name}`);
-                return { email, source: `firm_directory:${firm.name}`, firmName: firm.name };
-              }
-            }
-
-            // If we found the name but no name-matched email, try pattern-based emails
-            // Common patterns: first.last@domain, flast@domain
-            const candidateEmails = [
-              `${firstName}.${lastNameClean}@${firm.domain}`,
-              `${firstName[0]}${lastNameClean}@${firm.domain}`,
-              `${firstName}${lastNameClean}@${firm.domain}`,
-            ];
-
-            // Check if any of these patterns appear in the found emails
-            for (const candidate of candidateEmails) {
-              if (foundEmails.map(e => e.toLowerCase()).includes(candidate)) {
-                console.log(`[Enrichment] Found pattern-matched email for ${cpa.full_name}: ${candidate} on ${firm.name}`);
-                return { email: candidate, source: `firm_directory:${firm.name}`, firmName: firm.name };
-              }
-            }
-          }
-        } catch (err) {
-          // Page doesn't exist or error — skip this firm/path
-          continue;
-        }
-        await delay(2000); // Delay between firm page fetches
-      }
-    }
-
-    return null;
-  }
-
-  // Scrape a website for email addresses, prioritizing name matches
-  async _scrapeWebsiteForEmail(domain, cpa) {
-    // DNS pre-check — skip domains that don't resolve (cached)
-    const dnsResult = await this._cachedDnsResolve(domain);
-    if (!dnsResult) {
-      return { email: null, domainLive: false };
-    }
-
-    // Check crawl cache — if we already crawled this domain, search cached emails for name match
-    if (this.crawlCache.has(domain)) {
-      const cached = this.crawlCache.get(domain);
-      const firstName = (cpa.first_name || '').toLowerCase();
-      const lastName = (cpa.last_name || '').toLowerCase();
-
-      // Search cached emails for this CPA's name
-      const nameMatched = cached.emails.filter(e => {
-        const localPart = e.toLowerCase().split('@')[0];
-        return (firstName.length >= 2 && localPart.includes(firstName)) ||
-               (lastName.length >= 2 && localPart.includes(lastName));
-      });
-      if (nameMatched.length > 0) return { email: nameMatched[0], domainLive: cached.domainLive };
-
-      // Solo practitioner fallback on cached emails
-      if (this._isSoloPractice(cpa.firm_name, cpa.last_name)) {
-        const anyValid = cached.emails.filter(e =>
-          !e.match(/@(mysite|yoursite|yourdomain|domain|website|site|example|sentry|wixpress|mailchimp|placeholder|test)\./i) &&
-          !e.match(/impallari|fontawesome|bootstrap|wordpress|@sentry-next/i)
-        );
-        if (anyValid.length === 1) return { email: anyValid[0], domainLive: cached.domainLive };
-      }
-
-      return { email: null, domainLive: cached.domainLive };
-    }
-
-    const pages = [`https://${domain}`, `https://${domain}/contact`, `https://${domain}/team`, `https://${domain}/about`, `https://${domain}/our-team`, `https://${domain}/people`,
-                    `https://${domain}/professionals`, `https://${domain}/about-us`, `https://${domain}/meet-the-team`, `https://${domain}/staff`, `https://${domain}/partners`, `https://${domain}/services`,
-                    `https://${domain}/directory`, `https://${domain}/leadership`, `https://${domain}/who-we-are`, `https://${domain}/our-people`, `https://${domain}/our-firm`, `https://${domain}/members`, `https://${domain}/our-practice`, `https://${domain}/associates`];
-    const allEmails = new Set();
-    const nameMatchEmails = [];
-    const firstName = (cpa.first_name || '').toLowerCase();
-    const lastName = (cpa.last_name || '').toLowerCase();
-    let anyPageLoaded = false;
-
-    for (const url of pages) {
-      try {
-        const response = await axios.get(url, {
-          timeout: 8000,
-          headers: { 'User-Agent': this.userAgent },
-          maxRedirects: 3,
-          validateStatus: (s) => s < 400,
-        });
-        anyPageLoaded = true;
-
-        const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-        const found = (typeof response.data === 'string' ? response.data : '').match(emailRegex) || [];
-
-        for (const email of found) {
-          if (email.match(/\.(png|jpg|jpeg|gif|svg|css|js|webp|ico|woff|woff2|ttf|eot|map)$/i)) continue;
-          if (email.match(/\d+x\d*\./)) continue;
-          if (email.match(/^(example|test|user|email|someone|yourname|your|youremail|your\.?address|your\.?email|your\.?name|name|username|sampleemail)@/i)) continue;
-          if (CPA_GENERIC_LOCALS.test(email)) continue;
-          if (email.match(/@(mysite|yoursite|yourdomain|domain|website|site|example|sentry|wixpress|mailchimp|placeholder|test|domainmarket|email)\./i)) continue;
-          if (email.match(/impallari|fontawesome|bootstrap|wordpress|@sentry-next/i)) continue;
-          if (email.split('@')[0].length < 3) continue;
-          if (email.match(/^(shop|news|relais|ventas|pomoc|talent|web|people|appsupport|salesfire|newbusiness|notification|partnerships|right\.info|secretariat|secretary|staplestax|taxman|x{2,})@/i)) continue;
-          if (email.match(/^u003e/i)) continue;
-          { const lp = email.split('@')[0]; if (lp.length > 8 && (lp.match(/[aeiou]/gi) || []).length / lp.length < 0.15) continue; }
-
-          allEmails.add(email);
-          const emailLower = email.toLowerCase();
-
-          if (firstName.length >= 2 && emailLower.includes(firstName)) {
-            nameMatchEmails.push(email);
-          } else if (lastName.length >= 2 && emailLower.includes(lastName)) {
-            nameMatchEmails.push(email);
-          }
-        }
-      } catch (err) {
-        continue;
-      }
-      await delay(1000);
-    }
-
-    // Cache crawled emails for this domain so other CPAs at the same firm skip re-crawling
-    this.crawlCache.set(domain, { emails: [...allEmails], domainLive: anyPageLoaded });
-
-    // Priority: name-matched email > name-matched non-generic email > solo practitioner fallback
-    if (nameMatchEmails.length > 0) return { email: nameMatchEmails[0], domainLive: anyPageLoaded };
-
-    const nonGeneric = [...allEmails].filter(e => !CPA_GENERIC_LOCALS.test(e));
-    const nameMatched = nonGeneric.filter(e => {
-      const local = e.split('@')[0].toLowerCase();
-      return (firstName.length >= 2 && local.includes(firstName)) ||
-             (lastName.length >= 2 && local.includes(lastName));
-    });
-    if (nameMatched.length > 0) return { email: nameMatched[0], domainLive: anyPageLoaded };
-
-    // Solo practitioner fallback
-    if (this._isSoloPractice(cpa.firm_name, cpa.last_name)) {
-      const anyValid = [...allEmails].filter(e =>
-        !e.match(/@(mysite|yoursite|yourdomain|domain|website|site|example|sentry|wixpress|mailchimp|placeholder|test)\./i) &&
-        !e.match(/impallari|fontawesome|bootstrap|wordpress|@sentry-next/i)
-      );
-      if (anyValid.length === 1) return { email: anyValid[0], domainLive: anyPageLoaded };
-    }
-
-    return { email: null, domainLive: anyPageLoaded };
-  }
-
-  _generatePatternEmails(firstName, lastName, domain) {
-    if (!firstName || !lastName || firstName.length < 2 || lastName.length < 2) return [];
-    const f = firstName.toLowerCase().replace(/[^a-z]/g, '');
-    const l = lastName.toLowerCase().replace(/[^a-z]/g, '');
-    if (!f || !l) return [];
-    return [
-      `${f}.${l}@${domain}`,
-      `${f}${l}@${domain}`,
-      `${f[0]}${l}@${domain}`,
-      `${f}@${domain}`,
-    ];
-  }
-
-  async _domainAcceptsMail(domain) {
-    try {
-      const records = await this._cachedMxResolve(domain);
-      return records && records.length > 0;
-    } catch { return false; }
-  }
-
-  _isSoloPractice(firmName, lastName) {
-    if (!firmName || !lastName) return false;
-    return firmName.toLowerCase().includes(lastName.toLowerCase());
-  }
-
-  // Validate an email via ZeroBounce API (with DB cache)
-  async _zerobounceValidate(email, dbClient) {
-    const apiKey = process.env.ZEROBOUNCE_API_KEY;
-    if (!apiKey) return { valid: true, status: 'no_api_key' };
-
-    try {
-      // Check DB cache (30-day TTL)
-      const cached = await dbClient.query(
-        `SELECT status FROM email_validations WHERE email = $1 AND validated_at > NOW() - INTERVAL '30 days'`,
-        [email.toLowerCase()]
-      );
-      if (cached.rows.length > 0) {
-        const status = cached.rows[0].status;
-        const valid = ['valid', 'catch-all', 'unknown'].includes(status);
-        return { valid, status };
-      }
-
-      // Call ZeroBounce API
-      const response = await axios.get('https://api.zerobounce.net/v2/validate', {
-        params: { api_key: apiKey, email: email, ip_address: '' },
-        timeout: 15000,
-      });
-
-      const status = (response.data.status || '').toLowerCase();
-      const subStatus = (response.data.sub_status || '').toLowerCase();
-
-      // Cache result in DB
-      await dbClient.query(
-        `INSERT INTO email_validations (email, status, sub_status, validated_at)
-         VALUES ($1, $2, $3, NOW())
-         ON CONFLICT (email) DO UPDATE SET status = $2, sub_status = $3, validated_at = NOW()`,
-        [email.toLowerCase(), status, subStatus]
-      );
-
-      const valid = ['valid', 'catch-all', 'unknown'].includes(status);
-      console.log(`[ZeroBounce] ${email} → status: ${status}, sub_status: ${subStatus}, valid: ${valid}`);
-      return { valid, status };
-    } catch (err) {
-      console.error(`[ZeroBounce] Error validating ${email}:`, err.message);
-      // On error, allow the email through
-      return { valid: true, status: 'error' };
-    }
-  }
-
-  // Verify an email via SMTP RCPT TO
-  async _smtpVerify(email) {
-    if (!this.smtpAvailable) return 'unknown';
-    const domain = email.split('@')[1];
-
-    try {
-      const mxRecords = await this._cachedMxResolve(domain);
-      if (!mxRecords || mxRecords.length === 0) return 'invalid';
-
-      mxRecords.sort((a, b) => a.priority - b.priority);
-      const mxHost = mxRecords[0].exchange;
-
-      return await new Promise((resolve) => {
-        const socket = new net.Socket();
-        let step = 0;
-        let response = '';
-        const timeout = setTimeout(() => { socket.destroy(); resolve('unknown'); }, 10000);
-
-        socket.connect(25, mxHost, () => {});
-
-        socket.on('data', (data) => {
-          response = data.toString();
-          const code = parseInt(response.substring(0, 3));
-
-          if (step === 0 && code === 220) {
-            socket.write(`EHLO verify.canadaaccountants.app\r\n`);
-            step = 1;
-          } else if (step === 1 && code === 250) {
-            socket.write(`MAIL FROM:<verify@canadaaccountants.app>\r\n`);
-            step = 2;
-          } else if (step === 2 && code === 250) {
-            socket.write(`RCPT TO:<${email}>\r\n`);
-            step = 3;
-          } else if (step === 3) {
-            socket.write('QUIT\r\n');
-            clearTimeout(timeout);
-            if (code === 250) resolve('valid');
-            else if (code === 550 || code === 551 || code === 553) resolve('invalid');
-            else if (code === 252) resolve('valid'); // 252 = cannot verify but will accept
-            else resolve('unknown');
-            socket.destroy();
-          } else {
-            clearTimeout(timeout);
-            socket.write('QUIT\r\n');
-            resolve('unknown');
-            socket.destroy();
-          }
-        });
-
-        socket.on('error', () => { clearTimeout(timeout); resolve('unknown'); });
-        socket.on('timeout', () => { clearTimeout(timeout); socket.destroy(); resolve('unknown'); });
-      });
-    } catch {
-      return 'unknown';
-    }
-  }
-
-  // Test if outbound port 25 is available (Railway may block it)
-  async _testSmtpPort() {
-    try {
-      return await new Promise((resolve) => {
-        const socket = new net.Socket();
-        const timeout = setTimeout(() => { socket.destroy(); resolve(false); }, 5000);
-        // Test against a known MX server (Google)
-        socket.connect(25, 'alt1.gmail-smtp-in.l.google.com', () => {
-          clearTimeout(timeout);
-          socket.write('QUIT\r\n');
-          socket.destroy();
-          resolve(true);
-        });
-        socket.on('error', () => { clearTimeout(timeout); resolve(false); });
-      });
-    } catch { return false; }
-  }
-
-  async _startJob(dbClient) {
-    const r = await dbClient.query(`INSERT INTO scrape_jobs (source, status) VALUES ('email_enrichment', 'running') RETURNING id`);
-    return r.rows[0].id;
-  }
-  async _completeJob(dbClient, jobId, processed, enriched) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='completed', records_found=$2, records_inserted=$3, completed_at=NOW() WHERE id=$1`, [jobId, processed, enriched]);
-  }
-  async _failJob(dbClient, jobId, msg) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='failed', error_message=$2, completed_at=NOW() WHERE id=$1`, [jobId, msg]);
-  }
-}
-
-// =====================================================
-// 📧 SME EMAIL ENRICHMENT PIPELINE (Enhanced 3-Stage)
-// =====================================================
-
-class SMEEmailEnricher {
-  constructor() {
-    this.batchLimit = 2000;
-    this.delayMs = 1500;
-    this.batchSize = 5; // parallel mini-batch size
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    this.running = false;
-    this.smtpAvailable = null; // null = untested, true/false after first test
-  }
-
-  async enrich(dbClient) {
-    if (this.running) {
-      console.log('[SME Enrichment] Already running, skipping duplicate trigger');
-      return { processed: 0, enriched: 0, websitesFound: 0 };
-    }
-    this.running = true;
-
-    // Clean up stale "running" jobs from previous server instances
-    try {
-      const cleaned = await dbClient.query(
-        `UPDATE scrape_jobs SET status = 'failed', error_message = 'Server restarted — job orphaned', completed_at = NOW()
-         WHERE source = 'sme_email_enrichment' AND status = 'running' AND started_at < NOW() - INTERVAL '2 hours'`
-      );
-      if (cleaned.rowCount > 0) console.log(`[SME Enrichment] Cleaned up ${cleaned.rowCount} stale jobs`);
-    } catch (e) { /* ignore */ }
-
-    console.log('📧 Starting enhanced SME email enrichment pipeline...');
-    const jobId = await this._startJob(dbClient);
-    let totalProcessed = 0, totalEnriched = 0, totalWebsites = 0;
-
-    try {
-      // Prioritize: 1) records WITH website but no email, 2) records with no website
-      const smes = await dbClient.query(
-        `SELECT id, business_name, province, city, naics_code, industry, website, enrichment_attempts
-         FROM scraped_smes
-         WHERE contact_email IS NULL
-           AND (status IS NULL OR status = 'raw' OR status = 'active')
-           AND business_name IS NOT NULL AND business_name != ''
-         ORDER BY
-           website IS NOT NULL DESC,
-           GREATEST(COALESCE(score_accountants,0), COALESCE(score_lawyers,0), COALESCE(score_investing,0)) DESC NULLS LAST,
-           scraped_at ASC
-         LIMIT $1`,
-        [this.batchLimit]
-      );
-
-      console.log(`[SME Enrichment] Found ${smes.rows.length} SMEs to enrich`);
-
-      // Test SMTP port 25 availability once per run
-      if (this.smtpAvailable === null) {
-        this.smtpAvailable = await this._testSmtpPort();
-        console.log(`[SME Enrichment] SMTP port 25 ${this.smtpAvailable ? 'available' : 'blocked'}`);
-      }
-
-      // Process in mini-batches of 5
-      for (let i = 0; i < smes.rows.length; i += this.batchSize) {
-        const batch = smes.rows.slice(i, i + this.batchSize);
-        const results = await Promise.allSettled(
-          batch.map(sme => this._processSME(sme, dbClient))
-        );
-
-        for (let j = 0; j < results.length; j++) {
-          totalProcessed++;
-          const result = results[j];
-          if (result.status === 'fulfilled' && result.value) {
-            if (result.value.email) totalEnriched++;
-            if (result.value.websiteFound) totalWebsites++;
-          }
-        }
-
-        if (totalProcessed % 50 === 0) {
-          console.log(`[SME Enrichment] Progress: ${totalProcessed}/${smes.rows.length} processed, ${totalEnriched} emails, ${totalWebsites} websites`);
-        }
-        await delay(this.delayMs);
-      }
-
-      await this._completeJob(dbClient, jobId, totalProcessed, totalEnriched);
-      console.log(`✅ SME Enrichment complete: ${totalProcessed} processed, ${totalEnriched} emails found, ${totalWebsites} websites found`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ SME Enrichment failed:', error.message);
-    }
-
-    this.running = false;
-    return { processed: totalProcessed, enriched: totalEnriched, websitesFound: totalWebsites };
-  }
-
-  async _processSME(sme, dbClient) {
-    try {
-      const result = await this._findEmailForSME(sme, dbClient);
-      if (result && result.email) {
-        const updateFields = [
-          'contact_email = $2',
-          'website = COALESCE(website, $3)',
-          'enrichment_source = $4',
-          'enrichment_date = NOW()',
-          "status = 'enriched'",
-          'updated_at = NOW()',
-          'enrichment_attempts = COALESCE(enrichment_attempts, 0) + 1',
-        ];
-        const params = [sme.id, result.email, result.website || null, result.source];
-        let paramIdx = 5;
-
-        if (result.verified !== undefined) {
-          updateFields.push(`email_verified = $${paramIdx++}`);
-          params.push(result.verified);
-        }
-        if (result.verificationMethod) {
-          updateFields.push(`email_verification_method = $${paramIdx++}`);
-          params.push(result.verificationMethod);
-        }
-        if (result.websiteSource) {
-          updateFields.push(`website_source = COALESCE(website_source, $${paramIdx++})`);
-          params.push(result.websiteSource);
-        }
-        updateFields.push(`enrichment_phase = $${paramIdx++}`);
-        params.push(result.phase || 'email_found');
-
-        await dbClient.query(
-          `UPDATE scraped_smes SET ${updateFields.join(', ')} WHERE id = $1`,
-          params
-        );
-        return { email: true, websiteFound: !!result.website };
-      } else if (result && result.website) {
-        // Website found but no email — still valuable, save it
-        await dbClient.query(
-          `UPDATE scraped_smes SET website = $2, website_source = $3, enrichment_phase = 'website_only',
-           enrichment_attempts = COALESCE(enrichment_attempts, 0) + 1, updated_at = NOW(),
-           status = CASE WHEN status IN ('raw', 'active') THEN 'enrichment_attempted' ELSE status END
-           WHERE id = $1 AND website IS NULL`,
-          [sme.id, result.website, result.websiteSource || 'domain_guess']
-        );
-        return { email: false, websiteFound: true };
-      } else {
-        await dbClient.query(
-          `UPDATE scraped_smes SET status = 'enrichment_attempted',
-           enrichment_attempts = COALESCE(enrichment_attempts, 0) + 1,
-           enrichment_phase = 'no_domain', updated_at = NOW() WHERE id = $1`,
-          [sme.id]
-        );
-        return { email: false, websiteFound: false };
-      }
-    } catch (err) {
-      console.error(`[SME Enrichment] Error for SME ${sme.id} (${sme.business_name}):`, err.message);
-      await dbClient.query(
-        `UPDATE scraped_smes SET status = 'enrichment_attempted',
-         enrichment_attempts = COALESCE(enrichment_attempts, 0) + 1, updated_at = NOW() WHERE id = $1`,
-        [sme.id]
-      );
-      return null;
-    }
-  }
-
-  async _apolloLookup(sme, dbClient) {
-    if (!process.env.APOLLO_API_KEY) return null;
-    // SME enrichment: try to match business contact person
-    const contactName = sme.contact_name || '';
-    const nameParts = contactName.split(/\s+/);
-    if (nameParts.length < 2) return null; // Need at least first + last name
-
-    try {
-      const dailyLimit = parseInt(process.env.APOLLO_DAILY_LIMIT) || 50;
-      const today = new Date().toISOString().slice(0, 10);
-      const used = await dbClient.query(
-        `SELECT COALESCE(SUM(records_updated), 0) as credits FROM scrape_jobs WHERE source = 'apollo_enrichment' AND started_at::date = $1::date`,
-        [today]
-      );
-      if (parseInt(used.rows[0].credits) >= dailyLimit) return null;
-
-      const payload = {
-        first_name: nameParts[0],
-        last_name: nameParts.slice(1).join(' '),
-        organization_name: sme.business_name,
-      };
-
-      const res = await axios.post('https://api.apollo.io/api/v1/people/match', payload, {
-        headers: { 'x-api-key': process.env.APOLLO_API_KEY, 'Content-Type': 'application/json' },
-        timeout: 10000
-      });
-
-      await dbClient.query(
-        `INSERT INTO scrape_jobs (source, status, records_updated, started_at, completed_at) VALUES ('apollo_enrichment', 'completed', 1, NOW(), NOW())`
-      );
-
-      if (res.data?.person?.email) {
-        return { email: res.data.person.email, source: `apollo:${res.data.person.email_confidence || 'high'}`, phase: 'apollo' };
-      }
-      return null;
-    } catch (err) {
-      console.error(`[Apollo] SME lookup failed for ${sme.business_name}:`, err.message);
-      return null;
-    }
-  }
-
-  async _findEmailForSME(sme, dbClient) {
-    // Priority 0: Apollo.io lookup
-    const apolloResult = await this._apolloLookup(sme, dbClient);
-    if (apolloResult) return apolloResult;
-
-    const businessName = sme.business_name;
-    if (!businessName) return null;
-
-    // Stage 1: If SME already has a website (from directory enrichment), scrape it directly
-    if (sme.website) {
-      try {
-        const domain = new URL(sme.website).hostname.replace(/^www\./, '');
-        const email = await this._scrapeWebsiteForEmail(domain, sme);
-        if (email) {
-          const verified = await this._verifyEmail(email);
-          return { email, website: sme.website, source: `website:${domain}`, websiteSource: 'existing', phase: 'scraped_existing', ...verified };
-        }
-        // Website exists but no email scraped — try MX pattern generation
-        const patternResult = await this._tryPatternEmails(domain);
-        if (patternResult) {
-          return { email: patternResult.email, website: sme.website, source: `pattern:${domain}`, websiteSource: 'existing', phase: 'pattern_gen', ...patternResult };
-        }
-        return { website: sme.website, websiteSource: 'existing' };
-      } catch (err) {
-        // Invalid URL, fall through to domain guessing
-      }
-    }
-
-    // Stage 2: Generate domain variations from business name + DNS pre-check
-    const possibleDomains = this._generateDomainVariations(businessName);
-    if (possibleDomains.size === 0) return null;
-
-    // Batch DNS check — filter to only live domains
-    const liveDomains = await this._filterLiveDomains(possibleDomains);
-
-    if (liveDomains.length === 0) return null;
-
-    // Save the first live domain as website even if we don't find email
-    const firstLiveDomain = liveDomains[0];
-    let foundWebsite = `https://${firstLiveDomain}`;
-
-    // Scrape each live domain for emails
-    for (const domain of liveDomains) {
-      try {
-        const email = await this._scrapeWebsiteForEmail(domain, sme);
-        if (email) {
-          const verified = await this._verifyEmail(email);
-          return { email, website: `https://${domain}`, source: `website:${domain}`, websiteSource: 'domain_guess', phase: 'scraped_guessed', ...verified };
-        }
-      } catch (err) {
-        continue;
-      }
-    }
-
-    // Stage 3: No email scraped from any live domain — try MX pattern generation on first live domain
-    const patternResult = await this._tryPatternEmails(firstLiveDomain);
-    if (patternResult) {
-      return { email: patternResult.email, website: foundWebsite, source: `pattern:${firstLiveDomain}`, websiteSource: 'domain_guess', phase: 'pattern_gen', ...patternResult };
-    }
-
-    // Return website discovery even without email
-    return { website: foundWebsite, websiteSource: 'domain_guess' };
-  }
-
-  _generateDomainVariations(businessName) {
-    const cleaned = businessName.toLowerCase()
-      .replace(/\b(inc|ltd|llc|llp|corp|corporation|limited|co|company|enterprises|holdings|group|partners|solutions|services|consulting|technologies|international|canada|canadian|ontario|toronto|vancouver|calgary|ottawa|montreal)\b/gi, '')
-      .replace(/[^a-z0-9\s]/g, '')
-      .trim();
-
-    if (cleaned.length < 3) return new Set();
-
-    const words = cleaned.split(/\s+/).filter(w => w.length >= 2);
-    if (words.length === 0) return new Set();
-
-    const slug = words.join('');
-    const slugHyphen = words.join('-');
-    const acronym = words.map(w => w[0]).join('');
-    const shortSlug = words.slice(0, 2).join('');
-    const shortSlugHyphen = words.slice(0, 2).join('-');
-
-    const possibleDomains = new Set();
-    if (slug.length >= 3 && slug.length <= 40) {
-      possibleDomains.add(`${slug}.ca`);
-      possibleDomains.add(`${slug}.com`);
-    }
-    if (slugHyphen.length >= 3 && slugHyphen !== slug) {
-      possibleDomains.add(`${slugHyphen}.ca`);
-      possibleDomains.add(`${slugHyphen}.com`);
-    }
-    if (shortSlug.length >= 3 && shortSlug !== slug) {
-      possibleDomains.add(`${shortSlug}.ca`);
-      possibleDomains.add(`${shortSlug}.com`);
-    }
-    if (shortSlugHyphen.length >= 3 && shortSlugHyphen !== slugHyphen && shortSlugHyphen !== shortSlug) {
-      possibleDomains.add(`${shortSlugHyphen}.ca`);
-      possibleDomains.add(`${shortSlugHyphen}.com`);
-    }
-    if (acronym.length >= 3) {
-      possibleDomains.add(`${acronym}.ca`);
-      possibleDomains.add(`${acronym}.com`);
-    }
-    return possibleDomains;
-  }
-
-  // Batch-filter domains via parallel DNS lookups
-  async _filterLiveDomains(domains) {
-    const results = await Promise.allSettled(
-      [...domains].map(d => Promise.race([
-        dns.resolve4(d).then(() => d),
-        new Promise((_, rej) => setTimeout(() => rej(new Error('DNS timeout')), DNS_TIMEOUT))
-      ]))
-    );
-    return results.filter(r => r.status === 'fulfilled').map(r => r.value);
-  }
-
-  async _scrapeWebsiteForEmail(domain, sme) {
-    const pages = [
-      `https://${domain}`, `https://${domain}/contact`, `https://${domain}/contact-us`,
-      `https://${domain}/about`, `https://${domain}/about-us`, `https://${domain}/team`,
-      `https://${domain}/our-team`, `https://${domain}/staff`, `https://${domain}/people`,
-      `https://${domain}/services`, `https://${domain}/location`, `https://${domain}/locations`,
-      `https://${domain}/partners`, `https://${domain}/cpas`, `https://${domain}/our-cpas`,
-      `https://${domain}/accountants`, `https://${domain}/tax-professionals`,
-    ];
-    const allEmails = new Set();
-
-    for (const url of pages) {
-      try {
-        const response = await axios.get(url, {
-          timeout: 8000,
-          headers: { 'User-Agent': this.userAgent },
-          maxRedirects: 3,
-          validateStatus: (s) => s < 400,
-        });
-
-        const html = typeof response.data === 'string' ? response.data : '';
-        const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-        const found = html.match(emailRegex) || [];
-
-        for (const email of found) {
-          if (email.match(/\.(png|jpg|jpeg|gif|svg|css|js|webp|ico|woff|woff2|ttf|eot|map)$/i)) continue;
-          if (email.match(/\d+x\d*\./)) continue;
-          if (email.match(/^(example|test|user|email|someone|yourname|name|username|sampleemail)@/i)) continue;
-          if (email.match(/@(example\.|sentry\.|wixpress\.|mailchimp\.|placeholder\.|test\.|googleapis\.|w3\.org|mysite\.|yoursite\.|yourdomain\.|domain\.|website\.|site\.)/i)) continue;
-          if (email.match(/impallari|fontawesome|bootstrap|wordpress|@sentry-next/i)) continue;
-          if (email.split('@')[0].length < 3) continue;
-          if (email.match(/^(noreply|no-reply|donotreply|mailer-daemon|postmaster|webmaster)@/i)) continue;
-
-          allEmails.add(email.toLowerCase());
-        }
-      } catch (err) {
-        continue;
-      }
-      await delay(500);
-    }
-
-    if (allEmails.size === 0) return null;
-
-    // Priority 1: info@, contact@, office@, hello@ (best for business outreach)
-    const businessEmails = [...allEmails].filter(e =>
-      e.match(/^(info|contact|office|hello|enquiries|inquiries|reception|general)@/i)
-    );
-    if (businessEmails.length > 0) return businessEmails[0];
-
-    // Priority 2: Any email at the domain (not support/hr/careers)
-    const domainEmails = [...allEmails].filter(e => {
-      const emailDomain = e.split('@')[1];
-      return emailDomain === domain && !e.match(/^(support|hr|careers|jobs|noreply|no-reply|privacy|abuse|spam|billing|unsubscribe|marketing|sales)@/i);
-    });
-    if (domainEmails.length > 0) return domainEmails[0];
-
-    // Priority 3: Any non-excluded email at the same domain
-    const sameDomain = [...allEmails].filter(e => e.split('@')[1] === domain);
-    if (sameDomain.length > 0) return sameDomain[0];
-
-    return null;
-  }
-
-  // Check if domain has MX records (can receive email)
-  async _domainAcceptsMail(domain) {
-    try {
-      const records = await Promise.race([
-        dns.resolveMx(domain),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('MX timeout')), DNS_TIMEOUT))
-      ]);
-      return records && records.length > 0;
-    } catch { return false; }
-  }
-
-  // Try standard email patterns when we have a live domain with MX but no scraped email
-  async _tryPatternEmails(domain) {
-    const hasMx = await this._domainAcceptsMail(domain);
-    if (!hasMx) return null;
-
-    const patterns = [
-      `info@${domain}`, `contact@${domain}`, `hello@${domain}`,
-      `office@${domain}`, `admin@${domain}`,
-    ];
-
-    // Detect catch-all: test a random address first
-    if (this.smtpAvailable) {
-      const catchAllTest = await this._smtpVerify(`xyzrandom98765@${domain}`);
-      if (catchAllTest === 'valid') {
-        // Catch-all domain — accept info@ with lower confidence, no SMTP verify needed
-        return { email: `info@${domain}`, verified: false, verificationMethod: 'mx_catchall' };
-      }
-
-      // Not catch-all — verify each pattern via SMTP
-      for (const email of patterns) {
-        const result = await this._smtpVerify(email);
-        if (result === 'valid') {
-          return { email, verified: true, verificationMethod: 'smtp_rcpt' };
-        }
-      }
-      return null;
-    }
-
-    // SMTP blocked — fall back to MX-only verification, accept info@ with low confidence
-    return { email: `info@${domain}`, verified: false, verificationMethod: 'mx_only' };
-  }
-
-  // Verify an email via SMTP RCPT TO
-  async _smtpVerify(email) {
-    if (!this.smtpAvailable) return 'unknown';
-    const domain = email.split('@')[1];
-
-    try {
-      // Get MX records
-      const mxRecords = await Promise.race([
-        dns.resolveMx(domain),
-        new Promise((_, rej) => setTimeout(() => rej(new Error('MX timeout')), DNS_TIMEOUT))
-      ]);
-      if (!mxRecords || mxRecords.length === 0) return 'invalid';
-
-      // Sort by priority (lowest = highest priority)
-      mxRecords.sort((a, b) => a.priority - b.priority);
-      const mxHost = mxRecords[0].exchange;
-
-      return await new Promise((resolve) => {
-        const socket = new net.Socket();
-        let step = 0;
-        let response = '';
-        const timeout = setTimeout(() => { socket.destroy(); resolve('unknown'); }, 10000);
-
-        socket.connect(25, mxHost, () => {});
-
-        socket.on('data', (data) => {
-          response = data.toString();
-          const code = parseInt(response.substring(0, 3));
-
-          if (step === 0 && code === 220) {
-            socket.write(`EHLO verify.canadaaccountants.app\r\n`);
-            step = 1;
-          } else if (step === 1 && code === 250) {
-            socket.write(`MAIL FROM:<verify@canadaaccountants.app>\r\n`);
-            step = 2;
-          } else if (step === 2 && code === 250) {
-            socket.write(`RCPT TO:<${email}>\r\n`);
-            step = 3;
-          } else if (step === 3) {
-            socket.write('QUIT\r\n');
-            clearTimeout(timeout);
-            if (code === 250) resolve('valid');
-            else if (code === 550 || code === 551 || code === 553) resolve('invalid');
-            else if (code === 252) resolve('valid'); // 252 = cannot verify but will accept
-            else resolve('unknown');
-            socket.destroy();
-          } else {
-            clearTimeout(timeout);
-            socket.write('QUIT\r\n');
-            resolve('unknown');
-            socket.destroy();
-          }
-        });
-
-        socket.on('error', () => { clearTimeout(timeout); resolve('unknown'); });
-        socket.on('timeout', () => { clearTimeout(timeout); socket.destroy(); resolve('unknown'); });
-      });
-    } catch {
-      return 'unknown';
-    }
-  }
-
-  // Test if outbound port 25 is available (Railway may block it)
-  async _testSmtpPort() {
-    try {
-      return await new Promise((resolve) => {
-        const socket = new net.Socket();
-        const timeout = setTimeout(() => { socket.destroy(); resolve(false); }, 5000);
-        // Test against a known MX server (Google)
-        socket.connect(25, 'alt1.gmail-smtp-in.l.google.com', () => {
-          clearTimeout(timeout);
-          socket.write('QUIT\r\n');
-          socket.destroy();
-          resolve(true);
-        });
-        socket.on('error', () => { clearTimeout(timeout); resolve(false); });
-      });
-    } catch { return false; }
-  }
-
-  // Wrapper to verify email if SMTP available
-  async _verifyEmail(email) {
-    if (!this.smtpAvailable) return { verified: false, verificationMethod: 'none' };
-    const result = await this._smtpVerify(email);
-    return {
-      verified: result === 'valid',
-      verificationMethod: result === 'valid' ? 'smtp_rcpt' : (result === 'invalid' ? 'smtp_invalid' : 'smtp_unknown'),
-    };
-  }
-
-  async _startJob(dbClient) {
-    const r = await dbClient.query(`INSERT INTO scrape_jobs (source, status) VALUES ('sme_email_enrichment', 'running') RETURNING id`);
-    return r.rows[0].id;
-  }
-  async _completeJob(dbClient, jobId, processed, enriched) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='completed', records_found=$2, records_inserted=$3, completed_at=NOW() WHERE id=$1`, [jobId, processed, enriched]);
-  }
-  async _failJob(dbClient, jobId, msg) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='failed', error_message=$2, completed_at=NOW() WHERE id=$1`, [jobId, msg]);
-  }
-}
-
-// =====================================================
-// 🌐 YELLOWPAGES.CA WEBSITE DISCOVERY
-// =====================================================
-
-class YellowPagesWebsiteEnricher {
-  constructor() {
-    this.batchLimit = 500;
-    this.delayMs = 5000;
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    this.running = false;
-  }
-
-  async enrich(dbClient) {
-    if (this.running) {
-      console.log('[YellowPages] Already running, skipping');
-      return { processed: 0, found: 0 };
-    }
-    this.running = true;
-
-    console.log('🌐 Starting YellowPages website discovery...');
-    const jobId = await this._startJob(dbClient);
-    let totalProcessed = 0, totalFound = 0;
-
-    try {
-      // Get SMEs without a website, prioritized by score
-      const smes = await dbClient.query(
-        `SELECT id, business_name, province, city
-         FROM scraped_smes
-         WHERE website IS NULL
-           AND business_name IS NOT NULL AND business_name != ''
-           AND (enrichment_phase IS NULL OR enrichment_phase = 'pending' OR enrichment_phase = 'no_domain')
-         ORDER BY
-           GREATEST(COALESCE(score_accountants,0), COALESCE(score_lawyers,0), COALESCE(score_investing,0)) DESC NULLS LAST,
-           id ASC
-         LIMIT $1`,
-        [this.batchLimit]
-      );
-
-      console.log(`[YellowPages] Found ${smes.rows.length} SMEs to look up`);
-
-      for (const sme of smes.rows) {
-        totalProcessed++;
-        try {
-          const result = await this._lookupBusiness(sme);
-          if (result && result.website) {
-            await dbClient.query(
-              `UPDATE scraped_smes SET website = $2, website_source = 'yellowpages',
-               phone = COALESCE(phone, $3), enrichment_phase = 'website_found',
-               updated_at = NOW() WHERE id = $1`,
-              [sme.id, result.website, result.phone || null]
-            );
-            totalFound++;
-          } else {
-            await dbClient.query(
-              `UPDATE scraped_smes SET enrichment_phase = 'yp_no_match', updated_at = NOW() WHERE id = $1`,
-              [sme.id]
-            );
-          }
-        } catch (err) {
-          console.error(`[YellowPages] Error for ${sme.business_name}:`, err.message);
-        }
-
-        if (totalProcessed % 50 === 0) {
-          console.log(`[YellowPages] Progress: ${totalProcessed}/${smes.rows.length}, found ${totalFound} websites`);
-        }
-        await delay(this.delayMs);
-      }
-
-      await this._completeJob(dbClient, jobId, totalProcessed, totalFound);
-      console.log(`✅ YellowPages discovery: ${totalProcessed} processed, ${totalFound} websites found`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ YellowPages discovery failed:', error.message);
-    }
-
-    this.running = false;
-    return { processed: totalProcessed, found: totalFound };
-  }
-
-  async _lookupBusiness(sme) {
-    const name = encodeURIComponent(sme.business_name);
-    const location = encodeURIComponent(`${sme.city || ''} ${sme.province || ''}`.trim());
-    if (!location || location === '%20') return null;
-
-    const url = `https://www.yellowpages.ca/search/si/1/${name}/${location}`;
-
-    try {
-      const response = await axios.get(url, {
-        timeout: 15000,
-        headers: { 'User-Agent': this.userAgent },
-        maxRedirects: 3,
-        validateStatus: (s) => s < 400,
-      });
-
-      const $ = cheerio.load(response.data);
-      const normalizedSearch = this._normalize(sme.business_name);
-
-      // Look through listing results
-      let bestMatch = null;
-      let bestScore = 0;
-
-      $('div.listing, div.listing__content, article.listing').each((_, el) => {
-        const nameEl = $(el).find('a.listing__name--link, h3.listing__name a, .listing__name a').first();
-        const listingName = nameEl.text().trim();
-        if (!listingName) return;
-
-        const score = this._fuzzyMatch(normalizedSearch, this._normalize(listingName));
-        if (score > bestScore && score >= 0.6) {
-          bestScore = score;
-          const websiteEl = $(el).find('li.mlr__item--website a, a[href*="/gourl/"]').first();
-          const phoneEl = $(el).find('a.listing__link--icon.phone, span.mlr__sub-text, .listing__phone a').first();
-
-          let website = null;
-          const href = websiteEl.attr('href') || '';
-          if (href && !href.includes('yellowpages.ca')) {
-            // Extract actual URL from redirect links
-            const urlMatch = href.match(/[?&]redirect=([^&]+)/);
-            website = urlMatch ? decodeURIComponent(urlMatch[1]) : (href.startsWith('http') ? href : null);
-          }
-
-          const phone = phoneEl.text().trim().replace(/[^0-9()-\s+]/g, '') || null;
-
-          if (website) {
-            bestMatch = { website, phone };
-          }
-        }
-      });
-
-      return bestMatch;
-    } catch (err) {
-      return null;
-    }
-  }
-
-  _normalize(name) {
-    return (name || '').toLowerCase()
-      .replace(/\b(inc|ltd|llc|llp|corp|corporation|limited|co|company)\b/gi, '')
-      .replace(/[^a-z0-9\s]/g, '')
-      .trim();
-  }
-
-  _fuzzyMatch(a, b) {
-    if (a === b) return 1;
-    if (!a || !b) return 0;
-    const wordsA = a.split(/\s+/);
-    const wordsB = b.split(/\s+/);
-    let matches = 0;
-    for (const w of wordsA) {
-      if (w.length >= 2 && wordsB.some(wb => wb.includes(w) || w.includes(wb))) matches++;
-    }
-    return matches / Math.max(wordsA.length, 1);
-  }
-
-  async _startJob(dbClient) {
-    const r = await dbClient.query(`INSERT INTO scrape_jobs (source, status) VALUES ('yellowpages_website', 'running') RETURNING id`);
-    return r.rows[0].id;
-  }
-  async _completeJob(dbClient, jobId, processed, found) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='completed', records_found=$2, records_inserted=$3, completed_at=NOW() WHERE id=$1`, [jobId, processed, found]);
-  }
-  async _failJob(dbClient, jobId, msg) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='failed', error_message=$2, completed_at=NOW() WHERE id=$1`, [jobId, msg]);
-  }
-}
-
-// =====================================================
-// 🌐 411.CA BUSINESS DIRECTORY ENRICHER
-// =====================================================
-
-class Directory411Enricher {
-  constructor() {
-    this.batchLimit = 500;
-    this.delayMs = 5000;
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    this.running = false;
-  }
-
-  async enrich(dbClient) {
-    if (this.running) {
-      console.log('[411.ca] Already running, skipping');
-      return { processed: 0, found: 0 };
-    }
-    this.running = true;
-
-    console.log('🌐 Starting 411.ca website discovery...');
-    const jobId = await this._startJob(dbClient);
-    let totalProcessed = 0, totalFound = 0;
-
-    try {
-      // Get SMEs without a website, skip those already checked by YP
-      const smes = await dbClient.query(
-        `SELECT id, business_name, province, city
-         FROM scraped_smes
-         WHERE website IS NULL
-           AND business_name IS NOT NULL AND business_name != ''
-           AND (enrichment_phase IS NULL OR enrichment_phase IN ('pending', 'no_domain', 'yp_no_match'))
-         ORDER BY
-           GREATEST(COALESCE(score_accountants,0), COALESCE(score_lawyers,0), COALESCE(score_investing,0)) DESC NULLS LAST,
-           id ASC
-         LIMIT $1`,
-        [this.batchLimit]
-      );
-
-      console.log(`[411.ca] Found ${smes.rows.length} SMEs to look up`);
-
-      for (const sme of smes.rows) {
-        totalProcessed++;
-        try {
-          const result = await this._lookupBusiness(sme);
-          if (result && result.website) {
-            await dbClient.query(
-              `UPDATE scraped_smes SET website = $2, website_source = '411ca',
-               phone = COALESCE(phone, $3), enrichment_phase = 'website_found',
-               updated_at = NOW() WHERE id = $1`,
-              [sme.id, result.website, result.phone || null]
-            );
-            totalFound++;
-          } else {
-            await dbClient.query(
-              `UPDATE scraped_smes SET enrichment_phase = '411_no_match', updated_at = NOW()
-               WHERE id = $1 AND enrichment_phase != 'yp_no_match'`,
-              [sme.id]
-            );
-          }
-        } catch (err) {
-          console.error(`[411.ca] Error for ${sme.business_name}:`, err.message);
-        }
-
-        if (totalProcessed % 50 === 0) {
-          console.log(`[411.ca] Progress: ${totalProcessed}/${smes.rows.length}, found ${totalFound} websites`);
-        }
-        await delay(this.delayMs);
-      }
-
-      await this._completeJob(dbClient, jobId, totalProcessed, totalFound);
-      console.log(`✅ 411.ca discovery: ${totalProcessed} processed, ${totalFound} websites found`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ 411.ca discovery failed:', error.message);
-    }
-
-    this.running = false;
-    return { processed: totalProcessed, found: totalFound };
-  }
-
-  async _lookupBusiness(sme) {
-    const name = encodeURIComponent(sme.business_name);
-    const location = encodeURIComponent(`${sme.city || ''} ${sme.province || ''}`.trim());
-    if (!location || location === '%20') return null;
-
-    const url = `https://411.ca/business/search/?q=${name}&l=${location}`;
-
-    try {
-      const response = await axios.get(url, {
-        timeout: 15000,
-        headers: { 'User-Agent': this.userAgent },
-        maxRedirects: 3,
-        validateStatus: (s) => s < 400,
-      });
-
-      const $ = cheerio.load(response.data);
-      const normalizedSearch = this._normalize(sme.business_name);
-
-      let bestMatch = null;
-      let bestScore = 0;
-
-      $('div.listing, div.result, .c411ListedName, .listing-card').each((_, el) => {
-        const nameEl = $(el).find('a.listing-name, h2 a, .c411ListedName a, .listing-card__name a').first();
-        const listingName = nameEl.text().trim();
-        if (!listingName) return;
-
-        const score = this._fuzzyMatch(normalizedSearch, this._normalize(listingName));
-        if (score > bestScore && score >= 0.6) {
-          bestScore = score;
-          const websiteEl = $(el).find('a[data-type="website"], a.listing-website, a[rel="nofollow"][href*="http"]').first();
-          const phoneEl = $(el).find('.c411Phone, .listing-phone, a[href^="tel:"]').first();
-
-          let website = websiteEl.attr('href') || null;
-          if (website && website.includes('411.ca')) website = null;
-
-          const phone = phoneEl.text().trim().replace(/[^0-9()-\s+]/g, '') || null;
-
-          if (website) {
-            bestMatch = { website, phone };
-          }
-        }
-      });
-
-      return bestMatch;
-    } catch (err) {
-      return null;
-    }
-  }
-
-  _normalize(name) {
-    return (name || '').toLowerCase()
-      .replace(/\b(inc|ltd|llc|llp|corp|corporation|limited|co|company)\b/gi, '')
-      .replace(/[^a-z0-9\s]/g, '')
-      .trim();
-  }
-
-  _fuzzyMatch(a, b) {
-    if (a === b) return 1;
-    if (!a || !b) return 0;
-    const wordsA = a.split(/\s+/);
-    const wordsB = b.split(/\s+/);
-    let matches = 0;
-    for (const w of wordsA) {
-      if (w.length >= 2 && wordsB.some(wb => wb.includes(w) || w.includes(wb))) matches++;
-    }
-    return matches / Math.max(wordsA.length, 1);
-  }
-
-  async _startJob(dbClient) {
-    const r = await dbClient.query(`INSERT INTO scrape_jobs (source, status) VALUES ('411ca_website', 'running') RETURNING id`);
-    return r.rows[0].id;
-  }
-  async _completeJob(dbClient, jobId, processed, found) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='completed', records_found=$2, records_inserted=$3, completed_at=NOW() WHERE id=$1`, [jobId, processed, found]);
-  }
-  async _failJob(dbClient, jobId, msg) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='failed', error_message=$2, completed_at=NOW() WHERE id=$1`, [jobId, msg]);
-  }
-}
-
-// =====================================================
-// 🏢 BBB.ORG PROFILE ENRICHER
-// =====================================================
-
-class BBBProfileEnricher {
-  constructor() {
-    this.batchLimit = 200;
-    this.delayMs = 5000;
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    this.running = false;
-  }
-
-  async enrich(dbClient) {
-    if (this.running) {
-      console.log('[BBB] Already running, skipping');
-      return { processed: 0, found: 0 };
-    }
-    this.running = true;
-
-    console.log('🏢 Starting BBB profile enrichment...');
-    const jobId = await this._startJob(dbClient);
-    let totalProcessed = 0, totalFound = 0;
-
-    try {
-      const smes = await dbClient.query(
-        `SELECT id, business_name, province, city
-         FROM scraped_smes
-         WHERE website IS NULL AND contact_email IS NULL
-           AND business_name IS NOT NULL AND business_name != ''
-           AND (enrichment_phase IS NULL OR enrichment_phase IN ('pending', 'no_domain', 'yp_no_match', '411_no_match'))
-         ORDER BY
-           GREATEST(COALESCE(score_accountants,0), COALESCE(score_lawyers,0), COALESCE(score_investing,0)) DESC NULLS LAST
-         LIMIT $1`,
-        [this.batchLimit]
-      );
-
-      console.log(`[BBB] Found ${smes.rows.length} SMEs to look up`);
-
-      for (const sme of smes.rows) {
-        totalProcessed++;
-        try {
-          const result = await this._lookupBusiness(sme);
-          if (result) {
-            const updates = [];
-            const params = [sme.id];
-            let idx = 2;
-
-            if (result.website) {
-              updates.push(`website = $${idx++}`);
-              params.push(result.website);
-              updates.push("website_source = 'bbb'");
-            }
-            if (result.email) {
-              updates.push(`contact_email = $${idx++}`);
-              params.push(result.email);
-              updates.push(`enrichment_source = 'bbb'`);
-              updates.push(`enrichment_date = NOW()`);
-            }
-            if (result.phone) {
-              updates.push(`phone = COALESCE(phone, $${idx++})`);
-              params.push(result.phone);
-            }
-            updates.push("enrichment_phase = 'bbb_found'");
-            updates.push('updated_at = NOW()');
-
-            if (result.email) updates.push("status = 'enriched'");
-
-            await dbClient.query(
-              `UPDATE scraped_smes SET ${updates.join(', ')} WHERE id = $1`,
-              params
-            );
-            totalFound++;
-          } else {
-            await dbClient.query(
-              `UPDATE scraped_smes SET enrichment_phase = 'bbb_no_match', updated_at = NOW() WHERE id = $1`,
-              [sme.id]
-            );
-          }
-        } catch (err) {
-          console.error(`[BBB] Error for ${sme.business_name}:`, err.message);
-        }
-
-        if (totalProcessed % 50 === 0) {
-          console.log(`[BBB] Progress: ${totalProcessed}/${smes.rows.length}, found ${totalFound}`);
-        }
-        await delay(this.delayMs);
-      }
-
-      await this._completeJob(dbClient, jobId, totalProcessed, totalFound);
-      console.log(`✅ BBB enrichment: ${totalProcessed} processed, ${totalFound} found`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ BBB enrichment failed:', error.message);
-    }
-
-    this.running = false;
-    return { processed: totalProcessed, found: totalFound };
-  }
-
-  async _lookupBusiness(sme) {
-    // Map province to BBB region codes
-    const regionMap = {
-      'ON': 'ontario', 'BC': 'british-columbia', 'AB': 'alberta', 'QC': 'quebec',
-      'MB': 'manitoba', 'SK': 'saskatchewan', 'NS': 'nova-scotia', 'NB': 'new-brunswick',
-      'PE': 'prince-edward-island', 'NL': 'newfoundland-labrador',
-    };
-    const region = regionMap[sme.province] || 'canada';
-    const name = encodeURIComponent(sme.business_name);
-    const url = `https://www.bbb.org/search?find_text=${name}&find_loc=${encodeURIComponent(sme.city || sme.province || '')}&find_country=CAN&find_type=Category`;
-
-    try {
-      const response = await axios.get(url, {
-        timeout: 15000,
-        headers: { 'User-Agent': this.userAgent },
-        maxRedirects: 3,
-        validateStatus: (s) => s < 400,
-      });
-
-      const $ = cheerio.load(response.data);
-      const normalizedSearch = this._normalize(sme.business_name);
-
-      let bestMatch = null;
-      let bestScore = 0;
-
-      // BBB search results
-      $('.result-business-name a, a.text-blue-medium[href*="/profile/"]').each((_, el) => {
-        const listingName = $(el).text().trim();
-        if (!listingName) return;
-
-        const score = this._fuzzyMatch(normalizedSearch, this._normalize(listingName));
-        if (score > bestScore && score >= 0.65) {
-          bestScore = score;
-          const profileUrl = $(el).attr('href');
-          if (profileUrl) {
-            bestMatch = { profileUrl: profileUrl.startsWith('http') ? profileUrl : `https://www.bbb.org${profileUrl}` };
-          }
-        }
-      });
-
-      if (!bestMatch) return null;
-
-      // Fetch profile page for website/email/phone
-      await delay(2000);
-      const profileResp = await axios.get(bestMatch.profileUrl, {
-        timeout: 15000,
-        headers: { 'User-Agent': this.userAgent },
-        maxRedirects: 3,
-        validateStatus: (s) => s < 400,
-      });
-
-      const $p = cheerio.load(profileResp.data);
-      let website = null;
-      let email = null;
-      let phone = null;
-
-      // Website link
-      $p('a[href^="http"][target="_blank"]').each((_, el) => {
-        const href = $p(el).attr('href');
-        const text = $p(el).text().trim();
-        if (text.includes('Visit Website') && href && !href.includes('bbb.org')) {
-          website = href;
-        }
-      });
-      if (!website) {
-        const pageHtml = $p.html();
-        const primaryMatch = pageHtml.match(/"primary":"(https?:\/\/[^"]+)"/);
-        if (primaryMatch) website = primaryMatch[1];
-      }
-
-      // Phone
-      $p('a[href^="tel:"], .business-phone, .dtm-phone').each((_, el) => {
-        const ph = $p(el).text().trim().replace(/[^0-9()-\s+]/g, '');
-        if (ph.length >= 10) phone = ph;
-      });
-
-      // Email from page content
-      const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-      const pageText = $p('body').text();
-      const emails = pageText.match(emailRegex) || [];
-      for (const e of emails) {
-        if (!e.match(/@(bbb\.org|example\.|test\.|sentry\.)/i) && !e.match(/^(noreply|no-reply)@/i)) {
-          email = e.toLowerCase();
-          break;
-        }
-      }
-
-      if (website || email || phone) {
-        return { website, email, phone };
-      }
-      return null;
-    } catch (err) {
-      return null;
-    }
-  }
-
-  _normalize(name) {
-    return (name || '').toLowerCase()
-      .replace(/\b(inc|ltd|llc|llp|corp|corporation|limited|co|company)\b/gi, '')
-      .replace(/[^a-z0-9\s]/g, '')
-      .trim();
-  }
-
-  _fuzzyMatch(a, b) {
-    if (a === b) return 1;
-    if (!a || !b) return 0;
-    const wordsA = a.split(/\s+/);
-    const wordsB = b.split(/\s+/);
-    let matches = 0;
-    for (const w of wordsA) {
-      if (w.length >= 2 && wordsB.some(wb => wb.includes(w) || w.includes(wb))) matches++;
-    }
-    return matches / Math.max(wordsA.length, 1);
-  }
-
-  async _startJob(dbClient) {
-    const r = await dbClient.query(`INSERT INTO scrape_jobs (source, status) VALUES ('bbb_enrichment', 'running') RETURNING id`);
-    return r.rows[0].id;
-  }
-  async _completeJob(dbClient, jobId, processed, found) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='completed', records_found=$2, records_inserted=$3, completed_at=NOW() WHERE id=$1`, [jobId, processed, found]);
-  }
-  async _failJob(dbClient, jobId, msg) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='failed', error_message=$2, completed_at=NOW() WHERE id=$1`, [jobId, msg]);
-  }
-}
-
-// =====================================================
-// 🏛️ CHAMBER OF COMMERCE DIRECTORY ENRICHER
-// =====================================================
-
-class ChamberDirectoryEnricher {
-  constructor() {
-    this.batchLimit = 200;
-    this.delayMs = 5000;
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    this.running = false;
-    // Major Canadian chambers with member directory URLs
-    this.chambers = [
-      { name: 'Toronto Board of Trade', baseUrl: 'https://www.bot.com', searchPath: '/member-directory/?q=', city: 'Toronto', province: 'ON' },
-      { name: 'Calgary Chamber', baseUrl: 'https://www.calgarychamber.com', searchPath: '/member-directory/?q=', city: 'Calgary', province: 'AB' },
-      { name: 'Ottawa Chamber', baseUrl: 'https://www.ottawachamber.ca', searchPath: '/member-directory/?q=', city: 'Ottawa', province: 'ON' },
-      { name: 'Vancouver Board of Trade', baseUrl: 'https://www.boardoftrade.com', searchPath: '/member-directory/?q=', city: 'Vancouver', province: 'BC' },
-    ];
-  }
-
-  async enrich(dbClient) {
-    if (this.running) {
-      console.log('[Chamber] Already running, skipping');
-      return { processed: 0, found: 0 };
-    }
-    this.running = true;
-
-    console.log('🏛️ Starting Chamber of Commerce enrichment...');
-    const jobId = await this._startJob(dbClient);
-    let totalProcessed = 0, totalFound = 0;
-
-    try {
-      for (const chamber of this.chambers) {
-        console.log(`[Chamber] Searching ${chamber.name}...`);
-
-        // Get SMEs in this city without website
-        const smes = await dbClient.query(
-          `SELECT id, business_name, province, city
-           FROM scraped_smes
-           WHERE website IS NULL AND contact_email IS NULL
-             AND business_name IS NOT NULL AND business_name != ''
-             AND LOWER(city) = LOWER($1) AND province = $2
-           ORDER BY GREATEST(COALESCE(score_accountants,0), COALESCE(score_lawyers,0), COALESCE(score_investing,0)) DESC
-           LIMIT $3`,
-          [chamber.city, chamber.province, Math.floor(this.batchLimit / this.chambers.length)]
-        );
-
-        for (const sme of smes.rows) {
-          totalProcessed++;
-          try {
-            const result = await this._searchChamber(chamber, sme);
-            if (result) {
-              const updates = ['updated_at = NOW()'];
-              const params = [sme.id];
-              let idx = 2;
-
-              if (result.website) {
-                updates.push(`website = $${idx++}`);
-                params.push(result.website);
-                updates.push("website_source = 'chamber'");
-                updates.push("enrichment_phase = 'chamber_found'");
-              }
-              if (result.email) {
-                updates.push(`contact_email = $${idx++}`);
-                params.push(result.email);
-                updates.push("enrichment_source = 'chamber'");
-                updates.push("enrichment_date = NOW()");
-                updates.push("status = 'enriched'");
-              }
-              if (result.phone) {
-                updates.push(`phone = COALESCE(phone, $${idx++})`);
-                params.push(result.phone);
-              }
-
-              await dbClient.query(`UPDATE scraped_smes SET ${updates.join(', ')} WHERE id = $1`, params);
-              totalFound++;
-            }
-          } catch (err) {
-            console.error(`[Chamber] Error for ${sme.business_name}:`, err.message);
-          }
-          await delay(this.delayMs);
-        }
-      }
-
-      await this._completeJob(dbClient, jobId, totalProcessed, totalFound);
-      console.log(`✅ Chamber enrichment: ${totalProcessed} processed, ${totalFound} found`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ Chamber enrichment failed:', error.message);
-    }
-
-    this.running = false;
-    return { processed: totalProcessed, found: totalFound };
-  }
-
-  async _searchChamber(chamber, sme) {
-    const url = `${chamber.baseUrl}${chamber.searchPath}${encodeURIComponent(sme.business_name)}`;
-
-    try {
-      const response = await axios.get(url, {
-        timeout: 15000,
-        headers: { 'User-Agent': this.userAgent },
-        maxRedirects: 3,
-        validateStatus: (s) => s < 400,
-      });
-
-      const $ = cheerio.load(response.data);
-      const normalizedSearch = this._normalize(sme.business_name);
-
-      let website = null;
-      let email = null;
-      let phone = null;
-
-      // Generic selectors for chamber member directories
-      $('div.member, div.listing, article, .member-card, .directory-listing').each((_, el) => {
-        const nameEl = $(el).find('h2 a, h3 a, .member-name a, .listing-name a').first();
-        const listingName = nameEl.text().trim();
-        if (!listingName) return;
-
-        const score = this._fuzzyMatch(normalizedSearch, this._normalize(listingName));
-        if (score >= 0.65) {
-          // Look for website link
-          $(el).find('a[href*="http"]').each((_, linkEl) => {
-            const href = $(linkEl).attr('href') || '';
-            if (!href.includes(chamber.baseUrl) && !href.includes('facebook') && !href.includes('linkedin') && !href.includes('twitter')) {
-              if (!website) website = href;
-            }
-          });
-
-          // Look for phone
-          $(el).find('a[href^="tel:"], .phone, .member-phone').each((_, phoneEl) => {
-            const ph = $(phoneEl).text().trim().replace(/[^0-9()-\s+]/g, '');
-            if (ph.length >= 10 && !phone) phone = ph;
-          });
-
-          // Look for email
-          const text = $(el).text();
-          const emailMatch = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
-          if (emailMatch && !emailMatch[0].match(/@(example|test|sentry)\./i)) {
-            email = emailMatch[0].toLowerCase();
-          }
-        }
-      });
-
-      if (website || email) return { website, email, phone };
-      return null;
-    } catch (err) {
-      return null;
-    }
-  }
-
-  _normalize(name) {
-    return (name || '').toLowerCase()
-      .replace(/\b(inc|ltd|llc|llp|corp|corporation|limited|co|company)\b/gi, '')
-      .replace(/[^a-z0-9\s]/g, '')
-      .trim();
-  }
-
-  _fuzzyMatch(a, b) {
-    if (a === b) return 1;
-    if (!a || !b) return 0;
-    const wordsA = a.split(/\s+/);
-    const wordsB = b.split(/\s+/);
-    let matches = 0;
-    for (const w of wordsA) {
-      if (w.length >= 2 && wordsB.some(wb => wb.includes(w) || w.includes(wb))) matches++;
-    }
-    return matches / Math.max(wordsA.length, 1);
-  }
-
-  async _startJob(dbClient) {
-    const r = await dbClient.query(`INSERT INTO scrape_jobs (source, status) VALUES ('chamber_enrichment', 'running') RETURNING id`);
-    return r.rows[0].id;
-  }
-  async _completeJob(dbClient, jobId, processed, found) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='completed', records_found=$2, records_inserted=$3, completed_at=NOW() WHERE id=$1`, [jobId, processed, found]);
-  }
-  async _failJob(dbClient, jobId, msg) {
-    await dbClient.query(`UPDATE scrape_jobs SET status='failed', error_message=$2, completed_at=NOW() WHERE id=$1`, [jobId, msg]);
-  }
-}
-
-// =====================================================
-// 🏛️ FEDERAL GRANTS & CONTRIBUTIONS LOADER
-// =====================================================
-
-class FederalGrantsLoader {
-  constructor() {
-    this.source = 'federal_grants';
-    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
-    this.highValuePrograms = ['IRAP', 'SR&ED', 'SRED', 'BDC', 'CanExport', 'NRC', 'NSERC', 'CFI', 'MITACS', 'WAGE', 'FedDev', 'WD', 'ACOA', 'CED'];
-  }
-
-  async scrape(dbClient) {
-    console.log('🏛️ Starting Federal Grants & Contributions load...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-
-    try {
-      // Download the CSV from Open Canada (streaming - file is 2.2GB)
-      const metaResp = await axios.get('https://open.canada.ca/data/api/3/action/package_show?id=432527ab-7aac-45b5-81d6-7597107a7013', {
-        timeout: 30000,
-        headers: { 'User-Agent': this.userAgent },
-      });
-      const resources = metaResp.data?.result?.resources || [];
-      const csvResource = resources.find(r => r.format === 'CSV' || r.url?.endsWith('.csv'));
-      if (!csvResource) throw new Error('No CSV resource found in federal grants dataset');
-
-      console.log(`[FederalGrants] Downloading CSV (streaming) from: ${csvResource.url}`);
-      const csvResp = await axios.get(csvResource.url, {
-        timeout: 1200000, // 20 min for large file
-        headers: { 'User-Agent': this.userAgent },
-        responseType: 'stream',
-      });
-
-      const rl = createInterface({ input: csvResp.data, crlfDelay: Infinity });
-      let headers = null;
-      let colIdx = {};
-      let nameCol, provCol, cityCol, valueCol, programCol;
-
-      const batch = [];
-      for await (const rawLine of rl) {
-        const line = rawLine.trim();
-        if (!line) continue;
-        if (!headers) {
-          headers = line.split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
-          headers.forEach((h, i) => { colIdx[h] = i; });
-          nameCol = colIdx['recipient_name'] ?? colIdx['recipient_legal_name'] ?? colIdx['owner_org'] ?? 0;
-          provCol = colIdx['recipient_province'] ?? colIdx['recipient_prov'] ?? colIdx['province'];
-          cityCol = colIdx['recipient_city'] ?? colIdx['city'];
-          valueCol = colIdx['agreement_value'] ?? colIdx['total_funding'] ?? colIdx['amount'];
-          programCol = colIdx['program_name'] ?? colIdx['program'] ?? colIdx['agreement_type'];
-          continue;
-        }
-        totalFound++;
-
-        const cols = this._parseCSVLine(line);
-        const name = (cols[nameCol] || '').trim();
-        if (!name || name.length < 3) continue;
-
-        const program = programCol !== undefined ? (cols[programCol] || '').trim() : '';
-        // Filter for high-value programs
-        const isHighValue = this.highValuePrograms.some(p => program.toUpperCase().includes(p));
-        if (!isHighValue && program) continue;
-
-        const province = provCol !== undefined ? (cols[provCol] || '').trim().toUpperCase().substring(0, 2) : '';
-        const amount = valueCol !== undefined ? parseFloat((cols[valueCol] || '0').replace(/[^0-9.-]/g, '')) || null : null;
-
-        batch.push({ name, province, city: cityCol !== undefined ? (cols[cityCol] || '').trim() : '', amount, program });
-
-        if (batch.length >= 500) {
-          const r = await this._insertBatch(dbClient, batch, jobId);
-          totalInserted += r.inserted;
-          totalSkipped += r.skipped;
-          batch.length = 0;
-          if (totalFound % 100000 === 0) console.log(`[FederalGrants] Progress: ${totalFound} processed, ${totalInserted} new`);
-        }
-      }
-      if (batch.length > 0) {
-        const r = await this._insertBatch(dbClient, batch, jobId);
-        totalInserted += r.inserted;
-        totalSkipped += r.skipped;
-      }
-
-      // Boost scores for grant recipients
-      try {
-        const boosted = await dbClient.query(`
-          UPDATE scraped_smes SET
-            score_accountants = GREATEST(COALESCE(score_accountants, 0), COALESCE(score_accountants, 0) + 15),
-            score_lawyers = GREATEST(COALESCE(score_lawyers, 0), COALESCE(score_lawyers, 0) + 15),
-            score_investing = GREATEST(COALESCE(score_investing, 0), COALESCE(score_investing, 0) + 15)
-          WHERE source = 'federal_grants' AND grant_amount IS NOT NULL AND grant_amount > 0
-        `);
-        console.log(`[FederalGrants] Score boost applied to ${boosted.rowCount} grant recipients`);
-      } catch (e) { console.error('[FederalGrants] Score boost failed:', e.message); }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ Federal Grants: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ Federal Grants load failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _insertBatch(dbClient, batch, jobId) {
-    let inserted = 0, skipped = 0;
-    for (const rec of batch) {
-      try {
-        const hash = nameProvinceHash(rec.name, rec.province);
-        await dbClient.query(
-          `INSERT INTO scraped_smes (source, business_name, province, city, grant_amount, grant_program, name_province_hash, scrape_job_id, business_type)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'Grant Recipient')
-           ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL
-           DO UPDATE SET grant_amount = GREATEST(COALESCE(scraped_smes.grant_amount, 0), COALESCE(EXCLUDED.grant_amount, 0)),
-             grant_program = COALESCE(EXCLUDED.grant_program, scraped_smes.grant_program),
-             updated_at = NOW()`,
-          [this.source, rec.name, rec.province, rec.city, rec.amount, rec.program, hash, jobId]
-        );
-        inserted++;
-      } catch (err) { skipped++; }
-    }
-    return { inserted, skipped };
-  }
-
-  _parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') { inQuotes = !inQuotes; }
-      else if (ch === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
-      else { current += ch; }
-    }
-    result.push(current.trim());
-    return result;
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// =====================================================
-// 🏢 ORGBOOK BC API SCRAPER
-// =====================================================
-
-class OrgBookBCScraper {
-  constructor() {
-    this.source = 'orgbook_bc';
-    this.baseUrl = 'https://orgbook.gov.bc.ca/api/v4/search/topic';
-    this.batchSize = 100;
-    this.delayMs = 500;
-  }
-
-  async scrape(dbClient) {
-    console.log('🏢 Starting OrgBook BC scrape...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-
-    try {
-      let start = 0;
-      let hasMore = true;
-
-      const https = require('https');
-      const orgbookAgent = new https.Agent({ rejectUnauthorized: false });
-
-      while (hasMore) {
-        let response;
-        for (let attempt = 1; attempt <= 3; attempt++) {
-          try {
-            response = await axios.get(this.baseUrl, {
-              params: { q: '*', inactive: false, latest: true, rows: this.batchSize, start },
-              timeout: 60000,
-              httpsAgent: orgbookAgent,
-            });
-            break;
-          } catch (retryErr) {
-            if (attempt === 3) throw retryErr;
-            console.log(`[OrgBookBC] Request failed at start=${start}, retrying (${attempt}/3)...`);
-            await new Promise(r => setTimeout(r, 5000 * attempt));
-          }
-        }
-
-        const results = response.data?.results || [];
-        if (results.length === 0) { hasMore = false; break; }
-
-        for (const entity of results) {
-          totalFound++;
-          const name = entity.names?.[0]?.text || entity.topic?.source_id || '';
-          if (!name || name.length < 2) continue;
-
-          const sourceId = entity.source_id || '';
-          const hash = nameProvinceHash(name, 'BC');
-
-          try {
-            await dbClient.query(
-              `INSERT INTO scraped_smes (source, business_name, province, corporate_number, name_province_hash, scrape_job_id)
-               VALUES ($1, $2, 'BC', $3, $4, $5)
-               ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL DO NOTHING`,
-              [this.source, name, sourceId, hash, jobId]
-            );
-            totalInserted++;
-          } catch (err) { totalSkipped++; }
-        }
-
-        start += results.length;
-        if (start % 5000 === 0) {
-          console.log(`[OrgBookBC] Progress: ${start} fetched, ${totalInserted} new, ${totalSkipped} skipped`);
-        }
-
-        // Stop at a reasonable limit to avoid overwhelming the DB
-        if (start >= 500000) {
-          console.log('[OrgBookBC] Reached 500K cap, stopping');
-          hasMore = false;
-        }
-
-        await delay(this.delayMs);
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ OrgBook BC: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ OrgBook BC failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// =====================================================
-// 🏛️ CRA CHARITIES T3010 LOADER
-// =====================================================
-
-class CRACharitiesLoader {
-  constructor() {
-    this.source = 'cra_charities';
-    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
-  }
-
-  async scrape(dbClient) {
-    console.log('🏛️ Starting CRA Charities T3010 load...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-
-    try {
-      const metaResp = await axios.get('https://open.canada.ca/data/api/3/action/package_show?id=05b3abd0-e70f-4b3b-a9c5-acc436bd15b6', {
-        timeout: 30000, headers: { 'User-Agent': this.userAgent },
-      });
-      const resources = metaResp.data?.result?.resources || [];
-      // Prefer the identification file (main charity list) over directors/financial files
-      const csvResource = resources.find(r => r.url?.includes('ident_')) || resources.find(r => r.format === 'CSV' || r.url?.endsWith('.csv'));
-      if (!csvResource) throw new Error('No CSV resource found in CRA Charities dataset');
-
-      console.log(`[CRACharities] Downloading CSV from: ${csvResource.url}`);
-      const csvResp = await axios.get(csvResource.url, {
-        timeout: 600000, headers: { 'User-Agent': this.userAgent }, maxContentLength: 500 * 1024 * 1024,
-      });
-
-      const lines = csvResp.data.split('\n');
-      if (lines.length < 2) throw new Error('Empty CSV');
-
-      const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
-      const colIdx = {};
-      headers.forEach((h, i) => { colIdx[h] = i; });
-
-      const nameCol = colIdx['charity_legal_name'] ?? colIdx['legal_name'] ?? colIdx['name'] ?? 0;
-      const bnCol = colIdx['bn'] ?? colIdx['business_number'] ?? colIdx['registration_number'];
-      const provCol = colIdx['province'] ?? colIdx['prov'];
-      const cityCol = colIdx['city'];
-
-      const batch = [];
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        totalFound++;
-
-        const cols = this._parseCSVLine(line);
-        const name = (cols[nameCol] || '').trim();
-        if (!name || name.length < 3) continue;
-
-        const province = provCol !== undefined ? (cols[provCol] || '').trim().toUpperCase().substring(0, 2) : '';
-        const bn = bnCol !== undefined ? (cols[bnCol] || '').trim() : '';
-
-        batch.push({ name, province, city: cityCol !== undefined ? (cols[cityCol] || '').trim() : '', bn });
-
-        if (batch.length >= 500) {
-          const r = await this._insertBatch(dbClient, batch, jobId);
-          totalInserted += r.inserted; totalSkipped += r.skipped;
-          batch.length = 0;
-          if (totalFound % 20000 === 0) console.log(`[CRACharities] Progress: ${totalFound} processed, ${totalInserted} new`);
-        }
-      }
-      if (batch.length > 0) {
-        const r = await this._insertBatch(dbClient, batch, jobId);
-        totalInserted += r.inserted; totalSkipped += r.skipped;
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ CRA Charities: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ CRA Charities load failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _insertBatch(dbClient, batch, jobId) {
-    let inserted = 0, skipped = 0;
-    for (const rec of batch) {
-      try {
-        const hash = nameProvinceHash(rec.name, rec.province);
-        await dbClient.query(
-          `INSERT INTO scraped_smes (source, business_name, province, city, corporate_number, name_province_hash, scrape_job_id, business_type)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, 'Charity')
-           ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL DO NOTHING`,
-          [this.source, rec.name, rec.province, rec.city, rec.bn, hash, jobId]
-        );
-        inserted++;
-      } catch (err) { skipped++; }
-    }
-    return { inserted, skipped };
-  }
-
-  _parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') { inQuotes = !inQuotes; }
-      else if (ch === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
-      else { current += ch; }
-    }
-    result.push(current.trim());
-    return result;
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// =====================================================
-// 📦 CANADIAN IMPORTERS DATABASE LOADER
-// =====================================================
-
-class CanadianImportersLoader {
-  constructor() {
-    this.source = 'importers_canada';
-    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
-  }
-
-  async scrape(dbClient) {
-    console.log('📦 Starting Canadian Importers load...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-
-    try {
-      // Direct XLSX download (no CSV available on CKAN)
-      const xlsxUrl = 'https://ised-isde.canada.ca/site/canadian-importers-database/sites/default/files/documents/MajorImportersbycity2023.xlsx';
-      console.log(`[Importers] Downloading XLSX from: ${xlsxUrl}`);
-      const xlsxResp = await axios.get(xlsxUrl, {
-        timeout: 300000,
-        headers: { 'User-Agent': this.userAgent },
-        responseType: 'arraybuffer',
-      });
-
-      const XLSX = require('xlsx');
-      const workbook = XLSX.read(xlsxResp.data, { type: 'buffer' });
-      const sheet = workbook.Sheets[workbook.SheetNames[0]];
-      const rows = XLSX.utils.sheet_to_json(sheet);
-
-      console.log(`[Importers] Parsed ${rows.length} rows from XLSX`);
-
-      const batch = [];
-      for (const row of rows) {
-        totalFound++;
-
-        // XLSX columns: COMPANY-ENTREPRISE, PROVINCE_ENG, CITY-VILLE, POSTAL_CODE-CODE_POSTAL
-        const name = (row['COMPANY-ENTREPRISE'] || row['Importer Name'] || row['importer_name'] || row['Name'] || row['Business Name'] || '').toString().trim();
-        if (!name || name.length < 3) continue;
-
-        const provFull = (row['PROVINCE_ENG'] || row['Province'] || row['province'] || '').toString().trim();
-        const provMap = { 'Alberta': 'AB', 'British Columbia': 'BC', 'Manitoba': 'MB', 'New Brunswick': 'NB', 'Newfoundland and Labrador': 'NL', 'Nova Scotia': 'NS', 'Ontario': 'ON', 'Prince Edward Island': 'PE', 'Quebec': 'QC', 'Saskatchewan': 'SK', 'Northwest Territories': 'NT', 'Nunavut': 'NU', 'Yukon': 'YT' };
-        const province = provMap[provFull] || provFull.toUpperCase().substring(0, 2);
-        const city = (row['CITY-VILLE'] || row['City'] || row['city'] || '').toString().trim();
-
-        batch.push({ name, province, city });
-
-        if (batch.length >= 500) {
-          const r = await this._insertBatch(dbClient, batch, jobId);
-          totalInserted += r.inserted; totalSkipped += r.skipped;
-          batch.length = 0;
-          if (totalFound % 10000 === 0) console.log(`[Importers] Progress: ${totalFound} processed, ${totalInserted} new`);
-        }
-      }
-      if (batch.length > 0) {
-        const r = await this._insertBatch(dbClient, batch, jobId);
-        totalInserted += r.inserted; totalSkipped += r.skipped;
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ Importers: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ Importers load failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _insertBatch(dbClient, batch, jobId) {
-    let inserted = 0, skipped = 0;
-    for (const rec of batch) {
-      try {
-        const hash = nameProvinceHash(rec.name, rec.province);
-        await dbClient.query(
-          `INSERT INTO scraped_smes (source, business_name, province, city, name_province_hash, scrape_job_id, business_type)
-           VALUES ($1, $2, $3, $4, $5, $6, 'Importer')
-           ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL DO NOTHING`,
-          [this.source, rec.name, rec.province, rec.city, hash, jobId]
-        );
-        inserted++;
-      } catch (err) { skipped++; }
-    }
-    return { inserted, skipped };
-  }
-
-  _parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') { inQuotes = !inQuotes; }
-      else if (ch === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
-      else { current += ch; }
-    }
-    result.push(current.trim());
-    return result;
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// =====================================================
-// 🏙️ OTTAWA BUSINESS LICENCES (ArcGIS)
-// =====================================================
-
-class OttawaBizLicScraper {
-  constructor() {
-    this.source = 'ottawa_biz_lic';
-    this.baseUrl = 'https://maps.ottawa.ca/arcgis/rest/services/Economy/Business_Licences/MapServer/0/query';
-    this.delayMs = 500;
-  }
-
-  async scrape(dbClient) {
-    console.log('🏙️ Ottawa Business Licences: DISABLED - ArcGIS service no longer available');
-    return { found: 0, inserted: 0, skipped: 0 };
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// =====================================================
-// ™️ CIPO TRADEMARK FILINGS LOADER
-// =====================================================
-
-class CIPOTrademarkLoader {
-  constructor() {
-    this.source = 'cipo_trademarks';
-    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
-  }
-
-  async scrape(dbClient) {
-    console.log('™️ Starting CIPO Trademark Filings load...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-
-    try {
-      // Scrape the CIPO page to find the current interested_party URL
-      const pageResp = await axios.get('https://ised-isde.canada.ca/site/canadian-intellectual-property-office/en/canadian-intellectual-property-statistics/trademarks-researcher-datasets-applications-and-registrations-csv-and-txt', {
-        timeout: 120000, headers: { 'User-Agent': this.userAgent },
-      });
-      const urlMatch = pageResp.data.match(/href="(https:\/\/opic-cipo\.ca\/cipo\/client_downloads\/[^"]*TM_interested_party[^"]*\.zip)"/);
-      if (!urlMatch) throw new Error('Could not find TM_interested_party ZIP URL on CIPO page');
-
-      const zipUrl = urlMatch[1];
-      console.log(`[CIPOTrademarks] Downloading ZIP from: ${zipUrl}`);
-
-      const https = require('https');
-      const agent = new https.Agent({ rejectUnauthorized: false });
-      const zipResp = await axios.get(zipUrl, {
-        timeout: 600000,
-        headers: { 'User-Agent': this.userAgent },
-        responseType: 'arraybuffer',
-        maxContentLength: 500 * 1024 * 1024,
-        httpsAgent: agent,
-      });
-
-      // Extract ZIP to temp file and stream-read (CSV is >500MB, can't fit in a single string)
-      const AdmZip = require('adm-zip');
-      const fs = require('fs');
-      const os = require('os');
-      const path = require('path');
-      const zip = new AdmZip(Buffer.from(zipResp.data));
-      const entries = zip.getEntries();
-      const csvEntry = entries.find(e => e.entryName.toLowerCase().includes('interested_party') && (e.entryName.endsWith('.csv') || e.entryName.endsWith('.txt')));
-      if (!csvEntry) {
-        const allNames = entries.map(e => e.entryName).join(', ');
-        throw new Error(`No interested_party CSV found in ZIP. Files: ${allNames}`);
-      }
-
-      console.log(`[CIPOTrademarks] Extracting: ${csvEntry.entryName} (${(csvEntry.header.size / 1024 / 1024).toFixed(0)}MB)`);
-      const tmpDir = os.tmpdir();
-      const tmpFile = path.join(tmpDir, 'cipo_interested_party.csv');
-      zip.extractEntryTo(csvEntry, tmpDir, false, true, false, 'cipo_interested_party.csv');
-
-      // Stream-read the extracted CSV
-      const rl = createInterface({ input: fs.createReadStream(tmpFile, { encoding: 'utf-8' }), crlfDelay: Infinity });
-
-      let headerLine = null;
-      let delimiter = ',';
-      let nameCol, provCol, countryCol;
-      const seen = new Set();
-      const batch = [];
-
-      for await (const line of rl) {
-        if (!headerLine) {
-          headerLine = line;
-          // Auto-detect delimiter (pipe-delimited is common for CIPO)
-          if (headerLine.includes('|') && headerLine.split('|').length > headerLine.split(',').length) delimiter = '|';
-          const headers = headerLine.split(delimiter).map(h => h.trim().replace(/"/g, '').toLowerCase());
-          // Find columns by partial match (bilingual headers like "party name - nom de la partie")
-          nameCol = headers.findIndex(h => h.includes('party name') || h.includes('nom de la partie'));
-          provCol = headers.findIndex(h => h.includes('party province') || h.includes('province de la partie'));
-          countryCol = headers.findIndex(h => h.includes('party country') || h.includes('pays de la partie'));
-          if (nameCol < 0) nameCol = headers.findIndex(h => h.includes('owner legal name') || h.includes('nom légal'));
-          if (nameCol < 0) nameCol = 3; // fallback to typical position
-          if (provCol < 0) provCol = undefined;
-          if (countryCol < 0) countryCol = undefined;
-          console.log(`[CIPOTrademarks] Delimiter: '${delimiter}', ${headers.length} cols. nameCol=${nameCol}, provCol=${provCol}, countryCol=${countryCol}`);
-          console.log(`[CIPOTrademarks] Sample headers: ${headers.slice(0, 5).join(' | ')}`);
-          continue;
-        }
-
-        const trimmed = line.trim();
-        if (!trimmed) continue;
-        totalFound++;
-
-        const cols = delimiter === '|' ? trimmed.split('|').map(c => c.trim()) : this._parseCSVLine(trimmed);
-        const name = (cols[nameCol] || '').trim();
-        if (!name || name.length < 3) continue;
-
-        // Filter for Canadian entries if country column exists
-        if (countryCol !== undefined) {
-          const country = (cols[countryCol] || '').trim().toUpperCase();
-          if (country && country !== 'CA' && country !== 'CANADA') continue;
-        }
-
-        // Deduplicate within load
-        const key = name.toLowerCase();
-        if (seen.has(key)) continue;
-        seen.add(key);
-
-        const province = provCol !== undefined ? (cols[provCol] || '').trim().toUpperCase().substring(0, 2) : '';
-
-        batch.push({ name, province });
-
-        if (batch.length >= 500) {
-          const r = await this._insertBatch(dbClient, batch, jobId);
-          totalInserted += r.inserted; totalSkipped += r.skipped;
-          batch.length = 0;
-          if (seen.size % 20000 === 0) console.log(`[CIPOTrademarks] Progress: ${totalFound} processed, ${totalInserted} new`);
-        }
-      }
-      if (batch.length > 0) {
-        const r = await this._insertBatch(dbClient, batch, jobId);
-        totalInserted += r.inserted; totalSkipped += r.skipped;
-      }
-
-      // Clean up temp file
-      try { fs.unlinkSync(tmpFile); } catch(e) {}
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ CIPO Trademarks: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ CIPO Trademarks load failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _insertBatch(dbClient, batch, jobId) {
-    let inserted = 0, skipped = 0;
-    for (const rec of batch) {
-      try {
-        const hash = nameProvinceHash(rec.name, rec.province);
-        await dbClient.query(
-          `INSERT INTO scraped_smes (source, business_name, province, name_province_hash, scrape_job_id, business_type)
-           VALUES ($1, $2, $3, $4, $5, 'Trademark Filer')
-           ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL DO NOTHING`,
-          [this.source, rec.name, rec.province, hash, jobId]
-        );
-        inserted++;
-      } catch (err) { skipped++; }
-    }
-    return { inserted, skipped };
-  }
-
-  _parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') { inQuotes = !inQuotes; }
-      else if (ch === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
-      else { current += ch; }
-    }
-    result.push(current.trim());
-    return result;
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// =====================================================
-// 🏛️ LOBBYIST REGISTRY LOADER
-// =====================================================
-
-class LobbyistRegistryLoader {
-  constructor() {
-    this.source = 'lobbyist_registry';
-    this.userAgent = 'CanadaAccountants-DataCollection/1.0';
-  }
-
-  async scrape(dbClient) {
-    console.log('🏛️ Starting Lobbyist Registry load...');
-    const jobId = await this._startJob(dbClient);
-    let totalFound = 0, totalInserted = 0, totalSkipped = 0;
-
-    try {
-      const zipUrl = 'https://lobbycanada.gc.ca/media/zwcjycef/registrations_enregistrements_ocl_cal.zip';
-      console.log(`[LobbyistRegistry] Downloading ZIP from: ${zipUrl}`);
-
-      const zipResp = await axios.get(zipUrl, {
-        timeout: 600000,
-        headers: { 'User-Agent': this.userAgent },
-        responseType: 'arraybuffer',
-        maxContentLength: 200 * 1024 * 1024,
-      });
-
-      const AdmZip = require('adm-zip');
-      const zip = new AdmZip(Buffer.from(zipResp.data));
-      const entries = zip.getEntries();
-      const csvEntry = entries.find(e => e.entryName.endsWith('.csv'));
-      if (!csvEntry) throw new Error('No CSV file found in ZIP');
-
-      console.log(`[LobbyistRegistry] Parsing: ${csvEntry.entryName}`);
-      const csvData = csvEntry.getData().toString('utf-8');
-      const lines = csvData.split('\n');
-      if (lines.length < 2) throw new Error('Empty CSV in ZIP');
-
-      const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
-      const colIdx = {};
-      headers.forEach((h, i) => { colIdx[h] = i; });
-
-      const nameCol = colIdx['organization_name'] ?? colIdx['client'] ?? colIdx['employer'] ?? colIdx['corporation'] ?? 0;
-      const provCol = colIdx['province'] ?? colIdx['prov'];
-
-      const seen = new Set();
-      const batch = [];
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        totalFound++;
-
-        const cols = this._parseCSVLine(line);
-        const name = (cols[nameCol] || '').trim();
-        if (!name || name.length < 3) continue;
-
-        // Deduplicate within this load
-        const key = name.toLowerCase();
-        if (seen.has(key)) continue;
-        seen.add(key);
-
-        const province = provCol !== undefined ? (cols[provCol] || '').trim().toUpperCase().substring(0, 2) : '';
-
-        batch.push({ name, province });
-
-        if (batch.length >= 500) {
-          const r = await this._insertBatch(dbClient, batch, jobId);
-          totalInserted += r.inserted; totalSkipped += r.skipped;
-          batch.length = 0;
-        }
-      }
-      if (batch.length > 0) {
-        const r = await this._insertBatch(dbClient, batch, jobId);
-        totalInserted += r.inserted; totalSkipped += r.skipped;
-      }
-
-      await this._completeJob(dbClient, jobId, totalFound, totalInserted, totalSkipped);
-      console.log(`✅ Lobbyist Registry: ${totalFound} found, ${totalInserted} new, ${totalSkipped} skipped`);
-    } catch (error) {
-      await this._failJob(dbClient, jobId, error.message);
-      console.error('❌ Lobbyist Registry load failed:', error.message);
-    }
-    return { found: totalFound, inserted: totalInserted, skipped: totalSkipped };
-  }
-
-  async _insertBatch(dbClient, batch, jobId) {
-    let inserted = 0, skipped = 0;
-    for (const rec of batch) {
-      try {
-        const hash = nameProvinceHash(rec.name, rec.province);
-        await dbClient.query(
-          `INSERT INTO scraped_smes (source, business_name, province, name_province_hash, scrape_job_id, business_type)
-           VALUES ($1, $2, $3, $4, $5, 'Lobbying Organization')
-           ON CONFLICT (name_province_hash) WHERE name_province_hash IS NOT NULL DO NOTHING`,
-          [this.source, rec.name, rec.province, hash, jobId]
-        );
-        inserted++;
-      } catch (err) { skipped++; }
-    }
-    return { inserted, skipped };
-  }
-
-  _parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') { inQuotes = !inQuotes; }
-      else if (ch === ',' && !inQuotes) { result.push(current.trim()); current = ''; }
-      else { current += ch; }
-    }
-    result.push(current.trim());
-    return result;
-  }
-
-  async _startJob(dbClient) { const r = await dbClient.query(`INSERT INTO scrape_jobs (source,status) VALUES ($1,'running') RETURNING id`, [this.source]); return r.rows[0].id; }
-  async _completeJob(dbClient, jobId, found, inserted, skipped) { await dbClient.query(`UPDATE scrape_jobs SET status='completed',records_found=$2,records_inserted=$3,records_skipped=$4,completed_at=NOW() WHERE id=$1`, [jobId,found,inserted,skipped]); }
-  async _failJob(dbClient, jobId, msg) { await dbClient.query(`UPDATE scrape_jobs SET status='failed',error_message=$2,completed_at=NOW() WHERE id=$1`, [jobId,msg]); }
-}
-
-// Initialize scraper instances
-const cpaScraperOrchestrator = new CPAScraperOrchestrator();
-const corporationsCanadaAPI = new CorporationsCanadaBulkLoader();
-const statCanODBusLoader = new StatCanODBusLoader();
-const vancouverBizLicScraper = new VancouverBizLicScraper();
-const calgaryBizLicScraper = new CalgaryBizLicScraper();
-const torontoBizLicScraper = new TorontoBizLicScraper();
-const edmontonBizLicScraper = new EdmontonBizLicScraper();
-const businessPriorityScorer = new BusinessPriorityScorer();
-const firmWebsiteEnricher = new FirmWebsiteEnricher();
-const smeEmailEnricher = new SMEEmailEnricher();
-const yellowPagesEnricher = new YellowPagesWebsiteEnricher();
-const directory411Enricher = new Directory411Enricher();
-const bbbProfileEnricher = new BBBProfileEnricher();
-const chamberDirectoryEnricher = new ChamberDirectoryEnricher();
-const federalGrantsLoader = new FederalGrantsLoader();
-const orgBookBCScraper = new OrgBookBCScraper();
-const craCharitiesLoader = new CRACharitiesLoader();
-const canadianImportersLoader = new CanadianImportersLoader();
-const ottawaBizLicScraper = new OttawaBizLicScraper();
-const cipoTrademarkLoader = new CIPOTrademarkLoader();
-const lobbyistRegistryLoader = new LobbyistRegistryLoader();
-
-// 🔄 DATA COLLECTION ORCHESTRATOR
-class DataCollectionOrchestrator {
-    constructor() {
-        this.statCanAPI = new StatisticsCanadaAPI();
-        this.isedAPI = new ISEDCanadaAPI();
-        this.industryScraper = new IndustryReportScraper();
-    }
-
-    async collectAllData() {
-        console.log('🚀 Starting comprehensive data collection...');
-        
-            // Collect from all sources simultaneously
-           
-           // Collect from all sources simultaneously  
-
-try {
-    var results = await Promise.all([
-        this.statCanAPI.getAccountingServicesPriceIndex(),
-        this.statCanAPI.getAdvancedTechnologySurvey(), 
-        this.isedAPI.getSMEInnovationData(),
-        this.industryScraper.getBDCResearch(),
-        this.industryScraper.getRobertHalfSalaryData()
-    ]);
-
-        // 🆕 ADD CPA INTELLIGENCE COLLECTION
-        console.log('💼 Initializing CPA market intelligence...');
-        const cpaCollector = new CPAMarketIntelligenceCollector();
-        const cpaIntelligence = await cpaCollector.collectAllCPAData();
-
-        var allData = [];
-    
-    for (var i = 0; i < results.length; i++) {
-        if (results[i] && Array.isArray(results[i])) {
-            allData = allData.concat(results[i]);
-        }
-    }
-    
-    // Store data in database
-    await this.storeMarketData(allData);
-        
-       // 🆕 ADD CPA DATA STORAGE
-if (cpaIntelligence) {
-    await this.storeCPAData(cpaIntelligence);
-    console.log('✅ CPA market intelligence collected successfully');
-}
-
-    } catch (error) {
-    console.error('Data collection error:', error);
-}
-}
-
-    async storeMarketData(dataArray) {
-        // Mark previous data as not current
-        await dbClient.query('UPDATE market_data SET is_current = false WHERE is_current = true');
-        
-       // Insert new data
-        for (const data of dataArray) {
-            try {
-                await dbClient.query(
-                    'INSERT INTO market_data (source, metric_name, metric_value, province, industry) VALUES ($1, $2, $3, $4, $5)',
-                    [data.source, data.metric_name || data.finding, data.metric_value, data.province, data.industry]
-                );
-                console.log('✅ Inserted data:', data.source, data.metric_name || data.finding);
-            } catch (error) {
-                console.error('❌ Database insert error:', error.message, 'Data:', data);
-            }
-        }
-    }  // Line 327 - end of storeMarketData method
-    async storeCPAData(cpaData){ 
-            try {
-            console.log('💾 Storing CPA intelligence data...');
-            
-            // Store CPA salary benchmarks
-            for (const salary of cpaData.cpa_salaries) {
-                await dbClient.query(
-                    'INSERT INTO market_data (source, metric_name, metric_value, province, industry) VALUES ($1, $2, $3, $4, $5)',
-                    ['CPA Salary Intelligence', salary.role, '75000', salary.province || 'Ontario', salary.specialization]
-                );
-            }
-            
-            // Store firm intelligence
-            for (const firm of cpaData.firm_intelligence) {
-                await dbClient.query(
-                    'INSERT INTO market_data (source, metric_name, metric_value, province, industry) VALUES ($1, $2, $3, $4, $5)',
-                    ['CPA Firm Intelligence', firm.firm_type, '15', firm.province || 'Ontario', firm.client_focus]
-                );
-            }
-            
-            // Store demand patterns
-            for (const demand of cpaData.demand_patterns) {
-                await dbClient.query(
-                    'INSERT INTO market_data (source, metric_name, metric_value, province, industry) VALUES ($1, $2, $3, $4, $5)',
-                    ['CPA Demand Intelligence', demand.industry, '5', 'Canada', demand.industry]
-                );
-            }
-            
-            console.log('✅ CPA intelligence data stored successfully');
-        } catch (error) {
-            console.error('❌ CPA data storage error:', error);
-        }
-    }
-        
-
-}  // Line 328 - end of DataCollectionOrchestrator class
-
-    
-// 🏛️ CPA MARKET INTELLIGENCE COLLECTOR
-class CPAMarketIntelligenceCollector {
-    constructor() {
-        this.baseURL = 'https://';
-        this.headers = {
-            'User-Agent': 'Canadian Business Intelligence Platform/1.0'
-        };
-    }
-
-    // Collect CPA salary benchmarks by province and specialization
-    async collectCPASalaryData() {
-        console.log('💼 Collecting CPA salary benchmarks...');
-        try {
-            // Extend Robert Half data with CPA-specific roles
-            const cpaRoles = [
-                'Senior CPA - Tax Specialist',
-                'CPA - Audit Manager', 
-                'CPA - Corporate Finance',
-                'CPA - Management Accounting',
-                'CPA - Forensic Accounting',
-                'CPA - International Tax'
-            ];
-            
-            const salaryData = [];
-            for (const role of cpaRoles) {
-                // Simulate data collection (replace with actual scraping)
-                salaryData.push({
-                    role: role,
-                    province: 'Ontario',
-                    salary_range: '$65,000 - $95,000',
-                    demand_level: 'High',
-                    specialization: this.extractSpecialization(role),
-                    source: 'CPA Market Intelligence',
-                    collected_date: new Date().toISOString()
-                });
-            }
-            
-            console.log(`✅ CPA salary data collected: ${salaryData.length} records`);
-            return salaryData;
-        } catch (error) {
-            console.error('❌ CPA salary collection error:', error);
-            return [];
-        }
-    }
-
-    // Collect accounting firm market data
-    async collectAccountingFirmData() {
-        console.log('🏢 Collecting accounting firm market intelligence...');
-        try {
-            const firmData = [
-                {
-                    firm_type: 'Big 4',
-                    average_size: '500+ employees',
-                    specializations: ['Audit', 'Tax', 'Advisory', 'Consulting'],
-                    client_focus: 'Large Corporations',
-                    market_share: '15%',
-                    province: 'Ontario'
-                },
-                {
-                    firm_type: 'Mid-tier',
-                    average_size: '50-200 employees', 
-                    specializations: ['SME Audit', 'Tax Planning', 'Business Advisory'],
-                    client_focus: 'Medium Enterprises',
-                    market_share: '25%',
-                    province: 'Ontario'
-                },
-                {
-                    firm_type: 'Small Practice',
-                    average_size: '1-10 employees',
-                    specializations: ['Bookkeeping', 'Personal Tax', 'Small Business'],
-                    client_focus: 'SMEs and Individuals',
-                    market_share: '60%',
-                    province: 'Ontario'
-                }
-            ];
-            
-            console.log(`✅ Accounting firm data collected: ${firmData.length} segments`);
-            return firmData;
-        } catch (error) {
-            console.error('❌ Firm data collection error:', error);
-            return [];
-        }
-    }
-
-    // Collect CPA demand patterns by industry
-    async collectCPADemandData() {
-        console.log('📊 Collecting CPA demand by industry...');
-        try {
-            const demandData = [
-                {
-                    industry: 'Technology/SaaS',
-                    demand_level: 'Very High',
-                    required_skills: ['Revenue Recognition', 'Stock Options', 'International Tax'],
-                    growth_rate: '15% annually',
-                    avg_engagement_value: '$50,000'
-                },
-                {
-                    industry: 'Real Estate',
-                    demand_level: 'High',
-                    required_skills: ['Property Accounting', 'Development Finance', 'Tax Optimization'],
-                    growth_rate: '8% annually', 
-                    avg_engagement_value: '$35,000'
-                },
-                {
-                    industry: 'Healthcare',
-                    demand_level: 'High',
-                    required_skills: ['Medical Practice Management', 'Compliance', 'Tax Planning'],
-                    growth_rate: '12% annually',
-                    avg_engagement_value: '$40,000'
-                }
-            ];
-            
-            console.log(`✅ CPA demand data collected: ${demandData.length} industries`);
-            return demandData;
-        } catch (error) {
-            console.error('❌ Demand data collection error:', error);
-            return [];
-        }
-    }
-
-    extractSpecialization(role) {
-        if (role.includes('Tax')) return 'Tax Specialist';
-        if (role.includes('Audit')) return 'Audit Specialist';
-        if (role.includes('Finance')) return 'Corporate Finance';
-        if (role.includes('Management')) return 'Management Accounting';
-        if (role.includes('Forensic')) return 'Forensic Accounting';
-        return 'General Practice';
-    }
-// 🏛️ ENHANCED CPA VERIFICATION & INTELLIGENCE
-
-    // Collect provincial CPA verification data
-    async collectCPAVerificationData() {
-        console.log('🔍 Collecting CPA professional verification data...');
-        try {
-            const verificationData = [
-                {
-                    province: 'Ontario',
-                    total_active_cpas: 42000,
-                    verification_status: 'Current',
-                    licensing_body: 'CPA Ontario',
-                    annual_renewal_rate: '98.5%',
-                    specialization_breakdown: {
-                        'Public Practice': '35%',
-                        'Industry': '45%', 
-                        'Government': '12%',
-                        'Education': '8%'
-                    }
-                },
-                {
-                    province: 'British Columbia',
-                    total_active_cpas: 18500,
-                    verification_status: 'Current',
-                    licensing_body: 'CPABC',
-                    annual_renewal_rate: '97.8%',
-                    specialization_breakdown: {
-                        'Public Practice': '38%',
-                        'Industry': '42%',
-                        'Government': '14%',
-                        'Education': '6%'
-                    }
-                },
-                {
-                    province: 'Alberta',
-                    total_active_cpas: 15200,
-                    verification_status: 'Current',
-                    licensing_body: 'CPA Alberta',
-                    annual_renewal_rate: '98.1%',
-                    specialization_breakdown: {
-                        'Public Practice': '40%',
-                        'Industry': '43%',
-                        'Government': '11%',
-                        'Education': '6%'
-                    }
-                }
-            ];
-            
-            console.log(`✅ CPA verification data collected: ${verificationData.length} provinces`);
-            return verificationData;
-        } catch (error) {
-            console.error('❌ CPA verification collection error:', error);
-            return [];
-        }
-    }
-
-    // Collect firm registration and credibility data
-    async collectFirmRegistrationData() {
-        console.log('🏢 Collecting accounting firm registration intelligence...');
-        try {
-            const firmRegistration = [
-                {
-                    firm_name: 'Deloitte Canada',
-                    registration_status: 'Active',
-                    license_number: 'ON-001234',
-                    years_in_operation: 175,
-                    office_locations: ['Toronto', 'Vancouver', 'Calgary', 'Montreal'],
-                    practice_areas: ['Audit', 'Tax', 'Consulting', 'Financial Advisory'],
-                    employee_count_range: '5000+',
-                    client_satisfaction: 4.2,
-                    regulatory_standing: 'Good'
-                },
-                {
-                    firm_name: 'KPMG Canada',
-                    registration_status: 'Active', 
-                    license_number: 'ON-001235',
-                    years_in_operation: 155,
-                    office_locations: ['Toronto', 'Vancouver', 'Calgary', 'Ottawa'],
-                    practice_areas: ['Audit', 'Tax', 'Advisory'],
-                    employee_count_range: '5000+',
-                    client_satisfaction: 4.1,
-                    regulatory_standing: 'Good'
-                },
-                {
-                    firm_name: 'MNP LLP',
-                    registration_status: 'Active',
-                    license_number: 'ON-001789',
-                    years_in_operation: 65,
-                    office_locations: ['Calgary', 'Winnipeg', 'Toronto', 'Vancouver'],
-                    practice_areas: ['Audit', 'Tax', 'Consulting', 'Insolvency'],
-                    employee_count_range: '1000-5000',
-                    client_satisfaction: 4.3,
-                    regulatory_standing: 'Excellent'
-                }
-            ];
-            
-            console.log(`✅ Firm registration data collected: ${firmRegistration.length} firms`);
-            return firmRegistration;
-        } catch (error) {
-            console.error('❌ Firm registration collection error:', error);
-            return [];
-        }
-    }
-
-    // Collect specialization and certification intelligence
-    async collectSpecializationIntelligence() {
-        console.log('🎓 Collecting CPA specialization and certification data...');
-        try {
-            const specializationData = [
-                {
-                    specialization: 'Tax Planning & Compliance',
-                    certification_requirements: ['CPA designation', 'In-Depth Tax Course'],
-                    market_demand: 'Very High',
-                    average_hourly_rate: 185,
-                    growth_projection: '12% annually',
-                    skill_shortage: 'Moderate',
-                    continuing_education_hours: 40
-                },
-                {
-                    specialization: 'Financial Statement Auditing',
-                    certification_requirements: ['CPA designation', 'Public Practice License'],
-                    market_demand: 'High',
-                    average_hourly_rate: 165,
-                    growth_projection: '8% annually',
-                    skill_shortage: 'Low',
-                    continuing_education_hours: 35
-                },
-                {
-                    specialization: 'Management Consulting',
-                    certification_requirements: ['CPA designation', 'MBA preferred'],
-                    market_demand: 'Very High',
-                    average_hourly_rate: 220,
-                    growth_projection: '15% annually',
-                    skill_shortage: 'High',
-                    continuing_education_hours: 30
-                },
-                {
-                    specialization: 'Forensic Accounting',
-                    certification_requirements: ['CPA designation', 'CFE certification'],
-                    market_demand: 'High',
-                    average_hourly_rate: 195,
-                    growth_projection: '18% annually',
-                    skill_shortage: 'Very High',
-                    continuing_education_hours: 45
-                }
-            ];
-            
-            console.log(`✅ Specialization intelligence collected: ${specializationData.length} specializations`);
-            return specializationData;
-        } catch (error) {
-            console.error('❌ Specialization collection error:', error);
-            return [];
-        }
-    }
-
-    // Master collection method
-    
-    async collectAllCPAData() {
-        console.log('🎯 Starting comprehensive CPA market intelligence collection...');
-        try {
-            const [salaryData, firmData, demandData, verificationData, registrationData, specializationData] = await Promise.all([
-    this.collectCPASalaryData(),
-    this.collectAccountingFirmData(), 
-    this.collectCPADemandData(),
-    this.collectCPAVerificationData(),
-    this.collectFirmRegistrationData(),
-    this.collectSpecializationIntelligence()
-]);
-            return {
-    cpa_salaries: salaryData,
-    firm_intelligence: firmData,
-    demand_patterns: demandData,
-    verification_data: verificationData,
-    registration_data: registrationData,
-    specialization_intelligence: specializationData,
-    collection_timestamp: new Date().toISOString()
-};
-        } catch (error) {
-            console.error('❌ CPA data collection failed:', error);
-            return null;
-        }
-    }
-}
-
-// 🧠 AI-POWERED CPA MATCHING ENGINE
-class CPAMatchingEngine {
-    constructor() {
-        this.matchingWeights = {
-            specialization_match: 0.35,      // 35% - Most important factor
-            location_preference: 0.20,       // 20% - Geographic compatibility  
-            budget_alignment: 0.15,          // 15% - Rate compatibility
-            communication_style: 0.12,       // 12% - Soft skills match
-            firm_size_preference: 0.10,      // 10% - Firm size alignment
-            availability_urgency: 0.08       // 8% - Timeline compatibility
-        };
-    }
-
-    // Calculate comprehensive match score between client and CPA
-    async calculateMatchScore(clientProfile, cpaProfile) {
-        console.log(`🎯 Calculating match score for client industry: ${clientProfile.industry} with CPA: ${cpaProfile.cpa_id}`);
-        
-        try {
-            let totalScore = 0;
-            let matchFactors = {};
-
-            // 1. Specialization Match (35% weight)
-            const specializationScore = this.calculateSpecializationMatch(
-                clientProfile.required_services, 
-                cpaProfile.specializations
-            );
-            matchFactors.specialization_score = specializationScore;
-            totalScore += specializationScore * this.matchingWeights.specialization_match;
-
-            // 2. Location Preference (20% weight)
-            const locationScore = this.calculateLocationMatch(
-                clientProfile.location_preference,
-                cpaProfile.province,
-                cpaProfile.remote_services,
-                clientProfile.remote_acceptable
-            );
-            matchFactors.location_score = locationScore;
-            totalScore += locationScore * this.matchingWeights.location_preference;
-
-            // 3. Budget Alignment (15% weight)
-            const budgetScore = this.calculateBudgetAlignment(
-                clientProfile.budget_range_min,
-                clientProfile.budget_range_max,
-                cpaProfile.hourly_rate_min,
-                cpaProfile.hourly_rate_max
-            );
-            matchFactors.budget_score = budgetScore;
-            totalScore += budgetScore * this.matchingWeights.budget_alignment;
-
-            // 4. Communication Style (12% weight)
-            const communicationScore = this.calculateCommunicationMatch(
-                clientProfile.preferred_communication,
-                cpaProfile.communication_style
-            );
-            matchFactors.communication_score = communicationScore;
-            totalScore += communicationScore * this.matchingWeights.communication_style;
-
-            // 5. Firm Size Preference (10% weight)
-            const firmSizeScore = this.calculateFirmSizeMatch(
-                clientProfile.business_size,
-                cpaProfile.firm_size
-            );
-            matchFactors.firm_size_score = firmSizeScore;
-            totalScore += firmSizeScore * this.matchingWeights.firm_size_preference;
-
-            // 6. Availability & Urgency (8% weight)
-            const urgencyScore = this.calculateUrgencyMatch(
-                clientProfile.urgency_level,
-                cpaProfile.years_experience
-            );
-            matchFactors.urgency_score = urgencyScore;
-            totalScore += urgencyScore * this.matchingWeights.availability_urgency;
-
-            // Final match score (0-100)
-            const finalScore = Math.round(totalScore * 100);
-            
-            console.log(`✅ Match calculated: ${finalScore}% compatibility`);
-            
-            return {
-                match_score: finalScore,
-                match_factors: matchFactors,
-                recommendation_level: this.getRecommendationLevel(finalScore)
-            };
-
-        } catch (error) {
-            console.error('❌ Match calculation error:', error);
-            return { match_score: 0, match_factors: {}, recommendation_level: 'Error' };
-        }
-    }
-
-    // Calculate specialization compatibility
-    calculateSpecializationMatch(requiredServices, cpaSpecializations) {
-        if (!requiredServices || !cpaSpecializations) return 0;
-        
-        const required = Array.isArray(requiredServices) ? requiredServices : [requiredServices];
-        const available = Array.isArray(cpaSpecializations) ? cpaSpecializations : [cpaSpecializations];
-        
-        let matches = 0;
-        let totalRequired = required.length;
-        
-        for (const service of required) {
-            for (const specialization of available) {
-                if (service.toLowerCase().includes(specialization.toLowerCase()) ||
-                    specialization.toLowerCase().includes(service.toLowerCase())) {
-                    matches++;
-                    break;
-                }
-            }
-        }
-        
-        return totalRequired > 0 ? matches / totalRequired : 0;
-    }
-
-    // Calculate location compatibility
-    calculateLocationMatch(clientLocation, cpaProvince, cpaRemote, clientRemoteOk) {
-        // Perfect match if both accept remote
-        if (cpaRemote && clientRemoteOk) return 1.0;
-        
-        // Good match if same province
-        if (clientLocation && cpaProvince && 
-            clientLocation.toLowerCase().includes(cpaProvince.toLowerCase())) {
-            return 0.9;
-        }
-        
-        // Partial match if remote is an option for one party
-        if (cpaRemote || clientRemoteOk) return 0.7;
-        
-        // Low compatibility if location mismatch and no remote
-        return 0.3;
-    }
-
-    // Calculate budget alignment
-    calculateBudgetAlignment(clientMinBudget, clientMaxBudget, cpaMinRate, cpaMaxRate) {
-        if (!clientMinBudget || !clientMaxBudget || !cpaMinRate || !cpaMaxRate) return 0.5;
-        
-        // Check for overlap in budget ranges
-        const overlapStart = Math.max(clientMinBudget, cpaMinRate);
-        const overlapEnd = Math.min(clientMaxBudget, cpaMaxRate);
-        
-        if (overlapStart <= overlapEnd) {
-            // Calculate percentage of overlap
-            const overlapSize = overlapEnd - overlapStart;
-            const clientRange = clientMaxBudget - clientMinBudget;
-            const cpaRange = cpaMaxRate - cpaMinRate;
-            const avgRange = (clientRange + cpaRange) / 2;
-            
-            return Math.min(1.0, overlapSize / avgRange);
-        }
-        
-        // No overlap - calculate distance penalty
-        const distance = Math.min(
-            Math.abs(clientMaxBudget - cpaMinRate),
-            Math.abs(cpaMaxRate - clientMinBudget)
-        );
-        
-        return Math.max(0, 1 - (distance / clientMaxBudget));
-    }
-
-    // Calculate communication style compatibility
-    calculateCommunicationMatch(clientPreference, cpaStyle) {
-        if (!clientPreference || !cpaStyle) return 0.7; // Neutral if unknown
-        
-        const preference = clientPreference.toLowerCase();
-        const style = cpaStyle.toLowerCase();
-        
-        if (preference === style) return 1.0;
-        
-        // Compatible combinations
-        const compatiblePairs = [
-            ['formal', 'professional'],
-            ['casual', 'friendly'],
-            ['direct', 'efficient'],
-            ['collaborative', 'consultative']
-        ];
-        
-        for (const [style1, style2] of compatiblePairs) {
-            if ((preference.includes(style1) && style.includes(style2)) ||
-                (preference.includes(style2) && style.includes(style1))) {
-                return 0.8;
-            }
-        }
-        
-        return 0.5; // Neutral compatibility
-    }
-
-    // Calculate firm size compatibility
-    calculateFirmSizeMatch(businessSize, firmSize) {
-        if (!businessSize || !firmSize) return 0.7;
-        
-        const sizeMap = {
-            'startup': ['solo', 'small'],
-            'small': ['solo', 'small', 'medium'],
-            'medium': ['small', 'medium', 'large'],
-            'large': ['medium', 'large', 'big4'],
-            'enterprise': ['large', 'big4']
-        };
-        
-        const business = businessSize.toLowerCase();
-        const firm = firmSize.toLowerCase();
-        
-        if (sizeMap[business] && sizeMap[business].some(size => firm.includes(size))) {
-            return 1.0;
-        }
-        
-        return 0.4; // Lower compatibility for size mismatch
-    }
-
-    // Calculate urgency compatibility
-    calculateUrgencyMatch(clientUrgency, cpaExperience) {
-        if (!clientUrgency) return 0.8;
-        
-        const urgency = clientUrgency.toLowerCase();
-        const experience = cpaExperience || 5;
-        
-        if (urgency.includes('immediate') || urgency.includes('urgent')) {
-            // Urgent needs favor experienced CPAs
-            return experience >= 10 ? 1.0 : experience >= 5 ? 0.8 : 0.6;
-        }
-        
-        if (urgency.includes('flexible') || urgency.includes('planning')) {
-            // Flexible timeline works for all experience levels
-            return 0.9;
-        }
-        
-        return 0.8; // Standard compatibility
-    }
-
-    // Get recommendation level based on score
-    getRecommendationLevel(score) {
-        if (score >= 90) return 'Excellent Match';
-        if (score >= 80) return 'Very Good Match';
-        if (score >= 70) return 'Good Match';
-        if (score >= 60) return 'Fair Match';
-        return 'Poor Match';
-    }
-
-    // Find top matches for a client
-    async findTopMatches(clientProfile, availableCPAs, limit = 10) {
-        console.log(`🔍 Finding top ${limit} CPA matches for client in ${clientProfile.industry} industry`);
-        
-        const matches = [];
-        
-        for (const cpa of availableCPAs) {
-            if (cpa.verification_status === 'verified' && cpa.is_active) {
-                const matchResult = await this.calculateMatchScore(clientProfile, cpa);
-                
-                matches.push({
-                    cpa_id: cpa.cpa_id,
-                    cpa_profile: cpa,
-                    ...matchResult
-                });
-            }
-        }
-        
-        // Sort by match score and return top results
-        const topMatches = matches
-            .sort((a, b) => b.match_score - a.match_score)
-            .slice(0, limit);
-        
-        console.log(`✅ Found ${topMatches.length} qualified matches, top score: ${topMatches[0]?.match_score || 0}%`);
-        
-        return topMatches;
-    }
-}
-
-// 💳 STRIPE INTEGRATION
-
-// Helper: resolve tier name from Stripe Price ID
-function tierFromPriceId(priceId) {
-    for (const [key, val] of Object.entries(STRIPE_PRICES)) {
-        if (val === priceId) {
-            const parts = key.split('_');
-            return { tier: parts[0], interval: parts[1] };
-        }
-    }
-    return { tier: 'unknown', interval: 'monthly' };
-}
-
-// POST /api/stripe/create-checkout-session
-app.post('/api/stripe/create-checkout-session', async (req, res) => {
-    if (!stripe) return res.status(503).json({ error: 'Stripe not configured' });
-
-    try {
-        const { priceId, email, profileId, tier, interval } = req.body;
-
-        if (!priceId || !email) {
-            return res.status(400).json({ error: 'priceId and email are required' });
-        }
-
-        // Resolve actual Stripe price ID from env vars
-        // priceId can be a key like "associate_monthly" or an actual price_xxx ID
-        const resolvedPriceId = STRIPE_PRICES[priceId] || priceId;
-
-        if (!resolvedPriceId || !resolvedPriceId.startsWith('price_')) {
-            return res.status(400).json({ error: `Price not configured for "${priceId}". Please set the corresponding STRIPE_PRICE_* env var.` });
-        }
-
-        const sessionParams = {
-            mode: 'subscription',
-            payment_method_types: ['card'],
-            customer_email: email,
-            line_items: [{ price: resolvedPriceId, quantity: 1 }],
-            success_url: `${FRONTEND_URL}/checkout-success.html?session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${FRONTEND_URL}/checkout-cancel.html`,
-            metadata: {
-                email: email,
-                profileId: profileId || '',
-                tier: tier || '',
-                interval: interval || ''
-            },
-            subscription_data: {
-                metadata: {
-                    email: email,
-                    profileId: profileId || '',
-                    tier: tier || '',
-                    interval: interval || ''
-                }
-            }
-        };
-
-        const session = await stripe.checkout.sessions.create(sessionParams);
-
-        res.json({ url: session.url, sessionId: session.id });
-    } catch (error) {
-        console.error('Stripe checkout session error:', error.message);
-        res.status(500).json({ error: 'Failed to create checkout session' });
-    }
-});
-
-// GET /api/stripe/subscription-status
-app.get('/api/stripe/subscription-status', async (req, res) => {
-    try {
-        const { email } = req.query;
-
-        if (!email) {
-            return res.status(400).json({ error: 'email query parameter is required' });
-        }
-
-        const result = await dbClient.query(
-            `SELECT * FROM cpa_subscriptions WHERE email = $1 ORDER BY updated_at DESC LIMIT 1`,
-            [email]
-        );
-
-        if (result.rows.length === 0) {
-            return res.json({ subscription: null });
-        }
-
-        const sub = result.rows[0];
-        res.json({
-            subscription: {
-                tier: sub.tier,
-                interval: sub.billing_interval,
-                status: sub.status,
-                current_period_start: sub.current_period_start,
-                current_period_end: sub.current_period_end,
-                stripe_customer_id: sub.stripe_customer_id,
-                stripe_subscription_id: sub.stripe_subscription_id
-            }
-        });
-    } catch (error) {
-        console.error('Subscription status error:', error.message);
-        res.status(500).json({ error: 'Failed to fetch subscription status' });
-    }
-});
-
-// POST /api/stripe/create-portal-session
-app.post('/api/stripe/create-portal-session', async (req, res) => {
-    if (!stripe) return res.status(503).json({ error: 'Stripe not configured' });
-
-    try {
-        const { email } = req.body;
-
-        if (!email) {
-            return res.status(400).json({ error: 'email is required' });
-        }
-
-        // Look up Stripe customer ID from our DB
-        const result = await dbClient.query(
-            `SELECT stripe_customer_id FROM cpa_subscriptions WHERE email = $1 AND stripe_customer_id IS NOT NULL ORDER BY updated_at DESC LIMIT 1`,
-            [email]
-        );
-
-        if (result.rows.length === 0 || !result.rows[0].stripe_customer_id) {
-            return res.status(404).json({ error: 'No Stripe customer found for this email' });
-        }
-
-        const portalSession = await stripe.billingPortal.sessions.create({
-            customer: result.rows[0].stripe_customer_id,
-            return_url: `${FRONTEND_URL}/cpa-dashboard.html`
-        });
-
-        res.json({ url: portalSession.url });
-    } catch (error) {
-        console.error('Portal session error:', error.message);
-        res.status(500).json({ error: 'Failed to create portal session' });
-    }
-});
-
-// Stripe Webhook Handler
-async function handleStripeWebhook(req, res) {
-    if (!stripe) return res.status(503).send('Stripe not configured');
-
-    const sig = req.headers['stripe-signature'];
-    let event;
-
-    try {
-        if (process.env.STRIPE_WEBHOOK_SECRET) {
-            event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-        } else {
-            // In development without webhook secret, parse raw body
-            event = JSON.parse(req.body.toString());
-            console.warn('Warning: STRIPE_WEBHOOK_SECRET not set, skipping signature verification');
-        }
-    } catch (err) {
-        console.error('Webhook signature verification failed:', err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
-
-    // Idempotency check
-    try {
-        await dbClient.query(
-            `INSERT INTO webhook_events (stripe_event_id, event_type) VALUES ($1, $2)`,
-            [event.id, event.type]
-        );
-    } catch (err) {
-        if (err.code === '23505') {
-            // Duplicate event, already processed
-            console.log(`Webhook event ${event.id} already processed, skipping`);
-            return res.json({ received: true, duplicate: true });
-        }
-        console.error('Webhook idempotency check error:', err.message);
-    }
-
-    console.log(`Stripe webhook received: ${event.type} (${event.id})`);
-
-    try {
-        switch (event.type) {
-            case 'checkout.session.completed':
-                await handleCheckoutCompleted(event.data.object);
-                break;
-            case 'customer.subscription.updated':
-                await handleSubscriptionUpdated(event.data.object);
-                break;
-            case 'customer.subscription.deleted':
-                await handleSubscriptionDeleted(event.data.object);
-                break;
-            case 'invoice.payment_succeeded':
-                await handlePaymentSucceeded(event.data.object);
-                break;
-            case 'invoice.payment_failed':
-                await handlePaymentFailed(event.data.object);
-                break;
-            default:
-                console.log(`Unhandled event type: ${event.type}`);
-        }
-    } catch (err) {
-        console.error(`Error handling ${event.type}:`, err.message);
-    }
-
-    res.json({ received: true });
-}
-
-async function handleCheckoutCompleted(session) {
-    const email = session.customer_email || session.metadata?.email;
-    const customerId = session.customer;
-    const subscriptionId = session.subscription;
-    const profileId = session.metadata?.profileId || null;
-    const tier = session.metadata?.tier || 'unknown';
-    const interval = session.metadata?.interval || 'monthly';
-
-    console.log(`Checkout completed: email=${email}, customer=${customerId}, subscription=${subscriptionId}`);
-
-    // Upsert subscription record
-    await dbClient.query(
-        `INSERT INTO cpa_subscriptions (email, cpa_profile_id, stripe_customer_id, stripe_subscription_id, tier, billing_interval, status)
-         VALUES ($1, $2, $3, $4, $5, $6, 'active')
-         ON CONFLICT (stripe_subscription_id) DO UPDATE SET
-            email = EXCLUDED.email,
-            stripe_customer_id = EXCLUDED.stripe_customer_id,
-            status = 'active',
-            updated_at = CURRENT_TIMESTAMP`,
-        [email, profileId, customerId, subscriptionId, tier, interval]
-    );
-
-    // Send subscription confirmation email
-    sendSubscriptionConfirmation({ email, tier, interval }).catch(err => {
-        console.error('Subscription email error (non-fatal):', err.message);
-    });
-}
-
-async function handleSubscriptionUpdated(subscription) {
-    const { tier, interval } = tierFromPriceId(subscription.items?.data?.[0]?.price?.id);
-
-    await dbClient.query(
-        `UPDATE cpa_subscriptions SET
-            tier = $1,
-            billing_interval = $2,
-            status = $3,
-            current_period_start = to_timestamp($4),
-            current_period_end = to_timestamp($5),
-            updated_at = CURRENT_TIMESTAMP
-         WHERE stripe_subscription_id = $6`,
-        [
-            tier,
-            interval,
-            subscription.status,
-            subscription.current_period_start,
-            subscription.current_period_end,
-            subscription.id
-        ]
-    );
-
-    console.log(`Subscription updated: ${subscription.id} → ${subscription.status}`);
-}
-
-async function handleSubscriptionDeleted(subscription) {
-    await dbClient.query(
-        `UPDATE cpa_subscriptions SET status = 'canceled', updated_at = CURRENT_TIMESTAMP WHERE stripe_subscription_id = $1`,
-        [subscription.id]
-    );
-    console.log(`Subscription canceled: ${subscription.id}`);
-}
-
-async function handlePaymentSucceeded(invoice) {
-    await dbClient.query(
-        `INSERT INTO stripe_transactions (stripe_payment_intent_id, stripe_invoice_id, stripe_subscription_id, email, amount_cents, currency, status)
-         VALUES ($1, $2, $3, $4, $5, $6, 'succeeded')`,
-        [
-            invoice.payment_intent,
-            invoice.id,
-            invoice.subscription,
-            invoice.customer_email,
-            invoice.amount_paid,
-            invoice.currency
-        ]
-    );
-
-    // Ensure subscription is marked active
-    if (invoice.subscription) {
-        await dbClient.query(
-            `UPDATE cpa_subscriptions SET status = 'active', updated_at = CURRENT_TIMESTAMP WHERE stripe_subscription_id = $1`,
-            [invoice.subscription]
-        );
-    }
-
-    console.log(`Payment succeeded: ${invoice.id}, amount=${invoice.amount_paid}`);
-
-    // Send payment receipt email
-    sendPaymentReceipt({
-        email: invoice.customer_email,
-        amount: invoice.amount_paid,
-        currency: invoice.currency,
-        invoiceId: invoice.id,
-    }).catch(err => {
-        console.error('Payment receipt email error (non-fatal):', err.message);
-    });
-}
-
-async function handlePaymentFailed(invoice) {
-    await dbClient.query(
-        `INSERT INTO stripe_transactions (stripe_payment_intent_id, stripe_invoice_id, stripe_subscription_id, email, amount_cents, currency, status)
-         VALUES ($1, $2, $3, $4, $5, $6, 'failed')`,
-        [
-            invoice.payment_intent,
-            invoice.id,
-            invoice.subscription,
-            invoice.customer_email,
-            invoice.amount_due,
-            invoice.currency
-        ]
-    );
-
-    // Mark subscription as past_due
-    if (invoice.subscription) {
-        await dbClient.query(
-            `UPDATE cpa_subscriptions SET status = 'past_due', updated_at = CURRENT_TIMESTAMP WHERE stripe_subscription_id = $1`,
-            [invoice.subscription]
-        );
-    }
-
-    console.log(`Payment failed: ${invoice.id}`);
-
-    // Send payment failed alert
-    sendPaymentFailedAlert({
-        email: invoice.customer_email,
-        amount: invoice.amount_due,
-        currency: invoice.currency,
-        invoiceId: invoice.id,
-    }).catch(err => {
-        console.error('Payment failed email error (non-fatal):', err.message);
-    });
-}
-
-// 🏛️ API ENDPOINTS
-
-
-// 🧠 AI-POWERED CPA MATCHING APIs
-
-// Client preference registration and matching
-app.post('/api/client/register-preferences', async (req, res) => {
-    try {
-        const {
-            business_name, industry, business_size, annual_revenue_range,
-            required_services, preferred_specializations, budget_range_min, budget_range_max,
-            preferred_communication, location_preference, remote_acceptable, urgency_level
-        } = req.body;
-
-        const client_id = `CLIENT_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        const result = await dbClient.query(
-            `INSERT INTO client_preferences (
-                client_id, business_name, industry, business_size, annual_revenue_range,
-                required_services, preferred_specializations, budget_range_min, budget_range_max,
-                preferred_communication, location_preference, remote_acceptable, urgency_level
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-            RETURNING *`,
-            [client_id, business_name, industry, business_size, annual_revenue_range,
-             JSON.stringify(required_services), JSON.stringify(preferred_specializations),
-             budget_range_min, budget_range_max, preferred_communication, 
-             location_preference, remote_acceptable, urgency_level]
-        );
-
-        res.json({
-            status: 'success',
-            message: 'Client preferences registered successfully',
-            client_id: client_id,
-            preferences: result.rows[0],
-            next_steps: [
-                'AI matching will begin immediately',
-                'Top CPA recommendations will be generated',
-                'You will receive match notifications',
-                'Review and connect with recommended CPAs'
-            ]
-        });
-    } catch (error) {
-        console.error('Client registration error:', error);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Registration failed',
-            error: error.message 
-        });
-    }
-});
-// SME Friction Request Endpoint - Business Questionnaire
-app.post('/api/sme-friction-request', async (req, res) => {
-    try {
-        const {
-            request_id, pain_point, business_type, business_size,
-            urgency_level, services_needed, time_being_lost,
-            budget_range, additional_context, contact_info
-        } = req.body;
-
-        // Generate session ID for results retrieval
-        const session_id = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-        console.log('New SME Friction Request:', {
-            request_id,
-            session_id,
-            business_type,
-            pain_point,
-            urgency_level
-        });
-
-        const result = await dbClient.query(
-            `INSERT INTO sme_friction_requests 
-             (request_id, session_id, pain_point, business_type, business_size, urgency_level, 
-              services_needed, time_being_lost, budget_range, additional_context, contact_info, created_at) 
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW()) 
-             RETURNING *`,
-            [request_id, session_id, pain_point, business_type, business_size, urgency_level,
-             services_needed, time_being_lost, budget_range, additional_context, contact_info]
-        );
-
-        res.status(201).json({
-            success: true,
-            message: 'SME friction request submitted successfully',
-            session_id: session_id,
-            results_url: `cpa-matches.html?session=${session_id}`,
-            data: result.rows[0],
-            next_steps: [
-                'AI analysis of your business needs complete',
-                'Perfect CPA matching in progress', 
-                'Click below to view your matches',
-                'Direct contact with top 3 CPA recommendations'
-            ]
-        });
-
-    } catch (error) {
-        console.error('Error creating SME friction request:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to submit friction request',
-            error: error.message
-        });
-    }
-});
-
-// Retrieve questionnaire data by session ID
-app.get('/api/questionnaire/retrieve/:sessionId', async (req, res) => {
-    try {
-        const { sessionId } = req.params;
-        
-        console.log('Retrieving questionnaire data for session:', sessionId);
-        
-        const result = await dbClient.query(
-            'SELECT * FROM sme_friction_requests WHERE session_id = $1 ORDER BY created_at DESC LIMIT 1',
-            [sessionId]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Session not found or expired'
-            });
-        }
-
-        const questionnaireData = result.rows[0];
-        
-        // Parse contact info safely
-        let contactInfo = {};
-        try {
-            contactInfo = JSON.parse(questionnaireData.contact_info || '{}');
-        } catch (e) {
-            console.log('Could not parse contact_info, using raw data');
-            contactInfo = { raw: questionnaireData.contact_info };
-        }
-
-        res.json({
-            success: true,
-            session_id: sessionId,
-            data: questionnaireData,
-            formatted_for_matching: {
-                client_id: sessionId,
-                business_name: contactInfo.business_name || '',
-                business_type: questionnaireData.business_type,
-                industry: questionnaireData.business_type,
-                business_size: questionnaireData.business_size,
-                required_services: questionnaireData.services_needed ? 
-                    questionnaireData.services_needed.split(',') : [],
-                urgency_level: questionnaireData.urgency_level,
-                pain_point: questionnaireData.pain_point,
-                budget_range: questionnaireData.budget_range,
-                time_being_lost: questionnaireData.time_being_lost,
-                location_preference: contactInfo.location || 'remote-ok',
-                preferred_communication: 'professional',
-                remote_acceptable: true,
-                contact_info: contactInfo
-            }
-        });
-
-    } catch (error) {
-        console.error('Error retrieving questionnaire data:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve questionnaire data',
-            error: error.message
-        });
-    }
-});
-
-// AI-powered CPA matching endpoint
-app.post('/api/cpa/find-matches', async (req, res) => {
-    try {
-        const { client_preferences, limit = 10 } = req.body;
-
-        console.log('🧠 AI Matching Request:', { 
-            industry: client_preferences.industry,
-            services: client_preferences.required_services,
-            location: client_preferences.location_preference 
-        });
-
-        // Get all verified CPAs from database
-        const cpaResult = await dbClient.query(
-            'SELECT * FROM cpa_profiles WHERE verification_status = $1 AND is_active = $2',
-            ['verified', true]
-        );
-
-        if (cpaResult.rows.length === 0) {
-            return res.json({
-                status: 'success',
-                message: 'No verified CPAs available for matching',
-                matches: [],
-                count: 0
-            });
-        }
-
-        // Initialize AI matching engine
-        const matchingEngine = new CPAMatchingEngine();
-        
-        // Find top matches using AI algorithm
-        const topMatches = await matchingEngine.findTopMatches(
-            client_preferences, 
-            cpaResult.rows, 
-            limit
-        );
-
-        // Store match results in database
-        for (const match of topMatches) {
-            await dbClient.query(
-                `INSERT INTO cpa_matches (
-                    client_id, cpa_id, match_score, match_factors, status
-                ) VALUES ($1, $2, $3, $4, $5)`,
-                [client_preferences.client_id || 'temp_client', match.cpa_id, 
-                 match.match_score, JSON.stringify(match.match_factors), 'suggested']
-            );
-        }
-
-        res.json({
-            status: 'success',
-            message: 'AI matching completed successfully',
-            matches: topMatches,
-            count: topMatches.length,
-            matching_algorithm: 'CPAMatchingEngine v1.0',
-            factors_considered: [
-                'Specialization Match (35%)',
-                'Location Preference (20%)', 
-                'Budget Alignment (15%)',
-                'Communication Style (12%)',
-                'Firm Size Preference (10%)',
-                'Availability & Urgency (8%)'
-            ],
-            timestamp: new Date().toISOString()
-        });
-
-    } catch (error) {
-        console.error('AI matching error:', error);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Matching failed',
-            error: error.message 
-        });
-    }
-});
-
-// Get match history and analytics
-app.get('/api/matches/analytics/:client_id', async (req, res) => {
-    try {
-        const { client_id } = req.params;
-        
-        const matchHistory = await dbClient.query(
-            `SELECT cm.*, cp.first_name, cp.last_name, cp.firm_name, cp.specializations
-             FROM cpa_matches cm
-             JOIN cpa_profiles cp ON cm.cpa_id = cp.cpa_id
-             WHERE cm.client_id = $1
-             ORDER BY cm.match_date DESC`,
-            [client_id]
-        );
-
-        const analytics = {
-            total_matches: matchHistory.rows.length,
-            average_match_score: matchHistory.rows.length > 0 
-                ? Math.round(matchHistory.rows.reduce((sum, m) => sum + parseFloat(m.match_score), 0) / matchHistory.rows.length)
-                : 0,
-            engagement_rate: matchHistory.rows.filter(m => m.client_response === 'interested').length,
-            successful_connections: matchHistory.rows.filter(m => m.engagement_started).length,
-            top_match_score: Math.max(...matchHistory.rows.map(m => parseFloat(m.match_score)), 0)
-        };
-
-        res.json({
-            status: 'success',
-            client_id: client_id,
-            match_history: matchHistory.rows,
-            analytics: analytics,
-            recommendations: analytics.average_match_score < 70 
-                ? ['Consider expanding location preferences', 'Review budget range', 'Add more specialization options']
-                : ['Great matching profile!', 'High compatibility scores', 'Strong CPA options available']
-        });
-
-    } catch (error) {
-        console.error('Match analytics error:', error);
-        res.status(500).json({ status: 'error', message: 'Analytics retrieval failed' });
-    }
-});
-
-// 🔐 CPA VERIFICATION ENDPOINT FOR TESTING
-app.post('/api/cpa/verify/:cpa_id', async (req, res) => {
-    try {
-        const { cpa_id } = req.params;
-        
-        console.log(`🔐 Verifying CPA: ${cpa_id}`);
-        
-        const result = await dbClient.query(
-            'UPDATE cpa_profiles SET verification_status = $1 WHERE cpa_id = $2 RETURNING *',
-            ['verified', cpa_id]
-        );
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'CPA profile not found'
-            });
-        }
-        
-        res.json({
-            status: 'success',
-            message: 'CPA profile verified successfully! Ready for AI matching.',
-            cpa_id: cpa_id,
-            verification_status: 'verified',
-            cpa_profile: result.rows[0],
-            next_steps: [
-                'CPA is now eligible for AI matching',
-                'Profile will appear in client searches',
-                'Can receive match requests',
-                'Ready for client connections'
-            ]
-        });
-    } catch (error) {
-        console.error('❌ CPA verification error:', error);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Verification failed',
-            error: error.message 
-        });
-    }
-});
-
-// 🧪 TEMPORARY TEST ENDPOINT - AI MATCHING WITH MOCK DATA
-app.post('/api/cpa/test-matching', async (req, res) => {
-    try {
-        const { client_preferences, limit = 5 } = req.body;
-
-        console.log('🧠 AI Matching Test with Mock Data');
-
-        // Mock CPA for testing
-        const mockCPAs = [{
-            cpa_id: 'CPA_TEST_001',
-            first_name: 'Sarah',
-            last_name: 'Williams',
-            firm_name: 'Williams Professional Services',
-            specializations: ['Tax Planning', 'Small Business Accounting'],
-            industries_served: ['Technology', 'Healthcare'],
-            province: 'Ontario',
-            city: 'Toronto',
-            hourly_rate_min: 180,
-            hourly_rate_max: 220,
-            communication_style: 'professional',
-            firm_size: 'small',
-            remote_services: true,
-            verification_status: 'verified',
-            is_active: true
-        }];
-
-        // Initialize AI matching engine
-        const matchingEngine = new CPAMatchingEngine();
-        
-        // Find top matches using AI algorithm
-        const topMatches = await matchingEngine.findTopMatches(
-            client_preferences, 
-            mockCPAs, 
-            limit
-        );
-
-        res.json({
-            status: 'success',
-            message: 'AI matching test completed successfully',
-            matches: topMatches,
-            count: topMatches.length,
-            matching_algorithm: 'CPAMatchingEngine v1.0 - TEST MODE',
-            factors_considered: [
-                'Specialization Match (35%)',
-                'Location Preference (20%)', 
-                'Budget Alignment (15%)',
-                'Communication Style (12%)',
-                'Firm Size Preference (10%)',
-                'Availability & Urgency (8%)'
-            ],
-            timestamp: new Date().toISOString(),
-            note: 'Using mock data for testing - database persistence issue being resolved'
-        });
-
-    } catch (error) {
-        console.error('AI matching test error:', error);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Matching test failed',
-            error: error.message 
-        });
-    }
-});
-
-const dataOrchestrator = new DataCollectionOrchestrator();
-
-
-// Get latest market intelligence
-app.get('/api/market-intelligence', async (req, res) => {
-    try {
-        // Try cache first
-        const cachedData = await redisClient.get('latest_market_data');
-        
-        if (cachedData) {
-            return res.json({
-                status: 'success',
-                data: JSON.parse(cachedData),
-                cached: true,
-                timestamp: new Date()
-            });
-        }
-
-        // Fallback to database
-        const result = await dbClient.query(
-            'SELECT * FROM market_data WHERE is_current = true ORDER BY collection_date DESC'
-        );
-
-        res.json({
-            status: 'success',
-            data: result.rows,
-            cached: false,
-            timestamp: new Date()
-        });
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
-    }
-});
-
-// Submit SME data from your forms
-app.post('/api/sme-submission', async (req, res) => {
-    try {
-        const {
-            business_name, industry, province, revenue_range, 
-            employees_range, primary_challenge, seasonal_peak, 
-            tech_stack, growth_stage
-        } = req.body;
-
-        await dbClient.query(
-            `INSERT INTO sme_submissions 
-             (business_name, industry, province, revenue_range, employees_range, 
-              primary_challenge, seasonal_peak, tech_stack, growth_stage) 
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-            [business_name, industry, province, revenue_range, employees_range,
-             primary_challenge, seasonal_peak, tech_stack, growth_stage]
-        );
-
-        res.json({ status: 'success', message: 'SME data recorded successfully' });
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
-    }
-});
-
-// Get real-time analytics
-app.get('/api/analytics', async (req, res) => {
-    try {
-        const [
-            totalSubmissions,
-            weeklySubmissions,
-            provinceDistribution,
-            industryTrends
-        ] = await Promise.all([
-            dbClient.query('SELECT COUNT(*) as total FROM sme_submissions'),
-            dbClient.query('SELECT COUNT(*) as weekly FROM sme_submissions WHERE submission_date > NOW() - INTERVAL \'7 days\''),
-            dbClient.query('SELECT province, COUNT(*) as count FROM sme_submissions GROUP BY province ORDER BY count DESC'),
-            dbClient.query('SELECT industry, COUNT(*) as count FROM sme_submissions GROUP BY industry ORDER BY count DESC')
-        ]);
-
-        res.json({
-            status: 'success',
-            analytics: {
-                total_submissions: totalSubmissions.rows[0].total,
-                weekly_submissions: weeklySubmissions.rows[0].weekly,
-                province_distribution: provinceDistribution.rows,
-                industry_trends: industryTrends.rows
-            },
-            timestamp: new Date()
-        });
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
-    }
-});
-
-// 🏛️ CPA PROFILE MANAGEMENT APIs
-
-// Register new CPA profile
-app.post('/api/cpa/register', async (req, res) => {
-    try {
-        const {
-            first_name, last_name, email, phone, firm_name, firm_size,
-            specializations, industries_served, certifications, years_experience,
-            hourly_rate_min, hourly_rate_max, communication_style, 
-            software_proficiency, languages, province, city, remote_services
-        } = req.body;
-
-        const cpa_id = `CPA_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        const result = await dbClient.query(
-            `INSERT INTO cpa_profiles (
-                cpa_id, first_name, last_name, email, phone, firm_name, firm_size,
-                specializations, industries_served, certifications, years_experience,
-                hourly_rate_min, hourly_rate_max, communication_style, 
-                software_proficiency, languages, province, city, remote_services,
-                profile_status, verification_status
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
-            RETURNING *`,
-            [cpa_id, first_name, last_name, email, phone, firm_name, firm_size,
-             JSON.stringify(specializations), JSON.stringify(industries_served), 
-             JSON.stringify(certifications), years_experience, hourly_rate_min, 
-             hourly_rate_max, communication_style, JSON.stringify(software_proficiency), 
-             JSON.stringify(languages), province, city, remote_services, 'pending', 'unverified']
-        );
-
-        res.json({
-            status: 'success',
-            message: 'CPA profile registered successfully',
-            cpa_id: cpa_id,
-            profile: result.rows[0],
-            next_steps: [
-                'Profile review and verification',
-                'Complete specialization details',
-                'Upload certifications',
-                'Activate profile for matching'
-            ]
-        });
-    } catch (error) {
-        console.error('CPA registration error:', error);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Registration failed',
-            error: error.message 
-        });
-    }
-});
-
-// Get CPA profile by ID
-app.get('/api/cpa/profile/:cpa_id', async (req, res) => {
-    try {
-        const { cpa_id } = req.params;
-        
-        const result = await dbClient.query(
-            'SELECT * FROM cpa_profiles WHERE cpa_id = $1 AND is_active = true',
-            [cpa_id]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'CPA profile not found'
-            });
-        }
-
-        res.json({
-            status: 'success',
-            profile: result.rows[0]
-        });
-    } catch (error) {
-        console.error('CPA profile fetch error:', error);
-        res.status(500).json({ status: 'error', message: 'Failed to fetch profile' });
-    }
-});
-
-// Search CPAs with filters
-app.get('/api/cpa/search', async (req, res) => {
-    try {
-        const { 
-            province, specialization, firm_size, min_rate, max_rate, 
-            remote_services, industry, limit = 20 
-        } = req.query;
-
-        let query = 'SELECT * FROM cpa_profiles WHERE is_active = true AND verification_status = $1';
-        let params = ['verified'];
-        let paramCount = 1;
-
-        if (province) {
-            paramCount++;
-            query += ` AND province = $${paramCount}`;
-            params.push(province);
-        }
-
-        if (specialization) {
-            paramCount++;
-            query += ` AND specializations::text ILIKE $${paramCount}`;
-            params.push(`%${specialization}%`);
-        }
-
-        if (firm_size) {
-            paramCount++;
-            query += ` AND firm_size = $${paramCount}`;
-            params.push(firm_size);
-        }
-
-        if (min_rate) {
-            paramCount++;
-            query += ` AND hourly_rate_min >= $${paramCount}`;
-            params.push(min_rate);
-        }
-
-        if (max_rate) {
-            paramCount++;
-            query += ` AND hourly_rate_max <= $${paramCount}`;
-            params.push(max_rate);
-        }
-
-        if (remote_services === 'true') {
-            query += ' AND remote_services = true';
-        }
-
-        if (industry) {
-            paramCount++;
-            query += ` AND industries_served::text ILIKE $${paramCount}`;
-            params.push(`%${industry}%`);
-        }
-
-        paramCount++;
-        query += ` ORDER BY created_date DESC LIMIT $${paramCount}`;
-        params.push(limit);
-
-        const result = await dbClient.query(query, params);
-
-        res.json({
-            status: 'success',
-            count: result.rows.length,
-            cpas: result.rows,
-            filters_applied: {
-                province, specialization, firm_size, min_rate, max_rate, 
-                remote_services, industry
-            }
-        });
-    } catch (error) {
-        console.error('CPA search error:', error);
-        res.status(500).json({ status: 'error', message: 'Search failed' });
-    }
-});
-
-// Get real-time analytics
-
-// 🕐 AUTOMATED DATA COLLECTION SCHEDULE
-// Every day at 6 AM collect fresh data
-cron.schedule('0 6 * * *', async () => {
-    console.log('⏰ Starting scheduled data collection...');
-    await dataOrchestrator.collectAllData();
-});
-
-// 🕷️ CPA DIRECTORY SCRAPING — Sundays at 2 AM
-cron.schedule('0 2 * * 0', async () => {
-    console.log('⏰ Starting weekly CPA directory scrape...');
-    try {
-        await cpaScraperOrchestrator.runAll(dbClient);
-    } catch (error) {
-        console.error('❌ Weekly CPA scrape failed:', error.message);
-    }
-});
-
-// 🏢 CORPORATIONS CANADA — 1st of month at 3 AM
-cron.schedule('0 3 1 * *', async () => {
-    console.log('⏰ Starting monthly Corporations Canada scrape...');
-    try {
-        await corporationsCanadaAPI.scrape(dbClient);
-    } catch (error) {
-        console.error('❌ Monthly Corp Canada scrape failed:', error.message);
-    }
-});
-
-// 📊 STATCAN ODBUS — Quarterly (Jan, Apr, Jul, Oct) 1st at 4 AM
-cron.schedule('0 4 1 1,4,7,10 *', async () => {
-    console.log('⏰ Starting quarterly StatCan ODBus load...');
-    try {
-        await statCanODBusLoader.load(dbClient);
-    } catch (error) {
-        console.error('❌ Quarterly ODBus load failed:', error.message);
-    }
-});
-
-// 🏙️ VANCOUVER BIZ LICENCES — Weekly Sunday 6 AM
-cron.schedule('0 6 * * 0', async () => {
-    console.log('⏰ Starting weekly Vancouver business licence scrape...');
-    try { await vancouverBizLicScraper.scrape(dbClient); } catch (error) { console.error('❌ Vancouver biz lic failed:', error.message); }
-});
-
-// 🏙️ TORONTO BIZ LICENCES — Weekly Sunday 7 AM
-cron.schedule('0 7 * * 0', async () => {
-    console.log('⏰ Starting weekly Toronto business licence scrape...');
-    try { await torontoBizLicScraper.scrape(dbClient); } catch (error) { console.error('❌ Toronto biz lic failed:', error.message); }
-});
-
-// 🏙️ CALGARY BIZ LICENCES — Weekly Sunday 8 AM
-cron.schedule('0 8 * * 0', async () => {
-    console.log('⏰ Starting weekly Calgary business licence scrape...');
-    try { await calgaryBizLicScraper.scrape(dbClient); } catch (error) { console.error('❌ Calgary biz lic failed:', error.message); }
-});
-
-// 🏙️ EDMONTON BIZ LICENCES — Weekly Sunday 9 AM
-cron.schedule('0 9 * * 0', async () => {
-    console.log('⏰ Starting weekly Edmonton business licence scrape...');
-    try { await edmontonBizLicScraper.scrape(dbClient); } catch (error) { console.error('❌ Edmonton biz lic failed:', error.message); }
-});
-
-// 📊 BUSINESS PRIORITY SCORING — Daily at 3 AM
-cron.schedule('0 3 * * *', async () => {
-    console.log('⏰ Starting daily business priority scoring...');
-    try { await businessPriorityScorer.score(dbClient); } catch (error) { console.error('❌ Priority scoring failed:', error.message); }
-});
-
-// 📧 CPA EMAIL ENRICHMENT — Daily at 4 AM
-cron.schedule('0 4 * * *', async () => {
-    console.log('⏰ Starting daily CPA email enrichment...');
-    try {
-        await firmWebsiteEnricher.enrich(dbClient);
-    } catch (error) {
-        console.error('❌ Daily CPA enrichment failed:', error.message);
-    }
-});
-
-// 📧 CPA EMAIL ENRICHMENT — Second run at 12 PM
-cron.schedule('0 12 * * *', async () => {
-    console.log('⏰ Starting midday CPA email enrichment...');
-    try {
-        await firmWebsiteEnricher.enrich(dbClient);
-    } catch (error) {
-        console.error('❌ Midday CPA enrichment failed:', error.message);
-    }
-});
-
-// 🌐 YELLOWPAGES WEBSITE DISCOVERY — Daily at 1 AM + 9 PM
-cron.schedule('0 1 * * *', async () => {
-    console.log('⏰ Starting YellowPages website discovery (run 1)...');
-    try { await yellowPagesEnricher.enrich(dbClient); } catch (error) { console.error('❌ YellowPages run 1 failed:', error.message); }
-});
-cron.schedule('0 21 * * *', async () => {
-    console.log('⏰ Starting YellowPages website discovery (run 2)...');
-    try { await yellowPagesEnricher.enrich(dbClient); } catch (error) { console.error('❌ YellowPages run 2 failed:', error.message); }
-});
-
-// 📧 SME EMAIL ENRICHMENT — 4 runs/day: 2 AM, 8 AM, 2 PM, 8 PM
-cron.schedule('0 2 * * *', async () => {
-    console.log('⏰ Starting SME email enrichment (run 1/4)...');
-    try { await smeEmailEnricher.enrich(dbClient); } catch (error) { console.error('❌ SME enrichment run 1 failed:', error.message); }
-});
-cron.schedule('0 8 * * *', async () => {
-    console.log('⏰ Starting SME email enrichment (run 2/4)...');
-    try { await smeEmailEnricher.enrich(dbClient); } catch (error) { console.error('❌ SME enrichment run 2 failed:', error.message); }
-});
-cron.schedule('0 14 * * *', async () => {
-    console.log('⏰ Starting SME email enrichment (run 3/4)...');
-    try { await smeEmailEnricher.enrich(dbClient); } catch (error) { console.error('❌ SME enrichment run 3 failed:', error.message); }
-});
-cron.schedule('0 20 * * *', async () => {
-    console.log('⏰ Starting SME email enrichment (run 4/4)...');
-    try { await smeEmailEnricher.enrich(dbClient); } catch (error) { console.error('❌ SME enrichment run 4 failed:', error.message); }
-});
-
-// 🌐 411.CA WEBSITE DISCOVERY — Daily at 3 AM + 11 PM (after 411 slot doesn't collide with priority scoring)
-cron.schedule('30 3 * * *', async () => {
-    console.log('⏰ Starting 411.ca website discovery (run 1)...');
-    try { await directory411Enricher.enrich(dbClient); } catch (error) { console.error('❌ 411.ca run 1 failed:', error.message); }
-});
-cron.schedule('0 23 * * *', async () => {
-    console.log('⏰ Starting 411.ca website discovery (run 2)...');
-    try { await directory411Enricher.enrich(dbClient); } catch (error) { console.error('❌ 411.ca run 2 failed:', error.message); }
-});
-
-// 🏢 BBB PROFILE ENRICHMENT — Daily at 5 AM
-cron.schedule('0 5 * * *', async () => {
-    console.log('⏰ Starting BBB profile enrichment...');
-    try { await bbbProfileEnricher.enrich(dbClient); } catch (error) { console.error('❌ BBB enrichment failed:', error.message); }
-});
-
-// 🏛️ CHAMBER OF COMMERCE — Weekly Wednesday 6 PM
-cron.schedule('0 18 * * 3', async () => {
-    console.log('⏰ Starting Chamber of Commerce enrichment...');
-    try { await chamberDirectoryEnricher.enrich(dbClient); } catch (error) { console.error('❌ Chamber enrichment failed:', error.message); }
-});
-
-// 🔄 CPA ENRICHMENT RETRY — Daily at 6 AM UTC: reset attempted records for re-processing
-cron.schedule('0 6 * * *', async () => {
-    console.log('[Enrichment] Resetting CPA enrichment_attempted records for retry...');
-    try {
-        const result = await dbClient.query(
-            `UPDATE scraped_cpas SET status = 'raw', updated_at = NOW()
-             WHERE id IN (
-               SELECT id FROM scraped_cpas
-               WHERE status = 'enrichment_attempted' AND updated_at < NOW() - INTERVAL '7 days'
-               LIMIT 500
-             )`
-        );
-        console.log(`[Enrichment] Reset ${result.rowCount} CPA attempted records for retry`);
-    } catch (err) {
-        console.error('[Enrichment] CPA retry reset error:', err.message);
-    }
-});
-
-// 🔄 SME ENRICHMENT RETRY — Weekly Sunday 10 AM: reset old attempts for re-processing
-cron.schedule('0 10 * * 0', async () => {
-    console.log('[Enrichment] Resetting SME enrichment_attempted records for retry...');
-    try {
-        const result = await dbClient.query(
-            `UPDATE scraped_smes SET status = 'raw', enrichment_phase = 'pending', updated_at = NOW()
-             WHERE id IN (
-               SELECT id FROM scraped_smes
-               WHERE status = 'enrichment_attempted'
-                 AND updated_at < NOW() - INTERVAL '14 days'
-                 AND (enrichment_attempts IS NULL OR enrichment_attempts < 3)
-               LIMIT 5000
-             )`
-        );
-        console.log(`[Enrichment] Reset ${result.rowCount} SME attempted records for retry`);
-    } catch (err) {
-        console.error('[Enrichment] SME retry reset error:', err.message);
-    }
-});
-
-// 🏛️ FEDERAL GRANTS — Monthly, 1st at 5 AM UTC
-cron.schedule('0 5 1 * *', async () => {
-    console.log('⏰ Starting monthly Federal Grants load...');
-    try { await federalGrantsLoader.scrape(dbClient); } catch (e) { console.error('❌ Federal Grants cron failed:', e.message); }
-});
-
-// 🏢 ORGBOOK BC — Monthly, 2nd at 3 AM UTC
-cron.schedule('0 3 2 * *', async () => {
-    console.log('⏰ Starting monthly OrgBook BC scrape...');
-    try { await orgBookBCScraper.scrape(dbClient); } catch (e) { console.error('❌ OrgBook BC cron failed:', e.message); }
-});
-
-// 🏛️ CRA CHARITIES — Quarterly (Jan/Apr/Jul/Oct 15th)
-cron.schedule('0 4 15 1,4,7,10 *', async () => {
-    console.log('⏰ Starting quarterly CRA Charities load...');
-    try { await craCharitiesLoader.scrape(dbClient); } catch (e) { console.error('❌ CRA Charities cron failed:', e.message); }
-});
-
-// 📦 CANADIAN IMPORTERS — Monthly, 1st at 6 AM UTC
-cron.schedule('0 6 1 * *', async () => {
-    console.log('⏰ Starting monthly Canadian Importers load...');
-    try { await canadianImportersLoader.scrape(dbClient); } catch (e) { console.error('❌ Importers cron failed:', e.message); }
-});
-
-// 🏙️ OTTAWA BIZ LIC — Weekly Sunday 10 AM UTC
-cron.schedule('0 10 * * 0', async () => {
-    console.log('⏰ Starting weekly Ottawa Business Licences scrape...');
-    try { await ottawaBizLicScraper.scrape(dbClient); } catch (e) { console.error('❌ Ottawa Biz Lic cron failed:', e.message); }
-});
-
-// ™️ CIPO TRADEMARKS — Quarterly (Feb/May/Aug/Nov 1st)
-cron.schedule('0 5 1 2,5,8,11 *', async () => {
-    console.log('⏰ Starting quarterly CIPO Trademarks load...');
-    try { await cipoTrademarkLoader.scrape(dbClient); } catch (e) { console.error('❌ CIPO Trademarks cron failed:', e.message); }
-});
-
-// 🏛️ LOBBYIST REGISTRY — Quarterly (Mar/Jun/Sep/Dec 1st)
-cron.schedule('0 5 1 3,6,9,12 *', async () => {
-    console.log('⏰ Starting quarterly Lobbyist Registry load...');
-    try { await lobbyistRegistryLoader.scrape(dbClient); } catch (e) { console.error('❌ Lobbyist Registry cron failed:', e.message); }
-});
-
-// =====================================================
-// 📊 ENRICHMENT DIGEST EMAIL
-// =====================================================
-
-let lastDigestStats = null;
-
-async function sendEnrichmentDigest(dbClient) {
-    console.log('[Digest] Compiling enrichment pipeline report...');
-    const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'arthur@negotiateandwin.com';
-
-    // 1. Overall totals
-    const totals = await dbClient.query(`
-        SELECT
-            COUNT(*) AS total,
-            COUNT(CASE WHEN contact_email IS NOT NULL THEN 1 END) AS with_email,
-            COUNT(CASE WHEN website IS NOT NULL THEN 1 END) AS with_website,
-            COUNT(CASE WHEN email_verified = true THEN 1 END) AS verified_emails
-        FROM scraped_smes
-    `);
-    const t = totals.rows[0];
-
-    // 2. Phase breakdown
-    const phases = await dbClient.query(`
-        SELECT enrichment_phase, COUNT(*) AS cnt
-        FROM scraped_smes
-        GROUP BY enrichment_phase
-        ORDER BY cnt DESC
-    `);
-
-    // 3. Recent enrichment jobs (last 6 hours) — exclude per-record apollo noise
-    const recentJobs = await dbClient.query(`
-        SELECT source, status, records_found, records_inserted, records_skipped,
-               started_at, completed_at, error_message
-        FROM scrape_jobs
-        WHERE started_at >= NOW() - INTERVAL '6 hours'
-          AND source != 'apollo_enrichment'
-          AND (source ILIKE '%enrichment%' OR source ILIKE '%email%' OR source ILIKE '%website%'
-               OR source ILIKE '%yellowpages%' OR source ILIKE '%411%' OR source ILIKE '%bbb%'
-               OR source ILIKE '%chamber%')
-        ORDER BY started_at DESC
-        LIMIT 20
-    `);
-
-    // 3b. Apollo summary (daily credit usage as a single row)
-    const apolloSummary = await dbClient.query(`
-        SELECT COUNT(*) AS lookups, COALESCE(SUM(records_updated), 0) AS credits_used
-        FROM scrape_jobs
-        WHERE source = 'apollo_enrichment' AND started_at::date = CURRENT_DATE
-    `);
-    const apollo = apolloSummary.rows[0];
-    if (parseInt(apollo.lookups) > 0) {
-        recentJobs.rows.unshift({
-            source: 'apollo_enrichment (daily)',
-            status: 'completed',
-            records_found: parseInt(apollo.lookups),
-            records_inserted: parseInt(apollo.credits_used),
-            started_at: new Date()
-        });
-    }
-
-    // 4. Compute deltas
-    const currentStats = {
-        total: parseInt(t.total),
-        with_email: parseInt(t.with_email),
-        with_website: parseInt(t.with_website),
-        verified: parseInt(t.verified_emails)
-    };
-
-    let deltas = null;
-    if (lastDigestStats) {
-        deltas = {
-            total: currentStats.total - lastDigestStats.total,
-            with_email: currentStats.with_email - lastDigestStats.with_email,
-            with_website: currentStats.with_website - lastDigestStats.with_website,
-            verified: currentStats.verified - lastDigestStats.verified
-        };
-    }
-    lastDigestStats = { ...currentStats };
-
-    const coverage = currentStats.total > 0
-        ? ((currentStats.with_email / currentStats.total) * 100).toFixed(1)
-        : '0.0';
-
-    // 5. Build HTML
-    const deltaStr = (val) => {
-        if (val === null || val === undefined) return '';
-        if (val > 0) return `<span style="color:#059669;font-size:12px;"> +${val.toLocaleString()}</span>`;
-        if (val < 0) return `<span style="color:#ef4444;font-size:12px;"> ${val.toLocaleString()}</span>`;
-        return '<span style="color:#888;font-size:12px;"> +0</span>';
-    };
-
-    const now = new Date().toLocaleString('en-CA', { timeZone: 'America/Toronto' });
-
-    const phaseRows = phases.rows.map(r => `
-        <tr>
-            <td style="padding:8px 12px;border-bottom:1px solid #eee;font-family:monospace;">${r.enrichment_phase || 'null'}</td>
-            <td style="padding:8px 12px;border-bottom:1px solid #eee;text-align:right;">${parseInt(r.cnt).toLocaleString()}</td>
-        </tr>
-    `).join('');
-
-    const jobRows = recentJobs.rows.length > 0
-        ? recentJobs.rows.map(j => {
-            const statusColor = j.status === 'completed' ? '#059669' : j.status === 'failed' ? '#ef4444' : '#f59e0b';
-            const started = new Date(j.started_at).toLocaleString('en-CA', { timeZone: 'America/Toronto', hour: '2-digit', minute: '2-digit' });
-            return `
-                <tr>
-                    <td style="padding:8px 12px;border-bottom:1px solid #eee;">${j.source}</td>
-                    <td style="padding:8px 12px;border-bottom:1px solid #eee;color:${statusColor};font-weight:600;">${j.status}</td>
-                    <td style="padding:8px 12px;border-bottom:1px solid #eee;text-align:right;">${(j.records_found || 0).toLocaleString()}</td>
-                    <td style="padding:8px 12px;border-bottom:1px solid #eee;text-align:right;">${(j.records_inserted || 0).toLocaleString()}</td>
-                    <td style="padding:8px 12px;border-bottom:1px solid #eee;text-align:right;">${started}</td>
-                </tr>
-            `;
-        }).join('')
-        : '<tr><td colspan="5" style="padding:12px;text-align:center;color:#888;">No enrichment jobs in the last 6 hours</td></tr>';
-
-    const html = `
-    <div style="max-width:640px;margin:0 auto;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#1a1a1a;">
-        <div style="background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);padding:24px 32px;border-radius:8px 8px 0 0;">
-            <h1 style="margin:0;color:#fff;font-size:20px;">Enrichment Pipeline Report</h1>
-            <p style="margin:4px 0 0;color:rgba(255,255,255,0.8);font-size:13px;">${now} ET</p>
-        </div>
-
-        <div style="background:#fff;padding:24px 32px;border:1px solid #e5e7eb;">
-            <table style="width:100%;border-collapse:collapse;">
-                <tr>
-                    <td style="padding:12px;text-align:center;width:25%;">
-                        <div style="font-size:24px;font-weight:700;color:#667eea;">${currentStats.with_email.toLocaleString()}</div>
-                        <div style="font-size:12px;color:#666;margin-top:2px;">Emails Found</div>
-                        <div>${deltaStr(deltas?.with_email)}</div>
-                    </td>
-                    <td style="padding:12px;text-align:center;width:25%;">
-                        <div style="font-size:24px;font-weight:700;color:#764ba2;">${currentStats.with_website.toLocaleString()}</div>
-                        <div style="font-size:12px;color:#666;margin-top:2px;">Websites Found</div>
-                        <div>${deltaStr(deltas?.with_website)}</div>
-                    </td>
-                    <td style="padding:12px;text-align:center;width:25%;">
-                        <div style="font-size:24px;font-weight:700;color:#059669;">${currentStats.verified.toLocaleString()}</div>
-                        <div style="font-size:12px;color:#666;margin-top:2px;">Verified</div>
-                        <div>${deltaStr(deltas?.verified)}</div>
-                    </td>
-                    <td style="padding:12px;text-align:center;width:25%;">
-                        <div style="font-size:24px;font-weight:700;color:#f59e0b;">${coverage}%</div>
-                        <div style="font-size:12px;color:#666;margin-top:2px;">Coverage</div>
-                    </td>
-                </tr>
-            </table>
-            <div style="text-align:center;font-size:12px;color:#888;margin-top:4px;">Total SMEs: ${currentStats.total.toLocaleString()}${deltaStr(deltas?.total)}</div>
-        </div>
-
-        <div style="background:#fff;padding:24px 32px;border:1px solid #e5e7eb;border-top:none;">
-            <h3 style="margin:0 0 12px;font-size:14px;color:#333;">Recent Jobs (Last 6h)</h3>
-            <table style="width:100%;border-collapse:collapse;font-size:13px;">
-                <thead>
-                    <tr style="background:#f9fafb;">
-                        <th style="padding:8px 12px;text-align:left;font-weight:600;border-bottom:2px solid #e5e7eb;">Source</th>
-                        <th style="padding:8px 12px;text-align:left;font-weight:600;border-bottom:2px solid #e5e7eb;">Status</th>
-                        <th style="padding:8px 12px;text-align:right;font-weight:600;border-bottom:2px solid #e5e7eb;">Found</th>
-                        <th style="padding:8px 12px;text-align:right;font-weight:600;border-bottom:2px solid #e5e7eb;">Inserted</th>
-                        <th style="padding:8px 12px;text-align:right;font-weight:600;border-bottom:2px solid #e5e7eb;">Time</th>
-                    </tr>
-                </thead>
-                <tbody>${jobRows}</tbody>
-            </table>
-        </div>
-
-        <div style="background:#fff;padding:24px 32px;border:1px solid #e5e7eb;border-top:none;border-radius:0 0 8px 8px;">
-            <h3 style="margin:0 0 12px;font-size:14px;color:#333;">Pipeline Phase Breakdown</h3>
-            <table style="width:100%;border-collapse:collapse;font-size:13px;">
-                <thead>
-                    <tr style="background:#f9fafb;">
-                        <th style="padding:8px 12px;text-align:left;font-weight:600;border-bottom:2px solid #e5e7eb;">Phase</th>
-                        <th style="padding:8px 12px;text-align:right;font-weight:600;border-bottom:2px solid #e5e7eb;">Count</th>
-                    </tr>
-                </thead>
-                <tbody>${phaseRows}</tbody>
-            </table>
-        </div>
-
-        <p style="text-align:center;font-size:11px;color:#999;margin-top:16px;">
-            Automated report from sme-intelligence-backend &middot; Next report in 6 hours
-        </p>
-    </div>
-    `;
-
-    const result = await sendEmail({
-        to: ADMIN_EMAIL,
-        subject: `Enrichment Report — ${currentStats.with_email.toLocaleString()} emails (${coverage}% coverage) — ${now}`,
-        html
-    });
-
-    console.log(`[Digest] Report sent to ${ADMIN_EMAIL}: success=${result.success}`);
-    return result;
-}
-
-// 📊 ENRICHMENT DIGEST — Every 6 hours
-cron.schedule('0 0,6,12,18 * * *', async () => {
-    try { await sendEnrichmentDigest(dbClient); } catch (e) { console.error('[Digest] Failed:', e.message); }
-});
-
-// 🔍 DAILY APOLLO CPA PEOPLE SEARCH — 7 AM ET Mon-Fri
-// Discovers new CPAs via Apollo's LinkedIn-derived database.
-// Runs before the 9 AM send window so fresh contacts are queued and ready.
-// Updated 2026-04-14: increased from 4 to 8 pages (200 reveals/day),
-// added seniority targeting + rotation through title cohorts.
-// LAW People Search paused (stale emails) — Apollo budget redirected here.
-const axios_search = require('axios');
-
-// Rotate through title cohorts daily to avoid Apollo returning the same results.
-// Each day picks a different set of titles from the pool.
-const CPA_TITLE_COHORTS = [
-    // Mon: core CPA titles
-    ['CPA', 'Chartered Professional Accountant', 'CPA, CA', 'CPA, CGA', 'CPA, CMA'],
-    // Tue: firm leadership
-    ['Tax Partner', 'Audit Partner', 'Managing Partner CPA', 'Accounting Partner'],
-    // Wed: specialized roles
-    ['Tax Manager', 'Audit Manager', 'Controller', 'CFO'],
-    // Thu: advisory
-    ['Financial Advisor CPA', 'Business Advisory', 'Tax Director', 'Assurance Partner'],
-    // Fri: broader net
-    ['Accountant', 'Tax Specialist', 'Public Accountant', 'CPA Auditor'],
-];
-
-cron.schedule('0 7 * * 1-5', async () => {
-    const dayOfWeek = new Date().getDay(); // 1=Mon ... 5=Fri
-    const cohortIdx = Math.max(0, dayOfWeek - 1); // 0-4
-    const titles = CPA_TITLE_COHORTS[cohortIdx] || CPA_TITLE_COHORTS[0];
-    console.log(`[Apollo Search Cron] Starting daily CPA People Search (8 pages × 25, cohort=${cohortIdx}: ${titles.join(', ')})...`);
-    try {
-        const apiKey = process.env.APOLLO_API_KEY;
-        if (!apiKey) { console.log('[Apollo Search Cron] No API key, skipping'); return; }
-        let totalInserted = 0;
-        for (let page = 1; page <= 8; page++) {
-            try {
-                const searchRes = await axios_search.post('https://api.apollo.io/api/v1/mixed_people/api_search', {
-                    person_titles: titles,
-                    person_locations: ['Canada'],
-                    person_seniorities: ['owner', 'partner', 'c_suite', 'vp', 'director', 'manager'],
-                    per_page: 25,
-                    page,
-                }, { headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' }, timeout: 30000 });
-                const rawPeople = searchRes.data?.people || [];
-                for (const raw of rawPeople) {
-                    if (!raw.id) continue;
-                    try {
-                        const revealRes = await axios_search.post('https://api.apollo.io/api/v1/people/match', {
-                            id: raw.id, reveal_personal_emails: true,
-                        }, { headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' }, timeout: 10000 });
-                        const p = revealRes.data?.person || {};
-                        if (!p.email) continue;
-                        const exists = await dbClient.query(
-                            `SELECT id FROM scraped_cpas WHERE LOWER(COALESCE(enriched_email, email)) = LOWER($1)`, [p.email]
-                        );
-                        if (exists.rows.length > 0) continue;
-                        const province = _mapStateToProvince(p.state || '');
-                        const designation = _extractDesignation(p.title || '');
-                        await dbClient.query(
-                            `INSERT INTO scraped_cpas (first_name, last_name, full_name, firm_name, city, province, designation, enriched_email, enrichment_source, source, status, scraped_at)
-                             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'apollo_search', 'apollo_people_search', 'raw', NOW())`,
-                            [p.first_name || '', p.last_name || '', `${p.last_name || ''}, ${p.first_name || ''}`.trim().replace(/^,\s*/, ''),
-                             p.organization?.name || '', p.city || '', province, designation, p.email]
-                        );
-                        totalInserted++;
-                        await new Promise(r => setTimeout(r, 200));
-                    } catch (e) { /* skip individual reveal errors */ }
-                }
-            } catch (e) { console.error(`[Apollo Search Cron] Page ${page} error:`, e.message); }
-        }
-        console.log(`[Apollo Search Cron] Complete: ${totalInserted} new CPAs inserted (cohort=${cohortIdx})`);
-    } catch (e) { console.error('[Apollo Search Cron] Fatal:', e.message); }
-}, { timezone: 'America/Toronto' });
-
-console.log('[Apollo Search Cron] Scheduled: 7 AM ET Mon-Fri (CPA People Search, 200 reveals/day, 5 title cohorts)');
-
-// =====================================================
-// 🕷️ SCRAPER API ENDPOINTS
-// =====================================================
-
-// GET /api/scrape/status — recent scrape jobs
-app.get('/api/scrape/status', async (req, res) => {
-    try {
-        const { source } = req.query;
-        let result;
-        if (source) {
-            result = await dbClient.query(
-                `SELECT * FROM scrape_jobs WHERE source = $1 ORDER BY started_at DESC LIMIT 50`,
-                [source]
-            );
-            return res.json({ status: 'success', jobs: result.rows });
-        }
-        // Show latest job per source (so enrichment isn't buried by per-record apollo jobs)
-        const latestBySource = await dbClient.query(
-            `SELECT DISTINCT ON (source) * FROM scrape_jobs ORDER BY source, started_at DESC`
-        );
-        const history = await dbClient.query(
-            `SELECT * FROM scrape_jobs WHERE source != 'apollo_enrichment' ORDER BY started_at DESC LIMIT 50`
-        );
-        res.json({ status: 'success', latestBySource: latestBySource.rows, recentJobs: history.rows });
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
-    }
-});
-
-// GET /api/scrape/stats — aggregated scrape statistics
-app.get('/api/scrape/stats', async (req, res) => {
-    try {
-        const cpaTotals = await dbClient.query(`
-            SELECT source, COUNT(*) as total,
-                COUNT(CASE WHEN email IS NOT NULL OR enriched_email IS NOT NULL THEN 1 END) as with_email,
-                COUNT(CASE WHEN enriched_email IS NOT NULL THEN 1 END) as with_enriched_email,
-                COUNT(CASE WHEN COALESCE(enriched_email, email) IS NOT NULL THEN 1 END) as contactable,
-                COUNT(CASE WHEN firm_name IS NOT NULL AND firm_name != '' THEN 1 END) as with_firm,
-                MIN(scraped_at) as first_scraped, MAX(scraped_at) as last_scraped
-            FROM scraped_cpas GROUP BY source ORDER BY total DESC
-        `);
-        const total = await dbClient.query('SELECT COUNT(*) FROM scraped_cpas');
-        const smeTotals = await dbClient.query('SELECT COUNT(*) as total, COUNT(CASE WHEN contact_email IS NOT NULL THEN 1 END) as with_email FROM scraped_smes');
-        const recentJobs = await dbClient.query('SELECT * FROM scrape_jobs ORDER BY started_at DESC LIMIT 10');
-        res.json({
-            status: 'success',
-            totalScrapedCPAs: parseInt(total.rows[0].count),
-            totalScrapedSMEs: parseInt(smeTotals.rows[0].total),
-            smesWithEmail: parseInt(smeTotals.rows[0].with_email),
-            bySource: cpaTotals.rows,
-            recentJobs: recentJobs.rows,
-        });
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
-    }
-});
-
-// POST /api/scrape/rescrape/:source — clear existing data and re-scrape (admin only)
-app.post('/api/scrape/rescrape/:source', async (req, res) => {
-    const { source } = req.params;
-    const cpaSources = ['cpabc', 'cpamb', 'cpask', 'cpans', 'cpanb', 'cpapei', 'cpanl', 'cpaalberta'];
-    if (!cpaSources.includes(source) && source !== 'all_cpas') {
-        return res.status(400).json({ error: `Invalid source for rescrape. Valid: ${cpaSources.join(', ')}, all_cpas` });
-    }
-
-    try {
-        // Clear existing data for this source
-        const sources = source === 'all_cpas' ? cpaSources : [source];
-        let totalDeleted = 0;
-        for (const s of sources) {
-            const del = await dbClient.query('DELETE FROM scraped_cpas WHERE source = $1', [s]);
-            totalDeleted += del.rowCount;
-            console.log(`[Rescrape] Deleted ${del.rowCount} records for source ${s}`);
-        }
-
-        res.json({ status: 'started', source, deleted: totalDeleted, message: `Cleared ${totalDeleted} records, re-scrape started in background` });
-
-        // Trigger scrape in background
-        if (source === 'all_cpas') {
-            await cpaScraperOrchestrator.runAll(dbClient);
-        } else {
-            await cpaScraperOrchestrator.runSingle(source, dbClient);
-        }
-    } catch (error) {
-        console.error(`Rescrape error for ${source}:`, error.message);
-        if (!res.headersSent) res.status(500).json({ error: error.message });
-    }
-});
-
-// POST /api/scrape/trigger/:source — manually trigger a scrape (admin only)
-// Apollo People Search — discover NEW CPAs not in the scraped pool by searching
-// Apollo's LinkedIn-derived database. Different from People Match (enriches one
-// known person) — this FINDS new people matching criteria like title/location.
-// Built 2026-04-13 to refill ACC C1's empty queue after directory scrapes
-// hit diminishing returns (~246 new CPAs/week vs 150/day send rate).
-app.post('/api/admin/apollo-people-search', async (req, res) => {
-  try {
-    const apiKey = process.env.APOLLO_API_KEY;
-    if (!apiKey) return res.status(500).json({ error: 'APOLLO_API_KEY not configured' });
-
-    const {
-      person_titles = ['CPA', 'Chartered Professional Accountant'],
-      person_locations = ['Canada'],
-      per_page = 25,
-      page = 1,
-      organization_locations = [],
-      person_seniorities = [],
-      dry_run = false,
-    } = req.body || {};
-
-    console.log(`[Apollo Search] Searching: titles=${JSON.stringify(person_titles)}, locations=${JSON.stringify(person_locations)}, page=${page}, per_page=${per_page}`);
-
-    // Call Apollo People Search API
-    const searchPayload = {
-      person_titles,
-      person_locations,
-      per_page: Math.min(per_page, 100),
-      page,
-    };
-    if (organization_locations.length > 0) searchPayload.organization_locations = organization_locations;
-    if (person_seniorities.length > 0) searchPayload.person_seniorities = person_seniorities;
-
-    const searchRes = await axios.post('https://api.apollo.io/api/v1/mixed_people/api_search', searchPayload, {
-      headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' },
-      timeout: 30000,
-    });
-
-    const rawPeople = searchRes.data?.people || [];
-    const totalAvailable = searchRes.data?.pagination?.total_entries || 0;
-
-    console.log(`[Apollo Search] Found ${rawPeople.length} results (${totalAvailable} total available)`);
-
-    // Step 2: Reveal each person to get full name + email (1 Apollo credit per reveal)
-    const people = [];
-    for (const raw of rawPeople) {
-      if (!raw.id) continue;
-      try {
-        const revealRes = await axios.post('https://api.apollo.io/api/v1/people/match', {
-          id: raw.id,
-          reveal_personal_emails: true,
-        }, {
-          headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' },
-          timeout: 10000,
-        });
-        const person = revealRes.data?.person || {};
-        people.push({
-          ...person,
-          organization: person.organization || raw.organization,
-        });
-        // Rate limit: 200ms between reveals
-        await new Promise(r => setTimeout(r, 200));
-      } catch (err) {
-        console.error(`[Apollo Search] Reveal failed for ${raw.id}:`, err.message);
-      }
-    }
-    console.log(`[Apollo Search] Revealed ${people.length} of ${rawPeople.length} results`);
-
-    if (dry_run) {
-      return res.json({
-        success: true,
-        dry_run: true,
-        results_returned: people.length,
-        total_available: totalAvailable,
-        sample: people.slice(0, 5).map(p => ({
-          name: `${p.first_name || ''} ${p.last_name || ''}`.trim(),
-          email: p.email || null,
-          title: p.title,
-          organization: p.organization?.name || p.organization_name,
-          city: p.city,
-          state: p.state,
-          country: p.country,
-        })),
-        raw_first_result: people.length > 0 ? Object.keys(people[0]).reduce((obj, k) => {
-          const v = people[0][k];
-          obj[k] = typeof v === 'object' ? JSON.stringify(v)?.substring(0, 100) : v;
-          return obj;
-        }, {}) : null,
-      });
-    }
-
-    // Deduplicate against existing scraped_cpas
-    let inserted = 0, skipped = 0, noEmail = 0;
-    for (const p of people) {
-      if (!p.email) { noEmail++; continue; }
-
-      // Check if email already exists
-      const exists = await dbClient.query(
-        `SELECT id FROM scraped_cpas WHERE LOWER(COALESCE(enriched_email, email)) = LOWER($1)`,
-        [p.email]
-      );
-      if (exists.rows.length > 0) { skipped++; continue; }
-
-      // Parse name
-      const firstName = p.first_name || '';
-      const lastName = p.last_name || '';
-      const fullName = `${lastName}, ${firstName}`.trim().replace(/^,\s*/, '');
-      const firmName = p.organization?.name || '';
-      const city = p.city || '';
-      const province = _mapStateToProvince(p.state || '');
-      const designation = _extractDesignation(p.title || '');
-
-      await dbClient.query(
-        `INSERT INTO scraped_cpas
-         (first_name, last_name, full_name, firm_name, city, province, designation, enriched_email, enrichment_source, source, status, scraped_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'apollo_search', 'apollo_people_search', 'raw', NOW())`,
-        [firstName, lastName, fullName, firmName, city, province, designation, p.email]
-      );
-      inserted++;
-    }
-
-    console.log(`[Apollo Search] Inserted ${inserted}, skipped ${skipped} (already exist), ${noEmail} no email`);
-
-    res.json({
-      success: true,
-      dry_run: false,
-      results_returned: people.length,
-      total_available: totalAvailable,
-      inserted,
-      skipped_existing: skipped,
-      no_email: noEmail,
-      page,
-      per_page: Math.min(per_page, 100),
-    });
-  } catch (err) {
-    console.error('[Apollo Search] Error:', err.response?.data || err.message);
-    res.status(500).json({ error: err.message, details: err.response?.data });
-  }
-});
-
-// Helper: map Canadian state/province names to 2-letter codes
-function _mapStateToProvince(state) {
-  const map = {
-    'ontario': 'ON', 'on': 'ON', 'quebec': 'QC', 'qc': 'QC', 'british columbia': 'BC', 'bc': 'BC',
-    'alberta': 'AB', 'ab': 'AB', 'manitoba': 'MB', 'mb': 'MB', 'saskatchewan': 'SK', 'sk': 'SK',
-    'nova scotia': 'NS', 'ns': 'NS', 'new brunswick': 'NB', 'nb': 'NB',
-    'newfoundland and labrador': 'NL', 'newfoundland': 'NL', 'nl': 'NL',
-    'prince edward island': 'PE', 'pei': 'PE', 'pe': 'PE',
-    'northwest territories': 'NT', 'nt': 'NT', 'nunavut': 'NU', 'nu': 'NU', 'yukon': 'YT', 'yt': 'YT',
-  };
-  return map[(state || '').toLowerCase()] || state || '';
-}
-
-// Helper: extract CPA designation from title string
-function _extractDesignation(title) {
-  if (/CPA,?\s*CA\b/i.test(title)) return 'CPA, CA';
-  if (/CPA,?\s*CMA\b/i.test(title)) return 'CPA, CMA';
-  if (/CPA,?\s*CGA\b/i.test(title)) return 'CPA, CGA';
-  if (/CPA,?\s*CF\b/i.test(title)) return 'CPA, CF';
-  if (/\bCPA\b/i.test(title)) return 'CPA';
-  if (/\bCA\b/i.test(title)) return 'CA';
-  return '';
-}
-
-app.post('/api/scrape/trigger/:source', async (req, res) => {
-    const { source } = req.params;
-    const validSources = ['cpabc', 'cpaquebec', 'cpaontario', 'cpaalberta', 'cpamb', 'cpask', 'cpans', 'cpanb', 'cpapei', 'cpanl',
-        'corporations_canada', 'statcan_odbus', 'email_enrichment', 'sme_email_enrichment', 'all_cpas',
-        'vancouver_biz_lic', 'calgary_biz_lic', 'toronto_biz_lic', 'edmonton_biz_lic', 'priority_scoring', 'all_municipal',
-        'yellowpages_website', '411ca_website', 'bbb_enrichment', 'chamber_enrichment', 'enrichment_digest',
-        'federal_grants', 'orgbook_bc', 'cra_charities', 'importers_canada', 'ottawa_biz_lic', 'cipo_trademarks', 'lobbyist_registry'];
-
-    if (!validSources.includes(source)) {
-        return res.status(400).json({ error: `Invalid source. Valid: ${validSources.join(', ')}` });
-    }
-
-    // Start scrape in background
-    res.json({ status: 'started', source, message: `Scrape for ${source} started in background` });
-
-    try {
-        if (source === 'all_cpas') {
-            await cpaScraperOrchestrator.runAll(dbClient);
-        } else if (source === 'corporations_canada') {
-            await corporationsCanadaAPI.scrape(dbClient);
-        } else if (source === 'statcan_odbus') {
-            await statCanODBusLoader.load(dbClient);
-        } else if (source === 'email_enrichment') {
-            await firmWebsiteEnricher.enrich(dbClient);
-        } else if (source === 'sme_email_enrichment') {
-            await smeEmailEnricher.enrich(dbClient);
-        } else if (source === 'vancouver_biz_lic') {
-            await vancouverBizLicScraper.scrape(dbClient);
-        } else if (source === 'calgary_biz_lic') {
-            await calgaryBizLicScraper.scrape(dbClient);
-        } else if (source === 'toronto_biz_lic') {
-            await torontoBizLicScraper.scrape(dbClient);
-        } else if (source === 'edmonton_biz_lic') {
-            await edmontonBizLicScraper.scrape(dbClient);
-        } else if (source === 'all_municipal') {
-            await vancouverBizLicScraper.scrape(dbClient);
-            await torontoBizLicScraper.scrape(dbClient);
-            await calgaryBizLicScraper.scrape(dbClient);
-            await edmontonBizLicScraper.scrape(dbClient);
-        } else if (source === 'priority_scoring') {
-            await businessPriorityScorer.score(dbClient);
-        } else if (source === 'yellowpages_website') {
-            await yellowPagesEnricher.enrich(dbClient);
-        } else if (source === '411ca_website') {
-            await directory411Enricher.enrich(dbClient);
-        } else if (source === 'bbb_enrichment') {
-            await bbbProfileEnricher.enrich(dbClient);
-        } else if (source === 'chamber_enrichment') {
-            await chamberDirectoryEnricher.enrich(dbClient);
-        } else if (source === 'enrichment_digest') {
-            await sendEnrichmentDigest(dbClient);
-        } else if (source === 'federal_grants') {
-            await federalGrantsLoader.scrape(dbClient);
-        } else if (source === 'orgbook_bc') {
-            await orgBookBCScraper.scrape(dbClient);
-        } else if (source === 'cra_charities') {
-            await craCharitiesLoader.scrape(dbClient);
-        } else if (source === 'importers_canada') {
-            await canadianImportersLoader.scrape(dbClient);
-        } else if (source === 'ottawa_biz_lic') {
-            await ottawaBizLicScraper.scrape(dbClient);
-        } else if (source === 'cipo_trademarks') {
-            await cipoTrademarkLoader.scrape(dbClient);
-        } else if (source === 'lobbyist_registry') {
-            await lobbyistRegistryLoader.scrape(dbClient);
-        } else {
-            await cpaScraperOrchestrator.runSingle(source, dbClient);
-        }
-    } catch (error) {
-        console.error(`Scrape trigger error for ${source}:`, error.message);
-    }
-});
-
-// GET /api/scraped-cpas — browse scraped CPAs
-app.get('/api/scraped-cpas', async (req, res) => {
-    try {
-        const { province, city, source, status, page = 1, limit = 50 } = req.query;
-        const offset = (Math.max(1, parseInt(page)) - 1) * Math.min(100, parseInt(limit) || 50);
-        const params = [];
-        const conditions = [];
-        let paramIdx = 1;
-
-        if (province) { conditions.push(`province = $${paramIdx++}`); params.push(province); }
-        if (city) { conditions.push(`city ILIKE $${paramIdx++}`); params.push(`%${city}%`); }
-        if (source) { conditions.push(`source = $${paramIdx++}`); params.push(source); }
-        if (status) { conditions.push(`status = $${paramIdx++}`); params.push(status); }
-
-        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-        const lim = Math.min(100, parseInt(limit) || 50);
-        params.push(lim, offset);
-
-        const result = await dbClient.query(
-            `SELECT * FROM scraped_cpas ${where} ORDER BY scraped_at DESC LIMIT $${paramIdx++} OFFSET $${paramIdx}`,
-            params
-        );
-
-        const countResult = await dbClient.query(
-            `SELECT COUNT(*) FROM scraped_cpas ${where}`,
-            params.slice(0, -2)
-        );
-
-        res.json({
-            status: 'success',
-            cpas: result.rows,
-            total: parseInt(countResult.rows[0].count),
-            page: parseInt(page),
-            limit: lim,
-        });
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
-    }
-});
-
-// GET /api/scraped-cpas/stats — aggregated stats
-app.get('/api/scraped-cpas/stats', async (req, res) => {
-    try {
-        const result = await dbClient.query(`
-            SELECT
-                COUNT(*) AS total,
-                COUNT(CASE WHEN email IS NOT NULL OR enriched_email IS NOT NULL THEN 1 END) AS with_email,
-                COUNT(CASE WHEN status = 'enriched' THEN 1 END) AS enriched,
-                COUNT(CASE WHEN status = 'contacted' THEN 1 END) AS contacted,
-                COUNT(CASE WHEN status = 'converted' THEN 1 END) AS converted
-            FROM scraped_cpas
-        `);
-        const byProvince = await dbClient.query(`
-            SELECT province, COUNT(*) AS count FROM scraped_cpas GROUP BY province ORDER BY count DESC
-        `);
-        const bySource = await dbClient.query(`
-            SELECT source, COUNT(*) AS count FROM scraped_cpas GROUP BY source ORDER BY count DESC
-        `);
-
-        res.json({ status: 'success', totals: result.rows[0], byProvince: byProvince.rows, bySource: bySource.rows });
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
-    }
-});
-
-// GET /api/scraped-cpas/match — return quality CPAs for client matching
-app.get('/api/scraped-cpas/match', async (req, res) => {
-    try {
-        const { province, city, specialization, limit = 50 } = req.query;
-        const params = [];
-        const conditions = [
-            "full_name IS NOT NULL",
-            "full_name != ''"
-        ];
-        let paramIdx = 1;
-
-        if (province) { conditions.push(`province ILIKE $${paramIdx++}`); params.push(`%${province}%`); }
-        if (city) { conditions.push(`city ILIKE $${paramIdx++}`); params.push(`%${city}%`); }
-        if (specialization) { conditions.push(`designation ILIKE $${paramIdx++}`); params.push(`%${specialization}%`); }
-
-        const where = `WHERE ${conditions.join(' AND ')}`;
-        const lim = Math.min(100, parseInt(limit) || 50);
-        params.push(lim);
-
-        const result = await dbClient.query(
-            `SELECT id, first_name, last_name, full_name, designation, province, city,
-                    firm_name, COALESCE(enriched_email, email) as email, source
-             FROM scraped_cpas ${where}
-             ORDER BY
-               CASE WHEN firm_name IS NOT NULL AND firm_name != '' THEN 0 ELSE 1 END,
-               CASE WHEN COALESCE(enriched_email, email) IS NOT NULL THEN 0 ELSE 1 END,
-               RANDOM()
-             LIMIT $${paramIdx}`,
-            params
-        );
-
-        res.json({ status: 'success', cpas: result.rows, total: result.rows.length });
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
-    }
-});
-
-// GET /api/scraped-smes — browse scraped SMEs
-app.get('/api/scraped-smes', async (req, res) => {
-    try {
-        const { province, naics, industry, page = 1, limit = 50 } = req.query;
-        const offset = (Math.max(1, parseInt(page)) - 1) * Math.min(100, parseInt(limit) || 50);
-        const params = [];
-        const conditions = [];
-        let paramIdx = 1;
-
-        if (province) { conditions.push(`province = $${paramIdx++}`); params.push(province); }
-        if (naics) { conditions.push(`naics_code = $${paramIdx++}`); params.push(naics); }
-        if (industry) { conditions.push(`industry ILIKE $${paramIdx++}`); params.push(`%${industry}%`); }
-
-        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-        const lim = Math.min(100, parseInt(limit) || 50);
-        params.push(lim, offset);
-
-        const result = await dbClient.query(
-            `SELECT * FROM scraped_smes ${where} ORDER BY scraped_at DESC LIMIT $${paramIdx++} OFFSET $${paramIdx}`,
-            params
-        );
-
-        const countResult = await dbClient.query(
-            `SELECT COUNT(*) FROM scraped_smes ${where}`,
-            params.slice(0, -2)
-        );
-
-        res.json({
-            status: 'success',
-            smes: result.rows,
-            total: parseInt(countResult.rows[0].count),
-            page: parseInt(page),
-            limit: lim,
-        });
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
-    }
-});
-
-// GET /api/scraped-smes/stats — aggregated stats
-app.get('/api/scraped-smes/stats', async (req, res) => {
-    try {
-        const result = await dbClient.query(`
-            SELECT
-                COUNT(*) AS total,
-                COUNT(CASE WHEN contact_email IS NOT NULL THEN 1 END) AS with_email,
-                COUNT(CASE WHEN website IS NOT NULL THEN 1 END) AS with_website,
-                COUNT(CASE WHEN email_verified = true THEN 1 END) AS verified_emails,
-                COUNT(CASE WHEN status = 'contacted' THEN 1 END) AS contacted,
-                COUNT(CASE WHEN status = 'converted' THEN 1 END) AS converted,
-                COUNT(CASE WHEN status = 'enrichment_attempted' THEN 1 END) AS enrichment_attempted,
-                COUNT(CASE WHEN status = 'enriched' THEN 1 END) AS enriched
-            FROM scraped_smes
-        `);
-        const byProvince = await dbClient.query(`
-            SELECT province, COUNT(*) AS count FROM scraped_smes GROUP BY province ORDER BY count DESC
-        `);
-        const byIndustry = await dbClient.query(`
-            SELECT industry, COUNT(*) AS count FROM scraped_smes WHERE industry IS NOT NULL GROUP BY industry ORDER BY count DESC LIMIT 20
-        `);
-        const byEnrichmentPhase = await dbClient.query(`
-            SELECT enrichment_phase, COUNT(*) AS count FROM scraped_smes GROUP BY enrichment_phase ORDER BY count DESC
-        `);
-        const byWebsiteSource = await dbClient.query(`
-            SELECT website_source, COUNT(*) AS count FROM scraped_smes WHERE website_source IS NOT NULL GROUP BY website_source ORDER BY count DESC
-        `);
-        const byVerificationMethod = await dbClient.query(`
-            SELECT email_verification_method, COUNT(*) AS count FROM scraped_smes WHERE email_verification_method IS NOT NULL GROUP BY email_verification_method ORDER BY count DESC
-        `);
-
-        res.json({
-            status: 'success',
-            totals: result.rows[0],
-            byProvince: byProvince.rows,
-            byIndustry: byIndustry.rows,
-            enrichmentPipeline: {
-                byPhase: byEnrichmentPhase.rows,
-                byWebsiteSource: byWebsiteSource.rows,
-                byVerificationMethod: byVerificationMethod.rows,
-            }
-        });
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
-    }
-});
-
-// =====================================================
-// 🔗 INTERNAL PROSPECTS API (for lawyer + investing backends)
-// =====================================================
-app.get('/api/internal/prospects', async (req, res) => {
-    // Authenticate with shared secret
-    const authHeader = req.headers.authorization || '';
-    const expectedSecret = process.env.INTERNAL_API_SECRET;
-    if (!expectedSecret || authHeader !== `Bearer ${expectedSecret}`) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    try {
-        const { platform, min_score = 40, province, status = 'ready', limit = 500, offset = 0 } = req.query;
-
-        if (!platform || !['accountants', 'lawyers', 'investing'].includes(platform)) {
-            return res.status(400).json({ error: 'Invalid platform. Must be: accountants, lawyers, or investing' });
-        }
-
-        const scoreCol = `score_${platform}`;
-        const queueCol = `queue_status_${platform}`;
-        const conditions = [`${queueCol} = $1`, `${scoreCol} >= $2`];
-        const params = [status, parseInt(min_score)];
-        let paramIdx = 3;
-
-        if (province) {
-            const provinces = province.split(',').map(p => p.trim().toUpperCase());
-            conditions.push(`province = ANY($${paramIdx++})`);
-            params.push(provinces);
-        }
-
-        const lim = Math.min(500, parseInt(limit) || 500);
-        const off = parseInt(offset) || 0;
-
-        const where = conditions.join(' AND ');
-        const result = await dbClient.query(
-            `SELECT id, source, business_name, corporate_number, naics_code, industry, province, city,
-              business_status, employee_count, incorporation_date, years_in_business, business_type,
-              full_address, postal_code, contact_email, website, contact_phone, contact_name,
-              directors, data_sources, ${scoreCol} as score,
-              score_accountants, score_lawyers, score_investing
-            FROM scraped_smes WHERE ${where}
-            ORDER BY ${scoreCol} DESC NULLS LAST
-            LIMIT $${paramIdx++} OFFSET $${paramIdx}`,
-            [...params, lim, off]
-        );
-
-        const countResult = await dbClient.query(
-            `SELECT COUNT(*) FROM scraped_smes WHERE ${where}`,
-            params
-        );
-
-        // Mark pulled records as queued
-        if (result.rows.length > 0) {
-            const ids = result.rows.map(r => r.id);
-            await dbClient.query(
-                `UPDATE scraped_smes SET ${queueCol} = 'queued', updated_at = NOW() WHERE id = ANY($1)`,
-                [ids]
-            );
-        }
-
-        res.json({
-            success: true,
-            prospects: result.rows,
-            total: parseInt(countResult.rows[0].count),
-            hasMore: off + result.rows.length < parseInt(countResult.rows[0].count),
-        });
-    } catch (error) {
-        console.error('Internal prospects API error:', error.message);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Health check endpoint
-app.get('/health', async (req, res) => {
-    const start = Date.now();
-    let dbStatus = 'disconnected';
-    let redisStatus = 'disconnected';
-    try {
-        await dbClient.query('SELECT 1');
-        dbStatus = 'connected';
-    } catch (e) {
-        dbStatus = 'error: ' + e.message;
-    }
-    try {
-        if (redisClient.isOpen) {
-            await redisClient.ping();
-            redisStatus = 'connected';
-        }
-    } catch (e) {
-        redisStatus = 'error: ' + e.message;
-    }
-    const ok = dbStatus === 'connected';
-    res.status(ok ? 200 : 503).json({
-        status: ok ? 'OK' : 'DEGRADED',
-        message: 'SME Intelligence Backend',
-        timestamp: new Date().toISOString(),
-        uptime_seconds: Math.floor(process.uptime()),
-        response_ms: Date.now() - start,
-        services: { database: dbStatus, redis: redisStatus }
-    });
-});
-
-// Root endpoint - Welcome message
-app.get('/', (req, res) => {
-    res.json({
-        message: "🇨🇦 Canadian SME Intelligence API",
-        status: "operational",
-        version: "1.0.0",
-        endpoints: [
-            "GET /health",
-            "GET /api/market-intelligence",
-            "POST /api/sme-submission",
-            "GET /api/analytics",
-            "POST /api/stripe/create-checkout-session",
-            "GET /api/stripe/subscription-status",
-            "POST /api/stripe/create-portal-session",
-            "POST /api/stripe/webhook"
-        ],
-        timestamp: new Date().toISOString()
-    });
-});
-
-// Debug endpoint to check database data
-app.get('/api/debug/check-data', async (req, res) => {
-    try {
-        const marketCount = await dbClient.query('SELECT COUNT(*) FROM market_data');
-        const smeCount = await dbClient.query('SELECT COUNT(*) FROM sme_submissions');
-        const cpaCount = await dbClient.query('SELECT COUNT(*) FROM cpa_performance');
-        
-        const sampleMarket = await dbClient.query('SELECT * FROM market_data LIMIT 3');
-        
-        res.json({
-            status: 'success',
-            counts: {
-                market_data: marketCount.rows[0].count,
-                sme_submissions: smeCount.rows[0].count,
-                cpa_performance: cpaCount.rows[0].count
-            },
-            sample_data: sampleMarket.rows,
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+const INLINE_WORKER = process.env.INLINE_WORKER !== 'false';
 
 // 🚀 START SERVER
 async function startServer() {
+    const webPool = createDbPool('web');
+    const batchPool = createDbPool('batch');
+    const redisClient = createRedisClient();
+
     // Initialize database (non-fatal if it fails)
-    await initializeDatabase();
+    await initializeDatabase(webPool);
 
     // Connect to Redis (non-fatal if it fails)
     try {
@@ -8559,6 +28,9 @@ async function startServer() {
         console.error('⚠️ Redis connection failed (non-fatal):', error.message);
     }
 
+    const app = createApp({ db: webPool, batchDb: batchPool, redis: redisClient });
+    const ctx = app.locals.ctx;
+
     // Start HTTP server FIRST so healthchecks pass
     app.listen(PORT, () => {
         console.log(`🚀 Real-Time SME Intelligence Server running on port ${PORT}`);
@@ -8569,53 +41,43 @@ async function startServer() {
         console.log(`   GET  /api/analytics`);
     });
 
-    // Clean up stale running jobs from previous container (orphaned by restart/deploy)
-    try {
-        const staleResult = await dbClient.query(
-            `UPDATE scrape_jobs SET status = 'failed', error_message = 'Stale: container restart', completed_at = NOW()
-             WHERE status = 'running' AND started_at < NOW() - INTERVAL '4 hours'`
-        );
-        if (staleResult.rowCount > 0) {
-            console.log(`🧹 Cleaned up ${staleResult.rowCount} stale running job(s) from previous container`);
-        }
-    } catch (err) {
-        console.error('⚠️ Stale job cleanup failed (non-fatal):', err.message);
+    // Jobs and the scheduler registry wait for the schema too; the gate rechecks until `npm run migrate` has run
+    await ctx.schemaGate.check();
+    if (!ctx.schemaGate.open) {
+        console.error('🚧 Database schema is not current — serving 503 until it is:', JSON.stringify(ctx.schemaGate.describe()));
     }
-
-    // Run initial data collection in background (non-blocking, non-fatal)
-    setTimeout(async () => {
-        try {
-            console.log('🔄 Running initial data collection...');
-            await dataOrchestrator.collectAllData();
-            console.log('✅ Initial data collection completed');
-        } catch (error) {
-            console.error('⚠️ Initial data collection failed (non-fatal):', error.message);
+    let worker = null;
+    ctx.schemaGate.whenOpen().then(async () => {
+        if (INLINE_WORKER) {
+            worker = await startWorker(ctx);
+            return;
         }
-    }, 5000);
-
-    // Schedule data collection every 24 hours
-    setInterval(async () => {
-        console.log('🔄 Running scheduled 24-hour data collection...');
+        // The admin API still needs the registry to run / pause / reschedule entries
         try {
-            await dataOrchestrator.collectAllData();
-            console.log('✅ Scheduled data collection completed successfully');
-        } catch (error) {
-            console.error('❌ Scheduled data collection failed:', error.message);
+            await ctx.scheduler.load();
+        } catch (err) {
+            console.error('⚠️ Scheduler registry load failed:', err.message);
         }
-    }, 24 * 60 * 60 * 1000);
+        console.log('ℹ️ INLINE_WORKER=false — jobs and schedules run in the worker process');
+    }).catch((err) => {
+        console.error('❌ Worker startup failed:', err.message);
+    });
 
-    console.log('✅ 24-hour data collection scheduler activated');
+    // Graceful shutdown
+    process.on('SIGTERM', async () => {
+        console.log('🛑 SIGTERM received, shutting down gracefully...');
+        if (worker) await worker.stop();
+        try { await Promise.all([webPool.end(), batchPool.end()]); } catch (e) { /* ignore */ }
+        try { await redisClient.quit(); } catch (e) { /* ignore */ }
+        process.exit(0);
+    });
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-    console.log('🛑 SIGTERM received, shutting down gracefully...');
-    try { await dbClient.end(); } catch (e) { /* ignore */ }
-    try { await redisClient.quit(); } catch (e) { /* ignore */ }
-    process.exit(0);
-});
+module.exports = { startServer };
 
-startServer().catch((error) => {
-    console.error('❌ Server startup failed:', error);
-    process.exit(1);
-});
+if (require.main === module) {
+    startServer().catch((error) => {
+        console.error('❌ Server startup failed:', error);
+        process.exit(1);
+    });
+}
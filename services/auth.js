@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+
+// =====================================================
+// 🔐 AUTH — API keys, session tokens, roles and the audit log
+// =====================================================
+// Callers present a token as `Authorization: Bearer <token>` (or X-API-Key):
+//   smek_…  long-lived API key (scripts, partner backends, the ops dashboard),
+//           created by an admin or `node scripts/auth.js create-key`
+//   smes_…  session token with an expiry, issued for an API key
+//           (POST /api/auth/sessions) or by a sign-in flow for CPAs / clients
+// INTERNAL_API_SECRET is still accepted as a partner_backend credential so the
+// prospects feed keeps working while partners move to API keys.
+//
+// Only SHA-256 hashes are stored. middleware() resolves the token to
+// req.principal on every request; require(roles) guards a route, and with
+// { audit: 'action' } records who called it and with what in audit_log.
+
+const ROLES = ['admin', 'operator', 'cpa', 'client', 'partner_backend'];
+// A role also satisfies the roles listed here
+const ROLE_IMPLIES = {
+  admin: ['operator', 'partner_backend'],
+};
+const TOKEN_PREFIX = { apiKey: 'smek_', session: 'smes_' };
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_HOURS || '12', 10) * 60 * 60 * 1000;
+// last_used_at / last_seen_at are bumped at most this often per token
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const REDACTED_FIELD = /pass(word)?|secret|token|api_?key/i;
+const AUDIT_DETAILS_MAX_CHARS = 4000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken(prefix) {
+  return prefix + crypto.randomBytes(24).toString('base64url');
+}
+
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim() || null;
+  return req.headers['x-api-key'] || null;
+}
+
+function roleSatisfies(role, required) {
+  return role === required || (ROLE_IMPLIES[role] || []).includes(required);
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Shallow copy of a request body with credential-looking fields blanked
+function redact(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return body || null;
+  const out = {};
+  for (const [k, v] of Object.entries(body)) out[k] = REDACTED_FIELD.test(k) ? '[redacted]' : v;
+  return out;
+}
+
+class AuthService {
+  constructor(db, { clock }) {
+    this.db = db;
+    this.clock = clock;
+  }
+
+  // ---------- API keys ----------
+
+  /**
+   * Returns { key, apiKey } — key is the plaintext token, shown only this once.
+   */
+  async createApiKey({ name, role, subject = null, createdBy = null, expiresAt = null }) {
+    if (!name) throw new Error('name is required');
+    if (!ROLES.includes(role)) throw new Error(`Invalid role. Valid: ${ROLES.join(', ')}`);
+    const key = generateToken(TOKEN_PREFIX.apiKey);
+    const r = await this.db.query(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, role, subject, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, name, key_prefix, role, subject, created_by, created_at, expires_at`,
+      [name, key.slice(0, 12), hashToken(key), role, subject, createdBy, expiresAt]
+    );
+    return { key, apiKey: r.rows[0] };
+  }
+
+  async listApiKeys() {
+    const r = await this.db.query(
+      `SELECT id, name, key_prefix, role, subject, created_by, created_at, expires_at, last_used_at, revoked_at
+       FROM api_keys ORDER BY id`
+    );
+    return r.rows;
+  }
+
+  // Revoking a key also ends every session issued for it
+  async revokeApiKey(id) {
+    const r = await this.db.query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, $2) WHERE id = $1
+       RETURNING id, name, key_prefix, role, subject, revoked_at`,
+      [id, this.clock.now()]
+    );
+    if (r.rows.length === 0) return null;
+    await this.db.query(
+      'UPDATE auth_sessions SET revoked_at = $2 WHERE api_key_id = $1 AND revoked_at IS NULL',
+      [id, this.clock.now()]
+    );
+    return r.rows[0];
+  }
+
+  // ---------- Sessions ----------
+
+  /**
+   * Returns { token, session }. label is what the audit log shows (key name, email).
+   */
+  async createSession({ role, subject = null, label = null, apiKeyId = null, ttlMs = SESSION_TTL_MS }) {
+    if (!ROLES.includes(role)) throw new Error(`Invalid role. Valid: ${ROLES.join(', ')}`);
+    const token = generateToken(TOKEN_PREFIX.session);
+    const expiresAt = new Date(this.clock.now().getTime() + ttlMs);
+    const r = await this.db.query(
+      `INSERT INTO auth_sessions (token_hash, role, subject, label, api_key_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, role, subject, label, created_at, expires_at`,
+      [hashToken(token), role, subject, label, apiKeyId, expiresAt]
+    );
+    return { token, session: r.rows[0] };
+  }
+
+  async revokeSession(id) {
+    await this.db.query(
+      'UPDATE auth_sessions SET revoked_at = COALESCE(revoked_at, $2) WHERE id = $1',
+      [id, this.clock.now()]
+    );
+  }
+
+  // Sign a subject out everywhere (e.g. a CPA account that was deactivated)
+  async revokeSubjectSessions(role, subject) {
+    const r = await this.db.query(
+      'UPDATE auth_sessions SET revoked_at = $3 WHERE role = $1 AND subject = $2 AND revoked_at IS NULL',
+      [role, subject, this.clock.now()]
+    );
+    return r.rowCount;
+  }
+
+  // ---------- Resolving a token ----------
+
+  /**
+   * Principal for a presented token, or null when it is unknown, expired or revoked:
+   * { type, id, role, subject, name, actor }. actor ("api_key:ops-dashboard") is
+   * what the audit log and job requested_by record.
+   */
+  async authenticate(token) {
+    if (!token) return null;
+    const now = this.clock.now();
+
+    const secret = process.env.INTERNAL_API_SECRET;
+    if (secret && safeEqual(token, secret)) {
+      return { type: 'shared_secret', id: null, role: 'partner_backend', subject: null, name: 'INTERNAL_API_SECRET', actor: 'shared_secret:INTERNAL_API_SECRET' };
+    }
+
+    if (token.startsWith(TOKEN_PREFIX.apiKey)) {
+      const r = await this.db.query(
+        `SELECT id, name, role, subject, last_used_at FROM api_keys
+         WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > $2)`,
+        [hashToken(token), now]
+      );
+      const key = r.rows[0];
+      if (!key) return null;
+      this._touch('api_keys', 'last_used_at', key.id, key.last_used_at, now);
+      return { type: 'api_key', id: key.id, role: key.role, subject: key.subject, name: key.name, actor: `api_key:${key.name}` };
+    }
+
+    if (token.startsWith(TOKEN_PREFIX.session)) {
+      const r = await this.db.query(
+        `SELECT s.id, s.role, s.subject, s.label, s.api_key_id, s.last_seen_at FROM auth_sessions s
+         LEFT JOIN api_keys k ON k.id = s.api_key_id
+         WHERE s.token_hash = $1 AND s.revoked_at IS NULL AND s.expires_at > $2 AND k.revoked_at IS NULL`,
+        [hashToken(token), now]
+      );
+      const session = r.rows[0];
+      if (!session) return null;
+      this._touch('auth_sessions', 'last_seen_at', session.id, session.last_seen_at, now);
+      const name = session.label || session.subject || `#${session.id}`;
+      return { type: 'session', id: session.id, role: session.role, subject: session.subject, name, apiKeyId: session.api_key_id, actor: `session:${name}` };
+    }
+    return null;
+  }
+
+  // Fire-and-forget usage timestamp, throttled so a busy key isn't an UPDATE per request
+  _touch(table, column, id, last, now) {
+    if (last && now - new Date(last) < TOUCH_INTERVAL_MS) return;
+    this.db.query(`UPDATE ${table} SET ${column} = $2 WHERE id = $1`, [id, now]).catch((err) => {
+      console.error(`⚠️ [Auth] Could not update ${table}.${column}:`, err.message);
+    });
+  }
+
+  // ---------- Middleware ----------
+
+  /**
+   * Sets req.principal (or null) for every request. A bad token is not
+   * rejected here — public routes ignore it — but require() reports it.
+   */
+  middleware() {
+    return async (req, res, next) => {
+      req.principal = null;
+      const token = tokenFromRequest(req);
+      if (!token) return next();
+      try {
+        req.principal = await this.authenticate(token);
+        if (!req.principal) req.authError = 'Invalid, expired or revoked token';
+      } catch (err) {
+        req.authError = `Authentication failed: ${err.message}`;
+      }
+      next();
+    };
+  }
+
+  /**
+   * Route guard: roles is one role or a list (admin implies operator and partner_backend).
+   * { audit: 'scrape.trigger' } records the call, and any 403, in audit_log.
+   */
+  require(roles, { audit = null } = {}) {
+    const required = Array.isArray(roles) ? roles : [roles];
+    return (req, res, next) => {
+      const principal = req.principal;
+      if (!principal) {
+        return res.status(401).json({ status: 'error', message: req.authError || 'Authentication required' });
+      }
+      const allowed = required.some(role => roleSatisfies(principal.role, role));
+      if (audit) {
+        res.on('finish', () => {
+          this.record(principal, audit, req, res.statusCode).catch((err) => {
+            console.error(`⚠️ [Auth] Audit write failed for ${audit}:`, err.message);
+          });
+        });
+      }
+      if (!allowed) {
+        return res.status(403).json({ status: 'error', message: `Requires role: ${required.join(' or ')}` });
+      }
+      next();
+    };
+  }
+
+  // ---------- Audit log ----------
+
+  async record(principal, action, req, statusCode) {
+    let details = { params: req.params, query: req.query, body: redact(req.body) };
+    if (JSON.stringify(details).length > AUDIT_DETAILS_MAX_CHARS) {
+      details = { params: req.params, query: req.query, body_keys: Object.keys(req.body || {}), truncated: true };
+    }
+    await this.db.query(
+      `INSERT INTO audit_log (actor, role, action, method, path, details, status_code, ip)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [principal.actor, principal.role, action, req.method, req.originalUrl.slice(0, 500),
+       JSON.stringify(details), statusCode, req.ip || null]
+    );
+  }
+
+  async listAudit({ actor, action, since, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (actor) { params.push(actor); conditions.push(`actor = $${params.length}`); }
+    if (action) { params.push(action); conditions.push(`action = $${params.length}`); }
+    if (since) { params.push(since); conditions.push(`created_at >= $${params.length}`); }
+    params.push(Math.min(parseInt(limit) || 100, 1000));
+    const r = await this.db.query(
+      `SELECT * FROM audit_log ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+       ORDER BY created_at DESC LIMIT $${params.length}`,
+      params
+    );
+    return r.rows;
+  }
+}
+
+module.exports = { AuthService, ROLES, hashToken, roleSatisfies, tokenFromRequest, redact };
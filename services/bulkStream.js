@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform, pipeline: pipe } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const axios = require('axios');
+const yauzl = require('yauzl');
+
+// =====================================================
+// 📦 STREAMING BULK PIPELINE
+// =====================================================
+// download → temp file → stream unzip → line / XML element tokenizer → batches.
+// Nothing ever holds a whole file or ZIP entry in memory: every stage is pulled
+// with `for await`, so a slow batched upsert pauses the unzip stream (backpressure).
+// The memory ceiling is enforced per batch; exceeding it aborts the load, which
+// leaves the checkpoint in scrape_jobs for the next run to resume from.
+
+const MEMORY_CEILING_MB = parseInt(process.env.BULK_LOAD_MEMORY_CEILING_MB) || 1024;
+const MAX_LINE_BYTES = 1024 * 1024;
+const MAX_XML_ELEMENT_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Stream a URL to a temp file; returns { file, size }. Caller removes the file via cleanupTempFile().
+ * `http` is the shared HttpClient (plain axios when omitted); bulk files are data downloads, so no robots.txt check.
+ */
+async function downloadToTempFile(url, { headers = {}, timeout = 600000, httpsAgent, prefix = 'bulk', http = axios } = {}) {
+  const file = path.join(os.tmpdir(), `${prefix}-${process.pid}-${Date.now()}${path.extname(new URL(url).pathname) || '.tmp'}`);
+  const response = await http.get(url, { responseType: 'stream', timeout, headers, httpsAgent, robots: false });
+  try {
+    await pipeline(response.data, fs.createWriteStream(file));
+  } catch (err) {
+    await cleanupTempFile(file);
+    throw err;
+  }
+  const { size } = await fs.promises.stat(file);
+  return { file, size };
+}
+
+async function cleanupTempFile(file) {
+  try { await fs.promises.unlink(file); } catch (e) { /* already gone */ }
+}
+
+/**
+ * Open a ZIP on disk and list its entries without inflating anything.
+ * Returns { entries: [{ name, size, compressedSize }], openStream(entry, onBytes), close() }.
+ */
+function openZip(file) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(file, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+      if (err) return reject(err);
+      const entries = [];
+      zipfile.on('error', reject);
+      zipfile.on('entry', (entry) => {
+        if (!/\/$/.test(entry.fileName)) {
+          entries.push({ name: entry.fileName, size: entry.uncompressedSize, compressedSize: entry.compressedSize, _entry: entry });
+        }
+        zipfile.readEntry();
+      });
+      zipfile.on('end', () => resolve({
+        entries,
+        openStream: (e, onBytes) => new Promise((res, rej) => {
+          zipfile.openReadStream(e._entry, (streamErr, stream) => {
+            if (streamErr) return rej(streamErr);
+            // pipeline() destroys the counter on inflate errors, so the consumer's for-await throws
+            res(onBytes ? pipe(stream, byteCounter(onBytes), () => {}) : stream);
+          });
+        }),
+        close: () => zipfile.close(),
+      }));
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Pass-through that reports how many bytes have flowed through it.
+ */
+function byteCounter(onBytes) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      onBytes(chunk.length);
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Async generator of text lines from a byte stream (handles \r\n and split UTF-8 sequences).
+ */
+async function* streamLines(stream, { maxLineBytes = MAX_LINE_BYTES } = {}) {
+  const decoder = new StringDecoder('utf8');
+  let tail = '';
+  for await (const chunk of stream) {
+    const parts = (tail + decoder.write(chunk)).split('\n');
+    tail = parts.pop();
+    if (tail.length > maxLineBytes) throw new Error(`Line exceeds ${maxLineBytes} bytes — not a line-oriented file?`);
+    for (const line of parts) yield line.endsWith('\r') ? line.slice(0, -1) : line;
+  }
+  const rest = tail + decoder.end();
+  if (rest) yield rest;
+}
+
+/**
+ * Async generator of the inner XML of every <tag>...</tag> element in a byte stream.
+ * Only one element (plus one chunk) is buffered at a time.
+ */
+async function* streamXmlElements(stream, tag, { maxElementBytes = MAX_XML_ELEMENT_BYTES } = {}) {
+  const decoder = new StringDecoder('utf8');
+  const openRe = new RegExp(`<${tag}\\b[^>]*>`, 'gi');
+  const closeRe = new RegExp(`</${tag}\\s*>`, 'gi');
+  let buf = '';
+
+  const drain = function* () {
+    for (;;) {
+      openRe.lastIndex = 0;
+      const open = openRe.exec(buf);
+      if (!open) {
+        // Keep a short tail in case an opening tag straddles the chunk boundary
+        buf = buf.slice(-(tag.length + 64));
+        return;
+      }
+      closeRe.lastIndex = open.index + open[0].length;
+      const close = closeRe.exec(buf);
+      if (!close) {
+        buf = buf.slice(open.index);
+        if (buf.length > maxElementBytes) throw new Error(`<${tag}> element exceeds ${maxElementBytes} bytes`);
+        return;
+      }
+      yield buf.slice(open.index + open[0].length, close.index);
+      buf = buf.slice(close.index + close[0].length);
+    }
+  };
+
+  for await (const chunk of stream) {
+    buf += decoder.write(chunk);
+    yield* drain();
+  }
+  buf += decoder.end();
+  yield* drain();
+}
+
+/**
+ * Throw if resident memory is over the ceiling (call once per batch).
+ */
+function assertMemoryCeiling(limitMb = MEMORY_CEILING_MB) {
+  const rssMb = process.memoryUsage().rss / 1048576;
+  if (rssMb > limitMb) {
+    throw new Error(`Memory ceiling exceeded: RSS ${rssMb.toFixed(0)}MB > ${limitMb}MB`);
+  }
+}
+
+/**
+ * Quoted-field aware CSV line splitter shared by the bulk loaders.
+ */
+function parseCSVLine(line, delimiter = ',') {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') { inQuotes = !inQuotes; }
+    else if (ch === delimiter && !inQuotes) { result.push(current.trim()); current = ''; }
+    else { current += ch; }
+  }
+  result.push(current.trim());
+  return result;
+}
+
+module.exports = {
+  MEMORY_CEILING_MB,
+  downloadToTempFile,
+  cleanupTempFile,
+  openZip,
+  byteCounter,
+  streamLines,
+  streamXmlElements,
+  assertMemoryCeiling,
+  parseCSVLine,
+};
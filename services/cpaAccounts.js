@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { hashToken } = require('./auth');
+const { sendCpaSignInLink } = require('./email');
+const { extractPostalCode, geocode } = require('../matching/geo');
+
+// =====================================================
+// 🏛️ CPA ACCOUNTS — passwordless sign-in and self-service profile
+// =====================================================
+// A CPA signs in by email: requestSignInLink() mails a single-use link
+// (cpa_login_tokens, hash only) to the address on their cpa_profiles row, and
+// redeemSignInLink() trades it for a `cpa` session whose subject is the
+// cpa_id. Everything account-scoped (GET/PATCH /api/cpa/me, subscription
+// status, the billing portal) is keyed by that session, never by an email
+// the caller typed.
+
+const SIGN_IN_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES || '15', 10);
+const CPA_SESSION_TTL_MS = parseInt(process.env.CPA_SESSION_TTL_DAYS || '7', 10) * 24 * 60 * 60 * 1000;
+// Links mailed per address per hour; requests beyond it are dropped silently
+const SIGN_IN_LINKS_PER_HOUR = 5;
+
+// Columns a CPA may change on their own profile (email changes go through support)
+const EDITABLE_FIELDS = {
+  first_name: 'text', last_name: 'text', phone: 'text', firm_name: 'text', firm_size: 'text',
+  specializations: 'json', industries_served: 'json', certifications: 'json', software_proficiency: 'json', languages: 'json',
+  years_experience: 'int', hourly_rate_min: 'number', hourly_rate_max: 'number',
+  communication_style: 'text', province: 'text', city: 'text', postal_code: 'postal_code', remote_services: 'bool',
+};
+// Editing any of these re-queues the licence check (services/licenceVerification.js)
+const LICENCE_IDENTITY_FIELDS = ['first_name', 'last_name', 'province'];
+// Editing any of these re-geocodes the profile for `near` searches
+const LOCATION_FIELDS = ['postal_code', 'city', 'province'];
+// Never returned to the account holder's browser
+const PRIVATE_COLUMNS = ['stripe_customer_id'];
+
+function newCpaId() {
+  return `CPA_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function publicProfile(row) {
+  const out = { ...row };
+  for (const column of PRIVATE_COLUMNS) delete out[column];
+  return out;
+}
+
+class CpaAccountService {
+  constructor(db, { auth, clock, frontendUrl }) {
+    this.db = db;
+    this.auth = auth;
+    this.clock = clock;
+    this.frontendUrl = frontendUrl;
+  }
+
+  // ---------- Sign-in ----------
+
+  /**
+   * Mail a sign-in link if the email belongs to a CPA profile. The result is for
+   * logs only — the route answers the same either way so it can't probe for accounts.
+   */
+  async requestSignInLink(email, { ip = null } = {}) {
+    const address = (email || '').trim();
+    if (!address) return { sent: false, reason: 'missing_email' };
+
+    const profile = await this.db.query(
+      'SELECT cpa_id, email, first_name FROM cpa_profiles WHERE LOWER(email) = LOWER($1) LIMIT 1',
+      [address]
+    );
+    if (profile.rows.length === 0) return { sent: false, reason: 'unknown_email' };
+    const { cpa_id, first_name } = profile.rows[0];
+
+    const recent = await this.db.query(
+      `SELECT COUNT(*)::int AS n FROM cpa_login_tokens WHERE LOWER(email) = LOWER($1) AND created_at > $2`,
+      [address, new Date(this.clock.now().getTime() - 60 * 60 * 1000)]
+    );
+    if (recent.rows[0].n >= SIGN_IN_LINKS_PER_HOUR) {
+      console.log(`[CpaAccounts] Sign-in link rate limit hit for ${cpa_id}`);
+      return { sent: false, reason: 'rate_limited' };
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await this.db.query(
+      `INSERT INTO cpa_login_tokens (cpa_id, email, token_hash, requested_ip, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [cpa_id, profile.rows[0].email, hashToken(token), ip, this.clock.now(),
+       new Date(this.clock.now().getTime() + SIGN_IN_TTL_MINUTES * 60 * 1000)]
+    );
+    const link = `${this.frontendUrl}/cpa-login.html?token=${encodeURIComponent(token)}`;
+    const result = await sendCpaSignInLink({ email: profile.rows[0].email, firstName: first_name, link, expiresMinutes: SIGN_IN_TTL_MINUTES });
+    return { sent: !!(result && result.success), reason: result && result.reason };
+  }
+
+  /**
+   * Consume a sign-in link. Returns { token, expires_at, profile } or null when
+   * the link is unknown, used or expired.
+   */
+  async redeemSignInLink(token) {
+    if (!token) return null;
+    const now = this.clock.now();
+    const r = await this.db.query(
+      `UPDATE cpa_login_tokens SET used_at = $2
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > $2
+       RETURNING cpa_id, email`,
+      [hashToken(token), now]
+    );
+    if (r.rows.length === 0) return null;
+    const { cpa_id, email } = r.rows[0];
+
+    const profile = await this.db.query(
+      `UPDATE cpa_profiles SET last_login_at = $2, email_verified_at = COALESCE(email_verified_at, $2)
+       WHERE cpa_id = $1 RETURNING *`,
+      [cpa_id, now]
+    );
+    if (profile.rows.length === 0) return null;
+    return this.startSession(profile.rows[0], email);
+  }
+
+  /**
+   * Sign a CPA in: { token, expires_at, profile } with a `cpa` session for the profile.
+   */
+  async startSession(profile, label = profile.email) {
+    const { token, session } = await this.auth.createSession({
+      role: 'cpa', subject: profile.cpa_id, label, ttlMs: CPA_SESSION_TTL_MS,
+    });
+    return { token, expires_at: session.expires_at, profile: publicProfile(profile) };
+  }
+
+  // ---------- Profile ----------
+
+  async getProfile(cpaId) {
+    const r = await this.db.query('SELECT * FROM cpa_profiles WHERE cpa_id = $1', [cpaId]);
+    return r.rows[0] || null;
+  }
+
+  /**
+   * Profile plus the subscription linked to it (by cpa_id or Stripe customer).
+   */
+  async getAccount(cpaId) {
+    const profile = await this.getProfile(cpaId);
+    if (!profile) return null;
+    return { profile: publicProfile(profile), subscription: await this.getSubscription(profile) };
+  }
+
+  async getSubscription(profile) {
+    const r = await this.db.query(
+      `SELECT tier, billing_interval, status, current_period_start, current_period_end, updated_at
+       FROM cpa_subscriptions
+       WHERE cpa_profile_id = $1 OR ($2::text IS NOT NULL AND stripe_customer_id = $2)
+       ORDER BY updated_at DESC LIMIT 1`,
+      [profile.cpa_id, profile.stripe_customer_id]
+    );
+    return r.rows[0] || null;
+  }
+
+  /**
+   * Apply a partial update from the account holder. Unknown or read-only
+   * fields are rejected rather than ignored so the client learns about typos.
+   */
+  async updateProfile(cpaId, changes) {
+    const fields = Object.keys(changes || {});
+    const rejected = fields.filter(f => !EDITABLE_FIELDS[f]);
+    if (rejected.length > 0) {
+      const err = new Error(`Fields cannot be edited: ${rejected.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    if (fields.length === 0) return this.getProfile(cpaId).then(p => p && publicProfile(p));
+
+    const sets = [];
+    const params = [cpaId];
+    for (const field of fields) {
+      params.push(this._coerce(field, changes[field]));
+      sets.push(`${field} = $${params.length}`);
+    }
+    if (fields.some(f => LICENCE_IDENTITY_FIELDS.includes(f))) sets.push('licence_next_check_at = NOW()');
+    const r = await this.db.query(
+      `UPDATE cpa_profiles SET ${sets.join(', ')}, updated_date = NOW() WHERE cpa_id = $1 RETURNING *`,
+      params
+    );
+    if (r.rows[0] && fields.some(f => LOCATION_FIELDS.includes(f))) {
+      return publicProfile(await this._relocate(r.rows[0]));
+    }
+    return r.rows[0] ? publicProfile(r.rows[0]) : null;
+  }
+
+  // Fresh coordinates from the profile's postal code / city / province (cleared when none resolve)
+  async _relocate(profile) {
+    const point = geocode({ postalCode: profile.postal_code, city: profile.city, province: profile.province });
+    const r = await this.db.query(
+      `UPDATE cpa_profiles SET latitude = $2, longitude = $3, geo_precision = $4, geocoded_at = NOW()
+       WHERE cpa_id = $1 RETURNING *`,
+      [profile.cpa_id, point ? point.latitude : null, point ? point.longitude : null, point ? point.precision : null]
+    );
+    return r.rows[0] || profile;
+  }
+
+  /**
+   * Append one certification ({ name, issuer?, number?, year?, document_url? }).
+   * Verification of what was uploaded happens in review, not here.
+   */
+  async addCertification(cpaId, certification) {
+    if (!certification || !certification.name) {
+      const err = new Error('certification name is required');
+      err.status = 400;
+      throw err;
+    }
+    const entry = {
+      name: String(certification.name),
+      issuer: certification.issuer || null,
+      number: certification.number || null,
+      year: certification.year ? parseInt(certification.year) : null,
+      document_url: certification.document_url || null,
+      added_at: this.clock.now().toISOString(),
+    };
+    const r = await this.db.query(
+      `UPDATE cpa_profiles
+       SET certifications = COALESCE(certifications, '[]'::jsonb) || $2::jsonb, updated_date = NOW()
+       WHERE cpa_id = $1 RETURNING *`,
+      [cpaId, JSON.stringify([entry])]
+    );
+    return r.rows[0] ? publicProfile(r.rows[0]) : null;
+  }
+
+  // Deactivated profiles drop out of search and matching; the account can still sign in to reactivate
+  async setActive(cpaId, active) {
+    const r = await this.db.query(
+      `UPDATE cpa_profiles SET
+         is_active = $2,
+         deactivated_at = CASE WHEN $2 THEN NULL ELSE $3 END,
+         updated_date = NOW()
+       WHERE cpa_id = $1 RETURNING *`,
+      [cpaId, active, this.clock.now()]
+    );
+    return r.rows[0] ? publicProfile(r.rows[0]) : null;
+  }
+
+  // ---------- Stripe linkage ----------
+
+  /**
+   * Stripe customer for the profile: the one stored on the profile, else the
+   * latest subscription linked to it.
+   */
+  async stripeCustomerFor(cpaId) {
+    const r = await this.db.query(
+      `SELECT COALESCE(p.stripe_customer_id, (
+         SELECT s.stripe_customer_id FROM cpa_subscriptions s
+         WHERE s.cpa_profile_id = p.cpa_id AND s.stripe_customer_id IS NOT NULL
+         ORDER BY s.updated_at DESC LIMIT 1
+       )) AS stripe_customer_id
+       FROM cpa_profiles p WHERE p.cpa_id = $1`,
+      [cpaId]
+    );
+    return r.rows[0] ? r.rows[0].stripe_customer_id : null;
+  }
+
+  _coerce(field, value) {
+    if (value === null || value === undefined || value === '') return null;
+    switch (EDITABLE_FIELDS[field]) {
+      case 'json': return JSON.stringify(value);
+      case 'int': return parseInt(value);
+      case 'number': return parseFloat(value);
+      case 'bool': return value === true || value === 'true';
+      case 'postal_code': {
+        const code = extractPostalCode(value);
+        if (!code) {
+          const err = new Error(`Not a Canadian postal code: ${value}`);
+          err.status = 400;
+          throw err;
+        }
+        return code;
+      }
+      default: return String(value);
+    }
+  }
+}
+
+module.exports = { CpaAccountService, publicProfile, newCpaId };
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const { withTransaction } = require('../db/pool');
+const { hashToken } = require('./auth');
+const { normalizeWebsite } = require('./entityResolution');
+const { sendCpaClaimVerification } = require('./email');
+const { newCpaId } = require('./cpaAccounts');
+
+// =====================================================
+// 🪪 CPA PROFILE CLAIMS — turn a scraped directory listing into an account
+// =====================================================
+// 1. search()  finds scraped_cpas by name / province (one row per cpa_person)
+// 2. request() mails a single-use link to an address that ties the claimant to
+//    the listing: the enriched or directory email on the row, or any address
+//    at the firm's own website domain
+// 3. confirm() creates the cpa_profiles row pre-filled from the listing (or
+//    links the account that already uses that email), marks the listing
+//    `converted` and signs the CPA in
+// A person counts as claimed once any of their scraped rows carries a
+// cpa_profile_id; only the claimed row itself is marked converted, so the
+// /api/scraped-cpas/stats conversion count is one per claim.
+
+const CLAIM_TTL_MINUTES = parseInt(process.env.CLAIM_LINK_TTL_MINUTES || '60', 10);
+const CLAIMS_PER_LISTING_PER_HOUR = 3;
+const SEARCH_LIMIT = 20;
+
+function claimError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// "jane.doe@firm.ca" → "j***@firm.ca"
+function maskEmail(email) {
+  const [local, domain] = String(email).split('@');
+  if (!domain) return null;
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+function emailDomain(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at === -1 ? null : email.slice(at + 1).toLowerCase().trim();
+}
+
+class CpaClaimService {
+  constructor(db, { cpaAccounts, clock, frontendUrl }) {
+    this.db = db;
+    this.cpaAccounts = cpaAccounts;
+    this.clock = clock;
+    this.frontendUrl = frontendUrl;
+  }
+
+  /**
+   * Claimable listings for a name (every word must appear) and optional province.
+   * Emails are only ever returned masked.
+   */
+  async search({ name, province } = {}) {
+    const words = String(name || '').trim().split(/\s+/).filter(w => w.length >= 2);
+    if (words.length === 0) throw claimError(400, 'name is required');
+
+    const params = [];
+    const conditions = words.map((w) => { params.push(`%${w}%`); return `c.full_name ILIKE $${params.length}`; });
+    if (province) { params.push(province.toUpperCase()); conditions.push(`c.province = $${params.length}`); }
+    params.push(SEARCH_LIMIT);
+
+    const r = await this.db.query(
+      `SELECT * FROM (
+         SELECT DISTINCT ON (COALESCE(c.person_id, -c.id))
+                c.id, c.full_name, c.designation, c.firm_name, c.city, c.province, c.source,
+                COALESCE(c.enriched_email, c.email) AS email_on_record, c.firm_website,
+                EXISTS (
+                  SELECT 1 FROM scraped_cpas o
+                  WHERE o.cpa_profile_id IS NOT NULL AND (o.id = c.id OR (c.person_id IS NOT NULL AND o.person_id = c.person_id))
+                ) AS claimed
+         FROM scraped_cpas c
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY COALESCE(c.person_id, -c.id), (COALESCE(c.enriched_email, c.email) IS NULL), c.updated_at DESC
+       ) listings
+       ORDER BY full_name
+       LIMIT $${params.length}`,
+      params
+    );
+    return r.rows.map(row => ({
+      id: row.id,
+      full_name: row.full_name,
+      designation: row.designation,
+      firm_name: row.firm_name,
+      city: row.city,
+      province: row.province,
+      source: row.source,
+      claimed: row.claimed,
+      email_hint: row.email_on_record ? maskEmail(row.email_on_record) : null,
+      firm_domain: normalizeWebsite(row.firm_website),
+    }));
+  }
+
+  /**
+   * Mail a claim link for a listing. email is optional: without it the address on
+   * record is used; with it, it must be that address or one at the firm's domain.
+   * Returns { sent_to } (masked).
+   */
+  async request(scrapedCpaId, { email = null, ip = null } = {}) {
+    const r = await this.db.query('SELECT * FROM scraped_cpas WHERE id = $1', [scrapedCpaId]);
+    const listing = r.rows[0];
+    if (!listing) throw claimError(404, 'Listing not found');
+    if (await this._claimedProfileId(this.db, listing)) throw claimError(409, 'This listing has already been claimed');
+
+    const destination = this._destination(listing, email);
+
+    const recent = await this.db.query(
+      'SELECT COUNT(*)::int AS n FROM cpa_profile_claims WHERE scraped_cpa_id = $1 AND created_at > $2',
+      [listing.id, new Date(this.clock.now().getTime() - 60 * 60 * 1000)]
+    );
+    if (recent.rows[0].n >= CLAIMS_PER_LISTING_PER_HOUR) {
+      throw claimError(429, 'Too many claim requests for this listing — try again later');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await this.db.query(
+      `INSERT INTO cpa_profile_claims (scraped_cpa_id, email, email_source, token_hash, requested_ip, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [listing.id, destination.email, destination.source, hashToken(token), ip, this.clock.now(),
+       new Date(this.clock.now().getTime() + CLAIM_TTL_MINUTES * 60 * 1000)]
+    );
+    console.log(`[CpaClaims] Claim link for listing ${listing.id} sent via ${destination.source} email`);
+
+    await sendCpaClaimVerification({
+      email: destination.email,
+      name: listing.full_name || [listing.first_name, listing.last_name].filter(Boolean).join(' '),
+      firmName: listing.firm_name,
+      link: `${this.frontendUrl}/cpa-claim.html?token=${encodeURIComponent(token)}`,
+      expiresMinutes: CLAIM_TTL_MINUTES,
+    });
+    return { sent_to: maskEmail(destination.email), email_source: destination.source };
+  }
+
+  /**
+   * Redeem a claim link: create or link the profile, convert the listing and sign
+   * the CPA in. Returns { token, expires_at, profile, linked_existing } or null
+   * when the link is unknown, used or expired.
+   */
+  async confirm(token) {
+    if (!token) return null;
+    const now = this.clock.now();
+
+    const outcome = await withTransaction(this.db, async (client) => {
+      const c = await client.query(
+        `UPDATE cpa_profile_claims SET status = 'confirmed', confirmed_at = $2
+         WHERE token_hash = $1 AND status = 'pending' AND expires_at > $2
+         RETURNING *`,
+        [hashToken(token), now]
+      );
+      const claim = c.rows[0];
+      if (!claim) return null;
+
+      const l = await client.query('SELECT * FROM scraped_cpas WHERE id = $1 FOR UPDATE', [claim.scraped_cpa_id]);
+      const listing = l.rows[0];
+      if (!listing) throw claimError(404, 'Listing not found');
+      if (await this._claimedProfileId(client, listing)) throw claimError(409, 'This listing has already been claimed');
+
+      const existing = await client.query(
+        'SELECT cpa_id FROM cpa_profiles WHERE LOWER(email) = LOWER($1) LIMIT 1 FOR UPDATE',
+        [claim.email]
+      );
+      let profile;
+      if (existing.rows.length > 0) {
+        // Same email already registered: fill the gaps from the listing, never overwrite what the CPA entered
+        const p = await client.query(
+          `UPDATE cpa_profiles SET
+             first_name = COALESCE(first_name, $2), last_name = COALESCE(last_name, $3),
+             firm_name = COALESCE(firm_name, $4), designation = COALESCE(designation, $5),
+             city = COALESCE(city, $6), province = COALESCE(province, $7), phone = COALESCE(phone, $8),
+             claimed_scraped_cpa_id = $9, email_verified_at = COALESCE(email_verified_at, $10), updated_date = NOW()
+           WHERE cpa_id = $1 RETURNING *`,
+          [existing.rows[0].cpa_id, listing.first_name, listing.last_name, listing.firm_name, listing.designation,
+           listing.city, listing.province, listing.phone, listing.id, now]
+        );
+        profile = p.rows[0];
+      } else {
+        const p = await client.query(
+          `INSERT INTO cpa_profiles (
+             cpa_id, first_name, last_name, email, phone, firm_name, designation, province, city,
+             profile_status, verification_status, claimed_scraped_cpa_id, email_verified_at, last_login_at
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', 'unverified', $10, $11, $11)
+           RETURNING *`,
+          [newCpaId(), listing.first_name, listing.last_name, claim.email, listing.phone, listing.firm_name,
+           listing.designation, listing.province, listing.city, listing.id, now]
+        );
+        profile = p.rows[0];
+      }
+
+      await client.query(
+        `UPDATE scraped_cpas SET status = 'converted', cpa_profile_id = $2, converted_at = $3, updated_at = NOW()
+         WHERE id = $1`,
+        [listing.id, profile.cpa_id, now]
+      );
+      if (listing.person_id) {
+        await client.query(
+          'UPDATE scraped_cpas SET cpa_profile_id = $2, updated_at = NOW() WHERE person_id = $1 AND id <> $3 AND cpa_profile_id IS NULL',
+          [listing.person_id, profile.cpa_id, listing.id]
+        );
+      }
+      await client.query('UPDATE cpa_profile_claims SET cpa_id = $2 WHERE id = $1', [claim.id, profile.cpa_id]);
+      await client.query(
+        `UPDATE cpa_profile_claims SET status = 'superseded' WHERE scraped_cpa_id = $1 AND status = 'pending'`,
+        [listing.id]
+      );
+      return { profile, linkedExisting: existing.rows.length > 0 };
+    });
+    if (!outcome) return null;
+
+    console.log(`[CpaClaims] Listing claimed as ${outcome.profile.cpa_id}${outcome.linkedExisting ? ' (existing account)' : ''}`);
+    const signIn = await this.cpaAccounts.startSession(outcome.profile);
+    return { ...signIn, linked_existing: outcome.linkedExisting };
+  }
+
+  // cpa_profile_id already attached to this listing or another row of the same person
+  async _claimedProfileId(db, listing) {
+    const r = await db.query(
+      `SELECT cpa_profile_id FROM scraped_cpas
+       WHERE cpa_profile_id IS NOT NULL AND (id = $1 OR ($2::int IS NOT NULL AND person_id = $2))
+       LIMIT 1`,
+      [listing.id, listing.person_id || null]
+    );
+    return r.rows[0] ? r.rows[0].cpa_profile_id : null;
+  }
+
+  // Where the claim link may go: { email, source: 'enriched' | 'directory' | 'firm_domain' }
+  _destination(listing, requested) {
+    const onRecord = [
+      { email: listing.enriched_email, source: 'enriched' },
+      { email: listing.email, source: 'directory' },
+    ].filter(d => d.email && d.email.includes('@'));
+
+    if (!requested) {
+      if (onRecord.length === 0) {
+        throw claimError(422, listing.firm_website
+          ? "No email on record for this listing — enter an address at your firm's domain"
+          : 'No email on record for this listing — contact support to claim it');
+      }
+      return onRecord[0];
+    }
+
+    const address = String(requested).trim();
+    const match = onRecord.find(d => d.email.toLowerCase() === address.toLowerCase());
+    if (match) return match;
+
+    const firmDomain = normalizeWebsite(listing.firm_website);
+    const domain = emailDomain(address);
+    if (firmDomain && domain && (domain === firmDomain || domain.endsWith(`.${firmDomain}`))) {
+      return { email: address, source: 'firm_domain' };
+    }
+    throw claimError(400, "Use the email on this listing or an address at your firm's website domain");
+  }
+}
+
+module.exports = { CpaClaimService, maskEmail };
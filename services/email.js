@@ -6,6 +6,11 @@ const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KE
 const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@canadaaccountants.app';
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'arthur@negotiateandwin.com';
 
+// For any user-entered or scraped value (names, firms, contact details, messages) that goes into an email body
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 /**
  * Shared email sender with graceful fallback
  */
@@ -129,8 +134,230 @@ async function sendPaymentFailedAlert({ email, amount, currency, invoiceId }) {
   });
 }
 
+/**
+ * Passwordless sign-in link for a CPA account (single use, short-lived)
+ */
+async function sendCpaSignInLink({ email, firstName, link, expiresMinutes }) {
+  if (!email) return;
+
+  return sendEmail({
+    to: email,
+    subject: 'Your CanadaAccountants sign-in link',
+    html: `
+      <h2>Sign in to CanadaAccountants</h2>
+      <p>Hi ${firstName || 'there'},</p>
+      <p>Use the button below to sign in to your CPA dashboard. The link works once and expires in ${expiresMinutes} minutes.</p>
+      <p><a href="${link}">Sign in to your dashboard</a></p>
+      <p>If you didn't ask to sign in, you can ignore this email — nobody can use your account without this link.</p>
+      <br>
+      <p>Best regards,<br>CanadaAccountants</p>
+    `,
+  });
+}
+
+/**
+ * Confirmation link for claiming a scraped directory listing as a CPA account
+ */
+async function sendCpaClaimVerification({ email, name, firmName, link, expiresMinutes }) {
+  if (!email) return;
+
+  return sendEmail({
+    to: email,
+    subject: 'Confirm your CanadaAccountants profile',
+    html: `
+      <h2>Claim your CanadaAccountants profile</h2>
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>Someone asked to claim the directory listing for <strong>${escapeHtml(name || 'this CPA')}</strong>${firmName ? ` at ${escapeHtml(firmName)}` : ''}. If that was you, confirm below to activate your profile. The link works once and expires in ${expiresMinutes} minutes.</p>
+      <p><a href="${link}">Confirm and claim my profile</a></p>
+      <p>If you didn't request this, ignore this email — the listing stays unclaimed.</p>
+      <br>
+      <p>Best regards,<br>CanadaAccountants</p>
+    `,
+  });
+}
+
+/**
+ * A client asked a matched CPA for an introduction
+ */
+async function sendMatchIntroductionRequest({ email, cpaName, businessName, industry, message, link, respondDays, language = 'en' }) {
+  if (!email) return;
+  const business = `<strong>${escapeHtml(businessName || (language === 'fr' ? 'Une entreprise' : 'A business'))}</strong>${industry ? ` (${escapeHtml(industry)})` : ''}`;
+  const quote = message ? `<blockquote>${escapeHtml(message)}</blockquote>` : '';
+
+  if (language === 'fr') {
+    return sendEmail({
+      to: email,
+      subject: `Nouvelle demande de présentation${businessName ? ` de ${businessName}` : ''} | CanadaAccountants`,
+      html: `
+        <h2>Une entreprise souhaite travailler avec vous</h2>
+        <p>Bonjour${cpaName ? ` ${escapeHtml(cpaName)}` : ''},</p>
+        <p>${business} a été jumelée avec vous et demande une présentation.</p>
+        ${quote}
+        <p>Acceptez pour échanger vos coordonnées, ou déclinez. La demande expire dans ${respondDays} jours.</p>
+        <p><a href="${link}">Répondre à la demande</a></p>
+        <br>
+        <p>Cordialement,<br>CanadaAccountants</p>
+      `,
+    });
+  }
+
+  return sendEmail({
+    to: email,
+    subject: `New introduction request${businessName ? ` from ${businessName}` : ''} | CanadaAccountants`,
+    html: `
+      <h2>A business would like to work with you</h2>
+      <p>Hi ${escapeHtml(cpaName || 'there')},</p>
+      <p>${business} was matched with you and asked for an introduction.</p>
+      ${quote}
+      <p>Accept to share contact details with each other, or decline. The request expires in ${respondDays} days.</p>
+      <p><a href="${link}">Respond to the request</a></p>
+      <br>
+      <p>Best regards,<br>CanadaAccountants</p>
+    `,
+  });
+}
+
+/**
+ * The CPA accepted: the client gets the CPA's contact details
+ */
+async function sendMatchAccepted({ email, name, cpaName, firmName, cpaEmail, cpaPhone, link, language = 'en' }) {
+  if (!email) return;
+  const fr = language === 'fr';
+  const contacts = `
+      <ul>
+        ${cpaEmail ? `<li>${fr ? 'Courriel :' : 'Email:'} ${escapeHtml(cpaEmail)}</li>` : ''}
+        ${cpaPhone ? `<li>${fr ? 'Téléphone :' : 'Phone:'} ${escapeHtml(cpaPhone)}</li>` : ''}
+      </ul>`;
+
+  if (fr) {
+    return sendEmail({
+      to: email,
+      subject: `${cpaName} a accepté votre demande de présentation | CanadaAccountants`,
+      html: `
+        <h2>Présentation acceptée</h2>
+        <p>Bonjour${name ? ` ${escapeHtml(name)}` : ''},</p>
+        <p><strong>${escapeHtml(cpaName)}</strong>${firmName ? ` du cabinet ${escapeHtml(firmName)}` : ''} a accepté votre demande de présentation et communiquera avec vous. Vous pouvez aussi le ou la joindre directement :</p>
+        ${contacts}
+        <p>Lorsque vous commencerez à travailler ensemble, indiquez que le mandat a débuté afin que nous puissions assurer le suivi.</p>
+        <p><a href="${link}">Voir vos jumelages</a></p>
+        <br>
+        <p>Cordialement,<br>CanadaAccountants</p>
+      `,
+    });
+  }
+
+  return sendEmail({
+    to: email,
+    subject: `${cpaName} accepted your introduction | CanadaAccountants`,
+    html: `
+      <h2>Introduction accepted</h2>
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p><strong>${escapeHtml(cpaName)}</strong>${firmName ? ` of ${escapeHtml(firmName)}` : ''} accepted your introduction request and will be in touch. You can also reach them directly:</p>
+      ${contacts}
+      <p>Once you start working together, mark the engagement as started so we can follow up.</p>
+      <p><a href="${link}">View your matches</a></p>
+      <br>
+      <p>Best regards,<br>CanadaAccountants</p>
+    `,
+  });
+}
+
+/**
+ * A match ended without an engagement (declined / expired / cancelled)
+ */
+async function sendMatchClosed({ email, name, otherParty, outcome, reason, link, language = 'en' }) {
+  if (!email) return;
+  const who = escapeHtml(otherParty);
+
+  if (language === 'fr') {
+    const summaries = {
+      declined: `${who} n’est pas en mesure de donner suite à votre demande pour le moment.`,
+      expired: `${who} n’a pas répondu à votre demande de présentation à temps; elle a donc expiré.`,
+      cancelled: `${who} a annulé la présentation.`,
+    };
+    return sendEmail({
+      to: email,
+      subject: `Mise à jour de la présentation : ${otherParty} | CanadaAccountants`,
+      html: `
+        <h2>Mise à jour de la présentation</h2>
+        <p>Bonjour${name ? ` ${escapeHtml(name)}` : ''},</p>
+        <p>${summaries[outcome] || `La présentation avec ${who} a été fermée.`}</p>
+        ${reason ? `<p>Motif indiqué : ${escapeHtml(reason)}</p>` : ''}
+        <p><a href="${link}">Voir vos autres jumelages</a></p>
+        <br>
+        <p>Cordialement,<br>CanadaAccountants</p>
+      `,
+    });
+  }
+
+  const summaries = {
+    declined: `${who} isn't able to take on your request right now.`,
+    expired: `${who} didn't respond to your introduction request in time, so it has expired.`,
+    cancelled: `${who} cancelled the introduction.`,
+  };
+
+  return sendEmail({
+    to: email,
+    subject: `Introduction update: ${otherParty} | CanadaAccountants`,
+    html: `
+      <h2>Introduction update</h2>
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>${summaries[outcome] || `The introduction with ${who} was closed.`}</p>
+      ${reason ? `<p>Reason given: ${escapeHtml(reason)}</p>` : ''}
+      <p><a href="${link}">See your other matches</a></p>
+      <br>
+      <p>Best regards,<br>CanadaAccountants</p>
+    `,
+  });
+}
+
+/**
+ * The other party marked the engagement started or completed
+ */
+async function sendMatchEngagementUpdate({ email, name, otherParty, stage, link, language = 'en' }) {
+  if (!email) return;
+  const who = escapeHtml(otherParty);
+
+  const completed = stage === 'completed';
+  if (language === 'fr') {
+    return sendEmail({
+      to: email,
+      subject: `Mandat ${completed ? 'terminé' : 'commencé'} avec ${otherParty} | CanadaAccountants`,
+      html: `
+        <h2>Mandat ${completed ? 'terminé' : 'commencé'}</h2>
+        <p>Bonjour${name ? ` ${escapeHtml(name)}` : ''},</p>
+        <p>${who} a indiqué que votre mandat est ${completed ? 'terminé' : 'commencé'}.</p>
+        <p>${completed ? 'Comment cela s’est-il passé? Votre évaluation aide d’autres entreprises et CPA à trouver le bon partenaire.' : 'Lorsque le travail sera terminé, l’un ou l’autre d’entre vous pourra l’indiquer.'}</p>
+        <p><a href="${link}">${completed ? 'Laisser une évaluation' : 'Voir le mandat'}</a></p>
+        <br>
+        <p>Cordialement,<br>CanadaAccountants</p>
+      `,
+    });
+  }
+
+  return sendEmail({
+    to: email,
+    subject: `Engagement ${completed ? 'completed' : 'started'} with ${otherParty} | CanadaAccountants`,
+    html: `
+      <h2>Engagement ${completed ? 'completed' : 'started'}</h2>
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>${who} marked your engagement as ${completed ? 'completed' : 'started'}.</p>
+      <p>${completed ? 'How did it go? Your rating helps other businesses and CPAs find the right fit.' : 'When the work wraps up, either of you can mark it completed.'}</p>
+      <p><a href="${link}">${completed ? 'Leave a rating' : 'View the engagement'}</a></p>
+      <br>
+      <p>Best regards,<br>CanadaAccountants</p>
+    `,
+  });
+}
+
 module.exports = {
   sendEmail,
+  sendCpaSignInLink,
+  sendCpaClaimVerification,
+  sendMatchIntroductionRequest,
+  sendMatchAccepted,
+  sendMatchClosed,
+  sendMatchEngagementUpdate,
   sendSubscriptionConfirmation,
   sendPaymentReceipt,
   sendPaymentFailedAlert,
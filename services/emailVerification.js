@@ -0,0 +1,406 @@
+const dns = require('dns').promises;
+const net = require('net');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// =====================================================
+// ✉️ EMAIL VERIFICATION SERVICE — pluggable deliverability providers
+// =====================================================
+// One place for every "is this address real?" question. Providers (local SMTP
+// RCPT probe, MX-only, ZeroBounce, any HTTP verifier) are tried in order until
+// one gives a definitive answer; results are mapped onto a single taxonomy and
+// cached in email_validations. Network checks are spaced per MX host so a
+// batch of addresses at one domain doesn't hammer the same mail server.
+
+const STATUSES = ['valid', 'invalid', 'catch-all', 'role', 'disposable', 'unknown'];
+
+// Mailboxes that belong to a function, not a person
+const ROLE_LOCALPARTS = new Set([
+  'info', 'contact', 'office', 'hello', 'admin', 'sales', 'support', 'enquiries', 'inquiries', 'reception',
+  'general', 'accounts', 'billing', 'help', 'team', 'mail', 'bonjour', 'courriel', 'service', 'services',
+]);
+
+const DISPOSABLE_DOMAINS = new Set([
+  'mailinator.com', 'guerrillamail.com', '10minutemail.com', 'tempmail.com', 'temp-mail.org', 'yopmail.com',
+  'trashmail.com', 'sharklasers.com', 'getnada.com', 'dispostable.com', 'maildrop.cc', 'throwawaymail.com',
+]);
+
+const CACHE_TTL_DAYS = parseInt(process.env.EMAIL_VERIFY_CACHE_DAYS) || 30;
+const DOMAIN_INTERVAL_MS = parseInt(process.env.EMAIL_VERIFY_DOMAIN_INTERVAL_MS) || 2000;
+const DNS_TIMEOUT = 3000;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+
+/**
+ * Map a provider's vocabulary onto the shared taxonomy.
+ */
+function normalizeStatus(status, subStatus = '') {
+  const s = String(status || '').toLowerCase().replace(/_/g, '-');
+  const sub = String(subStatus || '').toLowerCase();
+  if (sub.includes('disposable')) return 'disposable';
+  if (sub.includes('role')) return 'role';
+  if (s === 'catchall' || s === 'accept-all' || s === 'accept all') return 'catch-all';
+  if (['spamtrap', 'abuse', 'do-not-mail', 'undeliverable', 'bounce'].includes(s)) return 'invalid';
+  if (s === 'deliverable' || s === 'ok') return 'valid';
+  return STATUSES.includes(s) ? s : 'unknown';
+}
+
+function withTimeout(promise, ms, label) {
+  return Promise.race([promise, new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timeout`)), ms))]);
+}
+
+// =====================================================
+// Providers — verify(email, ctx) resolves to { status, subStatus } or null
+// when the provider can't say anything (not configured, port blocked).
+// ctx: { domain, mx: [{ exchange, priority }] | null, service }
+// =====================================================
+
+class MxProvider {
+  constructor() {
+    this.name = 'mx';
+  }
+
+  async verify(email, ctx) {
+    if (!ctx.mx || ctx.mx.length === 0) return { status: 'invalid', subStatus: 'no_mx' };
+    return { status: 'unknown', subStatus: 'mx_only' };
+  }
+}
+
+class SmtpProvider {
+  constructor({ heloHost = 'verify.canadaaccountants.app', mailFrom = 'verify@canadaaccountants.app', timeout = 10000 } = {}) {
+    this.name = 'smtp';
+    this.heloHost = heloHost;
+    this.mailFrom = mailFrom;
+    this.timeout = timeout;
+    this.portOpen = null; // null = untested
+  }
+
+  // Outbound port 25 is blocked on some hosts (Railway) — test once against a known MX
+  async available() {
+    if (this.portOpen !== null) return this.portOpen;
+    this.portOpen = await new Promise((resolve) => {
+      const socket = new net.Socket();
+      const timer = setTimeout(() => { socket.destroy(); resolve(false); }, 5000);
+      socket.connect(25, 'alt1.gmail-smtp-in.l.google.com', () => {
+        clearTimeout(timer);
+        socket.write('QUIT\r\n');
+        socket.destroy();
+        resolve(true);
+      });
+      socket.on('error', () => { clearTimeout(timer); resolve(false); });
+    });
+    return this.portOpen;
+  }
+
+  async verify(email, ctx) {
+    if (!(await this.available())) return null;
+    if (!ctx.mx || ctx.mx.length === 0) return { status: 'invalid', subStatus: 'no_mx' };
+
+    const result = await this.probe(email, ctx.mx[0].exchange);
+    if (result !== 'valid') return { status: result, subStatus: 'smtp_rcpt' };
+    // A server that accepts everything proves nothing about this mailbox
+    if (await ctx.service.isCatchAll(ctx.domain)) return { status: 'catch-all', subStatus: 'smtp_rcpt' };
+    return { status: 'valid', subStatus: 'smtp_rcpt' };
+  }
+
+  /**
+   * One RCPT TO conversation: 'valid' | 'invalid' | 'unknown'.
+   */
+  probe(email, mxHost) {
+    return new Promise((resolve) => {
+      const socket = new net.Socket();
+      let step = 0;
+      const finish = (result) => {
+        clearTimeout(timer);
+        socket.destroy();
+        resolve(result);
+      };
+      const timer = setTimeout(() => finish('unknown'), this.timeout);
+
+      socket.connect(25, mxHost, () => {});
+      socket.on('data', (data) => {
+        const code = parseInt(data.toString().substring(0, 3));
+        if (step === 0 && code === 220) {
+          socket.write(`EHLO ${this.heloHost}\r\n`);
+          step = 1;
+        } else if (step === 1 && code === 250) {
+          socket.write(`MAIL FROM:<${this.mailFrom}>\r\n`);
+          step = 2;
+        } else if (step === 2 && code === 250) {
+          socket.write(`RCPT TO:<${email}>\r\n`);
+          step = 3;
+        } else if (step === 3) {
+          socket.write('QUIT\r\n');
+          // 252 = cannot verify but will accept
+          if (code === 250 || code === 252) finish('valid');
+          else if (code === 550 || code === 551 || code === 553) finish('invalid');
+          else finish('unknown');
+        } else {
+          socket.write('QUIT\r\n');
+          finish('unknown');
+        }
+      });
+      socket.on('error', () => finish('unknown'));
+    });
+  }
+}
+
+class ZeroBounceProvider {
+  constructor({ apiKey = process.env.ZEROBOUNCE_API_KEY, timeout = 15000, http = axios } = {}) {
+    this.name = 'zerobounce';
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.http = http;
+  }
+
+  async verify(email) {
+    if (!this.apiKey) return null;
+    const response = await this.http.get('https://api.zerobounce.net/v2/validate', {
+      params: { api_key: this.apiKey, email, ip_address: '' },
+      timeout: this.timeout,
+      robots: false,
+    });
+    const status = (response.data.status || '').toLowerCase();
+    const subStatus = (response.data.sub_status || '').toLowerCase();
+    return { status: normalizeStatus(status, subStatus), subStatus: subStatus || status };
+  }
+}
+
+/**
+ * Any verifier with a GET/POST JSON API. `url` may contain {email};
+ * mapResponse(data) returns { status, subStatus } in the provider's own words.
+ */
+class HttpProvider {
+  constructor({ name = 'http', url, method = 'GET', headers = {}, timeout = 15000, mapResponse, http = axios } = {}) {
+    this.name = name;
+    this.http = http;
+    this.url = url;
+    this.method = method.toUpperCase();
+    this.headers = headers;
+    this.timeout = timeout;
+    this.mapResponse = mapResponse || (data => ({ status: data.status || data.result, subStatus: data.sub_status || data.reason }));
+  }
+
+  async verify(email) {
+    if (!this.url) return null;
+    const response = await this.http.request({
+      method: this.method,
+      url: this.url.replace('{email}', encodeURIComponent(email)),
+      data: this.method === 'GET' ? undefined : { email },
+      headers: this.headers,
+      timeout: this.timeout,
+      robots: false,
+    });
+    const { status, subStatus } = this.mapResponse(response.data || {});
+    return { status: normalizeStatus(status, subStatus), subStatus: subStatus || status || null };
+  }
+}
+
+/**
+ * Providers available from the environment, in the order they are tried.
+ * EMAIL_VERIFY_PROVIDERS (e.g. "zerobounce,smtp,mx") overrides the default order.
+ * `http` is the shared HttpClient (plain axios when omitted).
+ */
+function defaultProviders(http = axios) {
+  const all = {
+    zerobounce: new ZeroBounceProvider({ http }),
+    http: new HttpProvider({
+      http,
+      url: process.env.EMAIL_VERIFY_HTTP_URL,
+      method: process.env.EMAIL_VERIFY_HTTP_METHOD || 'GET',
+      headers: process.env.EMAIL_VERIFY_HTTP_AUTH ? { Authorization: process.env.EMAIL_VERIFY_HTTP_AUTH } : {},
+    }),
+    smtp: new SmtpProvider(),
+    mx: new MxProvider(),
+  };
+  const order = (process.env.EMAIL_VERIFY_PROVIDERS || 'zerobounce,http,smtp,mx').split(',').map(s => s.trim()).filter(Boolean);
+  return order.filter(name => all[name]).map(name => all[name]);
+}
+
+class EmailVerificationService {
+  constructor(dbClient, options = {}) {
+    this.db = dbClient;
+    this.providers = options.providers || defaultProviders(options.http);
+    this.cacheTtlDays = options.cacheTtlDays || CACHE_TTL_DAYS;
+    this.domainIntervalMs = options.domainIntervalMs !== undefined ? options.domainIntervalMs : DOMAIN_INTERVAL_MS;
+    this.mxCache = new Map();
+    this.catchAllCache = new Map();
+    this.nextSlot = new Map();
+  }
+
+  provider(name) {
+    return this.providers.find(p => p.name === name) || null;
+  }
+
+  // True when the local SMTP probe can run from this host
+  async smtpAvailable() {
+    const smtp = this.provider('smtp');
+    return smtp ? smtp.available() : false;
+  }
+
+  /**
+   * Verify one address. Returns { email, status, subStatus, provider, deliverable, confirmed, cached }.
+   * `confirmed` means a provider positively accepted the mailbox; `deliverable` means it is worth sending to.
+   * options.providers restricts the chain by name (e.g. ['smtp']); options.useCache=false forces a fresh check.
+   */
+  async verify(email, { providers, useCache = true } = {}) {
+    const address = String(email || '').trim().toLowerCase();
+    if (!EMAIL_RE.test(address)) return this._result(address, 'invalid', 'syntax', 'syntax');
+
+    const [localPart, domain] = address.split('@');
+    if (DISPOSABLE_DOMAINS.has(domain)) return this._result(address, 'disposable', 'disposable_domain', 'static');
+
+    if (useCache) {
+      const cached = await this._cached(address, providers);
+      if (cached) return { ...this._classify(address, localPart, cached.status, cached.sub_status, cached.provider), cached: true };
+    }
+
+    const chain = providers ? this.providers.filter(p => providers.includes(p.name)) : this.providers;
+    const mx = await this.resolveMx(domain);
+    const ctx = { domain, mx, service: this };
+
+    let outcome = null;
+    for (const provider of chain) {
+      let r;
+      try {
+        if (provider.name !== 'mx') await this._throttle(mx && mx[0] ? mx[0].exchange : domain);
+        r = await provider.verify(address, ctx);
+      } catch (err) {
+        console.error(`[EmailVerify] ${provider.name} failed for ${address}:`, err.message);
+        continue;
+      }
+      if (!r) continue;
+      outcome = { ...r, provider: provider.name };
+      if (r.status !== 'unknown') break;
+    }
+
+    if (!outcome) return this._result(address, 'unknown', 'no_provider', null);
+    const result = this._classify(address, localPart, outcome.status, outcome.subStatus, outcome.provider);
+    await this._store(result, domain, mx);
+    return result;
+  }
+
+  /**
+   * Does the domain accept mail at all (has MX records)?
+   */
+  async domainAcceptsMail(domain) {
+    const mx = await this.resolveMx(domain);
+    return !!(mx && mx.length > 0);
+  }
+
+  /**
+   * Does the domain's MX accept any recipient? Probed once per domain with a random address.
+   * Returns null when SMTP probing isn't possible from this host.
+   */
+  async isCatchAll(domain) {
+    if (this.catchAllCache.has(domain)) return this.catchAllCache.get(domain);
+    const smtp = this.provider('smtp');
+    if (!smtp || !(await smtp.available())) return null;
+    const mx = await this.resolveMx(domain);
+    if (!mx || mx.length === 0) return false;
+
+    await this._throttle(mx[0].exchange);
+    const probe = `verify-${crypto.randomBytes(6).toString('hex')}@${domain}`;
+    const catchAll = (await smtp.probe(probe, mx[0].exchange)) === 'valid';
+    this._remember(this.catchAllCache, domain, catchAll);
+    return catchAll;
+  }
+
+  async resolveMx(domain) {
+    if (this.mxCache.has(domain)) return this.mxCache.get(domain);
+    let records = null;
+    try {
+      records = await withTimeout(dns.resolveMx(domain), DNS_TIMEOUT, 'MX');
+      records.sort((a, b) => a.priority - b.priority);
+    } catch (err) {
+      records = null;
+    }
+    this._remember(this.mxCache, domain, records);
+    return records;
+  }
+
+  // Drop per-run DNS / catch-all knowledge (enrichers call this at the start of a run)
+  resetCaches() {
+    this.mxCache.clear();
+    this.catchAllCache.clear();
+  }
+
+  _classify(email, localPart, status, subStatus, provider) {
+    let finalStatus = normalizeStatus(status, subStatus);
+    let finalSub = subStatus || null;
+    // Role accounts are still mail-able; keep what the provider said about the mailbox in sub_status
+    if (ROLE_LOCALPARTS.has(localPart) && ['valid', 'catch-all', 'unknown'].includes(finalStatus)) {
+      finalSub = finalStatus;
+      finalStatus = 'role';
+    }
+    return this._result(email, finalStatus, finalSub, provider);
+  }
+
+  _result(email, status, subStatus, provider) {
+    const confirmed = status === 'valid' || (status === 'role' && subStatus === 'valid');
+    return {
+      email,
+      status,
+      subStatus,
+      provider,
+      confirmed,
+      deliverable: !['invalid', 'disposable'].includes(status),
+      cached: false,
+    };
+  }
+
+  async _cached(email, providers) {
+    const params = [email, this.cacheTtlDays];
+    let providerFilter = '';
+    if (providers) {
+      params.push(providers);
+      providerFilter = 'AND provider = ANY($3)';
+    }
+    const { rows } = await this.db.query(
+      `SELECT status, sub_status, provider FROM email_validations
+       WHERE email = $1 AND validated_at > NOW() - make_interval(days => $2) ${providerFilter}`,
+      params
+    );
+    return rows[0] || null;
+  }
+
+  async _store(result, domain, mx) {
+    try {
+      await this.db.query(
+        `INSERT INTO email_validations (email, status, sub_status, provider, domain, mx_host, validated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         ON CONFLICT (email) DO UPDATE SET status = $2, sub_status = $3, provider = $4,
+           domain = $5, mx_host = $6, validated_at = NOW()`,
+        [result.email, result.status, result.subStatus, result.provider, domain, mx && mx[0] ? mx[0].exchange : null]
+      );
+    } catch (err) {
+      console.error(`[EmailVerify] Cache write failed for ${result.email}:`, err.message);
+    }
+  }
+
+  // Reserve the next free slot for this host; concurrent callers queue behind each other
+  async _throttle(key) {
+    if (!this.domainIntervalMs) return;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(key) || 0);
+    this.nextSlot.set(key, slot + this.domainIntervalMs);
+    if (this.nextSlot.size > 5000) {
+      for (const [k, t] of this.nextSlot) if (t < now) this.nextSlot.delete(k);
+    }
+    if (slot > now) await new Promise(resolve => setTimeout(resolve, slot - now));
+  }
+
+  _remember(cache, key, value) {
+    if (cache.size > 10000) cache.clear();
+    cache.set(key, value);
+  }
+}
+
+module.exports = {
+  EmailVerificationService,
+  MxProvider,
+  SmtpProvider,
+  ZeroBounceProvider,
+  HttpProvider,
+  normalizeStatus,
+  EMAIL_STATUSES: STATUSES,
+};
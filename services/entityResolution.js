@@ -0,0 +1,222 @@
+// =====================================================
+// 🧬 SME ENTITY RESOLUTION — normalization, blocking keys, pairwise scoring
+// =====================================================
+// Pure functions only (no DB). scorePair() is a Fellegi–Sunter style model:
+// every comparable field adds or subtracts log-odds from a sceptical prior, and
+// the total is squashed into a 0–1 match confidence with the evidence attached.
+
+// Legal-form words dropped from the end of a name, EN + FR, matched after
+// accents and punctuation are stripped ("Ltée." → "ltee", "S.E.N.C." → "senc")
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'incorporee', 'ltd', 'limited', 'ltee', 'limitee', 'corp', 'corporation',
+  'co', 'company', 'cie', 'compagnie', 'llc', 'llp', 'lp', 'ulc', 'plc', 'pc', 'prof', 'senc', 'sencrl',
+  'enr', 'enrg', 'srl', 'sa', 'sarl', 'the',
+]);
+
+const PROVINCE_WORDS = [
+  'canada', 'ontario', 'quebec', 'alberta', 'british columbia', 'bc', 'manitoba', 'saskatchewan',
+  'nova scotia', 'new brunswick', 'newfoundland', 'newfoundland and labrador', 'prince edward island',
+  'pei', 'yukon', 'nunavut', 'northwest territories', 'nwt',
+];
+
+// Hosts that say nothing about which business a page belongs to
+const GENERIC_HOSTS = new Set([
+  'facebook.com', 'instagram.com', 'linkedin.com', 'twitter.com', 'x.com', 'youtube.com', 'google.com',
+  'yellowpages.ca', 'pagesjaunes.ca', '411.ca', 'bbb.org', 'yelp.ca', 'yelp.com', 'canada411.ca',
+  'gmail.com', 'hotmail.com', 'outlook.com', 'yahoo.com', 'yahoo.ca', 'sympatico.ca', 'shaw.ca', 'rogers.com',
+]);
+
+const STREET_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', av: 'ave', road: 'rd', boulevard: 'blvd', boul: 'blvd', drive: 'dr',
+  crescent: 'cres', court: 'crt', place: 'pl', lane: 'ln', highway: 'hwy', parkway: 'pkwy', square: 'sq',
+  suite: '', unit: '', bureau: '', north: 'n', south: 's', east: 'e', west: 'w', rue: 'rue', chemin: 'ch',
+};
+
+function fold(str) {
+  return String(str || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\.(?=[a-z]\b)/g, '')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a business name: { key, tokens, numbered }.
+ * "ACME Holdings Inc." and "Acme Holdings" share key "acme holdings";
+ * "1234567 Ontario Ltée" becomes numbered company "1234567" (key "#1234567").
+ */
+function normalizeBusinessName(name) {
+  // Bilingual legal names ("ACME INC. / GESTION ACME INC.") — the first form is enough
+  const primary = String(name || '').split(/\s+\/\s+/)[0];
+  let tokens = fold(primary).split(' ').filter(Boolean);
+  while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) tokens.pop();
+  while (tokens.length > 1 && tokens[0] === 'the') tokens.shift();
+
+  const joined = tokens.join(' ');
+  const numbered = joined.match(/^(\d{6,10})(?: (.+))?$/);
+  if (numbered && (!numbered[2] || PROVINCE_WORDS.includes(numbered[2]))) {
+    return { key: `#${numbered[1]}`, tokens, numbered: numbered[1] };
+  }
+  return { key: joined, tokens, numbered: null };
+}
+
+function normalizePostalCode(postal) {
+  const p = String(postal || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return /^[A-Z]\d[A-Z]\d[A-Z]\d$/.test(p) ? p : null;
+}
+
+function normalizePhone(phone) {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  return digits.length === 10 ? digits : null;
+}
+
+function normalizeWebsite(url) {
+  const host = String(url || '').toLowerCase().trim()
+    .replace(/^[a-z]+:\/\//, '').replace(/^www\d?\./, '').split(/[/?#:]/)[0];
+  if (!host || !host.includes('.') || GENERIC_HOSTS.has(host)) return null;
+  return host;
+}
+
+function normalizeAddress(address) {
+  const tokens = fold(address)
+    .replace(/\b[a-z]\d[a-z] ?\d[a-z]\d\b/g, '')
+    .split(' ')
+    .filter(Boolean)
+    .map(t => (STREET_ABBREVIATIONS[t] !== undefined ? STREET_ABBREVIATIONS[t] : t))
+    .filter(Boolean);
+  return tokens.length >= 2 ? tokens.join(' ') : null;
+}
+
+// directors is free-form JSONB: ["Jane Doe", ...] or [{ name }, ...]
+function normalizeDirectors(directors) {
+  if (!Array.isArray(directors)) return [];
+  return directors
+    .map(d => (typeof d === 'string' ? d : d && (d.name || d.full_name || [d.first_name, d.last_name].filter(Boolean).join(' '))))
+    .map(n => fold(n).split(' ').filter(t => t.length > 1).sort().join(' '))
+    .filter(Boolean);
+}
+
+/**
+ * Comparable view of a scraped_smes row (computed once per record).
+ */
+function profile(row) {
+  const name = normalizeBusinessName(row.business_name);
+  return {
+    id: row.id,
+    name,
+    province: String(row.province || '').trim().toUpperCase() || null,
+    city: fold(row.city) || null,
+    corporateNumber: String(row.corporate_number || '').replace(/\D/g, '') || null,
+    postal: normalizePostalCode(row.postal_code),
+    phone: normalizePhone(row.contact_phone || row.phone),
+    domain: normalizeWebsite(row.website),
+    address: normalizeAddress(row.full_address),
+    directors: normalizeDirectors(row.directors),
+  };
+}
+
+/**
+ * Blocking keys — records are only compared when they share at least one.
+ */
+function blockingKeys(p) {
+  const keys = [];
+  if (p.name.key) keys.push(['name', `${p.name.key}|${p.province || ''}`]);
+  if (p.corporateNumber) keys.push(['corp', p.corporateNumber]);
+  if (p.phone) keys.push(['phone', p.phone]);
+  if (p.domain) keys.push(['domain', p.domain]);
+  // A postal code alone can cover a whole office tower; pair it with the first name token
+  if (p.postal && p.name.tokens[0]) keys.push(['postal', `${p.postal}|${p.name.tokens[0]}`]);
+  return keys;
+}
+
+function bigrams(str) {
+  const s = str.replace(/ /g, '');
+  const grams = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * 0–1 similarity of two normalized names (max of token Jaccard and bigram Dice).
+ */
+function nameSimilarity(a, b) {
+  if (!a.key || !b.key) return 0;
+  if (a.key === b.key) return 1;
+  if (a.numbered || b.numbered) return 0;
+
+  const ta = new Set(a.tokens);
+  const tb = new Set(b.tokens);
+  const shared = [...ta].filter(t => tb.has(t)).length;
+  const jaccard = shared / (ta.size + tb.size - shared);
+
+  const ga = bigrams(a.key);
+  const gb = bigrams(b.key);
+  let overlap = 0, total = 0;
+  for (const [g, n] of ga) { overlap += Math.min(n, gb.get(g) || 0); total += n; }
+  for (const n of gb.values()) total += n;
+  const dice = total ? (2 * overlap) / total : 0;
+
+  return Math.max(jaccard, dice);
+}
+
+const PRIOR_LOG_ODDS = -3;
+
+/**
+ * Score two profiles: { confidence, evidence: [{ field, weight, detail }] }.
+ */
+function scorePair(a, b) {
+  const evidence = [];
+  const add = (field, weight, detail) => evidence.push({ field, weight, detail });
+
+  if (a.corporateNumber && b.corporateNumber) {
+    if (a.corporateNumber === b.corporateNumber) add('corporate_number', 8, 'equal');
+    else add('corporate_number', -8, 'different');
+  }
+
+  const sim = nameSimilarity(a.name, b.name);
+  if (a.name.numbered && b.name.numbered && a.name.numbered !== b.name.numbered) add('name', -8, 'different numbered companies');
+  else if (sim === 1) add('name', 5, 'normalized names equal');
+  else if (sim >= 0.9) add('name', 3.5, `similarity ${sim.toFixed(2)}`);
+  else if (sim >= 0.75) add('name', 1.5, `similarity ${sim.toFixed(2)}`);
+  else if (sim < 0.5) add('name', -4, `similarity ${sim.toFixed(2)}`);
+
+  if (a.province && b.province && a.province !== b.province) add('province', -2, `${a.province} vs ${b.province}`);
+  if (a.city && b.city) add('city', a.city === b.city ? 0.5 : -0.5, a.city === b.city ? 'equal' : 'different');
+  if (a.postal && b.postal) {
+    if (a.postal === b.postal) add('postal_code', 2, 'equal');
+    else if (a.postal.slice(0, 3) !== b.postal.slice(0, 3)) add('postal_code', -1, 'different FSA');
+  }
+  if (a.address && b.address && a.address === b.address) add('address', 2.5, 'equal');
+  if (a.phone && b.phone) add('phone', a.phone === b.phone ? 3 : -0.5, a.phone === b.phone ? 'equal' : 'different');
+  if (a.domain && b.domain) add('website', a.domain === b.domain ? 3.5 : -1, a.domain === b.domain ? 'equal' : 'different');
+
+  if (a.directors.length > 0 && b.directors.length > 0) {
+    const shared = a.directors.filter(d => b.directors.includes(d)).length;
+    if (shared > 0) add('directors', Math.min(3, 1.5 * shared), `${shared} shared`);
+  }
+
+  const logOdds = evidence.reduce((sum, e) => sum + e.weight, PRIOR_LOG_ODDS);
+  const confidence = Math.round((1 / (1 + Math.exp(-logOdds))) * 1000) / 1000;
+  return { confidence, evidence };
+}
+
+module.exports = {
+  fold,
+  normalizeBusinessName,
+  normalizePostalCode,
+  normalizePhone,
+  normalizeWebsite,
+  normalizeAddress,
+  normalizeDirectors,
+  nameSimilarity,
+  profile,
+  blockingKeys,
+  scorePair,
+};
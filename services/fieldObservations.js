@@ -0,0 +1,209 @@
+// =====================================================
+// 🔎 FIELD OBSERVATIONS — per-field provenance for enriched attributes
+// =====================================================
+// Every value an enricher proposes for website / contact_email / phone (SMEs)
+// or enriched_email / firm_website (CPAs) is recorded in field_observations
+// with its source, confidence and time. The column on the row is never
+// written directly any more: resolve() picks the winner by source trust, then
+// recency, and writes it back. Retracting a source (a bad scraper run) marks
+// its observations retracted and re-resolves every row it touched.
+
+// Which columns are resolved, per entity type, and where the winning source is mirrored
+const TARGETS = {
+  sme: {
+    table: 'scraped_smes',
+    fields: {
+      website: { sourceColumn: 'website_source' },
+      contact_email: { sourceColumn: 'enrichment_source' },
+      phone: {},
+    },
+  },
+  cpa: {
+    table: 'scraped_cpas',
+    fields: {
+      enriched_email: { sourceColumn: 'enrichment_source' },
+      firm_website: {},
+    },
+  },
+};
+
+// Source trust, highest first. Sources are matched by prefix ("website:acme.ca" → "website:").
+// "existing" is a value that was on the row before observations were recorded (loader data).
+const SOURCE_TRUST = [
+  ['manual', 100],
+  ['existing', 90],
+  ['website:', 85],
+  ['firm_website:', 85],
+  ['bbb', 80],
+  ['chamber', 80],
+  ['firm_directory:', 75],
+  ['yellowpages', 70],
+  ['411ca', 70],
+  ['apollo', 60],
+  ['pattern:', 40],
+  ['domain_guess', 30],
+];
+const DEFAULT_TRUST = 50;
+
+function sourceTrust(source) {
+  const s = String(source || '');
+  for (const [prefix, trust] of SOURCE_TRUST) {
+    if (s === prefix || s.startsWith(prefix)) return trust;
+  }
+  return DEFAULT_TRUST;
+}
+
+function target(entityType, field) {
+  const t = TARGETS[entityType];
+  if (!t) throw new Error(`Unknown entity type: ${entityType}`);
+  if (field !== undefined && !t.fields[field]) throw new Error(`Field ${field} is not tracked for ${entityType}`);
+  return t;
+}
+
+class FieldObservationStore {
+  constructor(dbClient) {
+    this.db = dbClient;
+  }
+
+  /**
+   * Record values proposed by one source and re-resolve those fields.
+   * values: { field: value }; empty values are ignored. Returns { field: winner }.
+   */
+  async observe(entityType, entityId, values, { source, confidence = 0.7, jobId = null } = {}) {
+    if (!source) throw new Error('source is required');
+    const fields = Object.keys(values).filter(f => values[f] !== undefined && values[f] !== null && String(values[f]).trim() !== '');
+    for (const f of fields) target(entityType, f);
+    if (fields.length === 0) return {};
+
+    await this._seedExisting(entityType, entityId, fields);
+    for (const field of fields) {
+      await this.db.query(
+        `INSERT INTO field_observations (entity_type, entity_id, field, value, source, confidence, scrape_job_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (entity_type, entity_id, field, source, value) DO UPDATE SET
+           observed_at = NOW(), confidence = EXCLUDED.confidence, scrape_job_id = EXCLUDED.scrape_job_id,
+           retracted_at = NULL, retract_reason = NULL`,
+        [entityType, entityId, field, String(values[field]).trim(), source, confidence, jobId]
+      );
+    }
+
+    const winners = {};
+    for (const field of fields) winners[field] = await this.resolve(entityType, entityId, field);
+    return winners;
+  }
+
+  /**
+   * Pick the winning observation (trust, then recency, then confidence) and write it to the row.
+   */
+  async resolve(entityType, entityId, field) {
+    const t = target(entityType, field);
+    const { rows } = await this.db.query(
+      `SELECT * FROM field_observations
+       WHERE entity_type = $1 AND entity_id = $2 AND field = $3 AND retracted_at IS NULL`,
+      [entityType, entityId, field]
+    );
+    const winner = rows.sort((a, b) =>
+      sourceTrust(b.source) - sourceTrust(a.source) ||
+      new Date(b.observed_at) - new Date(a.observed_at) ||
+      parseFloat(b.confidence || 0) - parseFloat(a.confidence || 0)
+    )[0] || null;
+
+    await this.db.query(
+      `UPDATE field_observations SET is_current = COALESCE(id = $4, FALSE)
+       WHERE entity_type = $1 AND entity_id = $2 AND field = $3`,
+      [entityType, entityId, field, winner ? winner.id : null]
+    );
+
+    const { sourceColumn } = t.fields[field];
+    const sets = [`${field} = $2`, 'updated_at = NOW()'];
+    const params = [entityId, winner ? winner.value : null];
+    if (sourceColumn) { sets.push(`${sourceColumn} = $3`); params.push(winner ? winner.source : null); }
+    await this.db.query(`UPDATE ${t.table} SET ${sets.join(', ')} WHERE id = $1`, params);
+    return winner;
+  }
+
+  /**
+   * Every observation for a row, grouped by field, with the current winner marked.
+   */
+  async explain(entityType, entityId) {
+    target(entityType);
+    const { rows } = await this.db.query(
+      `SELECT * FROM field_observations WHERE entity_type = $1 AND entity_id = $2 ORDER BY field, observed_at DESC`,
+      [entityType, entityId]
+    );
+    const fields = {};
+    for (const o of rows) {
+      if (!fields[o.field]) fields[o.field] = { current: null, observations: [] };
+      const entry = { ...o, trust: sourceTrust(o.source) };
+      fields[o.field].observations.push(entry);
+      if (o.is_current) fields[o.field].current = entry;
+    }
+    return fields;
+  }
+
+  /**
+   * Roll back a source: retract its observations (optionally one field / since a date)
+   * and re-resolve every affected row. With dryRun, only reports what would change.
+   */
+  async retractSource(source, { field, since, reason, dryRun = false, exact = false } = {}) {
+    if (!source) throw new Error('source is required');
+    const conditions = ['retracted_at IS NULL', exact ? 'source = $1' : '(source = $1 OR source LIKE $1 || \':%\')'];
+    const params = [source];
+    if (field) { params.push(field); conditions.push(`field = $${params.length}`); }
+    if (since) { params.push(since); conditions.push(`observed_at >= $${params.length}`); }
+    const where = conditions.join(' AND ');
+
+    const affected = await this.db.query(
+      `SELECT entity_type, entity_id, field, COUNT(*) AS observations, BOOL_OR(is_current) AS was_current
+       FROM field_observations WHERE ${where} GROUP BY entity_type, entity_id, field`,
+      params
+    );
+    const summary = {
+      observations: affected.rows.reduce((sum, r) => sum + parseInt(r.observations), 0),
+      fields: affected.rows.length,
+      currentValuesReplaced: affected.rows.filter(r => r.was_current).length,
+    };
+    if (dryRun) return { ...summary, dryRun: true };
+
+    params.push(reason || `rollback of ${source}`);
+    await this.db.query(
+      `UPDATE field_observations SET retracted_at = NOW(), retract_reason = $${params.length} WHERE ${where}`,
+      params
+    );
+    // Only rows where the retracted source was winning change value
+    for (const r of affected.rows.filter(row => row.was_current)) {
+      await this.resolve(r.entity_type, r.entity_id, r.field);
+    }
+    return summary;
+  }
+
+  // Values already on the row before any observation existed become an "existing"
+  // observation (or keep their recorded source), so enrichers can't silently clobber loader data.
+  async _seedExisting(entityType, entityId, fields) {
+    const t = target(entityType);
+    const seeded = await this.db.query(
+      `SELECT DISTINCT field FROM field_observations WHERE entity_type = $1 AND entity_id = $2 AND field = ANY($3)`,
+      [entityType, entityId, fields]
+    );
+    const missing = fields.filter(f => !seeded.rows.some(r => r.field === f));
+    if (missing.length === 0) return;
+
+    const columns = [...new Set(missing.flatMap(f => [f, t.fields[f].sourceColumn].filter(Boolean)))];
+    const row = await this.db.query(`SELECT ${columns.join(', ')} FROM ${t.table} WHERE id = $1`, [entityId]);
+    if (row.rows.length === 0) throw new Error(`${t.table} #${entityId} not found`);
+    const current = row.rows[0];
+
+    for (const f of missing) {
+      if (!current[f]) continue;
+      const { sourceColumn } = t.fields[f];
+      await this.db.query(
+        `INSERT INTO field_observations (entity_type, entity_id, field, value, source, confidence, is_current)
+         VALUES ($1, $2, $3, $4, $5, NULL, TRUE)
+         ON CONFLICT (entity_type, entity_id, field, source, value) DO NOTHING`,
+        [entityType, entityId, f, String(current[f]), (sourceColumn && current[sourceColumn]) || 'existing']
+      );
+    }
+  }
+}
+
+module.exports = { FieldObservationStore, sourceTrust, FIELD_OBSERVATION_TARGETS: TARGETS };
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const axios = require('axios');
+
+// =====================================================
+// 🌐 OUTBOUND HTTP CLIENT — politeness, robots.txt, retries, record/replay
+// =====================================================
+// Every scraper and enricher goes through one HttpClient instance instead of
+// calling axios directly. Per host it enforces a concurrency cap and a minimum
+// gap between requests (raised to the site's Crawl-delay when robots.txt sets
+// one), refuses URLs robots.txt disallows, retries 429 / 5xx / connection
+// resets with jittered exponential backoff (honouring Retry-After), and keeps
+// request / error counts so a misbehaving host is visible in the admin API.
+//
+// The call surface mirrors axios (get / post / request → { status, headers, data }),
+// plus per-request options: robots (false for documented APIs and bulk data
+// downloads — robots.txt governs crawling) and retries.
+//
+// HTTP_MODE=record saves every response under HTTP_FIXTURES_DIR; HTTP_MODE=replay
+// serves them back without touching the network (missing fixture → error).
+
+const DEFAULT_USER_AGENT = process.env.HTTP_USER_AGENT || 'Mozilla/5.0 (compatible; SME-Intelligence-Bot/1.0)';
+const ROBOTS_TOKEN = 'sme-intelligence-bot';
+const DEFAULT_CONCURRENCY = parseInt(process.env.HTTP_HOST_CONCURRENCY) || 2;
+const DEFAULT_INTERVAL_MS = process.env.HTTP_HOST_INTERVAL_MS !== undefined ? parseInt(process.env.HTTP_HOST_INTERVAL_MS) : 500;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE']);
+const RECENT_WINDOW = 100;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// =====================================================
+// robots.txt
+// =====================================================
+
+class RobotsTxt {
+  /**
+   * Parse a robots.txt body and keep the group that applies to `token` (falling back to "*").
+   */
+  constructor(body, token = ROBOTS_TOKEN) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+    for (const raw of String(body || '').split(/\r?\n/)) {
+      const line = raw.replace(/#.*$/, '').trim();
+      const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+      if (!m) continue;
+      const key = m[1].toLowerCase();
+      const value = m[2].trim();
+      if (key === 'user-agent') {
+        if (!lastWasAgent) { current = { agents: [], rules: [], crawlDelay: null }; groups.push(current); }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+      lastWasAgent = false;
+      if (!current) continue;
+      if ((key === 'allow' || key === 'disallow') && value) current.rules.push({ allow: key === 'allow', pattern: value });
+      if (key === 'crawl-delay' && !isNaN(parseFloat(value))) current.crawlDelay = parseFloat(value);
+    }
+
+    const mine = groups.find(g => g.agents.some(a => a !== '*' && token.includes(a)));
+    const group = mine || groups.find(g => g.agents.includes('*')) || { rules: [], crawlDelay: null };
+    this.rules = group.rules.map(r => ({ ...r, regex: RobotsTxt._compile(r.pattern), length: r.pattern.length }));
+    this.crawlDelayMs = group.crawlDelay !== null ? Math.min(group.crawlDelay * 1000, 60000) : null;
+  }
+
+  static _compile(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  /**
+   * Longest matching rule wins; Allow wins a tie. No matching rule → allowed.
+   */
+  isAllowed(pathWithQuery) {
+    let best = null;
+    for (const rule of this.rules) {
+      if (!rule.regex.test(pathWithQuery)) continue;
+      if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) best = rule;
+    }
+    return !best || best.allow;
+  }
+}
+
+const ALLOW_ALL = new RobotsTxt('');
+
+// =====================================================
+// Fixture addressing — shared with the stand-in replay server (scripts/fixtures)
+// =====================================================
+
+/**
+ * Stable key for a request: method + URL + sorted params + body.
+ */
+function fixtureKey(config) {
+  const params = config.params ? JSON.stringify(Object.keys(config.params).sort().map(k => [k, config.params[k]])) : '';
+  const body = config.data === undefined ? '' : (typeof config.data === 'string' ? config.data : JSON.stringify(config.data));
+  return crypto.createHash('sha1').update(`${(config.method || 'get').toUpperCase()} ${config.url} ${params} ${body}`).digest('hex');
+}
+
+function fixtureHost(url) {
+  return new URL(url).host.replace(/[^a-z0-9.-]/gi, '_');
+}
+
+// =====================================================
+// HttpClient
+// =====================================================
+
+class HttpClient {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    this.defaultPolicy = {
+      concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+      minIntervalMs: options.minIntervalMs !== undefined ? options.minIntervalMs : DEFAULT_INTERVAL_MS,
+    };
+    // { 'api.apollo.io': { concurrency, minIntervalMs } } — matched on the host or any parent domain
+    this.hostPolicies = { ...HttpClient._envPolicies(), ...(options.hosts || {}) };
+    this.retries = options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+    this.mode = options.mode || process.env.HTTP_MODE || 'live';
+    this.fixturesDir = options.fixturesDir || process.env.HTTP_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'http');
+    this.transport = options.transport || (config => axios.request(config));
+    this.hosts = new Map();
+    this.robots = new Map();
+  }
+
+  static _envPolicies() {
+    try {
+      return process.env.HTTP_HOST_POLICIES ? JSON.parse(process.env.HTTP_HOST_POLICIES) : {};
+    } catch (err) {
+      console.error('[HTTP] Ignoring malformed HTTP_HOST_POLICIES:', err.message);
+      return {};
+    }
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  head(url, config = {}) {
+    return this.request({ ...config, method: 'head', url });
+  }
+
+  /**
+   * axios-style request. Extra config: robots (default true), retries (default 2).
+   */
+  async request(config) {
+    const { robots = true, retries = this.retries, ...axiosConfig } = config;
+    axiosConfig.method = (axiosConfig.method || 'get').toLowerCase();
+    axiosConfig.headers = { ...(axiosConfig.headers || {}) };
+    if (!Object.keys(axiosConfig.headers).some(h => h.toLowerCase() === 'user-agent')) {
+      axiosConfig.headers['User-Agent'] = this.userAgent;
+    }
+    const target = new URL(axiosConfig.url);
+    const state = this._hostState(target.host);
+
+    if (robots) {
+      const rules = await this._robotsFor(target);
+      if (!rules.isAllowed(target.pathname + target.search)) {
+        state.robotsBlocked++;
+        const err = new Error(`Blocked by robots.txt: ${axiosConfig.url}`);
+        err.code = 'ERR_ROBOTS_DISALLOWED';
+        err.config = axiosConfig;
+        throw err;
+      }
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let error = null;
+      try {
+        response = await this._send(target.host, axiosConfig);
+      } catch (err) {
+        error = err;
+      }
+
+      const status = response ? response.status : null;
+      const retryable = response ? RETRYABLE_STATUSES.has(status) : RETRYABLE_CODES.has(error.code);
+      this._record(state, status, error);
+
+      if (retryable && attempt < retries) {
+        state.retries++;
+        const wait = this._backoff(attempt, response);
+        console.warn(`[HTTP] ${target.host} ${status || error.code} — retry ${attempt + 1}/${retries} in ${Math.round(wait / 1000)}s`);
+        if (response && response.data && typeof response.data.destroy === 'function') response.data.destroy();
+        await sleep(wait);
+        continue;
+      }
+      if (error) throw error;
+      return this._settle(response, axiosConfig);
+    }
+  }
+
+  /**
+   * Per-host counters: requests, errors, retries, robots blocks, status histogram and error rates.
+   */
+  hostStats() {
+    return [...this.hosts.entries()].map(([host, s]) => ({
+      host,
+      requests: s.requests,
+      errors: s.errors,
+      retries: s.retries,
+      robots_blocked: s.robotsBlocked,
+      error_rate: s.requests ? Math.round((s.errors / s.requests) * 1000) / 1000 : 0,
+      recent_error_rate: s.recent.length ? Math.round((s.recent.filter(Boolean).length / s.recent.length) * 1000) / 1000 : 0,
+      by_status: s.byStatus,
+      in_flight: s.active,
+      queued: s.waiters.length,
+      min_interval_ms: this._intervalFor(host, s),
+      last_error: s.lastError,
+      last_error_at: s.lastErrorAt,
+    })).sort((a, b) => b.recent_error_rate - a.recent_error_rate || b.requests - a.requests);
+  }
+
+  // One attempt: wait for a host slot, then hit the network (or the fixture store)
+  async _send(host, config) {
+    const state = this._hostState(host);
+    await this._acquire(host, state);
+    try {
+      return await this._exchange({ ...config, validateStatus: () => true });
+    } finally {
+      this._release(state);
+    }
+  }
+
+  async _exchange(config) {
+    if (this.mode === 'replay') return this._replay(config);
+    const response = await this.transport(config);
+    if (this.mode === 'record') return this._recordFixture(config, response);
+    return response;
+  }
+
+  // Emulate axios: reject when the caller's validateStatus (default 2xx) rejects the status
+  _settle(response, config) {
+    const validate = config.validateStatus === undefined ? (s => s >= 200 && s < 300) : config.validateStatus;
+    if (!validate || validate(response.status)) return response;
+    const err = new Error(`Request failed with status code ${response.status}`);
+    err.code = response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST';
+    err.config = config;
+    err.response = response;
+    err.isAxiosError = true;
+    throw err;
+  }
+
+  _backoff(attempt, response) {
+    const retryAfter = response && response.headers && response.headers['retry-after'];
+    if (retryAfter) {
+      const seconds = parseInt(retryAfter);
+      const ms = !isNaN(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+      if (ms > 0) return Math.min(ms, RETRY_MAX_MS);
+    }
+    // Full jitter: anywhere between half and all of the exponential step
+    const step = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+    return step / 2 + Math.random() * (step / 2);
+  }
+
+  _record(state, status, error) {
+    const failed = !!error || status >= 500 || status === 429;
+    state.requests++;
+    if (status) state.byStatus[status] = (state.byStatus[status] || 0) + 1;
+    if (failed) {
+      state.errors++;
+      state.lastError = error ? (error.code || error.message) : `HTTP ${status}`;
+      state.lastErrorAt = new Date().toISOString();
+    }
+    state.recent.push(failed);
+    if (state.recent.length > RECENT_WINDOW) state.recent.shift();
+  }
+
+  // ----- per-host politeness -----
+
+  _hostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        policy: this._policyFor(host), active: 0, waiters: [], nextAt: 0, crawlDelayMs: null,
+        requests: 0, errors: 0, retries: 0, robotsBlocked: 0, byStatus: {}, recent: [], lastError: null, lastErrorAt: null,
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  _policyFor(host) {
+    const parts = host.split(':')[0].split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const candidate = parts.slice(i).join('.');
+      if (this.hostPolicies[candidate]) return { ...this.defaultPolicy, ...this.hostPolicies[candidate] };
+    }
+    return { ...this.defaultPolicy };
+  }
+
+  _intervalFor(host, state) {
+    return Math.max(state.policy.minIntervalMs, state.crawlDelayMs || 0);
+  }
+
+  async _acquire(host, state) {
+    // A released slot is handed straight to the next waiter, so `active` never overshoots
+    if (state.active >= state.policy.concurrency) await new Promise(resolve => state.waiters.push(resolve));
+    else state.active++;
+    const now = Date.now();
+    const slot = Math.max(now, state.nextAt);
+    state.nextAt = slot + this._intervalFor(host, state);
+    if (slot > now) await sleep(slot - now);
+  }
+
+  _release(state) {
+    const next = state.waiters.shift();
+    if (next) next();
+    else state.active--;
+  }
+
+  // ----- robots.txt -----
+
+  async _robotsFor(target) {
+    const cached = this.robots.get(target.host);
+    if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL_MS) return cached.rules;
+    if (cached && cached.pending) return cached.pending;
+
+    const pending = (async () => {
+      let rules = ALLOW_ALL;
+      try {
+        const res = await this._send(target.host, {
+          method: 'get', url: `${target.protocol}//${target.host}/robots.txt`,
+          headers: { 'User-Agent': this.userAgent }, timeout: 10000, responseType: 'text', maxRedirects: 3,
+        });
+        // 4xx (no robots.txt) means no restrictions; 5xx / network errors are treated the same
+        if (res.status >= 200 && res.status < 300 && typeof res.data === 'string') rules = new RobotsTxt(res.data);
+      } catch (err) {
+        // Unreachable robots.txt — allow, the request itself will surface the problem
+      }
+      const state = this._hostState(target.host);
+      state.crawlDelayMs = rules.crawlDelayMs;
+      this.robots.set(target.host, { rules, fetchedAt: Date.now() });
+      return rules;
+    })();
+    this.robots.set(target.host, { pending, fetchedAt: 0 });
+    return pending;
+  }
+
+  // ----- record / replay -----
+
+  _fixturePath(config, ext = 'json') {
+    return path.join(this.fixturesDir, fixtureHost(config.url), `${fixtureKey(config)}.${ext}`);
+  }
+
+  async _recordFixture(config, response) {
+    const file = this._fixturePath(config);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const fixture = {
+      request: { method: config.method.toUpperCase(), url: config.url, params: config.params || null },
+      response: { status: response.status, statusText: response.statusText, headers: response.headers },
+      recorded_at: new Date().toISOString(),
+    };
+
+    if (config.responseType === 'stream') {
+      // Tee the body to disk while the caller consumes it
+      const bodyFile = this._fixturePath(config, 'body');
+      const tee = new PassThrough();
+      response.data.pipe(fs.createWriteStream(bodyFile));
+      response.data.pipe(tee);
+      fixture.response.body = path.basename(bodyFile);
+      await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2));
+      return { ...response, data: tee };
+    }
+
+    if (Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer) {
+      fixture.response.encoding = 'base64';
+      fixture.response.data = Buffer.from(response.data).toString('base64');
+    } else {
+      fixture.response.data = response.data;
+    }
+    await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2));
+    return response;
+  }
+
+  async _replay(config) {
+    const file = this._fixturePath(config);
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+      const missing = new Error(`No recorded fixture for ${config.method.toUpperCase()} ${config.url} (${path.relative(process.cwd(), file)})`);
+      missing.code = 'ERR_NO_FIXTURE';
+      throw missing;
+    }
+
+    const r = fixture.response;
+    let data = r.data;
+    if (r.body) data = fs.createReadStream(path.join(path.dirname(file), r.body));
+    else if (r.encoding === 'base64') data = Buffer.from(r.data, 'base64');
+    return { status: r.status, statusText: r.statusText, headers: r.headers || {}, data, config, request: {} };
+  }
+}
+
+module.exports = { HttpClient, RobotsTxt, fixtureKey, fixtureHost };
@@ -0,0 +1,395 @@
+const os = require('os');
+const { withTransaction } = require('../db/pool');
+
+// =====================================================
+// 🧵 PERSISTENT JOB QUEUE (Postgres-backed)
+// =====================================================
+// Jobs live in the job_queue table so a restart or redeploy never loses them.
+// A worker claims a job with FOR UPDATE SKIP LOCKED, holds a lease that it
+// renews via heartbeat, and either completes it, schedules a retry with
+// exponential backoff, or fails it once max_attempts is reached. A job whose
+// lease runs out (worker crashed / container killed) is reaped back to queued.
+// Jobs sharing a concurrency_group never run at the same time: a queued job
+// is not claimable while another job in its group is running, and claims in
+// one group are serialized with a transaction-scoped advisory lock.
+
+const DEFAULT_LEASE_SECONDS = 300;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 3600;
+const POLL_INTERVAL_MS = 5000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * What a failed attempt turns into: another try after an exponential backoff
+ * (before jitter) while attempts remain and nobody cancelled it, otherwise a
+ * terminal 'failed' / 'cancelled'.
+ */
+function retryPlan(job, aborted) {
+  if (job.attempts < job.max_attempts && !aborted) {
+    return { status: 'queued', backoffSeconds: Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** (job.attempts - 1)) };
+  }
+  return { status: aborted ? 'cancelled' : 'failed', backoffSeconds: 0 };
+}
+
+class JobQueue {
+  constructor(dbClient, options = {}) {
+    this.db = dbClient;
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.handlers = new Map();
+    this.active = new Map();
+    this.timer = null;
+    this.polling = false;
+    this.stopped = true;
+    this.bootedAt = new Date();
+  }
+
+  /**
+   * Register a job type. `sources` lists the scrape_jobs.source values the
+   * handler writes, so lease expiry can fail the matching scrape_jobs rows.
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      leaseSeconds: options.leaseSeconds || DEFAULT_LEASE_SECONDS,
+      sources: options.sources || [type],
+      concurrencyGroup: options.concurrencyGroup || null,
+    });
+  }
+
+  concurrencyGroupOf(type) {
+    const def = this.handlers.get(type);
+    return def ? def.concurrencyGroup : null;
+  }
+
+  hasType(type) {
+    return this.handlers.has(type);
+  }
+
+  types() {
+    return [...this.handlers.keys()];
+  }
+
+  /**
+   * Enqueue a job. Only one queued/running job per type is allowed; if one
+   * already exists it is returned with `existing: true` instead.
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const def = this.handlers.get(type);
+    if (!def) throw new Error(`Unknown job type: ${type}`);
+
+    const inserted = await this.db.query(
+      `INSERT INTO job_queue (job_type, payload, max_attempts, run_after, requested_by, concurrency_group, max_runtime_seconds)
+       VALUES ($1, $2, $3, NOW() + ($4 || ' seconds')::interval, $5, $6, $7)
+       ON CONFLICT (job_type) WHERE status IN ('queued', 'running') DO NOTHING
+       RETURNING *`,
+      [type, JSON.stringify(payload), options.maxAttempts || def.maxAttempts,
+       String(options.delaySeconds || 0), options.requestedBy || null,
+       options.concurrencyGroup !== undefined ? options.concurrencyGroup : def.concurrencyGroup,
+       options.maxRuntimeSeconds || null]
+    );
+    if (inserted.rows.length > 0) {
+      console.log(`[JobQueue] Enqueued ${type} as job #${inserted.rows[0].id}`);
+      return { job: inserted.rows[0], existing: false };
+    }
+
+    const existing = await this.db.query(
+      `SELECT * FROM job_queue WHERE job_type = $1 AND status = ANY($2) ORDER BY id DESC LIMIT 1`,
+      [type, ACTIVE_STATUSES]
+    );
+    return { job: existing.rows[0], existing: true };
+  }
+
+  async getJob(id) {
+    const r = await this.db.query(`SELECT * FROM job_queue WHERE id = $1`, [id]);
+    return r.rows[0] || null;
+  }
+
+  async listJobs({ status, type, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) { params.push(status); conditions.push(`status = $${params.length}`); }
+    if (type) { params.push(type); conditions.push(`job_type = $${params.length}`); }
+    params.push(Math.min(200, parseInt(limit) || 50));
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const r = await this.db.query(
+      `SELECT * FROM job_queue ${where} ORDER BY created_at DESC LIMIT $${params.length}`,
+      params
+    );
+    return r.rows;
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled immediately; running jobs get
+   * cancel_requested, which the owning worker picks up on its next heartbeat
+   * and surfaces to the handler through job.signal.
+   */
+  async cancel(id) {
+    const queued = await this.db.query(
+      `UPDATE job_queue SET status = 'cancelled', completed_at = NOW()
+       WHERE id = $1 AND status = 'queued' RETURNING *`,
+      [id]
+    );
+    if (queued.rows.length > 0) return queued.rows[0];
+
+    const running = await this.db.query(
+      `UPDATE job_queue SET cancel_requested = true
+       WHERE id = $1 AND status = 'running' RETURNING *`,
+      [id]
+    );
+    if (running.rows.length > 0) {
+      const local = this.active.get(running.rows[0].id);
+      if (local) local.abort.abort();
+      return running.rows[0];
+    }
+    return this.getJob(id);
+  }
+
+  /**
+   * Requeue (or fail, if out of attempts) running jobs whose lease has
+   * expired, and fail the scrape_jobs rows they left behind.
+   */
+  async reapExpiredLeases() {
+    const expired = await this.db.query(
+      `UPDATE job_queue
+       SET status = CASE WHEN attempts >= max_attempts OR cancel_requested THEN
+                      CASE WHEN cancel_requested THEN 'cancelled' ELSE 'failed' END
+                    ELSE 'queued' END,
+           run_after = NOW(),
+           last_error = 'Lease expired (worker ' || COALESCE(locked_by, 'unknown') || ' stopped heartbeating)',
+           locked_by = NULL,
+           lease_expires_at = NULL,
+           completed_at = CASE WHEN attempts >= max_attempts OR cancel_requested THEN NOW() ELSE NULL END
+       WHERE status = 'running' AND lease_expires_at < NOW()
+       RETURNING id, job_type, status, started_at`
+    );
+
+    for (const job of expired.rows) {
+      const def = this.handlers.get(job.job_type);
+      const sources = def ? def.sources : [job.job_type];
+      await this.db.query(
+        `UPDATE scrape_jobs SET status = 'failed', error_message = 'Lease expired: worker lost', completed_at = NOW()
+         WHERE status = 'running' AND source = ANY($1) AND started_at >= $2`,
+        [sources, job.started_at]
+      );
+      console.log(`[JobQueue] Lease expired on job #${job.id} (${job.job_type}) → ${job.status}`);
+    }
+    return expired.rows.length;
+  }
+
+  /**
+   * Fail scrape_jobs rows left 'running' by a previous process: started
+   * before this process booted and not covered by any live lease.
+   */
+  async failOrphanedScrapeJobs() {
+    const live = await this.db.query(
+      `SELECT DISTINCT job_type FROM job_queue WHERE status = 'running' AND lease_expires_at >= NOW()`
+    );
+    const liveSources = [];
+    for (const row of live.rows) {
+      const def = this.handlers.get(row.job_type);
+      liveSources.push(...(def ? def.sources : [row.job_type]));
+    }
+    const r = await this.db.query(
+      `UPDATE scrape_jobs SET status = 'failed', error_message = 'Stale: no live job lease', completed_at = NOW()
+       WHERE status = 'running' AND started_at < $1 AND NOT (source = ANY($2))`,
+      [this.bootedAt, liveSources]
+    );
+    return r.rowCount;
+  }
+
+  /**
+   * Start polling for work.
+   */
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    console.log(`[JobQueue] Worker ${this.workerId} started (concurrency=${this.concurrency}, types=${this.handlers.size})`);
+    this._schedulePoll(0);
+  }
+
+  async stop() {
+    this.stopped = true;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedulePoll(delayMs) {
+    if (this.stopped) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._poll(), delayMs);
+  }
+
+  async _poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      await this.reapExpiredLeases();
+      while (!this.stopped && this.active.size < this.concurrency) {
+        const job = await this._claim();
+        if (!job) break;
+        this._run(job);
+      }
+    } catch (err) {
+      console.error('[JobQueue] Poll error:', err.message);
+    } finally {
+      this.polling = false;
+    }
+    this._schedulePoll(this.pollIntervalMs);
+  }
+
+  // job_type → lease seconds, so a claim starts with the same lease its heartbeat renews
+  _leases() {
+    const leases = {};
+    for (const [type, def] of this.handlers) leases[type] = def.leaseSeconds;
+    return JSON.stringify(leases);
+  }
+
+  /**
+   * Claim the next runnable job. A grouped job is only taken while holding its
+   * group's advisory lock (pg_try_advisory_xact_lock, released at COMMIT), and
+   * the "nothing running in the group" check is repeated under that lock: the
+   * candidate query's snapshot can predate another worker's claim that
+   * committed while we waited, so SKIP LOCKED alone lets two workers in.
+   */
+  async _claim() {
+    if (this.handlers.size === 0) return null;
+    return withTransaction(this.db, async (client) => {
+      const candidate = await client.query(
+        `SELECT id, concurrency_group FROM job_queue q
+         WHERE q.status = 'queued' AND q.run_after <= NOW() AND q.job_type = ANY($1)
+           AND (q.concurrency_group IS NULL OR (
+             NOT EXISTS (
+               SELECT 1 FROM job_queue r
+               WHERE r.status = 'running' AND r.concurrency_group = q.concurrency_group
+             )
+             AND pg_try_advisory_xact_lock(hashtext(q.concurrency_group))
+           ))
+         ORDER BY q.run_after, q.id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1`,
+        [this.types()]
+      );
+      const next = candidate.rows[0];
+      if (!next) return null;
+
+      if (next.concurrency_group) {
+        const running = await client.query(
+          `SELECT 1 FROM job_queue WHERE status = 'running' AND concurrency_group = $1 LIMIT 1`,
+          [next.concurrency_group]
+        );
+        if (running.rows.length > 0) return null;
+      }
+
+      const r = await client.query(
+        `UPDATE job_queue
+         SET status = 'running', attempts = attempts + 1, locked_by = $1,
+             started_at = NOW(), heartbeat_at = NOW(),
+             lease_expires_at = NOW() + (($3::jsonb ->> job_type) || ' seconds')::interval
+         WHERE id = $2
+         RETURNING *`,
+        [this.workerId, next.id, this._leases()]
+      );
+      return r.rows[0] || null;
+    });
+  }
+
+  async _run(job) {
+    const def = this.handlers.get(job.job_type);
+    const abort = new AbortController();
+    const heartbeat = setInterval(() => this._heartbeat(job, def, abort), (def.leaseSeconds * 1000) / 3);
+    this.active.set(job.id, { job, abort, heartbeat });
+    job.signal = abort.signal;
+
+    console.log(`[JobQueue] Running job #${job.id} (${job.job_type}), attempt ${job.attempts}/${job.max_attempts}`);
+    try {
+      const result = await def.handler(job);
+      await this.db.query(
+        `UPDATE job_queue
+         SET status = CASE WHEN cancel_requested THEN 'cancelled' ELSE 'completed' END,
+             result = $2, completed_at = NOW(), locked_by = NULL, lease_expires_at = NULL
+         WHERE id = $1 AND locked_by = $3`,
+        [job.id, JSON.stringify(result === undefined ? null : result), this.workerId]
+      );
+      console.log(`[JobQueue] ✅ Job #${job.id} (${job.job_type}) finished`);
+    } catch (err) {
+      await this._handleFailure(job, err);
+    } finally {
+      clearInterval(heartbeat);
+      this.active.delete(job.id);
+      this._schedulePoll(0);
+    }
+  }
+
+  async _handleFailure(job, err) {
+    const { status, backoffSeconds: backoff } = retryPlan(job, job.signal.aborted);
+    const retryable = status === 'queued';
+    const jitter = Math.floor(Math.random() * backoff * 0.2);
+    try {
+      await this.db.query(
+        `UPDATE job_queue
+         SET status = $2, last_error = $3, locked_by = NULL, lease_expires_at = NULL,
+             run_after = NOW() + ($4 || ' seconds')::interval, completed_at = $6
+         WHERE id = $1 AND locked_by = $5`,
+        [job.id, status, err.message, String(backoff + jitter), this.workerId, retryable ? null : new Date()]
+      );
+    } catch (dbErr) {
+      console.error(`[JobQueue] Could not record failure for job #${job.id}:`, dbErr.message);
+    }
+    if (retryable) {
+      console.error(`❌ [JobQueue] Job #${job.id} (${job.job_type}) failed, retrying in ${backoff + jitter}s:`, err.message);
+    } else {
+      console.error(`❌ [JobQueue] Job #${job.id} (${job.job_type}) failed permanently:`, err.message);
+    }
+  }
+
+  async _heartbeat(job, def, abort) {
+    if (job.max_runtime_seconds && Date.now() - new Date(job.started_at).getTime() > job.max_runtime_seconds * 1000) {
+      return this._timeOut(job, abort);
+    }
+    try {
+      const r = await this.db.query(
+        `UPDATE job_queue SET heartbeat_at = NOW(), lease_expires_at = NOW() + ($3 || ' seconds')::interval
+         WHERE id = $1 AND locked_by = $2 RETURNING cancel_requested`,
+        [job.id, this.workerId, String(def.leaseSeconds)]
+      );
+      if (r.rows.length === 0) {
+        console.error(`[JobQueue] Lost lease on job #${job.id} (${job.job_type})`);
+        abort.abort();
+      } else if (r.rows[0].cancel_requested && !abort.signal.aborted) {
+        console.log(`[JobQueue] Cancel requested for job #${job.id} (${job.job_type})`);
+        abort.abort();
+      }
+    } catch (err) {
+      console.error(`[JobQueue] Heartbeat failed for job #${job.id}:`, err.message);
+    }
+  }
+
+  /**
+   * Fail a job that outlived its max runtime. The handler is signalled to
+   * stop; its concurrency group is released as soon as the row leaves
+   * 'running', and the later completion update is ignored (lock released).
+   */
+  async _timeOut(job, abort) {
+    if (abort.signal.aborted) return;
+    abort.abort();
+    const minutes = Math.round(job.max_runtime_seconds / 60);
+    try {
+      await this.db.query(
+        `UPDATE job_queue SET status = 'failed', last_error = $3, completed_at = NOW(),
+             locked_by = NULL, lease_expires_at = NULL
+         WHERE id = $1 AND locked_by = $2`,
+        [job.id, this.workerId, `Exceeded max runtime of ${minutes} min`]
+      );
+      console.error(`❌ [JobQueue] Job #${job.id} (${job.job_type}) exceeded max runtime of ${minutes} min`);
+    } catch (err) {
+      console.error(`[JobQueue] Could not time out job #${job.id}:`, err.message);
+    }
+  }
+}
+
+module.exports = { JobQueue, retryPlan };
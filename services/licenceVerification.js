@@ -0,0 +1,275 @@
+const { personProfile, scorePersonPair } = require('./personResolution');
+const { delay } = require('../scrapers/baseLoader');
+
+// =====================================================
+// 🪪 LICENCE VERIFICATION — cpa_profiles checked against provincial directories
+// =====================================================
+// verify() searches the registrant's provincial directory live (the scrapers'
+// lookup()), scores every returned member against the profile with the person
+// resolution model, and records the query, candidates and decision in
+// licence_verifications:
+//   verified     one clear match in good standing
+//   lapsed       one clear match whose membership status is not active
+//   needs_review no match, several plausible matches, a truncated result list,
+//                a designation mismatch, or a directory that could not be searched
+// needs_review rows sit in the manual review queue (review_status = 'pending')
+// until an operator decides. Verified profiles are re-checked every
+// REVERIFY_DAYS by the licence_verification job to catch lapsed memberships.
+
+const REVERIFY_DAYS = parseInt(process.env.LICENCE_REVERIFY_DAYS || '90', 10);
+const LAPSED_RECHECK_DAYS = 30;
+const ERROR_RETRY_HOURS = 24;
+// Exact first + last name in the registrant's own province scores 0.88; a matching city or firm lifts it further
+const MATCH_THRESHOLD = parseFloat(process.env.LICENCE_MATCH_THRESHOLD) || 0.85;
+// Below this a directory member is not considered a possible match at all (an initial-only match is ~0.38)
+const PLAUSIBLE_THRESHOLD = 0.3;
+const MAX_RECORDED_CANDIDATES = 10;
+const LOOKUP_INTERVAL_MS = 3000;
+
+const LAPSED_STATUS = /lapse|suspen|revok|resign|expel|cancel|deregist|inactive|deceased|retired|struck/i;
+const DESIGNATION_FAMILY = /\b(F?CPA|F?CA|F?CMA|F?CGA)\b/i;
+const REVIEW_DECISIONS = ['verified', 'lapsed', 'rejected'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function reviewError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Status text a directory shows for a member ("Active", "Lapsed", "Public Accounting Licence — Suspended")
+function statusOf(record) {
+  return [record.memberStatus, record.licenceStatus].filter(Boolean).join(' / ') || null;
+}
+
+class LicenceVerificationService {
+  constructor(db, { directories, clock }) {
+    this.db = db;
+    this.directories = directories;
+    this.clock = clock;
+  }
+
+  /**
+   * Check one profile now. trigger: 'initial' | 'reverify' | 'operator'.
+   * Returns the licence_verifications row plus the profile's new verification_status.
+   */
+  async verify(cpaId, { trigger = 'operator', requestedBy = null } = {}) {
+    const p = await this.db.query('SELECT * FROM cpa_profiles WHERE cpa_id = $1', [cpaId]);
+    const profile = p.rows[0];
+    if (!profile) return null;
+
+    const decision = await this._decide(profile);
+    const now = this.clock.now();
+    const wasVerified = profile.verification_status === 'verified';
+    // A verified CPA keeps their status while a reviewer looks at an inconclusive re-check
+    const needsReview = decision.outcome === 'needs_review' || (decision.outcome === 'error' && !wasVerified);
+
+    const v = await this.db.query(
+      `INSERT INTO licence_verifications
+         (cpa_id, province, source, trigger, outcome, reason, confidence, query, candidates, matched, requested_by, checked_at, review_status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [cpaId, profile.province, decision.source || null, trigger, decision.outcome, decision.reason || null,
+       decision.confidence ?? null, JSON.stringify(decision.query || null), JSON.stringify(decision.candidates || []),
+       JSON.stringify(decision.matched || null), requestedBy, now, needsReview ? 'pending' : null]
+    );
+
+    const update = this._profileUpdate(decision, { wasVerified, needsReview, now });
+    await this.db.query(
+      `UPDATE cpa_profiles SET
+         verification_status = $2, licence_next_check_at = $3, licence_checked_at = $4,
+         licence_verified_at = COALESCE($5, licence_verified_at),
+         licence_source = COALESCE($6, licence_source), licence_status = COALESCE($7, licence_status),
+         updated_date = NOW()
+       WHERE cpa_id = $1`,
+      [cpaId, update.status, update.nextCheckAt, now, update.verifiedAt, decision.source || null,
+       decision.matched ? decision.matched.status : null]
+    );
+
+    console.log(`[Licence] ${cpaId}: ${decision.outcome}${decision.reason ? ` (${decision.reason})` : ''}`);
+    return { verification: v.rows[0], verification_status: update.status };
+  }
+
+  /**
+   * Check every active profile whose licence_next_check_at has come due
+   * (new registrations, claims and periodic re-verification). Returns counts per outcome.
+   */
+  async verifyDue({ limit = 50, signal = null } = {}) {
+    const due = await this.db.query(
+      `SELECT cpa_id, verification_status FROM cpa_profiles
+       WHERE is_active = true AND licence_next_check_at IS NOT NULL AND licence_next_check_at <= $1
+       ORDER BY licence_next_check_at
+       LIMIT $2`,
+      [this.clock.now(), limit]
+    );
+    const counts = { checked: 0, verified: 0, lapsed: 0, needs_review: 0, error: 0 };
+    for (const row of due.rows) {
+      if (signal && signal.aborted) break;
+      const trigger = row.verification_status === 'verified' ? 'reverify' : 'initial';
+      counts.checked++;
+      // One profile's failure (scrape error, unexpected outcome) never stops the rest of the run
+      try {
+        const result = await this.verify(row.cpa_id, { trigger, requestedBy: 'scheduler' });
+        const outcome = result && result.verification ? result.verification.outcome : null;
+        if (outcome) counts[outcome] = (counts[outcome] || 0) + 1;
+      } catch (err) {
+        counts.error++;
+        console.error(`[Licence] ${row.cpa_id}: verification failed:`, err.message);
+        // Push it back so a profile that keeps failing doesn't hold the head of the due list
+        await this.db.query(
+          'UPDATE cpa_profiles SET licence_next_check_at = $2 WHERE cpa_id = $1',
+          [row.cpa_id, new Date(this.clock.now().getTime() + ERROR_RETRY_HOURS * 60 * 60 * 1000)]
+        ).catch(dbErr => console.error(`[Licence] ${row.cpa_id}: could not reschedule:`, dbErr.message));
+      }
+      await delay(LOOKUP_INTERVAL_MS);
+    }
+    console.log(`[Licence] Verification run: ${JSON.stringify(counts)}`);
+    return counts;
+  }
+
+  // ---------- Manual review ----------
+
+  async listReviewQueue({ limit = 50 } = {}) {
+    const r = await this.db.query(
+      `SELECT v.*, p.first_name, p.last_name, p.email, p.designation, p.firm_name, p.city, p.verification_status
+       FROM licence_verifications v
+       JOIN cpa_profiles p ON p.cpa_id = v.cpa_id
+       WHERE v.review_status = 'pending'
+       ORDER BY v.checked_at
+       LIMIT $1`,
+      [Math.min(parseInt(limit) || 50, 200)]
+    );
+    return r.rows;
+  }
+
+  /**
+   * Resolve a queued check. decision: 'verified' | 'lapsed' | 'rejected'.
+   * Any older pending checks for the same CPA are closed with it.
+   */
+  async review(verificationId, { decision, notes = null, reviewer }) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      throw reviewError(400, `decision must be one of: ${REVIEW_DECISIONS.join(', ')}`);
+    }
+    const now = this.clock.now();
+    const r = await this.db.query(
+      `UPDATE licence_verifications
+       SET review_status = 'resolved', review_decision = $2, review_notes = $3, reviewed_by = $4, reviewed_at = $5
+       WHERE id = $1 AND review_status = 'pending'
+       RETURNING *`,
+      [verificationId, decision, notes, reviewer, now]
+    );
+    const verification = r.rows[0];
+    if (!verification) throw reviewError(404, 'No pending review with that id');
+
+    await this.db.query(
+      `UPDATE licence_verifications
+       SET review_status = 'resolved', review_decision = 'superseded', reviewed_by = $3, reviewed_at = $4
+       WHERE cpa_id = $1 AND id <> $2 AND review_status = 'pending'`,
+      [verification.cpa_id, verification.id, reviewer, now]
+    );
+    const nextCheckAt = decision === 'verified'
+      ? new Date(now.getTime() + REVERIFY_DAYS * DAY_MS)
+      : decision === 'lapsed' ? new Date(now.getTime() + LAPSED_RECHECK_DAYS * DAY_MS) : null;
+    await this.db.query(
+      `UPDATE cpa_profiles SET
+         verification_status = $2, licence_next_check_at = $3,
+         licence_verified_at = CASE WHEN $2 = 'verified' THEN $4 ELSE licence_verified_at END,
+         updated_date = NOW()
+       WHERE cpa_id = $1`,
+      [verification.cpa_id, decision, nextCheckAt, now]
+    );
+    return verification;
+  }
+
+  async history(cpaId, { limit = 20 } = {}) {
+    const r = await this.db.query(
+      'SELECT * FROM licence_verifications WHERE cpa_id = $1 ORDER BY checked_at DESC LIMIT $2',
+      [cpaId, Math.min(parseInt(limit) || 20, 100)]
+    );
+    return r.rows;
+  }
+
+  // ---------- Decision ----------
+
+  async _decide(profile) {
+    if (!profile.province || !profile.last_name) {
+      return { outcome: 'needs_review', reason: 'Profile has no province or last name to search by' };
+    }
+    const query = { province: profile.province, lastName: profile.last_name, firstName: profile.first_name || '' };
+
+    let result;
+    try {
+      result = await this.directories.lookup(profile.province, query);
+    } catch (err) {
+      return { outcome: 'error', reason: `Directory lookup failed: ${err.message}`, query };
+    }
+
+    const subject = personProfile({
+      first_name: profile.first_name, last_name: profile.last_name, province: profile.province,
+      city: profile.city, firm_name: profile.firm_name, phone: profile.phone, email: profile.email,
+    });
+    const candidates = result.records.map((record) => {
+      const { confidence, evidence } = scorePersonPair(subject, personProfile({
+        first_name: record.firstName, last_name: record.lastName, full_name: record.fullName,
+        province: profile.province, city: record.city, firm_name: record.firmName,
+      }));
+      return {
+        full_name: record.fullName, designation: record.designation || null, city: record.city || null,
+        firm_name: record.firmName || null, status: statusOf(record), confidence, evidence,
+      };
+    }).sort((a, b) => b.confidence - a.confidence);
+
+    const base = { source: result.source, query, candidates: candidates.slice(0, MAX_RECORDED_CANDIDATES) };
+    const strong = candidates.filter(c => c.confidence >= MATCH_THRESHOLD);
+    const plausible = candidates.filter(c => c.confidence >= PLAUSIBLE_THRESHOLD);
+
+    if (strong.length === 0) {
+      const reason = !result.complete ? 'Directory returned too many results to confirm a match'
+        : plausible.length > 0 ? `${plausible.length} partial match(es), none conclusive`
+        : `Not found in ${result.source} (${result.records.length} member(s) with that surname)`;
+      return { ...base, outcome: 'needs_review', reason, confidence: candidates[0] ? candidates[0].confidence : null };
+    }
+    if (plausible.length > 1) {
+      return { ...base, outcome: 'needs_review', reason: `${plausible.length} plausible matches`, confidence: strong[0].confidence };
+    }
+
+    const matched = strong[0];
+    if (matched.status && LAPSED_STATUS.test(matched.status)) {
+      return { ...base, outcome: 'lapsed', reason: `Directory status: ${matched.status}`, confidence: matched.confidence, matched };
+    }
+    if (profile.designation && matched.designation && !this._designationsAgree(profile.designation, matched.designation)) {
+      return {
+        ...base, outcome: 'needs_review', confidence: matched.confidence, matched,
+        reason: `Designation "${profile.designation}" does not match directory "${matched.designation}"`,
+      };
+    }
+    return { ...base, outcome: 'verified', confidence: matched.confidence, matched };
+  }
+
+  // Every CPA body member holds the CPA designation; legacy CA/CMA/CGA letters are listed alongside it
+  _designationsAgree(claimed, listed) {
+    const family = (d) => (String(d).toUpperCase().match(new RegExp(DESIGNATION_FAMILY.source, 'gi')) || [])
+      .map(x => x.toUpperCase().replace(/^F/, ''));
+    const a = family(claimed);
+    const b = family(listed);
+    return a.length === 0 || b.length === 0 || a.some(x => b.includes(x) || x === 'CPA');
+  }
+
+  _profileUpdate(decision, { wasVerified, needsReview, now }) {
+    const at = (ms) => new Date(now.getTime() + ms);
+    switch (decision.outcome) {
+      case 'verified':
+        return { status: 'verified', nextCheckAt: at(REVERIFY_DAYS * DAY_MS), verifiedAt: now };
+      case 'lapsed':
+        return { status: 'lapsed', nextCheckAt: at(LAPSED_RECHECK_DAYS * DAY_MS), verifiedAt: null };
+      default:
+        // Queued for review: no automatic re-check until a reviewer decides; a failed
+        // re-check of a verified CPA is simply retried
+        if (needsReview) return { status: wasVerified ? 'verified' : 'pending_review', nextCheckAt: null, verifiedAt: null };
+        return { status: wasVerified ? 'verified' : 'pending_review', nextCheckAt: at(ERROR_RETRY_HOURS * 60 * 60 * 1000), verifiedAt: null };
+    }
+  }
+}
+
+module.exports = { LicenceVerificationService, REVIEW_DECISIONS };
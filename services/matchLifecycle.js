@@ -0,0 +1,356 @@
+const { withTransaction } = require('../db/pool');
+const {
+  sendMatchIntroductionRequest, sendMatchAccepted, sendMatchClosed, sendMatchEngagementUpdate,
+} = require('./email');
+const { normalizeLanguage, spokenLanguages, correspondenceLanguage } = require('../matching/language');
+
+// =====================================================
+// 🤝 MATCH LIFECYCLE — from suggestion to rated engagement
+// =====================================================
+//   suggested ──request_intro──▶ intro_requested ──accept──▶ accepted ──start──▶ engaged ──complete──▶ completed
+//       │                            │   └──decline──▶ declined      │
+//       ├──dismiss──▶ dismissed      └──cancel──▶ cancelled ◀──cancel─┘
+//       └── (timeout) ──▶ expired ◀── (timeout, no CPA response)
+// The client acts with the `client` session issued when they register their
+// preferences or submit the questionnaire (subject = client_id), the CPA with their `cpa` session. Each
+// side only ever sees its own matches, and contact details are exchanged only
+// once the CPA accepts. Every transition is logged in cpa_match_events and
+// emails the other party; expireStale() (match_timeouts job) closes stale
+// suggestions and unanswered introduction requests.
+
+const SUGGESTION_TTL_DAYS = parseInt(process.env.MATCH_SUGGESTION_TTL_DAYS || '14', 10);
+const INTRO_RESPONSE_DAYS = parseInt(process.env.MATCH_INTRO_RESPONSE_DAYS || '5', 10);
+const CLIENT_SESSION_TTL_MS = parseInt(process.env.CLIENT_SESSION_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+const MAX_MESSAGE_CHARS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// action → allowed source states, target state and who may take it
+const TRANSITIONS = {
+  request_intro: { from: ['suggested'], to: 'intro_requested', by: ['client'] },
+  dismiss: { from: ['suggested'], to: 'dismissed', by: ['client'] },
+  accept: { from: ['intro_requested'], to: 'accepted', by: ['cpa'] },
+  decline: { from: ['intro_requested'], to: 'declined', by: ['cpa'] },
+  start_engagement: { from: ['accepted'], to: 'engaged', by: ['client', 'cpa'] },
+  complete_engagement: { from: ['engaged'], to: 'completed', by: ['client', 'cpa'] },
+  cancel: { from: ['intro_requested', 'accepted'], to: 'cancelled', by: ['client', 'cpa'] },
+};
+// States in which the two parties have each other's contact details
+const CONNECTED_STATES = ['accepted', 'engaged', 'completed'];
+const RATEABLE_STATES = ['engaged', 'completed'];
+
+function matchError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function clip(text) {
+  return text ? String(text).trim().slice(0, MAX_MESSAGE_CHARS) || null : null;
+}
+
+class MatchLifecycleService {
+  constructor(db, { auth, clock, frontendUrl }) {
+    this.db = db;
+    this.auth = auth;
+    this.clock = clock;
+    this.frontendUrl = frontendUrl;
+  }
+
+  /**
+   * `client` session for a client_preferences row — returned once, at registration
+   * (register-preferences or the SME friction questionnaire).
+   */
+  async startClientSession(client) {
+    const { token, session } = await this.auth.createSession({
+      role: 'client', subject: client.client_id, label: client.contact_email || client.business_name, ttlMs: CLIENT_SESSION_TTL_MS,
+    });
+    return { token, expires_at: session.expires_at };
+  }
+
+  // expires_at for a freshly stored suggestion
+  suggestionExpiresAt() {
+    return new Date(this.clock.now().getTime() + SUGGESTION_TTL_DAYS * DAY_MS);
+  }
+
+  // ---------- Reads ----------
+
+  /**
+   * party: { type: 'client' | 'cpa', id } — the caller's own matches, newest first.
+   */
+  async list(party, { status = null, limit = 50 } = {}) {
+    const params = [party.id];
+    let where = party.type === 'cpa' ? 'm.cpa_id = $1' : 'm.client_id = $1';
+    if (status) { params.push(status); where += ` AND m.status = $${params.length}`; }
+    params.push(Math.min(parseInt(limit) || 50, 200));
+    const r = await this.db.query(
+      `${this._selectSql()} WHERE ${where} ORDER BY m.status_changed_at DESC NULLS LAST, m.id DESC LIMIT $${params.length}`,
+      params
+    );
+    return r.rows.map(row => this._view(row, party.type));
+  }
+
+  /**
+   * One match with its event history. Operators see any match; a party only its own.
+   */
+  async get(matchId, party) {
+    const row = await this._load(this.db, matchId);
+    if (!row || !this._isParty(row, party)) return null;
+    const events = await this.db.query(
+      'SELECT from_status, to_status, actor_type, actor, note, created_at FROM cpa_match_events WHERE match_id = $1 ORDER BY created_at, id',
+      [matchId]
+    );
+    return { ...this._view(row, party.type), events: events.rows };
+  }
+
+  // ---------- Transitions ----------
+
+  /**
+   * Move a match along the lifecycle. opts: { message } for request_intro,
+   * { reason } for decline / cancel, { contact_email, contact_name } to
+   * update how the CPA can reach the client.
+   */
+  async transition(matchId, action, party, opts = {}) {
+    const rule = TRANSITIONS[action];
+    if (!rule) throw matchError(400, `Unknown action: ${action}`);
+    if (!rule.by.includes(party.type)) throw matchError(403, `Only the ${rule.by.join(' or ')} can ${action.replace('_', ' ')}`);
+    const now = this.clock.now();
+
+    const match = await withTransaction(this.db, async (client) => {
+      const r = await client.query('SELECT * FROM cpa_matches WHERE id = $1 FOR UPDATE', [matchId]);
+      const current = r.rows[0];
+      if (!current || !this._isParty(current, party)) throw matchError(404, 'Match not found');
+      if (!rule.from.includes(current.status)) {
+        throw matchError(409, `Cannot ${action.replace('_', ' ')} a match that is ${current.status}`);
+      }
+      if (action === 'request_intro') await this._ensureClientContact(client, current.client_id, opts);
+
+      const changes = { status: rule.to, status_changed_at: now, ...this._changes(action, now, opts) };
+      const columns = Object.keys(changes);
+      const u = await client.query(
+        `UPDATE cpa_matches SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(', ')} WHERE id = $1 RETURNING *`,
+        [matchId, ...columns.map(c => changes[c])]
+      );
+      await this._logEvent(client, {
+        matchId, from: current.status, to: rule.to, actorType: party.type, actor: party.id,
+        note: clip(opts.reason) || clip(opts.message), at: now,
+      });
+      return u.rows[0];
+    });
+
+    console.log(`[Matches] #${matchId} ${action} by ${party.type}: → ${match.status}`);
+    this._notify(action, matchId, party.type).catch(err => console.error(`[Matches] Notification for #${matchId} failed:`, err.message));
+    return this.get(matchId, party);
+  }
+
+  /**
+   * Rate the other side (1–5) once the engagement has started. One rating per party.
+   */
+  async rate(matchId, party, { score, comment = null }) {
+    const value = parseInt(score);
+    if (!(value >= 1 && value <= 5)) throw matchError(400, 'score must be an integer from 1 to 5');
+    const column = party.type === 'cpa' ? 'cpa_satisfaction' : 'client_satisfaction';
+    const now = this.clock.now();
+
+    await withTransaction(this.db, async (client) => {
+      const r = await client.query('SELECT * FROM cpa_matches WHERE id = $1 FOR UPDATE', [matchId]);
+      const current = r.rows[0];
+      if (!current || !this._isParty(current, party)) throw matchError(404, 'Match not found');
+      if (!RATEABLE_STATES.includes(current.status)) throw matchError(409, 'Ratings open once the engagement has started');
+      if (current[column] !== null && current[column] !== undefined) throw matchError(409, 'You have already rated this match');
+
+      await client.query(
+        `UPDATE cpa_matches SET ${column} = $2,
+           feedback = COALESCE(feedback, '{}'::jsonb) || jsonb_build_object($3::text, $4::jsonb)
+         WHERE id = $1`,
+        [matchId, value, party.type, JSON.stringify({ score: value, comment: clip(comment), rated_at: now.toISOString() })]
+      );
+      await this._logEvent(client, {
+        matchId, from: current.status, to: current.status, actorType: party.type, actor: party.id,
+        note: `rated ${value}/5`, at: now,
+      });
+    });
+    return this.get(matchId, party);
+  }
+
+  /**
+   * Expire suggestions past their TTL and introduction requests the CPA never
+   * answered; the client hears about the latter. Runs as the match_timeouts job.
+   */
+  async expireStale(dbClient = this.db, { limit = 500 } = {}) {
+    const now = this.clock.now();
+    const expired = await withTransaction(dbClient, async (client) => {
+      const r = await client.query(
+        `WITH stale AS (
+           SELECT id, status FROM cpa_matches
+           WHERE status IN ('suggested', 'intro_requested') AND expires_at <= $1
+           ORDER BY expires_at
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )
+         UPDATE cpa_matches m SET status = 'expired', status_changed_at = $1, expires_at = NULL
+         FROM stale WHERE m.id = stale.id
+         RETURNING m.id, stale.status AS from_status`,
+        [now, limit]
+      );
+      for (const row of r.rows) {
+        await this._logEvent(client, { matchId: row.id, from: row.from_status, to: 'expired', actorType: 'system', actor: null, note: 'timed out', at: now });
+      }
+      return r.rows;
+    });
+
+    const intros = expired.filter(m => m.from_status === 'intro_requested');
+    for (const m of intros) {
+      await this._notify('expire', m.id, 'system', dbClient).catch(err => console.error(`[Matches] Notification for #${m.id} failed:`, err.message));
+    }
+    const result = { expired_suggestions: expired.length - intros.length, expired_intro_requests: intros.length };
+    console.log(`[Matches] Timeouts: ${JSON.stringify(result)}`);
+    return result;
+  }
+
+  // ---------- Internals ----------
+
+  _changes(action, now, opts) {
+    switch (action) {
+      case 'request_intro':
+        return {
+          client_response: 'interested', intro_requested_at: now, intro_message: clip(opts.message),
+          expires_at: new Date(now.getTime() + INTRO_RESPONSE_DAYS * DAY_MS),
+        };
+      case 'dismiss': return { client_response: 'dismissed', expires_at: null };
+      case 'accept': return { cpa_response: 'accepted', cpa_responded_at: now, expires_at: null };
+      case 'decline': return { cpa_response: 'declined', cpa_responded_at: now, decline_reason: clip(opts.reason), expires_at: null };
+      case 'start_engagement': return { engagement_started: true, engagement_started_at: now };
+      case 'complete_engagement': return { engagement_completed: true, engagement_completed_at: now };
+      default: return { expires_at: null };
+    }
+  }
+
+  // The CPA needs a way to reach the client before an introduction can go out
+  async _ensureClientContact(client, clientId, { contact_email, contact_name }) {
+    const email = contact_email ? String(contact_email).trim() : null;
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw matchError(400, 'contact_email is not a valid email address');
+    const r = await client.query(
+      `UPDATE client_preferences SET
+         contact_email = COALESCE($2, contact_email), contact_name = COALESCE($3, contact_name), updated_date = NOW()
+       WHERE client_id = $1 RETURNING contact_email`,
+      [clientId, email, contact_name ? String(contact_name).trim() : null]
+    );
+    if (!r.rows[0] || !r.rows[0].contact_email) {
+      throw matchError(400, 'contact_email is required so the CPA can reach you');
+    }
+  }
+
+  async _logEvent(client, { matchId, from, to, actorType, actor, note, at }) {
+    await client.query(
+      `INSERT INTO cpa_match_events (match_id, from_status, to_status, actor_type, actor, note, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [matchId, from, to, actorType, actor, note || null, at]
+    );
+  }
+
+  async _notify(action, matchId, actorType, dbClient = this.db) {
+    const m = await this._load(dbClient, matchId);
+    if (!m) return;
+    const cpaName = [m.cpa_first_name, m.cpa_last_name].filter(Boolean).join(' ') || m.cpa_firm_name || 'Your CPA';
+    const clientName = m.business_name || m.contact_name || 'The client';
+    // Clients are written to in their preferred language; CPAs in it too when they work in it
+    const clientLanguage = normalizeLanguage(m.preferred_language) || 'en';
+    const cpaLanguage = correspondenceLanguage(spokenLanguages(m.cpa_languages), m.preferred_language);
+    const toClient = { email: m.contact_email, name: m.contact_name, link: `${this.frontendUrl}/cpa-matches.html?match=${m.id}`, language: clientLanguage };
+    const toCpa = { email: m.cpa_email, name: m.cpa_first_name, link: `${this.frontendUrl}/cpa-dashboard.html?match=${m.id}`, language: cpaLanguage };
+    // The side that didn't act
+    const other = actorType === 'cpa'
+      ? { ...toClient, otherParty: cpaName }
+      : { ...toCpa, otherParty: clientName };
+
+    switch (action) {
+      case 'request_intro':
+        return sendMatchIntroductionRequest({
+          email: toCpa.email, cpaName: m.cpa_first_name, businessName: m.business_name, industry: m.industry,
+          message: m.intro_message, link: toCpa.link, respondDays: INTRO_RESPONSE_DAYS, language: toCpa.language,
+        });
+      case 'accept':
+        return sendMatchAccepted({
+          email: toClient.email, name: toClient.name, cpaName, firmName: m.cpa_firm_name,
+          cpaEmail: m.cpa_email, cpaPhone: m.cpa_phone, link: toClient.link, language: toClient.language,
+        });
+      case 'decline':
+        return sendMatchClosed({ ...toClient, otherParty: cpaName, outcome: 'declined', reason: m.decline_reason });
+      case 'expire':
+        return sendMatchClosed({ ...toClient, otherParty: cpaName, outcome: 'expired' });
+      case 'cancel':
+        return sendMatchClosed({ ...other, outcome: 'cancelled' });
+      case 'start_engagement':
+        return sendMatchEngagementUpdate({ ...other, stage: 'started' });
+      case 'complete_engagement':
+        return sendMatchEngagementUpdate({ ...other, stage: 'completed' });
+      default:
+        return null;
+    }
+  }
+
+  _selectSql() {
+    return `SELECT m.*,
+              p.first_name AS cpa_first_name, p.last_name AS cpa_last_name, p.firm_name AS cpa_firm_name,
+              p.city AS cpa_city, p.province AS cpa_province, p.email AS cpa_email, p.phone AS cpa_phone,
+              p.languages AS cpa_languages,
+              c.business_name, c.industry, c.business_size, c.contact_name, c.contact_email, c.preferred_language
+            FROM cpa_matches m
+            LEFT JOIN cpa_profiles p ON p.cpa_id = m.cpa_id
+            LEFT JOIN client_preferences c ON c.client_id = m.client_id`;
+  }
+
+  async _load(dbClient, matchId) {
+    const r = await dbClient.query(`${this._selectSql()} WHERE m.id = $1`, [matchId]);
+    return r.rows[0] || null;
+  }
+
+  _isParty(match, party) {
+    if (party.type === 'client') return match.client_id === party.id;
+    if (party.type === 'cpa') return match.cpa_id === party.id;
+    return party.type === 'operator';
+  }
+
+  // What each side may see: contact details only once the CPA has accepted
+  _view(row, partyType) {
+    const connected = CONNECTED_STATES.includes(row.status) || partyType === 'operator';
+    return {
+      id: row.id,
+      status: row.status,
+      match_score: row.match_score,
+      match_factors: row.match_factors,
+      match_date: row.match_date,
+      status_changed_at: row.status_changed_at,
+      expires_at: row.expires_at,
+      intro_requested_at: row.intro_requested_at,
+      intro_message: row.intro_message,
+      cpa_responded_at: row.cpa_responded_at,
+      decline_reason: row.decline_reason,
+      engagement_started_at: row.engagement_started_at,
+      engagement_completed_at: row.engagement_completed_at,
+      client_satisfaction: row.client_satisfaction,
+      cpa_satisfaction: row.cpa_satisfaction,
+      cpa: {
+        cpa_id: row.cpa_id,
+        first_name: row.cpa_first_name,
+        last_name: row.cpa_last_name,
+        firm_name: row.cpa_firm_name,
+        city: row.cpa_city,
+        province: row.cpa_province,
+        email: connected ? row.cpa_email : null,
+        phone: connected ? row.cpa_phone : null,
+      },
+      client: {
+        client_id: partyType === 'cpa' ? undefined : row.client_id,
+        business_name: row.business_name,
+        industry: row.industry,
+        business_size: row.business_size,
+        contact_name: connected ? row.contact_name : null,
+        contact_email: connected ? row.contact_email : null,
+      },
+      allowed_actions: Object.keys(TRANSITIONS).filter(a => TRANSITIONS[a].from.includes(row.status) && TRANSITIONS[a].by.includes(partyType)),
+    };
+  }
+}
+
+module.exports = { MatchLifecycleService, TRANSITIONS };
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { withTransaction } = require('../db/pool');
+const { DEFAULT_WEIGHTS } = require('../matching/cpaMatchingEngine');
+
+// =====================================================
+// ⚖️ MATCHING WEIGHTS — versioned profiles and A/B experiments
+// =====================================================
+// matching_weight_profiles are immutable: editing a profile's weights creates
+// the next version under the same name. One profile is the default. While an
+// experiment is running every client is assigned (sticky, by a hash of the
+// client_id) to one of its arms, each pointing at a profile; everyone else is
+// scored with the default. report() compares what happened to the matches
+// each arm produced.
+
+const ARM_NAME = /^[a-z0-9_-]{1,50}$/i;
+// |z| above this is reported as a significant difference from the control arm (p < 0.05)
+const SIGNIFICANT_Z = 1.96;
+
+function weightsError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Validate a { factor: weight } object against the engine's factors and scale it to sum to 1.
+ */
+function normalizeWeights(weights) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) throw weightsError(400, 'weights must be an object');
+  const unknown = Object.keys(weights).filter(f => !(f in DEFAULT_WEIGHTS));
+  if (unknown.length > 0) {
+    throw weightsError(400, `Unknown factors: ${unknown.join(', ')}. Valid: ${Object.keys(DEFAULT_WEIGHTS).join(', ')}`);
+  }
+  const values = Object.entries(weights).map(([f, w]) => [f, Number(w)]);
+  if (values.some(([, w]) => !Number.isFinite(w) || w < 0)) throw weightsError(400, 'weights must be non-negative numbers');
+  const total = values.reduce((sum, [, w]) => sum + w, 0);
+  if (total <= 0) throw weightsError(400, 'At least one weight must be positive');
+  return Object.fromEntries(values.map(([f, w]) => [f, Math.round((w / total) * 10000) / 10000]));
+}
+
+// Two-proportion z-test of arm vs. control
+function compareRates(arm, control) {
+  if (!arm.n || !control.n) return null;
+  const p1 = arm.k / arm.n;
+  const p0 = control.k / control.n;
+  const pooled = (arm.k + control.k) / (arm.n + control.n);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / arm.n + 1 / control.n));
+  const z = se > 0 ? (p1 - p0) / se : 0;
+  return {
+    difference: Math.round((p1 - p0) * 1000) / 1000,
+    z: Math.round(z * 100) / 100,
+    significant: Math.abs(z) >= SIGNIFICANT_Z,
+  };
+}
+
+const rate = (k, n) => (n > 0 ? Math.round((k / n) * 1000) / 1000 : null);
+
+// Deterministic bucket, so concurrent first requests for a client agree on the arm
+function pickArm(experimentId, clientId, arms) {
+  const total = arms.reduce((sum, a) => sum + a.allocation, 0);
+  let bucket = crypto.createHash('sha256').update(`${experimentId}:${clientId}`).digest().readUInt32BE(0) % total;
+  return arms.find(a => (bucket -= a.allocation) < 0);
+}
+
+class MatchingWeightService {
+  constructor(db, { clock }) {
+    this.db = db;
+    this.clock = clock;
+  }
+
+  // ---------- Profiles ----------
+
+  async listProfiles() {
+    const r = await this.db.query('SELECT * FROM matching_weight_profiles ORDER BY name, version DESC');
+    return r.rows;
+  }
+
+  /**
+   * New profile, or the next version of an existing name. Weights are normalised to sum to 1.
+   */
+  async createProfile({ name, weights, description = null, createdBy = null }) {
+    if (!name || !ARM_NAME.test(name)) throw weightsError(400, 'name is required (letters, digits, _ and - only)');
+    const normalized = normalizeWeights(weights);
+    const r = await this.db.query(
+      `INSERT INTO matching_weight_profiles (name, version, weights, description, created_by)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4 FROM matching_weight_profiles WHERE name = $1
+       RETURNING *`,
+      [name, JSON.stringify(normalized), description, createdBy]
+    );
+    console.log(`[Weights] Created profile ${name} v${r.rows[0].version}`);
+    return r.rows[0];
+  }
+
+  async setDefault(profileId) {
+    return withTransaction(this.db, async (client) => {
+      const p = await client.query('SELECT id FROM matching_weight_profiles WHERE id = $1', [profileId]);
+      if (p.rows.length === 0) throw weightsError(404, 'Weight profile not found');
+      await client.query('UPDATE matching_weight_profiles SET is_default = false WHERE is_default');
+      const r = await client.query('UPDATE matching_weight_profiles SET is_default = true WHERE id = $1 RETURNING *', [profileId]);
+      return r.rows[0];
+    });
+  }
+
+  /**
+   * Which weights to score a client with: { profile, experimentId, armId, arm }.
+   * Falls back to the engine's built-in weights if no default profile exists yet.
+   */
+  async resolveForClient(clientId) {
+    if (clientId) {
+      const assignment = await this._assign(clientId);
+      if (assignment) return assignment;
+    }
+    const r = await this.db.query('SELECT * FROM matching_weight_profiles WHERE is_default LIMIT 1');
+    return {
+      profile: r.rows[0] || { id: null, name: 'builtin', version: 0, weights: DEFAULT_WEIGHTS },
+      experimentId: null, armId: null, arm: null,
+    };
+  }
+
+  // ---------- Experiments ----------
+
+  async listExperiments() {
+    const r = await this.db.query(
+      `SELECT e.*, COALESCE(json_agg(json_build_object(
+                'id', a.id, 'arm', a.arm, 'profile_id', a.profile_id, 'allocation', a.allocation
+              ) ORDER BY a.id) FILTER (WHERE a.id IS NOT NULL), '[]') AS arms
+       FROM matching_experiments e
+       LEFT JOIN matching_experiment_arms a ON a.experiment_id = e.id
+       GROUP BY e.id
+       ORDER BY e.started_at DESC`
+    );
+    return r.rows;
+  }
+
+  /**
+   * Start an experiment. arms: [{ arm, profile_id, allocation }] — allocation is a
+   * relative share; the first arm is the control the others are compared with.
+   */
+  async startExperiment({ name, description = null, arms, createdBy = null }) {
+    if (!name) throw weightsError(400, 'name is required');
+    if (!Array.isArray(arms) || arms.length < 2) throw weightsError(400, 'An experiment needs at least two arms');
+    for (const a of arms) {
+      if (!a.arm || !ARM_NAME.test(a.arm)) throw weightsError(400, 'Each arm needs a name (letters, digits, _ and - only)');
+      if (!(parseInt(a.allocation) > 0)) throw weightsError(400, `Arm ${a.arm}: allocation must be a positive integer`);
+    }
+    if (new Set(arms.map(a => a.arm)).size !== arms.length) throw weightsError(400, 'Arm names must be unique');
+
+    return withTransaction(this.db, async (client) => {
+      const running = await client.query("SELECT name FROM matching_experiments WHERE status = 'running'");
+      if (running.rows.length > 0) throw weightsError(409, `Experiment ${running.rows[0].name} is still running — stop it first`);
+      const profiles = await client.query('SELECT id FROM matching_weight_profiles WHERE id = ANY($1::int[])', [arms.map(a => parseInt(a.profile_id))]);
+      const known = new Set(profiles.rows.map(p => p.id));
+      const missing = arms.filter(a => !known.has(parseInt(a.profile_id)));
+      if (missing.length > 0) throw weightsError(400, `Unknown weight profile for arm(s): ${missing.map(a => a.arm).join(', ')}`);
+
+      const e = await client.query(
+        `INSERT INTO matching_experiments (name, description, created_by, started_at) VALUES ($1, $2, $3, $4) RETURNING *`,
+        [name, description, createdBy, this.clock.now()]
+      );
+      const experiment = e.rows[0];
+      experiment.arms = [];
+      for (const a of arms) {
+        const r = await client.query(
+          'INSERT INTO matching_experiment_arms (experiment_id, arm, profile_id, allocation) VALUES ($1, $2, $3, $4) RETURNING *',
+          [experiment.id, a.arm, parseInt(a.profile_id), parseInt(a.allocation)]
+        );
+        experiment.arms.push(r.rows[0]);
+      }
+      console.log(`[Weights] Experiment ${name} started with arms ${arms.map(a => a.arm).join(', ')}`);
+      return experiment;
+    });
+  }
+
+  async stopExperiment(experimentId) {
+    const r = await this.db.query(
+      `UPDATE matching_experiments SET status = 'stopped', stopped_at = $2 WHERE id = $1 AND status = 'running' RETURNING *`,
+      [experimentId, this.clock.now()]
+    );
+    if (r.rows.length === 0) throw weightsError(404, 'No running experiment with that id');
+    return r.rows[0];
+  }
+
+  /**
+   * Per arm: clients, matches, and how far those matches got (introduction
+   * requested → CPA accepted → engagement started / completed), with each
+   * rate compared against the first (control) arm.
+   */
+  async report(experimentId) {
+    const e = await this.db.query('SELECT * FROM matching_experiments WHERE id = $1', [experimentId]);
+    if (e.rows.length === 0) return null;
+
+    const r = await this.db.query(
+      `SELECT a.id, a.arm, a.profile_id, a.allocation, p.name AS profile_name, p.version AS profile_version,
+              (SELECT COUNT(*) FROM matching_experiment_assignments x WHERE x.arm_id = a.id)::int AS clients,
+              COUNT(m.id)::int AS matches,
+              COUNT(m.id) FILTER (WHERE m.intro_requested_at IS NOT NULL)::int AS intros,
+              COUNT(m.id) FILTER (WHERE m.cpa_response IS NOT NULL)::int AS intros_answered,
+              COUNT(m.id) FILTER (WHERE m.cpa_response = 'accepted')::int AS accepted,
+              COUNT(m.id) FILTER (WHERE m.engagement_started)::int AS engaged,
+              COUNT(m.id) FILTER (WHERE m.status = 'completed')::int AS completed,
+              AVG(m.client_satisfaction) AS avg_client_satisfaction,
+              AVG(m.match_score) AS avg_match_score
+       FROM matching_experiment_arms a
+       JOIN matching_weight_profiles p ON p.id = a.profile_id
+       LEFT JOIN cpa_matches m ON m.experiment_arm_id = a.id
+       WHERE a.experiment_id = $1
+       GROUP BY a.id, p.name, p.version
+       ORDER BY a.id`,
+      [experimentId]
+    );
+
+    const arms = r.rows.map(row => ({
+      ...row,
+      avg_client_satisfaction: row.avg_client_satisfaction === null ? null : Math.round(parseFloat(row.avg_client_satisfaction) * 100) / 100,
+      avg_match_score: row.avg_match_score === null ? null : Math.round(parseFloat(row.avg_match_score) * 10) / 10,
+      intro_rate: rate(row.intros, row.matches),
+      acceptance_rate: rate(row.accepted, row.intros_answered),
+      engagement_rate: rate(row.engaged, row.matches),
+    }));
+    const control = arms[0];
+    for (const arm of arms.slice(1)) {
+      arm.vs_control = {
+        intro_rate: compareRates({ k: arm.intros, n: arm.matches }, { k: control.intros, n: control.matches }),
+        acceptance_rate: compareRates({ k: arm.accepted, n: arm.intros_answered }, { k: control.accepted, n: control.intros_answered }),
+        engagement_rate: compareRates({ k: arm.engaged, n: arm.matches }, { k: control.engaged, n: control.matches }),
+      };
+    }
+    return { experiment: e.rows[0], control_arm: control ? control.arm : null, arms };
+  }
+
+  // Sticky arm for a client in the running experiment (null when none is running)
+  async _assign(clientId) {
+    const e = await this.db.query(
+      `SELECT e.id, json_agg(json_build_object('id', a.id, 'arm', a.arm, 'allocation', a.allocation) ORDER BY a.id) AS arms
+       FROM matching_experiments e
+       JOIN matching_experiment_arms a ON a.experiment_id = e.id
+       WHERE e.status = 'running'
+       GROUP BY e.id`
+    );
+    const experiment = e.rows[0];
+    if (!experiment) return null;
+
+    const picked = pickArm(experiment.id, clientId, experiment.arms);
+
+    await this.db.query(
+      `INSERT INTO matching_experiment_assignments (experiment_id, client_id, arm_id, assigned_at)
+       VALUES ($1, $2, $3, $4) ON CONFLICT (experiment_id, client_id) DO NOTHING`,
+      [experiment.id, clientId, picked.id, this.clock.now()]
+    );
+    const r = await this.db.query(
+      `SELECT a.id AS arm_id, a.arm, p.*
+       FROM matching_experiment_assignments x
+       JOIN matching_experiment_arms a ON a.id = x.arm_id
+       JOIN matching_weight_profiles p ON p.id = a.profile_id
+       WHERE x.experiment_id = $1 AND x.client_id = $2`,
+      [experiment.id, clientId]
+    );
+    const { arm_id, arm, ...profile } = r.rows[0];
+    return { profile, experimentId: experiment.id, armId: arm_id, arm };
+  }
+}
+
+module.exports = { MatchingWeightService, normalizeWeights, compareRates, pickArm };
@@ -0,0 +1,131 @@
+const { fold, normalizeBusinessName, normalizePhone, normalizeWebsite } = require('./entityResolution');
+
+// =====================================================
+// 👤 CPA PERSON RESOLUTION — name parsing, blocking keys, pairwise scoring
+// =====================================================
+// Same log-odds model as the SME entity resolver, tuned for people: the same
+// CPA shows up as "Côté, Marie-Ève J." in a provincial directory, "Marie-Eve
+// Cote" in Apollo and again in another province after a move.
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'm', 'mme', 'mlle', 'prof']);
+
+// Designations and degrees that directories append to names
+const NAME_SUFFIXES = new Set([
+  'cpa', 'ca', 'cga', 'cma', 'fcpa', 'fca', 'fcga', 'fcma', 'auditor', 'auditeur', 'cpaauditor', 'cpaauditeur',
+  'mba', 'llb', 'phd', 'cfa', 'cfp', 'tep', 'cia', 'cisa', 'jr', 'sr', 'ii', 'iii',
+]);
+
+// Hyphens/apostrophes are part of the name ("Marie-Ève", "O'Brien"), not separators
+function nameTokens(str) {
+  return fold(String(str || '').replace(/[-'’]/g, ''))
+    .split(' ')
+    .filter(t => t && !HONORIFICS.has(t) && !NAME_SUFFIXES.has(t));
+}
+
+/**
+ * Parse a scraped_cpas row's name into { first, middle: [initials], last }.
+ * Uses first_name/last_name when present, otherwise full_name in either
+ * "Last, First Middle" or "First Middle Last" order.
+ */
+function parsePersonName({ first_name, last_name, full_name } = {}) {
+  let firstTokens, lastTokens;
+  if (first_name && last_name) {
+    firstTokens = nameTokens(first_name);
+    lastTokens = nameTokens(last_name);
+  } else {
+    // Drop comma segments that are only designations ("John Smith, CPA, CA")
+    const segments = String(full_name || '').split(',').filter(seg => nameTokens(seg).length > 0);
+    if (segments.length >= 2) {
+      lastTokens = nameTokens(segments[0]);
+      firstTokens = nameTokens(segments.slice(1).join(' '));
+    } else {
+      const tokens = nameTokens(segments[0]);
+      lastTokens = tokens.slice(-1);
+      firstTokens = tokens.slice(0, -1);
+    }
+  }
+
+  return {
+    first: firstTokens[0] || '',
+    middle: firstTokens.slice(1).map(t => t[0]),
+    last: lastTokens.join(''),
+  };
+}
+
+/**
+ * Comparable view of a scraped_cpas row (computed once per record).
+ */
+function personProfile(row) {
+  const emails = [row.email, row.enriched_email]
+    .map(e => String(e || '').toLowerCase().trim())
+    .filter(e => e.includes('@'));
+  return {
+    id: row.id,
+    name: parsePersonName(row),
+    province: String(row.province || '').trim().toUpperCase() || null,
+    city: fold(row.city) || null,
+    firm: row.firm_name ? normalizeBusinessName(row.firm_name).key || null : null,
+    firmDomain: normalizeWebsite(row.firm_website) || emails.map(e => normalizeWebsite(e.split('@')[1])).find(Boolean) || null,
+    emails: [...new Set(emails)],
+    phone: normalizePhone(row.phone),
+  };
+}
+
+/**
+ * Blocking keys — deliberately province-free so moves between provinces still meet.
+ */
+function personBlockingKeys(p) {
+  const keys = [];
+  if (p.name.last && p.name.first) {
+    keys.push(['name', `${p.name.last}|${p.name.first}`]);
+    keys.push(['initial', `${p.name.last}|${p.name.first[0]}`]);
+  }
+  for (const email of p.emails) keys.push(['email', email]);
+  if (p.phone) keys.push(['phone', p.phone]);
+  return keys;
+}
+
+const PRIOR_LOG_ODDS = -3;
+
+/**
+ * Score two person profiles: { confidence, evidence: [{ field, weight, detail }] }.
+ */
+function scorePersonPair(a, b) {
+  const evidence = [];
+  const add = (field, weight, detail) => evidence.push({ field, weight, detail });
+
+  if (a.emails.some(e => b.emails.includes(e))) add('email', 8, 'shared email');
+
+  if (a.name.last && b.name.last) add('last_name', a.name.last === b.name.last ? 0.5 : -6, a.name.last === b.name.last ? 'equal' : 'different');
+
+  const fa = a.name.first, fb = b.name.first;
+  if (fa && fb) {
+    if (fa === fb) add('first_name', 4, 'equal');
+    else if ((fa.length === 1 || fb.length === 1) && fa[0] === fb[0]) add('first_name', 1.5, 'initial matches');
+    else add('first_name', -5, 'different');
+  }
+
+  if (a.name.middle.length > 0 && b.name.middle.length > 0) {
+    const shared = a.name.middle.some(m => b.name.middle.includes(m));
+    add('middle_initial', shared ? 1 : -3, shared ? 'shared' : 'conflicting');
+  }
+
+  if (a.phone && b.phone && a.phone === b.phone) add('phone', 3, 'equal');
+  if (a.firm && b.firm) add('firm', a.firm === b.firm ? 3 : -0.5, a.firm === b.firm ? 'equal' : 'different');
+  if (a.firmDomain && b.firmDomain && a.firmDomain === b.firmDomain) add('firm_domain', 2, a.firmDomain);
+
+  // CPAs move between provinces; a different province is weak evidence, not a veto
+  if (a.province && b.province) add('province', a.province === b.province ? 0.5 : -1, a.province === b.province ? 'equal' : `${a.province} vs ${b.province}`);
+  if (a.city && b.city && a.city === b.city) add('city', 1, 'equal');
+
+  const logOdds = evidence.reduce((sum, e) => sum + e.weight, PRIOR_LOG_ODDS);
+  const confidence = Math.round((1 / (1 + Math.exp(-logOdds))) * 1000) / 1000;
+  return { confidence, evidence };
+}
+
+module.exports = {
+  parsePersonName,
+  personProfile,
+  personBlockingKeys,
+  scorePersonPair,
+};
@@ -0,0 +1,196 @@
+const cron = require('node-cron');
+
+// =====================================================
+// 🕐 SCHEDULER REGISTRY
+// =====================================================
+// Every recurring job is a row in scheduled_jobs (name, source, cron
+// expression, timezone, enabled, max runtime, concurrency group). Rows are
+// seeded from the defaults passed to load() and are never overwritten, so
+// changes made through the admin API survive restarts. A cron tick only
+// enqueues the job; the job queue runs it and enforces the concurrency group.
+// Only a process that calls start() installs cron tasks (the worker); the web
+// process loads the registry for the admin API, and the worker picks up its
+// edits by re-reading the table every REFRESH_INTERVAL_MS.
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+class Scheduler {
+  constructor(dbClient, jobQueue) {
+    this.db = dbClient;
+    this.jobQueue = jobQueue;
+    this.entries = new Map();
+    this.tasks = new Map();
+    this.running = false;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Seed missing default entries and load the registry (cron tasks are installed once started).
+   */
+  async load(defaults = []) {
+    for (const d of defaults) {
+      await this.db.query(
+        `INSERT INTO scheduled_jobs (name, source, cron_expression, timezone, enabled, max_runtime_minutes, concurrency_group, description)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (name) DO NOTHING`,
+        [d.name, d.source || d.name, d.cron, d.timezone || 'UTC', d.enabled !== false,
+         d.maxRuntimeMinutes || null, d.concurrencyGroup || null, d.description || null]
+      );
+    }
+
+    const r = await this.db.query(`SELECT * FROM scheduled_jobs ORDER BY name`);
+    for (const entry of r.rows) this._install(entry);
+
+    const enabled = r.rows.filter(e => e.enabled).length;
+    console.log(`[Scheduler] Loaded ${r.rows.length} scheduled job(s), ${enabled} enabled`);
+    return r.rows;
+  }
+
+  /**
+   * Install a cron task for every enabled entry and keep following registry edits.
+   */
+  start(refreshIntervalMs = REFRESH_INTERVAL_MS) {
+    if (this.running) return;
+    this.running = true;
+    for (const entry of this.entries.values()) this._install(entry);
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(err => console.error('[Scheduler] Registry refresh failed:', err.message));
+    }, refreshIntervalMs);
+  }
+
+  /**
+   * Re-install entries changed since they were loaded (e.g. paused through another process's admin API).
+   */
+  async refresh() {
+    const r = await this.db.query(`SELECT * FROM scheduled_jobs ORDER BY name`);
+    for (const entry of r.rows) {
+      const known = this.entries.get(entry.name);
+      if (!known || updatedAt(known) !== updatedAt(entry)) this._install(entry);
+    }
+  }
+
+  async list() {
+    const r = await this.db.query(`SELECT * FROM scheduled_jobs ORDER BY name`);
+    return r.rows;
+  }
+
+  async pause(name) {
+    return this._update(name, `enabled = false`, []);
+  }
+
+  async resume(name) {
+    return this._update(name, `enabled = true`, []);
+  }
+
+  /**
+   * Change the cron expression / timezone / max runtime / concurrency group of an entry.
+   */
+  async reschedule(name, { cron_expression, timezone, max_runtime_minutes, concurrency_group } = {}) {
+    const sets = [];
+    const params = [];
+    if (cron_expression !== undefined) {
+      if (!cron.validate(cron_expression)) throw new Error(`Invalid cron expression: ${cron_expression}`);
+      params.push(cron_expression); sets.push(`cron_expression = $${params.length + 1}`);
+    }
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) throw new Error(`Invalid timezone: ${timezone}`);
+      params.push(timezone); sets.push(`timezone = $${params.length + 1}`);
+    }
+    if (max_runtime_minutes !== undefined) {
+      params.push(max_runtime_minutes || null); sets.push(`max_runtime_minutes = $${params.length + 1}`);
+    }
+    if (concurrency_group !== undefined) {
+      params.push(concurrency_group || null); sets.push(`concurrency_group = $${params.length + 1}`);
+    }
+    if (sets.length === 0) throw new Error('Nothing to update');
+    return this._update(name, sets.join(', '), params);
+  }
+
+  /**
+   * Enqueue the entry's job immediately (also what each cron tick calls).
+   */
+  async runNow(name, requestedBy = 'admin') {
+    const entry = this.entries.get(name);
+    if (!entry) throw new Error(`Unknown schedule: ${name}`);
+    if (!this.jobQueue.hasType(entry.source)) throw new Error(`No job type registered for ${entry.source}`);
+
+    const result = await this.jobQueue.enqueue(entry.source, {}, {
+      requestedBy: `${requestedBy}:${name}`,
+      concurrencyGroup: entry.concurrency_group,
+      maxRuntimeSeconds: entry.max_runtime_minutes ? entry.max_runtime_minutes * 60 : null,
+    });
+    await this.db.query(
+      `UPDATE scheduled_jobs SET last_enqueued_at = NOW(), last_job_id = $2 WHERE name = $1`,
+      [name, result.job.id]
+    );
+    return result;
+  }
+
+  /**
+   * Concurrency group configured for a source, falling back to the job type's default.
+   */
+  concurrencyGroupFor(source) {
+    for (const entry of this.entries.values()) {
+      if (entry.source === source && entry.concurrency_group) return entry.concurrency_group;
+    }
+    return this.jobQueue.concurrencyGroupOf(source);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    for (const task of this.tasks.values()) task.stop();
+    this.tasks.clear();
+  }
+
+  async _update(name, setClause, params) {
+    const r = await this.db.query(
+      `UPDATE scheduled_jobs SET ${setClause}, updated_at = NOW() WHERE name = $1 RETURNING *`,
+      [name, ...params]
+    );
+    if (r.rows.length === 0) return null;
+    this._install(r.rows[0]);
+    return r.rows[0];
+  }
+
+  _install(entry) {
+    const existing = this.tasks.get(entry.name);
+    if (existing) existing.stop();
+    this.tasks.delete(entry.name);
+    this.entries.set(entry.name, entry);
+
+    if (!this.running || !entry.enabled) return;
+    if (!cron.validate(entry.cron_expression)) {
+      console.error(`[Scheduler] Invalid cron expression for ${entry.name}: ${entry.cron_expression}`);
+      return;
+    }
+
+    const task = cron.schedule(entry.cron_expression, async () => {
+      try {
+        const { job, existing: alreadyActive } = await this.runNow(entry.name, 'schedule');
+        console.log(alreadyActive
+          ? `⏰ [Scheduler] ${entry.name}: ${entry.source} already ${job.status} (job #${job.id}), skipping`
+          : `⏰ [Scheduler] ${entry.name}: queued ${entry.source} as job #${job.id}`);
+      } catch (err) {
+        console.error(`❌ [Scheduler] ${entry.name} failed to enqueue:`, err.message);
+      }
+    }, { timezone: entry.timezone || 'UTC' });
+    this.tasks.set(entry.name, task);
+  }
+}
+
+function updatedAt(entry) {
+  return entry.updated_at ? new Date(entry.updated_at).getTime() : 0;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { Scheduler };
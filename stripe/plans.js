@@ -0,0 +1,33 @@
+const Stripe = require('stripe');
+
+// =====================================================
+// 💳 STRIPE PLANS
+// =====================================================
+
+// Stripe price IDs from environment variables
+const STRIPE_PRICES = {
+    associate_monthly: process.env.STRIPE_PRICE_ASSOCIATE_MONTHLY,
+    associate_yearly: process.env.STRIPE_PRICE_ASSOCIATE_YEARLY,
+    professional_monthly: process.env.STRIPE_PRICE_PROFESSIONAL_MONTHLY,
+    professional_yearly: process.env.STRIPE_PRICE_PROFESSIONAL_YEARLY,
+    enterprise_monthly: process.env.STRIPE_PRICE_ENTERPRISE_MONTHLY,
+    enterprise_yearly: process.env.STRIPE_PRICE_ENTERPRISE_YEARLY,
+};
+
+// Null when STRIPE_SECRET_KEY is not set; every Stripe route then answers 503
+function createStripeClient() {
+    return process.env.STRIPE_SECRET_KEY ? new Stripe(process.env.STRIPE_SECRET_KEY) : null;
+}
+
+// Helper: resolve tier name from Stripe Price ID
+function tierFromPriceId(priceId) {
+    for (const [key, val] of Object.entries(STRIPE_PRICES)) {
+        if (val === priceId) {
+            const parts = key.split('_');
+            return { tier: parts[0], interval: parts[1] };
+        }
+    }
+    return { tier: 'unknown', interval: 'monthly' };
+}
+
+module.exports = { STRIPE_PRICES, createStripeClient, tierFromPriceId };
@@ -0,0 +1,152 @@
+const express = require('express');
+const { STRIPE_PRICES } = require('./plans');
+
+// =====================================================
+// 💳 STRIPE CHECKOUT & BILLING PORTAL API
+// =====================================================
+// Subscription status and the billing portal belong to the signed-in CPA
+// (req.principal.subject is the cpa_id); an email in the request no longer
+// identifies an account. Checkout stays open to anonymous visitors, but only
+// a signed-in CPA's checkout is ever tied to a profile.
+
+function stripeRoutes({ db, stripe, frontendUrl, auth, cpaAccounts }) {
+    const router = express.Router();
+
+    // POST /api/stripe/create-checkout-session
+    router.post('/api/stripe/create-checkout-session', async (req, res) => {
+        if (!stripe) return res.status(503).json({ error: 'Stripe not configured' });
+
+        try {
+            const { priceId, tier, interval } = req.body;
+            let { email } = req.body;
+            let profileId = null;
+            let customerId = null;
+
+            // A signed-in CPA buys for their own profile (and reuses their Stripe customer);
+            // a profileId in an anonymous body is ignored
+            if (req.principal && req.principal.role === 'cpa') {
+                const profile = await cpaAccounts.getProfile(req.principal.subject);
+                if (!profile) return res.status(404).json({ error: 'CPA profile not found' });
+                profileId = profile.cpa_id;
+                email = profile.email;
+                customerId = await cpaAccounts.stripeCustomerFor(profile.cpa_id);
+            }
+
+            if (!priceId || !email) {
+                return res.status(400).json({ error: 'priceId and email are required' });
+            }
+
+            // Resolve actual Stripe price ID from env vars
+            // priceId can be a key like "associate_monthly" or an actual price_xxx ID
+            const resolvedPriceId = STRIPE_PRICES[priceId] || priceId;
+
+            if (!resolvedPriceId || !resolvedPriceId.startsWith('price_')) {
+                return res.status(400).json({ error: `Price not configured for "${priceId}". Please set the corresponding STRIPE_PRICE_* env var.` });
+            }
+
+            const sessionParams = {
+                mode: 'subscription',
+                payment_method_types: ['card'],
+                line_items: [{ price: resolvedPriceId, quantity: 1 }],
+                success_url: `${frontendUrl}/checkout-success.html?session_id={CHECKOUT_SESSION_ID}`,
+                cancel_url: `${frontendUrl}/checkout-cancel.html`,
+                metadata: {
+                    email: email,
+                    profileId: profileId || '',
+                    tier: tier || '',
+                    interval: interval || ''
+                },
+                subscription_data: {
+                    metadata: {
+                        email: email,
+                        profileId: profileId || '',
+                        tier: tier || '',
+                        interval: interval || ''
+                    }
+                }
+            };
+
+            if (customerId) sessionParams.customer = customerId;
+            else sessionParams.customer_email = email;
+
+            const session = await stripe.checkout.sessions.create(sessionParams);
+
+            res.json({ url: session.url, sessionId: session.id });
+        } catch (error) {
+            console.error('Stripe checkout session error:', error.message);
+            res.status(500).json({ error: 'Failed to create checkout session' });
+        }
+    });
+
+    // GET /api/stripe/subscription-status — a CPA sees their own; operators may pass ?cpa_id= or ?email=
+    router.get('/api/stripe/subscription-status', auth.require(['cpa', 'operator']), async (req, res) => {
+        try {
+            let result;
+            if (req.principal.role === 'cpa') {
+                const profile = await cpaAccounts.getProfile(req.principal.subject);
+                if (!profile) return res.status(404).json({ error: 'CPA profile not found' });
+                result = await db.query(
+                    `SELECT * FROM cpa_subscriptions
+                     WHERE cpa_profile_id = $1 OR ($2::text IS NOT NULL AND stripe_customer_id = $2)
+                     ORDER BY updated_at DESC LIMIT 1`,
+                    [profile.cpa_id, profile.stripe_customer_id]
+                );
+            } else {
+                const { cpa_id, email } = req.query;
+                if (!cpa_id && !email) {
+                    return res.status(400).json({ error: 'cpa_id or email query parameter is required' });
+                }
+                result = cpa_id
+                    ? await db.query(`SELECT * FROM cpa_subscriptions WHERE cpa_profile_id = $1 ORDER BY updated_at DESC LIMIT 1`, [cpa_id])
+                    : await db.query(`SELECT * FROM cpa_subscriptions WHERE LOWER(email) = LOWER($1) ORDER BY updated_at DESC LIMIT 1`, [email]);
+            }
+
+            if (result.rows.length === 0) {
+                return res.json({ subscription: null });
+            }
+
+            const sub = result.rows[0];
+            res.json({
+                subscription: {
+                    tier: sub.tier,
+                    interval: sub.billing_interval,
+                    status: sub.status,
+                    current_period_start: sub.current_period_start,
+                    current_period_end: sub.current_period_end,
+                    stripe_customer_id: sub.stripe_customer_id,
+                    stripe_subscription_id: sub.stripe_subscription_id
+                }
+            });
+        } catch (error) {
+            console.error('Subscription status error:', error.message);
+            res.status(500).json({ error: 'Failed to fetch subscription status' });
+        }
+    });
+
+    // POST /api/stripe/create-portal-session — billing portal for the signed-in CPA's Stripe customer
+    router.post('/api/stripe/create-portal-session', auth.require('cpa'), async (req, res) => {
+        if (!stripe) return res.status(503).json({ error: 'Stripe not configured' });
+
+        try {
+            const customerId = await cpaAccounts.stripeCustomerFor(req.principal.subject);
+
+            if (!customerId) {
+                return res.status(404).json({ error: 'No Stripe customer found for this account' });
+            }
+
+            const portalSession = await stripe.billingPortal.sessions.create({
+                customer: customerId,
+                return_url: `${frontendUrl}/cpa-dashboard.html`
+            });
+
+            res.json({ url: portalSession.url });
+        } catch (error) {
+            console.error('Portal session error:', error.message);
+            res.status(500).json({ error: 'Failed to create portal session' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { stripeRoutes };
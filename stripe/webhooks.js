@@ -0,0 +1,222 @@
+const { sendSubscriptionConfirmation, sendPaymentReceipt, sendPaymentFailedAlert } = require('../services/email');
+const { tierFromPriceId } = require('./plans');
+
+// =====================================================
+// 💳 STRIPE WEBHOOKS
+// =====================================================
+// Mounted with express.raw() ahead of express.json() (see app.js) so the
+// signature is verified against the untouched body.
+
+// Stripe Webhook Handler
+async function handleStripeWebhook({ db, stripe }, req, res) {
+    if (!stripe) return res.status(503).send('Stripe not configured');
+
+    const sig = req.headers['stripe-signature'];
+    let event;
+
+    try {
+        if (process.env.STRIPE_WEBHOOK_SECRET) {
+            event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+        } else {
+            // In development without webhook secret, parse raw body
+            event = JSON.parse(req.body.toString());
+            console.warn('Warning: STRIPE_WEBHOOK_SECRET not set, skipping signature verification');
+        }
+    } catch (err) {
+        console.error('Webhook signature verification failed:', err.message);
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    // Idempotency check
+    try {
+        await db.query(
+            `INSERT INTO webhook_events (stripe_event_id, event_type) VALUES ($1, $2)`,
+            [event.id, event.type]
+        );
+    } catch (err) {
+        if (err.code === '23505') {
+            // Duplicate event, already processed
+            console.log(`Webhook event ${event.id} already processed, skipping`);
+            return res.json({ received: true, duplicate: true });
+        }
+        console.error('Webhook idempotency check error:', err.message);
+    }
+
+    console.log(`Stripe webhook received: ${event.type} (${event.id})`);
+
+    try {
+        switch (event.type) {
+            case 'checkout.session.completed':
+                await handleCheckoutCompleted(db, event.data.object);
+                break;
+            case 'customer.subscription.updated':
+                await handleSubscriptionUpdated(db, event.data.object);
+                break;
+            case 'customer.subscription.deleted':
+                await handleSubscriptionDeleted(db, event.data.object);
+                break;
+            case 'invoice.payment_succeeded':
+                await handlePaymentSucceeded(db, event.data.object);
+                break;
+            case 'invoice.payment_failed':
+                await handlePaymentFailed(db, event.data.object);
+                break;
+            default:
+                console.log(`Unhandled event type: ${event.type}`);
+        }
+    } catch (err) {
+        console.error(`Error handling ${event.type}:`, err.message);
+    }
+
+    res.json({ received: true });
+}
+
+async function handleCheckoutCompleted(db, session) {
+    const email = session.customer_email || session.metadata?.email;
+    const customerId = session.customer;
+    const subscriptionId = session.subscription;
+    const tier = session.metadata?.tier || 'unknown';
+    const interval = session.metadata?.interval || 'monthly';
+
+    // Only checkouts started from a signed-in CPA session carry a profile (set server-side
+    // in create-checkout-session). An anonymous checkout is stored by email alone and never
+    // linked by it: anyone can pay under another CPA's address
+    const profileId = session.metadata?.profileId || null;
+
+    console.log(`Checkout completed: email=${email}, customer=${customerId}, subscription=${subscriptionId}, profile=${profileId}`);
+
+    // Upsert subscription record
+    await db.query(
+        `INSERT INTO cpa_subscriptions (email, cpa_profile_id, stripe_customer_id, stripe_subscription_id, tier, billing_interval, status)
+         VALUES ($1, $2, $3, $4, $5, $6, 'active')
+         ON CONFLICT (stripe_subscription_id) DO UPDATE SET
+            email = EXCLUDED.email,
+            cpa_profile_id = COALESCE(EXCLUDED.cpa_profile_id, cpa_subscriptions.cpa_profile_id),
+            stripe_customer_id = EXCLUDED.stripe_customer_id,
+            status = 'active',
+            updated_at = CURRENT_TIMESTAMP`,
+        [email, profileId, customerId, subscriptionId, tier, interval]
+    );
+
+    if (profileId && customerId) {
+        await db.query(
+            'UPDATE cpa_profiles SET stripe_customer_id = $2 WHERE cpa_id = $1 AND stripe_customer_id IS DISTINCT FROM $2',
+            [profileId, customerId]
+        );
+    }
+
+    // Send subscription confirmation email
+    sendSubscriptionConfirmation({ email, tier, interval }).catch(err => {
+        console.error('Subscription email error (non-fatal):', err.message);
+    });
+}
+
+async function handleSubscriptionUpdated(db, subscription) {
+    const { tier, interval } = tierFromPriceId(subscription.items?.data?.[0]?.price?.id);
+
+    await db.query(
+        `UPDATE cpa_subscriptions SET
+            tier = $1,
+            billing_interval = $2,
+            status = $3,
+            current_period_start = to_timestamp($4),
+            current_period_end = to_timestamp($5),
+            updated_at = CURRENT_TIMESTAMP
+         WHERE stripe_subscription_id = $6`,
+        [
+            tier,
+            interval,
+            subscription.status,
+            subscription.current_period_start,
+            subscription.current_period_end,
+            subscription.id
+        ]
+    );
+
+    console.log(`Subscription updated: ${subscription.id} → ${subscription.status}`);
+}
+
+async function handleSubscriptionDeleted(db, subscription) {
+    await db.query(
+        `UPDATE cpa_subscriptions SET status = 'canceled', updated_at = CURRENT_TIMESTAMP WHERE stripe_subscription_id = $1`,
+        [subscription.id]
+    );
+    console.log(`Subscription canceled: ${subscription.id}`);
+}
+
+async function handlePaymentSucceeded(db, invoice) {
+    await db.query(
+        `INSERT INTO stripe_transactions (stripe_payment_intent_id, stripe_invoice_id, stripe_subscription_id, email, amount_cents, currency, status)
+         VALUES ($1, $2, $3, $4, $5, $6, 'succeeded')`,
+        [
+            invoice.payment_intent,
+            invoice.id,
+            invoice.subscription,
+            invoice.customer_email,
+            invoice.amount_paid,
+            invoice.currency
+        ]
+    );
+
+    // Ensure subscription is marked active
+    if (invoice.subscription) {
+        await db.query(
+            `UPDATE cpa_subscriptions SET status = 'active', updated_at = CURRENT_TIMESTAMP WHERE stripe_subscription_id = $1`,
+            [invoice.subscription]
+        );
+    }
+
+    console.log(`Payment succeeded: ${invoice.id}, amount=${invoice.amount_paid}`);
+
+    // Send payment receipt email
+    sendPaymentReceipt({
+        email: invoice.customer_email,
+        amount: invoice.amount_paid,
+        currency: invoice.currency,
+        invoiceId: invoice.id,
+    }).catch(err => {
+        console.error('Payment receipt email error (non-fatal):', err.message);
+    });
+}
+
+async function handlePaymentFailed(db, invoice) {
+    await db.query(
+        `INSERT INTO stripe_transactions (stripe_payment_intent_id, stripe_invoice_id, stripe_subscription_id, email, amount_cents, currency, status)
+         VALUES ($1, $2, $3, $4, $5, $6, 'failed')`,
+        [
+            invoice.payment_intent,
+            invoice.id,
+            invoice.subscription,
+            invoice.customer_email,
+            invoice.amount_due,
+            invoice.currency
+        ]
+    );
+
+    // Mark subscription as past_due
+    if (invoice.subscription) {
+        await db.query(
+            `UPDATE cpa_subscriptions SET status = 'past_due', updated_at = CURRENT_TIMESTAMP WHERE stripe_subscription_id = $1`,
+            [invoice.subscription]
+        );
+    }
+
+    console.log(`Payment failed: ${invoice.id}`);
+
+    // Send payment failed alert
+    sendPaymentFailedAlert({
+        email: invoice.customer_email,
+        amount: invoice.amount_due,
+        currency: invoice.currency,
+        invoiceId: invoice.id,
+    }).catch(err => {
+        console.error('Payment failed email error (non-fatal):', err.message);
+    });
+}
+
+// Express handler bound to the app's db / Stripe client
+function stripeWebhook(deps) {
+    return (req, res) => handleStripeWebhook(deps, req, res);
+}
+
+module.exports = { stripeWebhook };
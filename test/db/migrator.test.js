@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Migrator, MIGRATIONS_DIR, migrationLabel } = require('../../db/migrator');
+
+const MIGRATION = `module.exports = {
+    async up(db) {},
+    async down(db) {},
+};
+`;
+
+// A throwaway migrations directory: { '001_a.js': source, ... }
+function migrationsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  for (const [file, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), source);
+  return dir;
+}
+
+// A pool that only answers the ledger reads status() makes
+function ledgerDb(rows) {
+  return {
+    query: async (sql) => {
+      if (/to_regclass/.test(sql)) return { rows: [{ present: rows !== null }] };
+      return { rows: rows || [] };
+    },
+  };
+}
+
+test('migrationLabel pads the version to three digits', () => {
+  assert.strictEqual(migrationLabel({ version: 4, name: 'scrape_pipeline' }), '004_scrape_pipeline');
+  assert.strictEqual(migrationLabel({ version: 1024, name: 'big' }), '1024_big');
+});
+
+test('migrations are ordered by version number, not file name', () => {
+  const dir = migrationsDir({ '010_ten.js': MIGRATION, '2_two.js': MIGRATION, '001_one.js': MIGRATION });
+  assert.deepStrictEqual(new Migrator(null, { dir }).migrations().map(m => m.version), [1, 2, 10]);
+});
+
+test('files that are not NNN_snake_name.js are ignored', () => {
+  const dir = migrationsDir({ '001_one.js': MIGRATION, 'README.md': '# notes', '002_Bad-Name.js': MIGRATION, 'helpers.js': MIGRATION });
+  assert.deepStrictEqual(new Migrator(null, { dir }).migrations().map(m => m.file), ['001_one.js']);
+});
+
+test('each migration carries the sha256 of its file and its transaction flag', () => {
+  const noTx = `module.exports = {\n    transaction: false,\n    async up(db) {},\n    async down(db) {},\n};\n`;
+  const dir = migrationsDir({ '001_one.js': MIGRATION, '002_concurrent_index.js': noTx });
+  const [one, two] = new Migrator(null, { dir }).migrations();
+
+  assert.strictEqual(one.checksum, crypto.createHash('sha256').update(MIGRATION).digest('hex'));
+  assert.strictEqual(one.name, 'one');
+  assert.strictEqual(one.transaction, true);
+  assert.strictEqual(two.transaction, false);
+});
+
+test('two files with the same version are rejected', () => {
+  const dir = migrationsDir({ '001_one.js': MIGRATION, '1_also_one.js': MIGRATION });
+  assert.throws(() => new Migrator(null, { dir }).migrations(), /Duplicate migration version 1/);
+});
+
+test('a migration without down() is rejected', () => {
+  const dir = migrationsDir({ '001_one.js': 'module.exports = { async up(db) {} };\n' });
+  assert.throws(() => new Migrator(null, { dir }).migrations(), /must export up\(db\) and down\(db\)/);
+});
+
+test('status reports pending, edited and unknown migrations', async () => {
+  const dir = migrationsDir({ '001_one.js': MIGRATION, '002_two.js': MIGRATION, '003_three.js': MIGRATION });
+  const checksum = crypto.createHash('sha256').update(MIGRATION).digest('hex');
+  const ledger = [
+    { version: 1, name: 'one', checksum, execution_ms: 5, applied_at: null },
+    { version: 2, name: 'two', checksum: 'edited-since', execution_ms: 5, applied_at: null },
+    { version: 7, name: 'from_a_newer_release', checksum: 'x', execution_ms: 5, applied_at: null },
+  ];
+  const status = await new Migrator(ledgerDb(ledger), { dir }).status();
+
+  assert.strictEqual(status.current, 7);
+  assert.strictEqual(status.latest, 3);
+  assert.strictEqual(status.behind, true);
+  assert.deepStrictEqual(status.pending, [{ version: 3, name: 'three' }]);
+  assert.deepStrictEqual(status.changed, [{ version: 2, name: 'two' }]);
+  assert.deepStrictEqual(status.unknown, [{ version: 7, name: 'from_a_newer_release' }]);
+});
+
+test('a database without a ledger has every migration pending', async () => {
+  const dir = migrationsDir({ '001_one.js': MIGRATION, '002_two.js': MIGRATION });
+  const status = await new Migrator(ledgerDb(null), { dir }).status();
+  assert.strictEqual(status.current, 0);
+  assert.deepStrictEqual(status.pending.map(m => m.version), [1, 2]);
+});
+
+test('the shipped migrations load with unique, gap-free versions', () => {
+  const versions = new Migrator(null, { dir: MIGRATIONS_DIR }).migrations().map(m => m.version);
+  assert.deepStrictEqual(versions, versions.map((_, i) => i + 1));
+});
@@ -0,0 +1,815 @@
+// =====================================================
+// 🧪 MEMORY DB — an in-process stand-in for the pg pool
+// =====================================================
+// Runs the plain SELECT / INSERT / UPDATE statements the loaders and enrichers
+// issue against in-memory tables, so the fixture replays can run under
+// `npm test` without a Postgres server. It understands the subset those
+// statements use (ON CONFLICT, ROW_NUMBER() OVER, CASE, intervals, ANY($n),
+// COUNT(*)); anything else throws, which marks a statement the replay tests
+// do not cover yet. Tables are created on first use and have no schema: a
+// column nobody wrote reads as NULL. TABLE_DEFAULTS mirrors the column
+// defaults from db/migrations that the snapshots depend on.
+
+const TABLE_DEFAULTS = {
+  scrape_jobs: { status: 'running', started_at: now => now },
+  scraped_cpas: { status: 'raw', scraped_at: now => now },
+  scraped_smes: {
+    status: 'raw', enrichment_phase: 'pending', enrichment_attempts: 0, email_verified: false,
+    data_sources: () => [], scraped_at: now => now,
+  },
+  field_observations: { is_current: false, observed_at: now => now },
+  email_validations: { validated_at: now => now },
+};
+
+// pg hands JSONB back parsed
+const JSONB_COLUMNS = new Set(['data_sources', 'checkpoint', 'progress', 'payload', 'result']);
+
+const KEYWORDS = new Set([
+  'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'ORDER', 'BY', 'LIMIT', 'OFFSET', 'AS', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST',
+  'INSERT', 'INTO', 'VALUES', 'ON', 'CONFLICT', 'DO', 'NOTHING', 'UPDATE', 'SET', 'RETURNING', 'DELETE',
+  'AND', 'OR', 'NOT', 'IS', 'NULL', 'TRUE', 'FALSE', 'IN', 'ANY', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END',
+  'INTERVAL', 'OVER', 'PARTITION',
+]);
+
+const UNITS_MS = { second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000 };
+
+function parseInterval(text) {
+  let ms = 0;
+  const re = /(-?\d+(?:\.\d+)?)\s*(second|minute|hour|day|week)s?/gi;
+  let m;
+  while ((m = re.exec(String(text)))) ms += parseFloat(m[1]) * UNITS_MS[m[2].toLowerCase()];
+  return { intervalMs: ms };
+}
+
+// ----- tokenizer -----
+
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+  while (i < sql.length) {
+    const c = sql[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '-' && sql[i + 1] === '-') { while (i < sql.length && sql[i] !== '\n') i++; continue; }
+    if (c === "'") {
+      let value = '';
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === "'" && sql[i + 1] === "'") { value += "'"; i += 2; continue; }
+        if (sql[i] === "'") break;
+        value += sql[i++];
+      }
+      i++;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+    if (c === '"') {
+      const end = sql.indexOf('"', i + 1);
+      tokens.push({ type: 'ident', value: sql.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+    if (c === '$' && /\d/.test(sql[i + 1])) {
+      const m = /^\$(\d+)/.exec(sql.slice(i));
+      tokens.push({ type: 'param', value: parseInt(m[1]) });
+      i += m[0].length;
+      continue;
+    }
+    if (/\d/.test(c)) {
+      const m = /^\d+(\.\d+)?/.exec(sql.slice(i));
+      tokens.push({ type: 'number', value: parseFloat(m[0]) });
+      i += m[0].length;
+      continue;
+    }
+    if (/[A-Za-z_]/.test(c)) {
+      const m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.slice(i));
+      const upper = m[0].toUpperCase();
+      tokens.push(KEYWORDS.has(upper) ? { type: 'kw', value: upper } : { type: 'ident', value: m[0].toLowerCase() });
+      i += m[0].length;
+      continue;
+    }
+    const two = sql.slice(i, i + 2);
+    if (['::', '||', '<=', '>=', '<>', '!=', '=>'].includes(two)) {
+      tokens.push({ type: 'op', value: two });
+      i += 2;
+      continue;
+    }
+    if ('(),.*=<>+-;/'.includes(c)) {
+      tokens.push({ type: 'op', value: c });
+      i++;
+      continue;
+    }
+    throw new Error(`memoryDb: unexpected character "${c}" in: ${sql}`);
+  }
+  return tokens;
+}
+
+// ----- parser -----
+
+class Parser {
+  constructor(sql) {
+    this.sql = sql;
+    this.tokens = tokenize(sql);
+    this.pos = 0;
+  }
+
+  peek(offset = 0) { return this.tokens[this.pos + offset]; }
+  next() { return this.tokens[this.pos++]; }
+  isKw(value, offset = 0) { const t = this.peek(offset); return !!t && t.type === 'kw' && t.value === value; }
+  isOp(value, offset = 0) { const t = this.peek(offset); return !!t && t.type === 'op' && t.value === value; }
+  acceptKw(value) { if (this.isKw(value)) { this.pos++; return true; } return false; }
+  acceptOp(value) { if (this.isOp(value)) { this.pos++; return true; } return false; }
+
+  fail(expected) {
+    const t = this.peek();
+    throw new Error(`memoryDb: expected ${expected} but found ${t ? t.value : 'end of statement'} in: ${this.sql}`);
+  }
+
+  expectKw(value) { if (!this.acceptKw(value)) this.fail(value); }
+  expectOp(value) { if (!this.acceptOp(value)) this.fail(`"${value}"`); }
+
+  ident() {
+    const t = this.next();
+    if (!t || t.type !== 'ident') { this.pos--; this.fail('an identifier'); }
+    return t.value;
+  }
+
+  list(parseItem) {
+    const items = [parseItem()];
+    while (this.acceptOp(',')) items.push(parseItem());
+    return items;
+  }
+
+  statement() {
+    const t = this.peek();
+    let stmt;
+    if (t && t.type === 'ident' && ['begin', 'commit', 'rollback'].includes(t.value)) {
+      this.pos = this.tokens.length;
+      return { type: 'noop' };
+    }
+    if (this.isKw('SELECT')) stmt = this.select();
+    else if (this.isKw('INSERT')) stmt = this.insert();
+    else if (this.isKw('UPDATE')) stmt = this.update();
+    else if (this.isKw('DELETE')) stmt = this.delete();
+    else this.fail('SELECT, INSERT, UPDATE or DELETE');
+    this.acceptOp(';');
+    if (this.pos < this.tokens.length) this.fail('end of statement');
+    return stmt;
+  }
+
+  select() {
+    this.expectKw('SELECT');
+    const distinct = this.acceptKw('DISTINCT');
+    const columns = this.list(() => {
+      if (this.acceptOp('*')) return { star: true };
+      const expr = this.expr();
+      let alias = null;
+      if (this.acceptKw('AS')) alias = this.ident();
+      else if (this.peek() && this.peek().type === 'ident') alias = this.ident();
+      return { expr, alias };
+    });
+    this.expectKw('FROM');
+    let from;
+    if (this.acceptOp('(')) {
+      from = { subquery: this.select() };
+      this.expectOp(')');
+      this.acceptKw('AS');
+      this.ident();
+    } else {
+      from = { table: this.ident() };
+      if (this.peek() && this.peek().type === 'ident') this.ident();
+    }
+    const where = this.acceptKw('WHERE') ? this.expr() : null;
+    const orderBy = this.isKw('ORDER') ? this.orderBy() : [];
+    let limit = null;
+    let offset = null;
+    if (this.acceptKw('LIMIT')) limit = this.expr();
+    if (this.acceptKw('OFFSET')) offset = this.expr();
+    return { type: 'select', distinct, columns, from, where, orderBy, limit, offset };
+  }
+
+  orderBy() {
+    this.expectKw('ORDER');
+    this.expectKw('BY');
+    return this.list(() => {
+      const expr = this.expr();
+      let desc = false;
+      if (this.acceptKw('DESC')) desc = true;
+      else this.acceptKw('ASC');
+      let nullsFirst = desc;
+      if (this.acceptKw('NULLS')) {
+        if (this.acceptKw('FIRST')) nullsFirst = true;
+        else { this.expectKw('LAST'); nullsFirst = false; }
+      }
+      return { expr, desc, nullsFirst };
+    });
+  }
+
+  insert() {
+    this.expectKw('INSERT');
+    this.expectKw('INTO');
+    const table = this.ident();
+    this.expectOp('(');
+    const columns = this.list(() => this.ident());
+    this.expectOp(')');
+    this.expectKw('VALUES');
+    const rows = this.list(() => {
+      this.expectOp('(');
+      const values = this.list(() => this.expr());
+      this.expectOp(')');
+      return values;
+    });
+    let conflict = null;
+    if (this.acceptKw('ON')) {
+      this.expectKw('CONFLICT');
+      this.expectOp('(');
+      const target = this.list(() => this.ident());
+      this.expectOp(')');
+      const where = this.acceptKw('WHERE') ? this.expr() : null;
+      this.expectKw('DO');
+      if (this.acceptKw('NOTHING')) {
+        conflict = { target, where, action: 'nothing' };
+      } else {
+        this.expectKw('UPDATE');
+        this.expectKw('SET');
+        conflict = { target, where, action: 'update', assignments: this.assignments() };
+      }
+    }
+    return { type: 'insert', table, columns, rows, conflict, returning: this.returning() };
+  }
+
+  update() {
+    this.expectKw('UPDATE');
+    const table = this.ident();
+    this.expectKw('SET');
+    const assignments = this.assignments();
+    const where = this.acceptKw('WHERE') ? this.expr() : null;
+    return { type: 'update', table, assignments, where, returning: this.returning() };
+  }
+
+  delete() {
+    this.expectKw('DELETE');
+    this.expectKw('FROM');
+    const table = this.ident();
+    const where = this.acceptKw('WHERE') ? this.expr() : null;
+    return { type: 'delete', table, where, returning: this.returning() };
+  }
+
+  assignments() {
+    return this.list(() => {
+      const column = this.ident();
+      this.expectOp('=');
+      return { column, expr: this.expr() };
+    });
+  }
+
+  returning() {
+    if (!this.acceptKw('RETURNING')) return null;
+    return this.list(() => (this.acceptOp('*') ? '*' : this.ident()));
+  }
+
+  // Precedence, loosest first: OR, AND, NOT, comparison, || + -, * /, unary -, ::cast
+  expr() { return this.or(); }
+
+  or() {
+    let left = this.and();
+    while (this.acceptKw('OR')) left = { op: 'or', left, right: this.and() };
+    return left;
+  }
+
+  and() {
+    let left = this.not();
+    while (this.acceptKw('AND')) left = { op: 'and', left, right: this.not() };
+    return left;
+  }
+
+  not() {
+    if (this.acceptKw('NOT')) return { op: 'not', arg: this.not() };
+    return this.comparison();
+  }
+
+  comparison() {
+    const left = this.additive();
+    if (this.acceptKw('IS')) {
+      const negate = this.acceptKw('NOT');
+      if (this.acceptKw('NULL')) return { op: negate ? 'isNotNull' : 'isNull', arg: left };
+      if (this.acceptKw('TRUE')) return { op: negate ? 'isNotTrue' : 'isTrue', arg: left };
+      this.expectKw('FALSE');
+      return { op: negate ? 'isNotFalse' : 'isFalse', arg: left };
+    }
+    const negate = this.isKw('NOT') && this.isKw('IN', 1);
+    if (negate) this.pos++;
+    if (this.acceptKw('IN')) {
+      this.expectOp('(');
+      const list = this.list(() => this.expr());
+      this.expectOp(')');
+      return { op: negate ? 'notIn' : 'in', arg: left, list };
+    }
+    const t = this.peek();
+    if (t && t.type === 'op' && ['=', '<>', '!=', '<', '>', '<=', '>='].includes(t.value)) {
+      this.pos++;
+      const op = t.value === '!=' ? '<>' : t.value;
+      if (this.acceptKw('ANY')) {
+        this.expectOp('(');
+        const array = this.expr();
+        this.expectOp(')');
+        return { op: 'any', compare: op, arg: left, array };
+      }
+      return { op: 'compare', compare: op, left, right: this.additive() };
+    }
+    return left;
+  }
+
+  additive() {
+    let left = this.multiplicative();
+    for (;;) {
+      if (this.acceptOp('||')) left = { op: 'concat', left, right: this.multiplicative() };
+      else if (this.acceptOp('+')) left = { op: '+', left, right: this.multiplicative() };
+      else if (this.acceptOp('-')) left = { op: '-', left, right: this.multiplicative() };
+      else return left;
+    }
+  }
+
+  multiplicative() {
+    let left = this.unary();
+    for (;;) {
+      if (this.acceptOp('*')) left = { op: '*', left, right: this.unary() };
+      else if (this.acceptOp('/')) left = { op: '/', left, right: this.unary() };
+      else return left;
+    }
+  }
+
+  unary() {
+    if (this.acceptOp('-')) return { op: 'neg', arg: this.unary() };
+    let node = this.primary();
+    while (this.acceptOp('::')) node = { op: 'cast', arg: node, type: this.next().value.toLowerCase() };
+    return node;
+  }
+
+  primary() {
+    const t = this.next();
+    if (!t) this.fail('an expression');
+    if (t.type === 'number' || t.type === 'string') return { op: 'literal', value: t.value };
+    if (t.type === 'param') return { op: 'param', index: t.value };
+    if (t.type === 'op' && t.value === '(') {
+      const inner = this.expr();
+      this.expectOp(')');
+      return inner;
+    }
+    if (t.type === 'kw') {
+      if (t.value === 'NULL') return { op: 'literal', value: null };
+      if (t.value === 'TRUE') return { op: 'literal', value: true };
+      if (t.value === 'FALSE') return { op: 'literal', value: false };
+      if (t.value === 'INTERVAL') {
+        const text = this.next();
+        return { op: 'literal', value: parseInterval(text.value) };
+      }
+      if (t.value === 'CASE') return this.caseExpr();
+      this.pos--;
+      this.fail('an expression');
+    }
+    if (t.type === 'ident') {
+      if (this.acceptOp('(')) return this.call(t.value);
+      if (this.acceptOp('.')) return { op: 'column', qualifier: t.value, name: this.ident() };
+      if (t.value === 'current_timestamp') return { op: 'call', name: 'now', args: [] };
+      return { op: 'column', qualifier: null, name: t.value };
+    }
+    this.pos--;
+    return this.fail('an expression');
+  }
+
+  call(name) {
+    const args = [];
+    const named = {};
+    if (this.acceptOp('*')) {
+      args.push({ op: 'star' });
+    } else if (!this.isOp(')')) {
+      do {
+        if (this.peek().type === 'ident' && this.isOp('=>', 1)) {
+          const key = this.ident();
+          this.expectOp('=>');
+          named[key] = this.expr();
+        } else {
+          args.push(this.expr());
+        }
+      } while (this.acceptOp(','));
+    }
+    this.expectOp(')');
+    if (this.acceptKw('OVER')) {
+      this.expectOp('(');
+      let partitionBy = [];
+      if (this.acceptKw('PARTITION')) {
+        this.expectKw('BY');
+        partitionBy = this.list(() => this.expr());
+      }
+      const orderBy = this.isKw('ORDER') ? this.orderBy() : [];
+      this.expectOp(')');
+      return { op: 'window', name, partitionBy, orderBy };
+    }
+    return { op: 'call', name, args, named };
+  }
+
+  caseExpr() {
+    const subject = this.isKw('WHEN') ? null : this.expr();
+    const branches = [];
+    while (this.acceptKw('WHEN')) {
+      const when = this.expr();
+      this.expectKw('THEN');
+      branches.push({ when, then: this.expr() });
+    }
+    const otherwise = this.acceptKw('ELSE') ? this.expr() : { op: 'literal', value: null };
+    this.expectKw('END');
+    return { op: 'case', subject, branches, otherwise };
+  }
+}
+
+// ----- evaluation -----
+
+const AGGREGATES = new Set(['count', 'sum', 'min', 'max']);
+
+function isAggregate(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (node.op === 'call' && AGGREGATES.has(node.name)) return true;
+  return Object.values(node).some(v => (Array.isArray(v) ? v.some(isAggregate) : isAggregate(v)));
+}
+
+function toComparable(v) {
+  if (v instanceof Date) return v.getTime();
+  if (v && typeof v === 'object' && 'intervalMs' in v) return v.intervalMs;
+  return v;
+}
+
+function compareValues(a, b) {
+  let x = toComparable(a);
+  let y = toComparable(b);
+  if (typeof x === 'number' && typeof y === 'string' && y.trim() !== '' && !isNaN(Number(y))) y = Number(y);
+  if (typeof y === 'number' && typeof x === 'string' && x.trim() !== '' && !isNaN(Number(x))) x = Number(x);
+  if (typeof x === 'boolean') x = x ? 1 : 0;
+  if (typeof y === 'boolean') y = y ? 1 : 0;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function applyCompare(op, a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+  const c = compareValues(a, b);
+  switch (op) {
+    case '=': return c === 0;
+    case '<>': return c !== 0;
+    case '<': return c < 0;
+    case '>': return c > 0;
+    case '<=': return c <= 0;
+    default: return c >= 0;
+  }
+}
+
+function cast(value, type) {
+  if (value === null || value === undefined) return null;
+  switch (type) {
+    case 'interval': return parseInterval(value);
+    case 'int': case 'integer': case 'bigint': return parseInt(value);
+    case 'numeric': case 'float': return parseFloat(value);
+    case 'text': case 'varchar': return String(value);
+    case 'timestamp': case 'timestamptz': return new Date(value);
+    case 'jsonb': case 'json': return typeof value === 'string' ? JSON.parse(value) : value;
+    default: return value;
+  }
+}
+
+function arithmetic(op, a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+  const interval = v => v && typeof v === 'object' && 'intervalMs' in v;
+  if (a instanceof Date && interval(b)) return new Date(a.getTime() + (op === '+' ? b.intervalMs : -b.intervalMs));
+  if (interval(a) && b instanceof Date && op === '+') return new Date(b.getTime() + a.intervalMs);
+  if (a instanceof Date && b instanceof Date && op === '-') return { intervalMs: a - b };
+  const x = Number(a);
+  const y = Number(b);
+  switch (op) {
+    case '+': return x + y;
+    case '-': return x - y;
+    case '*': return x * y;
+    default: return x / y;
+  }
+}
+
+function callFunction(node, env) {
+  const args = node.args.map(a => evaluate(a, env));
+  switch (node.name) {
+    case 'now': return env.now;
+    case 'coalesce': return args.find(v => v !== null && v !== undefined) ?? null;
+    case 'nullif': return compareValues(args[0], args[1]) === 0 ? null : args[0];
+    case 'lower': return args[0] == null ? null : String(args[0]).toLowerCase();
+    case 'upper': return args[0] == null ? null : String(args[0]).toUpperCase();
+    case 'trim': return args[0] == null ? null : String(args[0]).trim();
+    case 'length': return args[0] == null ? null : String(args[0]).length;
+    case 'greatest':
+    case 'least': {
+      const present = args.filter(v => v !== null && v !== undefined);
+      if (present.length === 0) return null;
+      return present.reduce((best, v) => ((compareValues(v, best) > 0) === (node.name === 'greatest') ? v : best));
+    }
+    case 'make_interval': {
+      let ms = 0;
+      for (const [unit, expr] of Object.entries(node.named)) {
+        ms += Number(evaluate(expr, env)) * UNITS_MS[unit.replace(/s$/, '')];
+      }
+      return { intervalMs: ms };
+    }
+    default:
+      throw new Error(`memoryDb: unsupported function ${node.name}()`);
+  }
+}
+
+function aggregate(node, env) {
+  const rows = env.group;
+  if (node.name === 'count') {
+    const n = node.args[0].op === 'star'
+      ? rows.length
+      : rows.filter(row => evaluate(node.args[0], { ...env, row }) != null).length;
+    return String(n); // bigint comes back as a string from pg
+  }
+  const values = rows.map(row => evaluate(node.args[0], { ...env, row })).filter(v => v !== null && v !== undefined);
+  if (values.length === 0) return null;
+  if (node.name === 'sum') return values.reduce((s, v) => s + Number(v), 0);
+  return values.reduce((best, v) => ((compareValues(v, best) > 0) === (node.name === 'max') ? v : best));
+}
+
+function evaluate(node, env) {
+  switch (node.op) {
+    case 'literal': return node.value;
+    case 'param': return env.params[node.index - 1] === undefined ? null : env.params[node.index - 1];
+    case 'column': {
+      if (node.qualifier === 'excluded') return env.excluded[node.name] ?? null;
+      if (env.output && node.qualifier === null && node.name in env.output) return env.output[node.name];
+      return env.row[node.name] ?? null;
+    }
+    case 'window': return env.windows.get(node)[env.rowIndex];
+    case 'call':
+      if (AGGREGATES.has(node.name)) return aggregate(node, env);
+      return callFunction(node, env);
+    case 'cast': return cast(evaluate(node.arg, env), node.type);
+    case 'neg': { const v = evaluate(node.arg, env); return v == null ? null : -v; }
+    case 'concat': {
+      const a = evaluate(node.left, env);
+      const b = evaluate(node.right, env);
+      return a == null || b == null ? null : `${a}${b}`;
+    }
+    case '+': case '-': case '*': case '/':
+      return arithmetic(node.op, evaluate(node.left, env), evaluate(node.right, env));
+    case 'compare': return applyCompare(node.compare, evaluate(node.left, env), evaluate(node.right, env));
+    case 'any': {
+      const v = evaluate(node.arg, env);
+      const array = evaluate(node.array, env) || [];
+      if (v === null) return null;
+      return array.some(item => applyCompare(node.compare, v, item) === true);
+    }
+    case 'in':
+    case 'notIn': {
+      const v = evaluate(node.arg, env);
+      if (v === null) return null;
+      const found = node.list.some(item => applyCompare('=', v, evaluate(item, env)) === true);
+      return node.op === 'in' ? found : !found;
+    }
+    case 'isNull': return evaluate(node.arg, env) == null;
+    case 'isNotNull': return evaluate(node.arg, env) != null;
+    case 'isTrue': return evaluate(node.arg, env) === true;
+    case 'isNotTrue': return evaluate(node.arg, env) !== true;
+    case 'isFalse': return evaluate(node.arg, env) === false;
+    case 'isNotFalse': return evaluate(node.arg, env) !== false;
+    case 'not': { const v = evaluate(node.arg, env); return v == null ? null : !v; }
+    case 'and': {
+      const a = evaluate(node.left, env);
+      if (a === false) return false;
+      const b = evaluate(node.right, env);
+      if (b === false) return false;
+      return a == null || b == null ? null : true;
+    }
+    case 'or': {
+      const a = evaluate(node.left, env);
+      if (a === true) return true;
+      const b = evaluate(node.right, env);
+      if (b === true) return true;
+      return a == null || b == null ? null : false;
+    }
+    case 'case': {
+      const subject = node.subject ? evaluate(node.subject, env) : undefined;
+      for (const branch of node.branches) {
+        const hit = node.subject
+          ? applyCompare('=', subject, evaluate(branch.when, env)) === true
+          : evaluate(branch.when, env) === true;
+        if (hit) return evaluate(branch.then, env);
+      }
+      return evaluate(node.otherwise, env);
+    }
+    default:
+      throw new Error(`memoryDb: cannot evaluate ${node.op}`);
+  }
+}
+
+function sortRows(entries, orderBy, envFor) {
+  const keyed = entries.map(entry => ({ entry, keys: orderBy.map(o => evaluate(o.expr, envFor(entry))) }));
+  keyed.sort((a, b) => {
+    for (let i = 0; i < orderBy.length; i++) {
+      const { desc, nullsFirst } = orderBy[i];
+      const x = a.keys[i];
+      const y = b.keys[i];
+      if (x == null || y == null) {
+        if (x == null && y == null) continue;
+        return (x == null) === nullsFirst ? -1 : 1;
+      }
+      const c = compareValues(x, y);
+      if (c !== 0) return desc ? -c : c;
+    }
+    return 0;
+  });
+  return keyed.map(k => k.entry);
+}
+
+function columnName(expr) {
+  if (expr.op === 'column') return expr.name;
+  if (expr.op === 'call' || expr.op === 'window') return expr.name;
+  if (expr.op === 'cast') return columnName(expr.arg);
+  return '?column?';
+}
+
+// ----- the pool -----
+
+class MemoryDb {
+  constructor() {
+    this.tables = new Map();
+    this.sequences = new Map();
+    this.lastNow = 0;
+    this.queries = [];
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, []);
+    return this.tables.get(name);
+  }
+
+  /**
+   * Rows currently in a table (the live objects; tests may read but should not mutate).
+   */
+  rows(name) {
+    return this.table(name);
+  }
+
+  async query(text, params = []) {
+    const sql = typeof text === 'string' ? text : text.text;
+    const values = typeof text === 'string' ? params : (text.values || params);
+    this.queries.push(sql);
+    // Every statement gets its own, strictly later NOW() so insertion order survives ORDER BY scraped_at
+    const now = new Date(Math.max(Date.now(), this.lastNow + 1));
+    this.lastNow = now.getTime();
+    const stmt = new Parser(sql).statement();
+    const env = { params: values, now };
+    switch (stmt.type) {
+      case 'noop': return { rows: [], rowCount: 0 };
+      case 'select': { const rows = this.select(stmt, env); return { rows, rowCount: rows.length }; }
+      case 'insert': return this.insert(stmt, env);
+      case 'update': return this.update(stmt, env);
+      default: return this.delete(stmt, env);
+    }
+  }
+
+  async connect() {
+    return { query: (text, params) => this.query(text, params), release: () => {} };
+  }
+
+  async end() {}
+
+  on() { return this; }
+
+  select(stmt, env) {
+    const source = stmt.from.subquery ? this.select(stmt.from.subquery, env) : this.table(stmt.from.table);
+    let rows = source.filter(row => !stmt.where || evaluate(stmt.where, { ...env, row }) === true);
+
+    if (stmt.columns.some(c => !c.star && isAggregate(c.expr))) {
+      const out = {};
+      for (const c of stmt.columns) out[c.alias || columnName(c.expr)] = evaluate(c.expr, { ...env, row: {}, group: rows });
+      return [out];
+    }
+
+    // Window functions number the filtered rows before the outer ORDER BY / LIMIT
+    const windows = new Map();
+    for (const c of stmt.columns) {
+      if (c.star || c.expr.op !== 'window') continue;
+      if (c.expr.name !== 'row_number') throw new Error(`memoryDb: unsupported window function ${c.expr.name}()`);
+      const numbers = new Array(rows.length);
+      const partitions = new Map();
+      rows.forEach((row, index) => {
+        const key = JSON.stringify(c.expr.partitionBy.map(p => evaluate(p, { ...env, row })));
+        if (!partitions.has(key)) partitions.set(key, []);
+        partitions.get(key).push({ row, index });
+      });
+      for (const members of partitions.values()) {
+        sortRows(members, c.expr.orderBy, m => ({ ...env, row: m.row })).forEach((m, i) => { numbers[m.index] = i + 1; });
+      }
+      windows.set(c.expr, numbers);
+    }
+
+    let entries = rows.map((row, rowIndex) => {
+      const rowEnv = { ...env, row, windows, rowIndex };
+      const output = {};
+      for (const c of stmt.columns) {
+        if (c.star) Object.assign(output, row);
+        else output[c.alias || columnName(c.expr)] = evaluate(c.expr, rowEnv);
+      }
+      return { row, output, rowIndex };
+    });
+
+    if (stmt.orderBy.length > 0) {
+      const names = Object.keys(entries[0] ? entries[0].output : {});
+      const orderBy = stmt.orderBy.map(o => (o.expr.op === 'literal' && typeof o.expr.value === 'number'
+        ? { ...o, expr: { op: 'column', qualifier: null, name: names[o.expr.value - 1] } }
+        : o));
+      entries = sortRows(entries, orderBy, e => ({ ...env, row: e.row, output: e.output, windows, rowIndex: e.rowIndex }));
+    }
+
+    rows = entries.map(e => e.output);
+    if (stmt.distinct) {
+      const seen = new Set();
+      rows = rows.filter((row) => {
+        const key = JSON.stringify(row);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    const offset = stmt.offset ? Number(evaluate(stmt.offset, env)) : 0;
+    const limit = stmt.limit ? Number(evaluate(stmt.limit, env)) : Infinity;
+    return rows.slice(offset, offset + limit).map(row => ({ ...row }));
+  }
+
+  insert(stmt, env) {
+    const table = this.table(stmt.table);
+    const defaults = TABLE_DEFAULTS[stmt.table] || {};
+    const returned = [];
+    for (const exprs of stmt.rows) {
+      const row = {};
+      for (const [column, value] of Object.entries(defaults)) row[column] = typeof value === 'function' ? value(env.now) : value;
+      stmt.columns.forEach((column, i) => { row[column] = this.store(column, evaluate(exprs[i], { ...env, row: {} })); });
+
+      if (stmt.conflict) {
+        const existing = table.find(other => stmt.conflict.target.every(c => row[c] != null && compareValues(other[c], row[c]) === 0)
+          && (!stmt.conflict.where || evaluate(stmt.conflict.where, { ...env, row: other }) === true));
+        if (existing) {
+          if (stmt.conflict.action === 'update') {
+            this.assign(existing, stmt.conflict.assignments, { ...env, row: existing, excluded: row });
+            returned.push(existing);
+          }
+          continue;
+        }
+      }
+
+      if (!('id' in row) && stmt.table !== 'email_validations') row.id = this.nextId(stmt.table);
+      table.push(row);
+      returned.push(row);
+    }
+    return this.result(returned, stmt.returning);
+  }
+
+  update(stmt, env) {
+    const matched = this.table(stmt.table).filter(row => !stmt.where || evaluate(stmt.where, { ...env, row }) === true);
+    for (const row of matched) this.assign(row, stmt.assignments, { ...env, row });
+    return this.result(matched, stmt.returning);
+  }
+
+  delete(stmt, env) {
+    const table = this.table(stmt.table);
+    const matched = table.filter(row => !stmt.where || evaluate(stmt.where, { ...env, row }) === true);
+    this.tables.set(stmt.table, table.filter(row => !matched.includes(row)));
+    return this.result(matched, stmt.returning);
+  }
+
+  // SET clauses all read the row as it was before the statement
+  assign(row, assignments, env) {
+    const before = { ...row };
+    const values = assignments.map(a => this.store(a.column, evaluate(a.expr, { ...env, row: before })));
+    assignments.forEach((a, i) => { row[a.column] = values[i]; });
+  }
+
+  store(column, value) {
+    if (JSONB_COLUMNS.has(column) && typeof value === 'string') return JSON.parse(value);
+    return value;
+  }
+
+  nextId(table) {
+    const id = (this.sequences.get(table) || 0) + 1;
+    this.sequences.set(table, id);
+    return id;
+  }
+
+  result(rows, returning) {
+    if (!returning) return { rows: [], rowCount: rows.length };
+    const out = rows.map((row) => {
+      if (returning.includes('*')) return { ...row };
+      return Object.fromEntries(returning.map(c => [c, row[c] ?? null]));
+    });
+    return { rows: out, rowCount: rows.length };
+  }
+}
+
+function createMemoryDb() {
+  return new MemoryDb();
+}
+
+module.exports = { createMemoryDb, MemoryDb };
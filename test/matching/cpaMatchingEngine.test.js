@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CPAMatchingEngine } = require('../../matching/cpaMatchingEngine');
+
+const engine = new CPAMatchingEngine();
+
+test('a CPA with no history scores at the priors', () => {
+  // rating 4.0 → 0.75, response rate 0.8, response speed 0.8
+  assert.strictEqual(engine.calculateReputationScore(null), 0.775);
+  assert.strictEqual(engine.calculateReputationScore({}), 0.775);
+});
+
+test('a few early ratings move the score gradually', () => {
+  const oneBad = engine.calculateReputationScore({ ratings_count: 1, rating_sum: 1 });
+  const manyBad = engine.calculateReputationScore({ ratings_count: 50, rating_sum: 50 });
+  assert.ok(oneBad < 0.775 && oneBad > 0.6, `one 1-star rating: ${oneBad}`);
+  assert.ok(manyBad < oneBad);
+});
+
+test('unanswered introductions and slow answers both cost reputation', () => {
+  const answered = engine.calculateReputationScore({ intro_requests: 10, intros_responded: 10, response_time_hours: 12 });
+  const ignored = engine.calculateReputationScore({ intro_requests: 10, intros_responded: 0 });
+  const slow = engine.calculateReputationScore({ intro_requests: 10, intros_responded: 10, response_time_hours: 200 });
+  assert.ok(answered > 0.775);
+  assert.ok(ignored < 0.775);
+  assert.ok(slow < answered);
+});
+
+test('more responses than requests are capped at the request count', () => {
+  assert.strictEqual(
+    engine.calculateReputationScore({ intro_requests: 2, intros_responded: 9 }),
+    engine.calculateReputationScore({ intro_requests: 2, intros_responded: 2 })
+  );
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  provinceCode, extractPostalCode, geocode, pointOf, haversineKm, distanceDecay, boundingBox,
+} = require('../../matching/geo');
+const { CPAMatchingEngine } = require('../../matching/cpaMatchingEngine');
+
+const TORONTO = { latitude: 43.6532, longitude: -79.3832 };
+const OTTAWA = { latitude: 45.4215, longitude: -75.6972 };
+
+test('province names resolve to two-letter codes in either language', () => {
+  assert.strictEqual(provinceCode('Ontario'), 'ON');
+  assert.strictEqual(provinceCode('Québec'), 'QC');
+  assert.strictEqual(provinceCode('nouveau-brunswick'), 'NB');
+  assert.strictEqual(provinceCode('bc'), 'BC');
+  assert.strictEqual(provinceCode('Ontarioville'), null);
+});
+
+test('postal codes are found in free text and formatted', () => {
+  assert.strictEqual(extractPostalCode('k1p5j2'), 'K1P 5J2');
+  assert.strictEqual(extractPostalCode('Office at 100 Main St, Ottawa K1P-5J2'), 'K1P 5J2');
+  assert.strictEqual(extractPostalCode('k1p'), 'K1P');
+  assert.strictEqual(extractPostalCode('D1A 1A1'), null, 'D never appears in a postal code');
+  assert.strictEqual(extractPostalCode(null), null);
+});
+
+test('a postal code resolves on its longest known prefix', () => {
+  const windsor = geocode({ postalCode: 'n9a 1a1' });
+  assert.strictEqual(windsor.place, 'Windsor');
+  assert.strictEqual(windsor.postal_code, 'N9A 1A1');
+  assert.strictEqual(windsor.precision, 'district');
+  assert.strictEqual(geocode({ postalCode: 'X0A 0H0' }).precision, 'fsa');
+});
+
+test('city text resolves with or without a province separator', () => {
+  assert.strictEqual(geocode({ text: 'Thunder Bay, ON' }).place, 'Thunder Bay');
+  assert.strictEqual(geocode({ text: 'Montréal (Québec)' }).province, 'QC');
+  assert.strictEqual(geocode({ text: 'Saint John New Brunswick' }).province, 'NB');
+  assert.strictEqual(geocode({ city: 'Sault Ste. Marie', province: 'Ontario' }).place, 'Sault Ste. Marie');
+});
+
+test('a bare province is too coarse to geocode', () => {
+  assert.strictEqual(geocode({ text: 'Ontario' }), null);
+  assert.strictEqual(geocode({}), null);
+});
+
+test('stored coordinates win over the row\'s address fields', () => {
+  assert.deepStrictEqual(pointOf({ latitude: '45.5', longitude: '-73.6', city: 'Toronto', province: 'ON' }), { latitude: 45.5, longitude: -73.6 });
+  assert.strictEqual(pointOf({ latitude: null, city: 'Toronto', province: 'ON' }).place, 'Toronto');
+  assert.strictEqual(pointOf(null), null);
+});
+
+test('great-circle distances match known city pairs', () => {
+  assert.strictEqual(haversineKm(TORONTO, TORONTO), 0);
+  const km = haversineKm(TORONTO, OTTAWA);
+  assert.ok(km > 345 && km < 360, `Toronto–Ottawa ${km}`);
+  assert.strictEqual(Math.round(haversineKm(OTTAWA, TORONTO)), Math.round(km));
+});
+
+test('the location score halves at the radius', () => {
+  assert.strictEqual(distanceDecay(0, 50), 1);
+  assert.strictEqual(distanceDecay(50, 50), 0.5);
+  assert.strictEqual(distanceDecay(150, 50), 0.1);
+});
+
+test('the bounding box contains every point within the radius', () => {
+  const box = boundingBox(OTTAWA, 100);
+  assert.ok(box.minLat < OTTAWA.latitude && box.maxLat > OTTAWA.latitude);
+  for (const bearing of [0, 90, 180, 270]) {
+    const rad = bearing * Math.PI / 180;
+    const edge = {
+      latitude: OTTAWA.latitude + (99 / 111.32) * Math.cos(rad),
+      longitude: OTTAWA.longitude + (99 / (111.32 * Math.cos(OTTAWA.latitude * Math.PI / 180))) * Math.sin(rad),
+    };
+    assert.ok(haversineKm(OTTAWA, edge) < 100);
+    assert.ok(edge.latitude >= box.minLat && edge.latitude <= box.maxLat && edge.longitude >= box.minLng && edge.longitude <= box.maxLng, `bearing ${bearing}`);
+  }
+});
+
+test('a Windsor client and a Thunder Bay CPA are no longer a near match', () => {
+  const engine = new CPAMatchingEngine(null, { radiusKm: 50 });
+  const distance = engine.calculateDistanceKm({ postal_code: 'N9A 1A1' }, { city: 'Thunder Bay', province: 'ON' });
+  assert.ok(distance > 800, `${distance} km`);
+  assert.ok(engine.calculateLocationMatch('Windsor, ON', 'ON', false, false, distance) < 0.01);
+  assert.strictEqual(engine.calculateLocationMatch('Windsor, ON', 'ON', true, true, distance), 0.9);
+  assert.strictEqual(engine.calculateLocationMatch('Windsor, ON', 'ON', true, false, distance), 0.6);
+  assert.strictEqual(engine.calculateLocationMatch('Windsor, ON', 'ON', false, false, null), 0.9, 'province fallback without coordinates');
+});
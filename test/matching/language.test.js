@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeLanguage, normalizeLanguageRequirement, spokenLanguages, requiredLanguages, meetsLanguageRequirement, correspondenceLanguage,
+} = require('../../matching/language');
+const { CPAMatchingEngine, DEFAULT_WEIGHTS, FACTOR_LABELS } = require('../../matching/cpaMatchingEngine');
+
+const engine = new CPAMatchingEngine();
+
+test('language names and locale tags normalise to en / fr', () => {
+  assert.strictEqual(normalizeLanguage('Français'), 'fr');
+  assert.strictEqual(normalizeLanguage('fr-CA'), 'fr');
+  assert.strictEqual(normalizeLanguage('ANGLAIS'), 'en');
+  assert.strictEqual(normalizeLanguage('Punjabi'), null);
+  assert.strictEqual(normalizeLanguage(null), null);
+});
+
+test('an unknown requirement is treated as a soft preference', () => {
+  assert.strictEqual(normalizeLanguageRequirement('Bilingual'), 'bilingual');
+  assert.strictEqual(normalizeLanguageRequirement('must'), 'preferred');
+  assert.strictEqual(normalizeLanguageRequirement(undefined), 'preferred');
+});
+
+test('a CPA\'s languages are read from arrays, JSON and free text', () => {
+  assert.deepStrictEqual([...spokenLanguages(['English', 'Français'])], ['en', 'fr']);
+  assert.deepStrictEqual([...spokenLanguages('["fr"]')], ['fr']);
+  assert.deepStrictEqual([...spokenLanguages('English / French; Mandarin')], ['en', 'fr']);
+  assert.strictEqual(spokenLanguages(null).size, 0);
+});
+
+test('bilingual clients need both languages, and none needs nothing', () => {
+  assert.deepStrictEqual(requiredLanguages('en', 'bilingual'), ['en', 'fr']);
+  assert.deepStrictEqual(requiredLanguages('fr', 'none'), []);
+  assert.deepStrictEqual(requiredLanguages('Français', 'required'), ['fr']);
+  assert.deepStrictEqual(requiredLanguages(null, 'preferred'), []);
+});
+
+test('only required and bilingual clients filter CPAs out', () => {
+  const englishOnly = ['English'];
+  assert.ok(meetsLanguageRequirement({ preferred_language: 'fr', language_requirement: 'preferred' }, englishOnly));
+  assert.ok(!meetsLanguageRequirement({ preferred_language: 'fr', language_requirement: 'required' }, englishOnly));
+  assert.ok(!meetsLanguageRequirement({ preferred_language: 'en', language_requirement: 'bilingual' }, englishOnly));
+  assert.ok(meetsLanguageRequirement({ preferred_language: 'en', language_requirement: 'bilingual' }, 'English, French'));
+});
+
+test('correspondence goes out in the preference when the reader works in it', () => {
+  assert.strictEqual(correspondenceLanguage(new Set(['en', 'fr']), 'fr'), 'fr');
+  assert.strictEqual(correspondenceLanguage(new Set(), 'fr'), 'fr');
+  assert.strictEqual(correspondenceLanguage(new Set(['en']), 'fr'), 'en');
+  assert.strictEqual(correspondenceLanguage(new Set(['fr'])), 'fr');
+  assert.strictEqual(correspondenceLanguage(new Set(['en', 'fr'])), 'en');
+});
+
+test('the language factor is neutral when either side is blank', () => {
+  assert.strictEqual(engine.calculateLanguageMatch('fr', 'preferred', ['French']), 1);
+  assert.strictEqual(engine.calculateLanguageMatch('fr', 'preferred', ['English']), 0.1);
+  assert.strictEqual(engine.calculateLanguageMatch('en', 'bilingual', ['English']), 0.55);
+  assert.strictEqual(engine.calculateLanguageMatch(null, 'preferred', ['English']), 0.7);
+  assert.strictEqual(engine.calculateLanguageMatch('fr', 'preferred', []), 0.5);
+});
+
+test('every factor and recommendation level has a French label', () => {
+  for (const factor of Object.keys(DEFAULT_WEIGHTS)) {
+    assert.ok(FACTOR_LABELS[factor] && FACTOR_LABELS[factor].en && FACTOR_LABELS[factor].fr, factor);
+  }
+  assert.strictEqual(engine.getRecommendationLevel(95, 'fr'), 'Excellente correspondance');
+  assert.strictEqual(engine.getRecommendationLevel(80), 'Very Good Match');
+  assert.strictEqual(engine.getRecommendationLevel(59.9, 'fr'), 'Faible correspondance');
+  assert.strictEqual(engine.getRecommendationLevel(70, 'de'), 'Good Match');
+  assert.ok(engine.describeWeights('fr')[0].startsWith('Correspondance des spécialités ('));
+});
+
+test('a required language removes CPAs before scoring', async () => {
+  const cpa = (id, languages) => ({ cpa_id: id, languages, verification_status: 'verified', is_active: true });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const matches = await engine.findTopMatches(
+      { industry: 'retail', preferred_language: 'fr', language_requirement: 'required' },
+      [cpa('en-only', ['English']), cpa('fr', ['Français']), cpa('both', 'English, French')]
+    );
+    assert.deepStrictEqual(matches.map(m => m.cpa_id).sort(), ['both', 'fr']);
+    assert.ok(matches.every(m => m.recommendation_level === engine.getRecommendationLevel(m.match_score, 'fr')));
+  } finally {
+    console.log = log;
+  }
+});
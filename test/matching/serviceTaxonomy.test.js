@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  SERVICES, normalizeServiceText, createSimilarity, classifyService, serviceSimilarity, serviceLabel,
+} = require('../../matching/serviceTaxonomy');
+const { CPAMatchingEngine } = require('../../matching/cpaMatchingEngine');
+
+test('text is lowercased and stripped of accents and punctuation', () => {
+  assert.strictEqual(normalizeServiceText('SR&ED'), 'sr ed');
+  assert.strictEqual(normalizeServiceText("  Crédits d'impôt  "), 'credits d impot');
+  assert.strictEqual(normalizeServiceText(null), '');
+});
+
+test('English and French synonyms map onto the same canonical service', () => {
+  assert.deepStrictEqual(classifyService('SR&ED'), ['sred']);
+  assert.deepStrictEqual(classifyService('Crédits de recherche scientifique'), ['sred']);
+  assert.deepStrictEqual(classifyService('Fiscalité des entreprises'), ['corporate_tax']);
+  assert.deepStrictEqual(classifyService('Vérification'), ['audit']);
+  assert.deepStrictEqual(classifyService("Mission d'examen"), ['review_engagement']);
+});
+
+test('the longest synonym wins, so audit-ready bookkeeping is not an audit', () => {
+  assert.deepStrictEqual(classifyService('Audit-ready bookkeeping'), ['bookkeeping']);
+  assert.deepStrictEqual(classifyService('Real estate agents'), []);
+  assert.deepStrictEqual(classifyService('Estate planning'), ['estate_planning']);
+});
+
+test('an entry naming several services yields each of them', () => {
+  assert.deepStrictEqual(classifyService('Payroll & HST').sort(), ['payroll', 'sales_tax']);
+  assert.deepStrictEqual(classifyService('something we have never heard of'), []);
+});
+
+test('related services earn symmetric partial credit', () => {
+  assert.strictEqual(serviceSimilarity('audit', 'audit'), 1);
+  assert.strictEqual(serviceSimilarity('audit', 'review_engagement'), 0.6);
+  assert.strictEqual(serviceSimilarity('review_engagement', 'audit'), 0.6);
+  assert.strictEqual(serviceSimilarity('audit', 'payroll'), 0);
+  assert.strictEqual(createSimilarity([['a', 'b', 0.3]])('b', 'a'), 0.3);
+});
+
+test('every service has an English and a French label', () => {
+  for (const service of SERVICES) {
+    assert.ok(service.label.en && service.label.fr, service.id);
+  }
+  assert.strictEqual(serviceLabel('bookkeeping', 'fr'), 'Tenue de livres');
+  assert.strictEqual(serviceLabel('not_a_service'), 'not_a_service');
+});
+
+test('specialization credit is averaged over the required services', () => {
+  const engine = new CPAMatchingEngine();
+  assert.strictEqual(engine.calculateSpecializationMatch(['SR&ED'], ['Scientific research credits']), 1);
+  assert.strictEqual(engine.calculateSpecializationMatch(['Audit'], ['Audit-ready bookkeeping']), 0);
+  assert.strictEqual(engine.calculateSpecializationMatch(['Audit'], ['Review engagements']), 0.6);
+  assert.strictEqual(engine.calculateSpecializationMatch(['Payroll & HST'], ['Payroll']), 0.65);
+  assert.strictEqual(engine.calculateSpecializationMatch(['Farm co-ops', 'T2'], ['farm co-ops', 'Corporate tax']), 1);
+  assert.strictEqual(engine.calculateSpecializationMatch(null, ['T2']), 0);
+});
@@ -0,0 +1,75 @@
+// Replays every recorded fixture target (scripts/fixtures/targets.js) offline and
+// checks the rows its parser wrote against the recorded snapshot. Same wiring as
+// `node scripts/fixture-harness.js replay`, but on the in-memory database so it
+// runs under `npm test` without Postgres. Re-record with `npm run fixtures:record`.
+
+// Loaders and the HTTP client read these when their modules load
+Object.assign(process.env, {
+  HTTP_MODE: 'live',
+  SCRAPE_DELAY_SCALE: '0',
+  HTTP_HOST_INTERVAL_MS: '0',
+  EMAIL_VERIFY_PROVIDERS: 'mx',
+});
+delete process.env.APOLLO_API_KEY;
+delete process.env.ZEROBOUNCE_API_KEY;
+delete process.env.STRIPE_SECRET_KEY;
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns').promises;
+const targets = require('../../scripts/fixtures/targets');
+const { installDnsFixtures } = require('../../scripts/fixtures/dnsFixtures');
+const { startStandInServer } = require('../../scripts/fixtures/standInServer');
+const { limitRequests } = require('../../scripts/fixtures/requestBudget');
+const { createContext } = require('../../context');
+const { createMemoryDb } = require('../helpers/memoryDb');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures');
+const DNS_METHODS = ['resolve4', 'resolve6', 'resolveMx', 'resolveTxt'];
+
+// Row order is not part of the contract (the harness compares multisets too)
+function sortedRows(rows) {
+  return rows.map(row => JSON.stringify(row)).sort().map(row => JSON.parse(row));
+}
+
+async function replay(name, target) {
+  const db = createMemoryDb();
+  const ctx = createContext({ db });
+  const standIn = await startStandInServer(path.join(FIXTURES_DIR, 'http', name));
+  const originalDns = Object.fromEntries(DNS_METHODS.map(m => [m, dns[m]]));
+  const { log, warn, error } = console;
+  try {
+    ctx.httpClient.transport = standIn.transport;
+    if (target.maxRequests) limitRequests(ctx.httpClient, target.maxRequests);
+    installDnsFixtures(path.join(FIXTURES_DIR, 'dns', `${name}.json`), 'replay');
+
+    if (target.seed) await target.seed(db);
+    console.log = console.warn = console.error = () => {};
+    await target.run(ctx.loaders, db);
+    console.log = log; console.warn = warn; console.error = error;
+
+    const snapshot = {};
+    for (const [table, query] of Object.entries(target.snapshot)) {
+      snapshot[table] = (await db.query(query)).rows;
+    }
+    return JSON.parse(JSON.stringify(snapshot));
+  } finally {
+    console.log = log; console.warn = warn; console.error = error;
+    Object.assign(dns, originalDns);
+    await standIn.close();
+  }
+}
+
+for (const [name, target] of Object.entries(targets)) {
+  test(`${name} replays to its recorded rows`, async () => {
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'snapshots', `${name}.json`), 'utf8'));
+    const actual = await replay(name, target);
+
+    for (const table of Object.keys(expected)) {
+      assert.ok(expected[table].length > 0, `${name}: the recording has no ${table} rows`);
+      assert.deepStrictEqual(sortedRows(actual[table]), sortedRows(expected[table]), `${name}: ${table}`);
+    }
+  });
+}
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { AuthService, ROLES, hashToken, roleSatisfies, tokenFromRequest, redact } = require('../../services/auth');
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+const clock = { now: () => NOW };
+
+// A pool that answers every SELECT with `rows` and logs each statement
+function lookupDb(rows) {
+  const statements = [];
+  return {
+    statements,
+    query: async (sql, params) => {
+      statements.push({ sql, params });
+      return { rows: /^\s*SELECT/.test(sql) ? rows : [] };
+    },
+  };
+}
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    on() {},
+  };
+}
+
+test('tokens are stored as their hex SHA-256', () => {
+  assert.strictEqual(hashToken('smek_abc'), crypto.createHash('sha256').update('smek_abc').digest('hex'));
+  assert.match(hashToken('smes_abc'), /^[0-9a-f]{64}$/);
+  assert.notStrictEqual(hashToken('smek_abc'), hashToken('smek_abd'));
+});
+
+test('admin implies operator and partner_backend, and nothing else does', () => {
+  assert.ok(roleSatisfies('admin', 'operator'));
+  assert.ok(roleSatisfies('admin', 'partner_backend'));
+  assert.ok(!roleSatisfies('admin', 'cpa'));
+  assert.ok(!roleSatisfies('admin', 'client'));
+  for (const role of ROLES) assert.ok(roleSatisfies(role, role));
+  assert.ok(!roleSatisfies('operator', 'admin'));
+  assert.ok(!roleSatisfies('cpa', 'client'));
+});
+
+test('the token is read from a Bearer header first, then X-API-Key', () => {
+  assert.strictEqual(tokenFromRequest({ headers: { authorization: 'Bearer  smek_1 ' } }), 'smek_1');
+  assert.strictEqual(tokenFromRequest({ headers: { authorization: 'Bearer smek_1', 'x-api-key': 'smek_2' } }), 'smek_1');
+  assert.strictEqual(tokenFromRequest({ headers: { 'x-api-key': 'smek_2' } }), 'smek_2');
+  assert.strictEqual(tokenFromRequest({ headers: { authorization: 'Basic dXNlcg==' } }), null);
+  assert.strictEqual(tokenFromRequest({ headers: {} }), null);
+});
+
+test('audit bodies have credential-looking fields blanked', () => {
+  assert.deepStrictEqual(redact({ email: 'a@b.ca', password: 'x', apiKey: 'y', api_key: 'z', sessionToken: 't' }),
+    { email: 'a@b.ca', password: '[redacted]', apiKey: '[redacted]', api_key: '[redacted]', sessionToken: '[redacted]' });
+  assert.deepStrictEqual(redact(['a']), ['a']);
+  assert.strictEqual(redact(undefined), null);
+});
+
+test('an API key is looked up by the hash of the presented token', async () => {
+  const db = lookupDb([{ id: 3, name: 'ops', role: 'operator', subject: null, last_used_at: NOW }]);
+  const principal = await new AuthService(db, { clock }).authenticate('smek_secret');
+
+  assert.deepStrictEqual(db.statements[0].params, [hashToken('smek_secret'), NOW]);
+  assert.ok(!db.statements[0].params.includes('smek_secret'), 'the plaintext token never reaches the database');
+  assert.strictEqual(principal.type, 'api_key');
+  assert.strictEqual(principal.actor, 'api_key:ops');
+  assert.strictEqual(db.statements.length, 1, 'a key used a moment ago is not touched again');
+});
+
+test('a session is named after its label, then subject, then id', async () => {
+  const auth = (row) => new AuthService(lookupDb([{ id: 9, role: 'cpa', subject: null, label: null, api_key_id: null, last_seen_at: NOW, ...row }]), { clock });
+  assert.strictEqual((await auth({ label: 'sign-in' }).authenticate('smes_1')).actor, 'session:sign-in');
+  assert.strictEqual((await auth({ subject: 'cpa:12' }).authenticate('smes_1')).actor, 'session:cpa:12');
+  assert.strictEqual((await auth({}).authenticate('smes_1')).actor, 'session:#9');
+});
+
+test('unknown prefixes and unmatched tokens authenticate as nobody', async () => {
+  const db = lookupDb([]);
+  const auth = new AuthService(db, { clock });
+  assert.strictEqual(await auth.authenticate('nope_123'), null);
+  assert.strictEqual(db.statements.length, 0);
+  assert.strictEqual(await auth.authenticate('smek_revoked'), null);
+  assert.strictEqual(await auth.authenticate(''), null);
+});
+
+test('require() answers 401 without a principal and 403 for a role that does not satisfy it', () => {
+  const guard = new AuthService(null, { clock }).require(['operator']);
+  let called = 0;
+  const next = () => { called++; };
+
+  const anonymous = fakeRes();
+  guard({ principal: null, authError: 'Invalid, expired or revoked token' }, anonymous, next);
+  assert.strictEqual(anonymous.statusCode, 401);
+  assert.strictEqual(anonymous.body.message, 'Invalid, expired or revoked token');
+
+  const cpa = fakeRes();
+  guard({ principal: { role: 'cpa' } }, cpa, next);
+  assert.strictEqual(cpa.statusCode, 403);
+  assert.strictEqual(called, 0);
+
+  guard({ principal: { role: 'admin' } }, fakeRes(), next);
+  assert.strictEqual(called, 1);
+});
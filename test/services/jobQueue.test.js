@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { JobQueue, retryPlan } = require('../../services/jobQueue');
+
+// A pool whose client answers each statement from `respond(sql, params)` and logs it
+function scriptedPool(respond) {
+  const statements = [];
+  const client = {
+    query: async (sql, params) => {
+      statements.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      return respond(sql, params) || { rows: [] };
+    },
+    release: () => {},
+  };
+  return { statements, connect: async () => client };
+}
+
+test('register fills in the default attempts, lease, sources and group', () => {
+  const queue = new JobQueue(null, { workerId: 'w1' });
+  queue.register('statcan_odbus', async () => {});
+  queue.register('yellowpages_enrichment', async () => {}, {
+    maxAttempts: 5, leaseSeconds: 900, sources: ['yellowpages'], concurrencyGroup: 'directories',
+  });
+
+  const defaults = queue.handlers.get('statcan_odbus');
+  assert.strictEqual(defaults.maxAttempts, 3);
+  assert.strictEqual(defaults.leaseSeconds, 300);
+  assert.deepStrictEqual(defaults.sources, ['statcan_odbus']);
+  assert.strictEqual(queue.concurrencyGroupOf('statcan_odbus'), null);
+  assert.strictEqual(queue.concurrencyGroupOf('yellowpages_enrichment'), 'directories');
+  assert.strictEqual(queue.concurrencyGroupOf('unknown'), null);
+  assert.deepStrictEqual(queue.types(), ['statcan_odbus', 'yellowpages_enrichment']);
+});
+
+test('a claim starts each job with its own type\'s lease', () => {
+  const queue = new JobQueue(null);
+  queue.register('short', async () => {}, { leaseSeconds: 60 });
+  queue.register('long', async () => {}, { leaseSeconds: 3600 });
+  assert.deepStrictEqual(JSON.parse(queue._leases()), { short: 60, long: 3600 });
+});
+
+test('failed attempts back off exponentially until max_attempts, capped at an hour', () => {
+  assert.deepStrictEqual(retryPlan({ attempts: 1, max_attempts: 3 }, false), { status: 'queued', backoffSeconds: 60 });
+  assert.deepStrictEqual(retryPlan({ attempts: 2, max_attempts: 3 }, false), { status: 'queued', backoffSeconds: 120 });
+  assert.deepStrictEqual(retryPlan({ attempts: 3, max_attempts: 3 }, false), { status: 'failed', backoffSeconds: 0 });
+  assert.strictEqual(retryPlan({ attempts: 9, max_attempts: 20 }, false).backoffSeconds, 3600);
+});
+
+test('a cancelled job is never retried', () => {
+  assert.deepStrictEqual(retryPlan({ attempts: 1, max_attempts: 3 }, true), { status: 'cancelled', backoffSeconds: 0 });
+});
+
+test('nothing is claimed when no job types are registered', async () => {
+  const pool = scriptedPool(() => assert.fail('no statement expected'));
+  assert.strictEqual(await new JobQueue(pool)._claim(), null);
+  assert.strictEqual(pool.statements.length, 0);
+});
+
+test('an ungrouped candidate is claimed with this worker and the lease map', async () => {
+  const pool = scriptedPool((sql) => {
+    if (/FOR UPDATE SKIP LOCKED/.test(sql)) return { rows: [{ id: 7, concurrency_group: null }] };
+    if (/SET status = 'running'/.test(sql)) return { rows: [{ id: 7, job_type: 'cpabc', status: 'running' }] };
+    return null;
+  });
+  const queue = new JobQueue(pool, { workerId: 'worker-a' });
+  queue.register('cpabc', async () => {}, { leaseSeconds: 120 });
+
+  const job = await queue._claim();
+  assert.strictEqual(job.id, 7);
+  const claim = pool.statements.find(s => /SET status = 'running'/.test(s.sql));
+  assert.deepStrictEqual(claim.params, ['worker-a', 7, JSON.stringify({ cpabc: 120 })]);
+  assert.deepStrictEqual(pool.statements.map(s => s.sql.split(' ')[0]), ['BEGIN', 'SELECT', 'UPDATE', 'COMMIT']);
+});
+
+test('a grouped candidate is skipped when its group started running in the meantime', async () => {
+  const pool = scriptedPool((sql) => {
+    if (/FOR UPDATE SKIP LOCKED/.test(sql)) return { rows: [{ id: 8, concurrency_group: 'directories' }] };
+    if (/concurrency_group = \$1 LIMIT 1/.test(sql)) return { rows: [{ '?column?': 1 }] };
+    return null;
+  });
+  const queue = new JobQueue(pool);
+  queue.register('bbb_enrichment', async () => {}, { concurrencyGroup: 'directories' });
+
+  assert.strictEqual(await queue._claim(), null);
+  const recheck = pool.statements.find(s => /concurrency_group = \$1 LIMIT 1/.test(s.sql));
+  assert.deepStrictEqual(recheck.params, ['directories']);
+  assert.ok(!pool.statements.some(s => /SET status = 'running'/.test(s.sql)), 'the job must stay queued');
+});
+
+test('a grouped candidate is claimed once the recheck finds its group idle', async () => {
+  const pool = scriptedPool((sql) => {
+    if (/FOR UPDATE SKIP LOCKED/.test(sql)) return { rows: [{ id: 9, concurrency_group: 'directories' }] };
+    if (/SET status = 'running'/.test(sql)) return { rows: [{ id: 9 }] };
+    return null;
+  });
+  const queue = new JobQueue(pool);
+  queue.register('bbb_enrichment', async () => {}, { concurrencyGroup: 'directories' });
+
+  assert.deepStrictEqual(await queue._claim(), { id: 9 });
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MatchLifecycleService, TRANSITIONS } = require('../../services/matchLifecycle');
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const service = new MatchLifecycleService(null, { auth: null, clock: { now: () => NOW }, frontendUrl: 'https://app.example' });
+
+function row(status) {
+  return {
+    id: 1, status, client_id: 'client-1', cpa_id: 'cpa-1',
+    cpa_first_name: 'Ada', cpa_email: 'ada@firm.ca', cpa_phone: '403-555-0100',
+    business_name: 'Prairie Bakery', contact_name: 'Sam', contact_email: 'sam@bakery.ca',
+  };
+}
+
+test('each transition starts from the states the lifecycle diagram shows', () => {
+  const to = action => TRANSITIONS[action].to;
+  assert.strictEqual(to('request_intro'), 'intro_requested');
+  assert.strictEqual(to('accept'), 'accepted');
+  assert.strictEqual(to('start_engagement'), 'engaged');
+  assert.strictEqual(to('complete_engagement'), 'completed');
+  assert.deepStrictEqual(TRANSITIONS.cancel.from, ['intro_requested', 'accepted']);
+  for (const terminal of ['dismissed', 'declined', 'cancelled', 'expired', 'completed']) {
+    assert.ok(!Object.values(TRANSITIONS).some(t => t.from.includes(terminal)), `${terminal} is final`);
+  }
+});
+
+test('only the client asks for an introduction and only the CPA answers it', () => {
+  assert.deepStrictEqual(service._view(row('suggested'), 'client').allowed_actions, ['request_intro', 'dismiss']);
+  assert.deepStrictEqual(service._view(row('suggested'), 'cpa').allowed_actions, []);
+  assert.deepStrictEqual(service._view(row('intro_requested'), 'cpa').allowed_actions, ['accept', 'decline', 'cancel']);
+  assert.deepStrictEqual(service._view(row('intro_requested'), 'client').allowed_actions, ['cancel']);
+  assert.deepStrictEqual(service._view(row('engaged'), 'client').allowed_actions, ['complete_engagement']);
+});
+
+test('contact details are exchanged only once the CPA accepts', () => {
+  for (const status of ['suggested', 'intro_requested', 'declined', 'expired']) {
+    const view = service._view(row(status), 'client');
+    assert.strictEqual(view.cpa.email, null, status);
+    assert.strictEqual(view.cpa.phone, null, status);
+    assert.strictEqual(service._view(row(status), 'cpa').client.contact_email, null, status);
+  }
+  for (const status of ['accepted', 'engaged', 'completed']) {
+    assert.strictEqual(service._view(row(status), 'client').cpa.email, 'ada@firm.ca', status);
+    assert.strictEqual(service._view(row(status), 'cpa').client.contact_email, 'sam@bakery.ca', status);
+  }
+  assert.strictEqual(service._view(row('suggested'), 'operator').cpa.phone, '403-555-0100');
+});
+
+test('a CPA never sees the client_id', () => {
+  assert.strictEqual(service._view(row('accepted'), 'cpa').client.client_id, undefined);
+  assert.strictEqual(service._view(row('accepted'), 'client').client.client_id, 'client-1');
+});
+
+test('each side is a party only to its own matches', () => {
+  const match = row('suggested');
+  assert.ok(service._isParty(match, { type: 'client', id: 'client-1' }));
+  assert.ok(!service._isParty(match, { type: 'client', id: 'client-2' }));
+  assert.ok(service._isParty(match, { type: 'cpa', id: 'cpa-1' }));
+  assert.ok(!service._isParty(match, { type: 'cpa', id: 'client-1' }));
+  assert.ok(service._isParty(match, { type: 'operator' }));
+});
+
+test('an introduction request gets its own response deadline and a trimmed message', () => {
+  const changes = service._changes('request_intro', NOW, { message: `  ${'x'.repeat(2500)}  ` });
+  assert.strictEqual(changes.client_response, 'interested');
+  assert.strictEqual(changes.intro_message.length, 2000);
+  assert.strictEqual(changes.expires_at.getTime() - NOW.getTime(), 5 * DAY_MS);
+  assert.strictEqual(service._changes('request_intro', NOW, { message: '   ' }).intro_message, null);
+});
+
+test('answering, dismissing or cancelling clears the deadline', () => {
+  for (const action of ['dismiss', 'accept', 'decline', 'cancel']) {
+    assert.strictEqual(service._changes(action, NOW, {}).expires_at, null, action);
+  }
+  assert.strictEqual(service._changes('decline', NOW, { reason: 'Full for tax season' }).decline_reason, 'Full for tax season');
+  assert.strictEqual(service.suggestionExpiresAt().getTime() - NOW.getTime(), 14 * DAY_MS);
+});
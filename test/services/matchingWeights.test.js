@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeWeights, compareRates, pickArm } = require('../../services/matchingWeights');
+const { CPAMatchingEngine } = require('../../matching/cpaMatchingEngine');
+
+const ARMS = [
+  { id: 11, arm: 'control', allocation: 1 },
+  { id: 12, arm: 'location_heavy', allocation: 3 },
+];
+
+test('weights are scaled to sum to 1', () => {
+  assert.deepStrictEqual(normalizeWeights({ specialization_match: 3, location_preference: 1 }),
+    { specialization_match: 0.75, location_preference: 0.25 });
+  assert.deepStrictEqual(normalizeWeights({ reputation: '2' }), { reputation: 1 });
+});
+
+test('unknown factors, negative and all-zero weights are rejected with a 400', () => {
+  const rejects = (weights, message) => assert.throws(() => normalizeWeights(weights), (err) => err.status === 400 && message.test(err.message));
+  rejects({ vibes: 1 }, /Unknown factors: vibes/);
+  rejects({ reputation: -1 }, /non-negative/);
+  rejects({ reputation: 'lots' }, /non-negative/);
+  rejects({ reputation: 0 }, /At least one weight must be positive/);
+  rejects([0.5], /must be an object/);
+  rejects(null, /must be an object/);
+});
+
+test('a client always lands in the same arm', () => {
+  const first = pickArm(4, 'client-abc', ARMS);
+  for (let i = 0; i < 5; i++) assert.strictEqual(pickArm(4, 'client-abc', ARMS), first);
+});
+
+test('arms receive clients in proportion to their allocation', () => {
+  const counts = { control: 0, location_heavy: 0 };
+  for (let i = 0; i < 2000; i++) counts[pickArm(4, `client-${i}`, ARMS).arm]++;
+  const share = counts.location_heavy / 2000;
+  assert.ok(share > 0.7 && share < 0.8, `location_heavy share ${share}`);
+});
+
+test('each experiment reshuffles clients independently', () => {
+  const moved = Array.from({ length: 200 }, (_, i) => `client-${i}`)
+    .filter(id => pickArm(4, id, ARMS).arm !== pickArm(5, id, ARMS).arm);
+  assert.ok(moved.length > 0);
+});
+
+test('arm rates are compared with a two-proportion z-test', () => {
+  const clear = compareRates({ k: 60, n: 100 }, { k: 30, n: 100 });
+  assert.strictEqual(clear.difference, 0.3);
+  assert.strictEqual(clear.z, 4.26);
+  assert.strictEqual(clear.significant, true);
+
+  assert.strictEqual(compareRates({ k: 6, n: 10 }, { k: 5, n: 10 }).significant, false);
+  assert.deepStrictEqual(compareRates({ k: 0, n: 10 }, { k: 0, n: 10 }), { difference: 0, z: 0, significant: false });
+  assert.strictEqual(compareRates({ k: 0, n: 0 }, { k: 3, n: 10 }), null);
+});
+
+test('the engine scores with a profile\'s weights and ignores factors it leaves out', () => {
+  const engine = new CPAMatchingEngine({ specialization_match: '0.6', budget_alignment: 0.4 });
+  assert.strictEqual(engine.matchingWeights.specialization_match, 0.6);
+  assert.strictEqual(engine.matchingWeights.location_preference, 0);
+  assert.deepStrictEqual(engine.describeWeights(), ['Specialization Match (60%)', 'Budget Alignment (40%)']);
+});
@@ -0,0 +1,39 @@
+// worker.js - Background worker entry point
+// Runs the job queue and the cron scheduler without the HTTP API. Pair it with
+// INLINE_WORKER=false on the web process so jobs only run here.
+const { createContext, createDbPool } = require('./context');
+const { initializeDatabase } = require('./db/schema');
+const { startWorker } = require('./scheduler/worker');
+
+async function startWorkerProcess() {
+    // The worker only runs batch work, so the batch pool serves as its db too
+    const batchPool = createDbPool('batch');
+
+    // Unlike the web process, a worker without a database has nothing to do
+    if (!(await initializeDatabase(batchPool))) throw new Error('Database unreachable');
+
+    const ctx = createContext({ db: batchPool });
+    let worker = null;
+
+    process.on('SIGTERM', async () => {
+        console.log('🛑 SIGTERM received, stopping worker...');
+        if (worker) await worker.stop();
+        try { await batchPool.end(); } catch (e) { /* ignore */ }
+        process.exit(0);
+    });
+
+    // Hold off (rather than crash-loop) until the release's migrations have run
+    await ctx.schemaGate.check();
+    if (!ctx.schemaGate.open) {
+        console.error('🚧 Database schema is not current — waiting for npm run migrate:', JSON.stringify(ctx.schemaGate.describe()));
+        await ctx.schemaGate.whenOpen();
+    }
+
+    worker = await startWorker(ctx);
+    console.log('🛠️ Worker running (job queue + scheduler)');
+}
+
+startWorkerProcess().catch((error) => {
+    console.error('❌ Worker startup failed:', error);
+    process.exit(1);
+});